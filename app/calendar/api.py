@@ -8,6 +8,7 @@ Endpoints:
     DELETE /api/calendar/posts/<id>     — delete a scheduled post
     POST   /api/calendar/posts/<id>/publish — trigger publish
     GET    /api/calendar/posts/<id>/media   — serve the post's media file
+    GET    /api/calendar/posts/<id>/slides/<n> — serve slide n of a carousel post
 """
 
 from __future__ import annotations
@@ -22,6 +23,7 @@ from nanoid import generate as nanoid
 
 from app.config import CALENDAR_DIR
 from app.db import ScheduledPost, SessionLocal
+from app.editor.carousels import carousel_slides, delete_carousel, parse_slides, write_carousel
 
 calendar_api_bp = Blueprint("calendar_api", __name__)
 
@@ -97,6 +99,10 @@ def list_posts():
                     "status": p.status,
                     "platforms": platforms,
                     "thumbnail_path": p.thumbnail_path,
+                    "slide_count": (
+                        len(carousel_slides(p.media_path))
+                        if p.media_type == "carousel" and p.media_path else 0
+                    ),
                     "created_at": p.created_at,
                 },
             })
@@ -121,22 +127,38 @@ def create_post():
         - caption: text
         - title: text
         - template_format: square | portrait | story
-        - media_type: image | video
+        - media_type: image | video | carousel
+        - slides: carousel only — data URLs JPEG des diapositives, dans l'ordre ;
+          JSON seulement, un carrousel multipart est refusé
         - platforms: JSON array ["instagram", "tiktok"]
         - scheduled_at: unix timestamp
         - status: draft | scheduled (default: draft)
     """
     CALENDAR_MEDIA_DIR.mkdir(parents=True, exist_ok=True)
     db = SessionLocal()
+    media_path = None
+    thumbnail_path = None
     try:
         # Handle both multipart and JSON
-        if request.content_type and "multipart" in request.content_type:
+        multipart = bool(request.content_type and "multipart" in request.content_type)
+        if multipart:
             data = request.form.to_dict()
         else:
             data = request.get_json() or {}
 
-        media_path = None
-        thumbnail_path = None
+        # Carrousel : diapositives validées AVANT toute écriture. Elles ne
+        # voyagent qu'en JSON — un formulaire multipart les porterait en
+        # texte, et son fichier `media` remplacerait la série.
+        slides = None
+        if data.get("media_type") == "carousel":
+            if multipart:
+                return jsonify({"error": "Carrousel : corps JSON attendu"}), 400
+            try:
+                slides = parse_slides(data.get("slides"), ".jpg")
+            except ValueError as exc:
+                logger.warning("Diapositives refusées : {}", exc)
+                return jsonify({"error": "Diapositives invalides"}), 400
+            media_path = write_carousel(CALENDAR_MEDIA_DIR, nanoid(), slides, ".jpg")
 
         # Save media file if uploaded
         if "media" in request.files:
@@ -185,6 +207,16 @@ def create_post():
     except Exception as exc:
         db.rollback()
         logger.exception("Error creating calendar post: {}", exc)
+        # Aucun post ne référence les fichiers déjà écrits : ils partiraient
+        # orphelins (comme delete_post, la série d'un carrousel d'abord).
+        if media_path:
+            delete_carousel(media_path)
+        for path in (media_path, thumbnail_path):
+            if path and os.path.exists(path):
+                try:
+                    os.unlink(path)
+                except OSError:
+                    pass
         return jsonify({"error": "Erreur serveur"}), 500
     finally:
         db.close()
@@ -234,7 +266,10 @@ def delete_post(post_id: int):
         if not post:
             return jsonify({"error": "Post not found"}), 404
 
-        # Clean up files
+        # Clean up files (les diapositives suivantes d'un carrousel d'abord :
+        # leur manifeste se trouve d'après le premier fichier).
+        if post.media_path:
+            delete_carousel(post.media_path)
         for path in (post.media_path, post.thumbnail_path):
             if path and os.path.exists(path):
                 try:
@@ -325,3 +360,21 @@ def serve_post_media(post_id: int):
         return jsonify({"error": "Media not found"}), 404
     finally:
         db.close()
+
+
+@calendar_api_bp.route("/calendar/posts/<int:post_id>/slides/<int:index>", methods=["GET"])
+def serve_post_slide(post_id: int, index: int):
+    """Serve one slide (1-based) of a carousel post."""
+    db = SessionLocal()
+    try:
+        post = db.query(ScheduledPost).filter_by(id=post_id).first()
+        if not post:
+            return jsonify({"error": "Post not found"}), 404
+
+        slides = carousel_slides(post.media_path) if post.media_path else []
+        if not 1 <= index <= len(slides) or not slides[index - 1].is_file():
+            return jsonify({"error": "Slide not found"}), 404
+
+        return send_file(str(slides[index - 1]), mimetype="image/jpeg")
+    finally:
+        db.close()
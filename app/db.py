@@ -363,6 +363,66 @@ class SavedMeme(Base):
     )
 
 
+class EditorTemplate(Base):
+    """Gabarit de l'Éditeur créé par l'équipe (en plus des formats intégrés).
+
+    `geometry` porte le JSON exact qu'editor.js range dans TEMPLATES —
+    width/height, frame {x, y, width, height, radius}, textArea {x, y, width,
+    maxY}, watermark {x, y}, fullBleed — validé par app/editor/api.py avant
+    écriture : le client le consomme tel quel, sans conversion.
+    """
+
+    __tablename__ = "editor_templates"
+
+    id = Column(Integer, primary_key=True, autoincrement=True)
+    name = Column(Text, nullable=False)
+    geometry = Column(Text, nullable=False)  # JSON, voir la docstring
+    created_at = Column(Integer, nullable=False, default=lambda: int(datetime.now().timestamp()))
+    updated_at = Column(Integer, nullable=False, default=lambda: int(datetime.now().timestamp()))
+
+
+class BrandKit(Base):
+    """Kit de marque d'une page gérée : logos, filigrane, police et couleurs.
+
+    `settings` porte le JSON qu'editor.js applique tel quel — filigrane
+    {opacity, scale, positions par gabarit}, police, couleurs, logo par
+    défaut — validé par app/editor/api.py avant écriture. `logos` liste les
+    fichiers rangés dans EDITOR_BRAND_DIR, dans l'ordre d'ajout ;
+    `profile_ids` les profils dont les médias ouvrent l'éditeur sur ce kit.
+    """
+
+    __tablename__ = "brand_kits"
+
+    id = Column(Integer, primary_key=True, autoincrement=True)
+    name = Column(Text, nullable=False)
+    settings = Column(Text, nullable=False)                 # JSON, voir la docstring
+    logos = Column(Text, nullable=False, default="[]")      # JSON : noms de fichiers
+    profile_ids = Column(Text, nullable=False, default="[]")  # JSON : ids de profiles
+    created_at = Column(Integer, nullable=False, default=lambda: int(datetime.now().timestamp()))
+    updated_at = Column(Integer, nullable=False, default=lambda: int(datetime.now().timestamp()))
+
+
+class EditorFont(Base):
+    """Police de la bibliothèque de l'Éditeur (légende, POV, sous-titres).
+
+    `family` et `weight` sont lus DANS le fichier (app/editor/fonts.py) :
+    libass retrouve la police par ce nom à l'export. Le couple est unique.
+    `file` est le nom du fichier rangé dans EDITOR_FONTS_DIR.
+    """
+
+    __tablename__ = "editor_fonts"
+
+    id = Column(Integer, primary_key=True, autoincrement=True)
+    family = Column(Text, nullable=False)
+    weight = Column(Integer, nullable=False)
+    file = Column(Text, nullable=False)
+    created_at = Column(Integer, nullable=False, default=lambda: int(datetime.now().timestamp()))
+
+    __table_args__ = (
+        UniqueConstraint("family", "weight", name="idx_editor_fonts_family_weight"),
+    )
+
+
 class SessionHealth(Base):
     """Dernier état connu de la session d'une plateforme (lot « santé de session »).
 
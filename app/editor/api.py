@@ -5,29 +5,54 @@ Endpoints:
     POST /api/editor/process-video   — FFmpeg video processing (port of Node.js server.js)
     POST /api/editor/save-video-meme — FFmpeg rendu d'UN plateau, sauvegardé dans le Viewer
     GET  /api/editor/media/<id>      — serve a scraped media file for use in the editor
+    GET  /api/editor/media/batch     — fiches d'une sélection du Viewer (mode lot)
+    POST /api/editor/subtitles/parse — relit un fichier SRT/WebVTT en répliques
     GET  /api/editor/health          — check FFmpeg availability
+    GET/POST       /api/editor/templates      — gabarits personnalisés (liste, création)
+    PUT/DELETE     /api/editor/templates/<id> — modification, suppression
+    GET/POST       /api/editor/brand-kits     — kits de marque (liste, création)
+    PUT/DELETE     /api/editor/brand-kits/<id> — modification, suppression
+    POST/DELETE    /api/editor/brand-kits/<id>/logos[/<nom>] — logos d'un kit
+    GET            /api/editor/brand-kits/logos/<nom> — sert un logo
+    GET/POST       /api/editor/fonts          — bibliothèque de polices (liste, ajout)
+    DELETE         /api/editor/fonts/<id>     — suppression
+    GET            /api/editor/fonts/files/<nom> — sert un fichier de police
+    GET/POST       /api/editor/exports        — file d'export vidéo (liste, dépôt)
+    POST           /api/editor/exports/<id>/cancel — annule un rendu
+    DELETE         /api/editor/exports/<id>   — retire un rendu terminé du plateau
+    GET            /api/editor/exports/<id>/file — sert un export à télécharger
 """
 
 from __future__ import annotations
 
 import json
+import math
 import os
+import re
 import shutil
+import time
 
 from flask import Blueprint, jsonify, request, send_file
 from loguru import logger
 from nanoid import generate as nanoid
+from sqlalchemy.exc import IntegrityError
 
-from app.config import DOWNLOAD_DIR, EDITOR_OUTPUT_DIR, EDITOR_UPLOAD_DIR
-from app.db import MediaItem, SavedMeme, SessionLocal
-from app.editor.processing import cleanup_files, ensure_dirs, process_video
+from app.config import DOWNLOAD_DIR, EDITOR_BRAND_DIR, EDITOR_FONTS_DIR, EDITOR_OUTPUT_DIR, EDITOR_UPLOAD_DIR
+from app.db import BrandKit, EditorFont, EditorTemplate, MediaItem, Profile, SavedMeme, SessionLocal
+from app.editor import exports
+from app.editor.carousels import has_image_signature
+from app.editor.compositions import delete_composition, parse_composition, write_composition
+from app.editor.errors import InputError
+from app.editor.fonts import FONT_FAMILY, FONT_FORMATS, FONT_MAX_BYTES, read_font
+from app.editor.processing import cleanup_files, ensure_dirs, playback_duration, process_video
+from app.editor.subtitles import SUBTITLE_FONT, SUBTITLE_MAX_BYTES, build_ass, parse_subtitles, subtitle_track
 
 editor_api_bp = Blueprint("editor_api", __name__)
 
 #: Plateformes admises pour le suffixe de fichier (-instagram / -tiktok).
 #: Liste blanche stricte : la valeur vient du client et finit dans un nom de
 #: fichier — tout ce qui n'est pas dedans est simplement ignoré.
-_PLATEFORMES_SUFFIXE = {"instagram", "tiktok"}
+_PLATEFORMES_SUFFIXE = {"instagram", "tiktok", "twitter", "reddit"}
 
 
 def _ffmpeg_kwargs(params: dict) -> dict:
@@ -61,6 +86,471 @@ def _ffmpeg_kwargs(params: dict) -> dict:
     }
 
 
+#: Passages gardés au plus par rendu (l'éditeur en produit 11 au plus).
+KEPT_SEGMENTS_MAX = 20
+#: Durée minimale d'un passage gardé, en secondes.
+_SEGMENT_MIN = 0.1
+
+
+def _kept_segments(params: dict) -> list[tuple[float, float]]:
+    """Passages gardés `segments` du client, en secondes de la vidéo SOURCE.
+
+    Liste vide sans coupe. Lève InputError si la liste est mal formée,
+    trop longue, hors de [trimStart, trimEnd] ou chevauchante.
+    """
+    brut = params.get("segments") or []
+    if not isinstance(brut, list):
+        raise InputError("segments : liste attendue")
+    if len(brut) > KEPT_SEGMENTS_MAX:
+        raise InputError(f"segments : {KEPT_SEGMENTS_MAX} passages au plus")
+
+    kwargs = _ffmpeg_kwargs(params)
+    passages: list[tuple[float, float]] = []
+    for index, passage in enumerate(brut):
+        try:
+            debut, fin = float(passage["start"]), float(passage["end"])
+        except (KeyError, TypeError, ValueError):
+            raise InputError(f"segments[{index}] : start et end numériques attendus") from None
+        precedent = passages[-1][1] if passages else kwargs["trim_start"]
+        if not (precedent - _TOLERANCE_FENETRE <= debut and debut + _SEGMENT_MIN <= fin
+                and fin <= kwargs["trim_end"] + _TOLERANCE_FENETRE):
+            raise InputError(f"segments[{index}] : passage hors de la coupe, trop court ou chevauchant")
+        passages.append((debut, fin))
+    return passages
+
+
+def _clip_duration(params: dict) -> float:
+    """Durée du clip composé : la coupe, passages retirés exclus."""
+    passages = _kept_segments(params)
+    if passages:
+        return sum(fin - debut for debut, fin in passages)
+    return float(params.get("trimEnd", 10)) - float(params.get("trimStart", 0))
+
+
+#: Bornes de la vitesse de lecture (les préréglages de l'éditeur vont de 0.5 à 2).
+PLAYBACK_SPEED_MIN = 0.5
+PLAYBACK_SPEED_MAX = 2.0
+PLAYBACK_MODES = ("normal", "reverse", "boomerang", "loop")
+#: Passages au plus en mode « loop ».
+PLAYBACK_LOOPS_MAX = 5
+#: Durée maximale du clip à inverser ou répéter : FFmpeg le garde
+#: entièrement en mémoire (filtres reverse et split).
+PLAYBACK_BUFFER_MAX = 10.0
+
+
+def _playback(params: dict) -> dict:
+    """Valide le réglage `playback` (vitesse, sens, répétitions).
+
+    Retourne les arguments de lecture de process_video() — vides sans
+    réglage. Lève InputError si un réglage est hors bornes ou si le clip
+    est trop long pour être inversé ou répété.
+    """
+    lecture = params.get("playback") or {}
+    if not isinstance(lecture, dict):
+        raise InputError("playback : objet attendu")
+    if not lecture:
+        return {}
+
+    try:
+        vitesse = float(lecture.get("speed", 1))
+        passages = int(lecture.get("loops", 2))
+    except (TypeError, ValueError):
+        raise InputError("playback.speed / playback.loops : nombres attendus") from None
+    if not PLAYBACK_SPEED_MIN <= vitesse <= PLAYBACK_SPEED_MAX:
+        raise InputError(f"playback.speed : entre {PLAYBACK_SPEED_MIN:g} et {PLAYBACK_SPEED_MAX:g}")
+    mode = lecture.get("mode", "normal")
+    if mode not in PLAYBACK_MODES:
+        raise InputError(f"playback.mode : {', '.join(PLAYBACK_MODES)} attendu")
+    if mode == "loop" and not 2 <= passages <= PLAYBACK_LOOPS_MAX:
+        raise InputError(f"playback.loops : entre 2 et {PLAYBACK_LOOPS_MAX}")
+    if mode != "normal" and _clip_duration(params) > PLAYBACK_BUFFER_MAX + _TOLERANCE_FENETRE:
+        raise InputError(f"playback : {PLAYBACK_BUFFER_MAX:g} s de clip au plus pour inverser ou répéter")
+    return {"playback_speed": vitesse, "playback_mode": mode, "playback_loops": passages}
+
+
+#: Remplissage du cadre : la vidéo le couvre, ou y est contenue sur un fond flou.
+FILL_MODES = ("cover", "blur")
+
+
+def _fill(params: dict) -> dict:
+    """Valide le remplissage `fill` du plateau ("cover" par défaut).
+
+    Retourne l'argument fill_mode de process_video() — vide pour "cover".
+    """
+    remplissage = params.get("fill") or "cover"
+    if remplissage not in FILL_MODES:
+        raise InputError(f"fill : {', '.join(FILL_MODES)} attendu")
+    return {} if remplissage == "cover" else {"fill_mode": remplissage}
+
+
+#: Floutage : zones floutées ou pixelisées, fixes sur le média source.
+REDACTION_MODES = ("blur", "pixelate")
+REDACTION_MAX = 20
+REDACTION_MIN_SIZE = 0.01
+REDACTION_STRENGTH_MIN = 2
+REDACTION_STRENGTH_MAX = 200
+
+
+def _redactions(params: dict) -> dict:
+    """Valide les zones `redactions` (floutage, pixelisation) du média.
+
+    Chaque zone porte mode, x, y, width, height — en fractions de l'image
+    source, dans ses bords — et strength en pixels source. Retourne
+    l'argument redactions de process_video() — vide sans zone.
+    """
+    zones = params.get("redactions") or []
+    if not isinstance(zones, list):
+        raise InputError("redactions : liste attendue")
+    if len(zones) > REDACTION_MAX:
+        raise InputError(f"redactions : {REDACTION_MAX} zones au plus")
+
+    regions = []
+    for zone in zones:
+        if not isinstance(zone, dict):
+            raise InputError("redactions : objets attendus")
+        mode = zone.get("mode")
+        if mode not in REDACTION_MODES:
+            raise InputError(f"redactions.mode : {', '.join(REDACTION_MODES)} attendu")
+        try:
+            x, y, largeur, hauteur = (float(zone[cle]) for cle in ("x", "y", "width", "height"))
+            force = int(zone.get("strength", 20))
+        except (KeyError, TypeError, ValueError):
+            raise InputError("redactions : x, y, width, height et strength numériques attendus") from None
+        if not (x >= 0 and y >= 0 and largeur >= REDACTION_MIN_SIZE and hauteur >= REDACTION_MIN_SIZE
+                and x + largeur <= 1 + 1e-6 and y + hauteur <= 1 + 1e-6):
+            raise InputError("redactions : zone hors de l'image")
+        if not REDACTION_STRENGTH_MIN <= force <= REDACTION_STRENGTH_MAX:
+            raise InputError(
+                f"redactions.strength : entre {REDACTION_STRENGTH_MIN} et {REDACTION_STRENGTH_MAX} pixels")
+        regions.append((mode, x, y, min(largeur, 1 - x), min(hauteur, 1 - y), force))
+    return {"redactions": regions} if regions else {}
+
+
+#: Étalonnage : bornes de chaque réglage, celles des curseurs de l'éditeur.
+GRADE_RANGES = {
+    "brightness": (-100, 100),
+    "contrast": (-100, 100),
+    "saturation": (-100, 100),
+    "hue": (-180, 180),
+    "warmth": (-100, 100),
+    "sharpen": (0, 100),
+    "vignette": (0, 100),
+    "grain": (0, 100),
+}
+#: LUT jointe (.cube) : poids et côté du cube au plus (LUT_SIZE_MAX dans editor-core.js).
+LUT_MAX_BYTES = 8 * 1024 * 1024
+LUT_SIZE_MAX = 65
+
+
+def _lut_size(contenu: bytes) -> int:
+    """Côté du cube d'une LUT .cube, dont les N³ triplets sont vérifiés."""
+    try:
+        texte = contenu.decode("utf-8")
+    except UnicodeDecodeError:
+        raise InputError("lut : fichier texte attendu") from None
+    cote = None
+    triplets = 0
+    for ligne in texte.splitlines():
+        mots = ligne.split()
+        if not mots or mots[0].startswith("#"):
+            continue
+        if mots[0] == "LUT_1D_SIZE":
+            raise InputError("lut : seules les LUT 3D sont prises en charge")
+        if mots[0] == "LUT_3D_SIZE":
+            try:
+                cote = int(mots[1])
+            except (IndexError, ValueError):
+                raise InputError("lut : LUT_3D_SIZE illisible") from None
+            continue
+        try:
+            if len(mots) == 3 and all(math.isfinite(float(m)) for m in mots):
+                triplets += 1
+        except ValueError:
+            continue
+    if cote is None or not 2 <= cote <= LUT_SIZE_MAX:
+        raise InputError(f"lut : LUT_3D_SIZE entre 2 et {LUT_SIZE_MAX} attendu")
+    if triplets != cote ** 3:
+        raise InputError(f"lut : {cote ** 3} couleurs attendues, {triplets} lues")
+    return cote
+
+
+def _save_grade(vid_id: str, params: dict, saved: list[str]) -> dict:
+    """Valide l'étalonnage `grade` et enregistre la LUT `lut` (.cube).
+
+    Retourne les arguments grade et lut_path de process_video() — vides
+    sans réglage. Lève InputError si un réglage est hors bornes, ou si la
+    LUT annoncée manque ou n'est pas un cube 3D complet.
+    """
+    etalonnage = params.get("grade") or {}
+    if not isinstance(etalonnage, dict):
+        raise InputError("grade : objet attendu")
+
+    reglages = {}
+    for cle, (minimum, maximum) in GRADE_RANGES.items():
+        valeur = etalonnage.get(cle, 0)
+        if isinstance(valeur, bool) or not isinstance(valeur, (int, float)):
+            raise InputError(f"grade.{cle} : nombre attendu")
+        if not minimum <= valeur <= maximum:
+            raise InputError(f"grade.{cle} : entre {minimum} et {maximum}")
+        if valeur:
+            reglages[cle] = float(valeur)
+    resultat = {"grade": reglages} if reglages else {}
+    if not etalonnage.get("lut"):
+        return resultat
+
+    fichier = request.files.get("lut")
+    if fichier is None:
+        raise InputError("lut manquant")
+    if os.path.splitext(fichier.filename or "")[1].lower() != ".cube":
+        raise InputError("lut : fichier .cube attendu")
+    contenu = fichier.read(LUT_MAX_BYTES + 1)
+    if len(contenu) > LUT_MAX_BYTES:
+        raise InputError(f"lut : {LUT_MAX_BYTES // (1024 * 1024)} Mo au plus")
+    _lut_size(contenu)
+    chemin = str(EDITOR_UPLOAD_DIR / f"{vid_id}_lut.cube")
+    with open(chemin, "wb") as f:
+        f.write(contenu)
+    saved.append(chemin)
+    resultat["lut_path"] = chemin
+    return resultat
+
+
+#: Images animées : type MIME servi, par format de sortie.
+ANIMATION_FORMATS = {"gif": "image/gif", "webp": "image/webp"}
+#: Durée maximale d'un rendu animé : au-delà, un GIF pèse des dizaines de Mo.
+ANIMATION_MAX_SECONDS = 20.0
+ANIMATION_WIDTH_MIN = 160
+
+
+def _animation(params: dict) -> dict:
+    """Valide le format de sortie `output` (MP4, GIF ou WebP animé).
+
+    Retourne les arguments d'animation de process_video() — vides pour un
+    MP4. Lève InputError si un réglage est hors bornes ou si le rendu est
+    trop long pour une image animée.
+    """
+    sortie = params.get("output") or {}
+    if not isinstance(sortie, dict):
+        raise InputError("output : objet attendu")
+    format_sortie = sortie.get("format", "mp4")
+    if format_sortie == "mp4":
+        return {}
+    if format_sortie not in ANIMATION_FORMATS:
+        raise InputError(f"output.format : mp4, {', '.join(ANIMATION_FORMATS)} attendu")
+
+    largeur_max = _ffmpeg_kwargs(params)["template_width"]
+    try:
+        cadence = int(sortie.get("fps", 15))
+        largeur = int(sortie.get("width", largeur_max))
+        couleurs = int(sortie.get("colors", 256))
+        qualite = int(sortie.get("quality", 75))
+    except (TypeError, ValueError):
+        raise InputError("output : fps, width, colors et quality entiers attendus") from None
+    if not 5 <= cadence <= 30:
+        raise InputError("output.fps : entre 5 et 30 images par seconde")
+    if not ANIMATION_WIDTH_MIN <= largeur <= largeur_max:
+        raise InputError(f"output.width : entre {ANIMATION_WIDTH_MIN} et {largeur_max} px")
+    if not 2 <= couleurs <= 256:
+        raise InputError("output.colors : entre 2 et 256 couleurs")
+    if not 0 <= qualite <= 100:
+        raise InputError("output.quality : entre 0 et 100")
+    if _output_duration(params) > ANIMATION_MAX_SECONDS + _TOLERANCE_FENETRE:
+        raise InputError(f"output : {ANIMATION_MAX_SECONDS:g} s au plus pour une image animée")
+    return {
+        "output_format": format_sortie,
+        "animation_fps": cadence,
+        "animation_width": largeur,
+        "gif_colors": couleurs,
+        "webp_quality": qualite,
+    }
+
+
+def _output_duration(params: dict) -> float:
+    """Durée du rendu : le clip composé, réglage de lecture appliqué."""
+    lecture = _playback(params)
+    return playback_duration(_clip_duration(params), lecture.get("playback_speed", 1.0),
+                             lecture.get("playback_mode", "normal"), lecture.get("playback_loops", 2))
+
+
+#: Fenêtres minutées au plus par rendu : chacune est une entrée PNG de
+#: FFmpeg. 20 blocs de texte en produisent 39 au pire (voir editor.js).
+TIMED_OVERLAYS_MAX = 40
+
+#: Tolérance des bornes, en secondes : les fenêtres viennent de flottants JS.
+_TOLERANCE_FENETRE = 0.05
+
+
+def _timed_overlay_windows(params: dict) -> list[tuple[float, float]]:
+    """Fenêtres `textSegments` du client, en secondes du rendu.
+
+    Lève InputError si la liste est mal formée, trop longue, hors du clip
+    ou si deux fenêtres se chevauchent — l'endpoint répond 400 AVANT de
+    lancer FFmpeg.
+    """
+    brut = params.get("textSegments") or []
+    if not isinstance(brut, list):
+        raise InputError("textSegments : liste attendue")
+    if len(brut) > TIMED_OVERLAYS_MAX:
+        raise InputError(f"textSegments : {TIMED_OVERLAYS_MAX} fenêtres au plus")
+
+    duree = _clip_duration(params)
+    fenetres: list[tuple[float, float]] = []
+    for index, fenetre in enumerate(brut):
+        try:
+            debut, fin = float(fenetre["start"]), float(fenetre["end"])
+        except (KeyError, TypeError, ValueError):
+            raise InputError(f"textSegments[{index}] : start et end numériques attendus") from None
+        precedente = fenetres[-1][1] if fenetres else 0.0
+        if not (precedente - _TOLERANCE_FENETRE <= debut < fin <= duree + _TOLERANCE_FENETRE):
+            raise InputError(f"textSegments[{index}] : fenêtre hors du clip ou chevauchante")
+        fenetres.append((debut, fin))
+    return fenetres
+
+
+def _save_timed_overlays(vid_id: str, params: dict, saved: list[str]) -> list[tuple[str, float, float]]:
+    """Valide les fenêtres minutées et enregistre leurs PNG `segment_<n>`.
+
+    Les chemins écrits sont ajoutés à `saved` au fil de l'eau : l'appelant
+    les nettoie avec les autres uploads, même si une pièce manque.
+    """
+    overlays = []
+    for index, (debut, fin) in enumerate(_timed_overlay_windows(params)):
+        fichier = request.files.get(f"segment_{index}")
+        if fichier is None:
+            raise InputError(f"segment_{index} manquant")
+        chemin = str(EDITOR_UPLOAD_DIR / f"{vid_id}_seg{index}.png")
+        fichier.save(chemin)
+        saved.append(chemin)
+        overlays.append((chemin, debut, fin))
+    return overlays
+
+
+def _save_subtitles(vid_id: str, params: dict, saved: list[str]) -> dict:
+    """Valide la piste `subtitles` et l'écrit en ASS au repère du template.
+
+    Retourne les arguments de process_video() — `subtitles_path` (fichier
+    ajouté à `saved`) et, pour une police de la bibliothèque, le dossier
+    où libass la trouve —, ou {} sans piste. Lève InputError si la piste
+    est mal formée.
+    """
+    kwargs = _ffmpeg_kwargs(params)
+    piste = subtitle_track(params.get("subtitles"), _clip_duration(params))
+    if piste is None:
+        return {}
+    chemin = str(EDITOR_UPLOAD_DIR / f"{vid_id}.ass")
+    with open(chemin, "w", encoding="utf-8") as f:
+        f.write(build_ass(piste, kwargs["template_width"], kwargs["template_height"]))
+    saved.append(chemin)
+    police = piste.get("font")
+    if police and police["family"] != SUBTITLE_FONT:
+        return {"subtitles_path": chemin, "subtitles_fonts_dir": str(EDITOR_FONTS_DIR)}
+    return {"subtitles_path": chemin}
+
+
+#: Gain maximal (son d'origine comme piste jointe) : ×2, soit +6 dB.
+AUDIO_GAIN_MAX = 2.0
+
+#: Formats de piste jointe admis (extension du fichier envoyé).
+_EXTENSIONS_AUDIO = {".mp3", ".m4a", ".aac", ".wav", ".ogg", ".oga", ".opus", ".flac", ".webm"}
+
+
+def _gain(valeur, nom: str) -> float:
+    try:
+        gain = float(valeur)
+    except (TypeError, ValueError):
+        raise InputError(f"audio.{nom} : nombre attendu") from None
+    if not 0 <= gain <= AUDIO_GAIN_MAX:
+        raise InputError(f"audio.{nom} : entre 0 et {AUDIO_GAIN_MAX:g}")
+    return gain
+
+
+def _save_audio(vid_id: str, params: dict, saved: list[str]) -> dict:
+    """Valide les réglages `audio` et enregistre la piste `audio_track`.
+
+    Retourne les arguments audio de process_video() — vides sans réglage :
+    le son d'origine passe alors tel quel. Lève InputError si un réglage
+    est hors bornes, si les fondus dépassent le rendu ou si la piste
+    annoncée manque.
+    """
+    audio = params.get("audio") or {}
+    if not isinstance(audio, dict):
+        raise InputError("audio : objet attendu")
+    if not audio:
+        return {}
+
+    duree = _output_duration(params)
+    try:
+        fondu_entree = float(audio.get("fadeIn", 0))
+        fondu_sortie = float(audio.get("fadeOut", 0))
+    except (TypeError, ValueError):
+        raise InputError("audio.fadeIn / audio.fadeOut : secondes attendues") from None
+    if fondu_entree < 0 or fondu_sortie < 0 or fondu_entree + fondu_sortie > duree + _TOLERANCE_FENETRE:
+        raise InputError("audio : les fondus dépassent la durée du clip")
+
+    resultat = {
+        "mute_audio": bool(audio.get("muted", False)),
+        "audio_volume": _gain(audio.get("volume", 1), "volume"),
+        "audio_fade_in": fondu_entree,
+        "audio_fade_out": fondu_sortie,
+    }
+    if not audio.get("track"):
+        return resultat
+
+    mode = audio.get("trackMode", "replace")
+    if mode not in ("replace", "mix"):
+        raise InputError("audio.trackMode : replace ou mix attendu")
+    fichier = request.files.get("audio_track")
+    if fichier is None:
+        raise InputError("audio_track manquant")
+    extension = os.path.splitext(fichier.filename or "")[1].lower()
+    if extension not in _EXTENSIONS_AUDIO:
+        raise InputError(f"audio_track : format non pris en charge ({extension or 'sans extension'})")
+    chemin = str(EDITOR_UPLOAD_DIR / f"{vid_id}_audio{extension}")
+    fichier.save(chemin)
+    saved.append(chemin)
+    resultat.update({
+        "audio_track_path": chemin,
+        "audio_track_mode": mode,
+        "audio_track_volume": _gain(audio.get("trackVolume", 1), "trackVolume"),
+    })
+    return resultat
+
+
+@editor_api_bp.route("/editor/subtitles/parse", methods=["POST"])
+def parse_subtitles_endpoint():
+    """
+    Relit un fichier de sous-titres pour l'Éditeur.
+
+    Multipart form data :
+        - file : le fichier .srt ou .vtt (UTF-8, ou Windows-1252 à défaut)
+
+    Retourne {format: "srt" | "vtt", cues: [{start, end, text}]} — rien
+    n'est écrit : les répliques vivent ensuite dans la composition.
+    """
+    fichier = request.files.get("file")
+    if fichier is None:
+        return jsonify({"error": "Aucun fichier de sous-titres"}), 400
+    contenu = fichier.read(SUBTITLE_MAX_BYTES + 1)
+    if len(contenu) > SUBTITLE_MAX_BYTES:
+        return jsonify({"error": f"Fichier trop volumineux ({SUBTITLE_MAX_BYTES // 1024} Ko au plus)"}), 400
+    try:
+        texte = contenu.decode("utf-8-sig")
+    except UnicodeDecodeError:
+        # Les SRT des vieux outils Windows sont souvent en cp1252.
+        texte = contenu.decode("cp1252", errors="replace")
+
+    try:
+        cues = parse_subtitles(texte)
+    except InputError as exc:
+        return jsonify({"error": f"Sous-titres illisibles : {exc.message}"}), 400
+    except ValueError as exc:
+        logger.warning("Sous-titres refusés : {}", exc)
+        return jsonify({"error": "Sous-titres illisibles"}), 400
+
+    formatte = "vtt" if texte.lstrip().startswith("WEBVTT") else "srt"
+    return jsonify({"format": formatte, "cues": cues})
+
+
 @editor_api_bp.route("/editor/health", methods=["GET"])
 def editor_health():
     """Check if FFmpeg is available."""
@@ -77,69 +567,73 @@ def process_video_endpoint():
         - video: the input video file
         - template: the template PNG (with transparent cutout)
         - params: JSON string with processing parameters
+        - segment_0, segment_1…: templates des textes minutés, un par
+          fenêtre de params.textSegments (voir timed_overlay_filters)
 
-    Returns the processed MP4 file as a download.
-    """
-    ensure_dirs()
+    params.subtitles (optionnel) : répliques du plateau en secondes du clip
+    et leur placement, incrustées en ASS (voir app/editor/subtitles.py).
 
-    # Validate uploads
-    if "video" not in request.files:
-        return jsonify({"error": "No video file uploaded"}), 400
-    if "template" not in request.files:
-        return jsonify({"error": "No template file uploaded"}), 400
+    params.segments (optionnel) : passages gardés [{start, end}] en secondes
+    source, mis bout à bout (voir segment_filters) ; fenêtres minutées et
+    sous-titres sont alors en secondes du clip ainsi monté.
 
-    video_file = request.files["video"]
-    template_file = request.files["template"]
+    params.audio (optionnel) : {muted, volume, fadeIn, fadeOut, track,
+    trackMode, trackVolume} ; si `track`, le fichier vient en `audio_track`
+    (voir audio_filters). Les fondus portent sur la durée du rendu.
 
-    # Save uploaded files with unique names
-    vid_ext = os.path.splitext(video_file.filename or "video.mp4")[1] or ".mp4"
-    tpl_ext = os.path.splitext(template_file.filename or "template.png")[1] or ".png"
+    params.playback (optionnel) : {speed, mode, loops} — vitesse, sens
+    (normal, reverse, boomerang, loop) et répétitions du clip composé
+    (voir motion_filters).
 
-    vid_id = nanoid()
-    video_path = str(EDITOR_UPLOAD_DIR / f"{vid_id}{vid_ext}")
-    template_path = str(EDITOR_UPLOAD_DIR / f"{vid_id}_tpl{tpl_ext}")
-    output_id = nanoid()
-    output_path = str(EDITOR_OUTPUT_DIR / f"{output_id}.mp4")
+    params.output (optionnel) : {format, fps, width, colors, quality} —
+    format "gif" ou "webp" pour une image animée muette (voir
+    animation_filters) ; le son et `audio_track` sont alors ignorés.
 
-    video_file.save(video_path)
-    template_file.save(template_path)
-
-    try:
-        # Parse processing parameters
-        raw_params = request.form.get("params", "{}")
-        try:
-            params = json.loads(raw_params)
-        except json.JSONDecodeError:
-            params = {}
-
-        logger.info("Processing video with params: {}", params)
+    params.fill (optionnel) : "cover" (défaut) ou "blur" — vidéo contenue
+    dans le cadre sur un fond flou tiré d'elle-même (voir blur_fill_filters).
 
-        process_video(
-            video_path=video_path,
-            template_path=template_path,
-            output_path=output_path,
-            **_ffmpeg_kwargs(params),
-        )
-
-        # Send the output file, then clean up everything
-        response = send_file(
-            output_path,
-            mimetype="video/mp4",
-            as_attachment=True,
-            download_name=f"samourais_meme_{output_id}.mp4",
-        )
+    params.grade (optionnel) : {brightness, contrast, saturation, hue,
+    warmth, sharpen, vignette, grain, lut} — étalonnage de la source ; si
+    `lut`, le fichier .cube vient en `lut` (voir grade_filters).
 
-        # Schedule cleanup after response is sent
-        @response.call_on_close
-        def _cleanup():
-            cleanup_files(video_path, template_path, output_path)
+    Returns the processed MP4 (or animated GIF/WebP) file as a download.
 
-        return response
+    Même chemin que la file d'export (voir _stage_render), en synchrone :
+    l'éditeur passe par /editor/exports, cet endpoint reste pour les
+    appels directs.
+    """
+    try:
+        render = _stage_render(to_viewer=False)
+    except InputError as exc:
+        return jsonify({"error": exc.message}), 400
+    except ValueError as exc:
+        logger.warning("Rendu refusé : {}", exc)
+        return jsonify({"error": "Paramètres de rendu invalides"}), 400
 
+    output_path = render["output_path"]
+    try:
+        _render(render)
     except Exception as exc:
         logger.exception("Video processing failed: {}", exc)
-        cleanup_files(video_path, template_path, output_path)
+        cleanup_files(output_path)
         return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        cleanup_files(*render["uploads"])
+
+    extension = os.path.splitext(output_path)[1]
+    response = send_file(
+        output_path,
+        mimetype=ANIMATION_FORMATS.get(extension[1:], "video/mp4"),
+        as_attachment=True,
+        download_name=f"samourais_meme_{render['output_id']}{extension}",
+    )
+
+    # Le fichier rendu part avec la réponse.
+    @response.call_on_close
+    def _cleanup():
+        cleanup_files(output_path)
+
+    return response
 
 
 @editor_api_bp.route("/editor/save-video-meme", methods=["POST"])
@@ -151,24 +645,80 @@ def save_video_meme_endpoint():
     plateau actif, SÉQUENTIELLEMENT (jamais deux ffmpeg concurrents — l'audit
     a montré la corruption d'écritures concurrentes). Chaque appel est
     autonome : si le second échoue, le premier meme est déjà en base et son
-    fichier déjà écrit — rien n'est perdu.
+    fichier déjà écrit — rien n'est perdu. Le rendu par lot attend ainsi
+    chaque vidéo ; « Sauvegarder dans Viewer » passe par la file d'export
+    (/editor/exports), même formulaire.
 
     Multipart form data :
         - video           : le fichier vidéo d'entrée
         - template        : le PNG de surcouche (trou transparent)
         - params          : JSON, mêmes clés que /editor/process-video
-        - platform        : instagram | tiktok (suffixe du nom de fichier)
+        - segment_<n>     : templates des textes minutés, comme /editor/process-video
+                            (params.subtitles : sous-titres incrustés, idem)
+        - audio_track     : piste son jointe, si params.audio.track (idem)
+        - lut             : LUT .cube de l'étalonnage, si params.grade.lut (idem)
+                            (params.output : GIF ou WebP animé, rangé comme
+                            une image du Viewer)
+        - platform        : instagram | tiktok | twitter | reddit (suffixe du nom de fichier)
         - title, caption  : métadonnées du meme
-        - template_format : square | portrait | story
+        - template_format : square | portrait | story | custom-<id> (gabarit personnalisé)
+        - composition     : JSON optionnel, document de l'éditeur ; la vidéo
+                            source est alors copiée à côté du meme pour
+                            pouvoir le rouvrir (voir app/editor/compositions.py)
 
     Retourne 201 + JSON {id, file_url} (pas le fichier : il vit dans le Viewer).
     """
+    try:
+        render = _stage_render(to_viewer=True)
+    except InputError as exc:
+        return jsonify({"error": exc.message}), 400
+    except ValueError as exc:
+        logger.warning("Rendu refusé : {}", exc)
+        return jsonify({"error": "Paramètres de rendu invalides"}), 400
+
+    try:
+        meme_id = _render_to_viewer(render)
+    except Exception as exc:
+        logger.exception("Video meme save failed: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+
+    return jsonify({
+        "id": meme_id,
+        "file_url": f"/api/viewer/memes/{meme_id}/file",
+        "message": "Meme video sauvegarde dans le Viewer",
+    }), 201
+
+
+def _stage_render(*, to_viewer: bool) -> dict:
+    """
+    Range sur disque le formulaire d'un rendu et en tire les arguments de
+    process_video() — chemin commun à /editor/process-video, à
+    /editor/save-video-meme et à la file d'export (/editor/exports).
+
+    `to_viewer` : la sortie est un meme du Viewer (répertoire des memes,
+    suffixe de plateforme, métadonnées et composition lues) ; sinon un
+    fichier à télécharger, dans EDITOR_OUTPUT_DIR.
+
+    Returns
+    -------
+    dict
+        `kwargs` de process_video(), chemins (`output_path`, `uploads` à
+        nettoyer) et métadonnées du meme.
+
+    Raises
+    ------
+    InputError
+        Formulaire incomplet ou paramètres refusés ; rien ne reste sur
+        disque.
+    """
     ensure_dirs()
 
     if "video" not in request.files:
-        return jsonify({"error": "No video file uploaded"}), 400
+        raise InputError("No video file uploaded")
     if "template" not in request.files:
-        return jsonify({"error": "No template file uploaded"}), 400
+        raise InputError("No template file uploaded")
+
+    composition = parse_composition(request.form.get("composition")) if to_viewer else None
 
     video_file = request.files["video"]
     template_file = request.files["template"]
@@ -180,18 +730,22 @@ def save_video_meme_endpoint():
     video_path = str(EDITOR_UPLOAD_DIR / f"{vid_id}{vid_ext}")
     template_path = str(EDITOR_UPLOAD_DIR / f"{vid_id}_tpl{tpl_ext}")
 
-    # Le fichier de sortie vit dans le répertoire des memes du Viewer
-    # (le même que /api/viewer/memes) : c'est un meme sauvegardé, pas un
-    # temporaire — il n'est PAS nettoyé après la réponse.
     platform = (request.form.get("platform") or "").strip().lower()
     suffix = f"-{platform}" if platform in _PLATEFORMES_SUFFIXE else ""
-    meme_dir = EDITOR_OUTPUT_DIR / "memes"
-    meme_dir.mkdir(parents=True, exist_ok=True)
     output_id = nanoid()
-    output_path = str(meme_dir / f"{output_id}{suffix}.mp4")
+    if to_viewer:
+        # Le fichier de sortie vit dans le répertoire des memes du Viewer
+        # (le même que /api/viewer/memes) : c'est un meme sauvegardé, pas
+        # un temporaire — il n'est PAS nettoyé après le rendu.
+        meme_dir = EDITOR_OUTPUT_DIR / "memes"
+        meme_dir.mkdir(parents=True, exist_ok=True)
+        output_path = str(meme_dir / f"{output_id}{suffix}.mp4")
+    else:
+        output_path = str(EDITOR_OUTPUT_DIR / f"{output_id}.mp4")
 
     video_file.save(video_path)
     template_file.save(template_path)
+    uploads = [video_path, template_path]
 
     try:
         raw_params = request.form.get("params", "{}")
@@ -200,24 +754,88 @@ def save_video_meme_endpoint():
         except json.JSONDecodeError:
             params = {}
 
-        logger.info("Rendering video meme ({}) with params: {}", platform or "?", params)
+        timed_overlays = _save_timed_overlays(vid_id, params, uploads)
+        subtitle_kwargs = _save_subtitles(vid_id, params, uploads)
+        segments = _kept_segments(params)
+        playback_kwargs = _playback(params)
+        animation_kwargs = _animation(params)
+        fill_kwargs = _fill(params)
+        redaction_kwargs = _redactions(params)
+        grade_kwargs = _save_grade(vid_id, params, uploads)
+        # Une image animée est muette : ni réglage ni piste jointe.
+        audio_kwargs = {} if animation_kwargs else _save_audio(vid_id, params, uploads)
+    except ValueError:
+        # Les uploads sont toujours temporaires.
+        cleanup_files(*uploads)
+        raise
+
+    if animation_kwargs:
+        output_path = output_path.removesuffix(".mp4") + "." + animation_kwargs["output_format"]
+
+    return {
+        "kwargs": {
+            "video_path": video_path,
+            "template_path": template_path,
+            "output_path": output_path,
+            "timed_overlays": timed_overlays,
+            **subtitle_kwargs,
+            **audio_kwargs,
+            "segments": segments or None,
+            **playback_kwargs,
+            **animation_kwargs,
+            **fill_kwargs,
+            **redaction_kwargs,
+            **grade_kwargs,
+        },
+        "params": params,
+        "output_path": output_path,
+        "output_id": output_id,
+        "uploads": uploads,
+        "platform": platform,
+        "animated": bool(animation_kwargs),
+        "title": request.form.get("title", ""),
+        "caption": request.form.get("caption", ""),
+        "template_format": request.form.get("template_format", ""),
+        "composition": composition,
+        "vid_ext": vid_ext,
+    }
+
+
+def _render(render: dict, **tracking) -> None:
+    """Rendu FFmpeg d'un formulaire rangé par _stage_render() ; `tracking` :
+    `on_progress` et `cancel` de process_video(), pour la file d'export."""
+    logger.info("Rendering video meme ({}) with params: {}", render["platform"] or "?", render["params"])
+    process_video(**render["kwargs"], **tracking, **_ffmpeg_kwargs(render["params"]))
 
-        process_video(
-            video_path=video_path,
-            template_path=template_path,
-            output_path=output_path,
-            **_ffmpeg_kwargs(params),
-        )
+
+def _render_to_viewer(render: dict, **tracking) -> int:
+    """
+    Rend la vidéo préparée par _stage_render(to_viewer=True) et la range
+    comme meme du Viewer. Retourne l'id du meme.
+
+    Échec = aucune trace : pas de ligne en base, pas de fichier orphelin
+    dans le répertoire des memes. Les uploads sont nettoyés dans tous les
+    cas.
+    """
+    output_path = render["output_path"]
+    try:
+        _render(render, **tracking)
 
         file_size = os.path.getsize(output_path)
 
+        if render["composition"] is not None:
+            # Copie AVANT le nettoyage des uploads (bloc finally).
+            write_composition(output_path, render["composition"],
+                              source_file=render["kwargs"]["video_path"], source_ext=render["vid_ext"])
+
         db = SessionLocal()
         try:
             meme = SavedMeme(
-                title=request.form.get("title", ""),
-                caption=request.form.get("caption", ""),
-                media_type="video",
-                template_format=request.form.get("template_format", ""),
+                title=render["title"],
+                caption=render["caption"],
+                # Un GIF ou un WebP animé s'affiche comme une image.
+                media_type="image" if render["animated"] else "video",
+                template_format=render["template_format"],
                 file_path=output_path,
                 file_size=file_size,
             )
@@ -232,23 +850,16 @@ def save_video_meme_endpoint():
             db.close()
 
         logger.info("Saved video meme #{} to {}", meme_id, output_path)
+        return meme_id
 
-        return jsonify({
-            "id": meme_id,
-            "file_url": f"/api/viewer/memes/{meme_id}/file",
-            "message": "Meme video sauvegarde dans le Viewer",
-        }), 201
-
-    except Exception as exc:
-        logger.exception("Video meme save failed: {}", exc)
-        # Échec = aucune trace : pas de ligne en base (rollback ci-dessus),
-        # pas de fichier orphelin dans le répertoire des memes.
+    except Exception:
         cleanup_files(output_path)
-        return jsonify({"error": "Erreur serveur"}), 500
+        delete_composition(output_path)
+        raise
 
     finally:
         # Les uploads sont toujours temporaires, succès ou non.
-        cleanup_files(video_path, template_path)
+        cleanup_files(*render["uploads"])
 
 
 @editor_api_bp.route("/editor/media/<int:media_id>", methods=["GET"])
@@ -277,3 +888,811 @@ def serve_editor_media(media_id: int):
         return jsonify({"error": "Erreur serveur"}), 500
     finally:
         db.close()
+
+
+# ---------------------------------------------------------------------------
+# Mode lot
+# ---------------------------------------------------------------------------
+
+#: Taille maximale d'un lot. Chaque média est rendu dans le navigateur puis,
+#: pour une vidéo, par FFmpeg — au-delà, la session d'édition n'en finit plus.
+BATCH_MAX_ITEMS = 50
+
+
+@editor_api_bp.route("/editor/media/batch", methods=["GET"])
+def editor_media_batch():
+    """
+    Fiches des médias d'une sélection du Viewer, pour le mode lot.
+
+    Query params:
+        ids: identifiants séparés par des virgules, dans l'ordre du lot
+
+    Renvoie, DANS L'ORDRE demandé, de quoi résoudre les variables du texte
+    ({profile}, {caption}, {platform}) et signaler d'avance les médias dont
+    le fichier a disparu du disque. Les ids inconnus sont listés à part.
+    """
+    brut = [part.strip() for part in request.args.get("ids", "").split(",") if part.strip()]
+    try:
+        ids = list(dict.fromkeys(int(part) for part in brut))
+    except ValueError:
+        return jsonify({"error": "ids : entiers séparés par des virgules attendus"}), 400
+    if not ids:
+        return jsonify({"error": "ids : au moins un média attendu"}), 400
+    if len(ids) > BATCH_MAX_ITEMS:
+        return jsonify({"error": f"ids : {BATCH_MAX_ITEMS} médias au plus par lot"}), 400
+
+    db = SessionLocal()
+    try:
+        rows = (
+            db.query(MediaItem, Profile.username)
+            .outerjoin(Profile, Profile.id == MediaItem.profile_id)
+            .filter(MediaItem.id.in_(ids))
+            .all()
+        )
+        by_id = {item.id: (item, username) for item, username in rows}
+
+        items = []
+        for media_id in ids:
+            if media_id not in by_id:
+                continue
+            item, username = by_id[media_id]
+            filename = os.path.basename(item.local_path) if item.local_path else None
+            items.append({
+                "id": item.id,
+                "media_type": item.media_type,
+                "caption": item.caption or "",
+                "platform": item.platform,
+                "profile_username": username or "",
+                "available": bool(item.local_path and os.path.exists(item.local_path)),
+                "thumb_url": f"/media/thumb/{filename}" if filename else None,
+            })
+
+        return jsonify({
+            "items": items,
+            "missing": [media_id for media_id in ids if media_id not in by_id],
+        })
+    except Exception as exc:
+        logger.exception("Failed to list batch media: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+# ---------------------------------------------------------------------------
+# Gabarits personnalisés
+# ---------------------------------------------------------------------------
+# Les formats intégrés (TEMPLATES dans editor.js) restent dans le code ; ceux
+# que l'équipe dessine dans l'éditeur vivent en base. La géométrie est
+# validée ICI, pas seulement dans le designer : elle finit dans les
+# paramètres FFmpeg (taille de sortie, position du cadre) et un cadre hors
+# du canvas ou une dimension impaire (refusée par libx264) ferait échouer
+# l'export bien après l'enregistrement, loin de sa cause.
+
+#: Bornes d'un côté du canvas, en pixels.
+_GABARIT_COTE_MIN = 200
+_GABARIT_COTE_MAX = 4096
+_GABARIT_NOM_MAX = 60
+
+
+def _entier(valeur, nom: str) -> int:
+    """Entier JSON (les booléens ne comptent pas), sinon ValueError."""
+    if isinstance(valeur, bool):
+        raise ValueError(f"{nom} : nombre entier attendu")
+    try:
+        nombre = float(valeur)
+    except (TypeError, ValueError):
+        raise ValueError(f"{nom} : nombre entier attendu") from None
+    if not nombre.is_integer():
+        raise ValueError(f"{nom} : nombre entier attendu")
+    return int(nombre)
+
+
+def _geometrie_gabarit(data: dict) -> dict:
+    """Géométrie cliente → dict au format de TEMPLATES, ou ValueError."""
+    width = _entier(data.get("width"), "largeur")
+    height = _entier(data.get("height"), "hauteur")
+    for nom, cote in (("largeur", width), ("hauteur", height)):
+        if not _GABARIT_COTE_MIN <= cote <= _GABARIT_COTE_MAX:
+            raise ValueError(f"{nom} : entre {_GABARIT_COTE_MIN} et {_GABARIT_COTE_MAX} px")
+        if cote % 2:
+            raise ValueError(f"{nom} : valeur paire exigée par l'encodeur H.264")
+
+    full_bleed = bool(data.get("fullBleed"))
+    if full_bleed:
+        # Plein écran : le cadre EST le canvas, comme le plateau TikTok.
+        frame = {"x": 0, "y": 0, "width": width, "height": height, "radius": 0}
+    else:
+        brut = data.get("frame") or {}
+        frame = {k: _entier(brut.get(k), f"cadre.{k}") for k in ("x", "y", "width", "height", "radius")}
+        if frame["width"] < 1 or frame["height"] < 1:
+            raise ValueError("cadre : largeur et hauteur non nulles")
+        if (frame["x"] < 0 or frame["y"] < 0
+                or frame["x"] + frame["width"] > width
+                or frame["y"] + frame["height"] > height):
+            raise ValueError("cadre : il doit tenir dans le canvas")
+        if not 0 <= frame["radius"] <= min(frame["width"], frame["height"]) // 2:
+            raise ValueError("cadre : arrondi trop grand pour le cadre")
+
+    brut = data.get("textArea") or {}
+    text_area = {k: _entier(brut.get(k, 0), f"zone de texte.{k}") for k in ("x", "y", "width", "maxY")}
+    if (text_area["x"] < 0 or text_area["width"] < 0
+            or text_area["x"] + text_area["width"] > width
+            or not 0 <= text_area["y"] <= height
+            or not 0 <= text_area["maxY"] <= height):
+        raise ValueError("zone de texte : elle doit tenir dans le canvas")
+
+    brut = data.get("watermark") or {}
+    watermark = {k: _entier(brut.get(k), f"filigrane.{k}") for k in ("x", "y")}
+    if not (0 <= watermark["x"] <= width and 0 <= watermark["y"] <= height):
+        raise ValueError("filigrane : il doit tenir dans le canvas")
+
+    return {
+        "width": width,
+        "height": height,
+        "fullBleed": full_bleed,
+        "frame": frame,
+        "textArea": text_area,
+        "watermark": watermark,
+    }
+
+
+def _lire_gabarit(data) -> tuple[str, dict]:
+    """(nom, géométrie) d'un corps JSON, ou ValueError au premier défaut."""
+    if not isinstance(data, dict):
+        raise ValueError("corps JSON attendu")
+    name = str(data.get("name") or "").strip()
+    if not name:
+        raise ValueError("nom : obligatoire")
+    if len(name) > _GABARIT_NOM_MAX:
+        raise ValueError(f"nom : {_GABARIT_NOM_MAX} caractères au plus")
+    return name, _geometrie_gabarit(data.get("geometry") or {})
+
+
+def _gabarit_json(tpl: EditorTemplate) -> dict:
+    return {
+        "id": tpl.id,
+        "name": tpl.name,
+        "geometry": json.loads(tpl.geometry),
+        "created_at": tpl.created_at,
+        "updated_at": tpl.updated_at,
+    }
+
+
+@editor_api_bp.route("/editor/templates", methods=["GET"])
+def list_editor_templates():
+    """Gabarits personnalisés, du plus ancien au plus récent (ordre des boutons)."""
+    db = SessionLocal()
+    try:
+        items = db.query(EditorTemplate).order_by(EditorTemplate.created_at, EditorTemplate.id).all()
+        return jsonify({"items": [_gabarit_json(t) for t in items]})
+    except Exception as exc:
+        logger.error("Error listing editor templates: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/templates", methods=["POST"])
+def create_editor_template():
+    """
+    Enregistre un gabarit dessiné dans l'éditeur.
+
+    JSON : {name, geometry: {width, height, fullBleed, frame, textArea, watermark}}.
+    Retourne 201 + le gabarit tel qu'enregistré (géométrie normalisée).
+    """
+    try:
+        name, geometry = _lire_gabarit(request.get_json(silent=True))
+    except ValueError as exc:
+        logger.warning("Gabarit refusé : {}", exc)
+        return jsonify({"error": "Gabarit invalide"}), 400
+
+    db = SessionLocal()
+    try:
+        tpl = EditorTemplate(name=name, geometry=json.dumps(geometry))
+        db.add(tpl)
+        db.commit()
+        db.refresh(tpl)
+        logger.info("Created editor template #{} ({})", tpl.id, name)
+        return jsonify(_gabarit_json(tpl)), 201
+    except Exception as exc:
+        logger.exception("Error creating editor template: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/templates/<int:template_id>", methods=["PUT"])
+def update_editor_template(template_id: int):
+    """Remplace le nom et la géométrie d'un gabarit (même corps que POST)."""
+    try:
+        name, geometry = _lire_gabarit(request.get_json(silent=True))
+    except ValueError as exc:
+        logger.warning("Gabarit refusé : {}", exc)
+        return jsonify({"error": "Gabarit invalide"}), 400
+
+    db = SessionLocal()
+    try:
+        tpl = db.query(EditorTemplate).filter_by(id=template_id).first()
+        if not tpl:
+            return jsonify({"error": "Template not found"}), 404
+        tpl.name = name
+        tpl.geometry = json.dumps(geometry)
+        tpl.updated_at = int(time.time())
+        db.commit()
+        db.refresh(tpl)
+        return jsonify(_gabarit_json(tpl))
+    except Exception as exc:
+        logger.exception("Error updating editor template: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/templates/<int:template_id>", methods=["DELETE"])
+def delete_editor_template(template_id: int):
+    """Supprime un gabarit. Les memes déjà produits avec lui ne changent pas."""
+    db = SessionLocal()
+    try:
+        tpl = db.query(EditorTemplate).filter_by(id=template_id).first()
+        if not tpl:
+            return jsonify({"error": "Template not found"}), 404
+        db.delete(tpl)
+        db.commit()
+        return jsonify({"message": "Gabarit supprimé"})
+    except Exception as exc:
+        logger.error("Error deleting editor template: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+# ---------------------------------------------------------------------------
+# Kits de marque
+# ---------------------------------------------------------------------------
+# Un kit par page gérée : ses logos, la position du filigrane par gabarit,
+# son opacité et sa taille, la police et les couleurs du bandeau. L'éditeur
+# ouvre un média sur le kit de son profil ; le reste passe par loadLogo() et
+# le gabarit PNG de l'export vidéo, déjà rendus depuis le canvas. Les
+# réglages finissent dans du CSS (police, couleurs) et dans des chemins de
+# fichier (logos) : ils sont validés ICI, pas seulement dans l'éditeur.
+
+_KIT_NOM_MAX = 60
+#: Logos d'un kit : nombre et poids au plus (formats : IMAGE_SIGNATURES).
+KIT_LOGOS_MAX = 5
+KIT_LOGO_MAX_BYTES = 2 * 1024 * 1024
+_KIT_LOGO_NOM = re.compile(r"[A-Za-z0-9_-]{21}\.(?:png|jpg|webp)")
+#: Réglages par défaut : ceux de l'éditeur sans kit (WATERMARK_OPACITY…).
+KIT_DEFAUTS = {
+    "watermark": {"opacity": 50, "scale": 25, "positions": {}},
+    "font": "Montserrat",
+    "colors": {"text": "#000000", "band": "#ffffff"},
+    "logo": None,
+}
+#: Gabarits auxquels une position de filigrane peut se rattacher.
+_KIT_GABARIT = re.compile(r"(?:square|portrait|story|tiktok|landscape|custom-\d{1,9})")
+_KIT_POLICE = FONT_FAMILY                   # mêmes noms que la bibliothèque de polices
+_KIT_COULEUR = re.compile(r"#[0-9a-fA-F]{6}")
+
+
+def _reglages_kit(data, logos: list[str]) -> dict:
+    """Réglages clients → dict au format de KIT_DEFAUTS, ou ValueError."""
+    if not isinstance(data, dict):
+        raise ValueError("réglages : objet attendu")
+    filigrane = data.get("watermark") or {}
+    if not isinstance(filigrane, dict):
+        raise ValueError("filigrane : objet attendu")
+    opacity = _entier(filigrane.get("opacity", KIT_DEFAUTS["watermark"]["opacity"]), "filigrane.opacité")
+    if not 0 <= opacity <= 100:
+        raise ValueError("filigrane.opacité : entre 0 et 100")
+    scale = _entier(filigrane.get("scale", KIT_DEFAUTS["watermark"]["scale"]), "filigrane.taille")
+    if not 5 <= scale <= 50:
+        raise ValueError("filigrane.taille : entre 5 et 50 %")
+    brutes = filigrane.get("positions") or {}
+    if not isinstance(brutes, dict):
+        raise ValueError("filigrane.positions : objet attendu")
+    positions = {}
+    for gabarit, point in brutes.items():
+        if not _KIT_GABARIT.fullmatch(str(gabarit)) or not isinstance(point, dict):
+            raise ValueError(f"filigrane.positions : gabarit inconnu « {gabarit} »")
+        x = _entier(point.get("x"), f"filigrane.positions.{gabarit}.x")
+        y = _entier(point.get("y"), f"filigrane.positions.{gabarit}.y")
+        if not (0 <= x <= _GABARIT_COTE_MAX and 0 <= y <= _GABARIT_COTE_MAX):
+            raise ValueError(f"filigrane.positions.{gabarit} : hors du canvas")
+        positions[gabarit] = {"x": x, "y": y}
+
+    police = str(data.get("font") or KIT_DEFAUTS["font"]).strip()
+    if not _KIT_POLICE.fullmatch(police):
+        raise ValueError("police : lettres, chiffres, espaces et tirets, 40 caractères au plus")
+
+    couleurs_brutes = data.get("colors") or {}
+    if not isinstance(couleurs_brutes, dict):
+        raise ValueError("couleurs : objet attendu")
+    couleurs = {}
+    for cle, defaut in KIT_DEFAUTS["colors"].items():
+        couleur = str(couleurs_brutes.get(cle) or defaut)
+        if not _KIT_COULEUR.fullmatch(couleur):
+            raise ValueError(f"couleurs.{cle} : couleur #rrggbb attendue")
+        couleurs[cle] = couleur.lower()
+
+    logo = data.get("logo")
+    if logo is not None and logo not in logos:
+        raise ValueError("logo : il doit faire partie du kit")
+
+    return {
+        "watermark": {"opacity": opacity, "scale": scale, "positions": positions},
+        "font": police,
+        "colors": couleurs,
+        "logo": logo,
+    }
+
+
+def _lire_kit(data, logos: list[str], db) -> tuple[str, dict, list[int]]:
+    """(nom, réglages, profils) d'un corps JSON, ou ValueError au premier défaut."""
+    if not isinstance(data, dict):
+        raise ValueError("corps JSON attendu")
+    name = str(data.get("name") or "").strip()
+    if not name:
+        raise ValueError("nom : obligatoire")
+    if len(name) > _KIT_NOM_MAX:
+        raise ValueError(f"nom : {_KIT_NOM_MAX} caractères au plus")
+    profils = data.get("profile_ids") or []
+    if not isinstance(profils, list):
+        raise ValueError("profils : liste attendue")
+    ids = sorted({_entier(v, "profils") for v in profils})
+    if ids:
+        connus = {pid for (pid,) in db.query(Profile.id).filter(Profile.id.in_(ids))}
+        if set(ids) - connus:
+            raise ValueError("profils : profil inconnu")
+    return name, _reglages_kit(data.get("settings") or {}, logos), ids
+
+
+def _kit_json(kit: BrandKit) -> dict:
+    return {
+        "id": kit.id,
+        "name": kit.name,
+        "settings": json.loads(kit.settings),
+        "logos": [{"name": nom, "url": f"/api/editor/brand-kits/logos/{nom}"}
+                  for nom in json.loads(kit.logos)],
+        "profile_ids": json.loads(kit.profile_ids),
+        "created_at": kit.created_at,
+        "updated_at": kit.updated_at,
+    }
+
+
+def _supprimer_logo(nom: str) -> None:
+    try:
+        (EDITOR_BRAND_DIR / nom).unlink()
+    except FileNotFoundError:
+        pass
+
+
+@editor_api_bp.route("/editor/brand-kits", methods=["GET"])
+def list_brand_kits():
+    """
+    Kits de marque, du plus ancien au plus récent, et les profils à qui les
+    rattacher. Avec `?media_id=N`, `default_id` est le kit du profil de ce
+    média (le plus ancien s'il y en a plusieurs), sinon null.
+    """
+    db = SessionLocal()
+    try:
+        kits = db.query(BrandKit).order_by(BrandKit.created_at, BrandKit.id).all()
+        profils = db.query(Profile).order_by(Profile.platform, Profile.username).all()
+        default_id = None
+        media_id = request.args.get("media_id", type=int)
+        if media_id is not None:
+            item = db.query(MediaItem).filter_by(id=media_id).first()
+            if item:
+                default_id = next((k.id for k in kits if item.profile_id in json.loads(k.profile_ids)), None)
+        return jsonify({
+            "items": [_kit_json(k) for k in kits],
+            "profiles": [{"id": p.id, "platform": p.platform, "username": p.username} for p in profils],
+            "default_id": default_id,
+        })
+    except Exception as exc:
+        logger.error("Error listing brand kits: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/brand-kits", methods=["POST"])
+def create_brand_kit():
+    """
+    Enregistre un kit de marque, sans logo (voir POST …/<id>/logos).
+
+    JSON : {name, profile_ids, settings: {watermark, font, colors, logo}}.
+    Retourne 201 + le kit tel qu'enregistré (réglages normalisés).
+    """
+    db = SessionLocal()
+    try:
+        try:
+            name, settings, profils = _lire_kit(request.get_json(silent=True), [], db)
+        except ValueError as exc:
+            logger.warning("Kit de marque refusé : {}", exc)
+            return jsonify({"error": "Kit de marque invalide"}), 400
+        kit = BrandKit(name=name, settings=json.dumps(settings), logos="[]", profile_ids=json.dumps(profils))
+        db.add(kit)
+        db.commit()
+        db.refresh(kit)
+        logger.info("Created brand kit #{} ({})", kit.id, name)
+        return jsonify(_kit_json(kit)), 201
+    except Exception as exc:
+        logger.exception("Error creating brand kit: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/brand-kits/<int:kit_id>", methods=["PUT"])
+def update_brand_kit(kit_id: int):
+    """Remplace le nom, les profils et les réglages d'un kit (même corps que POST)."""
+    db = SessionLocal()
+    try:
+        kit = db.query(BrandKit).filter_by(id=kit_id).first()
+        if not kit:
+            return jsonify({"error": "Brand kit not found"}), 404
+        try:
+            name, settings, profils = _lire_kit(request.get_json(silent=True), json.loads(kit.logos), db)
+        except ValueError as exc:
+            logger.warning("Kit de marque refusé : {}", exc)
+            return jsonify({"error": "Kit de marque invalide"}), 400
+        kit.name = name
+        kit.settings = json.dumps(settings)
+        kit.profile_ids = json.dumps(profils)
+        kit.updated_at = int(time.time())
+        db.commit()
+        db.refresh(kit)
+        return jsonify(_kit_json(kit))
+    except Exception as exc:
+        logger.exception("Error updating brand kit: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/brand-kits/<int:kit_id>", methods=["DELETE"])
+def delete_brand_kit(kit_id: int):
+    """Supprime un kit et ses logos. Les memes déjà produits avec lui ne changent pas."""
+    db = SessionLocal()
+    try:
+        kit = db.query(BrandKit).filter_by(id=kit_id).first()
+        if not kit:
+            return jsonify({"error": "Brand kit not found"}), 404
+        logos = json.loads(kit.logos)
+        db.delete(kit)
+        db.commit()
+        for nom in logos:
+            _supprimer_logo(nom)
+        return jsonify({"message": "Kit supprimé"})
+    except Exception as exc:
+        logger.error("Error deleting brand kit: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/brand-kits/<int:kit_id>/logos", methods=["POST"])
+def add_brand_kit_logo(kit_id: int):
+    """
+    Ajoute un logo (champ `logo` : PNG, JPEG ou WebP) au kit.
+
+    Le premier logo d'un kit devient son logo par défaut. Retourne 201 +
+    le kit.
+    """
+    fichier = request.files.get("logo")
+    if fichier is None:
+        return jsonify({"error": "logo manquant"}), 400
+    extension = os.path.splitext(fichier.filename or "")[1].lower()
+    extension = ".jpg" if extension == ".jpeg" else extension
+    contenu = fichier.read(KIT_LOGO_MAX_BYTES + 1)
+    if len(contenu) > KIT_LOGO_MAX_BYTES:
+        return jsonify({"error": f"logo : {KIT_LOGO_MAX_BYTES // (1024 * 1024)} Mo au plus"}), 400
+    if not has_image_signature(contenu, extension):
+        return jsonify({"error": "logo : image PNG, JPEG ou WebP attendue"}), 400
+
+    db = SessionLocal()
+    nom = None
+    try:
+        kit = db.query(BrandKit).filter_by(id=kit_id).first()
+        if not kit:
+            return jsonify({"error": "Brand kit not found"}), 404
+        logos = json.loads(kit.logos)
+        if len(logos) >= KIT_LOGOS_MAX:
+            return jsonify({"error": f"logo : {KIT_LOGOS_MAX} par kit au plus"}), 400
+        EDITOR_BRAND_DIR.mkdir(parents=True, exist_ok=True)
+        nom = f"{nanoid()}{extension}"
+        (EDITOR_BRAND_DIR / nom).write_bytes(contenu)
+        kit.logos = json.dumps(logos + [nom])
+        settings = json.loads(kit.settings)
+        if settings.get("logo") is None:
+            settings["logo"] = nom
+            kit.settings = json.dumps(settings)
+        kit.updated_at = int(time.time())
+        db.commit()
+        db.refresh(kit)
+        return jsonify(_kit_json(kit)), 201
+    except Exception as exc:
+        logger.exception("Error adding brand kit logo: {}", exc)
+        db.rollback()
+        if nom:
+            _supprimer_logo(nom)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/brand-kits/<int:kit_id>/logos/<name>", methods=["DELETE"])
+def delete_brand_kit_logo(kit_id: int, name: str):
+    """Retire un logo du kit ; le logo par défaut passe au premier restant."""
+    db = SessionLocal()
+    try:
+        kit = db.query(BrandKit).filter_by(id=kit_id).first()
+        logos = json.loads(kit.logos) if kit else []
+        if name not in logos:
+            return jsonify({"error": "Logo not found"}), 404
+        logos.remove(name)
+        kit.logos = json.dumps(logos)
+        settings = json.loads(kit.settings)
+        if settings.get("logo") == name:
+            settings["logo"] = logos[0] if logos else None
+            kit.settings = json.dumps(settings)
+        kit.updated_at = int(time.time())
+        db.commit()
+        db.refresh(kit)
+        _supprimer_logo(name)
+        return jsonify(_kit_json(kit))
+    except Exception as exc:
+        logger.exception("Error deleting brand kit logo: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/brand-kits/logos/<name>", methods=["GET"])
+def serve_brand_kit_logo(name: str):
+    """Sert un logo de kit. Le nom est celui donné par le serveur, rien d'autre."""
+    chemin = EDITOR_BRAND_DIR / name
+    if not _KIT_LOGO_NOM.fullmatch(name) or not chemin.is_file():
+        return jsonify({"error": "Logo not found"}), 404
+    return send_file(chemin, max_age=3600)
+
+
+# ---------------------------------------------------------------------------
+# Polices
+# ---------------------------------------------------------------------------
+# Bibliothèque partagée de l'éditeur : un fichier par couple famille/graisse,
+# famille et graisse lues dans le fichier (app/editor/fonts.py). L'éditeur
+# les déclare à document.fonts ; l'export des sous-titres passe le dossier
+# à libass (fontsdir) pour que la vidéo porte la même police que le canvas.
+
+_POLICE_NOM = re.compile(r"[A-Za-z0-9_-]{21}\.(?:ttf|otf|woff)")
+
+
+def _police_json(police: EditorFont) -> dict:
+    return {
+        "id": police.id,
+        "family": police.family,
+        "weight": police.weight,
+        "format": FONT_FORMATS[os.path.splitext(police.file)[1]][0],
+        "url": f"/api/editor/fonts/files/{police.file}",
+    }
+
+
+@editor_api_bp.route("/editor/fonts", methods=["GET"])
+def list_fonts():
+    """Polices de la bibliothèque, par famille puis graisse."""
+    db = SessionLocal()
+    try:
+        polices = db.query(EditorFont).order_by(EditorFont.family, EditorFont.weight).all()
+        return jsonify({"items": [_police_json(p) for p in polices]})
+    except Exception as exc:
+        logger.error("Error listing editor fonts: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/fonts", methods=["POST"])
+def upload_font():
+    """
+    Ajoute une police (champ `font` : TTF, OTF ou WOFF).
+
+    Famille et graisse sont lues dans le fichier ; 409 si la bibliothèque
+    a déjà ce couple. Retourne 201 + la police.
+    """
+    fichier = request.files.get("font")
+    if fichier is None:
+        return jsonify({"error": "police manquante"}), 400
+    extension = os.path.splitext(fichier.filename or "")[1].lower()
+    contenu = fichier.read(FONT_MAX_BYTES + 1)
+    try:
+        infos = read_font(contenu, extension)
+    except ValueError as exc:
+        logger.warning("Police refusée : {}", exc)
+        return jsonify({"error": "police : fichier TTF, OTF ou WOFF valide attendu"}), 400
+
+    doublon = {"error": f"La bibliothèque a déjà {infos['family']} {infos['weight']}"}
+    db = SessionLocal()
+    nom = None
+    try:
+        if db.query(EditorFont).filter_by(family=infos["family"], weight=infos["weight"]).first():
+            return jsonify(doublon), 409
+        EDITOR_FONTS_DIR.mkdir(parents=True, exist_ok=True)
+        nom = f"{nanoid()}{extension}"
+        (EDITOR_FONTS_DIR / nom).write_bytes(contenu)
+        police = EditorFont(family=infos["family"], weight=infos["weight"], file=nom)
+        db.add(police)
+        db.commit()
+        db.refresh(police)
+        logger.info("Added editor font #{} ({} {})", police.id, police.family, police.weight)
+        return jsonify(_police_json(police)), 201
+    except IntegrityError:
+        # Même couple ajouté entre-temps : la contrainte unique tranche.
+        db.rollback()
+        (EDITOR_FONTS_DIR / nom).unlink(missing_ok=True)
+        return jsonify(doublon), 409
+    except Exception as exc:
+        logger.exception("Error adding editor font: {}", exc)
+        db.rollback()
+        if nom:
+            (EDITOR_FONTS_DIR / nom).unlink(missing_ok=True)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/fonts/<int:font_id>", methods=["DELETE"])
+def delete_font(font_id: int):
+    """
+    Supprime une police et son fichier. Les compositions qui la nomment
+    retombent sur la police d'origine à l'ouverture.
+    """
+    db = SessionLocal()
+    try:
+        police = db.query(EditorFont).filter_by(id=font_id).first()
+        if not police:
+            return jsonify({"error": "Font not found"}), 404
+        nom = police.file
+        db.delete(police)
+        db.commit()
+        (EDITOR_FONTS_DIR / nom).unlink(missing_ok=True)
+        return jsonify({"message": "Police supprimée"})
+    except Exception as exc:
+        logger.error("Error deleting editor font: {}", exc)
+        db.rollback()
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@editor_api_bp.route("/editor/fonts/files/<name>", methods=["GET"])
+def serve_font(name: str):
+    """Sert un fichier de police. Le nom est celui donné par le serveur, rien d'autre."""
+    chemin = EDITOR_FONTS_DIR / name
+    if not _POLICE_NOM.fullmatch(name) or not chemin.is_file():
+        return jsonify({"error": "Font not found"}), 404
+    mimetype = FONT_FORMATS[os.path.splitext(name)[1]][1]
+    return send_file(chemin, mimetype=mimetype, max_age=3600)
+
+
+# ---------------------------------------------------------------------------
+# File d'export
+# ---------------------------------------------------------------------------
+# Rendus vidéo en arrière-plan (app/editor/exports.py) : le dépôt répond
+# 202 dès les fichiers rangés, le rendu passe à son tour. Les pages relisent
+# la file (GET /editor/exports) tant qu'un rendu attend ou tourne — le
+# plateau Exports de la nav, sur les huit écrans. Pas de flux ouvert : il
+# garderait l'un des huit fils de gunicorn par onglet.
+
+
+@editor_api_bp.route("/editor/exports", methods=["POST"])
+def queue_export():
+    """
+    Dépose un rendu dans la file d'export.
+
+    Même formulaire que /editor/save-video-meme, plus :
+        - destination : viewer (défaut, le rendu devient un meme du Viewer)
+                        | download (fichier gardé EXPORT_KEEP_SECONDS pour
+                        /editor/exports/<id>/file)
+        - label       : libellé du plateau Exports
+
+    Retourne 202 + le rendu, 429 si la file est pleine.
+    """
+    destination = request.form.get("destination", "viewer")
+    if destination not in ("viewer", "download"):
+        return jsonify({"error": "destination : viewer ou download attendu"}), 400
+    try:
+        render = _stage_render(to_viewer=destination == "viewer")
+    except InputError as exc:
+        return jsonify({"error": exc.message}), 400
+    except ValueError as exc:
+        logger.warning("Export refusé : {}", exc)
+        return jsonify({"error": "Paramètres de rendu invalides"}), 400
+
+    label = (request.form.get("label") or render["title"] or "Export vidéo").strip()[:80]
+
+    if destination == "viewer":
+        def run(job):
+            meme_id = _render_to_viewer(render, on_progress=lambda f: job.report(f * 0.95),
+                                        cancel=job.cancel_event)
+            return {"meme_id": meme_id, "file_url": f"/api/viewer/memes/{meme_id}/file"}
+
+        def discard():
+            cleanup_files(*render["uploads"])
+    else:
+        def run(job):
+            try:
+                _render(render, on_progress=job.report, cancel=job.cancel_event)
+            except Exception:
+                cleanup_files(render["output_path"])
+                raise
+            finally:
+                cleanup_files(*render["uploads"])
+            return {"download_url": f"/api/editor/exports/{job.id}/file"}
+
+        def discard():
+            cleanup_files(*render["uploads"], render["output_path"])
+
+    try:
+        job = exports.submit(label, destination, run, discard,
+                             file=None if destination == "viewer" else render["output_path"])
+    except OverflowError as exc:
+        discard()
+        return jsonify({"error": f"File d'export pleine ({exc}) : réessaie quand un rendu aura fini"}), 429
+    logger.info("Export {} déposé ({}, {})", job.id, destination, label)
+    return jsonify(job.as_json()), 202
+
+
+@editor_api_bp.route("/editor/exports", methods=["GET"])
+def list_exports():
+    """Rendus du plateau Exports : en attente, en cours et terminés récents."""
+    return jsonify({"items": exports.list_jobs()})
+
+
+@editor_api_bp.route("/editor/exports/<job_id>/cancel", methods=["POST"])
+def cancel_export(job_id: str):
+    """Annule un rendu en attente ou en cours ; 409 s'il est déjà terminé."""
+    try:
+        job = exports.cancel(job_id)
+    except InputError as exc:
+        return jsonify({"error": exc.message}), 409
+    if job is None:
+        return jsonify({"error": "Export not found"}), 404
+    return jsonify(job.as_json())
+
+
+@editor_api_bp.route("/editor/exports/<job_id>", methods=["DELETE"])
+def dismiss_export(job_id: str):
+    """Retire un rendu terminé du plateau ; 409 s'il tourne encore."""
+    try:
+        job = exports.dismiss(job_id)
+    except InputError as exc:
+        return jsonify({"error": exc.message}), 409
+    if job is None:
+        return jsonify({"error": "Export not found"}), 404
+    return jsonify({"message": "Export retiré"})
+
+
+@editor_api_bp.route("/editor/exports/<job_id>/file", methods=["GET"])
+def download_export(job_id: str):
+    """Sert le fichier d'un export à télécharger, une fois rendu."""
+    job = exports.get_job(job_id)
+    if job is None or job.kind != "download" or job.status != "done":
+        return jsonify({"error": "Export not found"}), 404
+    chemin = job.file
+    if not chemin or not os.path.isfile(chemin):
+        return jsonify({"error": "Export not found"}), 404
+    extension = os.path.splitext(chemin)[1]
+    return send_file(
+        chemin,
+        mimetype=ANIMATION_FORMATS.get(extension[1:], "video/mp4"),
+        as_attachment=True,
+        download_name=f"samourais_meme_{os.path.basename(chemin).removesuffix(extension)}{extension}",
+    )
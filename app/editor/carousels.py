@@ -0,0 +1,159 @@
+"""
+Carrousels — un post Instagram, plusieurs images.
+
+Le mode carrousel de l'Éditeur produit une SÉRIE ordonnée de diapositives
+(chacune son média, son texte et son cadrage, gabarit et filigrane
+partagés). Le Viewer et le Calendrier la rangent en UN seul enregistrement
+— un meme, un post, `media_type = "carousel"` — dont les fichiers sont
+numérotés dans l'ordre, à côté d'un manifeste :
+
+    <id>-01.png                   1re diapositive = le fichier de l'enregistrement
+    <id>-02.png, <id>-03.png …    les suivantes
+    <id>-01.carousel.json         le manifeste : noms des diapositives, dans l'ordre
+
+Tout ce qui ne connaît pas les carrousels (vignettes, aperçus,
+téléchargement) continue de servir la couverture. Comme pour les
+compositions, pas de colonne en base : le manifeste EST l'information, et
+sa place se déduit du fichier de l'enregistrement.
+"""
+
+from __future__ import annotations
+
+import base64
+import binascii
+import json
+import os
+from pathlib import Path
+
+from loguru import logger
+
+#: Bornes d'Instagram pour un carrousel.
+CAROUSEL_MIN_SLIDES = 2
+CAROUSEL_MAX_SLIDES = 20
+
+#: Plafond d'UNE diapositive décodée. Un PNG 2160×2700 tient largement
+#: dessous ; au-delà, la requête n'est pas un export de l'Éditeur.
+SLIDE_MAX_BYTES = 25 * 1024 * 1024
+
+#: Octets de tête des images rangées sous une extension fixe (diapositives,
+#: logos des kits) : (décalage, octets attendus).
+IMAGE_SIGNATURES = {
+    ".png": ((0, b"\x89PNG\r\n\x1a\n"),),
+    ".jpg": ((0, b"\xff\xd8\xff"),),
+    ".webp": ((0, b"RIFF"), (8, b"WEBP")),
+}
+
+_SUFFIXE_MANIFESTE = ".carousel.json"
+
+
+def has_image_signature(contenu: bytes, ext: str) -> bool:
+    """Vrai si les octets commencent comme une image `ext` (IMAGE_SIGNATURES)."""
+    signatures = IMAGE_SIGNATURES.get(ext)
+    return bool(signatures) and all(contenu[o:o + len(m)] == m for o, m in signatures)
+
+
+def manifest_path(main_file: str) -> Path:
+    """Chemin du manifeste d'un carrousel, d'après son premier fichier."""
+    p = Path(main_file)
+    return p.with_name(p.stem + _SUFFIXE_MANIFESTE)
+
+
+def parse_slides(raw, ext: str) -> list[bytes]:
+    """Liste de data URLs image → liste d'octets, dans l'ordre.
+
+    `ext` est l'extension sous laquelle write_carousel() rangera les
+    diapositives, donc le type sous lequel elles seront servies : chacune
+    doit en porter la signature.
+
+    Lève ValueError si la liste est absente, hors bornes ou si une
+    diapositive est illisible — l'appelant répond 400 AVANT d'écrire.
+    """
+    if not isinstance(raw, list):
+        raise ValueError("slides : liste de data URLs attendue")
+    if not CAROUSEL_MIN_SLIDES <= len(raw) <= CAROUSEL_MAX_SLIDES:
+        raise ValueError(
+            f"slides : entre {CAROUSEL_MIN_SLIDES} et {CAROUSEL_MAX_SLIDES} diapositives")
+
+    slides = []
+    for index, data_url in enumerate(raw, start=1):
+        if not isinstance(data_url, str) or not data_url.startswith("data:image/") or "," not in data_url:
+            raise ValueError(f"diapositive {index} : data URL image attendue")
+        try:
+            contenu = base64.b64decode(data_url.split(",", 1)[1], validate=True)
+        except (binascii.Error, ValueError):
+            raise ValueError(f"diapositive {index} : base64 illisible") from None
+        if not contenu or len(contenu) > SLIDE_MAX_BYTES:
+            raise ValueError(f"diapositive {index} : vide ou trop volumineuse")
+        if not has_image_signature(contenu, ext):
+            raise ValueError(f"diapositive {index} : image {ext[1:].upper()} attendue")
+        slides.append(contenu)
+    return slides
+
+
+def write_carousel(directory: Path, base_name: str, slides: list[bytes], ext: str) -> str:
+    """
+    Écrit les diapositives numérotées et leur manifeste.
+
+    Parameters
+    ----------
+    directory : Path
+        Répertoire de destination (créé au besoin).
+    base_name : str
+        Nom de base des fichiers (un nanoid, jamais une valeur client).
+    slides : list[bytes]
+        Diapositives déjà validées par parse_slides(), dans l'ordre.
+    ext : str
+        Extension des fichiers (".png" au Viewer, ".jpg" au Calendrier).
+
+    Returns
+    -------
+    str
+        Chemin de la première diapositive — le fichier de l'enregistrement.
+        En cas d'échec, rien de ce qui a été écrit ne reste sur le disque.
+    """
+    directory.mkdir(parents=True, exist_ok=True)
+    paths: list[Path] = []
+    try:
+        for index, contenu in enumerate(slides, start=1):
+            path = directory / f"{base_name}-{index:02d}{ext}"
+            path.write_bytes(contenu)
+            paths.append(path)
+        manifest_path(str(paths[0])).write_text(
+            json.dumps({"slides": [p.name for p in paths]}), encoding="utf-8")
+    except OSError:
+        for path in paths:
+            path.unlink(missing_ok=True)
+        raise
+    return str(paths[0])
+
+
+def carousel_slides(main_file: str) -> list[Path]:
+    """Diapositives d'un carrousel dans l'ordre, ou [] si ce n'en est pas un.
+
+    Les noms du manifeste sont relus comme de simples noms de fichiers du
+    même répertoire : un manifeste altéré ne peut pas désigner autre chose.
+    """
+    path = manifest_path(main_file)
+    if not path.is_file():
+        return []
+    try:
+        noms = json.loads(path.read_text(encoding="utf-8")).get("slides", [])
+    except (OSError, ValueError, AttributeError) as exc:
+        logger.warning("Manifeste de carrousel illisible {}: {}", path, exc)
+        return []
+    return [path.parent / Path(nom).name for nom in noms if isinstance(nom, str)]
+
+
+def delete_carousel(main_file: str) -> None:
+    """Supprime les diapositives SUIVANTES et le manifeste, erreurs ignorées.
+
+    Le premier fichier appartient à l'enregistrement : l'appelant le
+    supprime déjà, comme pour un meme ou un post ordinaire.
+    """
+    paths = carousel_slides(main_file)[1:] + [manifest_path(main_file)]
+    for path in paths:
+        try:
+            if path.exists():
+                os.unlink(path)
+        except OSError as exc:
+            logger.warning("Failed to cleanup {}: {}", path, exc)
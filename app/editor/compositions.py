@@ -0,0 +1,166 @@
+"""
+Compositions éditables — le document de l'Éditeur, rangé À CÔTÉ du meme.
+
+Un meme sauvegardé n'est qu'un PNG/MP4 aplati : corriger une faute de
+frappe obligeait à tout refaire. On conserve donc, à côté du fichier du
+meme et sous le même nom de base :
+
+    <id>-instagram.png                  le meme (inchangé)
+    <id>-instagram.composition.json     le document de composition
+    <id>-instagram.source.<ext>         le média source, tel qu'importé
+
+Le document est opaque pour le serveur (c'est `state` + le cadrage des
+plateaux, écrits et relus par editor.js) : on ne valide que sa forme et
+sa taille. Le média source est copié plutôt que référencé — le média de
+la bibliothèque peut être supprimé, le meme doit rester rouvrable.
+
+Pas de colonne en base : le fichier de composition EST l'information,
+sa présence suffit à proposer « Rouvrir dans l'éditeur ».
+"""
+
+from __future__ import annotations
+
+import base64
+import binascii
+import json
+import os
+import shutil
+from pathlib import Path
+
+from loguru import logger
+
+from app.editor.errors import InputError
+
+#: Plafond du document JSON. Un document réel pèse quelques Ko ; au-delà,
+#: c'est qu'on y a glissé autre chose (une image en base64, par exemple).
+COMPOSITION_MAX_BYTES = 256 * 1024
+
+#: Extensions admises pour la copie du média source (la valeur vient du
+#: client et finit dans un nom de fichier).
+SOURCE_EXTENSIONS = {".png", ".jpg", ".jpeg", ".webp", ".gif", ".mp4", ".mov", ".webm", ".m4v"}
+
+#: Type MIME d'une data URL → extension de la copie source.
+SOURCE_MIME_EXTENSIONS = {
+    "image/png": ".png",
+    "image/jpeg": ".jpg",
+    "image/webp": ".webp",
+    "image/gif": ".gif",
+}
+
+_SUFFIXE_COMPOSITION = ".composition.json"
+_SUFFIXE_SOURCE = ".source"
+
+
+def composition_path(meme_file: str) -> Path:
+    """Chemin du document de composition d'un meme."""
+    p = Path(meme_file)
+    return p.with_name(p.stem + _SUFFIXE_COMPOSITION)
+
+
+def source_path(meme_file: str) -> Path | None:
+    """Chemin de la copie du média source, ou None s'il n'y en a pas."""
+    p = Path(meme_file)
+    for candidate in sorted(p.parent.glob(p.stem + _SUFFIXE_SOURCE + ".*")):
+        if candidate.suffix.lower() in SOURCE_EXTENSIONS:
+            return candidate
+    return None
+
+
+def parse_composition(raw) -> dict | None:
+    """Document client → dict, ou None s'il est absent.
+
+    Accepte un dict (corps JSON) ou une chaîne (champ multipart). Lève
+    InputError pour un document illisible, trop gros ou qui n'est pas un
+    objet — l'appelant répond 400 AVANT d'écrire quoi que ce soit.
+    """
+    if raw is None or raw == "":
+        return None
+    if isinstance(raw, str):
+        if len(raw.encode("utf-8")) > COMPOSITION_MAX_BYTES:
+            raise InputError("composition trop volumineuse")
+        try:
+            raw = json.loads(raw)
+        except json.JSONDecodeError as exc:
+            raise InputError("composition illisible") from exc
+    if not isinstance(raw, dict):
+        raise InputError("composition : un objet JSON est attendu")
+    if len(json.dumps(raw).encode("utf-8")) > COMPOSITION_MAX_BYTES:
+        raise InputError("composition trop volumineuse")
+    return raw
+
+
+def decode_source_data_url(data_url: str) -> tuple[bytes, str] | None:
+    """`data:image/png;base64,...` → (octets, extension), ou None si inexploitable."""
+    if not isinstance(data_url, str) or not data_url.startswith("data:") or "," not in data_url:
+        return None
+    head, payload = data_url.split(",", 1)
+    mime = head[5:].split(";", 1)[0].strip().lower()
+    ext = SOURCE_MIME_EXTENSIONS.get(mime)
+    if not ext or ";base64" not in head:
+        return None
+    try:
+        return base64.b64decode(payload, validate=True), ext
+    except (binascii.Error, ValueError):
+        return None
+
+
+def write_composition(
+    meme_file: str,
+    composition: dict,
+    *,
+    source_file: str | None = None,
+    source_bytes: bytes | None = None,
+    source_ext: str = "",
+) -> None:
+    """
+    Écrit le document et la copie du média source à côté du meme.
+
+    Parameters
+    ----------
+    meme_file : str
+        Chemin du meme sauvegardé (PNG ou MP4).
+    composition : dict
+        Document déjà validé par parse_composition().
+    source_file : str, optional
+        Fichier source à copier (upload vidéo, supprimé ensuite par l'appelant).
+    source_bytes : bytes, optional
+        Contenu source déjà en mémoire (image décodée du base64).
+    source_ext : str
+        Extension de la copie ; ignorée si hors SOURCE_EXTENSIONS.
+    """
+    ext = (source_ext or "").lower()
+    if ext and not ext.startswith("."):
+        ext = "." + ext
+    if (source_file or source_bytes) and ext in SOURCE_EXTENSIONS:
+        p = Path(meme_file)
+        target = p.with_name(p.stem + _SUFFIXE_SOURCE + ext)
+        if source_file:
+            shutil.copyfile(source_file, target)
+        else:
+            target.write_bytes(source_bytes)
+
+    composition_path(meme_file).write_text(
+        json.dumps(composition, ensure_ascii=False), encoding="utf-8")
+
+
+def read_composition(meme_file: str) -> dict | None:
+    """Document de composition d'un meme, ou None (absent ou illisible)."""
+    path = composition_path(meme_file)
+    if not path.is_file():
+        return None
+    try:
+        return json.loads(path.read_text(encoding="utf-8"))
+    except (OSError, ValueError) as exc:
+        logger.warning("Composition illisible {}: {}", path, exc)
+        return None
+
+
+def delete_composition(meme_file: str) -> None:
+    """Supprime le document et la copie source d'un meme, erreurs ignorées."""
+    paths = [composition_path(meme_file), source_path(meme_file)]
+    for path in paths:
+        try:
+            if path and path.exists():
+                os.unlink(path)
+        except OSError as exc:
+            logger.warning("Failed to cleanup {}: {}", path, exc)
@@ -0,0 +1,22 @@
+"""
+Erreurs de saisie de l'Éditeur.
+
+Une route ne renvoie au client que le message d'une InputError, écrit pour
+lui. Toute autre exception — une ValueError de json, de PIL ou d'un
+décodage comprise — répond par un message fixe ; son texte ne va qu'au
+journal, il peut porter un chemin du volume ou le contenu reçu.
+"""
+
+from __future__ import annotations
+
+
+class InputError(ValueError):
+    """Entrée refusée ; `message` est destiné au client.
+
+    Sous-classe de `ValueError` pour que les appelants qui capturent déjà
+    `ValueError` ne changent pas de comportement.
+    """
+
+    def __init__(self, message: str) -> None:
+        super().__init__(message)
+        self.message = message
@@ -0,0 +1,216 @@
+"""
+File d'export — rendus vidéo de l'Éditeur en arrière-plan.
+
+Un rendu déposé ici rend la main tout de suite : l'Éditeur reste utilisable
+et la page peut être quittée. Un SEUL fil de rendu, donc un seul ffmpeg à la
+fois — l'audit du LOT A a montré la corruption d'écritures concurrentes — et
+les rendus passent dans l'ordre d'arrivée.
+
+Chaque rendu est un ExportJob : identifiant, état, progression (0 à 100) et
+résultat. Le registre vit dans la mémoire du processus : l'application tourne
+dans un seul worker gunicorn (voir Dockerfile). Un redémarrage vide donc la
+file — les rendus en attente sont perdus, ceux déjà rangés dans le Viewer ne
+le sont pas.
+
+Les pages relisent le registre (list_jobs, GET /api/editor/exports) tant
+qu'un rendu attend ou tourne.
+"""
+
+from __future__ import annotations
+
+import queue
+import threading
+import time
+from collections.abc import Callable
+from dataclasses import dataclass, field
+
+from loguru import logger
+from nanoid import generate as nanoid
+
+from app.editor.errors import InputError
+
+#: États d'un rendu ; les trois derniers sont définitifs.
+EXPORT_STATES = ("queued", "running", "done", "failed", "canceled")
+EXPORT_FINISHED = {"done", "failed", "canceled"}
+
+#: Rendus en attente ou en cours au plus ; au-delà, le dépôt est refusé.
+EXPORT_MAX_PENDING = 20
+
+#: Durée de vie d'un rendu terminé dans le plateau, en secondes. Un export
+#: à télécharger garde son fichier jusque-là.
+EXPORT_KEEP_SECONDS = 3600
+
+
+@dataclass
+class ExportJob:
+    """Un rendu de la file. `run(job)` rend et renvoie le résultat (dict) ;
+    `discard()` efface ses fichiers (entrées s'il n'a pas tourné, sortie à
+    télécharger sinon). `file` : la sortie à télécharger, jamais exposée."""
+
+    label: str
+    kind: str
+    run: Callable[[ExportJob], dict]
+    discard: Callable[[], None]
+    file: str | None = None
+    id: str = field(default_factory=nanoid)
+    status: str = "queued"
+    progress: int = 0
+    result: dict = field(default_factory=dict)
+    error: str = ""
+    created_at: float = field(default_factory=time.time)
+    finished_at: float | None = None
+    cancel_event: threading.Event = field(default_factory=threading.Event)
+
+    def report(self, fraction: float) -> None:
+        """Progression du rendu en cours ; 100 n'est atteint qu'à la fin."""
+        progress = max(0, min(99, int(fraction * 100)))
+        if progress != self.progress:
+            with _LOCK:
+                self.progress = progress
+
+    def as_json(self) -> dict:
+        return {
+            "id": self.id,
+            "label": self.label,
+            "kind": self.kind,
+            "status": self.status,
+            "progress": self.progress,
+            "result": self.result,
+            "error": self.error,
+            "created_at": int(self.created_at),
+            "finished_at": int(self.finished_at) if self.finished_at else None,
+        }
+
+
+# Registre, dans l'ordre de dépôt, protégé par _LOCK.
+_JOBS: dict[str, ExportJob] = {}
+_LOCK = threading.Lock()
+_PENDING: queue.Queue[ExportJob] = queue.Queue()
+_worker: threading.Thread | None = None
+
+
+def _finish(job: ExportJob, status: str, **fields) -> None:
+    with _LOCK:
+        job.status = status
+        job.finished_at = time.time()
+        for cle, valeur in fields.items():
+            setattr(job, cle, valeur)
+
+
+def _prune() -> None:
+    """Retire les rendus terminés depuis plus de EXPORT_KEEP_SECONDS."""
+    limite = time.time() - EXPORT_KEEP_SECONDS
+    with _LOCK:
+        vieux = [job for job in _JOBS.values() if job.finished_at and job.finished_at < limite]
+        for job in vieux:
+            del _JOBS[job.id]
+    for job in vieux:
+        job.discard()
+
+
+def _work() -> None:
+    while True:
+        job = _PENDING.get()
+        try:
+            with _LOCK:
+                if job.status != "queued":      # annulé pendant l'attente
+                    continue
+                job.status = "running"
+            try:
+                result = job.run(job)
+            except Exception as exc:
+                if job.cancel_event.is_set():
+                    logger.info("Export {} annulé en cours de rendu", job.id)
+                    _finish(job, "canceled")
+                else:
+                    logger.exception("Export {} en échec : {}", job.id, exc)
+                    # Seule une InputError porte un message destiné à l'utilisateur.
+                    _finish(job, "failed", error=exc.message if isinstance(exc, InputError) else "Erreur serveur")
+            else:
+                _finish(job, "done", progress=100, result=result)
+                logger.info("Export {} terminé : {}", job.id, result)
+        finally:
+            _PENDING.task_done()
+
+
+def submit(label: str, kind: str, run: Callable[[ExportJob], dict],
+           discard: Callable[[], None], file: str | None = None) -> ExportJob:
+    """
+    Dépose un rendu dans la file.
+
+    Raises
+    ------
+    OverflowError
+        EXPORT_MAX_PENDING rendus déjà en attente ou en cours.
+    """
+    global _worker
+    _prune()
+    job = ExportJob(label=label, kind=kind, run=run, discard=discard, file=file)
+    with _LOCK:
+        actifs = sum(1 for j in _JOBS.values() if j.status not in EXPORT_FINISHED)
+        if actifs >= EXPORT_MAX_PENDING:
+            raise OverflowError(f"{EXPORT_MAX_PENDING} exports déjà en file")
+        _JOBS[job.id] = job
+        if _worker is None or not _worker.is_alive():
+            _worker = threading.Thread(target=_work, daemon=True, name="export-video")
+            _worker.start()
+    _PENDING.put(job)
+    return job
+
+
+def cancel(job_id: str) -> ExportJob | None:
+    """
+    Annule un rendu en attente (aussitôt, entrées effacées) ou en cours
+    (FFmpeg est arrêté par process_video(), voir son `cancel`).
+
+    Raises
+    ------
+    InputError
+        Le rendu est déjà terminé.
+    """
+    with _LOCK:
+        job = _JOBS.get(job_id)
+        if job is None:
+            return None
+        if job.status in EXPORT_FINISHED:
+            raise InputError("cet export est déjà terminé")
+        job.cancel_event.set()
+        attente = job.status == "queued"
+        if attente:
+            job.status = "canceled"
+            job.finished_at = time.time()
+    if attente:
+        job.discard()
+    return job
+
+
+def dismiss(job_id: str) -> ExportJob | None:
+    """
+    Retire un rendu terminé du plateau (et son fichier à télécharger).
+
+    Raises
+    ------
+    InputError
+        Le rendu est encore en attente ou en cours.
+    """
+    with _LOCK:
+        job = _JOBS.get(job_id)
+        if job is None:
+            return None
+        if job.status not in EXPORT_FINISHED:
+            raise InputError("cet export n'est pas terminé : annule-le d'abord")
+        del _JOBS[job_id]
+    job.discard()
+    return job
+
+
+def get_job(job_id: str) -> ExportJob | None:
+    with _LOCK:
+        return _JOBS.get(job_id)
+
+
+def list_jobs() -> list[dict]:
+    """Les rendus du plateau, du plus ancien au plus récent."""
+    _prune()
+    with _LOCK:
+        return [job.as_json() for job in _JOBS.values()]
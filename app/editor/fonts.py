@@ -0,0 +1,134 @@
+"""
+Polices — bibliothèque de l'Éditeur.
+
+L'équipe dépose des fichiers de police (TTF, OTF ou WOFF) ; l'Éditeur les
+déclare à `document.fonts` et en habille la légende, le POV et les
+sous-titres. Les sous-titres sont incrustés par FFmpeg (filtre `ass`) :
+libass cherche la police par le nom de famille ÉCRIT DANS LE FICHIER, pas
+par une étiquette choisie à l'import. Famille et graisse sont donc lues ici,
+dans les tables `name` et `OS/2` du fichier, et c'est sous ce nom que le
+navigateur la déclare — le canvas et l'export parlent de la même police.
+
+WOFF2 n'est pas accepté : ses tables sont compressées en Brotli, que la
+bibliothèque standard ne lit pas. Une police WOFF2 se convertit en TTF.
+"""
+
+from __future__ import annotations
+
+import re
+import struct
+import zlib
+
+#: Poids maximal d'un fichier de police.
+FONT_MAX_BYTES = 4 * 1024 * 1024
+
+#: Extension → format CSS (`format()` de @font-face) et type MIME servi.
+FONT_FORMATS = {
+    ".ttf": ("truetype", "font/ttf"),
+    ".otf": ("opentype", "font/otf"),
+    ".woff": ("woff", "font/woff"),
+}
+
+#: Familles admises : elles finissent dans du CSS (entre guillemets) et
+#: dans une ligne de style ASS (séparée par des virgules).
+FONT_FAMILY = re.compile(r"[A-Za-z0-9][A-Za-z0-9 -]{0,39}")
+
+# Versions sfnt : TrueType (deux écritures) et OpenType/CFF.
+_SFNT = {b"\x00\x01\x00\x00", b"true", b"OTTO"}
+# Table `name` : famille (1). Windows Unicode en anglais d'abord, puis
+# n'importe quel enregistrement Unicode, puis Mac Roman.
+_NOM_FAMILLE = 1
+
+
+def _tables_sfnt(contenu: bytes) -> dict[str, bytes]:
+    (nombre,) = struct.unpack_from(">H", contenu, 4)
+    tables = {}
+    for i in range(nombre):
+        tag, _, debut, longueur = struct.unpack_from(">4sIII", contenu, 12 + 16 * i)
+        tables[tag.decode("latin-1")] = contenu[debut:debut + longueur]
+    return tables
+
+
+def _tables_woff(contenu: bytes) -> dict[str, bytes]:
+    (nombre,) = struct.unpack_from(">H", contenu, 12)
+    tables = {}
+    for i in range(nombre):
+        tag, debut, compresse, original, _ = struct.unpack_from(">4sIIII", contenu, 44 + 20 * i)
+        donnees = contenu[debut:debut + compresse]
+        if compresse < original:
+            donnees = zlib.decompress(donnees)
+        tables[tag.decode("latin-1")] = donnees
+    return tables
+
+
+def _famille(table: bytes) -> str | None:
+    _, nombre, debut_chaines = struct.unpack_from(">HHH", table, 0)
+    candidats = {}
+    for i in range(nombre):
+        plateforme, encodage, langue, nom, longueur, decalage = struct.unpack_from(">6H", table, 6 + 12 * i)
+        if nom != _NOM_FAMILLE:
+            continue
+        brut = table[debut_chaines + decalage:debut_chaines + decalage + longueur]
+        if plateforme == 3 and encodage in (0, 1, 10):
+            rang = 0 if langue == 0x409 else 1
+            candidats.setdefault(rang, brut.decode("utf-16-be", "replace"))
+        elif plateforme == 0:
+            candidats.setdefault(2, brut.decode("utf-16-be", "replace"))
+        elif plateforme == 1 and encodage == 0:
+            candidats.setdefault(3, brut.decode("mac_roman", "replace"))
+    return candidats[min(candidats)].strip() if candidats else None
+
+
+def read_font(contenu: bytes, extension: str) -> dict:
+    """
+    Relit un fichier de police.
+
+    Parameters
+    ----------
+    contenu : bytes
+        Le fichier complet.
+    extension : str
+        Son extension, en minuscules (voir FONT_FORMATS).
+
+    Returns
+    -------
+    dict
+        `{family, weight}` : famille de la table `name` et graisse de la
+        table `OS/2`, arrondie à la centaine (100 à 900).
+
+    Raises
+    ------
+    ValueError
+        Format non accepté, fichier illisible, ou famille hors de
+        FONT_FAMILY.
+    """
+    if extension not in FONT_FORMATS:
+        raise ValueError("police : fichier TTF, OTF ou WOFF attendu")
+    if len(contenu) > FONT_MAX_BYTES:
+        raise ValueError(f"police : {FONT_MAX_BYTES // (1024 * 1024)} Mo au plus")
+    entete = contenu[:4]
+    try:
+        if extension == ".woff":
+            if entete != b"wOFF":
+                raise ValueError("police : ce fichier n'est pas du WOFF")
+            tables = _tables_woff(contenu)
+        else:
+            if entete not in _SFNT:
+                raise ValueError("police : ce fichier n'est pas une police TrueType ou OpenType")
+            tables = _tables_sfnt(contenu)
+        famille = _famille(tables["name"]) if "name" in tables else None
+        os2 = tables.get("OS/2", b"")
+        graisse = struct.unpack_from(">H", os2, 4)[0] if len(os2) >= 6 else 400
+    except (struct.error, zlib.error, UnicodeDecodeError):
+        raise ValueError("police : fichier illisible ou tronqué") from None
+
+    if not famille:
+        raise ValueError("police : le fichier ne donne pas de nom de famille")
+    if not FONT_FAMILY.fullmatch(famille):
+        raise ValueError(f"police : nom de famille « {famille[:60]} » non pris en charge "
+                         "(lettres, chiffres, espaces et tirets)")
+    # Vieilles polices : 1 à 9 pour 100 à 900.
+    if 1 <= graisse <= 9:
+        graisse *= 100
+    graisse = min(900, max(100, (graisse + 50) // 100 * 100))
+    return {"family": famille, "weight": graisse}
@@ -8,15 +8,40 @@ following the same pattern as app/scraper/downloaders.py (lines 195-216).
 
 from __future__ import annotations
 
+import math
 import os
 import shutil
 import subprocess
 import tempfile
+import threading
+from collections.abc import Callable
 from pathlib import Path
 
 from loguru import logger
 
 from app.config import EDITOR_UPLOAD_DIR, EDITOR_OUTPUT_DIR
+from app.editor.subtitles import SUBTITLE_FONTS_DIR
+
+#: Fond flou (fill_mode "blur") : écart type du flou gaussien, en px du
+#: template, et facteur de luminosité — les mêmes que BACKDROP_BLUR et
+#: BACKDROP_DIM dans editor-core.js, pour que l'aperçu et l'export coïncident.
+BACKDROP_BLUR = 40
+BACKDROP_DIM = 0.6
+
+#: Étalonnage : gain de la chaleur sur le rouge et le bleu, poids de
+#: luminance (Rec. 709) de la saturation et amplitude du grain à 100, en
+#: niveaux sur 255 — les mêmes que GRADE_WARMTH_GAIN, GRADE_LUMA et
+#: GRADE_GRAIN_AMPLITUDE dans editor-core.js.
+GRADE_WARMTH_GAIN = 0.25
+GRADE_LUMA = (0.2126, 0.7152, 0.0722)
+GRADE_GRAIN_AMPLITUDE = 30
+
+#: Durée maximale d'un rendu FFmpeg, en secondes.
+FFMPEG_TIMEOUT = 600
+
+
+class RenderCanceled(RuntimeError):
+    """Rendu interrompu à la demande (voir process_video(), `cancel`)."""
 
 
 def ensure_dirs() -> None:
@@ -43,6 +68,31 @@ def process_video(
     image_scale: int = 100,
     image_offset_x: int = 0,
     image_offset_y: int = 0,
+    fill_mode: str = "cover",
+    redactions: list[tuple[str, float, float, float, float, int]] | None = None,
+    grade: dict[str, float] | None = None,
+    lut_path: str | None = None,
+    timed_overlays: list[tuple[str, float, float]] | None = None,
+    subtitles_path: str | None = None,
+    subtitles_fonts_dir: str | None = None,
+    mute_audio: bool = False,
+    audio_volume: float = 1.0,
+    audio_fade_in: float = 0,
+    audio_fade_out: float = 0,
+    audio_track_path: str | None = None,
+    audio_track_mode: str = "replace",
+    audio_track_volume: float = 1.0,
+    segments: list[tuple[float, float]] | None = None,
+    playback_speed: float = 1.0,
+    playback_mode: str = "normal",
+    playback_loops: int = 2,
+    output_format: str = "mp4",
+    animation_fps: int = 15,
+    animation_width: int | None = None,
+    gif_colors: int = 256,
+    webp_quality: int = 75,
+    on_progress: Callable[[float], None] | None = None,
+    cancel: threading.Event | None = None,
 ) -> str:
     """
     Process a video with a template overlay using FFmpeg.
@@ -54,6 +104,48 @@ def process_video(
         4. Overlay template PNG on top (transparent cutout for the video)
         5. Output MP4: H.264, 30fps, AAC 128k
 
+    Fond flou : avec `fill_mode` "blur", la vidéo est CONTENUE dans le
+    cadre et une copie agrandie, floutée et assombrie remplit le reste
+    (voir blur_fill_filters()).
+
+    Floutage : chaque zone de `redactions` est floutée ou pixelisée sur
+    l'image SOURCE, avant tout recadrage — elle reste donc fixe sur le
+    média, comme dans l'éditeur (voir redaction_filters()).
+
+    Étalonnage : `grade` et la LUT `lut_path` s'appliquent eux aussi à la
+    source, zones comprises, avant le cadrage et le fond flou — les mêmes
+    formules que les filtres de l'éditeur (voir grade_filters()).
+
+    Textes minutés : chaque surcouche de `timed_overlays` est un template
+    COMPLET (mêmes dimensions, même trou) qui REMPLACE le template de base
+    pendant sa fenêtre — voir timed_overlay_filters().
+
+    Sous-titres : le fichier ASS `subtitles_path` est incrusté en DERNIER,
+    par-dessus le template (filtre `ass`, police de l'Éditeur).
+
+    Coupes : avec `segments`, seuls ces passages de la coupe sont gardés,
+    mis bout à bout (voir segment_filters()). Toutes les autres durées —
+    fenêtres minutées, sous-titres, fondus — sont alors en secondes du
+    résultat, passages retirés exclus.
+
+    Son : sans réglage, la piste d'origine passe telle quelle (`0:a?`).
+    Sinon, voir audio_filters() — gain, fondus aux bornes du rendu,
+    piste `audio_track_path` en remplacement ou mixée.
+
+    Lecture : vitesse, sens et répétitions s'appliquent au clip DÉJÀ
+    composé (voir motion_filters()) — fenêtres minutées et sous-titres
+    restent donc en secondes du clip et suivent l'image. Le son d'origine
+    suit le même traitement ; la piste jointe et les fondus, eux, portent
+    sur la durée finale (playback_duration()).
+
+    Animation : avec `output_format` "gif" ou "webp", le rendu sort en
+    image animée muette, réduite et rééchantillonnée (animation_filters())
+    au lieu du MP4 — l'appelant choisit l'extension de `output_path`.
+
+    Suivi : avec `on_progress` ou `cancel` (file d'export, voir
+    app/editor/exports.py), FFmpeg écrit son avancement sur sa sortie
+    standard (`-progress`) — voir _run_tracked().
+
     Parameters
     ----------
     video_path : str
@@ -76,6 +168,62 @@ def process_video(
         Scale percentage (100 = no zoom, 150 = 1.5x zoom).
     image_offset_x, image_offset_y : int
         Pixel offset from frame center.
+    fill_mode : str
+        "cover" (la vidéo couvre le cadre, l'excédent est rogné) ou "blur"
+        (contenue, sur un fond flou tiré d'elle-même).
+    redactions : list[tuple[str, float, float, float, float, int]] | None
+        (mode, x, y, largeur, hauteur, force) : mode "blur" ou "pixelate",
+        rectangle en fractions de l'image source, force en pixels source
+        — déjà validés par l'appelant.
+    grade : dict[str, float] | None
+        Réglages non nuls parmi brightness, contrast, saturation, warmth
+        (-100 à 100), hue (-180 à 180 degrés), sharpen, vignette et grain
+        (0 à 100) — déjà validés par l'appelant.
+    lut_path : str | None
+        LUT 3D (.cube) appliquée après les réglages de couleur.
+    timed_overlays : list[tuple[str, float, float]] | None
+        (chemin PNG, début, fin) en secondes du clip coupé, fenêtres triées
+        et disjointes — déjà validées par l'appelant.
+    subtitles_path : str | None
+        Fichier ASS au repère du template (app/editor/subtitles.py).
+    subtitles_fonts_dir : str | None
+        Dossier où libass cherche la police des sous-titres (bibliothèque
+        de l'Éditeur) ; par défaut, celui de la Montserrat vendorisée.
+    mute_audio : bool
+        Coupe le son d'origine.
+    audio_volume : float
+        Gain du son d'origine (1 = inchangé, 2 = +6 dB).
+    audio_fade_in, audio_fade_out : float
+        Fondus en secondes, au début et à la fin du rendu.
+    audio_track_path : str | None
+        Fichier audio joint, calé sur le début du clip.
+    audio_track_mode : str
+        "replace" (la piste jointe seule) ou "mix" (avec le son d'origine).
+    audio_track_volume : float
+        Gain de la piste jointe.
+    segments : list[tuple[float, float]] | None
+        Passages gardés (début, fin) en secondes de la vidéo SOURCE, triés,
+        disjoints et compris entre trim_start et trim_end — déjà validés.
+    playback_speed : float
+        Vitesse de lecture, de 0.5 à 2 (son corrigé en hauteur).
+    playback_mode : str
+        "normal", "reverse" (à rebours), "boomerang" (aller puis retour)
+        ou "loop" (`playback_loops` fois de suite).
+    playback_loops : int
+        Nombre de passages en mode "loop".
+    output_format : str
+        "mp4" (H.264 + AAC), "gif" ou "webp" (animé, sans son).
+    animation_fps, animation_width : int
+        Cadence et largeur de l'image animée (None = largeur du template).
+    gif_colors : int
+        Couleurs de la palette GIF (2 à 256).
+    webp_quality : int
+        Qualité du WebP animé (0 à 100).
+    on_progress : Callable[[float], None] | None
+        Appelé avec la fraction rendue (0 à 1) au fil de l'encodage.
+    cancel : threading.Event | None
+        Posé, il interrompt FFmpeg : RenderCanceled est levée et la sortie
+        partielle supprimée.
 
     Returns
     -------
@@ -85,7 +233,11 @@ def process_video(
     if not shutil.which("ffmpeg"):
         raise RuntimeError("ffmpeg is not installed or not on PATH")
 
-    duration = trim_end - trim_start
+    input_span = trim_end - trim_start
+    windows = [(start - trim_start, end - trim_start) for start, end in segments or []]
+    clip_duration = sum(end - start for start, end in windows) if windows else input_span
+    duration = playback_duration(clip_duration, playback_speed, playback_mode, playback_loops)
+    motion = playback_speed != 1 or playback_mode != "normal"
     scale_factor = image_scale / 100
 
     # Use original frame dimensions for video positioning
@@ -99,62 +251,139 @@ def process_video(
     video_x = round(frame_center_x + image_offset_x)
     video_y = round(original_frame_center_y + image_offset_y)
 
-    # Scale video to cover the original frame dimensions
+    # Audio: untouched unless a setting changes it — an animated image has none
+    animated = output_format != "mp4"
+    audio_changed = (mute_audio or audio_volume != 1 or audio_fade_in > 0
+                     or audio_fade_out > 0 or audio_track_path is not None)
+    if animated:
+        has_audio = False
+    else:
+        has_audio = _has_audio(video_path) if (audio_changed or windows or motion) else True
+    # Le son d'origine n'est découpé ou traité que s'il est entendu : une
+    # sortie de filtre laissée sans destination ferait échouer FFmpeg.
+    source_heard = has_audio and (not audio_changed or not mute_audio and (
+        audio_track_path is None or audio_track_mode == "mix"))
+    cut_chains = segment_filters(windows, with_audio=source_heard) if windows else []
+    source_audio = "cut_a" if windows else "0:a"
+    motion_audio = []
+    if motion and source_heard:
+        motion_audio = motion_filters(source_audio, "motion_a", duration=clip_duration, speed=playback_speed,
+                                      mode=playback_mode, loops=playback_loops, audio=True)
+        source_audio = "motion_a"
+    if animated:
+        audio_chains, audio_map = [], ["-an"]
+    elif audio_changed:
+        audio_chains, audio_map = audio_filters(
+            duration,
+            source=source_audio,
+            source_has_audio=source_heard,
+            track_input=(2 + len(timed_overlays or [])) if audio_track_path else None,
+            mute=mute_audio,
+            volume=audio_volume,
+            fade_in=audio_fade_in,
+            fade_out=audio_fade_out,
+            track_mode=audio_track_mode,
+            track_volume=audio_track_volume,
+        )
+    elif windows or motion:
+        audio_chains, audio_map = [], (["-map", f"[{source_audio}]"] if source_heard else [])
+    else:
+        audio_chains, audio_map = [], ["-map", "0:a?"]
+
+    # Scale video to cover the original frame dimensions — or to fit inside
+    # it, over a blurred backdrop
     target_width = round(frame_width * scale_factor)
     target_height = round(use_frame_height * scale_factor)
+    blur_fill = fill_mode == "blur"
+    video_source = "cut_v" if windows else "0:v"
+    redaction_chains = redaction_filters(video_source, "redacted", redactions) if redactions else []
+    if redaction_chains:
+        video_source = "redacted"
+    grade_chains = grade_filters(video_source, "graded", grade or {}, lut_path)
+    if grade_chains:
+        video_source = "graded"
 
+    # Avec un réglage de lecture, la composition sort en [composed] et
+    # motion_filters() la mène à [final].
+    composed = "composed" if motion else "final"
     filter_complex = ";".join([
         # 1. White background at template size
         f"color=white:s={template_width}x{template_height}:r=30[bg]",
+        # 1b. Kept segments, end to end
+        *cut_chains,
+        # 1b'. Blurred or pixelated regions, fixed on the source image
+        *redaction_chains,
+        # 1b''. Colour grade of the source, regions included
+        *grade_chains,
+        # 1c. Blurred backdrop filling the frame
+        *(blur_fill_filters(video_source, x=frame_x, y=frame_y,
+                            width=frame_width, height=frame_height) if blur_fill else []),
         # 2. Scale input video to COVER the frame (larger than frame, keep aspect ratio)
-        f"[0:v]scale=w={target_width}:h={target_height}:force_original_aspect_ratio=increase[scaled]",
+        #    — or to fit inside it over the backdrop
+        f"[{'fill_src' if blur_fill else video_source}]scale=w={target_width}:h={target_height}"
+        f":force_original_aspect_ratio={'decrease' if blur_fill else 'increase'}[scaled]",
         # 3. Overlay video on background, centered at frame position
-        f"[bg][scaled]overlay=x={video_x}-overlay_w/2:y={video_y}-overlay_h/2[with_video]",
-        # 4. Overlay template PNG on top (has transparent hole for video)
-        "[with_video][1:v]overlay=0:0:format=auto[final]",
+        f"[{'filled' if blur_fill else 'bg'}][scaled]overlay=x={video_x}-overlay_w/2:y={video_y}-overlay_h/2[with_video]",
+        # 4. Overlay template PNG(s) on top (has transparent hole for video)
+        *timed_overlay_filters([(start, end) for _, start, end in timed_overlays or []],
+                               output="overlaid" if subtitles_path else composed),
+        # 5. Burn subtitles over everything
+        *([subtitle_filter(subtitles_path, "overlaid", composed, subtitles_fonts_dir)]
+          if subtitles_path else []),
+        # 6. Speed, direction and repeats of the composed clip (and its sound)
+        *(motion_filters(composed, "final", duration=clip_duration, speed=playback_speed,
+                         mode=playback_mode, loops=playback_loops) if motion else []),
+        *motion_audio,
+        # 7. Audio chain (gain, fades, added track)
+        *audio_chains,
+        # 8. Animated image: resampled, resized (and paletted for GIF)
+        *(animation_filters("final", "anim", fmt=output_format, fps=animation_fps,
+                            width=animation_width or template_width, colors=gif_colors) if animated else []),
     ])
 
     logger.info(
-        "FFmpeg processing: {}x{} template, {}x{} target video, scale={}%",
-        template_width, template_height, target_width, target_height, image_scale,
+        "FFmpeg processing: {}x{} template, {}x{} target video, scale={}%, fill={}",
+        template_width, template_height, target_width, target_height, image_scale, fill_mode,
     )
 
     cmd = [
         "ffmpeg", "-y",
         "-threads", "2",  # cap CPU threads — avoids "Resource temporarily unavailable" on small containers
         "-ss", str(trim_start),
-        "-t", str(duration),
+        "-t", str(input_span),
         "-i", video_path,
         "-loop", "1",
         "-i", template_path,
+    ]
+    for overlay_path, _, _ in timed_overlays or []:
+        cmd += ["-loop", "1", "-i", overlay_path]
+    if audio_track_path and not animated:
+        cmd += ["-i", audio_track_path]
+    cmd += [
         "-filter_complex", filter_complex,
-        "-map", "[final]",
-        "-map", "0:a?",
+        "-map", "[anim]" if animated else "[final]",
+        *audio_map,
         "-t", str(duration),
-        "-c:v", "libx264",
-        "-preset", "fast",
-        "-crf", "23",
-        "-c:a", "aac",
-        "-b:a", "128k",
-        "-ar", "44100",
-        "-movflags", "+faststart",
-        "-pix_fmt", "yuv420p",
-        "-r", "30",
+        *_encoder_args(output_format, webp_quality),
         output_path,
     ]
 
     logger.debug("FFmpeg command: {}", " ".join(cmd))
 
     try:
-        result = subprocess.run(
-            cmd,
-            capture_output=True,
-            text=True,
-            timeout=600,  # 10 minute max
-        )
-        if result.returncode != 0:
-            stderr_tail = (result.stderr or "")[-500:]
-            raise RuntimeError(f"ffmpeg exited {result.returncode}: {stderr_tail}")
+        if on_progress is not None or cancel is not None:
+            returncode, stderr = _run_tracked(cmd, duration, on_progress, cancel)
+        else:
+            result = subprocess.run(
+                cmd,
+                capture_output=True,
+                text=True,
+                timeout=FFMPEG_TIMEOUT,  # 10 minute max
+            )
+            returncode, stderr = result.returncode, result.stderr
+        if returncode != 0:
+            stderr_tail = (stderr or "")[-500:]
+            raise RuntimeError(f"ffmpeg exited {returncode}: {stderr_tail}")
 
         output_size = os.path.getsize(output_path)
         if output_size == 0:
@@ -172,6 +401,399 @@ def process_video(
             os.unlink(output_path)
         raise RuntimeError("ffmpeg timed out after 10 minutes")
 
+    except RenderCanceled:
+        if os.path.exists(output_path):
+            os.unlink(output_path)
+        raise
+
+
+def _run_tracked(
+    cmd: list[str],
+    duration: float,
+    on_progress: Callable[[float], None] | None,
+    cancel: threading.Event | None,
+) -> tuple[int, str]:
+    """
+    Lance `cmd` comme subprocess.run(), en suivant son avancement.
+
+    `-progress pipe:1` fait écrire à FFmpeg des lignes `clé=valeur` toutes
+    les demi-secondes ; `out_time_us` (temps de sortie déjà encodé) rapporté
+    à `duration` donne la fraction passée à `on_progress`. `cancel` est
+    relu à chaque ligne. La sortie d'erreur part dans un fichier : un tube
+    plein bloquerait FFmpeg.
+
+    Returns
+    -------
+    tuple[int, str]
+        Code de sortie et sortie d'erreur, comme `result.returncode` et
+        `result.stderr`.
+
+    Raises
+    ------
+    subprocess.TimeoutExpired
+        Au-delà de FFMPEG_TIMEOUT.
+    RenderCanceled
+        `cancel` posé : FFmpeg a été arrêté.
+    """
+    cmd = [cmd[0], "-progress", "pipe:1", "-nostats", *cmd[1:]]
+    expire = threading.Event()
+    with tempfile.TemporaryFile() as erreurs:
+        proc = subprocess.Popen(cmd, stdout=subprocess.PIPE, stderr=erreurs, text=True)
+
+        def _expirer():
+            expire.set()
+            proc.kill()
+
+        minuterie = threading.Timer(FFMPEG_TIMEOUT, _expirer)
+        minuterie.start()
+        try:
+            for ligne in proc.stdout:
+                if cancel is not None and cancel.is_set():
+                    proc.kill()
+                    break
+                cle, _, valeur = ligne.strip().partition("=")
+                if cle == "out_time_us" and valeur.isdigit() and on_progress and duration > 0:
+                    on_progress(min(1.0, int(valeur) / 1_000_000 / duration))
+            proc.wait()
+        finally:
+            minuterie.cancel()
+            proc.stdout.close()
+
+        if cancel is not None and cancel.is_set():
+            raise RenderCanceled("rendu annulé")
+        if expire.is_set():
+            raise subprocess.TimeoutExpired(cmd, FFMPEG_TIMEOUT)
+        erreurs.seek(0)
+        return proc.returncode, erreurs.read().decode("utf-8", "replace")
+
+
+def timed_overlay_filters(windows: list[tuple[float, float]], output: str = "final") -> list[str]:
+    """
+    Chaîne de surcouches du graphe FFmpeg, de [with_video] à [`output`].
+
+    Entrée 1 : le template de base ; entrées 2, 3… : un template par fenêtre
+    (début, fin) de `windows`. Chaque template minuté n'est posé QUE dans sa
+    fenêtre, le template de base partout AILLEURS — jamais deux à la fois :
+    un texte fixe ne transparaît pas sous le texte qui le remplace.
+    Sans fenêtre, la chaîne est l'unique surcouche d'origine.
+    """
+    if not windows:
+        return [f"[with_video][1:v]overlay=0:0:format=auto[{output}]"]
+
+    # Fin exclue : à la frontière de deux fenêtres, une seule surcouche.
+    inside = [f"gte(t,{start:.3f})*lt(t,{end:.3f})" for start, end in windows]
+    filters = [f"[with_video][1:v]overlay=0:0:format=auto:enable='not({'+'.join(inside)})'[timed0]"]
+    for index, enable in enumerate(inside, start=1):
+        target = output if index == len(inside) else f"timed{index}"
+        filters.append(
+            f"[timed{index - 1}][{index + 1}:v]overlay=0:0:format=auto:enable='{enable}'[{target}]")
+    return filters
+
+
+def segment_filters(windows: list[tuple[float, float]], *, with_audio: bool) -> list[str]:
+    """
+    Passages gardés de l'entrée 0, mis bout à bout : [cut_v] (et [cut_a]).
+
+    `windows` est en secondes de l'entrée DÉJÀ coupée par `-ss` (0 =
+    trim_start). Chaque passage repart de 0 (setpts) avant concaténation.
+    """
+    chains: list[str] = []
+    pads: list[str] = []
+    for index, (start, end) in enumerate(windows):
+        chains.append(f"[0:v]trim=start={start:.3f}:end={end:.3f},setpts=PTS-STARTPTS[cut{index}v]")
+        pads.append(f"[cut{index}v]")
+        if with_audio:
+            chains.append(f"[0:a]atrim=start={start:.3f}:end={end:.3f},asetpts=PTS-STARTPTS[cut{index}a]")
+            pads.append(f"[cut{index}a]")
+    outputs = "[cut_v][cut_a]" if with_audio else "[cut_v]"
+    chains.append(f"{''.join(pads)}concat=n={len(windows)}:v=1:a={int(with_audio)}{outputs}")
+    return chains
+
+
+def blur_fill_filters(source: str, *, x: int, y: int, width: int, height: int) -> list[str]:
+    """
+    Fond flou du cadre (`x`, `y`, `width` × `height`) tiré de [`source`].
+
+    La source est dédoublée : [fill_src] garde l'image nette, l'autre copie
+    couvre le cadre — agrandie d'une marge de deux écarts types de chaque
+    côté puis recadrée au centre, pour que le flou ne fonce pas les bords —
+    floutée et assombrie, puis posée sur [bg] en [filled]. Même géométrie
+    que paintBackdrop() dans editor.js.
+    """
+    margin = 4 * BACKDROP_BLUR
+    return [
+        f"[{source}]split[fill_src][fill_bg]",
+        f"[fill_bg]scale=w={width + margin}:h={height + margin}:force_original_aspect_ratio=increase,"
+        f"crop={width}:{height},gblur=sigma={BACKDROP_BLUR},"
+        f"colorchannelmixer=rr={BACKDROP_DIM}:gg={BACKDROP_DIM}:bb={BACKDROP_DIM}[backdrop]",
+        f"[bg][backdrop]overlay=x={x}:y={y}[filled]",
+    ]
+
+
+def redaction_filters(
+    source: str, output: str, regions: list[tuple[str, float, float, float, float, int]]
+) -> list[str]:
+    """
+    Zones floutées ou pixelisées de [`source`], en [`output`].
+
+    Chaque zone (mode, x, y, largeur, hauteur, force) est en fractions de
+    l'image : elle en est découpée, traitée puis reposée au même endroit.
+    Le flou (boxblur, deux passes) borne son rayon à la moitié de la zone,
+    que FFmpeg refuse de dépasser ; la pixelisation (pixelize) prend des
+    blocs de `force` pixels. Même force que drawRedactions() dans editor.js.
+    """
+    filters: list[str] = []
+    current = source
+    for index, (mode, x, y, width, height, strength) in enumerate(regions):
+        target = output if index == len(regions) - 1 else f"red{index}"
+        if mode == "pixelate":
+            effect = f"pixelize=width={strength}:height={strength}"
+        else:
+            effect = (f"boxblur=luma_radius='max(0,min({strength},min(w,h)/2-1))':luma_power=2"
+                      f":chroma_radius='max(0,min({strength},min(cw,ch)/2-1))':chroma_power=2")
+        filters += [
+            f"[{current}]split[red{index}_base][red{index}_src]",
+            f"[red{index}_src]crop=w=iw*{width:.4f}:h=ih*{height:.4f}"
+            f":x=iw*{x:.4f}:y=ih*{y:.4f},{effect}[red{index}_patch]",
+            f"[red{index}_base][red{index}_patch]overlay=x=W*{x:.4f}:y=H*{y:.4f}[{target}]",
+        ]
+        current = target
+    return filters
+
+
+def grade_matrices(hue: float, saturation: float, warmth: float) -> list[list[list[float]]]:
+    """
+    Matrices RGB 3×3 de la teinte (rotation de `hue` degrés autour de l'axe
+    des gris), de la saturation (-100 à 100, autour de la luminance) et de
+    la chaleur (-100 à 100, rouge contre bleu), dans cet ordre, neutres
+    omises — gradeMatrices() dans editor-core.js, un filtre ColorMatrix de
+    Fabric chacune. Appliquées l'une après l'autre, chacune bornée à
+    0..255 comme côté navigateur, et leurs coefficients restent dans les
+    bornes de colorchannelmixer (-2 à 2).
+    """
+    matrices = []
+    if hue:
+        angle = math.radians(hue)
+        cos, sin = math.cos(angle), math.sin(angle)
+        third, root = (1 - cos) / 3, math.sqrt(1 / 3) * sin
+        matrices.append([
+            [cos + third, third - root, third + root],
+            [third + root, cos + third, third - root],
+            [third - root, third + root, cos + third],
+        ])
+    if saturation:
+        s = 1 + saturation / 100
+        matrices.append([[GRADE_LUMA[j] * (1 - s) + (s if i == j else 0) for j in range(3)]
+                         for i in range(3)])
+    if warmth:
+        k = warmth / 100 * GRADE_WARMTH_GAIN
+        matrices.append([[1 + k, 0, 0], [0, 1, 0], [0, 0, 1 - k]])
+    return matrices
+
+
+def grade_filters(source: str, output: str, grade: dict[str, float], lut_path: str | None = None) -> list[str]:
+    """
+    Étalonnage de [`source`] en [`output`], dans l'ordre des filtres de
+    applyImageFiltersNow() dans editor.js :
+
+    1. luminosité puis contraste (lutrgb) — les formules des filtres
+       Brightness et Contrast de Fabric ;
+    2. teinte, saturation et chaleur (colorchannelmixer) — grade_matrices() ;
+    3. LUT 3D (lut3d, interpolation trilinéaire, comme l'éditeur) ;
+    4. netteté (convolution) — le noyau Convolute de l'éditeur, sur les
+       plans R, G et B (format gbrp) comme lui : sur du YUV, il accentuerait
+       aussi la chrominance ;
+    5. grain (noise, sur la luminance seule) — monochrome, comme Noise ;
+    6. vignette (vignette) — cos⁴ de la distance au centre, rapportée à la
+       demi-diagonale, que drawVignette() peint par-dessus le média.
+
+    Un réglage nul n'ajoute aucun filtre ; sans réglage ni LUT, aucune chaîne.
+    """
+    steps: list[str] = []
+    brightness = grade.get("brightness", 0)
+    contrast = grade.get("contrast", 0)
+    if brightness or contrast:
+        shift = round(255 * brightness / 100)
+        level = math.floor(255 * contrast / 100)
+        factor = 259 * (level + 255) / (255 * (259 - level))
+        curve = f"'clip({factor:.4f}*(clip(val+{shift},0,255)-128)+128,0,255)'"
+        steps.append(f"lutrgb=r={curve}:g={curve}:b={curve}")
+    for matrix in grade_matrices(grade.get("hue", 0), grade.get("saturation", 0), grade.get("warmth", 0)):
+        steps.append("colorchannelmixer=" + ":".join(
+            f"{out}{src}={matrix[i][j]:.4f}"
+            for i, out in enumerate("rgb") for j, src in enumerate("rgb")))
+    if lut_path:
+        steps.append(f"lut3d=file={_filter_path(lut_path)}:interp=trilinear")
+    if grade.get("sharpen"):
+        side = round(grade["sharpen"] / 2)
+        kernel = f"'0 -{side} 0 -{side} {100 + 4 * side} -{side} 0 -{side} 0'"
+        steps.append("format=gbrp,convolution=" + ":".join(
+            f"{plane}m={kernel}:{plane}rdiv=0.01" for plane in range(3)))
+    if grade.get("grain"):
+        strength = 2 * round(grade["grain"] / 100 * GRADE_GRAIN_AMPLITUDE)
+        steps.append(f"format=yuv420p,noise=c0s={strength}:c0f=t+u")
+    if grade.get("vignette"):
+        steps.append(f"vignette=angle={grade['vignette'] / 100 * math.pi / 2:.4f}")
+    if not steps:
+        return []
+    return [f"[{source}]{','.join(steps)}[{output}]"]
+
+
+def animation_filters(source: str, output: str, *, fmt: str, fps: int, width: int, colors: int) -> list[str]:
+    """
+    Image animée de [`source`] à [`output`] : cadence `fps`, largeur `width`
+    (hauteur paire, proportions gardées).
+
+    GIF : palette calculée sur le clip lui-même (palettegen, en mode diff
+    pour privilégier ce qui bouge) puis appliquée avec un tramage ordonné,
+    stable d'une image à l'autre — une palette fixe de 256 couleurs
+    bavait sur les dégradés et le tramage par diffusion scintillait.
+    """
+    head = f"[{source}]fps={fps},scale={width}:-2:flags=lanczos"
+    if fmt != "gif":
+        return [f"{head}[{output}]"]
+    return [
+        f"{head},split[{output}_a][{output}_b]",
+        f"[{output}_a]palettegen=max_colors={colors}:stats_mode=diff[{output}_pal]",
+        f"[{output}_b][{output}_pal]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle[{output}]",
+    ]
+
+
+def _encoder_args(fmt: str, webp_quality: int) -> list[str]:
+    """Options de sortie : MP4 H.264/AAC, GIF ou WebP animés en boucle infinie."""
+    if fmt == "gif":
+        return ["-loop", "0"]
+    if fmt == "webp":
+        return ["-c:v", "libwebp", "-lossless", "0", "-quality", str(webp_quality), "-loop", "0"]
+    return [
+        "-c:v", "libx264",
+        "-preset", "fast",
+        "-crf", "23",
+        "-c:a", "aac",
+        "-b:a", "128k",
+        "-ar", "44100",
+        "-movflags", "+faststart",
+        "-pix_fmt", "yuv420p",
+        "-r", "30",
+    ]
+
+
+def playback_duration(clip_duration: float, speed: float, mode: str, loops: int) -> float:
+    """Durée du rendu pour un clip de `clip_duration` secondes et un réglage de lecture."""
+    passes = {"boomerang": 2, "loop": loops}.get(mode, 1)
+    return clip_duration * passes / speed
+
+
+def motion_filters(
+    source: str,
+    output: str,
+    *,
+    duration: float,
+    speed: float,
+    mode: str,
+    loops: int,
+    audio: bool = False,
+) -> list[str]:
+    """
+    Vitesse, sens et répétitions, de [`source`] à [`output`].
+
+    Le flux est d'abord borné à `duration` — la composition, posée sur un
+    fond sans fin, n'aurait sinon jamais de dernière image à inverser —
+    puis accéléré ou ralenti (`atempo` garde la hauteur du son). `reverse`
+    et les répétitions gardent tout le clip en mémoire : l'appelant en
+    borne la durée.
+    """
+    a = "a" if audio else ""
+    steps = [f"{a}trim=duration={duration:.3f}", f"{a}setpts=PTS-STARTPTS"]
+    if speed != 1:
+        steps.append(f"atempo={speed:.3f}" if audio else f"setpts=PTS/{speed:.3f}")
+    if mode == "reverse":
+        steps.append(f"{a}reverse")
+    head = f"[{source}]{','.join(steps)}"
+    concat = f"concat=n={{}}:v={int(not audio)}:a={int(audio)}[{output}]"
+
+    if mode == "boomerang":
+        return [
+            f"{head},{a}split=2[{output}_fwd][{output}_rev_in]",
+            f"[{output}_rev_in]{a}reverse[{output}_rev]",
+            f"[{output}_fwd][{output}_rev]" + concat.format(2),
+        ]
+    if mode == "loop":
+        pads = "".join(f"[{output}_{index}]" for index in range(loops))
+        return [f"{head},{a}split={loops}{pads}", pads + concat.format(loops)]
+    return [f"{head}[{output}]"]
+
+
+def audio_filters(
+    duration: float,
+    *,
+    source: str = "0:a",
+    source_has_audio: bool,
+    track_input: int | None,
+    mute: bool,
+    volume: float,
+    fade_in: float,
+    fade_out: float,
+    track_mode: str,
+    track_volume: float,
+) -> tuple[list[str], list[str]]:
+    """
+    Chaîne audio du graphe FFmpeg et son `-map`.
+
+    Sources : le son d'origine [`source`] (s'il existe, n'est pas coupé, et
+    qu'aucune piste ne le remplace) et la piste jointe [`track_input`:a].
+    Deux sources sont mixées sans normalisation — chacune garde son gain —
+    à la durée du clip ; les fondus s'appliquent au résultat. Sans aucune
+    source, la sortie est muette (`-an`).
+    """
+    chains: list[str] = []
+    sources: list[str] = []
+    if source_has_audio and not mute and (track_input is None or track_mode == "mix"):
+        chains.append(f"[{source}]volume={volume:.2f}[src_a]")
+        sources.append("[src_a]")
+    if track_input is not None:
+        chains.append(f"[{track_input}:a]volume={track_volume:.2f}[track_a]")
+        sources.append("[track_a]")
+    if not sources:
+        return [], ["-an"]
+
+    head = "".join(sources) + ("amix=inputs=2:duration=first:normalize=0" if len(sources) == 2 else "anull")
+    fades = []
+    if fade_in > 0:
+        fades.append(f"afade=t=in:st=0:d={fade_in:.3f}")
+    if fade_out > 0:
+        fades.append(f"afade=t=out:st={max(0.0, duration - fade_out):.3f}:d={fade_out:.3f}")
+    chains.append(",".join([head, *fades]) + "[aout]")
+    return chains, ["-map", "[aout]"]
+
+
+def _has_audio(video_path: str) -> bool:
+    """La vidéo a-t-elle une piste son ? (ffprobe ; dans le doute, oui.)"""
+    if not shutil.which("ffprobe"):
+        return True
+    try:
+        result = subprocess.run(
+            ["ffprobe", "-v", "error", "-select_streams", "a", "-show_entries",
+             "stream=index", "-of", "csv=p=0", video_path],
+            capture_output=True, text=True, timeout=30,
+        )
+    except subprocess.TimeoutExpired:
+        return True
+    return result.returncode != 0 or bool(result.stdout.strip())
+
+
+def subtitle_filter(ass_path: str, source: str, output: str, fonts_dir: str | None = None) -> str:
+    """Filtre `ass` de [`source`] à [`output`], avec les polices de `fonts_dir`
+    (par défaut celle de l'Éditeur)."""
+    return (f"[{source}]ass=filename={_filter_path(ass_path)}"
+            f":fontsdir={_filter_path(fonts_dir or str(SUBTITLE_FONTS_DIR))}[{output}]")
+
+
+def _filter_path(path: str) -> str:
+    """Chemin cité pour une option de filtre (`:` et `'` y sont spéciaux)."""
+    escaped = path.replace("\\", "/").replace("'", "\\'").replace(":", "\\:")
+    return f"'{escaped}'"
+
 
 def cleanup_files(*paths: str) -> None:
     """Remove temporary files, ignoring errors."""
@@ -0,0 +1,239 @@
+"""
+Sous-titres — import SRT/WebVTT et incrustation par FFmpeg.
+
+L'Éditeur envoie le fichier choisi à POST /api/editor/subtitles/parse, qui
+le relit en une liste de répliques `{start, end, text}` (secondes). Les
+répliques vivent ensuite dans la composition, avec leur décalage et leur
+style (les trois styles du POV : contour, fond blanc, fond noir).
+
+À l'export, le client envoie pour CHAQUE plateau les répliques de la coupe
+(en secondes du clip) et leur placement dans le gabarit. Le serveur les
+écrit en ASS — styles, marges et corps dérivés de ce placement — et FFmpeg
+les incruste par-dessus le template (filtre `ass`), avec la Montserrat
+vendorisée de l'Éditeur ou la police choisie dans la bibliothèque
+(app/editor/fonts.py). Si libass ne la trouve pas, il retombe sur la
+police sans empattement du système : le texte sort quand même.
+"""
+
+from __future__ import annotations
+
+import html
+import re
+from pathlib import Path
+
+from app.editor.errors import InputError
+from app.editor.fonts import FONT_FAMILY
+
+#: Plafond du fichier importé : ses répliques voyagent ensuite dans la
+#: composition, plafonnée à 256 Ko (app/editor/compositions.py).
+SUBTITLE_MAX_BYTES = 128 * 1024
+#: Répliques au plus par fichier (et par export).
+SUBTITLE_MAX_CUES = 2000
+#: Longueur maximale d'une réplique, en caractères.
+CUE_MAX_CHARS = 300
+
+#: Les styles du POV de l'Éditeur (POV_STYLES dans editor.js).
+SUBTITLE_STYLES = ("outline", "light", "dark")
+
+#: Police de l'Éditeur, servie au filtre `ass` par son répertoire.
+SUBTITLE_FONTS_DIR = Path(__file__).resolve().parent.parent / "web" / "static" / "vendor" / "fonts"
+SUBTITLE_FONT = "Montserrat"
+
+# 00:01:02,500 (SRT) — 00:01:02.500 ou 01:02.500 (WebVTT).
+_HORODATAGE = re.compile(r"(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})")
+# Balises de mise en forme (<i>, <c.jaune>, <00:00:01.000>) et surcharges ASS ({\an8}).
+_BALISES = re.compile(r"<[^>]*>|\{\\[^}]*\}")
+
+
+def _secondes(match: re.Match) -> float:
+    heures, minutes, secondes, fraction = match.groups()
+    return (int(heures or 0) * 3600 + int(minutes) * 60 + int(secondes)
+            + int(fraction.ljust(3, "0")) / 1000)
+
+
+def parse_subtitles(text: str) -> list[dict]:
+    """
+    Relit un fichier SRT ou WebVTT.
+
+    Parameters
+    ----------
+    text : str
+        Contenu du fichier, déjà décodé.
+
+    Returns
+    -------
+    list[dict]
+        Répliques `{start, end, text}` triées par début, en secondes. Les
+        balises de mise en forme sont retirées ; une réplique vide ou de
+        durée nulle est ignorée.
+
+    Raises
+    ------
+    InputError
+        Horodatage illisible, aucune réplique, ou trop de répliques.
+    """
+    contenu = text.lstrip("\ufeff").replace("\r\n", "\n").replace("\r", "\n")
+    repliques = []
+    for bloc in re.split(r"\n[ \t]*\n", contenu.strip()):
+        lignes = bloc.split("\n")
+        # L'en-tête WEBVTT, les blocs NOTE/STYLE et les numéros orphelins
+        # n'ont pas de ligne d'horodatage : ils sont simplement sautés.
+        index = next((i for i, ligne in enumerate(lignes) if "-->" in ligne), None)
+        if index is None:
+            continue
+        gauche, _, droite = lignes[index].partition("-->")
+        debut = _HORODATAGE.search(gauche)
+        # Après la fin, WebVTT admet des réglages (« align:start ») : ignorés.
+        fin = _HORODATAGE.match(droite.strip())
+        if not debut or not fin:
+            raise InputError(f"horodatage illisible : {lignes[index].strip()[:60]}")
+
+        corps = "\n".join(ligne.strip() for ligne in lignes[index + 1:] if ligne.strip())
+        corps = html.unescape(_BALISES.sub("", corps)).strip()
+        start, end = _secondes(debut), _secondes(fin)
+        if corps and end > start:
+            repliques.append({"start": start, "end": end, "text": corps[:CUE_MAX_CHARS]})
+
+    if not repliques:
+        raise InputError("aucun sous-titre lisible dans ce fichier")
+    if len(repliques) > SUBTITLE_MAX_CUES:
+        raise InputError(f"{SUBTITLE_MAX_CUES} sous-titres au plus par fichier")
+    repliques.sort(key=lambda r: r["start"])
+    return repliques
+
+
+def subtitle_track(raw, duration: float) -> dict | None:
+    """
+    Valide la piste `subtitles` envoyée avec un export vidéo.
+
+    Les répliques sont en secondes du clip coupé : celles qui tombent hors
+    du clip sont écartées, celles qui le chevauchent sont rognées.
+    Retourne None si la piste est absente ou vide ; lève InputError si
+    elle est mal formée.
+    """
+    if not raw:
+        return None
+    if not isinstance(raw, dict):
+        raise InputError("subtitles : objet attendu")
+    style = raw.get("style")
+    if style not in SUBTITLE_STYLES:
+        raise InputError(f"subtitles.style : {', '.join(SUBTITLE_STYLES)} attendu")
+    try:
+        geometrie = {cle: float(raw[cle]) for cle in ("fontSize", "x", "y", "width")}
+    except (KeyError, TypeError, ValueError):
+        raise InputError("subtitles : fontSize, x, y et width numériques attendus") from None
+    if not 8 <= geometrie["fontSize"] <= 400 or geometrie["width"] <= 0:
+        raise InputError("subtitles : corps ou largeur hors bornes")
+    police = _police(raw.get("font"))
+
+    brut = raw.get("cues")
+    if not isinstance(brut, list) or len(brut) > SUBTITLE_MAX_CUES:
+        raise InputError(f"subtitles.cues : liste de {SUBTITLE_MAX_CUES} répliques au plus attendue")
+    repliques = []
+    for index, replique in enumerate(brut):
+        try:
+            start, end = float(replique["start"]), float(replique["end"])
+            texte = replique["text"]
+        except (KeyError, TypeError, ValueError):
+            raise InputError(f"subtitles.cues[{index}] : start, end et text attendus") from None
+        if not isinstance(texte, str) or len(texte) > CUE_MAX_CHARS:
+            raise InputError(f"subtitles.cues[{index}] : texte de {CUE_MAX_CHARS} caractères au plus")
+        start, end = max(0.0, start), min(duration, end)
+        if texte.strip() and end > start:
+            repliques.append({"start": start, "end": end, "text": texte})
+    if not repliques:
+        return None
+    piste = {"style": style, "cues": repliques, **geometrie}
+    if police:
+        piste["font"] = police
+    return piste
+
+
+def _police(raw) -> dict | None:
+    """`font` optionnel d'une piste : {family, weight}, ou None (Montserrat)."""
+    if raw is None:
+        return None
+    if not isinstance(raw, dict):
+        raise InputError("subtitles.font : objet attendu")
+    famille = raw.get("family")
+    if not isinstance(famille, str) or not FONT_FAMILY.fullmatch(famille):
+        raise InputError("subtitles.font.family : lettres, chiffres, espaces et tirets attendus")
+    graisse = raw.get("weight")
+    if isinstance(graisse, bool) or not isinstance(graisse, int) or not 100 <= graisse <= 900:
+        raise InputError("subtitles.font.weight : entier de 100 à 900 attendu")
+    return {"family": famille, "weight": graisse}
+
+
+def _temps_ass(secondes: float) -> str:
+    centiemes = round(secondes * 100)
+    heures, reste = divmod(centiemes, 360000)
+    minutes, reste = divmod(reste, 6000)
+    return f"{heures}:{minutes:02d}:{reste // 100:02d}.{reste % 100:02d}"
+
+
+def _texte_ass(texte: str) -> str:
+    """Une réplique en texte ASS : sauts de ligne \\N, accolades neutralisées.
+
+    Les accolades ouvriraient un bloc de surcharge et la barre oblique
+    inverse une commande (\\N, \\h) : ni l'une ni l'autre ne passe telle quelle.
+    """
+    texte = texte.replace("\\", "/").replace("{", "(").replace("}", ")")
+    return "\\N".join(ligne.strip() for ligne in texte.split("\n"))
+
+
+# Couleurs ASS : &HAABBGGRR, alpha INVERSÉ (00 = opaque).
+_STYLES_ASS = {
+    # Texte blanc, contour noir : le trait Fabric est peint SOUS le texte,
+    # seule sa moitié extérieure se voit (POV_STROKE_RATIO / 2).
+    "outline": {"primary": "&H00FFFFFF", "outline": "&H00000000", "back": "&H00000000",
+                "border_style": 1, "outline_ratio": 0.065},
+    # Bloc par ligne (BorderStyle 3) : la couleur du bloc est l'OutlineColour.
+    "light": {"primary": "&H00000000", "outline": "&H00FFFFFF", "back": "&H00FFFFFF",
+              "border_style": 3, "outline_ratio": 0.25},
+    # Noir à 65 % d'opacité, comme rgba(0, 0, 0, 0.65).
+    "dark": {"primary": "&H00FFFFFF", "outline": "&H59000000", "back": "&H59000000",
+             "border_style": 3, "outline_ratio": 0.25},
+}
+
+
+def build_ass(track: dict, width: int, height: int) -> str:
+    """
+    Document ASS d'une piste validée par subtitle_track().
+
+    Le repère est celui du gabarit (PlayRes = template) : la réplique est
+    centrée sur `x`, posée par son BAS sur `y` et coupée à `width` — le
+    placement du bloc Fabric de l'Éditeur. Avec une `font`, sa graisse va
+    dans le champ Bold, que libass lit comme un poids CSS au-delà de 1.
+    """
+    s = _STYLES_ASS[track["style"]]
+    police = track.get("font") or {"family": SUBTITLE_FONT, "weight": 0}
+    corps = round(track["fontSize"])
+    marge_g = max(0, round(track["x"] - track["width"] / 2))
+    marge_d = max(0, round(width - (track["x"] + track["width"] / 2)))
+    marge_v = max(0, round(height - track["y"]))
+    contour = round(corps * s["outline_ratio"], 1)
+
+    lignes = [
+        "[Script Info]",
+        "ScriptType: v4.00+",
+        f"PlayResX: {width}",
+        f"PlayResY: {height}",
+        "WrapStyle: 0",
+        "ScaledBorderAndShadow: yes",
+        "",
+        "[V4+ Styles]",
+        "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, "
+        "BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, "
+        "BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+        f"Style: Default,{police['family']},{corps},{s['primary']},{s['primary']},{s['outline']},"
+        f"{s['back']},{police['weight']},0,0,0,100,100,0,0,{s['border_style']},{contour},0,2,"
+        f"{marge_g},{marge_d},{marge_v},1",
+        "",
+        "[Events]",
+        "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    ]
+    for replique in track["cues"]:
+        lignes.append(
+            f"Dialogue: 0,{_temps_ass(replique['start'])},{_temps_ass(replique['end'])},"
+            f"Default,,0,0,0,,{_texte_ass(replique['text'])}")
+    return "\n".join(lignes) + "\n"
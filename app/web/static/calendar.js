@@ -881,6 +881,23 @@
         }
         elSideBody.appendChild(preview);
 
+        // Carrousel : la couverture ci-dessus, toutes les diapositives ici.
+        if (p.media_type === 'carousel' && p.slide_count > 0) {
+            const strip = document.createElement('ol');
+            strip.className = 'side__slides';
+            strip.setAttribute('aria-label', 'Diapositives du carrousel');
+            for (let n = 1; n <= p.slide_count; n++) {
+                const li = document.createElement('li');
+                const img = document.createElement('img');
+                img.src = '/api/calendar/posts/' + encodeURIComponent(post.id) + '/slides/' + n;
+                img.alt = 'Diapositive ' + n;
+                img.loading = 'lazy';
+                li.appendChild(img);
+                strip.appendChild(li);
+            }
+            elSideBody.appendChild(strip);
+        }
+
         // État + diagnostic
         const stateBlock = document.createElement('div');
         stateBlock.className = 'pcard pcard--' + (STATUS[p.status] ? p.status : 'draft');
@@ -946,7 +963,9 @@
         dl.className = 'side__rows';
         dl.innerHTML =
             row('Format', p.template_format || '—') +
-            row('Type', p.media_type === 'video' ? 'Vidéo' : 'Image') +
+            row('Type', p.media_type === 'video' ? 'Vidéo'
+                : p.media_type === 'carousel' ? 'Carrousel · ' + (p.slide_count || 0) + ' diapositives'
+                : 'Image') +
             row('Créé le', p.created_at ? fmtFull.format(new Date(p.created_at * 1000)) : '—') +
             row('Programmé', at ? fmtFull.format(at) : '—');
         elSideBody.appendChild(dl);
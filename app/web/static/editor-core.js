@@ -0,0 +1,757 @@
+        // ============================================
+        // ÉDITEUR — LOGIQUE PURE
+        // --------------------------------------------
+        // Constantes et fonctions de l'éditeur qui ne lisent ni le DOM, ni
+        // `state`, ni la bibliothèque Fabric : elles reçoivent tout ce
+        // qu'elles utilisent (un objet de canvas s'y réduit à ses
+        // propriétés et à set()). editor.html charge ce fichier AVANT
+        // editor.js, qui les appelle par leur nom — scripts classiques, une
+        // seule portée globale — ; les tests les évaluent telles quelles
+        // sous Node (fixture `editor_core`, tests/conftest.py).
+        //
+        // Chaque bloc renvoie à la section d'editor.js qui s'en sert. Un nom
+        // déclaré ici ne l'est plus dans editor.js.
+        // ============================================
+
+        const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+
+        // ============================================
+        // ZONES RÉSERVÉES — voir editor.js
+        // --------------------------------------------
+        // Coordonnées en px du gabarit 1080×1920 ; `label` s'affiche sur le
+        // guide, `name` dans l'avertissement. `edge` : côté de la zone
+        // qui borde l'aire sûre — celui où s'accroche le magnétisme.
+        // ============================================
+        const SAFE_ZONES = {
+            tiktok: [
+                { label: 'Onglets', name: 'les onglets', x: 0, y: 0, width: 1080, height: 160, edge: 'bottom' },
+                { label: 'Boutons', name: 'les boutons', x: 920, y: 700, width: 160, height: 820, edge: 'left' },
+                { label: 'Légende', name: 'la légende', x: 0, y: 1520, width: 1080, height: 400, edge: 'top' }
+            ],
+            reels: [
+                { label: 'En-tête', name: 'l’en-tête', x: 0, y: 0, width: 1080, height: 200, edge: 'bottom' },
+                { label: 'Boutons', name: 'les boutons', x: 940, y: 900, width: 140, height: 620, edge: 'left' },
+                { label: 'Légende', name: 'la légende', x: 0, y: 1520, width: 1080, height: 400, edge: 'top' }
+            ]
+        };
+
+        /** Zones réservées d'un plateau ([] si son format n'en a pas). */
+        function safeZonesFor(platform, templateKey) {
+            if (platform === 'tiktok') return SAFE_ZONES.tiktok;
+            if (platform === 'instagram' && templateKey === 'story') return SAFE_ZONES.reels;
+            return [];
+        }
+
+        function rectsOverlap(a, b) {
+            return a.x < b.x + b.width && b.x < a.x + a.width
+                && a.y < b.y + b.height && b.y < a.y + a.height;
+        }
+
+        /**
+         * Accroche de la boîte `r` (px du gabarit) au bord de la zone `z` :
+         * { axis, delta, at } — `delta` à ajouter à la position sur l'axe
+         * 'x' ou 'y', `at` la coordonnée du bord —, ou null si la zone ne
+         * borde pas la boîte.
+         */
+        function safeZoneSnap(z, r) {
+            if (z.edge === 'left') {
+                // La colonne de boutons ne borde que sa hauteur.
+                if (r.y >= z.y + z.height || r.y + r.height <= z.y) return null;
+                return { axis: 'x', delta: z.x - (r.x + r.width), at: z.x };
+            }
+            const edge = z.edge === 'bottom' ? z.y + z.height : z.y;
+            return { axis: 'y', delta: edge - (z.edge === 'bottom' ? r.y : r.y + r.height), at: edge };
+        }
+
+        /** Noms des zones sur lesquelles la boîte `r` déborde. */
+        function safeZoneHits(zones, r) {
+            return zones.filter(z => rectsOverlap(r, z)).map(z => z.name);
+        }
+
+        // ============================================
+        // CALQUES — voir editor.js
+        // ============================================
+        const LAYER_NAMES = {
+            watermark: 'Filigrane',
+            povObj: 'POV',
+            overlayTextObj: 'Texte sur l’image',
+            textBox: 'Texte',
+            subtitleObj: 'Sous-titre',
+            imageObj: 'Média',
+            backdropObj: 'Fond flou',
+            frameBorder: 'Bordure du cadre',
+            frameRect: 'Cadre',
+            templateBg: 'Fond du gabarit'
+        };
+
+        let layerSeq = 0;
+
+        /** Rôle de l'objet sur le plateau (clé de p.layerFlags). */
+        function layerKeyOf(p, obj) {
+            const role = Object.keys(LAYER_NAMES).find(k => p[k] === obj);
+            if (role) return role;
+            if (!obj.layerId) obj.layerId = 'obj' + (++layerSeq);
+            return obj.layerId;
+        }
+
+        function layerNameOf(p, obj) {
+            return LAYER_NAMES[layerKeyOf(p, obj)] || obj.layerName || obj.type;
+        }
+
+        /** Objets listés, du premier plan au fond (repères exclus). */
+        function layersOf(p) {
+            return p.canvas.getObjects().filter(o => !o.excludeFromLayers).reverse();
+        }
+
+        function setLayerHidden(obj, hidden) {
+            if (!!obj.layerHidden === hidden) return;
+            if (hidden) {
+                obj.layerEvented = obj.evented;
+                obj.set({ layerHidden: true, evented: false });
+            } else {
+                obj.set({ layerHidden: false, evented: obj.layerEvented !== false });
+            }
+        }
+
+        function setLayerLocked(obj, locked) {
+            if (!!obj.layerLocked === locked) return;
+            if (locked) obj.layerControls = obj.hasControls;
+            obj.set({
+                layerLocked: locked,
+                lockMovementX: locked, lockMovementY: locked,
+                lockScalingX: locked, lockScalingY: locked,
+                lockRotation: locked,
+                hasControls: locked ? false : obj.layerControls !== false
+            });
+        }
+
+        /** Repose les drapeaux du plateau (rangés par rôle) sur ses objets. */
+        function applyLayerFlags(p) {
+            layersOf(p).forEach(function(obj) {
+                const flags = p.layerFlags[layerKeyOf(p, obj)];
+                if (!flags) return;
+                setLayerHidden(obj, !!flags.hidden);
+                setLayerLocked(obj, !!flags.locked);
+            });
+        }
+
+        // ============================================
+        // ANNOTATIONS — voir editor.js
+        // ============================================
+        const ANNOTATION_MAX = 50;
+        const ANNOTATION_PATH_MAX = 4000;   // commandes d'un tracé au crayon
+        const ANNOTATION_TEXT_MAX = 300;
+        // Fichiers de /static/stickers/, par nom.
+        const STICKERS = {
+            bulle: 'Bulle', explosion: 'Explosion', coeur: 'Cœur',
+            eclair: 'Éclair', valide: 'Validé', interdit: 'Interdit'
+        };
+        const EMOJIS = ['😂', '💀', '🔥', '😭', '👀', '🤡', '💯', '😳'];
+        const ANNOTATION_NAMES = {
+            arrow: 'Flèche', ellipse: 'Cercle', rect: 'Cadre', pen: 'Tracé',
+            text: 'Texte libre', sticker: 'Sticker', emoji: 'Emoji'
+        };
+
+        function sanitizePenPath(path) {
+            if (!Array.isArray(path) || !path.length || path.length > ANNOTATION_PATH_MAX) return null;
+            const ok = path.every(function(cmd) {
+                return Array.isArray(cmd) && /^[MLQCZ]$/.test(cmd[0]) && cmd.slice(1).every(isNumber);
+            });
+            return ok ? path : null;
+        }
+
+        /**
+         * Ne garde que des annotations bien formées — la liste peut venir
+         * d'une composition enregistrée, donc du serveur.
+         */
+        function sanitizeAnnotations(list) {
+            if (!Array.isArray(list)) return [];
+            return list.filter(function(a) {
+                if (!a || typeof a !== 'object' || !(a.kind in ANNOTATION_NAMES)) return false;
+                if (typeof a.id !== 'string' || !/^#[0-9a-f]{6}$/i.test(a.color || '')) return false;
+                if (![a.left, a.top, a.scaleX, a.scaleY, a.angle].every(isNumber)) return false;
+                if (a.kind === 'pen') return !!sanitizePenPath(a.path);
+                if (a.kind === 'text') return typeof a.text === 'string' && a.text.length <= ANNOTATION_TEXT_MAX && isNumber(a.width);
+                if (a.kind === 'sticker') return a.sticker in STICKERS;
+                if (a.kind === 'emoji') return EMOJIS.includes(a.emoji);
+                return true;
+            }).slice(0, ANNOTATION_MAX);
+        }
+
+        // ============================================
+        // FLOUTAGE — voir editor.js
+        // --------------------------------------------
+        // Une zone est un rectangle en fractions de la source ENTIÈRE ;
+        // mêmes bornes que _redactions() côté serveur.
+        // ============================================
+        const REDACTION_MAX = 20;
+        const REDACTION_MIN_SIZE = 0.01;    // fraction de la source
+        // Force : un bloc (ou un rayon de flou) d'un quarantième du grand
+        // côté de la source — pseudo et visage n'y sont plus lisibles.
+        const REDACTION_STRENGTH_DIVISOR = 40;
+        const REDACTION_MODES = { blur: 'Flou', pixelate: 'Pixels' };
+
+        /**
+         * Ne garde que des zones bien formées, dans la source — la liste
+         * peut venir d'une composition enregistrée, donc du serveur.
+         */
+        function sanitizeRedactions(list) {
+            if (!Array.isArray(list)) return [];
+            return list.filter(function(r) {
+                if (!r || typeof r !== 'object' || typeof r.id !== 'string' || !(r.mode in REDACTION_MODES)) return false;
+                if (![r.x, r.y, r.width, r.height].every(isNumber)) return false;
+                return r.x >= 0 && r.y >= 0
+                    && r.width >= REDACTION_MIN_SIZE && r.height >= REDACTION_MIN_SIZE
+                    && r.x + r.width <= 1 + 1e-9 && r.y + r.height <= 1 + 1e-9;
+            }).slice(0, REDACTION_MAX);
+        }
+
+        /** Force en px de la source (2..200, bornes du serveur). */
+        function redactionStrength(natW, natH) {
+            return Math.max(2, Math.min(200, Math.round(Math.max(natW, natH) / REDACTION_STRENGTH_DIVISOR)));
+        }
+
+        /** Export vidéo : les zones, avec leur force pour une source natW × natH. */
+        function redactionsExportOf(redactions, natW, natH) {
+            const strength = redactionStrength(natW, natH);
+            return redactions.map(function(r) {
+                return { mode: r.mode, x: r.x, y: r.y, width: r.width, height: r.height, strength };
+            });
+        }
+
+        // ============================================
+        // CADRAGE AUTOMATIQUE — voir editor.js
+        // ============================================
+        const AUTO_FRAME_MAX_ZOOM = 150;    // %, comme le curseur « Zoom image »
+
+        /** Point choisi à la main, ou null — il peut venir d'une composition. */
+        function sanitizeFocusPoint(point) {
+            if (!point || typeof point !== 'object' || !isNumber(point.x) || !isNumber(point.y)) return null;
+            if (point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) return null;
+            return { x: point.x, y: point.y };
+        }
+
+        /**
+         * Point d'intérêt de l'image RGBA `data` (w × h px), en fractions de
+         * l'image. Le tiers de l'image le plus riche en contours l'emporte —
+         * un léger poids vers le centre écarte le bruit des bords — et le
+         * point est le barycentre de ses contours. Une image unie rend le
+         * centre.
+         */
+        function focusOfPixels(data, w, h) {
+            const luma = new Float32Array(w * h);
+            for (let i = 0; i < w * h; i++) {
+                luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            }
+            const energy = new Float32Array(w * h);
+            for (let y = 1; y < h - 1; y++) {
+                for (let x = 1; x < w - 1; x++) {
+                    const i = y * w + x;
+                    const dx = x / (w - 1) - 0.5;
+                    const dy = y / (h - 1) - 0.5;
+                    energy[i] = Math.hypot(luma[i + 1] - luma[i - 1], luma[i + w] - luma[i - w])
+                        * (1 - dx * dx - dy * dy);
+                }
+            }
+
+            // Tiers le plus chargé : table des sommes, une lecture par fenêtre.
+            const sums = new Float64Array((w + 1) * (h + 1));
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    sums[(y + 1) * (w + 1) + x + 1] = energy[y * w + x]
+                        + sums[y * (w + 1) + x + 1] + sums[(y + 1) * (w + 1) + x] - sums[y * (w + 1) + x];
+                }
+            }
+            const winW = Math.max(1, Math.round(w / 3));
+            const winH = Math.max(1, Math.round(h / 3));
+            let best = 0;
+            let bestX = 0;
+            let bestY = 0;
+            for (let y = 0; y + winH <= h; y++) {
+                for (let x = 0; x + winW <= w; x++) {
+                    const s = sums[(y + winH) * (w + 1) + x + winW] - sums[y * (w + 1) + x + winW]
+                        - sums[(y + winH) * (w + 1) + x] + sums[y * (w + 1) + x];
+                    if (s > best) { best = s; bestX = x; bestY = y; }
+                }
+            }
+
+            let cx = w / 2;
+            let cy = h / 2;
+            if (best > 0) {
+                let mx = 0;
+                let my = 0;
+                for (let y = bestY; y < bestY + winH; y++) {
+                    for (let x = bestX; x < bestX + winW; x++) {
+                        const e = energy[y * w + x];
+                        mx += e * (x + 0.5);
+                        my += e * (y + 0.5);
+                    }
+                }
+                cx = mx / best;
+                cy = my / best;
+            }
+            return { x: cx / w, y: cy / h };
+        }
+
+        /**
+         * Cadrage { imageScale, imageOffsetX, imageOffsetY } qui amène au
+         * centre du cadre visible (viewW × viewH) le point à (rx, ry) du
+         * centre du média — px de la source tournée, srcW × srcH, posée à
+         * l'échelle `baseScale`. En « cover », le média ne découvre jamais
+         * le cadre : le décalage est borné et un sujet près du bord fait
+         * zoomer, AUTO_FRAME_MAX_ZOOM au plus. En « blur », le zoom reste
+         * à 100 %.
+         */
+        function focusFraming(f) {
+            let percent = 100;
+            if (f.fillMode !== 'blur') {
+                // Zoom minimal pour que le cadre, centré sur le sujet,
+                // reste couvert sur chaque axe.
+                const needed = function(view, src, r) {
+                    const room = src - 2 * Math.abs(r);
+                    return room > 0 ? view / (f.baseScale * room) : Infinity;
+                };
+                const zoom = Math.max(1, needed(f.viewW, f.srcW, f.rx), needed(f.viewH, f.srcH, f.ry));
+                percent = Math.min(AUTO_FRAME_MAX_ZOOM, Math.ceil(zoom * 100 - 1e-6));
+            }
+            const scale = f.baseScale * percent / 100;
+            const slackX = Math.max(0, (f.srcW * scale - f.viewW) / 2);
+            const slackY = Math.max(0, (f.srcH * scale - f.viewH) / 2);
+            return {
+                imageScale: percent,
+                imageOffsetX: Math.round(Math.max(-slackX, Math.min(slackX, -f.rx * scale))),
+                imageOffsetY: Math.round(Math.max(-slackY, Math.min(slackY, -f.ry * scale)))
+            };
+        }
+
+        // ============================================
+        // FOND FLOU — voir editor.js
+        // ============================================
+        const BACKDROP_BLUR = 40;       // écart type en px du template (BACKDROP_BLUR côté serveur)
+        const BACKDROP_DIM = 0.6;       // luminosité gardée (BACKDROP_DIM côté serveur)
+
+        // ============================================
+        // TEXTE RICHE DE LA LÉGENDE — voir editor.js
+        // ============================================
+        //: Balises, la plus longue d'abord : « ** » n'est pas deux « * ».
+        const CAPTION_MARKS = [['**', 'bold'], ['==', 'highlight'], ['*', 'italic']];
+        const CAPTION_BOLD_WEIGHT = 700;
+        const CAPTION_HIGHLIGHT_DEFAULT = '#ffe14d';
+        //: Raccourcis :nom: — les emojis de la boîte Annotations (EMOJIS).
+        const CAPTION_EMOJIS = {
+            rire: '😂', crane: '💀', feu: '🔥', pleure: '😭',
+            yeux: '👀', clown: '🤡', cent: '💯', gene: '😳'
+        };
+        const CAPTION_SHORTCODE = /^:([a-z]+):/;
+
+        /** Graphèmes au sens de Fabric (graphemeSplit) : un par point de code. */
+        function graphemesOf(line) {
+            return Array.from(line);
+        }
+
+        /** Balisage → jetons {mark} et {text} ; une balise impaire redevient du texte. */
+        function captionTokens(raw) {
+            const tokens = [];
+            let i = 0;
+            while (i < raw.length) {
+                if (raw[i] === '\\' && '*=:\\'.includes(raw[i + 1] || '')) {
+                    tokens.push({ text: raw[i + 1] });
+                    i += 2;
+                    continue;
+                }
+                const mark = CAPTION_MARKS.find(m => raw.startsWith(m[0], i));
+                if (mark) {
+                    tokens.push({ mark: mark[1], text: mark[0] });
+                    i += mark[0].length;
+                    continue;
+                }
+                const code = raw[i] === ':' && CAPTION_SHORTCODE.exec(raw.slice(i));
+                if (code && CAPTION_EMOJIS[code[1]]) {
+                    tokens.push({ text: CAPTION_EMOJIS[code[1]] });
+                    i += code[0].length;
+                    continue;
+                }
+                tokens.push({ text: raw[i] });
+                i += 1;
+            }
+            CAPTION_MARKS.forEach(function(m) {
+                const marks = tokens.filter(t => t.mark === m[1]);
+                if (marks.length % 2) delete marks[marks.length - 1].mark;
+            });
+            return tokens;
+        }
+
+        /**
+         * Balisage → { text, styles } au format de Fabric
+         * (styles[ligne][graphème]) ; le surlignage prend la couleur
+         * `highlight`.
+         */
+        function parseCaption(raw, highlight) {
+            const on = { bold: false, italic: false, highlight: false };
+            // Un drapeau par unité de code : les graphèmes se relisent ensuite.
+            let text = '';
+            const flags = [];
+            captionTokens(raw || '').forEach(function(t) {
+                if (t.mark) {
+                    on[t.mark] = !on[t.mark];
+                    return;
+                }
+                text += t.text;
+                for (let k = 0; k < t.text.length; k++) flags.push(Object.assign({}, on));
+            });
+
+            const styles = {};
+            let offset = 0;
+            text.split('\n').forEach(function(line, li) {
+                graphemesOf(line).forEach(function(g, ci) {
+                    const f = flags[offset];
+                    offset += g.length;
+                    if (!f.bold && !f.italic && !f.highlight) return;
+                    const style = {};
+                    if (f.bold) style.fontWeight = CAPTION_BOLD_WEIGHT;
+                    if (f.italic) style.fontStyle = 'italic';
+                    if (f.highlight) style.textBackgroundColor = highlight;
+                    (styles[li] = styles[li] || {})[ci] = style;
+                });
+                offset += 1; // le saut de ligne
+            });
+            return { text, styles };
+        }
+
+        /** Texte nu d'une légende balisée (Viewer, Calendrier). */
+        function captionText(raw) {
+            return parseCaption(raw).text;
+        }
+
+        /** Bloc édité sur le canvas → balisage : chaque changement de style pose ses balises. */
+        function captionMarkup(tb) {
+            const open = { bold: false, italic: false, highlight: false };
+            let out = '';
+            const toggle = function(want) {
+                CAPTION_MARKS.forEach(function(m) {
+                    if (want[m[1]] === open[m[1]]) return;
+                    out += m[0];
+                    open[m[1]] = want[m[1]];
+                });
+            };
+            tb.text.split('\n').forEach(function(line, li) {
+                if (li) out += '\n';
+                let pos = 0;
+                graphemesOf(line).forEach(function(g, ci) {
+                    const s = (tb.styles[li] && tb.styles[li][ci]) || {};
+                    toggle({
+                        bold: s.fontWeight === CAPTION_BOLD_WEIGHT || s.fontWeight === 'bold',
+                        italic: s.fontStyle === 'italic',
+                        highlight: !!s.textBackgroundColor
+                    });
+                    // Un « :feu: » tapé sur le canvas reste du texte.
+                    const code = g === ':' && CAPTION_SHORTCODE.exec(line.slice(pos));
+                    const literal = '*=\\'.includes(g) || (code && CAPTION_EMOJIS[code[1]]);
+                    out += literal ? '\\' + g : g;
+                    pos += g.length;
+                });
+            });
+            toggle({ bold: false, italic: false, highlight: false });
+            return out;
+        }
+
+        // ============================================
+        // AJUSTEMENT AUTOMATIQUE DU TEXTE — voir editor.js
+        // ============================================
+        const TEXT_SIZE_MIN = 24;           // bornes du curseur #text-size
+        const TEXT_SIZE_MAX = 72;
+
+        /** Un mot plus long que la zone élargit le Textbox : ça ne tient pas. */
+        function textFits(box, area) {
+            return box.width <= area.width + 0.5 && box.height <= area.maxY - area.y;
+        }
+
+        /**
+         * Mise en page du texte dans la zone `area` du gabarit : la PLUS
+         * GRANDE taille du curseur qui tient, puis la largeur la plus
+         * étroite qui garde ce nombre de lignes — des lignes de longueur
+         * voisine. `layout(fontSize, width)` met le texte en page et rend
+         * { width, height, lines }. Retourne { fontSize, width }, ou null
+         * si même TEXT_SIZE_MIN déborde.
+         */
+        function fitTextLayout(layout, area) {
+            if (!textFits(layout(TEXT_SIZE_MIN, area.width), area)) return null;
+            // Plus grande taille qui tient, par dichotomie.
+            let lo = TEXT_SIZE_MIN;
+            let hi = TEXT_SIZE_MAX;
+            while (lo < hi) {
+                const mid = Math.ceil((lo + hi) / 2);
+                if (textFits(layout(mid, area.width), area)) lo = mid;
+                else hi = mid - 1;
+            }
+            const lines = layout(lo, area.width).lines;
+            let wide = area.width;
+            if (lines > 1) {
+                let narrow = Math.floor(area.width / lines);
+                while (wide - narrow > 1) {
+                    const mid = Math.floor((narrow + wide) / 2);
+                    if (layout(lo, mid).lines > lines) narrow = mid;
+                    else wide = mid;
+                }
+            }
+            return { fontSize: lo, width: wide };
+        }
+
+        // ============================================
+        // TEXTE PAR PLATEAU — voir editor.js
+        // ============================================
+        const TEXT_OVERRIDE_NONE = { text: null, size: null, lineHeight: null };
+
+        /** Valeurs propres bien formées — elles peuvent venir d'une composition, donc du serveur. */
+        function sanitizeTextOverride(o) {
+            const v = o && typeof o === 'object' ? o : {};
+            return {
+                text: typeof v.text === 'string' ? v.text.slice(0, 2000) : null,
+                size: Number.isInteger(v.size) && v.size >= TEXT_SIZE_MIN && v.size <= TEXT_SIZE_MAX ? v.size : null,
+                lineHeight: isNumber(v.lineHeight) && v.lineHeight >= 0.8 && v.lineHeight <= 2 ? v.lineHeight : null
+            };
+        }
+
+        // ============================================
+        // ÉTALONNAGE — voir editor.js
+        // ============================================
+        const GRADE_RANGES = {
+            brightness: [-100, 100], contrast: [-100, 100], saturation: [-100, 100],
+            hue: [-180, 180], warmth: [-100, 100],
+            sharpen: [0, 100], vignette: [0, 100], grain: [0, 100]
+        };
+        // Mêmes constantes que app/editor/processing.py.
+        const GRADE_WARMTH_GAIN = 0.25;     // chaleur 100 : rouge +25 %, bleu -25 %
+        const GRADE_LUMA = [0.2126, 0.7152, 0.0722];
+        const GRADE_GRAIN_AMPLITUDE = 30;   // grain 100 : ±30 niveaux sur 255
+        const LUT_SIZE_MAX = 65;
+
+        /**
+         * Réglages bien formés, bornés et entiers, à partir de `values` —
+         * qui peut venir d'une composition ou d'un look enregistré.
+         */
+        function sanitizeGrade(values) {
+            const grade = {};
+            Object.keys(GRADE_RANGES).forEach(function(key) {
+                const [min, max] = GRADE_RANGES[key];
+                const v = values && isNumber(values[key]) ? Math.round(values[key]) : 0;
+                grade[key] = Math.min(max, Math.max(min, v));
+            });
+            return grade;
+        }
+
+        /**
+         * Matrices 3×3 de la teinte, de la saturation et de la chaleur de
+         * `grade`, dans cet ordre, neutres omises — grade_matrices() côté
+         * serveur.
+         */
+        function gradeMatrices(grade) {
+            const matrices = [];
+            if (grade.hue) {
+                const angle = grade.hue * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const third = (1 - cos) / 3;
+                const root = Math.sqrt(1 / 3) * Math.sin(angle);
+                matrices.push([
+                    [cos + third, third - root, third + root],
+                    [third + root, cos + third, third - root],
+                    [third - root, third + root, cos + third]
+                ]);
+            }
+            if (grade.saturation) {
+                const s = 1 + grade.saturation / 100;
+                matrices.push([0, 1, 2].map(function(i) {
+                    return GRADE_LUMA.map((luma, j) => luma * (1 - s) + (i === j ? s : 0));
+                }));
+            }
+            if (grade.warmth) {
+                const k = grade.warmth / 100 * GRADE_WARMTH_GAIN;
+                matrices.push([[1 + k, 0, 0], [0, 1, 0], [0, 0, 1 - k]]);
+            }
+            return matrices;
+        }
+
+        /** Export vidéo : les réglages non nuls de `grade` et la présence d'une LUT, ou null. */
+        function gradeExportOf(grade, lut) {
+            const values = {};
+            Object.keys(GRADE_RANGES).forEach(function(key) {
+                if (grade[key]) values[key] = grade[key];
+            });
+            if (!lut && !Object.keys(values).length) return null;
+            values.lut = lut;
+            return values;
+        }
+
+        /**
+         * Lit une LUT .cube : mêmes règles que _lut_size() côté serveur,
+         * plus DOMAIN_MIN / DOMAIN_MAX. Lève une Error au message affichable.
+         */
+        function parseCubeLut(text) {
+            let size = null;
+            let min = [0, 0, 0];
+            let max = [1, 1, 1];
+            const values = [];
+            const lines = text.split(/\r?\n/);
+            for (const line of lines) {
+                const words = line.trim().split(/\s+/);
+                if (!words[0] || words[0].startsWith('#')) continue;
+                if (words[0] === 'LUT_1D_SIZE') throw new Error('Seules les LUT 3D sont prises en charge.');
+                if (words[0] === 'LUT_3D_SIZE') {
+                    size = parseInt(words[1], 10);
+                    continue;
+                }
+                if (words[0] === 'DOMAIN_MIN' || words[0] === 'DOMAIN_MAX') {
+                    const bounds = words.slice(1, 4).map(Number);
+                    if (bounds.length === 3 && bounds.every(Number.isFinite)) {
+                        if (words[0] === 'DOMAIN_MIN') min = bounds; else max = bounds;
+                    }
+                    continue;
+                }
+                if (words.length === 3) {
+                    const rgb = words.map(Number);
+                    if (rgb.every(Number.isFinite)) values.push(rgb[0], rgb[1], rgb[2]);
+                }
+            }
+            if (!Number.isInteger(size) || size < 2 || size > LUT_SIZE_MAX) {
+                throw new Error(`LUT illisible : LUT_3D_SIZE entre 2 et ${LUT_SIZE_MAX} attendu.`);
+            }
+            if (values.length !== size * size * size * 3) {
+                throw new Error(`LUT incomplète : ${size ** 3} couleurs attendues, ${values.length / 3} lues.`);
+            }
+            if ([0, 1, 2].some(c => !(max[c] > min[c]))) {
+                throw new Error('LUT illisible : DOMAIN_MAX doit dépasser DOMAIN_MIN.');
+            }
+            return { size, table: new Float32Array(values), min, max };
+        }
+
+        // ============================================
+        // EXPORT VIDÉO — voir editor.js
+        // ============================================
+        /** Sous-ensemble des paramètres réellement consommés par FFmpeg côté
+         *  serveur — même contrat pour /process-video, /save-video-meme et
+         *  /exports. */
+        function ffmpegParamsOf(params) {
+            return {
+                templateWidth: params.templateWidth,
+                templateHeight: params.templateHeight,
+                frameX: params.frameX,
+                frameY: params.frameY,
+                frameWidth: params.frameWidth,
+                frameHeight: params.frameHeight,
+                // Original frame dimensions for video positioning/scaling
+                originalFrameY: params.originalFrameY,
+                originalFrameHeight: params.originalFrameHeight,
+                trimStart: params.trimStart,
+                trimEnd: params.trimEnd,
+                imageScale: params.imageScale,
+                imageOffsetX: params.imageOffsetX,
+                imageOffsetY: params.imageOffsetY,
+                fill: params.fill || null,
+                redactions: params.redactions || null,
+                grade: params.grade || null,
+                // Un template PNG `segment_<n>` accompagne chaque fenêtre.
+                textSegments: (params.textSegments || []).map(function(w) {
+                    return { start: w.start, end: w.end };
+                }),
+                subtitles: params.subtitles || null,
+                audio: params.audio || null,
+                segments: params.segments || null,
+                playback: params.playback || null,
+                output: params.output || null
+            };
+        }
+
+        // ============================================
+        // KITS DE MARQUE — voir editor.js
+        // ============================================
+        // Opacité du filigrane, en pourcentage, hors kit de marque. Pas de
+        // curseur : elle ne varie qu'avec le kit choisi, qui porte la
+        // sienne. Les compositions enregistrées avant ce changement portent
+        // leur propre valeur et restent inchangées.
+        const WATERMARK_OPACITY = 50;
+        const BRAND_LOGOS_MAX = 5;  // KIT_LOGOS_MAX, repris par le serveur
+        // Mêmes valeurs que KIT_DEFAUTS (app/editor/api.py).
+        const BRAND_DEFAULTS = {
+            watermark: { opacity: WATERMARK_OPACITY, scale: 25, positions: {} },
+            font: 'Montserrat',
+            colors: { text: '#000000', band: '#ffffff' },
+            logo: null
+        };
+
+        // ============================================
+        // POLICES — voir editor.js
+        // ============================================
+        //: Polices servies par la page : Inter (Google Fonts, graisses du
+        //: <link> d'editor.html) et la Montserrat vendorisée, seule connue
+        //: du serveur.
+        const BUILTIN_FONTS = [
+            { family: 'Inter', weights: [300, 400, 500, 600, 700], server: false },
+            { family: 'Montserrat', weights: [600], server: true }
+        ];
+        //: Police d'origine par élément ; celle de la légende est celle du kit.
+        const FONT_ELEMENTS = {
+            text: { label: 'Légende', family: null, weight: 300, serverOnly: false },
+            pov: { label: 'POV', family: 'Montserrat', weight: 600, serverOnly: false },
+            subtitles: { label: 'Sous-titres', family: 'Montserrat', weight: 600, serverOnly: true }
+        };
+        const FONT_FAMILY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 -]{0,39}$/;
+
+        /**
+         * Familles proposées pour un élément, chacune avec ses graisses :
+         * les polices de la page, puis celles de `library` ({family,
+         * weight} servies par /api/editor/fonts).
+         */
+        function fontChoices(el, library) {
+            const choices = BUILTIN_FONTS
+                .filter(f => f.server || !FONT_ELEMENTS[el].serverOnly)
+                .map(f => ({ family: f.family, weights: f.weights.slice() }));
+            library.forEach(function(f) {
+                let choice = choices.find(c => c.family === f.family);
+                if (!choice) {
+                    choice = { family: f.family, weights: [] };
+                    choices.push(choice);
+                }
+                if (!choice.weights.includes(f.weight)) choice.weights.push(f.weight);
+            });
+            choices.forEach(c => c.weights.sort((a, b) => a - b));
+            return choices;
+        }
+
+        /**
+         * Choix relus d'une composition ou de l'historique. Une police
+         * absente de `library` tombe ; `library` null (liste pas encore
+         * arrivée) ne vérifie que la forme.
+         */
+        function sanitizeFonts(fonts, library) {
+            const clean = { text: null, pov: null, subtitles: null };
+            Object.keys(FONT_ELEMENTS).forEach(function(el) {
+                const font = fonts && fonts[el];
+                if (!font || typeof font.family !== 'string' || !FONT_FAMILY_PATTERN.test(font.family)
+                    || !Number.isInteger(font.weight) || font.weight < 100 || font.weight > 900) return;
+                if (library) {
+                    const choice = fontChoices(el, library).find(c => c.family === font.family);
+                    if (!choice || !choice.weights.includes(font.weight)) return;
+                }
+                clean[el] = { family: font.family, weight: font.weight };
+            });
+            return clean;
+        }
+
+        // ============================================
+        // HISTORIQUE — voir editor.js
+        // --------------------------------------------
+        // Ce que couvre un instantané : les clés de `state`, puis celles de
+        // CHAQUE plateau (cadrage, annotations, texte propre).
+        // ============================================
+        const HISTORY_STATE_KEYS = [
+            'currentTemplate',
+            'text', 'textSize', 'textAutoFit', 'lineHeight', 'textHighlight', 'overlayText', 'showOverlay',
+            'povText', 'povStyle', 'cutGaps', 'textSegments', 'subtitles',
+            'audioMuted', 'audioVolume', 'audioFadeIn', 'audioFadeOut', 'audioTrackMode', 'audioTrackVolume',
+            'playbackSpeed', 'playbackMode', 'playbackLoops',
+            'cropRatio', 'rotation', 'flipX', 'flipY',
+            'brightness', 'contrast', 'saturation', 'redactions', 'focusPoint',
+            'hue', 'warmth', 'sharpen', 'vignette', 'grain', 'lut',
+            'brandKitId', 'brandLogo', 'fonts'
+        ];
+        const HISTORY_PANE_KEYS = ['imageScale', 'imageOffsetX', 'imageOffsetY', 'frameHeightPercent', 'fillMode', 'annotations', 'textOverride'];
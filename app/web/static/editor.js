@@ -18,12 +18,6 @@
             console.warn('[editor]', message);
         }
 
-        // Opacité du filigrane, en pourcentage. Constante volontaire : elle ne
-        // varie jamais d'une composition à l'autre, et le curseur qui l'exposait
-        // n'offrait que le risque de la dérégler. Les compositions enregistrées
-        // avant ce changement portent leur propre valeur et restent inchangées.
-        const WATERMARK_OPACITY = 50;
-
         // ============================================
         // TEMPLATES DEFINITION
         // ============================================
@@ -118,6 +112,23 @@
             watermark: { x: 956, y: 1700 }
         };
 
+        // ============================================
+        // PLATEAU X — PAYSAGE 16:9
+        // --------------------------------------------
+        // Le fil de X affiche les images en 16:9 sans les rogner au-delà :
+        // même gabarit meme que les formats Instagram (fond blanc, bandeau
+        // de texte au-dessus d'un cadre arrondi), couché. 1600×900 est la
+        // taille recommandée par X ; les deux côtés sont pairs (H.264).
+        // Le plateau Reddit, lui, reprend tel quel TEMPLATES.square (1:1).
+        // ============================================
+        const X_TEMPLATE = {
+            width: 1600,
+            height: 900,
+            frame: { x: 48, y: 160, width: 1504, height: 700, radius: 24 },
+            textArea: { x: 48, y: 24, width: 1504, maxY: 150 },
+            watermark: { x: 1530, y: 860 }
+        };
+
         // ============================================
         // STATE
         // ============================================
@@ -130,6 +141,9 @@
             imageSrc: null,
             imageName: '',
             imageSize: 0,
+            // Média de la bibliothèque d'origine (null = fichier local) —
+            // consigné dans la composition enregistrée avec le meme.
+            sourceMediaId: null,
             // Video-specific state
             videoFile: null,
             videoDuration: 0,
@@ -139,16 +153,47 @@
             // Text state
             text: '',
             textSize: 42,
+            // Taille ajustée à la zone de texte de chaque gabarit — voir
+            // la section AJUSTEMENT AUTOMATIQUE DU TEXTE.
+            textAutoFit: false,
             lineHeight: 1.2,
+            // Fond du ==surligné== de la légende (CAPTION_HIGHLIGHT_DEFAULT) —
+            // voir la section TEXTE RICHE DE LA LÉGENDE.
+            textHighlight: '#ffe14d',
             overlayText: '',
             showOverlay: false,
+            // Passages retirés de la coupe — voir la section COUPES.
+            cutGaps: [],
+            // Textes minutés de la vidéo — voir la section TEXTES MINUTÉS.
+            textSegments: [],
+            // Sous-titres importés (.srt/.vtt) — voir la section SOUS-TITRES.
+            subtitles: null,
+            // Son de l'export vidéo — voir la section SON.
+            audioMuted: false,
+            audioVolume: 100,
+            audioFadeIn: 0,
+            audioFadeOut: 0,
+            audioTrackMode: 'replace',
+            audioTrackVolume: 100,
+            // Vitesse, sens et répétitions — voir la section LECTURE.
+            playbackSpeed: 1,
+            playbackMode: 'normal',
+            playbackLoops: 2,
             // Texte TikTok « POV » — rendu sur le canvas TikTok uniquement.
             povText: '',
             // 'outline' = texte blanc a contour noir (le style TikTok le plus courant),
             // 'light' = fond blanc/texte noir, 'dark' = fond noir translucide/texte blanc
             povStyle: 'outline',
-            // Watermark state — opacité constante, voir WATERMARK_OPACITY
+            // Watermark state — opacité du kit de marque, voir WATERMARK_OPACITY
             watermarkOpacity: WATERMARK_OPACITY,
+            // Kit de marque choisi (null = Samouraïs) et logo retenu dans ce kit
+            // (null = le logo par défaut du kit)
+            brandKitId: null,
+            brandLogo: null,
+            // Police choisie par élément, {family, weight} ; null = celle
+            // d'origine (voir FONT_ELEMENTS). Remplacé, jamais muté : les
+            // instantanés de l'historique en gardent la référence.
+            fonts: { text: null, pov: null, subtitles: null },
             // ---- Retouche image (LOT C) ----
             // Tout est appliqué par Fabric côté client : rien ne part au
             // serveur, donc aucun fichier temporaire à nettoyer et aucun
@@ -160,61 +205,121 @@
             brightness: 0,        // -100..100 → filtre Fabric -1..1
             contrast: 0,          // -100..100
             saturation: 0,        // -100..100
+            // Étalonnage, image ET vidéo — voir la section ÉTALONNAGE.
+            hue: 0,               // -180..180 degrés
+            warmth: 0,            // -100..100
+            sharpen: 0,           // 0..100
+            vignette: 0,          // 0..100
+            grain: 0,             // 0..100
+            lut: null,            // identifiant dans lutLibrary, null = aucune
+            // Zones floutées ou pixelisées du média — voir la section FLOUTAGE.
+            redactions: [],
+            // Sujet choisi à la main (fractions de la source), null = détecté
+            // — voir la section CADRAGE AUTOMATIQUE.
+            focusPoint: null,
             // ---- Fichier de sortie (LOT C) ----
-            exportFormat: 'png',  // 'png' | 'jpeg'
-            exportQuality: 90,    // 50..100, JPEG uniquement
-            exportScale: 1        // multiplicateur de la taille du template
+            exportFormat: 'png',  // 'png' | 'jpeg' | 'webp' | 'avif'
+            exportQuality: 90,    // 50..100, formats avec perte uniquement
+            exportScale: 1,       // multiplicateur de la taille du template
+            // Sortie vidéo : MP4, ou image animée rendue par FFmpeg
+            videoFormat: 'mp4',   // 'mp4' | 'gif' | 'webp'
+            animFps: 15,          // images par seconde de l'animation
+            animWidth: 480,       // largeur en px, 0 = celle du template
+            gifColors: 256,       // palette GIF, 64..256
+            animQuality: 75       // qualité WebP animé, 40..100
+        };
+
+        // Étalonnage neutre — sert au bouton « Annuler » de l'étalonnage.
+        const GRADE_DEFAULTS = {
+            brightness: 0, contrast: 0, saturation: 0, hue: 0, warmth: 0,
+            sharpen: 0, vignette: 0, grain: 0, lut: null
         };
 
         // Valeurs de départ des réglages de retouche — sert au bouton
         // « Annuler » et au chargement d'une nouvelle image.
-        const IMAGE_EDIT_DEFAULTS = {
-            cropRatio: null, rotation: 0, flipX: false, flipY: false,
-            brightness: 0, contrast: 0, saturation: 0
-        };
+        const IMAGE_EDIT_DEFAULTS = Object.assign({
+            cropRatio: null, rotation: 0, flipX: false, flipY: false
+        }, GRADE_DEFAULTS);
 
         // ============================================
-        // PLATEAUX (ÉDITEUR DOUBLE)
+        // PLATEAUX (ÉDITEUR MULTIPLE)
         // --------------------------------------------
-        // UNE composition, DEUX rendus : le média, le texte et la retouche
-        // alimentent les deux canvas ; le CADRAGE (position/zoom de l'image
+        // UNE composition, N rendus : le média, le texte et la retouche
+        // alimentent tous les canvas ; le CADRAGE (position/zoom de l'image
         // dans le cadre) est PAR plateau — un recadrage 4:5 et un recadrage
         // 9:16 ne peuvent pas être identiques. Chaque plateau porte donc ses
         // objets Fabric ET son état de cadrage.
+        //
+        // Un plateau = une plateforme de publication (`platform` est la clé
+        // du Calendrier : instagram, tiktok, twitter, reddit). Instagram suit
+        // les boutons de format ; les autres ont un gabarit FIXE, porté par
+        // `template` (rendu) et `templateKey` (étiquette donnée, voir
+        // templateKeyOf()). X et Reddit démarrent éteints : on les allume à
+        // l'interrupteur de leur plateau quand on publie là-bas.
+        //
+        // Le balisage (#stage-<key>, #meme-canvas-<key>, #toggle-<key>,
+        // #schedule-check-<key>) est statique dans editor.html : ajouter un
+        // plateau, c'est une entrée ici et son bloc là-bas.
         // ============================================
-        function makePane(key, label, platform, canvasId, stageId) {
+        function makePane(key, label, platform, options) {
+            const opts = options || {};
             return {
-                key, label, platform, canvasId, stageId,
-                enabled: true,
+                key, label, platform,
+                canvasId: 'meme-canvas-' + key,
+                stageId: 'stage-' + key,
+                // Gabarit fixe (null : suit le format Instagram choisi)
+                template: opts.template || null,
+                templateKey: opts.templateKey || null,
+                enabledByDefault: opts.enabled !== false,
+                enabled: opts.enabled !== false,
                 // Objets Fabric propres au plateau
                 canvas: null,
                 textBox: null, imageObj: null, overlayTextObj: null,
                 frameRect: null, frameBorder: null, watermark: null,
                 templateBg: null, clipRect: null, povObj: null,
+                backdropObj: null, backdropCanvas: null,
                 snapLines: [],
+                // Masquage et verrou par rôle — voir la section CALQUES.
+                layerFlags: {},
+                // Flèches, formes, stickers… — voir la section ANNOTATIONS.
+                annotations: [],
+                // Texte ajusté qui déborde encore — voir AJUSTEMENT AUTOMATIQUE.
+                textOverflow: false,
+                // Texte, taille, interligne propres — voir TEXTE PAR PLATEAU.
+                textOverride: { text: null, size: null, lineHeight: null },
                 // Cadrage par plateau
                 imageScale: 100,
                 imageOffsetX: 0,
                 imageOffsetY: 0,
                 frameHeightPercent: 100,
+                fillMode: 'cover',    // 'cover' | 'blur' (contenu sur fond flou)
                 scale: 1
             };
         }
 
         const panes = {
-            ig: makePane('ig', 'Instagram', 'instagram', 'meme-canvas-ig', 'stage-ig'),
-            tt: makePane('tt', 'TikTok', 'tiktok', 'meme-canvas-tt', 'stage-tt')
+            ig: makePane('ig', 'Instagram', 'instagram'),
+            tt: makePane('tt', 'TikTok', 'tiktok', { template: TIKTOK_TEMPLATE, templateKey: 'story' }),
+            x: makePane('x', 'X', 'twitter', { template: X_TEMPLATE, templateKey: 'landscape', enabled: false }),
+            rd: makePane('rd', 'Reddit', 'reddit', { template: TEMPLATES.square, templateKey: 'square', enabled: false })
         };
+        // Ordre d'affichage, de rendu et d'export.
+        const paneList = Object.values(panes);
 
-        function eachPane(fn) { fn(panes.ig); fn(panes.tt); }
-        function activePanes() { return [panes.ig, panes.tt].filter(p => p.enabled); }
+        function eachPane(fn) { paneList.forEach(p => fn(p)); }
+        function activePanes() { return paneList.filter(p => p.enabled); }
 
-        /** Clé de template du plateau : IG suit les boutons de format, TikTok est fixe.
+        /** Clé de template du plateau : IG suit les boutons de format, les autres sont fixes.
          *  La clé reste 'story' pour TikTok : c'est l'étiquette DONNÉE (template_format
          *  du Viewer et du Calendrier, ratio 9:16) — le RENDU, lui, passe par
          *  templateOf() qui sert le gabarit plein écran dédié. */
-        function templateKeyOf(p) { return p.key === 'ig' ? state.currentTemplate : 'story'; }
-        function templateOf(p) { return p.key === 'ig' ? TEMPLATES[state.currentTemplate] : TIKTOK_TEMPLATE; }
+        function templateKeyOf(p) { return p.templateKey || state.currentTemplate; }
+        function templateOf(p) { return p.template || TEMPLATES[state.currentTemplate]; }
+        /** Premier objet image présent : la SOURCE est la même sur tous les plateaux. */
+        function anyImageObj() {
+            const p = paneList.find(q => q.imageObj);
+            return p ? p.imageObj : null;
+        }
         /** Vrai pour le plateau plein écran (TikTok) : pas de gabarit autour du média. */
         function isFullBleed(p) { return !!templateOf(p).fullBleed; }
 
@@ -242,7 +347,7 @@
         const exportBtn = document.getElementById('export-btn');
         const scheduleBtn = document.getElementById('schedule-btn');
         const saveMemeBtn = document.getElementById('save-meme-btn');
-        const formatBtns = document.querySelectorAll('.format-btn');
+        const formatSelector = document.getElementById('format-selector');
         
         // Import source elements
         const importTabs = document.querySelectorAll('.import-tab');
@@ -278,13 +383,6 @@
         const rotateRightBtn = document.getElementById('rotate-right');
         const flipHBtn = document.getElementById('flip-h');
         const flipVBtn = document.getElementById('flip-v');
-        const adjBrightness = document.getElementById('adj-brightness');
-        const adjBrightnessValue = document.getElementById('adj-brightness-value');
-        const adjContrast = document.getElementById('adj-contrast');
-        const adjContrastValue = document.getElementById('adj-contrast-value');
-        const adjSaturation = document.getElementById('adj-saturation');
-        const adjSaturationValue = document.getElementById('adj-saturation-value');
-        const outputTools = document.getElementById('output-tools');
         const imgFormatGroup = document.getElementById('imgformat-group');
         const qualityCtl = document.getElementById('quality-ctl');
         const exportQuality = document.getElementById('export-quality');
@@ -292,6 +390,18 @@
         const sizeGroup = document.getElementById('size-group');
         const exportDims = document.getElementById('export-dims');
         const exportFormatLabel = document.getElementById('export-format-label');
+        const exportQualityLabel = document.getElementById('export-quality-label');
+        const vidFormatGroup = document.getElementById('vidformat-group');
+        const animCtl = document.getElementById('anim-ctl');
+        const animFpsGroup = document.getElementById('anim-fps-group');
+        const animWidthGroup = document.getElementById('anim-width-group');
+        const gifColorsCtl = document.getElementById('gif-colors-ctl');
+        const gifColorsGroup = document.getElementById('gif-colors-group');
+        const animQualityCtl = document.getElementById('anim-quality-ctl');
+        const animQuality = document.getElementById('anim-quality');
+        const animQualityValue = document.getElementById('anim-quality-value');
+        const videoExportDims = document.getElementById('video-export-dims');
+        const videoExportEstimate = document.getElementById('video-export-estimate');
 
         // ---- Éditeur double ----
         const stagesEl = document.getElementById('stages');
@@ -301,9 +411,9 @@
         const scheduleDialog = document.getElementById('schedule-dialog');
         const scheduleForm = document.getElementById('schedule-form');
         const scheduleDatetime = document.getElementById('schedule-datetime');
-        const scheduleCheckIG = document.getElementById('schedule-check-ig');
-        const scheduleCheckTT = document.getElementById('schedule-check-tt');
         const scheduleIGDims = document.getElementById('schedule-ig-dims');
+        /** Case du dialogue de planification d'un plateau (#schedule-check-<key>). */
+        function scheduleCheckOf(p) { return document.getElementById('schedule-check-' + p.key); }
 
         // ============================================
         // FABRIC CANVAS — un par plateau (voir `panes`)
@@ -340,7 +450,7 @@
 
         function initCanvases() {
             // Custom controls style - larger and more visible (prototype
-            // partagé : une seule fois pour les deux canvas)
+            // partagé : une seule fois pour tous les canvas)
             fabric.Object.prototype.set({
                 borderColor: '#ef4444',
                 cornerColor: '#ef4444',
@@ -461,12 +571,31 @@
                     }
                 }
 
+                // Bords des zones réservées (TikTok, Reels) — sur les axes
+                // encore libres.
+                snapToSafeZones(p, obj, snappedX, snappedY);
+
                 p.canvas.renderAll();
             });
 
-            p.canvas.on('object:modified', function() {
+            // Guides des zones réservées : peints APRÈS les objets, sur le
+            // canvas affiché seulement — voir drawSafeZones().
+            p.canvas.on('after:render', function(opt) {
+                if (opt && opt.ctx === p.canvas.contextContainer) drawSafeZones(p, opt.ctx);
+            });
+
+            p.canvas.on('object:modified', function(e) {
                 clearSnapLines(p);
                 p.canvas.renderAll();
+                // Annotation lâchée : sa description suit (voir ANNOTATIONS).
+                syncAnnotations(p);
+                if (e.target && e.target.annotationId) {
+                    commitHistory('Annotation ' + p.label);
+                    return;
+                }
+                // Média déplacé ou zoomé aux poignées : le cadrage de CE
+                // plateau a changé (les autres objets ne sont pas suivis).
+                commitHistory('Cadrage ' + p.label);
             });
 
             p.canvas.on('mouse:up', function() {
@@ -487,6 +616,7 @@
                     strokeDashArray: [5, 3],
                     selectable: false,
                     evented: false,
+                    excludeFromLayers: true,
                     opacity: 0.8
                 });
             } else {
@@ -496,6 +626,7 @@
                     strokeDashArray: [5, 3],
                     selectable: false,
                     evented: false,
+                    excludeFromLayers: true,
                     opacity: 0.8
                 });
             }
@@ -509,3146 +640,9054 @@
             p.snapLines = [];
         }
 
-        // ---- LOT B — aperçu collant sous 900px ----
-        // Sous ce seuil l'aperçu est un bandeau de ~45dvh qui ne montre
-        // qu'UN plateau ; la marge de travail desktop (CANVAS_PADDING =
-        // 350px de chaque côté) y réduirait le gabarit à ~120px de large.
-        // On cadre donc la VUE sur le gabarit + une marge réduite, par
-        // translation du viewport Fabric — les coordonnées des objets ne
-        // bougent pas, seule la fenêtre d'affichage change.
-        const MOBILE_VIEW_MARGIN = 28;
-        const mobileViewMq = window.matchMedia('(max-width: 899.98px)');
+        // ============================================
+        // ZONES RÉSERVÉES — TIKTOK, REELS
+        // --------------------------------------------
+        // Les apps recouvrent la vidéo de leur interface : onglets en haut,
+        // colonne de boutons à droite, légende et barre du bas. Un POV posé
+        // dessous est illisible une fois publié. Sur le plateau TikTok et
+        // sur le format Story/Reels d'Instagram, l'éditeur :
+        //   - dessine ces zones en guides (interrupteur, préférence du
+        //     navigateur et pas de la composition) ;
+        //   - y accroche le magnétisme : un objet glissé près d'une zone
+        //     s'arrête à son bord ;
+        //   - prévient avant l'export quand le POV, le bandeau de texte ou
+        //     le filigrane déborde sur une zone.
+        // ============================================
+        // SAFE_ZONES, leur accroche et leurs débordements : editor-core.js.
+        const SAFE_ZONES_STORAGE_KEY = 'samourais_safe_zones';
 
-        function updateCanvasSize(p) {
-            const template = templateOf(p);
-            const { width, height } = template;
-            const container = document.querySelector('.preview-area');
+        let showSafeZones = localStorage.getItem(SAFE_ZONES_STORAGE_KEY) !== 'off';
+        // Débordements déjà acceptés (« Exporter quand même ») : la même
+        // composition ne redemande pas à chaque export.
+        let safeZonesAccepted = '';
 
-            if (mobileViewMq.matches) {
-                // Un seul plateau visible, cadré sur le gabarit.
-                const visW = width + (MOBILE_VIEW_MARGIN * 2);
-                const visH = height + (MOBILE_VIEW_MARGIN * 2);
-                const switcher = document.getElementById('stage-switch');
-                const stage = document.getElementById(p.stageId);
-                const head = stage ? stage.querySelector('.stage-head') : null;
-                // Hauteur mangée par le chrome de l'aperçu : basculeur,
-                // en-tête du plateau, padding vertical du conteneur.
-                const chrome = (switcher ? switcher.offsetHeight + 8 : 0)
-                    + (head && head.offsetHeight ? head.offsetHeight + 6 : 28)
-                    + 16;
-                const maxW = Math.max(120, container.clientWidth - 24);
-                const maxH = Math.max(120, container.clientHeight - chrome);
-                p.scale = Math.min(maxW / visW, maxH / visH, 0.4);
-                p.canvas.setWidth(visW * p.scale);
-                p.canvas.setHeight(visH * p.scale);
-                const pan = (CANVAS_PADDING - MOBILE_VIEW_MARGIN) * p.scale;
-                p.canvas.setViewportTransform([p.scale, 0, 0, p.scale, -pan, -pan]);
-                return;
-            }
+        /** Zones réservées du plateau ([] si son format n'en a pas). */
+        function safeZonesOf(p) {
+            return safeZonesFor(p.platform, templateKeyOf(p));
+        }
 
-            // Deux plateaux côte à côte : chacun reçoit sa part de la
-            // largeur. En pile (colonne, sous 1100px), chacun a tout.
-            const stacked = stagesEl
-                && getComputedStyle(stagesEl).flexDirection === 'column';
-            const visible = stacked ? 1 : Math.max(1, activePanes().length);
-            const baseW = (stagesEl ? stagesEl.clientWidth : container.clientWidth);
-            const maxW = Math.max(160, baseW / visible - 60);
-            const maxH = Math.max(160, container.clientHeight - 140);
+        function drawSafeZones(p, ctx) {
+            const zones = safeZonesOf(p);
+            if (!showSafeZones || !zones.length) return;
+            const vpt = p.canvas.viewportTransform;
+            ctx.save();
+            ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+            ctx.translate(CANVAS_PADDING, CANVAS_PADDING);
+            ctx.font = '600 26px Inter, Helvetica, Arial, sans-serif';
+            ctx.textBaseline = 'top';
+            zones.forEach(function(z) {
+                ctx.fillStyle = 'rgba(239, 68, 68, 0.18)';
+                ctx.fillRect(z.x, z.y, z.width, z.height);
+                ctx.setLineDash([12, 8]);
+                ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)';
+                ctx.lineWidth = 3;
+                ctx.strokeRect(z.x + 1.5, z.y + 1.5, z.width - 3, z.height - 3);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.fillText(z.label, z.x + 14, z.y + 14);
+            });
+            ctx.restore();
+        }
 
-            // Calculate scale based on template + padding
-            const totalWidth = width + (CANVAS_PADDING * 2);
-            const totalHeight = height + (CANVAS_PADDING * 2);
+        /** Boîte de l'objet en px du gabarit, quelle que soit son origine. */
+        function templateRectOf(obj) {
+            const r = obj.getBoundingRect(true, true);
+            return { x: r.left - CANVAS_PADDING, y: r.top - CANVAS_PADDING, width: r.width, height: r.height };
+        }
 
-            p.scale = Math.min(maxW / totalWidth, maxH / totalHeight, 0.4);
+        function snapToSafeZones(p, obj, snappedX, snappedY) {
+            if (!showSafeZones) return;
+            const r = templateRectOf(obj);
+            for (const z of safeZonesOf(p)) {
+                const snap = safeZoneSnap(z, r);
+                if (!snap || (snap.axis === 'x' ? snappedX : snappedY)) continue;
+                if (Math.abs(snap.delta) >= SNAP_THRESHOLD) continue;
+                if (snap.axis === 'x') {
+                    obj.set('left', obj.left + snap.delta);
+                    snappedX = true;
+                    showSnapLine(p, 'vertical', CANVAS_PADDING + snap.at);
+                } else {
+                    obj.set('top', obj.top + snap.delta);
+                    snappedY = true;
+                    showSnapLine(p, 'horizontal', CANVAS_PADDING + snap.at);
+                }
+            }
+        }
 
-            p.canvas.setWidth(totalWidth * p.scale);
-            p.canvas.setHeight(totalHeight * p.scale);
-            // Transform complet et pas setZoom : setZoom (zoomToPoint) garde
-            // une translation résiduelle si on vient du cadrage mobile.
-            p.canvas.setViewportTransform([p.scale, 0, 0, p.scale, 0, 0]);
+        /** Objets des plateaux actifs qui débordent sur une zone réservée. */
+        function safeZoneConflicts() {
+            const conflicts = [];
+            activePanes().forEach(function(p) {
+                const zones = safeZonesOf(p);
+                if (!zones.length) return;
+                const objects = [
+                    [p.povObj, 'le POV'],
+                    [p.textBox && p.textBox.text !== 'Tape ton texte...' ? p.textBox : null, 'le texte'],
+                    [p.watermark, 'le filigrane']
+                ];
+                objects.forEach(function([obj, name]) {
+                    if (!obj || obj.visible === false || obj.layerHidden) return;
+                    const r = templateRectOf(obj);
+                    const hit = safeZoneHits(zones, r);
+                    if (hit.length) conflicts.push(`${p.label} : ${name} déborde sur ${hit.join(' et ')}`);
+                });
+            });
+            return conflicts;
         }
 
-        function updateAllCanvasSizes() {
-            eachPane(function(p) {
-                if (!p.canvas) return;
-                updateCanvasSize(p);
-                p.canvas.renderAll();
+        /**
+         * Avant un export : liste les débordements et laisse choisir.
+         * Résout à true s'il n'y en a pas, s'ils ont déjà été acceptés tels
+         * quels, ou si l'utilisateur exporte quand même.
+         */
+        async function confirmSafeZones() {
+            const conflicts = safeZoneConflicts();
+            const signature = conflicts.join('|');
+            if (!conflicts.length || signature === safeZonesAccepted) return true;
+            if (!(window.samourais && window.samourais.confirm)) {
+                note(conflicts.join(' · ') + ' — l’interface de l’app risque de les masquer.', 'warning');
+                return true;
+            }
+            const confirmed = await window.samourais.confirm({
+                title: 'Zones réservées',
+                message: conflicts.join('. ') + '. L’interface de l’app risque de les masquer une fois publié.',
+                confirm: 'Exporter quand même'
             });
+            if (confirmed) safeZonesAccepted = signature;
+            return confirmed;
         }
 
-        function createElements(p) {
-            p.canvas.clear();
-            p.canvas.backgroundColor = artboardBackdrop();
+        function setupSafeZones() {
+            const toggle = document.getElementById('safezone-toggle');
+            const sw = document.getElementById('safezone-switch');
+            if (!toggle || !sw) return;
+            sw.classList.toggle('active', showSafeZones);
+            toggle.addEventListener('click', function() {
+                showSafeZones = !showSafeZones;
+                sw.classList.toggle('active', showSafeZones);
+                localStorage.setItem(SAFE_ZONES_STORAGE_KEY, showSafeZones ? 'on' : 'off');
+                eachPane(function(p) { if (p.canvas) p.canvas.requestRenderAll(); });
+            });
+        }
 
-            const template = templateOf(p);
-            const frame = template.frame;
-            const offset = CANVAS_PADDING; // Offset for all elements
-            // Plein écran (TikTok) : pas de gabarit blanc, pas de cadre, pas
-            // de bandeau — le média couvre tout, le POV se pose par-dessus.
-            const fullBleed = !!template.fullBleed;
+        // ============================================
+        // CALQUES
+        // --------------------------------------------
+        // Le panneau « Calques » liste les objets du plateau choisi, du
+        // premier plan au fond — ceux du gabarit comme ceux ajoutés par
+        // l'utilisateur (un objet ajouté porte `layerName`) :
+        //   - œil : masque l'objet, à l'écran ET à l'export ;
+        //   - cadenas : fige position, taille et rotation ;
+        //   - glisser la ligne (ou ↑/↓) : ordre d'empilement ;
+        //   - clic sur le nom : sélectionne l'objet sur son canvas.
+        // Le masquage passe par `layerHidden`, pas par `visible` : les
+        // textes minutés et les rendus d'export basculent déjà `visible`
+        // et le rétablissent, ils effaceraient le choix de l'utilisateur.
+        // Masquage et verrou sont rangés par RÔLE (p.layerFlags) et reposés
+        // sur l'objet recréé par createElements() ou ensurePovObject().
+        // L'ordre d'empilement, lui, repart de celui du gabarit quand les
+        // objets sont recréés.
+        // ============================================
+        // LAYER_NAMES et les drapeaux de calque : editor-core.js.
 
-            // Calculate effective frame height (for story template customization)
-            // — un plateau plein écran ne se rétrécit pas : il resterait des
-            // bandes, ce que ce plateau interdit par définition.
-            const effectiveFrameHeight = Math.round(
-                frame.height * ((fullBleed ? 100 : p.frameHeightPercent) / 100));
+        let layersPane = panes.ig;
+        let layersRefreshQueued = false;
 
-            // Calculate Y position to keep frame centered
-            const originalCenterY = frame.y + frame.height / 2;
-            const effectiveFrameY = originalCenterY - effectiveFrameHeight / 2;
+        const fabricIsNotVisible = fabric.Object.prototype.isNotVisible;
+        fabric.Object.prototype.isNotVisible = function() {
+            return !!this.layerHidden || fabricIsNotVisible.call(this);
+        };
 
-            // Template background — white for the meme template, BLACK for the
-            // full-bleed pane : c'est l'écran TikTok éteint, jamais du blanc,
-            // et c'est ce noir qui sort à l'export si le média est dézoomé.
-            p.templateBg = new fabric.Rect({
-                left: offset,
-                top: offset,
-                width: template.width,
-                height: template.height,
-                fill: fullBleed ? '#000000' : '#ffffff',
-                selectable: false,
-                evented: false
+        /** Repose les drapeaux du plateau sur ses objets, puis relit la liste. */
+        function refreshLayers(p) {
+            if (!p.canvas) return;
+            applyLayerFlags(p);
+            if (p !== layersPane || layersRefreshQueued) return;
+            layersRefreshQueued = true;
+            requestAnimationFrame(function() {
+                layersRefreshQueued = false;
+                renderLayers();
             });
-            p.canvas.add(p.templateBg);
+        }
 
-            // Create the clip path (absolute position - stays fixed)
-            p.clipRect = new fabric.Rect({
-                left: frame.x + offset,
-                top: effectiveFrameY + offset,
-                width: frame.width,
-                height: effectiveFrameHeight,
-                rx: frame.radius,
-                ry: frame.radius,
-                absolutePositioned: true
+        function renderLayers() {
+            const list = document.getElementById('layers-list');
+            if (!list) return;
+            const p = layersPane;
+            list.innerHTML = '';
+            document.querySelectorAll('#layers-pane-group .seg__btn').forEach(function(btn) {
+                const active = btn.dataset.layerspane === p.key;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-pressed', String(active));
+            });
+            if (!p.canvas) return;
+            const objects = layersOf(p);
+            const selected = p.canvas.getActiveObject();
+            objects.forEach(function(obj, i) {
+                const name = layerNameOf(p, obj);
+                const li = document.createElement('li');
+                li.className = 'layer-row' + (obj === selected ? ' is-current' : '')
+                    + (obj.layerHidden ? ' is-hidden' : '');
+                li.dataset.index = i;
+                li.draggable = true;
+
+                const open = document.createElement('button');
+                open.type = 'button';
+                open.className = 'layer-row__name';
+                open.dataset.action = 'select';
+                open.dataset.index = i;
+                open.textContent = name;
+                open.disabled = !obj.selectable || !!obj.layerHidden;
+                if (obj === selected) open.setAttribute('aria-current', 'true');
+                li.appendChild(open);
+
+                [['hide', '👁', obj.layerHidden ? `Afficher ${name}` : `Masquer ${name}`, !obj.layerHidden, false],
+                 ['lock', '🔒', obj.layerLocked ? `Déverrouiller ${name}` : `Verrouiller ${name}`, !!obj.layerLocked, !obj.selectable],
+                 ['up', '↑', `Monter ${name}`, null, i === 0],
+                 ['down', '↓', `Descendre ${name}`, null, i === objects.length - 1]].forEach(function(def) {
+                    const b = document.createElement('button');
+                    b.type = 'button';
+                    b.className = 'layer-row__tool';
+                    b.dataset.action = def[0];
+                    b.dataset.index = i;
+                    b.textContent = def[1];
+                    b.title = def[2];
+                    b.setAttribute('aria-label', def[2]);
+                    if (def[3] !== null) b.setAttribute('aria-pressed', String(def[3]));
+                    b.disabled = def[4];
+                    li.appendChild(b);
+                });
+                list.appendChild(li);
             });
+        }
 
-            // Frame placeholder (gray background when no image)
-            p.frameRect = new fabric.Rect({
-                left: frame.x + offset,
-                top: effectiveFrameY + offset,
-                width: frame.width,
-                height: effectiveFrameHeight,
-                rx: frame.radius,
-                ry: frame.radius,
-                // Plein écran : le « pas encore de média » est noir, pas gris.
-                fill: fullBleed ? '#000000' : '#f0f0f0',
-                selectable: false,
-                evented: false
+        function toggleLayerFlag(p, obj, flag) {
+            const key = layerKeyOf(p, obj);
+            const flags = p.layerFlags[key] || (p.layerFlags[key] = { hidden: false, locked: false });
+            flags[flag] = !flags[flag];
+            if (flags.hidden && p.canvas.getActiveObject() === obj) p.canvas.discardActiveObject();
+            refreshLayers(p);
+            p.canvas.requestRenderAll();
+        }
+
+        /** Place l'objet à la ligne `row` de la liste (0 = premier plan). */
+        function moveLayer(p, obj, row) {
+            const objects = layersOf(p);
+            const target = objects[Math.max(0, Math.min(row, objects.length - 1))];
+            if (!target || target === obj) return;
+            p.canvas.moveTo(obj, p.canvas.getObjects().indexOf(target));
+            p.canvas.requestRenderAll();
+            refreshLayers(p);
+        }
+
+        function showLayersOf(p) {
+            if (layersPane === p) return;
+            layersPane = p;
+            refreshLayers(p);
+        }
+
+        function setupLayers() {
+            const list = document.getElementById('layers-list');
+            const paneGroup = document.getElementById('layers-pane-group');
+            if (!list) return;
+
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                p.canvas.on('object:added', function(e) {
+                    if (e.target && !e.target.excludeFromLayers) refreshLayers(p);
+                });
+                p.canvas.on('object:removed', function(e) {
+                    if (e.target && !e.target.excludeFromLayers) refreshLayers(p);
+                });
+                // Sélectionner sur un canvas affiche ses calques.
+                p.canvas.on('selection:created', function() { layersPane = p; refreshLayers(p); });
+                p.canvas.on('selection:updated', function() { refreshLayers(p); });
+                p.canvas.on('selection:cleared', function() { refreshLayers(p); });
             });
-            p.canvas.add(p.frameRect);
 
-            // Frame border - interactive indicator (shows where image area is)
-            p.frameBorder = new fabric.Rect({
-                left: frame.x + offset,
-                top: effectiveFrameY + offset,
-                width: frame.width,
-                height: effectiveFrameHeight,
-                rx: frame.radius,
-                ry: frame.radius,
-                fill: 'transparent',
-                // Plein écran : AUCUN cadre — le repère pointillé disparaît.
-                stroke: fullBleed ? 'transparent' : '#ddd',
-                strokeWidth: 2,
-                strokeDashArray: [8, 4],
-                selectable: false,
-                evented: false
+            if (paneGroup) {
+                paneGroup.addEventListener('click', function(e) {
+                    const btn = e.target.closest('.seg__btn');
+                    if (btn && panes[btn.dataset.layerspane]) showLayersOf(panes[btn.dataset.layerspane]);
+                });
+            }
+
+            list.addEventListener('click', function(e) {
+                const btn = e.target.closest('button[data-action]');
+                if (!btn) return;
+                const p = layersPane;
+                const row = parseInt(btn.dataset.index, 10);
+                const obj = layersOf(p)[row];
+                if (!obj) return;
+                if (btn.dataset.action === 'select') {
+                    p.canvas.setActiveObject(obj);
+                    p.canvas.requestRenderAll();
+                    refreshLayers(p);
+                } else if (btn.dataset.action === 'hide') {
+                    toggleLayerFlag(p, obj, 'hidden');
+                } else if (btn.dataset.action === 'lock') {
+                    toggleLayerFlag(p, obj, 'locked');
+                } else if (btn.dataset.action === 'up') {
+                    moveLayer(p, obj, row - 1);
+                } else if (btn.dataset.action === 'down') {
+                    moveLayer(p, obj, row + 1);
+                }
             });
-            p.canvas.add(p.frameBorder);
 
-            // Text box — bandeau du gabarit meme. Le plateau plein écran n'en
-            // a PAS : ni bandeau, ni placeholder « Tape ton texte... » — le
-            // texte posé sur TikTok, c'est le POV. Tous les consommateurs de
-            // p.textBox testent déjà sa présence.
-            if (fullBleed) {
-                p.textBox = null;
-            } else {
-            const textArea = template.textArea;
-            p.textBox = new fabric.Textbox(state.text || 'Tape ton texte...', {
-                left: textArea.x + offset,
-                top: textArea.y + offset,
-                width: textArea.width,
-                fontSize: state.textSize,
-                fontFamily: 'Inter, Helvetica, Arial, sans-serif',
-                fontWeight: '300',
-                fill: '#000000',
-                lineHeight: state.lineHeight,
-                textAlign: 'left',
-                splitByGrapheme: false,
-                hasControls: true,
+            // Glisser-déposer d'une ligne : l'objet prend la place de la
+            // ligne survolée.
+            let dragged = null;
+            list.addEventListener('dragstart', function(e) {
+                const li = e.target.closest('.layer-row');
+                if (!li) return;
+                dragged = layersOf(layersPane)[parseInt(li.dataset.index, 10)] || null;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', li.dataset.index);
+            });
+            list.addEventListener('dragover', function(e) {
+                if (dragged) e.preventDefault();
+            });
+            list.addEventListener('drop', function(e) {
+                const li = e.target.closest('.layer-row');
+                if (!dragged || !li) return;
+                e.preventDefault();
+                moveLayer(layersPane, dragged, parseInt(li.dataset.index, 10));
+                dragged = null;
+            });
+            list.addEventListener('dragend', function() { dragged = null; });
+
+            renderLayers();
+        }
+
+        // ============================================
+        // ANNOTATIONS — FLÈCHES, FORMES, CRAYON, STICKERS, TEXTES LIBRES
+        // --------------------------------------------
+        // Au-delà des textes du gabarit, la boîte « Annotations » pose des
+        // objets libres : flèche, cercle, cadre, tracé au crayon, sticker
+        // (fichiers locaux de /static/stickers/), emoji et texte libre.
+        //   - « Sur » choisit le plateau : un seul, ou tous les plateaux
+        //     actifs — chacun reçoit alors SA copie, placée au même endroit
+        //     relatif de son gabarit, puis se règle seule ;
+        //   - ce sont des objets Fabric ordinaires : le magnétisme, les
+        //     calques et l'export image les prennent tels quels ; l'export
+        //     vidéo les incruste par le PNG du gabarit (generateTemplatePNG
+        //     les dessine par-dessus le trou de la vidéo, le plateau plein
+        //     écran les rend avec le reste de sa surcouche).
+        // Le plateau garde la DESCRIPTION de ses annotations (p.annotations,
+        // px du gabarit) : c'est elle que suivent l'historique et les
+        // compositions, et d'elle que renderAnnotations() refait les objets
+        // après un createElements() — qui vide le canvas.
+        // ============================================
+        // Bornes, stickers, emojis et sanitizeAnnotations() : editor-core.js.
+        const ANNOTATION_STROKE = 10;
+        const ANNOTATION_PEN_WIDTH = 8;
+        // Tracé de la flèche : hampe et pointe, pour un gabarit de 1080 px.
+        const ARROW_PATH = 'M 0 60 L 300 60 M 240 10 L 300 60 L 240 110';
+
+        let annotationTarget = 'all';     // 'all' | clé de plateau
+        let annotationColor = '#ef4444';
+        let annotationPen = false;
+        let annotationSeq = 0;
+
+        function newAnnotationId() {
+            return 'a' + Date.now().toString(36) + (++annotationSeq);
+        }
+
+        /** Plateaux qui reçoivent une nouvelle annotation. */
+        function annotationTargets() {
+            if (annotationTarget === 'all') return activePanes();
+            const p = panes[annotationTarget];
+            return p && p.enabled ? [p] : [];
+        }
+
+        /** Objet Fabric d'une annotation (promesse : un sticker se charge). */
+        function makeAnnotationObject(desc) {
+            const common = {
+                annotationId: desc.id,
+                annotationKind: desc.kind,
+                annotationSticker: desc.sticker || null,
+                // Les calques rangent masquage et verrou sous cet identifiant.
+                layerId: desc.id,
+                layerName: ANNOTATION_NAMES[desc.kind],
                 cornerSize: 16,
                 hoverCursor: 'move',
                 moveCursor: 'move'
+            };
+            const stroked = Object.assign({}, common, {
+                fill: '', stroke: desc.color, strokeUniform: true,
+                strokeLineCap: 'round', strokeLineJoin: 'round'
             });
-            p.canvas.add(p.textBox);
-
-            // Sync textBox changes back to state, input AND the twin pane :
-            // le texte est UNE donnée de la composition, rendue deux fois.
-            p.textBox.on('changed', function() {
-                const newText = p.textBox.text === 'Tape ton texte...' ? '' : p.textBox.text;
-                state.text = newText;
-                memeTextInput.value = newText;
-                eachPane(function(other) {
-                    if (other === p || !other.textBox) return;
-                    other.textBox.set({
-                        text: newText || 'Tape ton texte...',
-                        fill: '#000000'
-                    });
-                    other.canvas.renderAll();
-                });
-            });
-            }
-
-            // Watermark (logo or text fallback)
-            const wm = template.watermark;
-            if (logoImage) {
-                // Use logo image
-                p.watermark = new fabric.Image(logoImage.getElement(), {
-                    left: wm.x + offset,
-                    top: wm.y + offset,
-                    originX: 'right',
-                    originY: 'bottom',
-                    scaleX: 0.15,
-                    scaleY: 0.15,
-                    opacity: state.watermarkOpacity / 100,
-                    selectable: true,
-                    hasControls: true,
-                    cornerSize: 16,
-                    hoverCursor: 'move',
-                    moveCursor: 'move'
-                });
-            } else {
-                // Fallback to text if logo not loaded yet
-                p.watermark = new fabric.Text('SAMOURAÏS', {
-                    left: wm.x + offset,
-                    top: wm.y + offset,
-                    fontSize: template.width * 0.04,
-                    fontFamily: 'Impact, sans-serif',
+            switch (desc.kind) {
+            case 'arrow':
+                return Promise.resolve(new fabric.Path(ARROW_PATH,
+                    Object.assign(stroked, { strokeWidth: ANNOTATION_STROKE })));
+            case 'ellipse':
+                return Promise.resolve(new fabric.Ellipse(
+                    Object.assign(stroked, { rx: 160, ry: 110, strokeWidth: ANNOTATION_STROKE })));
+            case 'rect':
+                return Promise.resolve(new fabric.Rect(
+                    Object.assign(stroked, { width: 320, height: 220, rx: 12, ry: 12, strokeWidth: ANNOTATION_STROKE })));
+            case 'pen':
+                return Promise.resolve(new fabric.Path(desc.path,
+                    Object.assign(stroked, { strokeWidth: ANNOTATION_PEN_WIDTH })));
+            case 'text':
+                return Promise.resolve(new fabric.Textbox(desc.text, Object.assign({}, common, {
+                    width: desc.width,
+                    fontSize: 64,
+                    fontFamily: 'Inter, Helvetica, Arial, sans-serif',
                     fontWeight: '800',
-                    fill: '#ffffff',
-                    stroke: '#333333',
+                    fill: desc.color,
+                    stroke: '#000000',
                     strokeWidth: 2,
-                    angle: -3,
-                    originX: 'right',
-                    originY: 'bottom',
-                    opacity: state.watermarkOpacity / 100,
-                    shadow: new fabric.Shadow({
-                        color: 'rgba(0,0,0,0.3)',
-                        blur: 4,
-                        offsetX: 2,
-                        offsetY: 2
-                    }),
-                    selectable: true,
-                    hasControls: true,
-                    cornerSize: 16,
-                    hoverCursor: 'move',
-                    moveCursor: 'move'
+                    paintFirst: 'stroke',
+                    textAlign: 'center'
+                })));
+            case 'emoji':
+                return Promise.resolve(new fabric.Text(desc.emoji, Object.assign({}, common, { fontSize: 140 })));
+            case 'sticker':
+                return new Promise(function(resolve) {
+                    fabric.Image.fromURL(`/static/stickers/${desc.sticker}.svg`, function(img) {
+                        resolve(img && img.width ? img.set(common) : null);
+                    });
                 });
             }
-            p.canvas.add(p.watermark);
+            return Promise.resolve(null);
+        }
 
-            // Le bloc POV appartient au canvas TikTok : il est recréé après
-            // chaque reconstruction des éléments de ce plateau.
-            if (p.key === 'tt') {
-                p.povObj = null;
-                if (state.povText) ensurePovObject();
+        /** Description (px du gabarit) d'un objet d'annotation. */
+        function annotationOf(obj) {
+            const desc = {
+                id: obj.annotationId,
+                kind: obj.annotationKind,
+                color: obj.annotationKind === 'text' ? obj.fill : (obj.stroke || annotationColor),
+                left: Math.round((obj.left - CANVAS_PADDING) * 10) / 10,
+                top: Math.round((obj.top - CANVAS_PADDING) * 10) / 10,
+                scaleX: obj.scaleX, scaleY: obj.scaleY,
+                angle: obj.angle || 0
+            };
+            if (obj.annotationKind === 'pen') {
+                desc.path = obj.path.map(cmd => cmd.map(v => typeof v === 'number' ? Math.round(v * 10) / 10 : v));
+            } else if (obj.annotationKind === 'text') {
+                desc.text = obj.text.slice(0, ANNOTATION_TEXT_MAX);
+                desc.width = obj.width;
+            } else if (obj.annotationKind === 'sticker') {
+                desc.sticker = obj.annotationSticker;
+            } else if (obj.annotationKind === 'emoji') {
+                desc.emoji = obj.text;
             }
+            if (!/^#[0-9a-f]{6}$/i.test(desc.color)) desc.color = annotationColor;
+            return desc;
+        }
 
-            p.canvas.renderAll();
+        function annotationObjectsOf(p) {
+            return p.canvas.getObjects().filter(o => o.annotationId);
         }
 
-        // ============================================
-        // MEDIA HANDLING (IMAGE + VIDEO)
-        // ============================================
-        function loadMedia(file) {
-            const isVideo = file.type.startsWith('video/');
-            state.mediaType = isVideo ? 'video' : 'image';
-            
-            // Update badge
-            mediaTypeBadge.style.display = 'inline-block';
-            mediaTypeBadge.textContent = isVideo ? 'Vidéo' : 'Image';
-            mediaTypeBadge.className = `media-type-badge ${isVideo ? 'video' : 'image'}`;
-            
-            if (isVideo) {
-                loadVideo(file);
-            } else {
-                loadImage(file);
-            }
+        /** Relit p.annotations depuis le canvas (après un geste). */
+        function syncAnnotations(p) {
+            p.annotations = annotationObjectsOf(p).map(annotationOf);
         }
 
-        function loadImage(file) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                state.imageSrc = e.target.result;
-                state.imageName = file.name;
-                state.imageSize = file.size;
-                // Le cadrage repart de zéro SUR CHAQUE plateau.
-                eachPane(function(p) {
-                    p.imageScale = 100;
-                    p.imageOffsetX = 0;
-                    p.imageOffsetY = 0;
+        /** Refait les objets du plateau depuis p.annotations, dans l'ordre. */
+        function renderAnnotations(p) {
+            if (!p.canvas) return Promise.resolve();
+            annotationObjectsOf(p).forEach(o => p.canvas.remove(o));
+            const list = p.annotations;
+            p.annotationsReady = Promise.all(list.map(makeAnnotationObject)).then(function(objects) {
+                // Une autre reconstruction est passée entre-temps : elle gagne.
+                if (p.annotations !== list) return;
+                objects.forEach(function(obj, i) {
+                    if (!obj) return;
+                    const desc = list[i];
+                    obj.set({
+                        left: desc.left + CANVAS_PADDING, top: desc.top + CANVAS_PADDING,
+                        scaleX: desc.scaleX, scaleY: desc.scaleY, angle: desc.angle
+                    });
+                    obj.setCoords();
+                    p.canvas.add(obj);
                 });
-                // LOT C — une nouvelle image repart d'une retouche vierge :
-                // garder le recadrage de la précédente n'aurait aucun sens.
-                Object.assign(state, IMAGE_EDIT_DEFAULTS);
-                syncImageEditControls();
-                updateMediaToolsVisibility();
+                p.canvas.requestRenderAll();
+            });
+            return p.annotationsReady;
+        }
 
-                // Hide video timeline
-                timelineContainer.style.display = 'none';
+        /** Résolue quand chaque plateau a refait ses annotations (stickers chargés). */
+        function whenAnnotationsReady() {
+            return Promise.all(paneList.map(p => p.annotationsReady));
+        }
 
-                updateUploadZone();
-                addImageToAllPanes(e.target.result);
-                
-                imageScaleSection.style.display = 'block';
-                imageScaleSlider.value = 100;
-                imageScaleValue.textContent = '100%';
-                selectImageBtn.style.display = 'block';
-                
-                exportBtn.disabled = false;
-                exportBtn.textContent = '📥 Télécharger le meme';
-                scheduleBtn.disabled = false;
-                if (saveMemeBtn) saveMemeBtn.disabled = false;
-            };
-            reader.readAsDataURL(file);
+        /**
+         * Même annotation, sur un autre plateau : même place relative du
+         * gabarit, taille à l'échelle de sa largeur.
+         */
+        function mapAnnotation(desc, from, to) {
+            const a = templateOf(from);
+            const b = templateOf(to);
+            const k = b.width / a.width;
+            return Object.assign({}, desc, {
+                id: newAnnotationId(),
+                left: desc.left / a.width * b.width,
+                top: desc.top / a.height * b.height,
+                scaleX: desc.scaleX * k,
+                scaleY: desc.scaleY * k
+            });
         }
 
-        function loadVideo(file) {
-            state.videoFile = file;
-            state.imageName = file.name;
-            state.imageSize = file.size;
+        /** Pose une nouvelle annotation au centre de chaque plateau visé. */
+        async function addAnnotation(kind, extra) {
+            const targets = annotationTargets();
+            if (!targets.length) {
+                note('Aucun plateau actif pour cette annotation : active-le ou choisis « Tous ».', 'warning');
+                return;
+            }
+            for (const p of targets) {
+                if (p.annotations.length >= ANNOTATION_MAX) {
+                    note(`${p.label} : ${ANNOTATION_MAX} annotations au plus.`, 'warning');
+                    continue;
+                }
+                const template = templateOf(p);
+                const k = template.width / 1080;
+                const desc = Object.assign({
+                    id: newAnnotationId(), kind, color: annotationColor,
+                    left: 0, top: 0, scaleX: k, scaleY: k, angle: 0
+                }, extra);
+                const obj = await makeAnnotationObject(desc);
+                if (!obj) continue;
+                obj.set({ scaleX: k, scaleY: k });
+                obj.set({
+                    left: CANVAS_PADDING + (template.width - obj.getScaledWidth()) / 2,
+                    top: CANVAS_PADDING + (template.height - obj.getScaledHeight()) / 2
+                });
+                obj.setCoords();
+                p.canvas.add(obj);
+                p.canvas.setActiveObject(obj);
+                p.canvas.requestRenderAll();
+                syncAnnotations(p);
+            }
+            commitHistory('Annotation');
+        }
+
+        /** Retire l'annotation sélectionnée de chaque plateau. */
+        function removeSelectedAnnotations() {
+            let removed = false;
             eachPane(function(p) {
-                p.imageScale = 100;
-                p.imageOffsetX = 0;
-                p.imageOffsetY = 0;
+                const obj = p.canvas && p.canvas.getActiveObject();
+                if (!obj || !obj.annotationId || obj.isEditing) return;
+                p.canvas.remove(obj);
+                p.canvas.discardActiveObject();
+                p.canvas.requestRenderAll();
+                syncAnnotations(p);
+                removed = true;
             });
-            // LOT C — la retouche et le format image ne s'appliquent pas à
-            // une vidéo : on remet à zéro et on masque les deux blocs.
-            Object.assign(state, IMAGE_EDIT_DEFAULTS);
-            syncImageEditControls();
-            updateMediaToolsVisibility();
+            if (removed) commitHistory('Annotation retirée');
+            return removed;
+        }
 
-            // Show loading state
-            uploadZone.classList.add('has-file');
-            uploadZone.innerHTML = `
-                <div class="file-preview">
-                    <div class="video-loading">
-                        <div class="loading-spinner"></div>
-                    </div>
-                    <div class="file-info">
-                        <div class="file-name">${file.name}</div>
-                        <div class="file-size">Chargement de la vidéo...</div>
-                    </div>
-                </div>
-            `;
-            
-            const url = URL.createObjectURL(file);
-            videoSource.src = url;
-            
-            videoSource.onloadedmetadata = () => {
-                state.videoDuration = videoSource.duration;
-                state.trimStart = 0;
-                state.trimEnd = Math.min(videoSource.duration, 30); // Max 30s default
-                
-                updateUploadZone();
-                generateThumbnails();
-                updateTimelineUI();
-                
-                // Show video timeline
-                timelineContainer.style.display = 'block';
-                imageScaleSection.style.display = 'block';
-                imageScaleSlider.value = 100;
-                imageScaleValue.textContent = '100%';
-                selectImageBtn.style.display = 'block';
-                
-                // Capture first frame for canvas preview
-                captureVideoFrame(0);
-                
-                exportBtn.disabled = false;
-                exportBtn.textContent = '🎬 Exporter la vidéo';
-                scheduleBtn.disabled = false;
-                if (saveMemeBtn) saveMemeBtn.disabled = false;
+        /**
+         * Crayon : chaque plateau visé passe en mode dessin. Un tracé fini
+         * devient une annotation — copiée sur les autres plateaux visés.
+         */
+        function setAnnotationPen(on) {
+            annotationPen = on;
+            if (on && redactionDrawing) setRedactionDrawing(false);
+            if (on && focusPicking) setFocusPicking(false);
+            const targets = annotationTargets();
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                p.canvas.isDrawingMode = on && targets.includes(p);
+                if (p.canvas.isDrawingMode) {
+                    p.canvas.freeDrawingBrush = new fabric.PencilBrush(p.canvas);
+                    p.canvas.freeDrawingBrush.color = annotationColor;
+                    p.canvas.freeDrawingBrush.width = ANNOTATION_PEN_WIDTH;
+                }
+            });
+            const penBtn = document.querySelector('#annot-tools [data-annot="pen"]');
+            if (penBtn) {
+                penBtn.classList.toggle('active', on);
+                penBtn.setAttribute('aria-pressed', String(on));
+            }
+        }
+
+        async function penPathCreated(p, path) {
+            p.canvas.remove(path);
+            const desc = {
+                id: newAnnotationId(), kind: 'pen', color: annotationColor,
+                path: path.path, left: path.left - CANVAS_PADDING, top: path.top - CANVAS_PADDING,
+                scaleX: 1, scaleY: 1, angle: 0
             };
+            const jobs = annotationTargets().map(function(target) {
+                if (target.annotations.length >= ANNOTATION_MAX) return null;
+                const copy = target === p ? desc : mapAnnotation(desc, p, target);
+                target.annotations = target.annotations.concat([copy]);
+                return renderAnnotations(target);
+            });
+            await Promise.all(jobs);
+            commitHistory('Tracé');
+        }
 
-            videoSource.load();
+        /** Annotations du plateau, par-dessus un gabarit dessiné à la main (px du gabarit). */
+        function drawAnnotations(ctx, p) {
+            const skip = p.canvas.skipOffscreen;
+            p.canvas.skipOffscreen = false;
+            try {
+                ctx.save();
+                ctx.translate(-CANVAS_PADDING, -CANVAS_PADDING);
+                annotationObjectsOf(p).forEach(obj => obj.render(ctx));
+                ctx.restore();
+            } finally {
+                p.canvas.skipOffscreen = skip;
+            }
         }
 
-        function captureVideoFrame(time) {
-            return new Promise((resolve) => {
-                videoSource.currentTime = time;
-                videoSource.onseeked = () => {
-                    const tempCanvas = document.createElement('canvas');
-                    tempCanvas.width = videoSource.videoWidth;
-                    tempCanvas.height = videoSource.videoHeight;
-                    const ctx = tempCanvas.getContext('2d');
-                    ctx.drawImage(videoSource, 0, 0);
-                    
-                    const dataURL = tempCanvas.toDataURL('image/jpeg', 0.8);
-                    state.imageSrc = dataURL;
+        function setupAnnotations() {
+            const tools = document.getElementById('annot-tools');
+            if (!tools) return;
+            const targetGroup = document.getElementById('annot-target-group');
+            const colorInput = document.getElementById('annot-color');
+            const stickers = document.getElementById('annot-stickers');
+            const deleteBtn = document.getElementById('annot-delete');
 
-                    addImageToAllPanes(dataURL);
-                    resolve(dataURL);
-                };
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                p.canvas.on('path:created', function(e) {
+                    if (e.path) penPathCreated(p, e.path);
+                });
+                p.canvas.on('text:editing:exited', function(e) {
+                    if (!e.target || !e.target.annotationId) return;
+                    syncAnnotations(p);
+                    commitHistory('Texte libre');
+                });
             });
-        }
 
-        async function generateThumbnails() {
-            const numThumbnails = 10;
-            const duration = state.videoDuration;
-            const interval = duration / numThumbnails;
-            
-            timelineThumbnails.innerHTML = '';
-            
-            const thumbWidth = timelineWrapper.clientWidth / numThumbnails;
-            const thumbHeight = 50;
-            
-            for (let i = 0; i < numThumbnails; i++) {
-                const time = i * interval;
-                const thumbCanvas = document.createElement('canvas');
-                thumbCanvas.width = thumbWidth;
-                thumbCanvas.height = thumbHeight;
-                thumbCanvas.style.width = thumbWidth + 'px';
-                
-                timelineThumbnails.appendChild(thumbCanvas);
-                
-                // Capture thumbnail asynchronously
-                await captureThumbnail(time, thumbCanvas);
+            if (targetGroup) {
+                targetGroup.addEventListener('click', function(e) {
+                    const btn = e.target.closest('.seg__btn');
+                    if (!btn) return;
+                    annotationTarget = btn.dataset.annottarget;
+                    targetGroup.querySelectorAll('.seg__btn').forEach(function(b) {
+                        const active = b === btn;
+                        b.classList.toggle('active', active);
+                        b.setAttribute('aria-pressed', String(active));
+                    });
+                    if (annotationPen) setAnnotationPen(true);
+                });
             }
-        }
 
-        function captureThumbnail(time, thumbCanvas) {
-            return new Promise((resolve) => {
-                videoSource.currentTime = time;
-                videoSource.onseeked = () => {
-                    const ctx = thumbCanvas.getContext('2d');
-                    const aspectRatio = videoSource.videoWidth / videoSource.videoHeight;
-                    const drawHeight = thumbCanvas.height;
-                    const drawWidth = drawHeight * aspectRatio;
-                    const offsetX = (thumbCanvas.width - drawWidth) / 2;
-                    
-                    ctx.fillStyle = '#000';
-                    ctx.fillRect(0, 0, thumbCanvas.width, thumbCanvas.height);
-                    ctx.drawImage(videoSource, offsetX, 0, drawWidth, drawHeight);
-                    resolve();
-                };
+            if (colorInput) {
+                colorInput.addEventListener('input', function() {
+                    annotationColor = colorInput.value;
+                    if (annotationPen) setAnnotationPen(true);
+                });
+            }
+
+            tools.addEventListener('click', function(e) {
+                const btn = e.target.closest('button[data-annot]');
+                if (!btn) return;
+                const kind = btn.dataset.annot;
+                if (kind === 'pen') { setAnnotationPen(!annotationPen); return; }
+                setAnnotationPen(false);
+                addAnnotation(kind, kind === 'text' ? { text: 'Texte', width: 600 } : null);
+            });
+
+            if (stickers) {
+                stickers.addEventListener('click', function(e) {
+                    const btn = e.target.closest('button');
+                    if (!btn) return;
+                    setAnnotationPen(false);
+                    if (btn.dataset.sticker in STICKERS) addAnnotation('sticker', { sticker: btn.dataset.sticker });
+                    else if (EMOJIS.includes(btn.dataset.emoji)) addAnnotation('emoji', { emoji: btn.dataset.emoji });
+                });
+            }
+
+            if (deleteBtn) deleteBtn.addEventListener('click', removeSelectedAnnotations);
+
+            // Suppr / Retour arrière retire l'annotation sélectionnée — sauf
+            // quand le clavier appartient à un champ ou à un texte en cours.
+            document.addEventListener('keydown', function(e) {
+                if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+                if (historyKeyInField(e.target)) return;
+                if (removeSelectedAnnotations()) e.preventDefault();
+            });
+
+            // Échap range le crayon.
+            document.addEventListener('keydown', function(e) {
+                if (e.key === 'Escape' && annotationPen) setAnnotationPen(false);
             });
         }
 
         // ============================================
-        // TIMELINE CONTROLS
+        // FLOUTAGE — ZONES FLOUTÉES OU PIXELISÉES
+        // --------------------------------------------
+        // Les captures récupérées montrent souvent pseudos et visages à
+        // cacher avant de republier. Une zone est un rectangle du MÉDIA, pas
+        // du gabarit : state.redactions la garde en fractions de la source
+        // ENTIÈRE (avant recadrage), la même pour tous les plateaux.
+        //   - à l'écran et à l'export image, l'objet Fabric du média la
+        //     peint lui-même, dans son propre repère (renderRedacted) : elle
+        //     suit reapplyImageTransforms() — recadrage, rotation,
+        //     retournement — et le cadrage de chaque plateau ;
+        //   - pour une vidéo, la frame affichée a la taille de la source :
+        //     les mêmes fractions partent au serveur (params.redactions) et
+        //     FFmpeg traite la zone, fixe, sur tout le clip
+        //     (redaction_filters dans app/editor/processing.py).
         // ============================================
-        function updateTimelineUI() {
-            const duration = state.videoDuration;
-            const startPercent = (state.trimStart / duration) * 100;
-            const endPercent = (state.trimEnd / duration) * 100;
-            
-            timelineSelection.style.left = startPercent + '%';
-            timelineSelection.style.width = (endPercent - startPercent) + '%';
-            
-            timeStartEl.textContent = formatTime(state.trimStart);
-            timeEndEl.textContent = formatTime(state.trimEnd);
-            trimDurationEl.textContent = formatTime(state.trimEnd - state.trimStart);
+        // Bornes, sanitizeRedactions() et redactionStrength() : editor-core.js.
+
+        const redactGroup = document.getElementById('redact-group');
+        const redactList = document.getElementById('redact-list');
+        const redactDrawBtn = document.getElementById('redact-draw');
+        // Zone réduite à un pixel par bloc, réutilisée d'une zone à l'autre.
+        const redactionScratch = document.createElement('canvas');
+
+        let redactionMode = 'blur';
+        let redactionDrawing = false;
+        let redactionSeq = 0;
+
+        /**
+         * Zones de state.redactions, dans le repère de l'objet média `img`
+         * (origine au centre de la fenêtre de recadrage, px de la source).
+         * Chaque zone est réduite à un pixel par bloc puis agrandie : nette
+         * pour la pixelisation, lissée pour le flou. Aucun pixel d'origine
+         * n'atteint l'écran — pas même sans ctx.filter (Safari).
+         */
+        function drawRedactions(ctx, img) {
+            const el = img._element;
+            if (!el) return;
+            const natW = img._natW || img.width;
+            const natH = img._natH || img.height;
+            const cropX = img.cropX || 0;
+            const cropY = img.cropY || 0;
+            // Avec un réglage (luminosité…), l'élément est le rendu filtré,
+            // éventuellement réduit : mêmes facteurs que Fabric.
+            const fx = img._filterScalingX || 1;
+            const fy = img._filterScalingY || 1;
+            const strength = redactionStrength(natW, natH);
+            const small = redactionScratch;
+            state.redactions.forEach(function(r) {
+                // En px de la source, limitée à la fenêtre de recadrage.
+                const x0 = Math.max(r.x * natW, cropX);
+                const y0 = Math.max(r.y * natH, cropY);
+                const w = Math.min((r.x + r.width) * natW, cropX + img.width) - x0;
+                const h = Math.min((r.y + r.height) * natH, cropY + img.height) - y0;
+                if (w < 1 || h < 1) return;
+                small.width = Math.max(1, Math.round(w / strength));
+                small.height = Math.max(1, Math.round(h / strength));
+                small.getContext('2d').drawImage(el, x0 * fx, y0 * fy, w * fx, h * fy,
+                    0, 0, small.width, small.height);
+                ctx.save();
+                ctx.imageSmoothingEnabled = r.mode !== 'pixelate';
+                ctx.drawImage(small, 0, 0, small.width, small.height,
+                    x0 - cropX - img.width / 2, y0 - cropY - img.height / 2, w, h);
+                ctx.restore();
+            });
         }
 
-        function formatTime(seconds) {
-            const mins = Math.floor(seconds / 60);
-            const secs = Math.floor(seconds % 60);
-            return `${mins}:${secs.toString().padStart(2, '0')}`;
+        /** _render de l'objet média : l'image, ses zones floutées, puis la vignette. */
+        function renderRedacted(ctx) {
+            fabric.Image.prototype._render.call(this, ctx);
+            if (state.redactions.length) drawRedactions(ctx, this);
+            if (state.vignette) drawVignette(ctx, this);
         }
 
-        function setupTimelineInteraction() {
-            let dragging = null;
-            let startX = 0;
-            let startValue = 0;
-            let lastPreviewTime = 0;
-            const PREVIEW_THROTTLE = 100; // ms between preview updates
-            
-            const getTimeFromX = (x) => {
-                const rect = timelineWrapper.getBoundingClientRect();
-                const percent = Math.max(0, Math.min(1, (x - rect.left) / rect.width));
-                return percent * state.videoDuration;
+        /** Repeint les médias (leur cache, leur fond flou) et la liste. */
+        function refreshRedactions() {
+            eachPane(function(p) {
+                if (!p.imageObj) return;
+                p.imageObj.dirty = true;
+                paintBackdrop(p);
+                p.canvas.requestRenderAll();
+            });
+            renderRedactionList();
+        }
+
+        /** Nouveau média, composition vierge : aucune zone. */
+        function resetRedactions() {
+            state.redactions = [];
+            setRedactionDrawing(false);
+            refreshRedactions();
+        }
+
+        function renderRedactionList() {
+            if (!redactList) return;
+            redactList.innerHTML = '';
+            state.redactions.forEach(function(r, i) {
+                const row = document.createElement('li');
+                row.className = 'redact-row';
+                row.dataset.redactid = r.id;
+                const name = document.createElement('span');
+                name.className = 'redact-row__name';
+                name.textContent = `Zone ${i + 1} — ${REDACTION_MODES[r.mode]}`;
+                const toggle = document.createElement('button');
+                toggle.type = 'button';
+                toggle.className = 'redact-row__tool';
+                toggle.dataset.redactaction = 'mode';
+                toggle.textContent = r.mode === 'blur' ? 'Pixels' : 'Flou';
+                toggle.title = r.mode === 'blur' ? 'Pixeliser plutôt' : 'Flouter plutôt';
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'redact-row__tool';
+                remove.dataset.redactaction = 'remove';
+                remove.textContent = '✕';
+                remove.title = 'Retirer la zone';
+                remove.setAttribute('aria-label', `Retirer la zone ${i + 1}`);
+                row.append(name, toggle, remove);
+                redactList.appendChild(row);
+            });
+        }
+
+        /** Point de la scène → fraction de la source du média `img`. */
+        function sourcePointOf(img, point) {
+            const local = fabric.util.transformPoint(point,
+                fabric.util.invertTransform(img.calcTransformMatrix()));
+            return {
+                x: (local.x + img.width / 2 + (img.cropX || 0)) / (img._natW || img.width),
+                y: (local.y + img.height / 2 + (img.cropY || 0)) / (img._natH || img.height)
             };
-            
-            // Throttled preview update
-            const updatePreview = (time) => {
-                const now = Date.now();
-                if (now - lastPreviewTime > PREVIEW_THROTTLE) {
-                    lastPreviewTime = now;
-                    captureVideoFrame(time);
-                }
-            };
-            
-            handleStart.addEventListener('mousedown', (e) => {
-                dragging = 'start';
-                startX = e.clientX;
-                startValue = state.trimStart;
-                e.preventDefault();
-            });
-            
-            handleEnd.addEventListener('mousedown', (e) => {
-                dragging = 'end';
-                startX = e.clientX;
-                startValue = state.trimEnd;
-                e.preventDefault();
-            });
-            
-            // Also allow dragging the selection area
-            timelineSelection.addEventListener('mousedown', (e) => {
-                if (e.target === timelineSelection) {
-                    dragging = 'selection';
-                    startX = e.clientX;
-                    startValue = state.trimStart;
-                    e.preventDefault();
-                }
-            });
-            
-            document.addEventListener('mousemove', (e) => {
-                if (!dragging) return;
-                
-                const time = getTimeFromX(e.clientX);
-                const duration = state.videoDuration;
-                const trimLength = state.trimEnd - state.trimStart;
-                
-                if (dragging === 'start') {
-                    state.trimStart = Math.max(0, Math.min(time, state.trimEnd - 0.5));
-                    // Live preview: show first frame of trimmed section
-                    updatePreview(state.trimStart);
-                } else if (dragging === 'end') {
-                    state.trimEnd = Math.min(duration, Math.max(time, state.trimStart + 0.5));
-                    // Live preview: show last frame of trimmed section
-                    updatePreview(state.trimEnd);
-                } else if (dragging === 'selection') {
-                    const delta = time - getTimeFromX(startX);
-                    let newStart = startValue + delta;
-                    let newEnd = newStart + trimLength;
-                    
-                    if (newStart < 0) {
-                        newStart = 0;
-                        newEnd = trimLength;
-                    }
-                    if (newEnd > duration) {
-                        newEnd = duration;
-                        newStart = duration - trimLength;
-                    }
-                    
-                    state.trimStart = newStart;
-                    state.trimEnd = newEnd;
-                }
-                
-                updateTimelineUI();
+        }
+
+        /**
+         * Zone tracée de `a` à `b` (px de la scène) sur le plateau `p` :
+         * ramenée dans la source — rotation et miroir défaits — et bornée
+         * à la fenêtre de recadrage, seule partie visible.
+         */
+        function addRedaction(p, a, b) {
+            const img = p.imageObj;
+            const corners = [a, b, { x: a.x, y: b.y }, { x: b.x, y: a.y }].map(function(pt) {
+                return sourcePointOf(img, new fabric.Point(pt.x, pt.y));
             });
-            
-            document.addEventListener('mouseup', async () => {
-                if (dragging) {
-                    const wasDragging = dragging;
-                    dragging = null;
-                    // Final preview: show the appropriate frame based on what was dragged
-                    if (wasDragging === 'start') {
-                        await captureVideoFrame(state.trimStart);
-                    } else if (wasDragging === 'end') {
-                        await captureVideoFrame(state.trimEnd);
-                    } else {
-                        await captureVideoFrame(state.trimStart);
-                    }
-                }
+            const natW = img._natW || img.width;
+            const natH = img._natH || img.height;
+            const cropX = (img.cropX || 0) / natW;
+            const cropY = (img.cropY || 0) / natH;
+            const x0 = Math.max(cropX, Math.min(...corners.map(c => c.x)));
+            const y0 = Math.max(cropY, Math.min(...corners.map(c => c.y)));
+            const x1 = Math.min(cropX + img.width / natW, Math.max(...corners.map(c => c.x)));
+            const y1 = Math.min(cropY + img.height / natH, Math.max(...corners.map(c => c.y)));
+            if (x1 - x0 < REDACTION_MIN_SIZE || y1 - y0 < REDACTION_MIN_SIZE) return;
+            if (state.redactions.length >= REDACTION_MAX) {
+                note(`${REDACTION_MAX} zones floutées au plus.`, 'warning');
+                return;
+            }
+            const r4 = v => Math.round(v * 10000) / 10000;
+            const x = r4(x0);
+            const y = r4(y0);
+            state.redactions = state.redactions.concat([{
+                id: 'r' + Date.now().toString(36) + (++redactionSeq),
+                mode: redactionMode,
+                x, y, width: r4(r4(x1) - x), height: r4(r4(y1) - y)
+            }]);
+            refreshRedactions();
+            commitHistory('Floutage');
+        }
+
+        /**
+         * Mode dessin : un glisser sur un plateau trace une zone au lieu
+         * de déplacer le média — les objets ne se sélectionnent plus.
+         */
+        function setRedactionDrawing(on) {
+            if (on && !anyImageObj()) {
+                note('Charge d\'abord une image ou une vidéo à flouter.', 'warning');
+                on = false;
+            }
+            redactionDrawing = on;
+            if (on) {
+                setAnnotationPen(false);
+                setFocusPicking(false);
+            }
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                p.canvas.selection = !on;
+                p.canvas.skipTargetFind = on;
+                p.canvas.defaultCursor = on ? 'crosshair' : 'default';
+                if (on) p.canvas.discardActiveObject();
+                p.canvas.requestRenderAll();
             });
-            
-            // Click on timeline to seek
-            timelineWrapper.addEventListener('click', async (e) => {
-                if (e.target === handleStart || e.target === handleEnd) return;
-                
-                const time = getTimeFromX(e.clientX);
-                videoSource.currentTime = time;
-                updatePlayhead(time);
-                await captureVideoFrame(time);
+            if (redactDrawBtn) {
+                redactDrawBtn.setAttribute('aria-pressed', String(on));
+                redactDrawBtn.textContent = on ? 'Terminer' : 'Dessiner une zone';
+            }
+        }
+
+        /** Export vidéo : les zones, avec leur force en px de la source. */
+        function redactionExportParam() {
+            if (!state.redactions.length || !videoSource.videoWidth) return [];
+            return redactionsExportOf(state.redactions, videoSource.videoWidth, videoSource.videoHeight);
+        }
+
+        function setupRedactions() {
+            if (!redactList) return;
+            const modeGroup = document.getElementById('redact-mode-group');
+
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                let start = null;
+                let preview = null;
+                p.canvas.on('mouse:down', function(opt) {
+                    if (!redactionDrawing || !p.imageObj) return;
+                    start = p.canvas.getPointer(opt.e);
+                    preview = new fabric.Rect({
+                        left: start.x, top: start.y, width: 0, height: 0,
+                        fill: 'rgba(239, 68, 68, 0.15)', stroke: '#ef4444',
+                        strokeWidth: 2, strokeUniform: true, strokeDashArray: [8, 6],
+                        selectable: false, evented: false, excludeFromLayers: true
+                    });
+                    p.canvas.add(preview);
+                });
+                p.canvas.on('mouse:move', function(opt) {
+                    if (!start) return;
+                    const pt = p.canvas.getPointer(opt.e);
+                    preview.set({
+                        left: Math.min(start.x, pt.x), top: Math.min(start.y, pt.y),
+                        width: Math.abs(pt.x - start.x), height: Math.abs(pt.y - start.y)
+                    });
+                    p.canvas.requestRenderAll();
+                });
+                p.canvas.on('mouse:up', function(opt) {
+                    if (!start) return;
+                    const end = p.canvas.getPointer(opt.e);
+                    p.canvas.remove(preview);
+                    const from = start;
+                    start = null;
+                    preview = null;
+                    if (p.imageObj) addRedaction(p, from, end);
+                });
             });
-            
-            // Play button
-            btnPlay.addEventListener('click', () => {
-                if (state.isPlaying) {
-                    pauseVideo();
+
+            if (modeGroup) {
+                modeGroup.addEventListener('click', function(e) {
+                    const btn = e.target.closest('.seg__btn');
+                    if (!btn || !(btn.dataset.redactmode in REDACTION_MODES)) return;
+                    redactionMode = btn.dataset.redactmode;
+                    modeGroup.querySelectorAll('.seg__btn').forEach(function(b) {
+                        const active = b === btn;
+                        b.classList.toggle('active', active);
+                        b.setAttribute('aria-pressed', String(active));
+                    });
+                });
+            }
+
+            if (redactDrawBtn) {
+                redactDrawBtn.addEventListener('click', function() {
+                    setRedactionDrawing(!redactionDrawing);
+                });
+            }
+
+            redactList.addEventListener('click', function(e) {
+                const btn = e.target.closest('button[data-redactaction]');
+                const row = btn && btn.closest('.redact-row');
+                if (!row) return;
+                const id = row.dataset.redactid;
+                if (btn.dataset.redactaction === 'remove') {
+                    state.redactions = state.redactions.filter(r => r.id !== id);
+                    refreshRedactions();
+                    commitHistory('Zone floutée retirée');
                 } else {
-                    playVideo();
+                    state.redactions = state.redactions.map(function(r) {
+                        return r.id !== id ? r : Object.assign({}, r, { mode: r.mode === 'blur' ? 'pixelate' : 'blur' });
+                    });
+                    refreshRedactions();
+                    commitHistory('Floutage');
                 }
             });
-            
-            // Preview button - play trimmed section
-            btnPreview.addEventListener('click', () => {
-                previewTrimmedSection();
+
+            // Échap arrête le dessin.
+            document.addEventListener('keydown', function(e) {
+                if (e.key === 'Escape' && redactionDrawing) setRedactionDrawing(false);
             });
         }
 
-        function updatePlayhead(time) {
-            const percent = (time / state.videoDuration) * 100;
-            timelinePlayhead.style.left = percent + '%';
-        }
+        // ============================================
+        // CADRAGE AUTOMATIQUE — POINT D'INTÉRÊT
+        // --------------------------------------------
+        // Placer un sujet au zoom et aux décalages se fait à tâtons, et
+        // plateau par plateau. « Cadrage auto » calcule un point
+        // d'intérêt, le même pour tous les plateaux, puis le zoom et le
+        // décalage qui l'amènent au centre du cadre visible de CHACUN, à
+        // son propre ratio :
+        //   - le point est détecté sur place, sans serveur : là où
+        //     l'image a le plus de contours (énergie du gradient), dans
+        //     l'image chargée ou, pour une vidéo, dans la frame que
+        //     captureVideoFrame() a posée sur les plateaux ;
+        //   - « Choisir le sujet » le fixe à la main d'un clic ;
+        //     state.focusPoint le garde alors en fractions de la source
+        //     ENTIÈRE, comme les zones floutées, jusqu'au retour à la
+        //     détection ou au prochain média.
+        // En mode « cover », le média ne doit jamais découvrir le cadre :
+        // le décalage est borné, et un sujet près du bord fait zoomer
+        // (AUTO_FRAME_MAX_ZOOM au plus). En mode « blur », le média reste
+        // entier : seul l'axe où il déborde du cadre se décale.
+        // Le résultat est un cadrage ordinaire (imageScale, imageOffsetX/Y)
+        // que l'historique, les compositions et l'export vidéo suivent déjà.
+        // ============================================
+        const AUTO_FRAME_SAMPLE = 96;       // grand côté de l'image analysée, en px
+        // AUTO_FRAME_MAX_ZOOM, focusOfPixels() et focusFraming() : editor-core.js.
 
-        function playVideo() {
-            state.isPlaying = true;
-            btnPlay.textContent = '⏸️ Pause';
-            btnPlay.classList.add('active');
-            
-            videoSource.currentTime = state.trimStart;
-            videoSource.play();
-            
-            const updateFrame = () => {
-                if (!state.isPlaying) return;
-                
-                const currentTime = videoSource.currentTime;
-                updatePlayhead(currentTime);
-                
-                // Update canvas preview — la frame courante alimente les
-                // DEUX plateaux, comme le média importé.
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = videoSource.videoWidth;
-                tempCanvas.height = videoSource.videoHeight;
-                const ctx = tempCanvas.getContext('2d');
-                ctx.drawImage(videoSource, 0, 0);
-                const frameURL = tempCanvas.toDataURL('image/jpeg', 0.8);
+        const autoFrameBtn = document.getElementById('auto-frame');
+        const focusPickBtn = document.getElementById('focus-pick');
+        const focusReadout = document.getElementById('focus-readout');
+        const focusResetBtn = document.getElementById('focus-reset');
+        // Image réduite pour l'analyse, réutilisée d'un cadrage à l'autre.
+        const focusScratch = document.createElement('canvas');
 
-                eachPane(function(p) {
-                    if (!p.imageObj) return;
-                    p.imageObj.setSrc(frameURL, () => {
-                        p.canvas.renderAll();
-                    });
-                });
-                
-                if (currentTime >= state.trimEnd) {
-                    pauseVideo();
-                    return;
-                }
-                
-                requestAnimationFrame(updateFrame);
+        let focusPicking = false;
+
+        /**
+         * Point d'intérêt du média `img`, en fractions de la source entière,
+         * cherché dans la fenêtre de recadrage seule (focusOfPixels). Une
+         * image que le canvas refuse de lire (origine étrangère) rend null.
+         */
+        function detectFocusPoint(img) {
+            const natW = img._natW || img.width;
+            const natH = img._natH || img.height;
+            const cropX = img.cropX || 0;
+            const cropY = img.cropY || 0;
+            const k = Math.min(1, AUTO_FRAME_SAMPLE / Math.max(img.width, img.height));
+            const w = Math.max(3, Math.round(img.width * k));
+            const h = Math.max(3, Math.round(img.height * k));
+            focusScratch.width = w;
+            focusScratch.height = h;
+            const ctx = focusScratch.getContext('2d');
+            let data;
+            try {
+                // Source d'origine : les réglages de couleur n'y comptent pas.
+                ctx.drawImage(img._originalElement || img.getElement(), cropX, cropY, img.width, img.height, 0, 0, w, h);
+                data = ctx.getImageData(0, 0, w, h).data;
+            } catch (err) {
+                return null;
+            }
+            const focus = focusOfPixels(data, w, h);
+            return {
+                x: (cropX + focus.x * img.width) / natW,
+                y: (cropY + focus.y * img.height) / natH
             };
-            
-            requestAnimationFrame(updateFrame);
         }
 
-        function pauseVideo() {
-            state.isPlaying = false;
-            btnPlay.textContent = '▶️ Play';
-            btnPlay.classList.remove('active');
-            videoSource.pause();
+        /**
+         * Cadrage du plateau `p` qui amène `focus` (fractions de la source)
+         * au centre de son cadre visible : { imageScale, imageOffsetX,
+         * imageOffsetY }. Le point passe par la matrice Fabric du média —
+         * recadrage, rotation et miroir compris, l'inverse de sourcePointOf().
+         */
+        function frameOnFocus(p, focus) {
+            const img = p.imageObj;
+            const local = new fabric.Point(
+                focus.x * (img._natW || img.width) - (img.cropX || 0) - img.width / 2,
+                focus.y * (img._natH || img.height) - (img.cropY || 0) - img.height / 2);
+            const center = img.getCenterPoint();
+            const placed = fabric.util.transformPoint(local, img.calcTransformMatrix());
+            // Écart au centre du média, en px de la source tournée.
+            const rx = (placed.x - center.x) / img.scaleX;
+            const ry = (placed.y - center.y) / img.scaleY;
+
+            const quarterTurn = (state.rotation % 180) !== 0;
+            const srcW = quarterTurn ? img.height : img.width;
+            const srcH = quarterTurn ? img.width : img.height;
+            const frame = templateOf(p).frame;
+            return focusFraming({
+                rx, ry, srcW, srcH,
+                baseScale: fitScale(p, srcW, srcH),
+                viewW: frame.width,
+                viewH: isFullBleed(p) ? frame.height : frame.height * (p.frameHeightPercent || 100) / 100,
+                fillMode: p.fillMode
+            });
         }
 
-        async function previewTrimmedSection() {
-            await captureVideoFrame(state.trimStart);
-            playVideo();
+        /** Cadre chaque plateau sur le point choisi, ou à défaut détecté. */
+        function autoFrame(label) {
+            const img = anyImageObj();
+            if (!img) {
+                note('Charge d\'abord une image ou une vidéo à cadrer.', 'warning');
+                return;
+            }
+            const focus = state.focusPoint || detectFocusPoint(img);
+            if (!focus) {
+                note('Impossible d\'analyser ce média : choisis le sujet à la main.', 'warning');
+                return;
+            }
+            eachPane(function(p) {
+                if (p.imageObj) Object.assign(p, frameOnFocus(p, focus));
+            });
+            reapplyImageTransforms();
+            // Le curseur de zoom reflète le plateau Instagram.
+            imageScaleSlider.value = Math.min(200, Math.max(50, panes.ig.imageScale));
+            imageScaleValue.textContent = panes.ig.imageScale + '%';
+            commitHistory(label || 'Cadrage auto');
         }
 
-        /**
-         * Le fichier choisi n'est pas décodable comme image : on retire ce
-         * qui restait sur le plan de travail, on REVERROUILLE les actions de
-         * sortie (rien de bon ne peut en sortir) et on le dit à l'écran.
-         */
-        function rejectUnusableImage() {
+        function syncFocusControls() {
+            const manual = !!state.focusPoint;
+            if (focusReadout) {
+                focusReadout.textContent = manual
+                    ? 'Sujet choisi à la main, le même pour tous les plateaux.'
+                    : 'Sujet détecté sur le média, le même pour tous les plateaux.';
+            }
+            if (focusResetBtn) focusResetBtn.hidden = !manual;
+        }
+
+        function setFocusPicking(on) {
+            if (on && !anyImageObj()) {
+                note('Charge d\'abord une image ou une vidéo à cadrer.', 'warning');
+                on = false;
+            }
+            focusPicking = on;
+            if (on) {
+                setRedactionDrawing(false);
+                setAnnotationPen(false);
+            }
             eachPane(function(p) {
-                if (p.imageObj) {
-                    p.canvas.remove(p.imageObj);
-                    p.imageObj = null;
-                }
+                if (!p.canvas) return;
+                p.canvas.selection = !on;
+                p.canvas.skipTargetFind = on;
+                p.canvas.defaultCursor = on ? 'crosshair' : 'default';
+                if (on) p.canvas.discardActiveObject();
                 p.canvas.requestRenderAll();
             });
-            state.imageSrc = null;
-            updateImageEditReadouts();
-
-            // La vidéo ne passe ici que par une capture de frame déjà rendue
-            // par un canvas : on ne touche pas à son bouton d'export.
-            if (state.mediaType !== 'video') {
-                if (exportBtn) exportBtn.disabled = true;
-                if (scheduleBtn) scheduleBtn.disabled = true;
-                if (saveMemeBtn) saveMemeBtn.disabled = true;
+            if (focusPickBtn) {
+                focusPickBtn.setAttribute('aria-pressed', String(on));
+                focusPickBtn.textContent = on ? 'Annuler' : 'Choisir le sujet';
             }
+        }
 
-            note('Ce fichier n’est pas une image exploitable : rien n’a pu être décodé. Choisis un PNG, un JPEG ou un WebP valide.', 'error');
+        /** Nouveau média : le point choisi pour l'ancien ne veut plus rien dire. */
+        function resetFocusPoint() {
+            state.focusPoint = null;
+            setFocusPicking(false);
+            syncFocusControls();
         }
 
-        /** Le même média alimente LES DEUX plateaux, chacun avec SON cadrage. */
-        let rejectionNotified = false;
-        function addImageToAllPanes(src) {
-            rejectionNotified = false;
-            eachPane(function(p) { addImageToCanvas(p, src); });
+        /** Clic sur le plateau `p` : le point, borné à la partie visible de la source. */
+        function pickFocusPoint(p, pointer) {
+            const img = p.imageObj;
+            const pt = sourcePointOf(img, new fabric.Point(pointer.x, pointer.y));
+            const natW = img._natW || img.width;
+            const natH = img._natH || img.height;
+            const x0 = (img.cropX || 0) / natW;
+            const y0 = (img.cropY || 0) / natH;
+            const r4 = v => Math.round(v * 10000) / 10000;
+            state.focusPoint = {
+                x: r4(Math.max(x0, Math.min(x0 + img.width / natW, pt.x))),
+                y: r4(Math.max(y0, Math.min(y0 + img.height / natH, pt.y)))
+            };
+            setFocusPicking(false);
+            syncFocusControls();
+            autoFrame('Sujet du cadrage');
         }
 
-        function addImageToCanvas(p, src) {
-            // Fabric 5 passe `isError` en second argument et rend malgré tout
-            // un objet Image — de dimensions 0×0. Sans ce contrôle, un fichier
-            // qui n'est pas une image (extension trompeuse, média tronqué)
-            // produisait un plan de travail VIDE, sans un mot à l'écran, puis
-            // un export « réussi » ne contenant que le gabarit. L'échec doit
-            // se voir : c'est le défaut que l'audit reproche déjà à FFmpeg.
-            fabric.Image.fromURL(src, (img, isError) => {
-                if (isError || !img || !img.width || !img.height) {
-                    // Deux plateaux, un seul message : l'échec de décodage
-                    // est celui du FICHIER, pas d'un canvas.
-                    if (!rejectionNotified) {
-                        rejectionNotified = true;
-                        rejectUnusableImage();
-                    }
-                    return;
-                }
+        function setupAutoFrame() {
+            if (!autoFrameBtn) return;
 
-                if (p.imageObj) {
-                    p.canvas.remove(p.imageObj);
-                }
-
-                const template = templateOf(p);
-                const frame = template.frame;
-                const offset = CANVAS_PADDING;
-
-                // LOT C — dimensions naturelles mémorisées AVANT tout
-                // recadrage : width/height deviennent ensuite la fenêtre
-                // de recadrage, plus la taille de la source.
-                img._natW = img.width;
-                img._natH = img.height;
-                applyCropToImage(img, state.cropRatio);
-
-                // Calculate scale to cover the frame
-                // Une rotation d'un quart de tour échange largeur et hauteur :
-                // sans ça l'image cesse de couvrir le cadre après rotation.
-                const quarterTurn = (state.rotation % 180) !== 0;
-                const scaleX = frame.width / (quarterTurn ? img.height : img.width);
-                const scaleY = frame.height / (quarterTurn ? img.width : img.height);
-                const baseScale = Math.max(scaleX, scaleY);
-                const finalScale = baseScale * (p.imageScale / 100);
-
-                // Center the image in the frame (with offset)
-                const centerX = frame.x + frame.width / 2 + offset;
-                const centerY = frame.y + frame.height / 2 + offset;
-
-                img.set({
-                    left: centerX + p.imageOffsetX,
-                    top: centerY + p.imageOffsetY,
-                    originX: 'center',
-                    originY: 'center',
-                    scaleX: finalScale,
-                    scaleY: finalScale,
-                    // LOT C — rotation / retournement conservés d'un
-                    // changement de format à l'autre.
-                    angle: state.rotation,
-                    flipX: state.flipX,
-                    flipY: state.flipY,
-                    hasControls: true,
-                    hasBorders: true,
-                    cornerSize: 18,
-                    // Lock rotation, only allow scale and move
-                    lockRotation: true,
-                    // Apply the fixed clip path
-                    clipPath: p.clipRect,
-                    // Visual styling
-                    strokeWidth: 0,
-                    borderColor: '#ef4444',
-                    borderDashArray: [5, 5],
-                    hoverCursor: 'move',
-                    moveCursor: 'move'
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                p.canvas.on('mouse:down', function(opt) {
+                    if (!focusPicking || !p.imageObj) return;
+                    pickFocusPoint(p, p.canvas.getPointer(opt.e));
                 });
+            });
 
-                // Store base scale for slider calculations
-                img._baseScale = baseScale;
-
-                p.imageObj = img;
-                p.canvas.add(p.imageObj);
+            autoFrameBtn.addEventListener('click', function() { autoFrame(); });
+            if (focusPickBtn) {
+                focusPickBtn.addEventListener('click', function() {
+                    setFocusPicking(!focusPicking);
+                });
+            }
+            if (focusResetBtn) {
+                focusResetBtn.addEventListener('click', function() {
+                    state.focusPoint = null;
+                    syncFocusControls();
+                    autoFrame();
+                });
+            }
 
-                // Reorder layers - templateBg at very back, then frameRect, then image
-                p.canvas.sendToBack(p.imageObj);
-                p.canvas.sendToBack(p.frameBorder);
-                p.canvas.sendToBack(p.frameRect);
-                p.canvas.sendToBack(p.templateBg);
-                if (p.textBox) p.canvas.bringToFront(p.textBox); // pas de bandeau en plein écran
-                if (p.povObj) p.canvas.bringToFront(p.povObj);
-                p.canvas.bringToFront(p.watermark);
+            // Échap abandonne le choix du sujet.
+            document.addEventListener('keydown', function(e) {
+                if (e.key === 'Escape' && focusPicking) setFocusPicking(false);
+            });
+            syncFocusControls();
+        }
 
-                if (p.overlayTextObj) {
-                    p.canvas.bringToFront(p.overlayTextObj);
-                }
+        // ---- LOT B — aperçu collant sous 900px ----
+        // Sous ce seuil l'aperçu est un bandeau de ~45dvh qui ne montre
+        // qu'UN plateau ; la marge de travail desktop (CANVAS_PADDING =
+        // 350px de chaque côté) y réduirait le gabarit à ~120px de large.
+        // On cadre donc la VUE sur le gabarit + une marge réduite, par
+        // translation du viewport Fabric — les coordonnées des objets ne
+        // bougent pas, seule la fenêtre d'affichage change.
+        const MOBILE_VIEW_MARGIN = 28;
+        const mobileViewMq = window.matchMedia('(max-width: 899.98px)');
 
-                // LOT C — réglages (luminosité / contraste / saturation)
-                // réappliqués : ils survivent au changement de format.
-                applyImageFilters();
-                updateImageEditReadouts();
+        function updateCanvasSize(p) {
+            const template = templateOf(p);
+            const { width, height } = template;
+            const container = document.querySelector('.preview-area');
 
-                // Track image movement — le cadrage est PAR plateau.
-                p.imageObj.on('moving', function() {
-                    const template = templateOf(p);
-                    const frame = template.frame;
-                    const offset = CANVAS_PADDING;
-                    const centerX = frame.x + frame.width / 2 + offset;
-                    const centerY = frame.y + frame.height / 2 + offset;
+            if (mobileViewMq.matches) {
+                // Un seul plateau visible, cadré sur le gabarit.
+                const visW = width + (MOBILE_VIEW_MARGIN * 2);
+                const visH = height + (MOBILE_VIEW_MARGIN * 2);
+                const switcher = document.getElementById('stage-switch');
+                const stage = document.getElementById(p.stageId);
+                const head = stage ? stage.querySelector('.stage-head') : null;
+                // Hauteur mangée par le chrome de l'aperçu : basculeur,
+                // en-tête du plateau, padding vertical du conteneur.
+                const chrome = (switcher ? switcher.offsetHeight + 8 : 0)
+                    + (head && head.offsetHeight ? head.offsetHeight + 6 : 28)
+                    + 16;
+                const maxW = Math.max(120, container.clientWidth - 24);
+                const maxH = Math.max(120, container.clientHeight - chrome);
+                p.scale = Math.min(maxW / visW, maxH / visH, 0.4);
+                p.canvas.setWidth(visW * p.scale);
+                p.canvas.setHeight(visH * p.scale);
+                const pan = (CANVAS_PADDING - MOBILE_VIEW_MARGIN) * p.scale;
+                p.canvas.setViewportTransform([p.scale, 0, 0, p.scale, -pan, -pan]);
+                return;
+            }
 
-                    p.imageOffsetX = this.left - centerX;
-                    p.imageOffsetY = this.top - centerY;
-                });
+            // Deux plateaux côte à côte : chacun reçoit sa part de la
+            // largeur. En pile (colonne, sous 1100px), chacun a tout.
+            const stacked = stagesEl
+                && getComputedStyle(stagesEl).flexDirection === 'column';
+            const visible = stacked ? 1 : Math.max(1, activePanes().length);
+            const baseW = (stagesEl ? stagesEl.clientWidth : container.clientWidth);
+            const maxW = Math.max(160, baseW / visible - 60);
+            const maxH = Math.max(160, container.clientHeight - 140);
 
-                // Track image scaling
-                p.imageObj.on('scaling', function() {
-                    const currentScale = this.scaleX;
-                    const baseScale = this._baseScale;
-                    const percentage = Math.round((currentScale / baseScale) * 100);
+            // Calculate scale based on template + padding
+            const totalWidth = width + (CANVAS_PADDING * 2);
+            const totalHeight = height + (CANVAS_PADDING * 2);
 
-                    p.imageScale = percentage;
-                    imageScaleSlider.value = Math.min(200, Math.max(50, percentage));
-                    imageScaleValue.textContent = percentage + '%';
-                });
+            p.scale = Math.min(maxW / totalWidth, maxH / totalHeight, 0.4);
 
-                p.canvas.renderAll();
-            }, { crossOrigin: 'anonymous' });
+            p.canvas.setWidth(totalWidth * p.scale);
+            p.canvas.setHeight(totalHeight * p.scale);
+            // Transform complet et pas setZoom : setZoom (zoomToPoint) garde
+            // une translation résiduelle si on vient du cadrage mobile.
+            p.canvas.setViewportTransform([p.scale, 0, 0, p.scale, 0, 0]);
         }
 
-        // Le slider agit sur LES DEUX plateaux (même geste qu'avant) ; le
-        // zoom par poignées, lui, reste propre au plateau manipulé.
-        function updateImageScale(percentage) {
-            imageScaleValue.textContent = percentage + '%';
+        function updateAllCanvasSizes() {
             eachPane(function(p) {
-                p.imageScale = percentage;
-                if (p.imageObj && p.imageObj._baseScale) {
-                    const newScale = p.imageObj._baseScale * (percentage / 100);
-                    p.imageObj.set({
-                        scaleX: newScale,
-                        scaleY: newScale
-                    });
-                    p.canvas.renderAll();
-                }
+                if (!p.canvas) return;
+                updateCanvasSize(p);
+                p.canvas.renderAll();
             });
         }
 
-        function updateFrameHeight(percentage) {
-            frameHeightValue.textContent = percentage + '%';
-            eachPane(function(p) {
-                // Plein écran (TikTok) : rétrécir le cadre recréerait des
-                // bandes autour du média — ce plateau reste à 100 %.
-                if (isFullBleed(p)) return;
-                p.frameHeightPercent = percentage;
-
-                const template = templateOf(p);
-                const frame = template.frame;
-                const offset = CANVAS_PADDING;
-
-                // Calculer la nouvelle hauteur effective
-                const effectiveFrameHeight = Math.round(frame.height * (percentage / 100));
+        function createElements(p) {
+            p.canvas.clear();
+            p.backdropObj = null;
+            p.canvas.backgroundColor = artboardBackdrop();
 
-                // Calculer le centre original du cadre
-                const originalCenterY = frame.y + frame.height / 2;
+            const template = templateOf(p);
+            const frame = template.frame;
+            const offset = CANVAS_PADDING; // Offset for all elements
+            // Plein écran (TikTok) : pas de gabarit blanc, pas de cadre, pas
+            // de bandeau — le média couvre tout, le POV se pose par-dessus.
+            const fullBleed = !!template.fullBleed;
 
-                // Calculer la nouvelle position Y pour garder le cadre centré
-                const newFrameY = originalCenterY - effectiveFrameHeight / 2;
+            // Calculate effective frame height (for story template customization)
+            // — un plateau plein écran ne se rétrécit pas : il resterait des
+            // bandes, ce que ce plateau interdit par définition.
+            const effectiveFrameHeight = Math.round(
+                frame.height * ((fullBleed ? 100 : p.frameHeightPercent) / 100));
 
-                // Mettre à jour les dimensions ET la position du cadre
-                if (p.clipRect) {
-                    p.clipRect.set({
-                        top: newFrameY + offset,
-                        height: effectiveFrameHeight
-                    });
-                }
-                if (p.frameRect) {
-                    p.frameRect.set({
-                        top: newFrameY + offset,
-                        height: effectiveFrameHeight
-                    });
-                }
-                if (p.frameBorder) {
-                    p.frameBorder.set({
-                        top: newFrameY + offset,
-                        height: effectiveFrameHeight
-                    });
-                }
+            // Calculate Y position to keep frame centered
+            const originalCenterY = frame.y + frame.height / 2;
+            const effectiveFrameY = originalCenterY - effectiveFrameHeight / 2;
 
-                p.canvas.renderAll();
+            // Template background — white for the meme template, BLACK for the
+            // full-bleed pane : c'est l'écran TikTok éteint, jamais du blanc,
+            // et c'est ce noir qui sort à l'export si le média est dézoomé.
+            p.templateBg = new fabric.Rect({
+                left: offset,
+                top: offset,
+                width: template.width,
+                height: template.height,
+                fill: fullBleed ? '#000000' : bandColor(),
+                selectable: false,
+                evented: false
             });
-        }
-
-        function updateUploadZone() {
-            if (state.imageSrc || state.videoFile) {
-                const sizeKB = Math.round(state.imageSize / 1024);
-                const isVideo = state.mediaType === 'video';
-                const icon = isVideo ? '🎬' : '🖼️';
-                const previewSrc = state.imageSrc || ''; // For video, this is the first frame
-                
-                uploadZone.classList.add('has-file');
-                uploadZone.innerHTML = `
-                    <div class="file-preview">
-                        ${previewSrc ? `<img src="${previewSrc}" alt="preview">` : `<div style="width:56px;height:56px;background:#333;border-radius:6px;display:flex;align-items:center;justify-content:center;font-size:24px;">${icon}</div>`}
-                        <div class="file-info">
-                            <div class="file-name">${state.imageName}</div>
-                            <div class="file-size">${sizeKB > 1024 ? (sizeKB/1024).toFixed(1) + ' MB' : sizeKB + ' KB'}${isVideo ? ' • ' + formatTime(state.videoDuration) : ''}</div>
-                        </div>
-                        <button class="remove-file" onclick="removeImage(event)">✕</button>
-                    </div>
-                `;
-            } else {
-                uploadZone.classList.remove('has-file');
-                uploadZone.innerHTML = `
-                    <div class="upload-icon">🖼️</div>
-                    <div class="upload-text"><strong>Clique</strong> ou glisse une image/vidéo</div>
-                `;
-            }
-        }
+            p.canvas.add(p.templateBg);
 
-        window.removeImage = function(e) {
-            e.stopPropagation();
-            
-            // Reset all media state
-            state.mediaType = null;
-            state.imageSrc = null;
-            state.imageName = '';
-            state.imageSize = 0;
-            eachPane(function(p) {
-                p.imageScale = 100;
-                p.imageOffsetX = 0;
-                p.imageOffsetY = 0;
+            // Create the clip path (absolute position - stays fixed)
+            p.clipRect = new fabric.Rect({
+                left: frame.x + offset,
+                top: effectiveFrameY + offset,
+                width: frame.width,
+                height: effectiveFrameHeight,
+                rx: frame.radius,
+                ry: frame.radius,
+                absolutePositioned: true
             });
 
-            // Reset video state
-            state.videoFile = null;
-            state.videoDuration = 0;
-            state.trimStart = 0;
-            state.trimEnd = 0;
-            state.isPlaying = false;
-            
-            // Clean up video source
-            if (videoSource.src) {
-                URL.revokeObjectURL(videoSource.src);
-                videoSource.src = '';
-            }
-            
-            fileInput.value = '';
+            // Frame placeholder (gray background when no image)
+            p.frameRect = new fabric.Rect({
+                left: frame.x + offset,
+                top: effectiveFrameY + offset,
+                width: frame.width,
+                height: effectiveFrameHeight,
+                rx: frame.radius,
+                ry: frame.radius,
+                // Plein écran : le « pas encore de média » est noir, pas gris.
+                fill: fullBleed ? '#000000' : '#f0f0f0',
+                selectable: false,
+                evented: false
+            });
+            p.canvas.add(p.frameRect);
 
-            eachPane(function(p) {
-                if (p.imageObj) {
-                    p.canvas.remove(p.imageObj);
-                    p.imageObj = null;
+            // Frame border - interactive indicator (shows where image area is)
+            p.frameBorder = new fabric.Rect({
+                left: frame.x + offset,
+                top: effectiveFrameY + offset,
+                width: frame.width,
+                height: effectiveFrameHeight,
+                rx: frame.radius,
+                ry: frame.radius,
+                fill: 'transparent',
+                // Plein écran : AUCUN cadre — le repère pointillé disparaît.
+                stroke: fullBleed ? 'transparent' : '#ddd',
+                strokeWidth: 2,
+                strokeDashArray: [8, 4],
+                selectable: false,
+                evented: false
+            });
+            p.canvas.add(p.frameBorder);
+
+            // Text box — bandeau du gabarit meme. Le plateau plein écran n'en
+            // a PAS : ni bandeau, ni placeholder « Tape ton texte... » — le
+            // texte posé sur TikTok, c'est le POV. Tous les consommateurs de
+            // p.textBox testent déjà sa présence.
+            if (fullBleed) {
+                p.textBox = null;
+            } else {
+            const textArea = template.textArea;
+            const caption = parseCaption(resolveTextVariables(paneText(p)), state.textHighlight);
+            p.textBox = new fabric.Textbox(caption.text || 'Tape ton texte...', {
+                styles: caption.text ? caption.styles : {},
+                left: textArea.x + offset,
+                top: textArea.y + offset,
+                width: textArea.width,
+                fontSize: paneTextSize(p),
+                fontFamily: captionFontFamily(),
+                fontWeight: elementFont('text').weight,
+                fill: captionColor(),
+                lineHeight: paneLineHeight(p),
+                textAlign: 'left',
+                splitByGrapheme: false,
+                hasControls: true,
+                cornerSize: 16,
+                hoverCursor: 'move',
+                moveCursor: 'move'
+            });
+            p.canvas.add(p.textBox);
+
+            // Sync textBox changes back to state, input AND the twin pane :
+            // le texte est UNE donnée de la composition, rendue deux fois —
+            // sauf sur un plateau qui a le sien (voir TEXTE PAR PLATEAU).
+            p.textBox.on('changed', function() {
+                // Le bloc porte le texte et ses styles : on en refait le
+                // balisage (voir TEXTE RICHE DE LA LÉGENDE).
+                const newText = p.textBox.text === 'Tape ton texte...' ? '' : captionMarkup(p.textBox);
+                if (p.textOverride.text !== null) {
+                    p.textOverride = Object.assign({}, p.textOverride, { text: newText });
+                    if (textTargetPane() === p) memeTextInput.value = newText;
+                    fitAllText();
+                    return;
                 }
+                state.text = newText;
+                if (!textTargetPane() || textTargetPane().textOverride.text === null) memeTextInput.value = newText;
+                eachPane(function(other) {
+                    if (other === p || !other.textBox || other.textOverride.text !== null) return;
+                    setCaption(other.textBox, newText);
+                    other.textBox.set({ fill: captionColor() });
+                    other.canvas.renderAll();
+                });
+                fitAllText();
             });
+            }
 
-            // Hide all media-related UI
-            imageScaleSection.style.display = 'none';
-            selectImageBtn.style.display = 'none';
-            timelineContainer.style.display = 'none';
-            mediaTypeBadge.style.display = 'none';
-            
-            updateUploadZone();
-            exportBtn.disabled = true;
-            exportBtn.textContent = '📥 Télécharger le meme';
-            scheduleBtn.disabled = true;
-            if (saveMemeBtn) saveMemeBtn.disabled = true;
-            eachPane(function(p) { p.canvas.renderAll(); });
-        };
+            // Watermark (logo or text fallback) — voir makeWatermark()
+            p.watermark = makeWatermark(p);
+            p.canvas.add(p.watermark);
+
+            // Le bloc POV appartient au canvas TikTok : il est recréé après
+            // chaque reconstruction des éléments de ce plateau.
+            if (p.key === 'tt') {
+                p.povObj = null;
+                if (state.povText) ensurePovObject();
+            }
+            // La réplique affichée aussi (p.canvas.clear() vient de l'emporter).
+            p.subtitleObj = null;
+            placeSubtitle(p, subtitleShown);
+
+            // Gabarit neuf, zone de texte neuve : le texte s'y réajuste.
+            fitAllText();
+            // Le canvas vidé emporte les annotations : refaites depuis
+            // leur description.
+            renderAnnotations(p);
+            // Objets neufs : masquage et verrou du plateau reposés.
+            refreshLayers(p);
+            p.canvas.renderAll();
+        }
 
         // ============================================
-        // TEXT HANDLING
+        // MEDIA HANDLING (IMAGE + VIDEO)
         // ============================================
-        function updateText(text) {
-            state.text = text;
-            eachPane(function(p) {
-                if (!p.textBox) return;
-                p.textBox.set({
-                    text: text || 'Tape ton texte...',
-                    fill: '#000000'
+        /** Résolue quand le média est en place sur les plateaux (le lot l'attend). */
+        function loadMedia(file) {
+            const isVideo = file.type.startsWith('video/');
+            if (isVideo && carousel.active) {
+                note('Un carrousel ne porte que des images : quitte le mode carrousel pour ouvrir une vidéo.', 'warning');
+                return Promise.resolve(false);
+            }
+            state.mediaType = isVideo ? 'video' : 'image';
+            state.sourceMediaId = null;
+            // Les blocs minutés sont calés sur LA vidéo qui les a reçus.
+            state.textSegments = [];
+            renderTextSegments();
+            state.cutGaps = [];
+            state.subtitles = null;
+            renderSubtitles();
+            
+            // Update badge
+            mediaTypeBadge.style.display = 'inline-block';
+            mediaTypeBadge.textContent = isVideo ? 'Vidéo' : 'Image';
+            mediaTypeBadge.className = `media-type-badge ${isVideo ? 'video' : 'image'}`;
+            
+            return isVideo ? loadVideo(file) : loadImage(file);
+        }
+
+        function loadImage(file) {
+            let done;
+            const loaded = new Promise(function(resolve) { done = resolve; });
+            const reader = new FileReader();
+            reader.onerror = () => done(false);
+            reader.onload = (e) => {
+                state.imageSrc = e.target.result;
+                state.imageName = file.name;
+                state.imageSize = file.size;
+                // Le cadrage repart de zéro SUR CHAQUE plateau.
+                eachPane(function(p) {
+                    p.imageScale = 100;
+                    p.imageOffsetX = 0;
+                    p.imageOffsetY = 0;
                 });
-                p.canvas.renderAll();
-            });
+                // LOT C — une nouvelle image repart d'une retouche vierge :
+                // garder le recadrage de la précédente n'aurait aucun sens.
+                Object.assign(state, IMAGE_EDIT_DEFAULTS);
+                syncImageEditControls();
+                resetRedactions();
+                resetFocusPoint();
+                updateMediaToolsVisibility();
+                resetHistory();
+
+                // Hide video timeline
+                timelineContainer.style.display = 'none';
+
+                updateUploadZone();
+                const ready = addImageToAllPanes(e.target.result);
+                
+                imageScaleSection.style.display = 'block';
+                imageScaleSlider.value = 100;
+                imageScaleValue.textContent = '100%';
+                selectImageBtn.style.display = 'block';
+                
+                exportBtn.disabled = false;
+                exportBtn.textContent = '📥 Télécharger le meme';
+                scheduleBtn.disabled = false;
+                if (saveMemeBtn) saveMemeBtn.disabled = false;
+
+                // Réouverture d'un meme : sa composition s'applique sur le
+                // média fraîchement chargé (voir applyPendingComposition).
+                applyPendingComposition();
+
+                // Carrousel : le média remplace celui de la diapositive ouverte.
+                syncCarouselAvailability();
+                if (carousel.active) ready.then(function() { captureSlide(true); });
+                ready.then(function() { done(true); });
+            };
+            reader.readAsDataURL(file);
+            return loaded;
         }
 
-        function updateTextSize(size) {
-            state.textSize = size;
-            textSizeValue.textContent = size + 'px';
+        function loadVideo(file) {
+            let done;
+            const loaded = new Promise(function(resolve) { done = resolve; });
+            state.videoFile = file;
+            state.imageName = file.name;
+            state.imageSize = file.size;
             eachPane(function(p) {
-                if (!p.textBox) return;
-                p.textBox.set({ fontSize: parseInt(size) });
-                p.canvas.renderAll();
+                p.imageScale = 100;
+                p.imageOffsetX = 0;
+                p.imageOffsetY = 0;
+            });
+            // LOT C — la retouche et le format image ne s'appliquent pas à
+            // une vidéo : on remet à zéro et on masque les deux blocs.
+            // L'étalonnage, lui, repart de zéro et reste affiché.
+            Object.assign(state, IMAGE_EDIT_DEFAULTS);
+            syncImageEditControls();
+            resetRedactions();
+            resetFocusPoint();
+            updateMediaToolsVisibility();
+            resetHistory();
+            syncCarouselAvailability();
+
+            // Show loading state
+            uploadZone.classList.add('has-file');
+            uploadZone.innerHTML = `
+                <div class="file-preview">
+                    <div class="video-loading">
+                        <div class="loading-spinner"></div>
+                    </div>
+                    <div class="file-info">
+                        <div class="file-name">${file.name}</div>
+                        <div class="file-size">Chargement de la vidéo...</div>
+                    </div>
+                </div>
+            `;
+            
+            const url = URL.createObjectURL(file);
+            videoSource.src = url;
+            
+            videoSource.onloadedmetadata = () => {
+                state.videoDuration = videoSource.duration;
+                state.trimStart = 0;
+                state.trimEnd = Math.min(videoSource.duration, 30); // Max 30s default
+                
+                updateUploadZone();
+                generateThumbnails();
+                updateTimelineUI();
+                
+                // Show video timeline
+                timelineContainer.style.display = 'block';
+                imageScaleSection.style.display = 'block';
+                imageScaleSlider.value = 100;
+                imageScaleValue.textContent = '100%';
+                selectImageBtn.style.display = 'block';
+
+                // Réouverture d'un meme : points de coupe et cadrage restaurés
+                // AVANT la première frame, qui part alors du bon début.
+                applyPendingComposition();
+
+                // Capture first frame for canvas preview
+                captureVideoFrame(state.trimStart).then(function() { done(true); });
+                
+                exportBtn.disabled = false;
+                exportBtn.textContent = '🎬 Exporter la vidéo';
+                scheduleBtn.disabled = false;
+                if (saveMemeBtn) saveMemeBtn.disabled = false;
+            };
+
+            videoSource.onerror = () => done(false);
+            videoSource.load();
+            return loaded;
+        }
+
+        function captureVideoFrame(time) {
+            return new Promise((resolve) => {
+                videoSource.currentTime = time;
+                videoSource.onseeked = () => {
+                    const tempCanvas = document.createElement('canvas');
+                    tempCanvas.width = videoSource.videoWidth;
+                    tempCanvas.height = videoSource.videoHeight;
+                    const ctx = tempCanvas.getContext('2d');
+                    ctx.drawImage(videoSource, 0, 0);
+                    
+                    const dataURL = tempCanvas.toDataURL('image/jpeg', 0.8);
+                    state.imageSrc = dataURL;
+
+                    // Résolue une fois la frame posée sur TOUS les plateaux.
+                    addImageToAllPanes(dataURL).then(function() {
+                        showSubtitles(time);
+                        resolve(dataURL);
+                    });
+                };
             });
         }
 
-        function updateLineHeight(value) {
-            // value est en pourcentage (80-200), on le convertit en ratio (0.8-2.0)
-            const ratio = value / 100;
-            state.lineHeight = ratio;
-            lineHeightValue.textContent = ratio.toFixed(1);
-            eachPane(function(p) {
-                if (!p.textBox) return;
-                p.textBox.set({ lineHeight: ratio });
-                p.canvas.renderAll();
-            });
+        async function generateThumbnails() {
+            const numThumbnails = 10;
+            const duration = state.videoDuration;
+            const interval = duration / numThumbnails;
+            
+            timelineThumbnails.innerHTML = '';
+            
+            const thumbWidth = timelineWrapper.clientWidth / numThumbnails;
+            const thumbHeight = 50;
+            
+            for (let i = 0; i < numThumbnails; i++) {
+                const time = i * interval;
+                const thumbCanvas = document.createElement('canvas');
+                thumbCanvas.width = thumbWidth;
+                thumbCanvas.height = thumbHeight;
+                thumbCanvas.style.width = thumbWidth + 'px';
+                
+                timelineThumbnails.appendChild(thumbCanvas);
+                
+                // Capture thumbnail asynchronously
+                await captureThumbnail(time, thumbCanvas);
+            }
+        }
+
+        function captureThumbnail(time, thumbCanvas) {
+            return new Promise((resolve) => {
+                videoSource.currentTime = time;
+                videoSource.onseeked = () => {
+                    const ctx = thumbCanvas.getContext('2d');
+                    const aspectRatio = videoSource.videoWidth / videoSource.videoHeight;
+                    const drawHeight = thumbCanvas.height;
+                    const drawWidth = drawHeight * aspectRatio;
+                    const offsetX = (thumbCanvas.width - drawWidth) / 2;
+                    
+                    ctx.fillStyle = '#000';
+                    ctx.fillRect(0, 0, thumbCanvas.width, thumbCanvas.height);
+                    ctx.drawImage(videoSource, offsetX, 0, drawWidth, drawHeight);
+                    resolve();
+                };
+            });
+        }
+
+        // ============================================
+        // TIMELINE CONTROLS
+        // ============================================
+        function updateTimelineUI() {
+            const duration = state.videoDuration;
+            const startPercent = (state.trimStart / duration) * 100;
+            const endPercent = (state.trimEnd / duration) * 100;
+            
+            timelineSelection.style.left = startPercent + '%';
+            timelineSelection.style.width = (endPercent - startPercent) + '%';
+            
+            timeStartEl.textContent = formatTime(state.trimStart);
+            timeEndEl.textContent = formatTime(state.trimEnd);
+            // Durée EXPORTÉE : la coupe moins les passages retirés, au
+            // rythme et au nombre de passages de la section LECTURE.
+            trimDurationEl.textContent = formatTime(outputDuration(), true)
+                + (playbackExportParam() ? ' · ' + playbackLabel() : '');
+            trimDurationEl.title = playbackExportParam()
+                ? `Clip ${formatTime(keptDuration(), true)} → rendu ${formatTime(outputDuration(), true)}`
+                : '';
+            syncPlaybackWarning();
+            updateVideoExportReadout();
+            renderCutGaps();
+            renderTextTrack();
+            renderSubtitleTrack();
+        }
+
+        /** m:ss — au dixième près avec `precise` (durées ralenties ou accélérées). */
+        function formatTime(seconds, precise) {
+            const mins = Math.floor(seconds / 60);
+            const secs = Math.floor(seconds % 60);
+            const tenths = Math.floor((seconds * 10) % 10);
+            const fraction = precise && tenths ? ',' + tenths : '';
+            return `${mins}:${secs.toString().padStart(2, '0')}${fraction}`;
+        }
+
+        function setupTimelineInteraction() {
+            let dragging = null;
+            let startX = 0;
+            let startValue = 0;
+            let lastPreviewTime = 0;
+            const PREVIEW_THROTTLE = 100; // ms between preview updates
+            
+            const getTimeFromX = (x) => {
+                const rect = timelineWrapper.getBoundingClientRect();
+                const percent = Math.max(0, Math.min(1, (x - rect.left) / rect.width));
+                return percent * state.videoDuration;
+            };
+            
+            // Throttled preview update
+            const updatePreview = (time) => {
+                const now = Date.now();
+                if (now - lastPreviewTime > PREVIEW_THROTTLE) {
+                    lastPreviewTime = now;
+                    captureVideoFrame(time);
+                }
+            };
+            
+            handleStart.addEventListener('mousedown', (e) => {
+                dragging = 'start';
+                startX = e.clientX;
+                startValue = state.trimStart;
+                e.preventDefault();
+            });
+            
+            handleEnd.addEventListener('mousedown', (e) => {
+                dragging = 'end';
+                startX = e.clientX;
+                startValue = state.trimEnd;
+                e.preventDefault();
+            });
+            
+            // Also allow dragging the selection area
+            timelineSelection.addEventListener('mousedown', (e) => {
+                if (e.target === timelineSelection) {
+                    dragging = 'selection';
+                    startX = e.clientX;
+                    startValue = state.trimStart;
+                    e.preventDefault();
+                }
+            });
+            
+            document.addEventListener('mousemove', (e) => {
+                if (!dragging) return;
+                
+                const time = getTimeFromX(e.clientX);
+                const duration = state.videoDuration;
+                const trimLength = state.trimEnd - state.trimStart;
+                
+                if (dragging === 'start') {
+                    state.trimStart = Math.max(0, Math.min(time, state.trimEnd - 0.5));
+                    // Live preview: show first frame of trimmed section
+                    updatePreview(state.trimStart);
+                } else if (dragging === 'end') {
+                    state.trimEnd = Math.min(duration, Math.max(time, state.trimStart + 0.5));
+                    // Live preview: show last frame of trimmed section
+                    updatePreview(state.trimEnd);
+                } else if (dragging === 'selection') {
+                    const delta = time - getTimeFromX(startX);
+                    let newStart = startValue + delta;
+                    let newEnd = newStart + trimLength;
+                    
+                    if (newStart < 0) {
+                        newStart = 0;
+                        newEnd = trimLength;
+                    }
+                    if (newEnd > duration) {
+                        newEnd = duration;
+                        newStart = duration - trimLength;
+                    }
+                    
+                    state.trimStart = newStart;
+                    state.trimEnd = newEnd;
+                }
+                
+                updateTimelineUI();
+            });
+            
+            document.addEventListener('mouseup', async () => {
+                if (dragging) {
+                    const wasDragging = dragging;
+                    dragging = null;
+                    // Final preview: show the appropriate frame based on what was dragged
+                    if (wasDragging === 'start') {
+                        await captureVideoFrame(state.trimStart);
+                    } else if (wasDragging === 'end') {
+                        await captureVideoFrame(state.trimEnd);
+                    } else {
+                        await captureVideoFrame(state.trimStart);
+                    }
+                }
+            });
+            
+            // Click on timeline to seek
+            timelineWrapper.addEventListener('click', async (e) => {
+                if (e.target === handleStart || e.target === handleEnd) return;
+                
+                const time = getTimeFromX(e.clientX);
+                videoSource.currentTime = time;
+                updatePlayhead(time);
+                await captureVideoFrame(time);
+            });
+            
+            // Play button
+            btnPlay.addEventListener('click', () => {
+                if (state.isPlaying) {
+                    pauseVideo();
+                } else {
+                    playVideo();
+                }
+            });
+            
+            // Preview button - play trimmed section
+            btnPreview.addEventListener('click', () => {
+                previewTrimmedSection();
+            });
+        }
+
+        function updatePlayhead(time) {
+            const percent = (time / state.videoDuration) * 100;
+            timelinePlayhead.style.left = percent + '%';
+        }
+
+        function playVideo() {
+            state.isPlaying = true;
+            btnPlay.textContent = '⏸️ Pause';
+            btnPlay.classList.add('active');
+
+            // Un passage = la coupe lue une fois, dans un sens (LECTURE).
+            const passes = playbackPasses();
+            const clipLength = keptDuration();
+            let pass = -1;
+            let reverseStart = 0;
+            videoSource.playbackRate = state.playbackSpeed;
+            videoSource.preservesPitch = true;
+            playbackElapsed = 0;
+            startAudioPreview();
+
+            // Secondes du RENDU écoulées quand le passage courant est à `time`.
+            const elapsedAt = (time) => {
+                const progress = passes[pass] > 0 ? clipTime(time) : clipLength - clipTime(time);
+                return (pass * clipLength + progress) / state.playbackSpeed;
+            };
+            const nextPass = () => {
+                pass++;
+                if (pass >= passes.length) return false;
+                if (passes[pass] > 0) {
+                    videoSource.currentTime = state.trimStart;
+                    videoSource.muted = !sourceAudible();
+                    videoSource.play();
+                } else {
+                    // Le navigateur ne lit pas à rebours : on recule par
+                    // recherches successives, son d'origine coupé.
+                    videoSource.pause();
+                    videoSource.muted = true;
+                    videoSource.currentTime = state.trimEnd;
+                    reverseStart = performance.now();
+                }
+                return true;
+            };
+            nextPass();
+            
+            const updateFrame = () => {
+                if (!state.isPlaying) return;
+                
+                const currentTime = videoSource.currentTime;
+                let ended;
+                if (passes[pass] > 0) {
+                    // Passage retiré : on saute à sa fin, comme le fera l'export.
+                    const gap = cutGapAt(currentTime);
+                    if (gap) {
+                        videoSource.currentTime = gap.end;
+                        seekAudioPreview(elapsedAt(gap.end));
+                    }
+                    ended = currentTime >= state.trimEnd;
+                } else {
+                    const progress = (performance.now() - reverseStart) / 1000 * state.playbackSpeed;
+                    ended = progress >= clipLength;
+                    if (!ended && !videoSource.seeking) videoSource.currentTime = sourceTime(clipLength - progress);
+                }
+                updatePlayhead(currentTime);
+                
+                // Update canvas preview — la frame courante alimente les
+                // plateaux, comme le média importé.
+                const tempCanvas = document.createElement('canvas');
+                tempCanvas.width = videoSource.videoWidth;
+                tempCanvas.height = videoSource.videoHeight;
+                const ctx = tempCanvas.getContext('2d');
+                ctx.drawImage(videoSource, 0, 0);
+                const frameURL = tempCanvas.toDataURL('image/jpeg', 0.8);
+
+                eachPane(function(p) {
+                    if (!p.imageObj) return;
+                    p.imageObj.setSrc(frameURL, () => {
+                        paintBackdrop(p);
+                        p.canvas.renderAll();
+                    });
+                });
+                showTimedTexts(currentTime);
+                showSubtitles(currentTime);
+                playbackElapsed = elapsedAt(currentTime);
+                updateAudioPreview(playbackElapsed);
+                
+                if (ended && !nextPass()) {
+                    pauseVideo();
+                    return;
+                }
+                
+                requestAnimationFrame(updateFrame);
+            };
+            
+            requestAnimationFrame(updateFrame);
+        }
+
+        function pauseVideo() {
+            state.isPlaying = false;
+            btnPlay.textContent = '▶️ Play';
+            btnPlay.classList.remove('active');
+            videoSource.pause();
+            stopAudioPreview();
+            // À l'arrêt, les plateaux reviennent aux textes fixes.
+            showTimedTexts(null);
+        }
+
+        async function previewTrimmedSection() {
+            await captureVideoFrame(state.trimStart);
+            playVideo();
+        }
+
+        // ============================================
+        // COUPES — passages retirés à l'intérieur de la coupe
+        // --------------------------------------------
+        // La coupe [trimStart, trimEnd] reste la fenêtre du clip ; on peut
+        // en RETIRER des passages (state.cutGaps, secondes SOURCE). Les
+        // passages gardés sont mis bout à bout à l'export (params.segments,
+        // segment_filters() côté serveur) et sautés à l'aperçu.
+        //
+        // Un passage retiré hors de la coupe n'est pas effacé : il est
+        // simplement ignoré (effectiveCutGaps) tant que la coupe ne le
+        // recouvre pas. Tout ce qui s'exporte en secondes du CLIP —
+        // fenêtres minutées, sous-titres, fondus — passe par clipTime(),
+        // qui retranche les passages retirés.
+        // ============================================
+        //: 10 passages retirés = 11 passages gardés au plus, sous le
+        //: plafond du serveur (KEPT_SEGMENTS_MAX = 20).
+        const CUT_GAPS_MAX = 10;
+        const CUT_MIN = 0.2;           // secondes, retirées comme gardées
+        const CUT_DEFAULT = 1;         // durée d'un nouveau passage retiré
+
+        const timelineGaps = document.getElementById('timeline-gaps');
+        const btnCut = document.getElementById('btn-cut');
+
+        /** Passages relus d'un document : triés, valides, sans chevauchement. */
+        function sanitizeCutGaps(list) {
+            if (!Array.isArray(list)) return [];
+            const gaps = list.filter(function(gap) {
+                return gap && Number.isFinite(gap.start) && Number.isFinite(gap.end) && gap.start < gap.end;
+            }).map(function(gap) {
+                return { start: gap.start, end: gap.end };
+            }).sort(function(a, b) { return a.start - b.start; });
+            return gaps.filter(function(gap, i) {
+                return i === 0 || gap.start >= gaps[i - 1].end;
+            }).slice(0, CUT_GAPS_MAX);
+        }
+
+        /** Passages retirés ramenés dans la coupe (les autres sont ignorés). */
+        function effectiveCutGaps() {
+            if (state.mediaType !== 'video') return [];
+            return state.cutGaps.map(function(gap) {
+                return { start: Math.max(gap.start, state.trimStart), end: Math.min(gap.end, state.trimEnd) };
+            }).filter(function(gap) { return gap.end - gap.start >= 0.01; });
+        }
+
+        /** Passages gardés, en secondes source : la coupe moins les passages retirés. */
+        function keptSegments() {
+            const kept = [];
+            let cursor = state.trimStart;
+            effectiveCutGaps().forEach(function(gap) {
+                if (gap.start - cursor >= 0.01) kept.push({ start: cursor, end: gap.start });
+                cursor = gap.end;
+            });
+            if (state.trimEnd - cursor >= 0.01) kept.push({ start: cursor, end: state.trimEnd });
+            return kept;
+        }
+
+        function keptDuration() {
+            return keptSegments().reduce(function(sum, seg) { return sum + seg.end - seg.start; }, 0);
+        }
+
+        /** Instant source → secondes du CLIP exporté (passages retirés exclus). */
+        function clipTime(time) {
+            const t = Math.min(Math.max(time, state.trimStart), state.trimEnd);
+            let removed = 0;
+            effectiveCutGaps().forEach(function(gap) {
+                if (gap.start < t) removed += Math.min(gap.end, t) - gap.start;
+            });
+            return t - state.trimStart - removed;
+        }
+
+        /** Passage retiré qui contient `time`, s'il y en a un. */
+        function cutGapAt(time) {
+            return effectiveCutGaps().find(function(gap) {
+                return gap.start <= time && time < gap.end;
+            }) || null;
+        }
+
+        /** Paramètre d'export : null sans coupe — le pipeline d'origine. */
+        function segmentsExportParam() {
+            if (!effectiveCutGaps().length) return null;
+            return keptSegments().map(function(seg) {
+                return { start: roundTime(seg.start), end: roundTime(seg.end) };
+            });
+        }
+
+        function renderCutGaps() {
+            if (!timelineGaps) return;
+            const duration = state.videoDuration || 1;
+            timelineGaps.innerHTML = '';
+            state.cutGaps.forEach(function(gap, i) {
+                const el = document.createElement('div');
+                el.className = 'timeline-gap';
+                el.dataset.index = i;
+                el.style.left = (gap.start / duration * 100) + '%';
+                el.style.width = ((gap.end - gap.start) / duration * 100) + '%';
+                el.title = `Passage retiré ${formatTime(gap.start)} → ${formatTime(gap.end)}`;
+                ['start', 'end'].forEach(function(edge) {
+                    const handle = document.createElement('div');
+                    handle.className = 'timeline-gap__handle';
+                    handle.dataset.edge = edge;
+                    el.appendChild(handle);
+                });
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'timeline-gap__remove';
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', `Rétablir le passage ${formatTime(gap.start)} → ${formatTime(gap.end)}`);
+                el.appendChild(remove);
+                timelineGaps.appendChild(el);
+            });
+            if (btnCut) btnCut.disabled = state.cutGaps.length >= CUT_GAPS_MAX;
+        }
+
+        /** Bornes d'un passage, entre ses voisins et à distance minimale des bords. */
+        function clampCutGap(index, start, end) {
+            const prev = state.cutGaps[index - 1];
+            const next = state.cutGaps[index + 1];
+            const lo = prev ? prev.end + CUT_MIN : 0;
+            const hi = next ? next.start - CUT_MIN : state.videoDuration;
+            start = Math.max(lo, Math.min(start, hi - CUT_MIN));
+            end = Math.min(hi, Math.max(end, start + CUT_MIN));
+            return { start: roundTime(start), end: roundTime(end) };
+        }
+
+        function addCutGap() {
+            if (state.mediaType !== 'video' || state.cutGaps.length >= CUT_GAPS_MAX) return;
+            const playhead = videoSource.currentTime || state.trimStart;
+            const start = Math.max(playhead, state.trimStart + CUT_MIN);
+            const end = Math.min(start + CUT_DEFAULT, state.trimEnd - CUT_MIN);
+            const free = end - start >= CUT_MIN && !state.cutGaps.some(function(gap) {
+                return gap.start - CUT_MIN < end && start < gap.end + CUT_MIN;
+            });
+            if (!free) {
+                note('Pas de place pour couper ici : place la tête de lecture dans un passage gardé, loin des bords de la coupe.', 'warning');
+                return;
+            }
+            state.cutGaps = sanitizeCutGaps(state.cutGaps.concat([{ start: roundTime(start), end: roundTime(end) }]));
+            commitHistory('Coupe');
+            updateTimelineUI();
+        }
+
+        function removeCutGap(index) {
+            state.cutGaps = state.cutGaps.filter(function(_, i) { return i !== index; });
+            commitHistory('Coupe');
+            updateTimelineUI();
+        }
+
+        function setupCuts() {
+            if (!timelineGaps || !btnCut) return;
+            btnCut.addEventListener('click', addCutGap);
+
+            // Glisser un bord déplace la limite ; les événements sont
+            // capturés par la timeline, redessinée pendant le geste.
+            let drag = null;
+            timelineGaps.addEventListener('pointerdown', function(e) {
+                const gapEl = e.target.closest('.timeline-gap');
+                if (!gapEl) return;
+                e.stopPropagation();
+                const handle = e.target.closest('.timeline-gap__handle');
+                if (!handle) return;
+                drag = { index: Number(gapEl.dataset.index), edge: handle.dataset.edge, moved: false };
+                timelineWrapper.setPointerCapture(e.pointerId);
+                e.preventDefault();
+            });
+            timelineWrapper.addEventListener('pointermove', function(e) {
+                if (!drag) return;
+                const rect = timelineWrapper.getBoundingClientRect();
+                const time = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * state.videoDuration;
+                const gap = state.cutGaps[drag.index];
+                const bounds = drag.edge === 'start'
+                    ? clampCutGap(drag.index, Math.min(time, gap.end - CUT_MIN), gap.end)
+                    : clampCutGap(drag.index, gap.start, time);
+                state.cutGaps = state.cutGaps.map(function(g, i) { return i === drag.index ? bounds : g; });
+                drag.moved = true;
+                updateTimelineUI();
+            });
+            const endDrag = function() {
+                if (!drag) return;
+                const { index, edge, moved } = drag;
+                drag = null;
+                if (!moved) return;
+                commitHistory('Coupe');
+                // La frame au bord déplacé : ce que l'on garde commence ou finit là.
+                const gap = state.cutGaps[index];
+                const time = edge === 'start' ? gap.start : gap.end;
+                updatePlayhead(time);
+                captureVideoFrame(time);
+            };
+            timelineWrapper.addEventListener('pointerup', endDrag);
+            timelineWrapper.addEventListener('pointercancel', endDrag);
+
+            timelineGaps.addEventListener('click', function(e) {
+                // Un clic dans un passage retiré ne déplace pas la tête de lecture.
+                const gapEl = e.target.closest('.timeline-gap');
+                if (!gapEl) return;
+                e.stopPropagation();
+                if (e.target.closest('.timeline-gap__remove')) removeCutGap(Number(gapEl.dataset.index));
+            });
+        }
+
+        // ============================================
+        // LECTURE — vitesse, sens et répétitions
+        // --------------------------------------------
+        // Le réglage s'applique au clip COMPOSÉ (motion_filters() côté
+        // serveur) : textes minutés et sous-titres restent attachés à leurs
+        // instants source et suivent l'image, à l'aperçu comme à l'export.
+        // Le son d'origine suit le même traitement (hauteur corrigée) ; la
+        // piste jointe et les fondus portent sur la durée du RENDU.
+        //
+        // Inverser ou répéter garde tout le clip en mémoire côté FFmpeg :
+        // au-delà de PLAYBACK_BUFFER_MAX secondes gardées, le serveur refuse
+        // et la section l'annonce avant l'export.
+        // ============================================
+        const PLAYBACK_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+        const PLAYBACK_MODES = {
+            normal: 'normal',
+            reverse: 'à rebours',
+            boomerang: 'boomerang',
+            loop: 'en boucle'
+        };
+        const PLAYBACK_LOOPS_MAX = 5;
+        const PLAYBACK_BUFFER_MAX = 10;   // secondes — miroir du serveur
+
+        const playbackLoopsField = document.getElementById('playback-loops-field');
+        const playbackLoopsInput = document.getElementById('playback-loops');
+        const playbackHint = document.getElementById('playback-hint');
+        const PLAYBACK_HINT = playbackHint ? playbackHint.innerHTML : '';
+        // Secondes du rendu écoulées à l'aperçu (fondus, piste jointe).
+        let playbackElapsed = 0;
+
+        function sanitizePlayback() {
+            if (!PLAYBACK_SPEEDS.includes(state.playbackSpeed)) state.playbackSpeed = 1;
+            if (!(state.playbackMode in PLAYBACK_MODES)) state.playbackMode = 'normal';
+            const loops = Math.round(state.playbackLoops);
+            state.playbackLoops = Number.isFinite(loops) ? Math.min(PLAYBACK_LOOPS_MAX, Math.max(2, loops)) : 2;
+        }
+
+        /** Sens de chaque passage de la coupe : 1 à l'endroit, -1 à rebours. */
+        function playbackPasses() {
+            switch (state.playbackMode) {
+                case 'reverse': return [-1];
+                case 'boomerang': return [1, -1];
+                case 'loop': return new Array(state.playbackLoops).fill(1);
+                default: return [1];
+            }
+        }
+
+        /** Durée du rendu : les passages gardés, au rythme et au nombre de passages choisis. */
+        function outputDuration() {
+            return keptDuration() * playbackPasses().length / state.playbackSpeed;
+        }
+
+        /** Secondes du CLIP → instant source : l'inverse de clipTime(). */
+        function sourceTime(seconds) {
+            let rest = Math.max(0, seconds);
+            const kept = keptSegments();
+            for (const seg of kept) {
+                if (rest < seg.end - seg.start) return seg.start + rest;
+                rest -= seg.end - seg.start;
+            }
+            return kept.length ? kept[kept.length - 1].end : state.trimStart;
+        }
+
+        function playbackLabel() {
+            const speed = String(state.playbackSpeed).replace('.', ',') + '×';
+            if (state.playbackMode === 'normal') return speed;
+            const mode = state.playbackMode === 'loop'
+                ? `${state.playbackLoops} fois`
+                : PLAYBACK_MODES[state.playbackMode];
+            return state.playbackSpeed === 1 ? mode : `${speed} ${mode}`;
+        }
+
+        /** Paramètre d'export : null à vitesse normale, à l'endroit. */
+        function playbackExportParam() {
+            if (state.playbackSpeed === 1 && state.playbackMode === 'normal') return null;
+            return { speed: state.playbackSpeed, mode: state.playbackMode, loops: state.playbackLoops };
+        }
+
+        /** La coupe est-elle trop longue pour être inversée ou répétée ? */
+        function playbackTooLong() {
+            return state.playbackMode !== 'normal' && keptDuration() > PLAYBACK_BUFFER_MAX + 0.05;
+        }
+
+        function syncPlaybackWarning() {
+            if (!playbackHint) return;
+            const tooLong = playbackTooLong();
+            playbackHint.classList.toggle('hint--warning', tooLong);
+            playbackHint.innerHTML = tooLong
+                ? `<strong>Clip trop long.</strong> ${PLAYBACK_BUFFER_MAX} s gardées au plus pour inverser ou répéter — raccourcis la coupe avant d'exporter.`
+                : PLAYBACK_HINT;
+        }
+
+        function syncPlaybackControls() {
+            if (!playbackLoopsInput) return;
+            document.querySelectorAll('#playback-speed-group .seg__btn').forEach(function(btn) {
+                btn.classList.toggle('active', Number(btn.dataset.speed) === state.playbackSpeed);
+            });
+            document.querySelectorAll('#playback-mode-group .seg__btn').forEach(function(btn) {
+                btn.classList.toggle('active', btn.dataset.playmode === state.playbackMode);
+            });
+            playbackLoopsField.hidden = state.playbackMode !== 'loop';
+            playbackLoopsInput.value = state.playbackLoops;
+            syncPlaybackWarning();
+        }
+
+        /** Un réglage a changé : l'aperçu en cours repart, la durée se met à jour. */
+        function updatePlayback(changes) {
+            if (state.isPlaying) pauseVideo();
+            Object.assign(state, changes);
+            commitHistory('Lecture');
+            syncPlaybackControls();
+            if (state.mediaType === 'video' && state.videoDuration) updateTimelineUI();
+        }
+
+        function setupPlayback() {
+            if (!playbackLoopsInput) return;
+            document.querySelectorAll('#playback-speed-group .seg__btn').forEach(function(btn) {
+                btn.addEventListener('click', function() {
+                    const speed = Number(btn.dataset.speed);
+                    if (speed !== state.playbackSpeed) updatePlayback({ playbackSpeed: speed });
+                });
+            });
+            document.querySelectorAll('#playback-mode-group .seg__btn').forEach(function(btn) {
+                btn.addEventListener('click', function() {
+                    if (btn.dataset.playmode !== state.playbackMode) updatePlayback({ playbackMode: btn.dataset.playmode });
+                });
+            });
+            playbackLoopsInput.addEventListener('change', function() {
+                const loops = parseInt(playbackLoopsInput.value, 10);
+                if (!Number.isFinite(loops) || loops < 2 || loops > PLAYBACK_LOOPS_MAX) {
+                    playbackLoopsInput.value = state.playbackLoops;
+                    return;
+                }
+                if (loops !== state.playbackLoops) updatePlayback({ playbackLoops: loops });
+            });
+            syncPlaybackControls();
+        }
+
+        // ============================================
+        // TEXTES MINUTÉS — une piste de texte sur la timeline
+        // --------------------------------------------
+        // Un bloc = un emplacement (légende, overlay ou POV), un texte et
+        // une fenêtre [start, end[ en secondes de la VIDÉO SOURCE, comme
+        // trimStart/trimEnd. Pendant sa fenêtre, le bloc REMPLACE le texte
+        // fixe de son emplacement ; un bloc vide le masque. Deux blocs du
+        // même emplacement qui se chevauchent : le dernier de la liste gagne.
+        //
+        // À l'écran, les blocs ne s'affichent qu'en lecture (playVideo) : à
+        // l'arrêt, les plateaux montrent les textes fixes, ceux qu'on édite.
+        //
+        // À l'export, la coupe est découpée en fenêtres où rien ne change.
+        // Chaque fenêtre qui porte un bloc est rendue en template COMPLET
+        // par generateTemplatePNG() — le même rendu que le texte fixe, sur
+        // les deux plateaux — et FFmpeg pose chacun pendant sa seule fenêtre
+        // (timed_overlay_filters() côté serveur).
+        // ============================================
+        const TEXT_SEGMENT_SLOTS = { text: 'Légende', overlay: 'Overlay', pov: 'POV' };
+        // 20 blocs découpent la coupe en 39 fenêtres au pire : sous le
+        // plafond du serveur (TIMED_OVERLAYS_MAX = 40).
+        const TEXT_SEGMENT_MAX = 20;
+        const TEXT_SEGMENT_MIN = 0.2;      // secondes
+        const TEXT_SEGMENT_DEFAULT = 2;    // durée d'un nouveau bloc
+
+        const textTrack = document.getElementById('text-track');
+        const textSegmentList = document.getElementById('text-segments');
+        const textSegmentAddBtn = document.getElementById('text-segment-add-btn');
+        let textSegmentSeq = 0;
+        let currentTextSegment = null;   // id du bloc en cours d'édition
+        // Affichage posé sur les plateaux : un rendu par CHANGEMENT, pas par frame.
+        let timedTextsShown = '{}';
+
+        function roundTime(t) { return Math.round(t * 100) / 100; }
+
+        /** Bornes ramenées dans la vidéo, durée minimale comprise. */
+        function clampTextSegment(seg) {
+            const duration = state.videoDuration || seg.end;
+            const start = roundTime(Math.min(Math.max(0, seg.start), Math.max(0, duration - TEXT_SEGMENT_MIN)));
+            const end = roundTime(Math.min(Math.max(seg.end, start + TEXT_SEGMENT_MIN), duration));
+            return Object.assign({}, seg, { start, end });
+        }
+
+        /** Blocs relus d'un document : seules les formes attendues passent. */
+        function sanitizeTextSegments(list) {
+            if (!Array.isArray(list)) return [];
+            return list.filter(function(seg) {
+                return seg && TEXT_SEGMENT_SLOTS[seg.slot] && typeof seg.text === 'string'
+                    && Number.isFinite(seg.start) && Number.isFinite(seg.end) && seg.start < seg.end;
+            }).slice(0, TEXT_SEGMENT_MAX).map(function(seg) {
+                return { id: String(seg.id || 'seg' + (++textSegmentSeq)), slot: seg.slot, text: seg.text, start: seg.start, end: seg.end };
+            });
+        }
+
+        /** Textes des blocs actifs à `time` (secondes source), par emplacement. */
+        function activeTimedTexts(time) {
+            const active = {};
+            if (time === null) return active;
+            state.textSegments.forEach(function(seg) {
+                if (seg.start <= time && time < seg.end) active[seg.slot] = resolveTextVariables(seg.text);
+            });
+            return active;
+        }
+
+        /**
+         * Pose sur les plateaux les textes de l'instant `time` — null = les
+         * textes fixes — par les MÊMES objets Fabric que les textes fixes.
+         * Un texte fixe masqué garde sa place et son objet.
+         */
+        function showTimedTexts(time) {
+            const active = activeTimedTexts(time);
+            const key = JSON.stringify(active);
+            if (key === timedTextsShown) return;
+            timedTextsShown = key;
+
+            const overlayFixed = state.showOverlay && state.overlayText ? resolveTextVariables(state.overlayText) : '';
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                if (p.textBox) {
+                    const timed = 'text' in active;
+                    const shown = timed ? active.text : resolveTextVariables(paneText(p));
+                    setCaption(p.textBox, shown);
+                    p.textBox.set({ visible: !timed || !!shown });
+                }
+                const overlay = 'overlay' in active ? active.overlay : overlayFixed;
+                if (overlay) {
+                    if (p.overlayTextObj) p.overlayTextObj.set({ text: overlay.toUpperCase(), visible: true });
+                    else addOverlayText(p, overlay);
+                } else if (p.overlayTextObj) {
+                    if (overlayFixed) {
+                        p.overlayTextObj.set({ visible: false });
+                    } else {
+                        p.canvas.remove(p.overlayTextObj);
+                        p.overlayTextObj = null;
+                    }
+                }
+                p.canvas.renderAll();
+            });
+            // Un texte minuté a sa longueur : il se réajuste à la zone.
+            fitAllText();
+
+            const tt = panes.tt;
+            const povFixed = resolveTextVariables(state.povText);
+            const pov = 'pov' in active ? active.pov : povFixed;
+            if (pov.trim()) {
+                ensurePovObject(pov);
+                if (tt.povObj) tt.povObj.set({ visible: true });
+            } else if (tt.povObj) {
+                if (povFixed.trim()) tt.povObj.set({ visible: false });
+                else ensurePovObject('');
+            }
+            if (tt.canvas) tt.canvas.renderAll();
+        }
+
+        /**
+         * Fenêtres d'export, en secondes du CLIP (0 = trimStart) : la coupe
+         * découpée aux bornes des blocs. Seules les fenêtres où un bloc est
+         * actif sont gardées — le template fixe couvre le reste — et deux
+         * fenêtres contiguës au même affichage n'en font qu'une.
+         */
+        function textSegmentWindows() {
+            const cuts = [state.trimStart, state.trimEnd];
+            state.textSegments.forEach(function(seg) {
+                [seg.start, seg.end].forEach(function(t) {
+                    if (t > state.trimStart && t < state.trimEnd) cuts.push(t);
+                });
+            });
+            cuts.sort(function(a, b) { return a - b; });
+
+            const windows = [];
+            let previous = null;
+            for (let i = 0; i < cuts.length - 1; i++) {
+                const a = cuts[i];
+                const b = cuts[i + 1];
+                // En secondes du clip : un passage retiré raccourcit la
+                // fenêtre qui le traverse, efface celle qu'il contient.
+                const clipA = roundTime(clipTime(a));
+                const clipB = roundTime(clipTime(b));
+                if (clipB - clipA < 0.01) continue;
+                const time = (a + b) / 2;
+                const key = JSON.stringify(activeTimedTexts(time));
+                const last = windows[windows.length - 1];
+                if (key === '{}') {
+                    previous = null;
+                } else if (last && previous === key) {
+                    last.end = clipB;
+                } else {
+                    windows.push({ start: clipA, end: clipB, time });
+                    previous = key;
+                }
+            }
+            return windows;
+        }
+
+        /** Joint au formulaire un template `segment_<n>` par fenêtre minutée. */
+        async function appendTimedTemplates(formData, params) {
+            try {
+                for (let i = 0; i < params.textSegments.length; i++) {
+                    showTimedTexts(params.textSegments[i].time);
+                    const blob = await generateTemplatePNG(params);
+                    formData.append('segment_' + i, blob, 'segment_' + i + '.png');
+                }
+            } finally {
+                showTimedTexts(null);
+            }
+        }
+
+        function renderTextTrack() {
+            if (!textTrack) return;
+            const duration = state.videoDuration || 1;
+            const percent = function(t) { return (t / duration * 100) + '%'; };
+            textTrack.innerHTML = '';
+
+            // La coupe en pointillés : hors d'elle, un bloc ne sera pas exporté.
+            const trim = document.createElement('div');
+            trim.className = 'text-track__window';
+            trim.style.left = percent(state.trimStart);
+            trim.style.width = percent(state.trimEnd - state.trimStart);
+            textTrack.appendChild(trim);
+
+            state.textSegments.forEach(function(seg) {
+                const block = document.createElement('div');
+                block.className = 'text-track__block' + (seg.id === currentTextSegment ? ' is-current' : '');
+                block.dataset.id = seg.id;
+                block.dataset.slot = seg.slot;
+                block.style.left = percent(seg.start);
+                block.style.width = percent(seg.end - seg.start);
+                block.textContent = TEXT_SEGMENT_SLOTS[seg.slot] + ' · ' + (seg.text.trim() || 'masqué');
+                block.title = `${TEXT_SEGMENT_SLOTS[seg.slot]} ${formatTime(seg.start)} → ${formatTime(seg.end)}`;
+                textTrack.appendChild(block);
+            });
+            if (textSegmentAddBtn) textSegmentAddBtn.disabled = state.textSegments.length >= TEXT_SEGMENT_MAX;
+        }
+
+        function renderTextSegments() {
+            if (!textSegmentList) return;
+            textSegmentList.innerHTML = '';
+            state.textSegments.forEach(function(seg, i) {
+                const li = document.createElement('li');
+                li.className = 'text-segment' + (seg.id === currentTextSegment ? ' is-current' : '');
+                li.dataset.id = seg.id;
+
+                const slot = document.createElement('select');
+                slot.className = 'text-segment__slot';
+                slot.dataset.field = 'slot';
+                slot.setAttribute('aria-label', `Emplacement du bloc ${i + 1}`);
+                Object.keys(TEXT_SEGMENT_SLOTS).forEach(function(key) {
+                    const option = new Option(TEXT_SEGMENT_SLOTS[key], key, false, key === seg.slot);
+                    slot.appendChild(option);
+                });
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'text-segment__remove';
+                remove.dataset.action = 'remove';
+                remove.textContent = 'Retirer';
+                remove.setAttribute('aria-label', `Retirer le bloc ${i + 1}`);
+
+                const text = document.createElement('textarea');
+                text.className = 'text-input';
+                text.rows = 2;
+                text.dataset.field = 'text';
+                text.value = seg.text;
+                text.placeholder = 'Vide = masque le texte fixe';
+                text.setAttribute('aria-label', `Texte du bloc ${i + 1}`);
+
+                li.append(slot, remove, text);
+                [['start', 'Début'], ['end', 'Fin']].forEach(function(pair) {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.min = '0';
+                    input.step = '0.1';
+                    input.dataset.field = pair[0];
+                    input.value = seg[pair[0]];
+                    input.title = pair[1] + ' (s)';
+                    input.setAttribute('aria-label', `${pair[1]} du bloc ${i + 1}, en secondes`);
+                    li.appendChild(input);
+                });
+                textSegmentList.appendChild(li);
+            });
+            renderTextTrack();
+        }
+
+        /** Reporte les bornes d'un bloc dans ses champs, sans reconstruire la liste. */
+        function syncTextSegmentRow(id) {
+            const seg = state.textSegments.find(s => s.id === id);
+            const row = textSegmentList && textSegmentList.querySelector(`[data-id="${CSS.escape(id)}"]`);
+            if (!seg || !row) return;
+            row.querySelector('[data-field="start"]').value = seg.start;
+            row.querySelector('[data-field="end"]').value = seg.end;
+        }
+
+        /** Le tableau est remplacé, jamais modifié : l'historique en garde les versions. */
+        function updateTextSegment(id, changes) {
+            state.textSegments = state.textSegments.map(function(seg) {
+                return seg.id === id ? clampTextSegment(Object.assign({}, seg, changes)) : seg;
+            });
+            renderTextTrack();
+        }
+
+        function selectTextSegment(id) {
+            currentTextSegment = id;
+            if (textSegmentList) {
+                textSegmentList.querySelectorAll('.text-segment').forEach(function(row) {
+                    row.classList.toggle('is-current', row.dataset.id === id);
+                });
+            }
+            renderTextTrack();
+        }
+
+        function addTextSegment() {
+            if (state.mediaType !== 'video' || state.textSegments.length >= TEXT_SEGMENT_MAX) return;
+            // Départ à la tête de lecture si elle est dans la coupe.
+            const playhead = videoSource.currentTime || 0;
+            const start = playhead >= state.trimStart && playhead < state.trimEnd - TEXT_SEGMENT_MIN
+                ? playhead : state.trimStart;
+            // Emplacement par défaut : la légende si un plateau actif en a
+            // une, sinon le POV du plateau plein écran.
+            const slot = activePanes().some(p => p.textBox) ? 'text' : 'pov';
+            const seg = clampTextSegment({
+                id: 'seg' + Date.now().toString(36) + (++textSegmentSeq),
+                slot,
+                // Le texte fixe de l'emplacement comme point de départ.
+                text: slot === 'text' ? state.text : state.povText,
+                start,
+                end: Math.min(start + TEXT_SEGMENT_DEFAULT, state.trimEnd)
+            });
+            state.textSegments = state.textSegments.concat([seg]);
+            currentTextSegment = seg.id;
+            commitHistory('Texte minuté');
+            renderTextSegments();
+            const input = textSegmentList.querySelector(`[data-id="${CSS.escape(seg.id)}"] textarea`);
+            if (input) input.focus();
+        }
+
+        function removeTextSegment(id) {
+            state.textSegments = state.textSegments.filter(s => s.id !== id);
+            if (currentTextSegment === id) currentTextSegment = null;
+            commitHistory('Texte minuté');
+            renderTextSegments();
+        }
+
+        function setupTextSegments() {
+            if (!textTrack || !textSegmentList) return;
+            textSegmentAddBtn.addEventListener('click', addTextSegment);
+
+            textSegmentList.addEventListener('input', function(e) {
+                const row = e.target.closest('.text-segment');
+                if (!row || e.target.dataset.field !== 'text') return;
+                updateTextSegment(row.dataset.id, { text: e.target.value });
+                scheduleHistoryCommit('Texte minuté');
+            });
+            textSegmentList.addEventListener('change', function(e) {
+                const row = e.target.closest('.text-segment');
+                const field = e.target.dataset.field;
+                if (!row || field === 'text') return;
+                const value = field === 'slot' ? e.target.value : parseFloat(e.target.value);
+                if (field !== 'slot' && !Number.isFinite(value)) {
+                    syncTextSegmentRow(row.dataset.id);
+                    return;
+                }
+                updateTextSegment(row.dataset.id, { [field]: value });
+                syncTextSegmentRow(row.dataset.id);
+                commitHistory('Texte minuté');
+            });
+            textSegmentList.addEventListener('click', function(e) {
+                const btn = e.target.closest('[data-action="remove"]');
+                if (btn) removeTextSegment(btn.closest('.text-segment').dataset.id);
+            });
+            textSegmentList.addEventListener('focusin', function(e) {
+                const row = e.target.closest('.text-segment');
+                if (row && row.dataset.id !== currentTextSegment) selectTextSegment(row.dataset.id);
+            });
+
+            // Sur la piste : glisser un bloc le déplace, glisser un de ses
+            // bords le raccourcit ou l'allonge. Un geste = une entrée
+            // d'historique, close au relâcher.
+            let drag = null;
+            textTrack.addEventListener('pointerdown', function(e) {
+                const block = e.target.closest('.text-track__block');
+                const seg = block && state.textSegments.find(s => s.id === block.dataset.id);
+                if (!seg) return;
+                const rect = block.getBoundingClientRect();
+                const edge = Math.min(8, rect.width / 3);
+                drag = {
+                    id: seg.id,
+                    mode: e.clientX - rect.left < edge ? 'start' : (rect.right - e.clientX < edge ? 'end' : 'move'),
+                    x: e.clientX,
+                    start: seg.start,
+                    end: seg.end,
+                    moved: false
+                };
+                selectTextSegment(seg.id);
+                textTrack.setPointerCapture(e.pointerId);
+                e.preventDefault();
+            });
+            textTrack.addEventListener('pointermove', function(e) {
+                if (!drag) return;
+                const delta = (e.clientX - drag.x) / textTrack.clientWidth * state.videoDuration;
+                let changes;
+                if (drag.mode === 'start') {
+                    changes = { start: Math.min(drag.start + delta, drag.end - TEXT_SEGMENT_MIN) };
+                } else if (drag.mode === 'end') {
+                    changes = { end: drag.end + delta };
+                } else {
+                    const length = drag.end - drag.start;
+                    const start = Math.min(Math.max(0, drag.start + delta), state.videoDuration - length);
+                    changes = { start, end: start + length };
+                }
+                drag.moved = true;
+                updateTextSegment(drag.id, changes);
+                syncTextSegmentRow(drag.id);
+            });
+            const endDrag = function() {
+                if (!drag) return;
+                const { id, moved } = drag;
+                drag = null;
+                if (moved) {
+                    commitHistory('Texte minuté');
+                } else {
+                    // Un simple clic : on passe à l'édition du bloc.
+                    const input = textSegmentList.querySelector(`[data-id="${CSS.escape(id)}"] textarea`);
+                    if (input) input.focus();
+                }
+            };
+            textTrack.addEventListener('pointerup', endDrag);
+            textTrack.addEventListener('pointercancel', endDrag);
+        }
+
+        // ============================================
+        // SOUS-TITRES — un fichier .srt/.vtt posé sur la vidéo
+        // --------------------------------------------
+        // Le serveur relit le fichier (POST /api/editor/subtitles/parse) ;
+        // les répliques vivent ensuite dans state.subtitles, avec le nom
+        // du fichier, un style POV_STYLES et un DÉCALAGE : une réplique
+        // démarre à trimStart + offset + cue.start (secondes source). Le
+        // décalage est donc relatif au début de la coupe — recouper la
+        // vidéo ne désynchronise pas les sous-titres du clip exporté.
+        //
+        // À l'écran, la réplique courante est un Textbox par plateau, au
+        // bas du cadre (au-dessus de l'interface TikTok en plein écran),
+        // posée en lecture comme à chaque frame capturée.
+        //
+        // À l'export, elle n'est PAS dans le template PNG : chaque plateau
+        // envoie ses répliques (secondes du clip) et leur placement, que le
+        // serveur écrit en ASS et que FFmpeg incruste (app/editor/subtitles.py).
+        // ============================================
+        //: Corps des sous-titres, en part de la largeur du gabarit.
+        const SUBTITLE_SIZE_RATIO = 0.042;
+        //: Bas des sous-titres plein écran : au-dessus de la légende et des
+        //: boutons de l'interface TikTok.
+        const SUBTITLE_FULLBLEED_BOTTOM = 0.78;
+
+        const subtitleFileInput = document.getElementById('subtitle-file-input');
+        const subtitleControls = document.getElementById('subtitle-controls');
+        const subtitleTrack = document.getElementById('subtitle-track');
+        const subtitleName = document.getElementById('subtitle-name');
+        const subtitleOffsetInput = document.getElementById('subtitle-offset');
+        const subtitleRemoveBtn = document.getElementById('subtitle-remove-btn');
+        // Réplique posée sur les plateaux : un rendu par CHANGEMENT, pas par frame.
+        let subtitleShown = '';
+
+        /** Piste relue d'un document : seules les formes attendues passent. */
+        function sanitizeSubtitles(sub) {
+            if (!sub || !Array.isArray(sub.cues)) return null;
+            const cues = sub.cues.filter(function(cue) {
+                return cue && typeof cue.text === 'string'
+                    && Number.isFinite(cue.start) && Number.isFinite(cue.end) && cue.start < cue.end;
+            }).map(function(cue) {
+                return { start: cue.start, end: cue.end, text: cue.text };
+            });
+            if (!cues.length) return null;
+            return {
+                name: typeof sub.name === 'string' ? sub.name : 'sous-titres',
+                cues,
+                offset: Number.isFinite(sub.offset) ? sub.offset : 0,
+                style: POV_STYLES[sub.style] ? sub.style : 'outline'
+            };
+        }
+
+        /** Début d'une réplique en secondes de la vidéo source. */
+        function subtitleSourceTime(t) {
+            return state.trimStart + state.subtitles.offset + t;
+        }
+
+        /** Texte de la réplique à `time` (secondes source), '' sinon. */
+        function subtitleTextAt(time) {
+            if (!state.subtitles || state.mediaType !== 'video') return '';
+            const cue = state.subtitles.cues.find(function(c) {
+                return subtitleSourceTime(c.start) <= time && time < subtitleSourceTime(c.end);
+            });
+            return cue ? cue.text : '';
+        }
+
+        /**
+         * Placement d'un plateau, en pixels du gabarit : la réplique est
+         * centrée sur x, posée par son BAS sur y, coupée à `width`. Même
+         * repère que l'ASS écrit par le serveur.
+         */
+        function subtitleGeometry(p) {
+            const template = templateOf(p);
+            const fontSize = Math.round(template.width * SUBTITLE_SIZE_RATIO);
+            if (template.fullBleed) {
+                return {
+                    fontSize,
+                    x: template.width / 2,
+                    y: Math.round(template.height * SUBTITLE_FULLBLEED_BOTTOM),
+                    width: Math.round(template.width * 0.8)
+                };
+            }
+            const frame = template.frame;
+            const effectiveFrameHeight = Math.round(frame.height * (p.frameHeightPercent / 100));
+            const frameBottom = frame.y + frame.height / 2 + effectiveFrameHeight / 2;
+            return {
+                fontSize,
+                x: frame.x + frame.width / 2,
+                y: Math.round(frameBottom - fontSize * 0.8),
+                width: Math.round(frame.width * 0.86)
+            };
+        }
+
+        /** Pose (ou retire) la réplique `text` sur un plateau. */
+        function placeSubtitle(p, text) {
+            if (!p.canvas) return;
+            if (!text) {
+                if (p.subtitleObj) {
+                    p.canvas.remove(p.subtitleObj);
+                    p.subtitleObj = null;
+                }
+                return;
+            }
+            const style = POV_STYLES[state.subtitles.style] || POV_STYLES.outline;
+            const geo = subtitleGeometry(p);
+            const font = elementFont('subtitles');
+            const props = Object.assign({
+                text,
+                fontFamily: font.family,
+                fontWeight: font.weight,
+                left: CANVAS_PADDING + geo.x,
+                top: CANVAS_PADDING + geo.y,
+                width: geo.width,
+                fontSize: geo.fontSize,
+                fill: style.fill
+            }, povStrokeProps(style, geo.fontSize));
+
+            if (!p.subtitleObj) {
+                p.subtitleObj = new fabric.Textbox(text, {
+                    originX: 'center',
+                    originY: 'bottom',
+                    lineHeight: 1.25,
+                    textAlign: 'center',
+                    selectable: false,
+                    evented: false
+                });
+                // Même fond par ligne que le bloc POV.
+                p.subtitleObj._renderTextLinesBackground = povRenderLinesBackground;
+                p.canvas.add(p.subtitleObj);
+            }
+            p.subtitleObj.set(props);
+            p.subtitleObj.povBg = style.bg;
+            p.subtitleObj.initDimensions();
+            p.subtitleObj.setCoords();
+            p.subtitleObj.bringToFront();
+            if (p.watermark) p.watermark.bringToFront();
+        }
+
+        /** Pose sur les plateaux la réplique de l'instant `time` (secondes source). */
+        function showSubtitles(time) {
+            const text = subtitleTextAt(time);
+            if (text === subtitleShown) return;
+            // PIÈGE CANVAS (voir POV) : pas de dessin avant la police.
+            const font = elementFont('subtitles');
+            if (text && !fontSettled(font)) {
+                loadFont(font).then(function() { showSubtitles(time); });
+                return;
+            }
+            subtitleShown = text;
+            eachPane(function(p) {
+                placeSubtitle(p, text);
+                if (p.canvas) p.canvas.renderAll();
+            });
+        }
+
+        /** Réaffiche la réplique courante après un changement de piste ou de style. */
+        function refreshSubtitles() {
+            const time = videoSource.currentTime || 0;
+            subtitleShown = '';
+            eachPane(function(p) { placeSubtitle(p, ''); });
+            showSubtitles(time);
+            eachPane(function(p) { if (p.canvas) p.canvas.renderAll(); });
+        }
+
+        /** Piste d'export d'un plateau : répliques en secondes du CLIP + placement. */
+        function subtitleExportTrack(p) {
+            if (!state.subtitles) return null;
+            // clipTime() ramène chaque réplique dans le clip exporté : rognée
+            // aux bornes, raccourcie par un passage retiré, effacée s'il la contient.
+            const cues = [];
+            state.subtitles.cues.forEach(function(cue) {
+                const start = roundTime(clipTime(subtitleSourceTime(cue.start)));
+                const end = roundTime(clipTime(subtitleSourceTime(cue.end)));
+                if (end - start >= 0.01) cues.push({ start, end, text: cue.text });
+            });
+            if (!cues.length) return null;
+            const track = Object.assign({ style: state.subtitles.style, cues }, subtitleGeometry(p));
+            // Sans choix, le serveur garde sa Montserrat : rien à envoyer.
+            if (state.fonts.subtitles) track.font = state.fonts.subtitles;
+            return track;
+        }
+
+        function renderSubtitleTrack() {
+            if (!subtitleTrack) return;
+            subtitleTrack.innerHTML = '';
+            if (!state.subtitles) return;
+            const duration = state.videoDuration || 1;
+            const percent = function(t) { return (t / duration * 100) + '%'; };
+
+            const trim = document.createElement('div');
+            trim.className = 'text-track__window';
+            trim.style.left = percent(state.trimStart);
+            trim.style.width = percent(state.trimEnd - state.trimStart);
+            subtitleTrack.appendChild(trim);
+
+            state.subtitles.cues.forEach(function(cue, i) {
+                const start = Math.max(0, subtitleSourceTime(cue.start));
+                const end = Math.min(duration, subtitleSourceTime(cue.end));
+                if (end <= start) return;
+                const block = document.createElement('div');
+                block.className = 'text-track__block';
+                block.dataset.slot = 'subtitle';
+                block.dataset.index = i;
+                block.style.left = percent(start);
+                block.style.width = percent(end - start);
+                block.textContent = cue.text.replace(/\n/g, ' ');
+                block.title = `${formatTime(start)} → ${formatTime(end)} · ${cue.text}`;
+                subtitleTrack.appendChild(block);
+            });
+        }
+
+        /** Contrôles, piste et affichage — après import, retrait ou annulation. */
+        function renderSubtitles() {
+            if (!subtitleControls) return;
+            const sub = state.subtitles;
+            subtitleControls.hidden = !sub;
+            if (sub) {
+                subtitleName.textContent = `${sub.name} · ${sub.cues.length} réplique${sub.cues.length > 1 ? 's' : ''}`;
+                if (document.activeElement !== subtitleOffsetInput) subtitleOffsetInput.value = sub.offset;
+                document.querySelectorAll('#subtitle-style-group .seg__btn').forEach(function(btn) {
+                    btn.classList.toggle('active', btn.dataset.substyle === sub.style);
+                });
+            }
+            renderSubtitleTrack();
+            refreshSubtitles();
+        }
+
+        /** La piste est remplacée, jamais modifiée : l'historique en garde les versions. */
+        function updateSubtitles(changes) {
+            state.subtitles = Object.assign({}, state.subtitles, changes);
+            commitHistory('Sous-titres');
+            renderSubtitles();
+        }
+
+        async function importSubtitles(file) {
+            if (state.mediaType !== 'video') {
+                note('Les sous-titres se posent sur une vidéo : ouvre d’abord une vidéo.', 'warning');
+                return;
+            }
+            const formData = new FormData();
+            formData.append('file', file, file.name);
+            let data;
+            try {
+                const response = await fetch('/api/editor/subtitles/parse', { method: 'POST', body: formData });
+                data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+            } catch (err) {
+                console.error('[editor] sous-titres illisibles', err);
+                note('Les sous-titres n’ont pas pu être importés (' + err.message + ').', 'error');
+                return;
+            }
+            state.subtitles = sanitizeSubtitles({
+                name: file.name,
+                cues: data.cues,
+                offset: 0,
+                // Un nouveau fichier garde le style du précédent.
+                style: state.subtitles ? state.subtitles.style : 'outline'
+            });
+            commitHistory('Sous-titres');
+            renderSubtitles();
+            note(`${data.cues.length} sous-titres importés — ils seront incrustés dans chaque plateau exporté.`, 'success');
+        }
+
+        function setupSubtitles() {
+            if (!subtitleFileInput || !subtitleControls) return;
+            subtitleFileInput.addEventListener('change', function() {
+                const file = subtitleFileInput.files[0];
+                subtitleFileInput.value = '';   // le même fichier peut être réimporté
+                if (file) importSubtitles(file);
+            });
+            subtitleRemoveBtn.addEventListener('click', function() {
+                state.subtitles = null;
+                commitHistory('Sous-titres');
+                renderSubtitles();
+            });
+            document.querySelectorAll('#subtitle-style-group .seg__btn').forEach(function(btn) {
+                btn.addEventListener('click', function() {
+                    if (state.subtitles && btn.dataset.substyle !== state.subtitles.style) {
+                        updateSubtitles({ style: btn.dataset.substyle });
+                    }
+                });
+            });
+            subtitleOffsetInput.addEventListener('change', function() {
+                const offset = parseFloat(subtitleOffsetInput.value);
+                if (!state.subtitles) return;
+                if (!Number.isFinite(offset)) {
+                    subtitleOffsetInput.value = state.subtitles.offset;
+                    return;
+                }
+                updateSubtitles({ offset: roundTime(offset) });
+            });
+            // Un clic sur une réplique y place la tête de lecture.
+            subtitleTrack.addEventListener('click', function(e) {
+                const block = e.target.closest('.text-track__block');
+                const cue = block && state.subtitles && state.subtitles.cues[block.dataset.index];
+                if (!cue || state.isPlaying) return;
+                const time = Math.min(Math.max(0, subtitleSourceTime(cue.start) + 0.01), state.videoDuration);
+                updatePlayhead(time);
+                captureVideoFrame(time);
+            });
+        }
+
+        // ============================================
+        // SON — gain, fondus et piste jointe
+        // --------------------------------------------
+        // Les réglages (state.audio*) sont dans l'historique et la
+        // composition ; la piste jointe, comme la vidéo source, n'y est
+        // pas : c'est un fichier, renvoyé à chaque export (`audio_track`).
+        //
+        // L'export passe params.audio aux deux endpoints vidéo ; FFmpeg y
+        // applique gain, fondus aux bornes du rendu et remplacement ou
+        // mixage (audio_filters() côté serveur). L'aperçu joue la même
+        // chose avec les éléments média du navigateur — le volume d'un
+        // <audio>/<video> plafonne à 1 : au-delà de 100 %, l'aperçu reste à
+        // 100 % et seul l'export applique le gain.
+        // ============================================
+        const audioMuteInput = document.getElementById('audio-mute');
+        const audioVolumeInput = document.getElementById('audio-volume');
+        const audioVolumeValue = document.getElementById('audio-volume-value');
+        const audioFadeInInput = document.getElementById('audio-fade-in');
+        const audioFadeOutInput = document.getElementById('audio-fade-out');
+        const audioTrackInput = document.getElementById('audio-track-input');
+        const audioTrackControls = document.getElementById('audio-track-controls');
+        const audioTrackName = document.getElementById('audio-track-name');
+        const audioTrackRemoveBtn = document.getElementById('audio-track-remove-btn');
+        const audioTrackVolumeInput = document.getElementById('audio-track-volume');
+        const audioTrackVolumeValue = document.getElementById('audio-track-volume-value');
+        // Piste jointe : { file, url, element } — hors historique.
+        let audioTrack = null;
+
+        /** Fondus bornés au rendu : à eux deux, jamais plus que sa durée. */
+        function audioFades() {
+            const clip = outputDuration();
+            const fadeIn = Math.max(0, state.audioFadeIn);
+            const fadeOut = Math.max(0, state.audioFadeOut);
+            const ratio = fadeIn + fadeOut > clip ? clip / (fadeIn + fadeOut) : 1;
+            return { fadeIn: roundTime(fadeIn * ratio), fadeOut: roundTime(fadeOut * ratio) };
+        }
+
+        /** Facteur des fondus à `elapsed` (secondes du rendu), de 0 à 1. */
+        function audioFadeFactor(elapsed) {
+            const { fadeIn, fadeOut } = audioFades();
+            let factor = 1;
+            if (fadeIn > 0) factor = Math.min(factor, elapsed / fadeIn);
+            if (fadeOut > 0) factor = Math.min(factor, (outputDuration() - elapsed) / fadeOut);
+            return Math.min(1, Math.max(0, factor));
+        }
+
+        /** Le son d'origine est-il entendu (à l'aperçu comme à l'export) ? */
+        function sourceAudible() {
+            return !state.audioMuted && (!audioTrack || state.audioTrackMode === 'mix');
+        }
+
+        function startAudioPreview() {
+            videoSource.muted = !sourceAudible();
+            if (audioTrack) {
+                audioTrack.element.currentTime = 0;
+                audioTrack.element.play().catch(function(err) {
+                    console.warn('[editor] aperçu de la piste jointe impossible', err);
+                });
+            }
+            updateAudioPreview(0);
+        }
+
+        /** Volumes de l'aperçu à `elapsed` secondes du rendu. */
+        function updateAudioPreview(elapsed) {
+            const factor = audioFadeFactor(elapsed);
+            videoSource.volume = Math.min(1, state.audioVolume / 100 * factor);
+            if (audioTrack) audioTrack.element.volume = Math.min(1, state.audioTrackVolume / 100 * factor);
+        }
+
+        /** Recale la piste jointe après un saut de l'aperçu (passage retiré). */
+        function seekAudioPreview(elapsed) {
+            if (audioTrack) audioTrack.element.currentTime = elapsed;
+        }
+
+        function stopAudioPreview() {
+            // Au repos (recherche de frame, miniatures), la vidéo reste muette.
+            videoSource.muted = true;
+            if (audioTrack) audioTrack.element.pause();
+        }
+
+        /** Réglages d'export — null quand rien ne change le son d'origine. */
+        function audioExportParams() {
+            const { fadeIn, fadeOut } = audioFades();
+            const untouched = !state.audioMuted && state.audioVolume === 100 && !fadeIn && !fadeOut && !audioTrack;
+            if (untouched) return null;
+            return {
+                muted: state.audioMuted,
+                volume: state.audioVolume / 100,
+                fadeIn,
+                fadeOut,
+                track: !!audioTrack,
+                trackMode: state.audioTrackMode,
+                trackVolume: state.audioTrackVolume / 100
+            };
+        }
+
+        /** Joint la piste au formulaire d'export si les réglages l'annoncent. */
+        function appendAudioTrack(formData, params) {
+            if (params.audio && params.audio.track && audioTrack) {
+                formData.append('audio_track', audioTrack.file, audioTrack.file.name);
+            }
+        }
+
+        function syncAudioControls() {
+            if (!audioMuteInput) return;
+            audioMuteInput.checked = state.audioMuted;
+            audioVolumeInput.value = state.audioVolume;
+            audioVolumeValue.textContent = state.audioVolume + '%';
+            audioFadeInInput.value = state.audioFadeIn;
+            audioFadeOutInput.value = state.audioFadeOut;
+            audioTrackVolumeInput.value = state.audioTrackVolume;
+            audioTrackVolumeValue.textContent = state.audioTrackVolume + '%';
+            audioTrackControls.hidden = !audioTrack;
+            if (audioTrack) audioTrackName.textContent = audioTrack.file.name;
+            document.querySelectorAll('#audio-track-mode-group .seg__btn').forEach(function(btn) {
+                btn.classList.toggle('active', btn.dataset.trackmode === state.audioTrackMode);
+            });
+        }
+
+        function setAudioTrack(file) {
+            if (audioTrack) {
+                audioTrack.element.pause();
+                URL.revokeObjectURL(audioTrack.url);
+            }
+            audioTrack = null;
+            if (file) {
+                const url = URL.createObjectURL(file);
+                const element = new Audio(url);
+                element.preload = 'auto';
+                audioTrack = { file, url, element };
+            }
+            syncAudioControls();
+        }
+
+        function setupAudio() {
+            if (!audioMuteInput) return;
+            audioMuteInput.addEventListener('change', function() {
+                state.audioMuted = audioMuteInput.checked;
+                if (state.isPlaying) videoSource.muted = !sourceAudible();
+                commitHistory('Son');
+            });
+            [[audioVolumeInput, audioVolumeValue, 'audioVolume'],
+             [audioTrackVolumeInput, audioTrackVolumeValue, 'audioTrackVolume']].forEach(function(ctl) {
+                ctl[0].addEventListener('input', function() {
+                    state[ctl[2]] = parseInt(ctl[0].value, 10);
+                    ctl[1].textContent = state[ctl[2]] + '%';
+                    if (state.isPlaying) updateAudioPreview(playbackElapsed);
+                });
+                ctl[0].addEventListener('change', function() { commitHistory('Son'); });
+            });
+            [[audioFadeInInput, 'audioFadeIn'], [audioFadeOutInput, 'audioFadeOut']].forEach(function(ctl) {
+                ctl[0].addEventListener('change', function() {
+                    const value = parseFloat(ctl[0].value);
+                    if (!Number.isFinite(value) || value < 0) {
+                        ctl[0].value = state[ctl[1]];
+                        return;
+                    }
+                    state[ctl[1]] = roundTime(value);
+                    commitHistory('Son');
+                });
+            });
+            document.querySelectorAll('#audio-track-mode-group .seg__btn').forEach(function(btn) {
+                btn.addEventListener('click', function() {
+                    if (btn.dataset.trackmode === state.audioTrackMode) return;
+                    state.audioTrackMode = btn.dataset.trackmode;
+                    if (state.isPlaying) videoSource.muted = !sourceAudible();
+                    commitHistory('Son');
+                    syncAudioControls();
+                });
+            });
+            audioTrackInput.addEventListener('change', function() {
+                const file = audioTrackInput.files[0];
+                audioTrackInput.value = '';
+                if (!file) return;
+                if (state.isPlaying) pauseVideo();
+                setAudioTrack(file);
+                note(`Piste « ${file.name} » jointe — elle démarre avec le clip.`, 'success');
+            });
+            audioTrackRemoveBtn.addEventListener('click', function() {
+                if (state.isPlaying) pauseVideo();
+                setAudioTrack(null);
+            });
+            syncAudioControls();
+        }
+
+        /**
+         * Le fichier choisi n'est pas décodable comme image : on retire ce
+         * qui restait sur le plan de travail, on REVERROUILLE les actions de
+         * sortie (rien de bon ne peut en sortir) et on le dit à l'écran.
+         */
+        function rejectUnusableImage() {
+            eachPane(function(p) {
+                if (p.imageObj) {
+                    p.canvas.remove(p.imageObj);
+                    p.imageObj = null;
+                }
+                p.canvas.requestRenderAll();
+            });
+            state.imageSrc = null;
+            updateImageEditReadouts();
+
+            // La vidéo ne passe ici que par une capture de frame déjà rendue
+            // par un canvas : on ne touche pas à son bouton d'export.
+            if (state.mediaType !== 'video') {
+                if (exportBtn) exportBtn.disabled = true;
+                if (scheduleBtn) scheduleBtn.disabled = true;
+                if (saveMemeBtn) saveMemeBtn.disabled = true;
+            }
+
+            note('Ce fichier n’est pas une image exploitable : rien n’a pu être décodé. Choisis un PNG, un JPEG ou un WebP valide.', 'error');
+        }
+
+        /** Le même média alimente TOUS les plateaux, chacun avec SON cadrage. */
+        let rejectionNotified = false;
+        // ============================================
+        // FOND FLOU
+        // --------------------------------------------
+        // Un clip paysage dans le plateau TikTok plein écran perd, en
+        // « cover », les deux tiers de son image. Le mode « blur » (par
+        // plateau) CONTIENT le média dans le cadre et remplit le reste
+        // d'une copie agrandie, floutée et assombrie de ce même média.
+        // La copie ignore le zoom et le décalage du plateau : elle couvre
+        // toujours le cadre, centrée — exactement comme blur_fill_filters()
+        // côté FFmpeg, dont elle reprend le flou et l'assombrissement.
+        // Elle est peinte à 1/4 de la taille du cadre (flou divisé
+        // d'autant) : le résultat est le même une fois agrandi, et la
+        // lecture vidéo la repeint à chaque image sans ramer.
+        // ============================================
+        // BACKDROP_BLUR et BACKDROP_DIM : editor-core.js.
+        const BACKDROP_DOWNSCALE = 4;
+
+        /** Échelle de base du média : couvre le cadre, ou y tient entier en mode « blur ». */
+        function fitScale(p, srcW, srcH) {
+            const frame = templateOf(p).frame;
+            const fit = p.fillMode === 'blur' ? Math.min : Math.max;
+            return fit(frame.width / srcW, frame.height / srcH);
+        }
+
+        /** Peint (ou retire) le fond flou du plateau, sous le média, dans le cadre visible. */
+        function paintBackdrop(p) {
+            if (p.fillMode !== 'blur' || !p.imageObj || !p.clipRect) {
+                if (p.backdropObj) {
+                    p.canvas.remove(p.backdropObj);
+                    p.backdropObj = null;
+                }
+                return;
+            }
+            const img = p.imageObj;
+            const frameW = p.clipRect.width;
+            const frameH = p.clipRect.height;
+            const w = Math.max(1, Math.round(frameW / BACKDROP_DOWNSCALE));
+            const h = Math.max(1, Math.round(frameH / BACKDROP_DOWNSCALE));
+            if (!p.backdropCanvas) p.backdropCanvas = document.createElement('canvas');
+            const el = p.backdropCanvas;
+            el.width = w;
+            el.height = h;
+            const ctx = el.getContext('2d');
+
+            // Marge de deux écarts types de chaque côté : le flou prend ses
+            // pixels au-delà du bord au lieu de le fondre dans le vide.
+            const blur = BACKDROP_BLUR / BACKDROP_DOWNSCALE;
+            const quarterTurn = (state.rotation % 180) !== 0;
+            const srcW = quarterTurn ? img.height : img.width;
+            const srcH = quarterTurn ? img.width : img.height;
+            const cover = Math.max((w + 4 * blur) / srcW, (h + 4 * blur) / srcH);
+            ctx.save();
+            // Safari < 18 n'a pas ctx.filter : le fond y sort net (mais assombri).
+            ctx.filter = `blur(${blur}px)`;
+            ctx.translate(w / 2, h / 2);
+            ctx.rotate(state.rotation * Math.PI / 180);
+            ctx.scale(state.flipX ? -1 : 1, state.flipY ? -1 : 1);
+            ctx.drawImage(img.getElement(), img.cropX || 0, img.cropY || 0, img.width, img.height,
+                -img.width * cover / 2, -img.height * cover / 2, img.width * cover, img.height * cover);
+            // Le fond ne doit pas rendre ce que le média cache ; il prend
+            // aussi sa vignette, comme la source étalonnée côté FFmpeg.
+            if (state.redactions.length || state.vignette) {
+                ctx.scale(cover, cover);
+                if (state.redactions.length) drawRedactions(ctx, img);
+                if (state.vignette) drawVignette(ctx, img);
+            }
+            ctx.restore();
+            // Noir à 40 % : chaque canal multiplié par 0,6, comme colorchannelmixer.
+            ctx.fillStyle = `rgba(0, 0, 0, ${1 - BACKDROP_DIM})`;
+            ctx.fillRect(0, 0, w, h);
+
+            const geometry = {
+                left: p.clipRect.left,
+                top: p.clipRect.top,
+                scaleX: frameW / w,
+                scaleY: frameH / h
+            };
+            if (p.backdropObj) {
+                p.backdropObj.set(geometry);
+            } else {
+                p.backdropObj = new fabric.Image(el, Object.assign({
+                    originX: 'left',
+                    originY: 'top',
+                    clipPath: p.clipRect,
+                    selectable: false,
+                    evented: false,
+                    objectCaching: false
+                }, geometry));
+                p.canvas.add(p.backdropObj);
+            }
+            // Juste sous le média : au-dessus du fond et du cadre vide.
+            p.canvas.moveTo(p.backdropObj, p.canvas.getObjects().indexOf(img));
+        }
+
+        function syncFillControls() {
+            eachPane(function(p) {
+                const btn = document.getElementById('fill-' + p.key);
+                if (btn) btn.setAttribute('aria-pressed', String(p.fillMode === 'blur'));
+            });
+        }
+
+        function setFillMode(p, mode) {
+            p.fillMode = mode === 'blur' ? 'blur' : 'cover';
+            syncFillControls();
+            reapplyImageTransforms();
+            commitHistory('Fond flou');
+        }
+
+        function setupFillModes() {
+            eachPane(function(p) {
+                const btn = document.getElementById('fill-' + p.key);
+                if (!btn) return;
+                btn.addEventListener('click', function() {
+                    setFillMode(p, p.fillMode === 'blur' ? 'cover' : 'blur');
+                });
+            });
+            syncFillControls();
+        }
+
+        function addImageToAllPanes(src) {
+            rejectionNotified = false;
+            // Résolue quand CHAQUE plateau a son image (ou l'a refusée) :
+            // le carrousel attend ce moment pour rendre une diapositive.
+            return Promise.all(paneList.map(function(p) {
+                return new Promise(function(resolve) { addImageToCanvas(p, src, resolve); });
+            }));
+        }
+
+        function addImageToCanvas(p, src, onReady) {
+            // Fabric 5 passe `isError` en second argument et rend malgré tout
+            // un objet Image — de dimensions 0×0. Sans ce contrôle, un fichier
+            // qui n'est pas une image (extension trompeuse, média tronqué)
+            // produisait un plan de travail VIDE, sans un mot à l'écran, puis
+            // un export « réussi » ne contenant que le gabarit. L'échec doit
+            // se voir : c'est le défaut que l'audit reproche déjà à FFmpeg.
+            fabric.Image.fromURL(src, (img, isError) => {
+                if (isError || !img || !img.width || !img.height) {
+                    // Deux plateaux, un seul message : l'échec de décodage
+                    // est celui du FICHIER, pas d'un canvas.
+                    if (!rejectionNotified) {
+                        rejectionNotified = true;
+                        rejectUnusableImage();
+                    }
+                    if (onReady) onReady(false);
+                    return;
+                }
+
+                if (p.imageObj) {
+                    p.canvas.remove(p.imageObj);
+                }
+
+                const template = templateOf(p);
+                const frame = template.frame;
+                const offset = CANVAS_PADDING;
+
+                // LOT C — dimensions naturelles mémorisées AVANT tout
+                // recadrage : width/height deviennent ensuite la fenêtre
+                // de recadrage, plus la taille de la source.
+                img._natW = img.width;
+                img._natH = img.height;
+                applyCropToImage(img, state.cropRatio);
+
+                // Calculate scale to cover the frame (or fit it, see fitScale)
+                // Une rotation d'un quart de tour échange largeur et hauteur :
+                // sans ça l'image cesse de couvrir le cadre après rotation.
+                const quarterTurn = (state.rotation % 180) !== 0;
+                const baseScale = fitScale(p,
+                    quarterTurn ? img.height : img.width,
+                    quarterTurn ? img.width : img.height);
+                const finalScale = baseScale * (p.imageScale / 100);
+
+                // Center the image in the frame (with offset)
+                const centerX = frame.x + frame.width / 2 + offset;
+                const centerY = frame.y + frame.height / 2 + offset;
+
+                img.set({
+                    left: centerX + p.imageOffsetX,
+                    top: centerY + p.imageOffsetY,
+                    originX: 'center',
+                    originY: 'center',
+                    scaleX: finalScale,
+                    scaleY: finalScale,
+                    // LOT C — rotation / retournement conservés d'un
+                    // changement de format à l'autre.
+                    angle: state.rotation,
+                    flipX: state.flipX,
+                    flipY: state.flipY,
+                    hasControls: true,
+                    hasBorders: true,
+                    cornerSize: 18,
+                    // Lock rotation, only allow scale and move
+                    lockRotation: true,
+                    // Apply the fixed clip path
+                    clipPath: p.clipRect,
+                    // Visual styling
+                    strokeWidth: 0,
+                    borderColor: '#ef4444',
+                    borderDashArray: [5, 5],
+                    hoverCursor: 'move',
+                    moveCursor: 'move'
+                });
+
+                // Store base scale for slider calculations
+                img._baseScale = baseScale;
+                // Zones floutées peintes par l'objet lui-même : elles
+                // suivent recadrage, rotation, miroir et cadrage.
+                img._render = renderRedacted;
+
+                p.imageObj = img;
+                p.canvas.add(p.imageObj);
+
+                // Reorder layers - templateBg at very back, then frameRect, then image
+                p.canvas.sendToBack(p.imageObj);
+                p.canvas.sendToBack(p.frameBorder);
+                p.canvas.sendToBack(p.frameRect);
+                p.canvas.sendToBack(p.templateBg);
+                if (p.textBox) p.canvas.bringToFront(p.textBox); // pas de bandeau en plein écran
+                if (p.povObj) p.canvas.bringToFront(p.povObj);
+                p.canvas.bringToFront(p.watermark);
+
+                if (p.overlayTextObj) {
+                    p.canvas.bringToFront(p.overlayTextObj);
+                }
+
+                paintBackdrop(p);
+
+                // LOT C — réglages (luminosité / contraste / saturation)
+                // réappliqués : ils survivent au changement de format.
+                applyImageFilters();
+                updateImageEditReadouts();
+
+                // Track image movement — le cadrage est PAR plateau.
+                p.imageObj.on('moving', function() {
+                    const template = templateOf(p);
+                    const frame = template.frame;
+                    const offset = CANVAS_PADDING;
+                    const centerX = frame.x + frame.width / 2 + offset;
+                    const centerY = frame.y + frame.height / 2 + offset;
+
+                    p.imageOffsetX = this.left - centerX;
+                    p.imageOffsetY = this.top - centerY;
+                });
+
+                // Track image scaling
+                p.imageObj.on('scaling', function() {
+                    const currentScale = this.scaleX;
+                    const baseScale = this._baseScale;
+                    const percentage = Math.round((currentScale / baseScale) * 100);
+
+                    p.imageScale = percentage;
+                    imageScaleSlider.value = Math.min(200, Math.max(50, percentage));
+                    imageScaleValue.textContent = percentage + '%';
+                });
+
+                p.canvas.renderAll();
+                if (onReady) onReady(true);
+            }, { crossOrigin: 'anonymous' });
+        }
+
+        // Le slider agit sur TOUS les plateaux (même geste qu'avant) ; le
+        // zoom par poignées, lui, reste propre au plateau manipulé.
+        function updateImageScale(percentage) {
+            imageScaleValue.textContent = percentage + '%';
+            eachPane(function(p) {
+                p.imageScale = percentage;
+                if (p.imageObj && p.imageObj._baseScale) {
+                    const newScale = p.imageObj._baseScale * (percentage / 100);
+                    p.imageObj.set({
+                        scaleX: newScale,
+                        scaleY: newScale
+                    });
+                    p.canvas.renderAll();
+                }
+            });
+        }
+
+        function updateFrameHeight(percentage) {
+            frameHeightValue.textContent = percentage + '%';
+            eachPane(function(p) { applyFrameHeight(p, percentage); });
+        }
+
+        /** Hauteur de cadre d'UN plateau — le slider l'applique à tous,
+            l'historique restaure la valeur propre à chacun. */
+        function applyFrameHeight(p, percentage) {
+            // Plein écran (TikTok) : rétrécir le cadre recréerait des
+            // bandes autour du média — ce plateau reste à 100 %.
+            if (isFullBleed(p)) return;
+            p.frameHeightPercent = percentage;
+
+            const template = templateOf(p);
+            const frame = template.frame;
+            const offset = CANVAS_PADDING;
+
+            // Calculer la nouvelle hauteur effective
+            const effectiveFrameHeight = Math.round(frame.height * (percentage / 100));
+
+            // Calculer le centre original du cadre
+            const originalCenterY = frame.y + frame.height / 2;
+
+            // Calculer la nouvelle position Y pour garder le cadre centré
+            const newFrameY = originalCenterY - effectiveFrameHeight / 2;
+
+            // Mettre à jour les dimensions ET la position du cadre
+            if (p.clipRect) {
+                p.clipRect.set({
+                    top: newFrameY + offset,
+                    height: effectiveFrameHeight
+                });
+            }
+            if (p.frameRect) {
+                p.frameRect.set({
+                    top: newFrameY + offset,
+                    height: effectiveFrameHeight
+                });
+            }
+            if (p.frameBorder) {
+                p.frameBorder.set({
+                    top: newFrameY + offset,
+                    height: effectiveFrameHeight
+                });
+            }
+            // Le fond flou suit le cadre visible.
+            paintBackdrop(p);
+
+            p.canvas.renderAll();
+        }
+
+        function updateUploadZone() {
+            if (state.imageSrc || state.videoFile) {
+                const sizeKB = Math.round(state.imageSize / 1024);
+                const isVideo = state.mediaType === 'video';
+                const icon = isVideo ? '🎬' : '🖼️';
+                const previewSrc = state.imageSrc || ''; // For video, this is the first frame
+                
+                uploadZone.classList.add('has-file');
+                uploadZone.innerHTML = `
+                    <div class="file-preview">
+                        ${previewSrc ? `<img src="${previewSrc}" alt="preview">` : `<div style="width:56px;height:56px;background:#333;border-radius:6px;display:flex;align-items:center;justify-content:center;font-size:24px;">${icon}</div>`}
+                        <div class="file-info">
+                            <div class="file-name">${state.imageName}</div>
+                            <div class="file-size">${sizeKB > 1024 ? (sizeKB/1024).toFixed(1) + ' MB' : sizeKB + ' KB'}${isVideo ? ' • ' + formatTime(state.videoDuration) : ''}</div>
+                        </div>
+                        <button class="remove-file" onclick="removeImage(event)">✕</button>
+                    </div>
+                `;
+            } else {
+                uploadZone.classList.remove('has-file');
+                uploadZone.innerHTML = `
+                    <div class="upload-icon">🖼️</div>
+                    <div class="upload-text"><strong>Clique</strong> ou glisse une image/vidéo</div>
+                `;
+            }
+        }
+
+        window.removeImage = function(e) {
+            e.stopPropagation();
+
+            // Sans média, plus de diapositive à éditer : le carrousel
+            // s'arrête (ses autres diapositives avec lui).
+            if (carousel.active) stopCarousel();
+            
+            // Reset all media state
+            state.mediaType = null;
+            state.imageSrc = null;
+            state.imageName = '';
+            state.imageSize = 0;
+            eachPane(function(p) {
+                p.imageScale = 100;
+                p.imageOffsetX = 0;
+                p.imageOffsetY = 0;
+            });
+
+            resetRedactions();
+
+            // Reset video state
+            state.videoFile = null;
+            state.videoDuration = 0;
+            state.trimStart = 0;
+            state.trimEnd = 0;
+            state.isPlaying = false;
+            
+            // Clean up video source
+            if (videoSource.src) {
+                URL.revokeObjectURL(videoSource.src);
+                videoSource.src = '';
+            }
+            
+            fileInput.value = '';
+
+            eachPane(function(p) {
+                if (p.imageObj) {
+                    p.canvas.remove(p.imageObj);
+                    p.imageObj = null;
+                }
+            });
+
+            // Hide all media-related UI
+            imageScaleSection.style.display = 'none';
+            selectImageBtn.style.display = 'none';
+            timelineContainer.style.display = 'none';
+            mediaTypeBadge.style.display = 'none';
+            
+            updateUploadZone();
+            resetHistory();
+            exportBtn.disabled = true;
+            exportBtn.textContent = '📥 Télécharger le meme';
+            scheduleBtn.disabled = true;
+            if (saveMemeBtn) saveMemeBtn.disabled = true;
+            syncCarouselAvailability();
+            eachPane(function(p) { p.canvas.renderAll(); });
+        };
+
+        // ============================================
+        // TEXT HANDLING
+        // ============================================
+        function updateText(text) {
+            state.text = text;
+            eachPane(function(p) {
+                if (!p.textBox) return;
+                setCaption(p.textBox, resolveTextVariables(paneText(p)));
+                p.textBox.set({ fill: captionColor() });
+                p.canvas.renderAll();
+            });
+            fitAllText();
+        }
+
+        function updateTextSize(size) {
+            state.textSize = size;
+            textSizeValue.textContent = size + 'px';
+            // En mode « Ajuster », la taille est celle de chaque zone.
+            if (state.textAutoFit) {
+                fitAllText();
+                return;
+            }
+            eachPane(function(p) {
+                if (!p.textBox) return;
+                p.textBox.set({ fontSize: paneTextSize(p) });
+                p.canvas.renderAll();
+            });
+        }
+
+        function updateLineHeight(value) {
+            // value est en pourcentage (80-200), on le convertit en ratio (0.8-2.0)
+            const ratio = value / 100;
+            state.lineHeight = ratio;
+            lineHeightValue.textContent = ratio.toFixed(1);
+            eachPane(function(p) {
+                if (!p.textBox) return;
+                p.textBox.set({ lineHeight: paneLineHeight(p) });
+                p.canvas.renderAll();
+            });
+            fitAllText();
+        }
+
+        // ============================================
+        // TEXTE RICHE DE LA LÉGENDE
+        // --------------------------------------------
+        // La légende s'écrit avec un balisage simple, gardé TEL QUEL dans
+        // state.text (donc dans l'historique et les compositions) :
+        //   **gras**   *italique*   ==surligné==   :feu: → 🔥
+        // Chaque balise BASCULE son style — « ***gras italique*** » marche
+        // dans les deux sens ; une balise sans partenaire reste du texte,
+        // et \* \= \: \\ s'écrivent tels quels. parseCaption() en tire le
+        // texte et les styles de caractères de Fabric (par ligne d'origine
+        // et par graphème : un emoji compte pour un). Le bloc reste
+        // éditable sur le canvas — Fabric y tient les styles à jour —,
+        // captionMarkup() refait le balisage depuis le bloc.
+        //
+        // Les légendes envoyées au Viewer et au Calendrier sont le texte
+        // NU (captionText) ; le gabarit PNG de l'export vidéo redessine
+        // les styles (drawCaption).
+        // ============================================
+        // Balises, parseCaption() et captionMarkup() : editor-core.js.
+
+        const captionToolbar = document.getElementById('caption-format');
+        const captionHighlightInput = document.getElementById('caption-highlight');
+
+        /** Pose une légende balisée dans un bloc (le placeholder si elle est vide). */
+        function setCaption(tb, raw) {
+            const caption = parseCaption(raw, state.textHighlight);
+            tb.set({
+                text: caption.text || 'Tape ton texte...',
+                styles: caption.text ? caption.styles : {}
+            });
+        }
+
+        /**
+         * Dessine les lignes du bloc `tb` (retours à la ligne de Fabric
+         * compris) au corps `size`, styles de caractères compris : gras,
+         * italique et surlignage, aux positions mesurées par Fabric.
+         */
+        function drawCaption(ctx, tb, x, y, size, lineHeight) {
+            const k = size / tb.fontSize;
+            tb._textLines.forEach(function(chars, i) {
+                const bounds = tb.__charBounds[i];
+                const top = y + i * lineHeight;
+                // Suites de graphèmes de même style, dessinées d'un trait.
+                const runs = [];
+                chars.forEach(function(ch, j) {
+                    const s = tb.getCompleteStyleDeclaration(i, j);
+                    const key = `${s.fontStyle}|${s.fontWeight}|${s.textBackgroundColor}`;
+                    const right = bounds[j].left + bounds[j].width;
+                    const last = runs[runs.length - 1];
+                    if (last && last.key === key) {
+                        last.text += ch;
+                        last.right = right;
+                    } else {
+                        runs.push({ key, style: s, text: ch, left: bounds[j].left, right });
+                    }
+                });
+                // Les fonds d'abord : un surlignage ne mord pas la lettre voisine.
+                runs.forEach(function(run) {
+                    if (!run.style.textBackgroundColor) return;
+                    ctx.fillStyle = run.style.textBackgroundColor;
+                    ctx.fillRect(x + run.left * k, top, (run.right - run.left) * k, size * tb._fontSizeMult);
+                });
+                ctx.fillStyle = captionColor();
+                runs.forEach(function(run) {
+                    const italic = run.style.fontStyle === 'italic' ? 'italic ' : '';
+                    ctx.font = `${italic}${run.style.fontWeight} ${size}px ${captionFontFamily()}`;
+                    ctx.fillText(run.text, x + run.left * k, top);
+                });
+            });
+        }
+
+        /** Remplace la sélection du champ de légende, puis le relit comme une frappe. */
+        function editCaptionField(before, after) {
+            const field = memeTextInput;
+            const start = field.selectionStart;
+            const end = field.selectionEnd;
+            field.value = field.value.slice(0, start) + before + field.value.slice(start, end) + after + field.value.slice(end);
+            field.focus();
+            field.setSelectionRange(start + before.length, end + before.length);
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+
+        function setupCaptionFormat() {
+            if (!captionToolbar) return;
+            captionToolbar.addEventListener('click', function(e) {
+                const btn = e.target.closest('[data-markup], [data-caption-emoji]');
+                if (!btn) return;
+                const mark = CAPTION_MARKS.find(m => m[1] === btn.dataset.markup);
+                if (mark) editCaptionField(mark[0], mark[0]);
+                else if (CAPTION_EMOJIS[btn.dataset.captionEmoji]) editCaptionField('', CAPTION_EMOJIS[btn.dataset.captionEmoji]);
+            });
+            if (!captionHighlightInput) return;
+            captionHighlightInput.value = state.textHighlight;
+            captionHighlightInput.addEventListener('input', function() {
+                state.textHighlight = captionHighlightInput.value;
+                updateText(state.text);
+            });
+            captionHighlightInput.addEventListener('change', () => commitHistory('Surlignage'));
+        }
+
+        // ============================================
+        // AJUSTEMENT AUTOMATIQUE DU TEXTE
+        // --------------------------------------------
+        // À la main (updateTextSize), une longue légende déborde sous
+        // textArea.maxY, dans le cadre. En mode « Ajuster », chaque plateau
+        // prend la PLUS GRANDE taille du curseur dont le texte tient dans
+        // la zone de texte de SON gabarit (textArea.width de large,
+        // textArea.maxY − textArea.y de haut), puis resserre le bloc au
+        // plus étroit qui garde ce nombre de lignes : des lignes de
+        // longueur voisine, plus de mot orphelin en dernière ligne.
+        // Recalculé à chaque changement de texte, de gabarit ou
+        // d'interligne ; si même la plus petite taille déborde, un
+        // avertissement le dit — une fois, jusqu'à ce que le texte tienne.
+        // ============================================
+        // TEXT_SIZE_MIN, TEXT_SIZE_MAX et fitTextLayout() : editor-core.js.
+
+        const textFitToggle = document.getElementById('text-fit-toggle');
+        const textFitSwitch = document.getElementById('text-fit-switch');
+
+        /** Met le bloc `tb` en page à cette taille et cette largeur. */
+        function layoutText(tb, fontSize, width) {
+            tb.set({ fontSize, width });
+            tb.initDimensions();
+            return tb;
+        }
+
+        /**
+         * Ajuste le texte du plateau à sa zone. Retourne false si même la
+         * plus petite taille déborde — le texte reste alors à cette taille.
+         */
+        function fitTextToArea(p) {
+            const tb = p.textBox;
+            if (!tb) return true;
+            const area = templateOf(p).textArea;
+            tb.set({ scaleX: 1, scaleY: 1 });
+            const fit = fitTextLayout(function(fontSize, width) {
+                layoutText(tb, fontSize, width);
+                return { width: tb.width, height: tb.height, lines: tb._textLines.length };
+            }, area);
+            if (fit) layoutText(tb, fit.fontSize, fit.width);
+            tb.setCoords();
+            return !!fit;
+        }
+
+        /** Ajuste chaque plateau (mode « Ajuster » seulement) et prévient d'un débordement. */
+        function fitAllText() {
+            if (!state.textAutoFit) return;
+            const overflowing = [];
+            eachPane(function(p) {
+                if (!p.textBox) return;
+                const fits = fitTextToArea(p);
+                if (!fits && !p.textOverflow && p.enabled) overflowing.push(p.label);
+                p.textOverflow = !fits;
+                p.canvas.requestRenderAll();
+            });
+            if (overflowing.length) {
+                note(`${overflowing.join(', ')} : même à ${TEXT_SIZE_MIN}px, le texte déborde de sa zone — raccourcis-le.`, 'warning');
+            }
+            syncTextFitControls();
+        }
+
+        /** Active ou coupe l'ajustement ; coupé, la taille du curseur revient. */
+        function setTextAutoFit(on) {
+            state.textAutoFit = on;
+            if (on) {
+                fitAllText();
+                return;
+            }
+            eachPane(function(p) {
+                if (!p.textBox) return;
+                p.textOverflow = false;
+                layoutText(p.textBox, paneTextSize(p), templateOf(p).textArea.width);
+                p.textBox.setCoords();
+                p.canvas.requestRenderAll();
+            });
+            syncTextFitControls();
+        }
+
+        function syncTextFitControls() {
+            if (textFitToggle) textFitToggle.setAttribute('aria-pressed', String(state.textAutoFit));
+            if (textFitSwitch) textFitSwitch.classList.toggle('active', state.textAutoFit);
+            textSizeSlider.disabled = state.textAutoFit;
+            textSizeValue.textContent = state.textAutoFit ? 'Auto' : targetTextSize() + 'px';
+        }
+
+        function setupTextFit() {
+            if (!textFitToggle) return;
+            textFitToggle.addEventListener('click', function() {
+                setTextAutoFit(!state.textAutoFit);
+                commitHistory('Ajustement du texte');
+            });
+            // Mesuré avant le chargement d'Inter, le texte serait mal ajusté.
+            document.fonts.ready.then(fitAllText);
+        }
+
+        // ============================================
+        // TEXTE PAR PLATEAU
+        // --------------------------------------------
+        // La légende (state.text), sa taille et son interligne sont
+        // partagés par les plateaux — mais ce qui tient au-dessus d'un
+        // cadre 4:5 est souvent trop long ailleurs. Chaque plateau à
+        // bandeau peut donc porter sa propre valeur de chacun des trois
+        // (p.textOverride, null = valeur commune) :
+        //   - « Texte pour » choisit ce que pilotent la zone de texte et
+        //     les curseurs : la valeur commune, ou celle d'un plateau —
+        //     toucher un champ en fait alors une valeur propre ;
+        //   - le bouton du plateau et l'en-tête de son canvas le signalent,
+        //     « Revenir au texte commun » efface ses trois valeurs ;
+        //   - l'export vidéo (buildVideoExportParams), le Viewer et le
+        //     Calendrier reçoivent le texte de CHAQUE plateau.
+        // Le plateau TikTok n'a pas de bandeau : son texte est le POV, déjà
+        // propre à lui.
+        // ============================================
+        // TEXT_OVERRIDE_NONE et sanitizeTextOverride() : editor-core.js.
+        const TEXT_OVERRIDE_NAMES = { text: 'texte', size: 'taille', lineHeight: 'interligne' };
+
+        const textPaneGroup = document.getElementById('text-pane-group');
+        const textOverrideReadout = document.getElementById('text-override-readout');
+        const textOverrideReset = document.getElementById('text-override-reset');
+
+        let textTarget = 'all';     // 'all' | clé de plateau
+
+        function paneText(p) {
+            return p.textOverride.text !== null ? p.textOverride.text : state.text;
+        }
+
+        function paneTextSize(p) {
+            return p.textOverride.size !== null ? p.textOverride.size : parseInt(state.textSize);
+        }
+
+        function paneLineHeight(p) {
+            return p.textOverride.lineHeight !== null ? p.textOverride.lineHeight : state.lineHeight;
+        }
+
+        function hasTextOverride(p) {
+            return Object.keys(TEXT_OVERRIDE_NONE).some(k => p.textOverride[k] !== null);
+        }
+
+        /** Plateau dont les champs pilotent le texte (null = valeur commune). */
+        function textTargetPane() {
+            const p = panes[textTarget];
+            return p && !isFullBleed(p) ? p : null;
+        }
+
+        function targetTextSize() {
+            const p = textTargetPane();
+            return p ? paneTextSize(p) : parseInt(state.textSize);
+        }
+
+        /** Remet le bloc de texte du plateau à ses valeurs (propres ou communes). */
+        function applyPaneText(p) {
+            if (!p.textBox) return;
+            setCaption(p.textBox, resolveTextVariables(paneText(p)));
+            p.textBox.set({
+                fontSize: paneTextSize(p),
+                lineHeight: paneLineHeight(p)
+            });
+            p.canvas.renderAll();
+        }
+
+        /** Fixe (ou efface, `value` null) une valeur propre du plateau. */
+        function setTextOverride(p, field, value) {
+            // Objet neuf : l'historique garde une référence à l'ancien.
+            p.textOverride = Object.assign({}, p.textOverride, { [field]: value });
+            applyPaneText(p);
+            fitAllText();
+            syncTextOverrideControls();
+        }
+
+        /** Les champs montrent les valeurs de la cible ; boutons et en-têtes signalent les valeurs propres. */
+        function syncTextTargetControls() {
+            const p = textTargetPane();
+            memeTextInput.value = p ? paneText(p) : state.text;
+            textSizeSlider.value = targetTextSize();
+            const ratio = p ? paneLineHeight(p) : state.lineHeight;
+            lineHeightSlider.value = Math.round(ratio * 100);
+            lineHeightValue.textContent = ratio.toFixed(1);
+            syncTextFitControls();
+            syncTextOverrideControls();
+        }
+
+        function syncTextOverrideControls() {
+            eachPane(function(p) {
+                const own = hasTextOverride(p);
+                const btn = textPaneGroup && textPaneGroup.querySelector(`[data-textpane="${p.key}"]`);
+                if (btn) btn.classList.toggle('has-override', own);
+                const badge = document.getElementById('override-' + p.key);
+                if (badge) badge.hidden = !own;
+            });
+            const p = textTargetPane();
+            if (textOverrideReset) textOverrideReset.hidden = !p || !hasTextOverride(p);
+            if (!textOverrideReadout) return;
+            if (!p) {
+                textOverrideReadout.textContent = 'Valeur commune à tous les plateaux, sauf leurs valeurs propres.';
+                return;
+            }
+            const own = Object.keys(TEXT_OVERRIDE_NAMES).filter(k => p.textOverride[k] !== null);
+            textOverrideReadout.textContent = own.length
+                ? `${p.label} : ${own.map(k => TEXT_OVERRIDE_NAMES[k]).join(', ')} propre${own.length > 1 ? 's' : ''} — le reste suit la valeur commune.`
+                : `${p.label} suit la valeur commune : modifier un champ lui en donne une propre.`;
+        }
+
+        function selectTextTarget(key) {
+            textTarget = key;
+            if (textPaneGroup) {
+                textPaneGroup.querySelectorAll('.seg__btn').forEach(function(b) {
+                    const active = b.dataset.textpane === key;
+                    b.classList.toggle('active', active);
+                    b.setAttribute('aria-pressed', String(active));
+                });
+            }
+            syncTextTargetControls();
+        }
+
+        function setupTextOverrides() {
+            if (!textPaneGroup) return;
+            textPaneGroup.addEventListener('click', function(e) {
+                const btn = e.target.closest('.seg__btn');
+                if (btn) selectTextTarget(btn.dataset.textpane);
+            });
+            if (textOverrideReset) {
+                textOverrideReset.addEventListener('click', function() {
+                    const p = textTargetPane();
+                    if (!p) return;
+                    p.textOverride = Object.assign({}, TEXT_OVERRIDE_NONE);
+                    applyPaneText(p);
+                    fitAllText();
+                    syncTextTargetControls();
+                    commitHistory('Texte commun');
+                });
+            }
+            syncTextOverrideControls();
+        }
+
+        // ============================================
+        // OVERLAY TEXT
+        // ============================================
+        function toggleOverlay() {
+            state.showOverlay = !state.showOverlay;
+            overlaySwitch.classList.toggle('active', state.showOverlay);
+            overlayTextInput.style.display = state.showOverlay ? 'block' : 'none';
+
+            eachPane(function(p) {
+                if (state.showOverlay && state.overlayText) {
+                    addOverlayText(p);
+                } else if (p.overlayTextObj) {
+                    p.canvas.remove(p.overlayTextObj);
+                    p.overlayTextObj = null;
+                }
+                p.canvas.renderAll();
+            });
+        }
+
+        /** `text` : texte affiché à la place de l'overlay fixe (textes minutés). */
+        function addOverlayText(p, text) {
+            if (p.overlayTextObj) {
+                p.canvas.remove(p.overlayTextObj);
+            }
+
+            const template = templateOf(p);
+            const frame = template.frame;
+            const offset = CANVAS_PADDING;
+
+            const shown = text === undefined ? resolveTextVariables(state.overlayText) : text;
+            p.overlayTextObj = new fabric.Text(shown.toUpperCase(), {
+                left: frame.x + frame.width / 2 + offset,
+                top: frame.y + frame.height - 60 + offset,
+                fontSize: template.width * 0.055,
+                fontFamily: 'Impact, Haettenschweiler, sans-serif',
+                fontWeight: '900',
+                fill: '#ffffff',
+                stroke: '#000000',
+                strokeWidth: template.width * 0.006,
+                textAlign: 'center',
+                originX: 'center',
+                originY: 'bottom',
+                hasControls: true,
+                cornerSize: 16,
+                hoverCursor: 'move',
+                moveCursor: 'move'
+            });
+
+            p.canvas.add(p.overlayTextObj);
+            p.canvas.bringToFront(p.overlayTextObj);
+            p.canvas.bringToFront(p.watermark);
+            p.canvas.renderAll();
+        }
+
+        function addOverlayTextToAllPanes() {
+            eachPane(function(p) { addOverlayText(p); });
+        }
+
+        function updateOverlayText(text) {
+            state.overlayText = text;
+            eachPane(function(p) {
+                if (state.showOverlay && text) {
+                    addOverlayText(p);
+                } else if (p.overlayTextObj && !text) {
+                    p.canvas.remove(p.overlayTextObj);
+                    p.overlayTextObj = null;
+                    p.canvas.renderAll();
+                }
+            });
+        }
+
+
+        // ============================================
+        // GOOGLE DRIVE PICKER
+        // ============================================
+        // Google API Config - Replace with your credentials
+        const GOOGLE_API_KEY = localStorage.getItem('samourais_google_api_key') || '';
+        const GOOGLE_CLIENT_ID = localStorage.getItem('samourais_google_client_id') || '';
+        const GOOGLE_APP_ID = '';
+        let pickerApiLoaded = false;
+        let oauthToken = null;
+
+        function openGoogleDrivePicker() {
+            if (!GOOGLE_API_KEY || !GOOGLE_CLIENT_ID) {
+                showDriveConfigModal();
+                return;
+            }
+            
+            // Show loading
+            driveConnect.style.display = 'none';
+            driveLoading.style.display = 'flex';
+            
+            // Load the Google API
+            gapi.load('auth2', () => {
+                gapi.load('picker', () => {
+                    pickerApiLoaded = true;
+                    authenticateAndShowPicker();
+                });
+            });
+        }
+
+        function authenticateAndShowPicker() {
+            gapi.auth2.authorize({
+                client_id: GOOGLE_CLIENT_ID,
+                scope: 'https://www.googleapis.com/auth/drive.readonly',
+                immediate: false
+            }, (authResult) => {
+                if (authResult && !authResult.error) {
+                    oauthToken = authResult.access_token;
+                    createPicker();
+                } else {
+                    driveLoading.style.display = 'none';
+                    driveConnect.style.display = 'block';
+                    console.error('Auth error:', authResult?.error);
+                    note('Connexion à Google Drive impossible. Vérifie les identifiants dans les Réglages, puis réessaie.', 'error');
+                }
+            });
+        }
+
+        function createPicker() {
+            if (pickerApiLoaded && oauthToken) {
+                const view = new google.picker.DocsView()
+                    .setIncludeFolders(true)
+                    .setMimeTypes('image/png,image/jpeg,image/gif,image/webp,video/mp4,video/quicktime,video/webm')
+                    .setSelectFolderEnabled(false);
+                
+                const picker = new google.picker.PickerBuilder()
+                    .setAppId(GOOGLE_APP_ID)
+                    .setOAuthToken(oauthToken)
+                    .addView(view)
+                    .addView(new google.picker.DocsView().setIncludeFolders(true).setSelectFolderEnabled(true))
+                    .setDeveloperKey(GOOGLE_API_KEY)
+                    .setCallback(pickerCallback)
+                    .setTitle('Sélectionne une image ou vidéo')
+                    .setLocale('fr')
+                    .build();
+                
+                picker.setVisible(true);
+                
+                // Hide loading
+                driveLoading.style.display = 'none';
+                driveConnect.style.display = 'block';
+            }
+        }
+
+        function pickerCallback(data) {
+            if (data.action === google.picker.Action.PICKED) {
+                const file = data.docs[0];
+                loadFromDrive(file);
+            }
+        }
+
+        async function loadFromDrive(file) {
+            driveConnect.style.display = 'none';
+            driveLoading.style.display = 'flex';
+            driveLoading.querySelector('span').textContent = 'Chargement de ' + file.name + '...';
+            
+            try {
+                // Fetch the file content
+                const response = await fetch(`https://www.googleapis.com/drive/v3/files/${file.id}?alt=media`, {
+                    headers: {
+                        'Authorization': 'Bearer ' + oauthToken
+                    }
+                });
+                
+                const blob = await response.blob();
+                const blobFile = new File([blob], file.name, { type: file.mimeType });
+                
+                // Switch back to local tab to show preview
+                importTabs.forEach(t => t.classList.remove('active'));
+                document.querySelector('.import-tab[data-source="local"]').classList.add('active');
+                uploadZone.style.display = 'block';
+                driveZone.style.display = 'none';
+                
+                // Load the file
+                loadMedia(blobFile);
+                
+            } catch (error) {
+                console.error('Error loading from Drive:', error);
+                note('Le fichier n\u2019a pas pu être chargé depuis Google Drive. Réessaie ; si l\u2019erreur persiste, reconnecte le compte dans les Réglages.', 'error');
+                driveLoading.style.display = 'none';
+                driveConnect.style.display = 'block';
+            }
+        }
+
+        function showDriveConfigModal() {
+            const modal = document.createElement('div');
+            modal.id = 'drive-config-modal';
+            modal.innerHTML = `
+                <div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center; z-index: 10000;">
+                    <div style="background: #1a1a1a; border-radius: 16px; padding: 24px; max-width: 450px; width: 90%;">
+                        <h3 style="margin-bottom: 16px; font-size: 18px;">⚙️ Configuration Google Drive</h3>
+                        <p style="color: #888; font-size: 13px; margin-bottom: 16px;">
+                            Pour utiliser Google Drive, tu dois d'abord configurer tes identifiants Google Cloud.
+                            <a href="https://console.cloud.google.com/" target="_blank" style="color: #ef4444;">Créer un projet</a>
+                        </p>
+                        <div style="margin-bottom: 12px;">
+                            <label style="display: block; font-size: 12px; color: #888; margin-bottom: 6px;">API Key</label>
+                            <input type="text" id="drive-api-key" placeholder="AIza..." 
+                                   style="width: 100%; padding: 12px; background: #111; border: 2px solid #333; border-radius: 8px; color: #fff; font-size: 14px;">
+                        </div>
+                        <div style="margin-bottom: 16px;">
+                            <label style="display: block; font-size: 12px; color: #888; margin-bottom: 6px;">Client ID</label>
+                            <input type="text" id="drive-client-id" placeholder="xxxxx.apps.googleusercontent.com" 
+                                   style="width: 100%; padding: 12px; background: #111; border: 2px solid #333; border-radius: 8px; color: #fff; font-size: 14px;">
+                        </div>
+                        <div style="display: flex; gap: 12px;">
+                            <button onclick="document.getElementById('drive-config-modal').remove()" 
+                                    style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer;">
+                                Annuler
+                            </button>
+                            <button onclick="saveDriveConfig()" 
+                                    style="flex: 1; padding: 12px; background: #1a73e8; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-weight: 600;">
+                                Sauvegarder
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+        }
+
+        window.saveDriveConfig = function() {
+            const apiKey = document.getElementById('drive-api-key').value.trim();
+            const clientId = document.getElementById('drive-client-id').value.trim();
+            
+            if (apiKey && clientId) {
+                localStorage.setItem('samourais_google_api_key', apiKey);
+                localStorage.setItem('samourais_google_client_id', clientId);
+                document.getElementById('drive-config-modal').remove();
+                
+                // Reload to apply
+                location.reload();
+            } else {
+                note('Les deux champs sont obligatoires.', 'warning');
+            }
+        };
+
+        // ============================================
+        // RETOUCHE IMAGE (LOT C)
+        // --------------------------------------------
+        // Recadrage au ratio, rotation, retournement et réglages de base.
+        // Tout passe par Fabric : cropX/cropY/width/height pour le
+        // recadrage (le fichier source n'est jamais réécrit), `angle`
+        // pour la rotation, flipX/flipY pour le miroir, et les filtres
+        // intégrés Brightness / Contrast / Saturation pour les réglages.
+        //
+        // Conséquence voulue : ZÉRO aller-retour serveur. Pas d'upload,
+        // pas de fichier temporaire à nettoyer, pas de worker bloqué, et
+        // aucun échec qui pourrait disparaître sans que l'utilisateur le
+        // voie — le seul échec possible (filtre WebGL) est capturé et
+        // remonté par `note()`.
+        // ============================================
+
+        // Ratios proposés, en largeur/hauteur.
+        const CROP_RATIOS = {
+            '1': 1, '0.8': 0.8, '0.5625': 0.5625, '1.7777778': 16 / 9
+        };
+
+        /**
+         * Recadre l'objet Fabric au ratio demandé, centré sur la source.
+         * `ratio` null remet l'image entière. Les dimensions naturelles
+         * sont mémorisées sur l'objet (_natW/_natH) au premier ajout :
+         * width/height sont ensuite la FENÊTRE de recadrage, pas la source.
+         */
+        function applyCropToImage(img, ratio) {
+            const natW = img._natW || img.width;
+            const natH = img._natH || img.height;
+
+            if (!ratio || !isFinite(ratio) || ratio <= 0) {
+                img.set({ cropX: 0, cropY: 0, width: natW, height: natH });
+                return;
+            }
+
+            let cw, ch;
+            if (natW / natH > ratio) {
+                ch = natH;
+                cw = Math.round(natH * ratio);
+            } else {
+                cw = natW;
+                ch = Math.round(natW / ratio);
+            }
+            cw = Math.max(1, Math.min(natW, cw));
+            ch = Math.max(1, Math.min(natH, ch));
+
+            img.set({
+                cropX: Math.round((natW - cw) / 2),
+                cropY: Math.round((natH - ch) / 2),
+                width: cw,
+                height: ch
+            });
+        }
+
+        /**
+         * Recalcule l'échelle de couverture du cadre et repositionne
+         * l'image après un recadrage ou une rotation. Une rotation de
+         * 90°/270° échange largeur et hauteur : sans ça l'image cesse de
+         * couvrir le cadre et laisse apparaître le fond gris.
+         */
+        function reapplyImageTransforms() {
+            eachPane(function(p) {
+                if (!p.imageObj) return;
+
+                const template = templateOf(p);
+                const frame = template.frame;
+                const offset = CANVAS_PADDING;
+
+                applyCropToImage(p.imageObj, state.cropRatio);
+
+                const quarterTurn = (state.rotation % 180) !== 0;
+                const srcW = quarterTurn ? p.imageObj.height : p.imageObj.width;
+                const srcH = quarterTurn ? p.imageObj.width : p.imageObj.height;
+
+                const baseScale = fitScale(p, srcW, srcH);
+                p.imageObj._baseScale = baseScale;
+
+                const finalScale = baseScale * (p.imageScale / 100);
+                const centerX = frame.x + frame.width / 2 + offset;
+                const centerY = frame.y + frame.height / 2 + offset;
+
+                p.imageObj.set({
+                    angle: state.rotation,
+                    flipX: state.flipX,
+                    flipY: state.flipY,
+                    scaleX: finalScale,
+                    scaleY: finalScale,
+                    left: centerX + p.imageOffsetX,
+                    top: centerY + p.imageOffsetY
+                });
+                p.imageObj.setCoords();
+                paintBackdrop(p);
+                p.canvas.requestRenderAll();
+            });
+            updateImageEditReadouts();
+        }
+
+        // Les filtres sont recalculés sur toute l'image : sur un slider
+        // qui émet à chaque pixel de course, on ne garde que la dernière
+        // valeur de chaque frame.
+        let filterFrame = null;
+
+        function applyImageFiltersNow() {
+            filterFrame = null;
+            let filterFailureNoted = false;
+
+            syncFilterBackend();
+            eachPane(function(p) {
+                if (!p.imageObj) return;
+
+                p.imageObj.filters = gradeFilters();
+                try {
+                    p.imageObj.applyFilters();
+                } catch (err) {
+                    // Un échec de filtre est VISIBLE : on revient à l'image
+                    // nue et on le dit, au lieu de laisser un canvas figé
+                    // sans explication. Un seul message pour tous les plateaux.
+                    console.error('[editor] application des filtres impossible', err);
+                    if (!filterFailureNoted) {
+                        filterFailureNoted = true;
+                        note('Les réglages n’ont pas pu être appliqués à cette image. L’image d’origine est conservée.', 'error');
+                    }
+                    p.imageObj.filters = [];
+                    try { p.imageObj.applyFilters(); } catch (e) { /* déjà signalé */ }
+                }
+                // Le fond flou est tiré du média étalonné.
+                paintBackdrop(p);
+                p.canvas.requestRenderAll();
+            });
+        }
+
+        function applyImageFilters() {
+            if (!anyImageObj()) return;
+            if (filterFrame) cancelAnimationFrame(filterFrame);
+            filterFrame = requestAnimationFrame(applyImageFiltersNow);
+        }
+
+        /**
+         * Applique SANS ATTENDRE les réglages encore en file d'attente.
+         *
+         * Indispensable avant tout rendu : requestAnimationFrame ne
+         * garantit rien sur une frame donnée (et n'est même pas servi
+         * quand l'onglet est en arrière-plan). Sans ce vidage, une image
+         * exportée juste après un mouvement de slider partait SANS le
+         * réglage que l'utilisateur venait de voir à l'écran — un écart
+         * silencieux entre l'aperçu et le fichier produit.
+         */
+        function flushImageFilters() {
+            if (filterFrame === null) return;
+            cancelAnimationFrame(filterFrame);
+            applyImageFiltersNow();
+        }
+
+        /** Dimensions annoncées : source, fenêtre de recadrage, rotation.
+            La SOURCE est la même pour tous les plateaux : on lit le premier
+            objet image disponible. */
+        function updateImageEditReadouts() {
+            if (!cropReadout || !orientReadout) return;
+
+            const imageObj = anyImageObj();
+            if (!imageObj) {
+                cropReadout.textContent = 'Source : —';
+                orientReadout.innerHTML = 'Rotation : <strong>0°</strong>';
+                return;
+            }
+
+            const natW = imageObj._natW || imageObj.width;
+            const natH = imageObj._natH || imageObj.height;
+            const cw = Math.round(imageObj.width);
+            const ch = Math.round(imageObj.height);
+
+            cropReadout.textContent = (cw === natW && ch === natH)
+                ? `Source : ${natW}×${natH} px — image entière`
+                : `Source : ${natW}×${natH} px — recadrée à ${cw}×${ch} px`;
+
+            const mirrors = [];
+            if (state.flipX) mirrors.push('miroir horizontal');
+            if (state.flipY) mirrors.push('miroir vertical');
+            orientReadout.innerHTML = `Rotation : <strong>${state.rotation}°</strong>`
+                + (mirrors.length ? ' — ' + mirrors.join(', ') : '');
+        }
+
+        /** Remet les boutons/sliders de retouche en accord avec `state`. */
+        function syncImageEditControls() {
+            if (cropGroup) {
+                const key = state.cropRatio === null ? 'free' : String(state.cropRatio);
+                cropGroup.querySelectorAll('.seg__btn').forEach(btn => {
+                    btn.classList.toggle('active', btn.dataset.ratio === key);
+                });
+            }
+            if (flipHBtn) flipHBtn.setAttribute('aria-pressed', String(state.flipX));
+            if (flipVBtn) flipVBtn.setAttribute('aria-pressed', String(state.flipY));
+            syncGradeControls();
+            updateImageEditReadouts();
+        }
+
+        /** Remet la retouche à zéro (sans recharger l'image). */
+        function resetImageEdits(silent) {
+            Object.assign(state, IMAGE_EDIT_DEFAULTS);
+            syncImageEditControls();
+            if (anyImageObj()) {
+                reapplyImageTransforms();
+                applyImageFilters();
+            }
+            if (!silent) note('Retouche annulée : recadrage, rotation et réglages remis à zéro.', 'success');
+        }
+
+        // ============================================
+        // ÉTALONNAGE — RÉGLAGES, LUT ET LOOKS
+        // --------------------------------------------
+        // Teinte, chaleur, netteté, vignette, grain et LUT 3D (.cube)
+        // s'ajoutent à la luminosité, au contraste et à la saturation. Un
+        // seul étalonnage, le même sur tous les plateaux, pour une image
+        // comme pour une vidéo :
+        //   - à l'écran et à l'export image, ce sont des filtres Fabric sur
+        //     l'objet média (gradeFilters), plus la vignette, peinte
+        //     par-dessus comme les zones floutées (drawVignette) ;
+        //   - pour une vidéo, params.grade et le fichier `lut` partent au
+        //     serveur et FFmpeg refait la même chaîne avec les mêmes
+        //     formules (grade_filters dans app/editor/processing.py).
+        // La LUT n'a pas de filtre WebGL : tant qu'elle est active, Fabric
+        // passe au rendu 2D (syncFilterBackend). Les looks — réglages
+        // nommés, LUT comprise — sont gardés dans le navigateur.
+        // ============================================
+        // GRADE_RANGES, constantes du serveur, matrices et LUT : editor-core.js.
+        const GRADE_LABELS = {
+            brightness: 'Luminosité', contrast: 'Contraste', saturation: 'Saturation',
+            hue: 'Teinte', warmth: 'Chaleur', sharpen: 'Netteté', vignette: 'Vignette', grain: 'Grain'
+        };
+        const LUT_MAX_BYTES = 8 * 1024 * 1024;
+        const LOOKS_STORAGE_KEY = 'samourais_editor_looks';
+        const LOOKS_MAX = 30;
+
+        // Looks fournis : de simples réglages, sans LUT.
+        const BUILTIN_LOOKS = [
+            { name: 'Chaud', grade: { warmth: 40, saturation: 10 } },
+            { name: 'Froid', grade: { warmth: -40, contrast: 5 } },
+            { name: 'Vintage', grade: { contrast: -10, saturation: -30, warmth: 25, vignette: 45, grain: 30 } },
+            { name: 'N&B', grade: { saturation: -100, contrast: 20 } },
+            { name: 'Punchy', grade: { contrast: 25, saturation: 30, sharpen: 35 } }
+        ];
+
+        const gradeGroup = document.getElementById('grade-group');
+        const gradeResetBtn = document.getElementById('grade-reset');
+        const lutInput = document.getElementById('lut-input');
+        const lutLoadBtn = document.getElementById('lut-load');
+        const lutRemoveBtn = document.getElementById('lut-remove');
+        const lutReadout = document.getElementById('lut-readout');
+        const lookList = document.getElementById('look-list');
+        const lookNameInput = document.getElementById('look-name');
+        const lookSaveBtn = document.getElementById('look-save');
+
+        // LUT chargées pendant la session, par identifiant : state.lut (et
+        // donc l'historique) ne garde que l'identifiant, pas le cube.
+        const lutLibrary = new Map();
+
+        function lutOf(id) {
+            return (id && lutLibrary.get(id)) || null;
+        }
+
+        /**
+         * Filtres Fabric de l'étalonnage courant, dans l'ordre de
+         * grade_filters() côté serveur. La vignette n'en est pas : elle
+         * est peinte par-dessus le média (drawVignette).
+         */
+        function gradeFilters() {
+            const filters = [];
+            if (state.brightness) {
+                filters.push(new fabric.Image.filters.Brightness({ brightness: state.brightness / 100 }));
+            }
+            if (state.contrast) {
+                filters.push(new fabric.Image.filters.Contrast({ contrast: state.contrast / 100 }));
+            }
+            gradeMatrices(state).forEach(function(m) {
+                filters.push(new fabric.Image.filters.ColorMatrix({
+                    colorsOnly: true,
+                    matrix: [
+                        m[0][0], m[0][1], m[0][2], 0, 0,
+                        m[1][0], m[1][1], m[1][2], 0, 0,
+                        m[2][0], m[2][1], m[2][2], 0, 0,
+                        0, 0, 0, 1, 0
+                    ]
+                }));
+            });
+            const lut = lutOf(state.lut);
+            if (lut) filters.push(new CubeLutFilter({ lut: lut }));
+            if (state.sharpen) {
+                const a = Math.round(state.sharpen / 2) / 100;
+                filters.push(new fabric.Image.filters.Convolute({
+                    matrix: [0, -a, 0, -a, 1 + 4 * a, -a, 0, -a, 0]
+                }));
+            }
+            if (state.grain) {
+                filters.push(new fabric.Image.filters.Noise({
+                    noise: 2 * Math.round(state.grain / 100 * GRADE_GRAIN_AMPLITUDE)
+                }));
+            }
+            return filters;
+        }
+
+        /** Position de chaque niveau 0..255 sur un axe du cube : case basse et fraction. */
+        function lutAxis(size, min, max) {
+            const lo = new Int32Array(256);
+            const frac = new Float32Array(256);
+            for (let v = 0; v < 256; v++) {
+                const x = Math.min(1, Math.max(0, (v / 255 - min) / (max - min)));
+                const pos = x * (size - 1);
+                lo[v] = Math.min(Math.floor(pos), size - 2);
+                frac[v] = pos - lo[v];
+            }
+            return { lo, frac };
+        }
+
+        // LUT 3D, interpolation trilinéaire comme lut3d côté FFmpeg. Rendu
+        // 2D seulement : voir syncFilterBackend().
+        const CubeLutFilter = fabric.util.createClass(fabric.Image.filters.BaseFilter, {
+            type: 'CubeLut',
+            lut: null,
+
+            isNeutralState: function() {
+                return !this.lut;
+            },
+
+            applyTo2d: function(options) {
+                const lut = this.lut;
+                const n = lut.size;
+                const t = lut.table;
+                const [ar, ag, ab] = [0, 1, 2].map(c => lutAxis(n, lut.min[c], lut.max[c]));
+                const sg = n * 3;
+                const sb = n * n * 3;
+                const data = options.imageData.data;
+                const out = [0, 0, 0];
+                for (let i = 0; i < data.length; i += 4) {
+                    const fr = ar.frac[data[i]], fg = ag.frac[data[i + 1]], fb = ab.frac[data[i + 2]];
+                    const base = ((ab.lo[data[i + 2]] * n + ag.lo[data[i + 1]]) * n + ar.lo[data[i]]) * 3;
+                    for (let c = 0; c < 3; c++) {
+                        const o = base + c;
+                        const c00 = t[o] + (t[o + 3] - t[o]) * fr;
+                        const c10 = t[o + sg] + (t[o + sg + 3] - t[o + sg]) * fr;
+                        const c01 = t[o + sb] + (t[o + sb + 3] - t[o + sb]) * fr;
+                        const c11 = t[o + sb + sg] + (t[o + sb + sg + 3] - t[o + sb + sg]) * fr;
+                        const c0 = c00 + (c10 - c00) * fg;
+                        const c1 = c01 + (c11 - c01) * fg;
+                        out[c] = (c0 + (c1 - c0) * fb) * 255;
+                    }
+                    data[i] = out[0];
+                    data[i + 1] = out[1];
+                    data[i + 2] = out[2];
+                }
+            }
+        });
+
+        // Rendu des filtres d'avant le passage en 2D, rendu au retrait de la LUT.
+        let filterBackendSwapped = false;
+        let previousFilterBackend = null;
+        let canvas2dFilterBackend = null;
+
+        /**
+         * Le rendu WebGL de Fabric ignore un filtre sans shader : tant qu'une
+         * LUT est active, TOUS les filtres passent par le rendu 2D. Le choix
+         * est global et durable — la lecture vidéo refiltre chaque frame.
+         */
+        function syncFilterBackend() {
+            const needs2d = !!lutOf(state.lut);
+            if (needs2d && !filterBackendSwapped) {
+                previousFilterBackend = fabric.filterBackend || null;
+                canvas2dFilterBackend = canvas2dFilterBackend || new fabric.Canvas2dFilterBackend();
+                fabric.filterBackend = canvas2dFilterBackend;
+                filterBackendSwapped = true;
+            } else if (!needs2d && filterBackendSwapped) {
+                // null : Fabric refait son choix au prochain filtrage.
+                fabric.filterBackend = previousFilterBackend;
+                previousFilterBackend = null;
+                filterBackendSwapped = false;
+            }
+        }
+
+        /** Ajoute une LUT à la bibliothèque ; un même fichier garde le même identifiant. */
+        function registerLut(name, text) {
+            let hash = 5381;
+            for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+            const id = `lut-${hash.toString(36)}-${text.length}`;
+            if (!lutLibrary.has(id)) {
+                lutLibrary.set(id, Object.assign(parseCubeLut(text), { name, text }));
+            }
+            return id;
+        }
+
+        /**
+         * Vignette sur l'objet média `img`, dans son propre repère : centrée
+         * sur la source ENTIÈRE, assombrie en cos⁴ de la distance rapportée à
+         * la demi-diagonale — le filtre vignette de FFmpeg.
+         */
+        function drawVignette(ctx, img) {
+            const natW = img._natW || img.width;
+            const natH = img._natH || img.height;
+            const cx = natW / 2 - (img.cropX || 0) - img.width / 2;
+            const cy = natH / 2 - (img.cropY || 0) - img.height / 2;
+            const radius = Math.hypot(natW, natH) / 2;
+            const angle = state.vignette / 100 * Math.PI / 2;
+            const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+            for (let i = 0; i <= 16; i++) {
+                const t = i / 16;
+                const c = Math.cos(angle * t);
+                gradient.addColorStop(t, `rgba(0, 0, 0, ${(1 - c * c * c * c).toFixed(4)})`);
+            }
+            ctx.save();
+            ctx.fillStyle = gradient;
+            ctx.fillRect(-img.width / 2, -img.height / 2, img.width, img.height);
+            ctx.restore();
+        }
+
+        /** Export vidéo : les réglages non nuls et la présence d'une LUT, ou null. */
+        function gradeExportParam() {
+            return gradeExportOf(state, !!lutOf(state.lut));
+        }
+
+        /** Joint la LUT au formulaire d'export si les réglages l'annoncent. */
+        function appendLutFile(formData, params) {
+            const lut = lutOf(state.lut);
+            if (params.grade && params.grade.lut && lut) {
+                formData.append('lut', new Blob([lut.text], { type: 'text/plain' }), 'etalonnage.cube');
+            }
+        }
+
+        /** Remet sliders, LUT et looks en accord avec `state`. */
+        function syncGradeControls() {
+            Object.keys(GRADE_RANGES).forEach(function(key) {
+                const slider = document.getElementById(`adj-${key}`);
+                const value = document.getElementById(`adj-${key}-value`);
+                if (slider) slider.value = state[key];
+                if (value) value.textContent = key === 'hue' ? `${state[key]}°` : state[key];
+            });
+            const lut = lutOf(state.lut);
+            if (lutReadout) {
+                lutReadout.textContent = lut ? `LUT : ${lut.name} (${lut.size}³)` : 'Aucune LUT';
+            }
+            if (lutRemoveBtn) lutRemoveBtn.hidden = !lut;
+        }
+
+        /** Applique un réglage complet : neutre, puis `grade`, puis la LUT éventuelle. */
+        function applyGrade(grade, lutId, label) {
+            Object.assign(state, GRADE_DEFAULTS, sanitizeGrade(grade), { lut: lutId || null });
+            syncGradeControls();
+            applyImageFilters();
+            commitHistory(label);
+        }
+
+        // ---- Looks ----
+
+        /** Looks enregistrés, relus et filtrés : le stockage a pu être modifié à la main. */
+        function savedLooks() {
+            let looks;
+            try {
+                looks = JSON.parse(localStorage.getItem(LOOKS_STORAGE_KEY) || '[]');
+            } catch (e) {
+                return [];
+            }
+            if (!Array.isArray(looks)) return [];
+            return looks.filter(function(look) {
+                return look && typeof look.name === 'string' && look.name.trim()
+                    && look.grade && typeof look.grade === 'object'
+                    && (!look.lut || (typeof look.lut.name === 'string' && typeof look.lut.text === 'string'));
+            }).slice(0, LOOKS_MAX);
+        }
+
+        function storeLooks(looks) {
+            localStorage.setItem(LOOKS_STORAGE_KEY, JSON.stringify(looks));
+        }
+
+        function applyLook(look) {
+            let lutId = null;
+            if (look.lut) {
+                try {
+                    lutId = registerLut(look.lut.name, look.lut.text);
+                } catch (err) {
+                    note(`Look « ${look.name} » : ${err.message} Réglages appliqués sans LUT.`, 'warning');
+                }
+            }
+            applyGrade(look.grade, lutId, `Look « ${look.name} »`);
+        }
+
+        /** Enregistre l'étalonnage courant sous `name` ; un même nom est remplacé. */
+        function saveLook(name) {
+            name = name.trim();
+            if (!name) {
+                note('Donne un nom au look avant de l’enregistrer.', 'warning');
+                return;
+            }
+            const others = savedLooks().filter(look => look.name !== name);
+            if (others.length >= LOOKS_MAX) {
+                note(`${LOOKS_MAX} looks au plus : supprime-en un d’abord.`, 'warning');
+                return;
+            }
+            const lut = lutOf(state.lut);
+            const look = { name, grade: sanitizeGrade(state), lut: lut ? { name: lut.name, text: lut.text } : null };
+            try {
+                storeLooks(others.concat([look]));
+            } catch (err) {
+                // Quota du navigateur : une grosse LUT ne tient pas toujours.
+                note('Look non enregistré : le stockage du navigateur est plein.', 'error');
+                return;
+            }
+            renderLookList();
+            note(`Look « ${name} » enregistré.`, 'success');
+        }
+
+        function deleteLook(name) {
+            storeLooks(savedLooks().filter(look => look.name !== name));
+            renderLookList();
+        }
+
+        function renderLookList() {
+            if (!lookList) return;
+            lookList.innerHTML = '';
+            BUILTIN_LOOKS.forEach(function(look, i) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'look-chip';
+                btn.dataset.builtin = String(i);
+                btn.textContent = look.name;
+                lookList.appendChild(btn);
+            });
+            savedLooks().forEach(function(look) {
+                const chip = document.createElement('span');
+                chip.className = 'look-chip look-chip--saved';
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.dataset.look = look.name;
+                btn.textContent = look.name + (look.lut ? ' · LUT' : '');
+                const del = document.createElement('button');
+                del.type = 'button';
+                del.className = 'look-chip__delete';
+                del.dataset.lookdelete = look.name;
+                del.setAttribute('aria-label', `Supprimer le look « ${look.name} »`);
+                del.textContent = '×';
+                chip.append(btn, del);
+                lookList.appendChild(chip);
+            });
+        }
+
+        function setupGrade() {
+            if (!gradeGroup) return;
+
+            Object.keys(GRADE_RANGES).forEach(function(key) {
+                const slider = document.getElementById(`adj-${key}`);
+                if (!slider) return;
+                slider.addEventListener('input', function(e) {
+                    state[key] = parseInt(e.target.value, 10);
+                    syncGradeControls();
+                    applyImageFilters();
+                });
+                slider.addEventListener('change', () => commitHistory(GRADE_LABELS[key]));
+            });
+
+            if (gradeResetBtn) {
+                gradeResetBtn.addEventListener('click', function() {
+                    applyGrade({}, null, 'Étalonnage remis à zéro');
+                });
+            }
+
+            if (lutLoadBtn && lutInput) {
+                lutLoadBtn.addEventListener('click', () => lutInput.click());
+                lutInput.addEventListener('change', function() {
+                    const file = lutInput.files[0];
+                    lutInput.value = '';
+                    if (!file) return;
+                    if (!/\.cube$/i.test(file.name)) {
+                        note('Fichier .cube attendu.', 'error');
+                        return;
+                    }
+                    if (file.size > LUT_MAX_BYTES) {
+                        note(`LUT trop lourde : ${LUT_MAX_BYTES / (1024 * 1024)} Mo au plus.`, 'error');
+                        return;
+                    }
+                    file.text().then(function(text) {
+                        state.lut = registerLut(file.name, text);
+                        syncGradeControls();
+                        applyImageFilters();
+                        commitHistory('LUT');
+                    }).catch(function(err) {
+                        note(err.message, 'error');
+                    });
+                });
+            }
+            if (lutRemoveBtn) {
+                lutRemoveBtn.addEventListener('click', function() {
+                    state.lut = null;
+                    syncGradeControls();
+                    applyImageFilters();
+                    commitHistory('LUT retirée');
+                });
+            }
+
+            if (lookList) {
+                lookList.addEventListener('click', function(e) {
+                    const btn = e.target.closest('button');
+                    if (!btn) return;
+                    if (btn.dataset.builtin !== undefined) {
+                        applyLook(BUILTIN_LOOKS[Number(btn.dataset.builtin)]);
+                    } else if (btn.dataset.lookdelete !== undefined) {
+                        deleteLook(btn.dataset.lookdelete);
+                    } else if (btn.dataset.look !== undefined) {
+                        const look = savedLooks().find(l => l.name === btn.dataset.look);
+                        if (look) applyLook(look);
+                    }
+                });
+            }
+            if (lookSaveBtn && lookNameInput) {
+                lookSaveBtn.addEventListener('click', function() {
+                    saveLook(lookNameInput.value);
+                    lookNameInput.value = '';
+                });
+                lookNameInput.addEventListener('keydown', function(e) {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        lookSaveBtn.click();
+                    }
+                });
+            }
+
+            renderLookList();
+            syncGradeControls();
+        }
+
+        // ============================================
+        // FICHIER DE SORTIE (LOT C)
+        // ============================================
+
+        // Formats image encodés par le canvas (toDataURL). WebP et AVIF
+        // dépendent du navigateur : un encodeur absent renvoie du PNG sans
+        // prévenir — d'où la sonde, qui grise les boutons sans effet.
+        const IMAGE_FORMATS = {
+            png: { label: 'PNG', ext: 'png', lossy: false },
+            jpeg: { label: 'JPEG', ext: 'jpg', lossy: true },
+            webp: { label: 'WebP', ext: 'webp', lossy: true },
+            avif: { label: 'AVIF', ext: 'avif', lossy: true }
+        };
+
+        // Sorties vidéo : le MP4 garde le son ; GIF et WebP animé sont
+        // muets, rendus par FFmpeg à la cadence et à la largeur choisies.
+        const VIDEO_FORMATS = {
+            mp4: { label: 'MP4', ext: 'mp4', mimetype: 'video/mp4' },
+            gif: { label: 'GIF', ext: 'gif', mimetype: 'image/gif' },
+            webp: { label: 'WebP animé', ext: 'webp', mimetype: 'image/webp' }
+        };
+        // Plafond d'une image animée, en secondes de rendu (ANIMATION_MAX_SECONDS côté serveur).
+        const ANIMATION_MAX_SECONDS = 20;
+        const ANIMATION_WIDTH_MIN = 160;
+        // Octets par pixel et par image, relevés sur des memes types : un
+        // ordre de grandeur pour l'estimation, pas une promesse.
+        const MP4_BYTES_PER_PIXEL = 0.01;
+        const GIF_BYTES_PER_PIXEL = 0.25;
+        const WEBP_BYTES_PER_PIXEL = 0.06;
+
+        function canvasEncodes(format) {
+            const probe = document.createElement('canvas');
+            probe.width = probe.height = 1;
+            return probe.toDataURL('image/' + format).startsWith('data:image/' + format);
+        }
+
+        function imageFormatOf() {
+            return IMAGE_FORMATS[state.exportFormat] || IMAGE_FORMATS.png;
+        }
+
+        /** « PNG », « WebP 80% » : le format tel qu'annoncé à l'utilisateur. */
+        function imageFormatDescription() {
+            const fmt = imageFormatOf();
+            return fmt.lossy ? `${fmt.label} ${state.exportQuality}%` : fmt.label;
+        }
+
+        /** Rend un plateau au format de sortie choisi. */
+        function renderExportDataURL(p) {
+            const fmt = imageFormatOf();
+            return renderCanvasToDataURL(
+                p,
+                state.exportFormat,
+                fmt.lossy ? state.exportQuality / 100 : 1,
+                state.exportScale
+            );
+        }
+
+        /** Le canvas a-t-il vraiment encodé au format demandé ? */
+        function isExpectedFormat(dataURL) {
+            return dataURL.startsWith('data:image/' + state.exportFormat);
+        }
+
+        function setupImageFormats() {
+            if (!imgFormatGroup) return;
+            imgFormatGroup.querySelectorAll('.seg__btn').forEach(function(btn) {
+                const format = btn.dataset.imgformat;
+                if (format === 'png' || format === 'jpeg' || canvasEncodes(format)) return;
+                btn.disabled = true;
+                btn.title = `Ce navigateur ne sait pas encoder en ${IMAGE_FORMATS[format].label}.`;
+            });
+        }
+
+        function videoFormatOf() {
+            return VIDEO_FORMATS[state.videoFormat] || VIDEO_FORMATS.mp4;
+        }
+
+        /** Taille de l'image animée d'un plateau : largeur choisie, proportions du template. */
+        function animationPixelSize(p) {
+            const template = templateOf(p);
+            const width = Math.min(template.width, state.animWidth || template.width);
+            return { width: width, height: Math.round(template.height * width / template.width / 2) * 2 };
+        }
+
+        /** `output` des endpoints vidéo (null = MP4). */
+        function videoOutputParam(p) {
+            if (state.videoFormat === 'mp4') return null;
+            return {
+                format: state.videoFormat,
+                fps: state.animFps,
+                width: animationPixelSize(p).width,
+                colors: state.gifColors,
+                quality: state.animQuality
+            };
+        }
+
+        /** Poids estimé de la sortie vidéo d'un plateau, en octets. */
+        function estimateVideoBytes(p) {
+            const seconds = outputDuration();
+            if (state.videoFormat === 'mp4') {
+                const template = templateOf(p);
+                return template.width * template.height * 30 * seconds * MP4_BYTES_PER_PIXEL;
+            }
+            const size = animationPixelSize(p);
+            const frames = size.width * size.height * state.animFps * seconds;
+            if (state.videoFormat === 'gif') {
+                // Moins de couleurs, motifs de tramage plus répétitifs : LZW compresse mieux.
+                return frames * GIF_BYTES_PER_PIXEL * (0.4 + 0.6 * state.gifColors / 256);
+            }
+            return frames * WEBP_BYTES_PER_PIXEL * (0.3 + state.animQuality / 100);
+        }
+
+        function animationTooLong() {
+            return state.videoFormat !== 'mp4' && outputDuration() > ANIMATION_MAX_SECONDS;
+        }
+
+        function updateVideoExportReadout() {
+            if (!videoExportDims) return;
+            const animated = state.videoFormat !== 'mp4';
+            if (animCtl) animCtl.style.display = animated ? '' : 'none';
+            if (gifColorsCtl) gifColorsCtl.style.display = state.videoFormat === 'gif' ? '' : 'none';
+            if (animQualityCtl) animQualityCtl.style.display = state.videoFormat === 'webp' ? '' : 'none';
+
+            const fmt = videoFormatOf();
+            const parts = activePanes().map(function(p) {
+                const size = animated ? animationPixelSize(p) : templateOf(p);
+                return `${p.label} ${size.width}×${size.height} ≈ ${formatBytes(estimateVideoBytes(p))}`;
+            });
+            videoExportDims.textContent = parts.length ? parts.join(' + ') : 'aucun plateau actif';
+            const detail = animated ? `${fmt.label}, ${state.animFps} i/s` : `${fmt.label} H.264`;
+            const duration = formatTime(outputDuration(), true);
+            videoExportEstimate.textContent = animationTooLong()
+                ? `— ${detail}, ${duration} : trop long, ${ANIMATION_MAX_SECONDS} s au plus.`
+                : `— ${detail}, ${duration}.`;
+            videoExportEstimate.parentElement.classList.toggle('hint--warning', animationTooLong());
+        }
+
+        /** Dimensions réelles du fichier produit PAR PLATEAU, multiplicateur compris. */
+        function exportPixelSize(p) {
+            const template = templateOf(p);
+            return {
+                width: Math.round(template.width * state.exportScale),
+                height: Math.round(template.height * state.exportScale)
+            };
+        }
+
+        function updateExportReadout() {
+            if (!exportDims) return;
+            // Deux fichiers sortent désormais : on annonce les deux tailles.
+            const parts = activePanes().map(function(p) {
+                const size = exportPixelSize(p);
+                return `${p.label} ${size.width}×${size.height}`;
+            });
+            if (carousel.active) {
+                // Carrousel : le plateau Instagram seul, une fois par diapositive.
+                const size = exportPixelSize(panes.ig);
+                exportDims.textContent = `${panes.ig.label} ${size.width}×${size.height} px × ${carousel.slides.length} diapositives`;
+            } else {
+                exportDims.textContent = parts.length
+                    ? parts.join(' + ') + ' px'
+                    : 'aucun plateau actif';
+            }
+            const fmt = imageFormatOf();
+            if (exportFormatLabel) {
+                exportFormatLabel.textContent = fmt.lossy
+                    ? `${fmt.label}, qualité ${state.exportQuality}%`
+                    : fmt.label;
+            }
+            if (qualityCtl) {
+                qualityCtl.style.display = fmt.lossy && state.mediaType !== 'video' ? 'block' : 'none';
+            }
+            if (exportQualityLabel) exportQualityLabel.textContent = `Qualité ${fmt.label}`;
+            if (state.mediaType === 'video') updateVideoExportReadout();
+        }
+
+        /**
+         * Rend le plan de travail en image, hors marge de manipulation.
+         * Zoom remis à 1, repères de cadre masqués, sélection annulée —
+         * puis tout est restauré, y compris si le rendu échoue.
+         */
+        function renderCanvasToDataURL(p, format, quality, multiplier) {
+            // Ce que l'utilisateur voit doit être ce qui sort du canvas :
+            // on vide d'abord les réglages en attente.
+            flushImageFilters();
+
+            const template = templateOf(p);
+            const originalZoom = p.canvas.getZoom();
+
+            p.frameBorder.set({ visible: false });
+            p.frameRect.set({ visible: false });
+            // Le placeholder « Tape ton texte... » est une AIDE d'édition, pas
+            // du contenu : sans cette garde il était GRAVÉ dans chaque export
+            // dont le bandeau était vide — et la planification double l'écrivait
+            // dans les deux vignettes du calendrier d'un coup.
+            const placeholderVisible = p.textBox
+                && p.textBox.visible !== false
+                && p.textBox.text === 'Tape ton texte...';
+            if (placeholderVisible) p.textBox.set({ visible: false });
+            p.canvas.discardActiveObject();
+            // Transform identité et pas setZoom(1) : sous 900px le viewport
+            // porte une translation (cadrage mobile) que setZoom conserverait
+            // — l'export sortirait décalé. Sur desktop, strictement équivalent.
+            p.canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+            p.canvas.setWidth(template.width + (CANVAS_PADDING * 2));
+            p.canvas.setHeight(template.height + (CANVAS_PADDING * 2));
+            p.canvas.renderAll();
+
+            try {
+                return p.canvas.toDataURL({
+                    format: format,
+                    quality: quality,
+                    multiplier: multiplier || 1,
+                    left: CANVAS_PADDING,
+                    top: CANVAS_PADDING,
+                    width: template.width,
+                    height: template.height
+                });
+            } finally {
+                p.canvas.setZoom(originalZoom);
+                updateCanvasSize(p);
+                p.frameBorder.set({ visible: true });
+                p.frameRect.set({ visible: true });
+                if (placeholderVisible) p.textBox.set({ visible: true });
+                p.canvas.renderAll();
+            }
+        }
+
+        /** Poids d'une data URL base64, en octets. */
+        function dataURLBytes(dataURL) {
+            const base64 = dataURL.slice(dataURL.indexOf(',') + 1);
+            const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
+            return Math.max(0, Math.floor(base64.length * 3 / 4) - padding);
+        }
+
+        function formatBytes(bytes) {
+            if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' Mo';
+            return Math.max(1, Math.round(bytes / 1024)) + ' Ko';
+        }
+
+        /** Révèle/masque les blocs qui n'ont de sens que pour une image. */
+        function updateMediaToolsVisibility() {
+            const isImage = state.mediaType === 'image';
+            if (imageTools) imageTools.style.display = isImage ? 'flex' : 'none';
+            // Le floutage et l'étalonnage valent pour une image comme pour une vidéo.
+            if (redactGroup) redactGroup.style.display = state.mediaType ? 'flex' : 'none';
+            if (gradeGroup) gradeGroup.style.display = state.mediaType ? 'flex' : 'none';
+            // Image et vidéo ne partagent aucun réglage de sortie : on ne
+            // montre que ceux qui auront un effet sur le média chargé.
+            const isVideo = state.mediaType === 'video';
+            document.querySelectorAll('.output-image-only').forEach(function(el) {
+                el.style.display = isVideo ? 'none' : '';
+            });
+            document.querySelectorAll('.output-video-only').forEach(function(el) {
+                el.style.display = isVideo ? '' : 'none';
+            });
+            updateExportReadout();
+        }
+
+        // ============================================
+        // RESET & EXPORT
+        // ============================================
+        function resetAll() {
+            eachPane(function(p) {
+                p.imageOffsetX = 0;
+                p.imageOffsetY = 0;
+                p.imageScale = 100;
+            });
+
+            imageScaleSlider.value = 100;
+            imageScaleValue.textContent = '100%';
+
+            // LOT C — « Réinitialiser » repart d'une composition vierge :
+            // la retouche de l'image en fait partie.
+            Object.assign(state, IMAGE_EDIT_DEFAULTS);
+            syncImageEditControls();
+            resetRedactions();
+            resetFocusPoint();
+
+            eachPane(function(p) { createElements(p); });
+
+            if (state.imageSrc) {
+                addImageToAllPanes(state.imageSrc);
+            }
+            if (state.showOverlay && state.overlayText) {
+                addOverlayTextToAllPanes();
+            }
+            updateText(state.text);
+            updateTextSize(state.textSize);
+        }
+
+        async function exportMeme() {
+            if (!(await confirmSafeZones())) return;
+            if (state.mediaType === 'video') {
+                exportVideo();
+            } else {
+                exportImage();
+            }
+        }
+
+        // ============================================
+        // PLANIFICATION MULTIPLE
+        // --------------------------------------------
+        // « Planifier » propose UN post par plateau actif — chacun avec
+        // l'export de SON canvas et sa plateforme cochée d'office —
+        // même date/heure proposée, modifiable avant validation. Le POST
+        // /api/calendar/posts existant est réutilisé tel quel : la colonne
+        // `platforms` (JSON) porte la plateforme, aucune migration.
+        // ============================================
+
+        /** Valeur `datetime-local` à partir d'un Date (fuseau local). */
+        function toDatetimeLocalValue(d) {
+            const pad = n => String(n).padStart(2, '0');
+            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+                + `T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+        }
+
+        async function schedulePost() {
+            if (!(await confirmSafeZones())) return;
+            if (!scheduleDialog || typeof scheduleDialog.showModal !== 'function') {
+                note('Le dialogue de planification est indisponible dans ce navigateur.', 'error');
+                return;
+            }
+
+            // Même date/heure PROPOSÉE pour tous les posts : prochaine
+            // heure ronde, au moins 30 minutes devant.
+            const proposed = new Date(Date.now() + 90 * 60 * 1000);
+            proposed.setMinutes(0, 0, 0);
+            scheduleDatetime.value = toDatetimeLocalValue(proposed);
+
+            // Un plateau désactivé n'est pas proposé (mais reste décochable
+            // → recochable tant qu'il est actif).
+            // Carrousel : un seul post, Instagram — les autres plateaux
+            // n'ont qu'une diapositive à montrer.
+            eachPane(function(p) {
+                const check = scheduleCheckOf(p);
+                if (!check) return;
+                const offered = p.enabled && (!carousel.active || p === panes.ig);
+                check.checked = offered;
+                check.disabled = !offered;
+            });
+            if (scheduleIGDims) {
+                const t = templateOf(panes.ig);
+                scheduleIGDims.textContent = `${t.width}×${t.height}`;
+            }
+
+            scheduleDialog.showModal();
+        }
+
+        /** Rend la vignette d'UN plateau et crée son post au calendrier. */
+        function createCalendarPost(p, scheduledAtTs) {
+            let dataURL;
+            try {
+                dataURL = renderCanvasToDataURL(p, 'jpeg', 0.9, 1);
+            } catch (err) {
+                console.error('[editor] rendu de la vignette impossible (' + p.label + ')', err);
+                return Promise.reject(new Error('rendu ' + p.label));
+            }
+
+            const postData = {
+                title: 'Meme — ' + p.label,
+                caption: captionText(resolveTextVariables(paneText(p))),
+                media_type: state.mediaType === 'video' ? 'video' : 'image',
+                template_format: templateKeyOf(p),
+                thumbnail: dataURL,  // base64 data URL saved as thumbnail
+                status: 'scheduled',
+                scheduled_at: scheduledAtTs,
+                platforms: JSON.stringify([p.platform]),
+            };
+
+            return fetch('/api/calendar/posts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(postData)
+            }).then(r => {
+                if (!r.ok) throw new Error('Failed to create post (' + p.label + ')');
+                return r.json();
+            });
+        }
+
+        function confirmSchedule() {
+            // LOT C — même règle que pour l'export : la vignette envoyée au
+            // Calendrier doit porter les réglages déjà visibles à l'écran.
+            flushImageFilters();
+
+            const chosen = [];
+            activePanes().forEach(function(p) {
+                const check = scheduleCheckOf(p);
+                if (check && check.checked) chosen.push(p);
+            });
+            if (!chosen.length) {
+                note('Choisis au moins une plateforme à planifier.', 'warning');
+                return;
+            }
+
+            const when = new Date(scheduleDatetime.value);
+            if (isNaN(when.getTime())) {
+                note('La date de publication est invalide.', 'warning');
+                return;
+            }
+            const ts = Math.round(when.getTime() / 1000);
+
+            scheduleBtn.disabled = true;
+            const posts = carousel.active
+                ? [createCarouselCalendarPost(ts)]
+                : chosen.map(p => createCalendarPost(p, ts));
+            Promise.all(posts)
+                .then(() => {
+                    window.location.href = '/calendar';
+                })
+                .catch(err => {
+                    console.error('Schedule error:', err);
+                    scheduleBtn.disabled = false;
+                    // Promise.all peut avoir créé UN des deux posts avant
+                    // l'échec : on le dit, pour éviter un doublon au retry.
+                    note('La planification a échoué (' + err.message + '). Vérifie le Calendrier avant de réessayer : un des posts peut déjà exister.', 'error');
+                });
+        }
+
+        /** Envoie au Viewer le PNG d'UN plateau, avec de quoi le rouvrir. */
+        function postImageMeme(p, dataURL) {
+            return fetch('/api/viewer/memes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    image_data: dataURL,
+                    title: 'Meme — ' + p.label,
+                    caption: captionText(resolveTextVariables(paneText(p))),
+                    template_format: templateKeyOf(p),
+                    media_type: 'image',
+                    source_media_id: state.sourceMediaId,
+                    // De quoi rouvrir le meme dans l'éditeur : le document
+                    // de composition et l'image source, rangés à côté du PNG.
+                    composition: compositionDocument(),
+                    source_data: state.imageSrc,
+                })
+            }).then(r => {
+                if (!r.ok) throw new Error('Failed to save meme (' + p.label + ')');
+                return r.json();
+            });
+        }
+
+        async function saveMemeToViewer() {
+            if (!(await confirmSafeZones())) return;
+            if (carousel.active) {
+                saveCarouselToViewer();
+                return;
+            }
+            if (state.mediaType === 'video') {
+                // LOT A — la vidéo passe par FFmpeg côté serveur : un fichier par
+                // plateau actif, rendus SÉQUENTIELLEMENT, tous deux dans le Viewer.
+                saveVideoMemesToViewer();
+                return;
+            }
+
+            const targets = activePanes();
+            if (!targets.length) {
+                note('Aucun plateau actif : réactive au moins un plateau pour sauvegarder.', 'warning');
+                return;
+            }
+
+            // LOT C — la taille cible et le format s'appliquent aussi à la
+            // copie Viewer : /api/viewer/memes range le fichier sous
+            // l'extension de son type (.png, .jpg, .webp, .avif).
+            // ÉDITEUR DOUBLE : une copie PAR plateau actif.
+            const jobs = [];
+            for (const p of targets) {
+                const size = exportPixelSize(p);
+                let dataURL;
+                try {
+                    dataURL = renderExportDataURL(p);
+                } catch (err) {
+                    console.error('[editor] rendu du meme impossible (' + p.label + ')', err);
+                    note('Le meme ' + p.label + ' n’a pas pu être rendu. Réduis la taille cible et réessaie.', 'error');
+                    return;
+                }
+                if (!dataURL || dataURL.length < 100) {
+                    note('Le meme ' + p.label + ' rendu est vide. Réduis la taille cible et réessaie.', 'error');
+                    return;
+                }
+                if (!isExpectedFormat(dataURL)) {
+                    note(`Ce navigateur ne sait pas encoder en ${imageFormatOf().label} : choisis un autre format.`, 'error');
+                    return;
+                }
+                jobs.push({ pane: p, size: size, dataURL: dataURL });
+            }
+
+            // Save to backend
+            if (saveMemeBtn) {
+                saveMemeBtn.disabled = true;
+                saveMemeBtn.textContent = '⏳ Sauvegarde...';
+            }
+
+            Promise.all(jobs.map(job => postImageMeme(job.pane, job.dataURL)))
+            .then(() => {
+                if (saveMemeBtn) {
+                    saveMemeBtn.disabled = false;
+                    saveMemeBtn.textContent = '✅ Sauvegarde !';
+                    setTimeout(() => {
+                        saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
+                    }, 2000);
+                }
+                // LOT C — dimensions réellement enregistrées, pas un « OK » nu.
+                const detail = jobs.map(j => `${j.pane.label} ${j.size.width}×${j.size.height}`).join(', ');
+                note(`Meme${jobs.length > 1 ? 's' : ''} enregistré${jobs.length > 1 ? 's' : ''} dans le Viewer : ${imageFormatDescription()} ${detail} px.`, 'success');
+            })
+            .catch(err => {
+                console.error('Save meme error:', err);
+                // Promise.all : une des deux copies peut déjà exister.
+                note('La sauvegarde a échoué (' + err.message + '). Vérifie le Viewer avant de réessayer, puis télécharge les fichiers pour ne rien perdre.', 'error');
+                if (saveMemeBtn) {
+                    saveMemeBtn.disabled = false;
+                    saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
+                }
+            });
+        }
+
+        // ============================================
+        // LOT A — SAUVEGARDE VIDÉO DANS LE VIEWER
+        // --------------------------------------------
+        // Un MP4 PAR plateau actif (Instagram au format choisi, TikTok
+        // 1080×1920 plein cadre avec POV et filigrane incrustés). Les rendus
+        // partent dans la FILE D'EXPORT du serveur (/api/editor/exports) :
+        // un seul ffmpeg à la fois — l'audit a montré la corruption
+        // d'écritures concurrentes —, mais l'écran reste libre. Leur
+        // avancement se suit dans le plateau Exports de la nav
+        // (samourais-app.js), sur tous les écrans ; chaque vidéo est
+        // annoncée dès qu'elle arrive dans le Viewer.
+        // Le rendu par lot, lui, attend chaque vidéo (uploadVideoMeme).
+        // ============================================
+        /**
+         * Formulaire du rendu d'UN plateau — même contrat pour
+         * /save-video-meme et /exports. `onStage(fraction, libellé)` suit
+         * la génération du template.
+         */
+        async function videoMemeForm(p, onStage) {
+            onStage(0.05, 'génération du template…');
+            if (state.isPlaying) pauseVideo();
+            const params = buildVideoExportParams(p);
+            const templateBlob = await generateTemplatePNG(params);
+
+            const formData = new FormData();
+            formData.append('video', state.videoFile);
+            formData.append('template', templateBlob, 'template.png');
+            await appendTimedTemplates(formData, params);
+            appendAudioTrack(formData, params);
+            appendLutFile(formData, params);
+            formData.append('params', JSON.stringify(ffmpegParamsOf(params)));
+            // Suffixe -instagram / -tiktok du fichier sauvegardé.
+            formData.append('platform', p.platform);
+            formData.append('title', 'Meme vidéo — ' + p.label);
+            formData.append('caption', captionText(resolveTextVariables(paneText(p))));
+            formData.append('template_format', templateKeyOf(p));
+            // La vidéo source déjà envoyée est conservée avec ce
+            // document : le meme pourra être rouvert dans l'éditeur.
+            formData.append('composition', JSON.stringify(compositionDocument()));
+            return formData;
+        }
+
+        /** Réponse en erreur → Error portant le message du serveur. */
+        async function serverError(response) {
+            let message = 'Erreur serveur';
+            try {
+                const payload = await response.json();
+                if (payload && payload.error) message = payload.error;
+            } catch (e) { /* réponse non-JSON : on garde le message générique */ }
+            return new Error(message);
+        }
+
+        /**
+         * Rend la vidéo d'UN plateau par FFmpeg et la range dans le Viewer,
+         * en attendant le rendu (rendu par lot). `onStage(fraction, libellé)`
+         * suit les étapes ; lève une Error portant le message du serveur en
+         * cas d'échec.
+         */
+        async function uploadVideoMeme(p, onStage) {
+            const formData = await videoMemeForm(p, onStage);
+            onStage(0.25, 'upload et rendu FFmpeg…');
+            const response = await fetch('/api/editor/save-video-meme', {
+                method: 'POST',
+                body: formData
+            });
+            if (!response.ok) throw await serverError(response);
+            return response.json();
+        }
+
+        /**
+         * Dépose le rendu d'UN plateau dans la file d'export :
+         * `destination` 'viewer' (meme du Viewer) ou 'download' (fichier à
+         * télécharger depuis le plateau Exports). Rend la main dès l'envoi.
+         */
+        async function queueVideoExport(p, destination) {
+            const formData = await videoMemeForm(p, function() {});
+            formData.append('destination', destination);
+            formData.append('label', (destination === 'viewer' ? 'Viewer' : 'Téléchargement') + ' — ' + p.label);
+            const response = await fetch('/api/editor/exports', {
+                method: 'POST',
+                body: formData
+            });
+            if (!response.ok) throw await serverError(response);
+            const job = await response.json();
+            // Le plateau de la nav ouvre son flux d'avancement.
+            if (window.samourais && window.samourais.watchExports) window.samourais.watchExports();
+            return job;
+        }
+
+        async function saveVideoMemesToViewer() {
+            const targets = activePanes();
+            if (!targets.length) {
+                note('Aucun plateau actif : réactive au moins un plateau pour sauvegarder.', 'warning');
+                return;
+            }
+            if (!state.videoFile) {
+                note('Aucun fichier vidéo en mémoire : réimporte la vidéo puis réessaie.', 'error');
+                return;
+            }
+            if (!checkAnimationLength()) return;
+
+            const queued = [];
+            try {
+                for (let i = 0; i < targets.length; i++) {
+                    const p = targets[i];
+                    // L'envoi de la vidéo prend du temps : le bouton dit
+                    // laquelle part.
+                    if (saveMemeBtn) {
+                        saveMemeBtn.disabled = true;
+                        saveMemeBtn.textContent = '⏳ Envoi vidéo ' + (i + 1) + '/' + targets.length + '…';
+                    }
+                    await queueVideoExport(p, 'viewer');
+                    queued.push(p.label);
+                }
+                note('Vidéo' + (queued.length > 1 ? 's' : '') + ' ' + queued.join(' + ')
+                    + ' en file d\'export : suis le rendu dans Exports, en haut de l\'écran. Tu peux continuer à éditer.', 'success');
+            } catch (err) {
+                console.error('[editor] sauvegarde vidéo Viewer', err);
+                // HONNÊTETÉ : ce qui est déjà en file est acquis — seul le
+                // plateau raté manque.
+                const acquis = queued.length
+                    ? 'La vidéo ' + queued.join(' + ') + ' est DÉJÀ en file d\'export — elle n\'est pas perdue. Seule la suivante a échoué.'
+                    : 'Aucune vidéo n\'a été mise en file.';
+                note('La sauvegarde vidéo a échoué (' + err.message + '). ' + acquis, 'error');
+            } finally {
+                if (saveMemeBtn) {
+                    saveMemeBtn.disabled = false;
+                    saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
+                }
+            }
+        }
+
+        function exportImage() {
+            // LOT C — format (PNG/JPEG), qualité et taille cible viennent
+            // du bloc « Fichier de sortie ». Tout est rendu par le canvas :
+            // pas d'upload, pas de fichier temporaire, retour immédiat.
+            // ÉDITEUR DOUBLE : un fichier PAR plateau actif.
+            if (carousel.active) {
+                exportCarousel();
+                return;
+            }
+            const targets = activePanes();
+            if (!targets.length) {
+                note('Aucun plateau actif : réactive au moins un plateau pour exporter.', 'warning');
+                return;
+            }
+
+            const fmt = imageFormatOf();
+            const timestamp = new Date().toISOString().slice(0, 10);
+            const produced = [];
+
+            for (const p of targets) {
+                const size = exportPixelSize(p);
+                let dataURL;
+                try {
+                    dataURL = renderExportDataURL(p);
+                } catch (err) {
+                    // Un export raté ne disparaît pas en silence : il se dit.
+                    console.error('[editor] export image impossible (' + p.label + ')', err);
+                    note('L’image ' + p.label + ' n’a pas pu être produite. Réduis la taille cible et réessaie.', 'error');
+                    return;
+                }
+
+                if (!dataURL || dataURL.length < 100) {
+                    note('L’image ' + p.label + ' produite est vide. Réduis la taille cible et réessaie.', 'error');
+                    return;
+                }
+                // Encodeur absent : le canvas retombe sur du PNG sans le dire.
+                if (!isExpectedFormat(dataURL)) {
+                    note(`Ce navigateur ne sait pas encoder en ${fmt.label} : choisis un autre format.`, 'error');
+                    return;
+                }
+
+                const link = document.createElement('a');
+                link.download = `samourais_meme_${p.platform}_${size.width}x${size.height}_${timestamp}.${fmt.ext}`;
+                link.href = dataURL;
+                link.click();
+                produced.push(`${p.label} ${size.width}×${size.height} px (${formatBytes(dataURLBytes(dataURL))})`);
+            }
+
+            note(`Téléchargé : ${produced.join(' + ')}, ${imageFormatDescription()}.`, 'success');
+        }
+
+        /** Refuse d'envoyer une image animée trop longue : le serveur la rejetterait. */
+        function checkAnimationLength() {
+            if (!animationTooLong()) return true;
+            note(`Une image animée dure ${ANIMATION_MAX_SECONDS} s au plus : raccourcis la coupe ou exporte en MP4.`, 'warning');
+            return false;
+        }
+
+        /** Paramètres d'export vidéo d'UN plateau — partagés entre le
+         *  téléchargement (exportVideo) et la sauvegarde Viewer (LOT A). */
+        function buildVideoExportParams(p) {
+            const template = templateOf(p);
+
+            // Calculate effective frame height and centered Y position
+            const effectiveFrameHeight = Math.round(template.frame.height * (p.frameHeightPercent / 100));
+            const originalCenterY = template.frame.y + template.frame.height / 2;
+            const effectiveFrameY = originalCenterY - effectiveFrameHeight / 2;
+
+            return {
+                // Plateau source (sert au rendu du template PNG)
+                paneKey: p.key,
+                // Template info
+                template: templateKeyOf(p),
+                templateWidth: template.width,
+                templateHeight: template.height,
+                // Frame info (with adjusted height and Y position for the template PNG)
+                frameX: template.frame.x,
+                frameY: effectiveFrameY,
+                frameWidth: template.frame.width,
+                frameHeight: effectiveFrameHeight,
+                frameRadius: template.frame.radius,
+                // Original frame dimensions for video scaling/positioning (before slider adjustment)
+                originalFrameY: template.frame.y,
+                originalFrameHeight: template.frame.height,
+                // Video trim
+                trimStart: state.trimStart,
+                trimEnd: state.trimEnd,
+                // Media position/scale — le cadrage du plateau exporté
+                imageScale: p.imageScale,
+                imageOffsetX: p.imageOffsetX,
+                imageOffsetY: p.imageOffsetY,
+                // Remplissage du cadre : 'cover' ou 'blur' (fond flou)
+                fill: p.fillMode,
+                // Zones floutées ou pixelisées, en fractions de la source
+                redactions: state.mediaType === 'video' ? redactionExportParam() : [],
+                // Étalonnage de la source (la LUT part en fichier `lut`)
+                grade: state.mediaType === 'video' ? gradeExportParam() : null,
+                // Text (nu : le balisage est déjà dans le bloc Fabric)
+                text: captionText(resolveTextVariables(paneText(p))),
+                // Ajusté, chaque plateau a sa taille : celle de son bloc.
+                textSize: p.textBox ? p.textBox.fontSize : paneTextSize(p),
+                lineHeight: paneLineHeight(p),
+                textX: p.textBox ? p.textBox.left - CANVAS_PADDING : template.textArea.x,
+                textY: p.textBox ? p.textBox.top - CANVAS_PADDING : template.textArea.y,
+                // Overlay
+                overlayText: state.showOverlay ? resolveTextVariables(state.overlayText) : '',
+                // Passages gardés, mis bout à bout (null = la coupe entière)
+                segments: state.mediaType === 'video' ? segmentsExportParam() : null,
+                // Fenêtres des textes minutés (secondes du clip coupé)
+                textSegments: state.mediaType === 'video' ? textSegmentWindows() : [],
+                // Sous-titres incrustés par FFmpeg (placement propre au plateau)
+                subtitles: state.mediaType === 'video' ? subtitleExportTrack(p) : null,
+                // Son : gain, fondus, piste jointe (`audio_track`)
+                // (une image animée est muette : ni réglage, ni piste jointe)
+                audio: state.mediaType === 'video' && state.videoFormat === 'mp4' ? audioExportParams() : null,
+                // Vitesse, sens et répétitions du clip composé
+                playback: state.mediaType === 'video' ? playbackExportParam() : null,
+                // MP4 (null) ou image animée : format, cadence, largeur, palette
+                output: state.mediaType === 'video' ? videoOutputParam(p) : null,
+                // Watermark position and opacity
+                watermarkX: p.watermark ? p.watermark.left - CANVAS_PADDING : template.watermark.x,
+                watermarkY: p.watermark ? p.watermark.top - CANVAS_PADDING : template.watermark.y,
+                watermarkOpacity: state.watermarkOpacity,
+            };
+        }
+
+        // ffmpegParamsOf() : editor-core.js.
+
+        async function exportVideo() {
+            if (!checkAnimationLength()) return;
+            if (!state.videoFile) {
+                note('Aucun fichier vidéo en mémoire : réimporte la vidéo puis réessaie.', 'error');
+                return;
+            }
+            // Le TÉLÉCHARGEMENT vidéo reste UN SEUL fichier : il suit le
+            // premier plateau actif (Instagram si les deux le sont). Le
+            // pipeline FFmpeg est inchangé — seule la source des paramètres
+            // change. La sortie DOUBLE, elle, passe par « Sauvegarder dans
+            // Viewer » (saveVideoMemesToViewer). Le rendu part dans la file
+            // d'export : le fichier se télécharge depuis le plateau Exports.
+            const p = activePanes()[0] || panes.ig;
+            try {
+                await queueVideoExport(p, 'download');
+                note(`Export ${videoFormatOf().label} (${formatTime(outputDuration(), true)}) en file : il se télécharge depuis Exports, en haut de l'écran, une fois rendu.`, 'success');
+            } catch (err) {
+                console.error('[editor] export vidéo', err);
+                note('L\'export vidéo n\'a pas pu partir (' + err.message + ').', 'error');
+            }
         }
 
         // ============================================
-        // OVERLAY TEXT
+        // BACKEND CONFIG
         // ============================================
-        function toggleOverlay() {
-            state.showOverlay = !state.showOverlay;
-            overlaySwitch.classList.toggle('active', state.showOverlay);
-            overlayTextInput.style.display = state.showOverlay ? 'block' : 'none';
-
-            eachPane(function(p) {
-                if (state.showOverlay && state.overlayText) {
-                    addOverlayText(p);
-                } else if (p.overlayTextObj) {
-                    p.canvas.remove(p.overlayTextObj);
-                    p.overlayTextObj = null;
-                }
-                p.canvas.renderAll();
-            });
-        }
+        // Backend URL — same origin (Flask serves everything)
+        const BACKEND_URL = '';
 
-        function addOverlayText(p) {
-            if (p.overlayTextObj) {
-                p.canvas.remove(p.overlayTextObj);
-            }
+        // ============================================
+        // LOGO WATERMARK CONFIG
+        // ============================================
+        // Logo Samouraïs : celui de l'éditeur sans kit de marque (voir
+        // KITS DE MARQUE, logoUrl()).
+        const LOGO_URL = '/static/samourais_logo_transparent_smooth.png';
+        // Largeur du filigrane hors kit, en px du gabarit (le logo Samouraïs,
+        // 2000 px, à l'échelle 0.15) ; un kit la donne en % du gabarit.
+        const LOGO_WIDTH = 300;
+        let logoImage = null;
+        // Adresse demandée en dernier : la réponse d'un logo entre-temps
+        // remplacé (kit changé) est ignorée.
+        let logoRequested = null;
 
+        /** Filigrane du plateau : le logo chargé, ou « SAMOURAÏS » en attendant. */
+        function makeWatermark(p) {
             const template = templateOf(p);
-            const frame = template.frame;
-            const offset = CANVAS_PADDING;
-
-            p.overlayTextObj = new fabric.Text(state.overlayText.toUpperCase(), {
-                left: frame.x + frame.width / 2 + offset,
-                top: frame.y + frame.height - 60 + offset,
-                fontSize: template.width * 0.055,
-                fontFamily: 'Impact, Haettenschweiler, sans-serif',
-                fontWeight: '900',
-                fill: '#ffffff',
-                stroke: '#000000',
-                strokeWidth: template.width * 0.006,
-                textAlign: 'center',
-                originX: 'center',
+            const wm = watermarkPosition(p);
+            const common = {
+                left: wm.x + CANVAS_PADDING,
+                top: wm.y + CANVAS_PADDING,
+                originX: 'right',
                 originY: 'bottom',
+                opacity: state.watermarkOpacity / 100,
+                selectable: true,
                 hasControls: true,
                 cornerSize: 16,
                 hoverCursor: 'move',
                 moveCursor: 'move'
-            });
-
-            p.canvas.add(p.overlayTextObj);
-            p.canvas.bringToFront(p.overlayTextObj);
-            p.canvas.bringToFront(p.watermark);
-            p.canvas.renderAll();
+            };
+            if (logoImage) {
+                const kit = activeBrandKit();
+                const width = kit ? template.width * kit.settings.watermark.scale / 100 : LOGO_WIDTH;
+                const scale = width / logoImage.width;
+                return new fabric.Image(logoImage.getElement(),
+                    Object.assign(common, { scaleX: scale, scaleY: scale }));
+            }
+            // Fallback to text if logo not loaded yet
+            return new fabric.Text('SAMOURAÏS', Object.assign(common, {
+                fontSize: template.width * 0.04,
+                fontFamily: 'Impact, sans-serif',
+                fontWeight: '800',
+                fill: '#ffffff',
+                stroke: '#333333',
+                strokeWidth: 2,
+                angle: -3,
+                shadow: new fabric.Shadow({
+                    color: 'rgba(0,0,0,0.3)',
+                    blur: 4,
+                    offsetX: 2,
+                    offsetY: 2
+                })
+            }));
         }
 
-        function addOverlayTextToAllPanes() {
-            eachPane(function(p) { addOverlayText(p); });
+        /** Remplace le filigrane du plateau à sa place dans la pile des calques. */
+        function swapWatermark(p, next) {
+            const old = p.watermark;
+            p.canvas.insertAt(next, Math.max(0, p.canvas.getObjects().indexOf(old)));
+            p.canvas.remove(old);
+            p.watermark = next;
+            // Masquage et verrou du rôle « filigrane » reposés sur le neuf.
+            refreshLayers(p);
+            p.canvas.requestRenderAll();
         }
 
-        function updateOverlayText(text) {
-            state.overlayText = text;
-            eachPane(function(p) {
-                if (state.showOverlay && text) {
-                    addOverlayText(p);
-                } else if (p.overlayTextObj && !text) {
-                    p.canvas.remove(p.overlayTextObj);
-                    p.overlayTextObj = null;
-                    p.canvas.renderAll();
+        // Preload logo — celui du kit choisi, sinon LOGO_URL
+        function loadLogo() {
+            const url = logoUrl();
+            logoRequested = url;
+            fabric.Image.fromURL(url, (img, isError) => {
+                if (url !== logoRequested) return;
+                if (!img || isError || !img.width) {
+                    if (url !== LOGO_URL) note('Le logo du kit n’a pas pu être chargé : le filigrane garde le précédent.', 'warning');
+                    return;
                 }
-            });
+                logoImage = img;
+                // Le filigrane déjà posé (texte d'attente, logo précédent)
+                // cède la place au logo : même point d'ancrage, même largeur
+                // s'il était déjà une image (déplacé, redimensionné ou remis
+                // en place par une composition, il y reste).
+                eachPane(function(p) {
+                    if (!p.canvas || !p.watermark) return;
+                    const old = p.watermark;
+                    const next = makeWatermark(p);
+                    next.set({ left: old.left, top: old.top, angle: old.angle || 0 });
+                    if (old.type === 'image') {
+                        const scale = old.width * old.scaleX / next.width;
+                        next.set({ scaleX: scale, scaleY: scale });
+                    }
+                    swapWatermark(p, next);
+                });
+            }, { crossOrigin: 'anonymous' });
         }
 
-
         // ============================================
-        // GOOGLE DRIVE PICKER
+        // TEMPLATE PNG PLEIN ÉCRAN (plateau TikTok)
+        // --------------------------------------------
+        // Pas de gabarit blanc : la surcouche envoyée à FFmpeg est le rendu
+        // EXACT du canvas TikTok (POV, texte overlay, filigrane) sur fond
+        // transparent — donc ce que l'utilisateur voit à l'écran, y compris
+        // le bloc-par-ligne du POV que l'ancien chemin ne savait pas
+        // dessiner. Là où le média ne couvre pas (dézoom volontaire), le
+        // fond est le même NOIR que le plateau — jamais le blanc que le
+        // pipeline FFmpeg peint sous la vidéo.
         // ============================================
-        // Google API Config - Replace with your credentials
-        const GOOGLE_API_KEY = localStorage.getItem('samourais_google_api_key') || '';
-        const GOOGLE_CLIENT_ID = localStorage.getItem('samourais_google_client_id') || '';
-        const GOOGLE_APP_ID = '';
-        let pickerApiLoaded = false;
-        let oauthToken = null;
+        async function generateFullBleedTemplatePNG(p) {
+            const template = templateOf(p);
+            await document.fonts.ready;
 
-        function openGoogleDrivePicker() {
-            if (!GOOGLE_API_KEY || !GOOGLE_CLIENT_ID) {
-                showDriveConfigModal();
-                return;
-            }
-            
-            // Show loading
-            driveConnect.style.display = 'none';
-            driveLoading.style.display = 'flex';
-            
-            // Load the Google API
-            gapi.load('auth2', () => {
-                gapi.load('picker', () => {
-                    pickerApiLoaded = true;
-                    authenticateAndShowPicker();
+            // 1) Surcouche : le canvas réel, média et fonds masqués, fond
+            //    transparent — même mécanique de restauration que
+            //    renderCanvasToDataURL, y compris en cas d'échec.
+            const hidden = [];
+            // Les sous-titres aussi : FFmpeg les incruste lui-même, minutés —
+            // et le fond flou, que FFmpeg peint sous la vidéo.
+            [p.imageObj, p.backdropObj, p.templateBg, p.frameRect, p.frameBorder, p.subtitleObj].forEach(function(obj) {
+                if (obj && obj.visible !== false) {
+                    obj.set({ visible: false });
+                    hidden.push(obj);
+                }
+            });
+            const originalZoom = p.canvas.getZoom();
+            const originalBg = p.canvas.backgroundColor;
+            p.canvas.discardActiveObject();
+            p.canvas.backgroundColor = '';
+            // Même garde que renderCanvasToDataURL : transform identité, pas
+            // setZoom(1) — la translation du cadrage mobile fausserait le PNG.
+            p.canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
+            p.canvas.setWidth(template.width + (CANVAS_PADDING * 2));
+            p.canvas.setHeight(template.height + (CANVAS_PADDING * 2));
+            p.canvas.renderAll();
+            let overlayURL;
+            try {
+                overlayURL = p.canvas.toDataURL({
+                    format: 'png',
+                    left: CANVAS_PADDING,
+                    top: CANVAS_PADDING,
+                    width: template.width,
+                    height: template.height
                 });
+            } finally {
+                hidden.forEach(function(obj) { obj.set({ visible: true }); });
+                p.canvas.backgroundColor = originalBg;
+                p.canvas.setZoom(originalZoom);
+                updateCanvasSize(p);
+                p.canvas.renderAll();
+            }
+
+            const overlayImg = await new Promise(function(resolve, reject) {
+                const img = new Image();
+                img.onload = function() { resolve(img); };
+                img.onerror = function() { reject(new Error('Surcouche TikTok illisible')); };
+                img.src = overlayURL;
             });
-        }
 
-        function authenticateAndShowPicker() {
-            gapi.auth2.authorize({
-                client_id: GOOGLE_CLIENT_ID,
-                scope: 'https://www.googleapis.com/auth/drive.readonly',
-                immediate: false
-            }, (authResult) => {
-                if (authResult && !authResult.error) {
-                    oauthToken = authResult.access_token;
-                    createPicker();
-                } else {
-                    driveLoading.style.display = 'none';
-                    driveConnect.style.display = 'block';
-                    console.error('Auth error:', authResult?.error);
-                    note('Connexion à Google Drive impossible. Vérifie les identifiants dans les Réglages, puis réessaie.', 'error');
-                }
+            // 2) Fond noir, troué à l'emplacement EXACT où FFmpeg posera la
+            //    vidéo (même calcul « cover » que le canvas et que le serveur :
+            //    scale = max(1080/w, 1920/h) × zoom, centre + décalage). Sur
+            //    fond flou, le fond couvre tout le cadre : trou plein cadre.
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = template.width;
+            tempCanvas.height = template.height;
+            const ctx = tempCanvas.getContext('2d');
+
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, template.width, template.height);
+
+            ctx.globalCompositeOperation = 'destination-out';
+            const vidW = videoSource.videoWidth;
+            const vidH = videoSource.videoHeight;
+            if (vidW && vidH && p.fillMode !== 'blur') {
+                const baseScale = Math.max(template.width / vidW, template.height / vidH);
+                const s = baseScale * ((p.imageScale || 100) / 100);
+                // +2 px : absorbe les arrondis FFmpeg, un liseré noir d'un
+                // demi-pixel se verrait sur un plein écran.
+                const w = vidW * s + 2;
+                const h = vidH * s + 2;
+                const cx = template.width / 2 + (p.imageOffsetX || 0);
+                const cy = template.height / 2 + (p.imageOffsetY || 0);
+                ctx.fillRect(cx - w / 2, cy - h / 2, w, h);
+            } else {
+                // Fond flou, ou dimensions vidéo inconnues : trou plein cadre
+                // (cas nominal, le média couvre tout de toute façon).
+                ctx.fillRect(0, 0, template.width, template.height);
+            }
+            ctx.globalCompositeOperation = 'source-over';
+
+            // 3) La surcouche PAR-DESSUS le trou : POV, overlay, filigrane.
+            ctx.drawImage(overlayImg, 0, 0);
+
+            return new Promise(function(resolve) {
+                tempCanvas.toBlob(function(blob) { resolve(blob); }, 'image/png');
             });
         }
 
-        function createPicker() {
-            if (pickerApiLoaded && oauthToken) {
-                const view = new google.picker.DocsView()
-                    .setIncludeFolders(true)
-                    .setMimeTypes('image/png,image/jpeg,image/gif,image/webp,video/mp4,video/quicktime,video/webm')
-                    .setSelectFolderEnabled(false);
-                
-                const picker = new google.picker.PickerBuilder()
-                    .setAppId(GOOGLE_APP_ID)
-                    .setOAuthToken(oauthToken)
-                    .addView(view)
-                    .addView(new google.picker.DocsView().setIncludeFolders(true).setSelectFolderEnabled(true))
-                    .setDeveloperKey(GOOGLE_API_KEY)
-                    .setCallback(pickerCallback)
-                    .setTitle('Sélectionne une image ou vidéo')
-                    .setLocale('fr')
-                    .build();
-                
-                picker.setVisible(true);
-                
-                // Hide loading
-                driveLoading.style.display = 'none';
-                driveConnect.style.display = 'block';
+        // Générer le template PNG avec trou transparent pour la vidéo
+        async function generateTemplatePNG(params) {
+            // Le plateau source est celui choisi par exportVideo().
+            const p = panes[params.paneKey] || panes.ig;
+            // Plateau plein écran (TikTok) : pas de gabarit blanc — chemin
+            // dédié, le reste de cette fonction est celui du gabarit meme.
+            if (isFullBleed(p)) return generateFullBleedTemplatePNG(p);
+            const template = TEMPLATES[params.template] || templateOf(p);
+            const textBox = p.textBox;
+            const offset = CANVAS_PADDING;
+
+            // Récupérer le texte directement depuis le textBox (priorité), puis params, puis state
+            // Car l'utilisateur peut taper directement dans le textBox sans passer par l'input
+            let textToRender = '';
+            if (textBox && (textBox.visible === false || textBox.layerHidden)) {
+                // Masquée par un bloc minuté vide ou aux calques : pas de légende.
+            } else if (textBox && textBox.text && textBox.text !== 'Tape ton texte...') {
+                textToRender = textBox.text;
+            } else if (params.text) {
+                textToRender = params.text;
+            } else if (paneText(p)) {
+                textToRender = captionText(resolveTextVariables(paneText(p)));
             }
-        }
 
-        function pickerCallback(data) {
-            if (data.action === google.picker.Action.PICKED) {
-                const file = data.docs[0];
-                loadFromDrive(file);
-            }
-        }
+            // Prendre en compte le scale du textBox (si redimensionné manuellement)
+            const textBoxScale = textBox ? (textBox.scaleX || 1) : 1;
+            const textSizeToUse = (params.textSize || paneTextSize(p)) * textBoxScale;
 
-        async function loadFromDrive(file) {
-            driveConnect.style.display = 'none';
-            driveLoading.style.display = 'flex';
-            driveLoading.querySelector('span').textContent = 'Chargement de ' + file.name + '...';
+            // Position du texte depuis textBox (Fabric.js) ou params
+            const textXPos = params.textX !== undefined ? params.textX : (textBox ? textBox.left - offset : template.textArea.x);
+            const textYPos = params.textY !== undefined ? params.textY : (textBox ? textBox.top - offset : template.textArea.y);
             
-            try {
-                // Fetch the file content
-                const response = await fetch(`https://www.googleapis.com/drive/v3/files/${file.id}?alt=media`, {
-                    headers: {
-                        'Authorization': 'Bearer ' + oauthToken
+            
+            // Attendre que les polices soient chargées — celles de la légende
+            // d'abord (et son gras) : elles peuvent n'être demandées qu'à l'instant
+            await Promise.all(captionFonts().map(loadFont));
+            await document.fonts.ready;
+            
+            // Créer un canvas temporaire à la taille du template (sans padding)
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = template.width;
+            tempCanvas.height = template.height;
+            const ctx = tempCanvas.getContext('2d');
+            
+            // Fond du bandeau (blanc hors kit de marque)
+            ctx.fillStyle = bandColor();
+            ctx.fillRect(0, 0, template.width, template.height);
+            
+            // Dessiner le texte principal AVANT de découper le trou
+            if (textToRender && textToRender.trim()) {
+                ctx.save();
+                
+                // Utiliser la même police que le textBox Fabric.js (graisse comprise)
+                ctx.font = `${elementFont('text').weight} ${textSizeToUse}px ${captionFontFamily()}`;
+                ctx.fillStyle = captionColor();
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'top';
+                
+                const lineHeight = textSizeToUse * (params.lineHeight || paneLineHeight(p));
+                
+                // Utiliser les lignes réelles du textBox Fabric.js (word wrap
+                // et styles de caractères inclus, voir drawCaption)
+                if (textBox && textBox._textLines) {
+                    drawCaption(ctx, textBox, textXPos, textYPos, textSizeToUse, lineHeight);
+                } else {
+                    // Fallback: split par \n
+                    const lines = textToRender.split('\n');
+                    let y = textYPos;
+                    for (const line of lines) {
+                        ctx.fillText(line, textXPos, y);
+                        y += lineHeight;
                     }
-                });
+                }
                 
-                const blob = await response.blob();
-                const blobFile = new File([blob], file.name, { type: file.mimeType });
+                ctx.restore();
+            }
+            
+            // Découper le trou pour la vidéo (zone transparente avec coins arrondis)
+            ctx.save();
+            ctx.globalCompositeOperation = 'destination-out';
+            
+            // Utiliser les dimensions du frame depuis params (inclut la hauteur personnalisée)
+            const frameX = params.frameX;
+            const frameY = params.frameY;
+            const frameWidth = params.frameWidth;
+            const frameHeight = params.frameHeight;
+            const radius = params.frameRadius || 0;
+            
+            // Dessiner un rectangle arrondi transparent
+            ctx.beginPath();
+            ctx.moveTo(frameX + radius, frameY);
+            ctx.lineTo(frameX + frameWidth - radius, frameY);
+            ctx.quadraticCurveTo(frameX + frameWidth, frameY, frameX + frameWidth, frameY + radius);
+            ctx.lineTo(frameX + frameWidth, frameY + frameHeight - radius);
+            ctx.quadraticCurveTo(frameX + frameWidth, frameY + frameHeight, frameX + frameWidth - radius, frameY + frameHeight);
+            ctx.lineTo(frameX + radius, frameY + frameHeight);
+            ctx.quadraticCurveTo(frameX, frameY + frameHeight, frameX, frameY + frameHeight - radius);
+            ctx.lineTo(frameX, frameY + radius);
+            ctx.quadraticCurveTo(frameX, frameY, frameX + radius, frameY);
+            ctx.closePath();
+            ctx.fill();
+            
+            ctx.restore();
+            
+            // Le texte est maintenant dessiné AVANT le trou (voir plus haut)
+            
+            // Dessiner le logo watermark
+            const watermark = p.watermark;
+            if (watermark && watermark.type === 'image' && !watermark.layerHidden) {
+                ctx.save();
+
+                // Position du watermark (depuis Fabric.js - originX: right, originY: bottom)
+                const wmLeft = watermark.left - offset;
+                const wmTop = watermark.top - offset;
+                const wmWidth = watermark.width * watermark.scaleX;
+                const wmHeight = watermark.height * watermark.scaleY;
                 
-                // Switch back to local tab to show preview
-                importTabs.forEach(t => t.classList.remove('active'));
-                document.querySelector('.import-tab[data-source="local"]').classList.add('active');
-                uploadZone.style.display = 'block';
-                driveZone.style.display = 'none';
+                // Opacité
+                ctx.globalAlpha = state.watermarkOpacity / 100;
                 
-                // Load the file
-                loadMedia(blobFile);
+                // Le watermark est aligné right/bottom dans Fabric, donc:
+                // left/top représentent le coin bottom-right
+                ctx.drawImage(
+                    watermark.getElement(),
+                    wmLeft - wmWidth,
+                    wmTop - wmHeight,
+                    wmWidth,
+                    wmHeight
+                );
                 
-            } catch (error) {
-                console.error('Error loading from Drive:', error);
-                note('Le fichier n\u2019a pas pu être chargé depuis Google Drive. Réessaie ; si l\u2019erreur persiste, reconnecte le compte dans les Réglages.', 'error');
-                driveLoading.style.display = 'none';
-                driveConnect.style.display = 'block';
+                ctx.restore();
             }
-        }
 
-        function showDriveConfigModal() {
-            const modal = document.createElement('div');
-            modal.id = 'drive-config-modal';
-            modal.innerHTML = `
-                <div style="position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center; z-index: 10000;">
-                    <div style="background: #1a1a1a; border-radius: 16px; padding: 24px; max-width: 450px; width: 90%;">
-                        <h3 style="margin-bottom: 16px; font-size: 18px;">⚙️ Configuration Google Drive</h3>
-                        <p style="color: #888; font-size: 13px; margin-bottom: 16px;">
-                            Pour utiliser Google Drive, tu dois d'abord configurer tes identifiants Google Cloud.
-                            <a href="https://console.cloud.google.com/" target="_blank" style="color: #ef4444;">Créer un projet</a>
-                        </p>
-                        <div style="margin-bottom: 12px;">
-                            <label style="display: block; font-size: 12px; color: #888; margin-bottom: 6px;">API Key</label>
-                            <input type="text" id="drive-api-key" placeholder="AIza..." 
-                                   style="width: 100%; padding: 12px; background: #111; border: 2px solid #333; border-radius: 8px; color: #fff; font-size: 14px;">
-                        </div>
-                        <div style="margin-bottom: 16px;">
-                            <label style="display: block; font-size: 12px; color: #888; margin-bottom: 6px;">Client ID</label>
-                            <input type="text" id="drive-client-id" placeholder="xxxxx.apps.googleusercontent.com" 
-                                   style="width: 100%; padding: 12px; background: #111; border: 2px solid #333; border-radius: 8px; color: #fff; font-size: 14px;">
-                        </div>
-                        <div style="display: flex; gap: 12px;">
-                            <button onclick="document.getElementById('drive-config-modal').remove()" 
-                                    style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer;">
-                                Annuler
-                            </button>
-                            <button onclick="saveDriveConfig()" 
-                                    style="flex: 1; padding: 12px; background: #1a73e8; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-weight: 600;">
-                                Sauvegarder
-                            </button>
-                        </div>
-                    </div>
-                </div>
-            `;
-            document.body.appendChild(modal);
+            // Annotations : par-dessus la vidéo, comme à l'écran.
+            drawAnnotations(ctx, p);
+            
+            // Convertir en blob PNG
+            return new Promise((resolve) => {
+                tempCanvas.toBlob((blob) => {
+                    resolve(blob);
+                }, 'image/png');
+            });
         }
 
-        window.saveDriveConfig = function() {
-            const apiKey = document.getElementById('drive-api-key').value.trim();
-            const clientId = document.getElementById('drive-client-id').value.trim();
-            
-            if (apiKey && clientId) {
-                localStorage.setItem('samourais_google_api_key', apiKey);
-                localStorage.setItem('samourais_google_client_id', clientId);
-                document.getElementById('drive-config-modal').remove();
-                
-                // Reload to apply
-                location.reload();
-            } else {
-                note('Les deux champs sont obligatoires.', 'warning');
-            }
-        };
+        // saveBackendUrl removed — backend is integrated
 
         // ============================================
-        // RETOUCHE IMAGE (LOT C)
-        // --------------------------------------------
-        // Recadrage au ratio, rotation, retournement et réglages de base.
-        // Tout passe par Fabric : cropX/cropY/width/height pour le
-        // recadrage (le fichier source n'est jamais réécrit), `angle`
-        // pour la rotation, flipX/flipY pour le miroir, et les filtres
-        // intégrés Brightness / Contrast / Saturation pour les réglages.
-        //
-        // Conséquence voulue : ZÉRO aller-retour serveur. Pas d'upload,
-        // pas de fichier temporaire à nettoyer, pas de worker bloqué, et
-        // aucun échec qui pourrait disparaître sans que l'utilisateur le
-        // voie — le seul échec possible (filtre WebGL) est capturé et
-        // remonté par `note()`.
+        // EVENT LISTENERS
         // ============================================
+        /** Bascule le plateau Instagram sur un format ; son cadrage repart de zéro. */
+        function selectFormat(format) {
+            // Gabarit personnalisé supprimé entre-temps (historique, composition
+            // rouverte) : retour au format par défaut.
+            if (!TEMPLATES[format]) format = 'portrait';
+            // Requête à chaque appel : les boutons des gabarits personnalisés
+            // arrivent après le chargement de la page.
+            formatSelector.querySelectorAll('.format-btn').forEach(b => {
+                b.classList.toggle('active', b.dataset.format === format);
+            });
+            state.currentTemplate = format;
+            updateTemplateEditBtn();
 
-        // Ratios proposés, en largeur/hauteur.
-        const CROP_RATIOS = {
-            '1': 1, '0.8': 0.8, '0.5625': 0.5625, '1.7777778': 16 / 9
-        };
+            const ig = panes.ig;
+            ig.imageOffsetX = 0;
+            ig.imageOffsetY = 0;
+            ig.imageScale = 100;
+            ig.frameHeightPercent = 100;
 
-        /**
-         * Recadre l'objet Fabric au ratio demandé, centré sur la source.
-         * `ratio` null remet l'image entière. Les dimensions naturelles
-         * sont mémorisées sur l'objet (_natW/_natH) au premier ajout :
-         * width/height sont ensuite la FENÊTRE de recadrage, pas la source.
-         */
-        function applyCropToImage(img, ratio) {
-            const natW = img._natW || img.width;
-            const natH = img._natH || img.height;
+            imageScaleSlider.value = 100;
+            imageScaleValue.textContent = '100%';
+            frameHeightSlider.value = 100;
+            frameHeightValue.textContent = '100%';
 
-            if (!ratio || !isFinite(ratio) || ratio <= 0) {
-                img.set({ cropX: 0, cropY: 0, width: natW, height: natH });
-                return;
+            // Frame height slider available for all formats (1:1, 4:5, 9:16)
+            frameHeightSection.style.display = 'block';
+
+            // LOT C — les dimensions annoncées du fichier de sortie
+            // suivent le format choisi.
+            updateExportReadout();
+
+            // Le libellé du plateau Instagram suit le format.
+            if (stageDimsIG) {
+                const t = templateOf(ig);
+                stageDimsIG.textContent = `${t.width}×${t.height}`;
             }
 
-            let cw, ch;
-            if (natW / natH > ratio) {
-                ch = natH;
-                cw = Math.round(natH * ratio);
-            } else {
-                cw = natW;
-                ch = Math.round(natW / ratio);
+            updateCanvasSize(ig);
+            createElements(ig);
+
+            if (state.imageSrc) {
+                addImageToCanvas(ig, state.imageSrc);
             }
-            cw = Math.max(1, Math.min(natW, cw));
-            ch = Math.max(1, Math.min(natH, ch));
+            if (state.showOverlay && state.overlayText) {
+                addOverlayText(ig);
+            }
+            updateText(state.text);
+        }
 
-            img.set({
-                cropX: Math.round((natW - cw) / 2),
-                cropY: Math.round((natH - ch) / 2),
-                width: cw,
-                height: ch
+        /** Interrupteur et plateau à l'image de `p.enabled`. */
+        function syncPaneToggle(p) {
+            const btn = document.getElementById('toggle-' + p.key);
+            if (btn) {
+                btn.setAttribute('aria-pressed', String(p.enabled));
+                const sw = btn.querySelector('.toggle-switch');
+                if (sw) sw.classList.toggle('active', p.enabled);
+            }
+            const stage = document.getElementById(p.stageId);
+            if (stage) stage.classList.toggle('is-off', !p.enabled);
+        }
+
+        function setupEventListeners() {
+            // Format selection — NE PILOTE QUE le plateau Instagram :
+            // le plateau TikTok est fixe en 1080×1920. Délégation : les
+            // gabarits personnalisés ajoutent leurs boutons plus tard.
+            formatSelector.addEventListener('click', (e) => {
+                const btn = e.target.closest('.format-btn');
+                if (!btn) return;
+                selectFormat(btn.dataset.format);
+                commitHistory('Format Instagram');
+            });
+
+            // File upload - click
+            uploadZone.addEventListener('click', () => fileInput.click());
+
+            // File upload - drag & drop
+            uploadZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                uploadZone.style.borderColor = '#ef4444';
+            });
+
+            uploadZone.addEventListener('dragleave', () => {
+                uploadZone.style.borderColor = '#333';
+            });
+
+            uploadZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                uploadZone.style.borderColor = '#333';
+                const file = e.dataTransfer.files[0];
+                if (file && (file.type.startsWith('image/') || file.type.startsWith('video/'))) {
+                    loadMedia(file);
+                }
             });
-        }
 
-        /**
-         * Recalcule l'échelle de couverture du cadre et repositionne
-         * l'image après un recadrage ou une rotation. Une rotation de
-         * 90°/270° échange largeur et hauteur : sans ça l'image cesse de
-         * couvrir le cadre et laisse apparaître le fond gris.
-         */
-        function reapplyImageTransforms() {
-            eachPane(function(p) {
-                if (!p.imageObj) return;
+            // File input change
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) loadMedia(file);
+            });
 
-                const template = templateOf(p);
-                const frame = template.frame;
-                const offset = CANVAS_PADDING;
+            // Meme text
+            // Champs du texte : valeur commune, ou propre au plateau choisi
+            // dans « Texte pour » (voir TEXTE PAR PLATEAU).
+            memeTextInput.addEventListener('input', (e) => {
+                const p = textTargetPane();
+                if (p) setTextOverride(p, 'text', e.target.value);
+                else updateText(e.target.value);
+                scheduleHistoryCommit('Texte');
+            });
 
-                applyCropToImage(p.imageObj, state.cropRatio);
+            // Sliders : l'aperçu suit `input`, l'historique retient le
+            // geste entier au relâchement (`change`).
+            // Text size slider
+            textSizeSlider.addEventListener('input', (e) => {
+                const p = textTargetPane();
+                if (p) {
+                    setTextOverride(p, 'size', parseInt(e.target.value));
+                    textSizeValue.textContent = e.target.value + 'px';
+                } else {
+                    updateTextSize(e.target.value);
+                }
+            });
+            textSizeSlider.addEventListener('change', () => commitHistory('Taille du texte'));
 
-                const quarterTurn = (state.rotation % 180) !== 0;
-                const srcW = quarterTurn ? p.imageObj.height : p.imageObj.width;
-                const srcH = quarterTurn ? p.imageObj.width : p.imageObj.height;
+            // Line height slider
+            lineHeightSlider.addEventListener('input', (e) => {
+                const p = textTargetPane();
+                if (p) {
+                    setTextOverride(p, 'lineHeight', e.target.value / 100);
+                    lineHeightValue.textContent = (e.target.value / 100).toFixed(1);
+                } else {
+                    updateLineHeight(e.target.value);
+                }
+            });
+            lineHeightSlider.addEventListener('change', () => commitHistory('Interligne'));
 
-                const baseScale = Math.max(frame.width / srcW, frame.height / srcH);
-                p.imageObj._baseScale = baseScale;
+            // Image scale slider
+            imageScaleSlider.addEventListener('input', (e) => {
+                updateImageScale(parseInt(e.target.value));
+            });
+            imageScaleSlider.addEventListener('change', () => commitHistory('Zoom image'));
 
-                const finalScale = baseScale * (p.imageScale / 100);
-                const centerX = frame.x + frame.width / 2 + offset;
-                const centerY = frame.y + frame.height / 2 + offset;
+            // Frame height slider (story only)
+            frameHeightSlider.addEventListener('input', (e) => {
+                updateFrameHeight(parseInt(e.target.value));
+            });
+            frameHeightSlider.addEventListener('change', () => commitHistory('Hauteur du cadre'));
 
-                p.imageObj.set({
-                    angle: state.rotation,
-                    flipX: state.flipX,
-                    flipY: state.flipY,
-                    scaleX: finalScale,
-                    scaleY: finalScale,
-                    left: centerX + p.imageOffsetX,
-                    top: centerY + p.imageOffsetY
+            // Select image button — sélectionne le média sur chaque plateau
+            // actif (canvas indépendants, une sélection chacun).
+            selectImageBtn.addEventListener('click', () => {
+                activePanes().forEach(function(p) {
+                    if (p.imageObj) {
+                        p.canvas.setActiveObject(p.imageObj);
+                        p.canvas.renderAll();
+                    }
                 });
-                p.imageObj.setCoords();
-                p.canvas.requestRenderAll();
             });
-            updateImageEditReadouts();
-        }
 
-        // Les filtres sont recalculés sur toute l'image : sur un slider
-        // qui émet à chaque pixel de course, on ne garde que la dernière
-        // valeur de chaque frame.
-        let filterFrame = null;
+            // Overlay toggle
+            overlayToggle.addEventListener('click', () => {
+                toggleOverlay();
+                commitHistory('Texte sur l’image');
+            });
 
-        function applyImageFiltersNow() {
-            filterFrame = null;
-            let filterFailureNoted = false;
+            // Overlay text
+            overlayTextInput.addEventListener('input', (e) => {
+                updateOverlayText(e.target.value);
+                scheduleHistoryCommit('Texte sur l’image');
+            });
 
-            eachPane(function(p) {
-                if (!p.imageObj) return;
+            // Reset — annulable comme le reste : le texte est conservé,
+            // le cadrage et la retouche reviennent d'un Ctrl+Z.
+            resetBtn.addEventListener('click', () => {
+                resetAll();
+                commitHistory('Réinitialisation');
+            });
 
-                const filters = [];
-                if (state.brightness) {
-                    filters.push(new fabric.Image.filters.Brightness({
-                        brightness: state.brightness / 100
-                    }));
-                }
-                if (state.contrast) {
-                    filters.push(new fabric.Image.filters.Contrast({
-                        contrast: state.contrast / 100
-                    }));
-                }
-                if (state.saturation) {
-                    filters.push(new fabric.Image.filters.Saturation({
-                        saturation: state.saturation / 100
-                    }));
-                }
+            // Export
+            exportBtn.addEventListener('click', exportMeme);
 
-                p.imageObj.filters = filters;
-                try {
-                    p.imageObj.applyFilters();
-                } catch (err) {
-                    // Un échec de filtre est VISIBLE : on revient à l'image
-                    // nue et on le dit, au lieu de laisser un canvas figé
-                    // sans explication. Un seul message pour les deux plateaux.
-                    console.error('[editor] application des filtres impossible', err);
-                    if (!filterFailureNoted) {
-                        filterFailureNoted = true;
-                        note('Les réglages n’ont pas pu être appliqués à cette image. L’image d’origine est conservée.', 'error');
-                    }
-                    p.imageObj.filters = [];
-                    try { p.imageObj.applyFilters(); } catch (e) { /* déjà signalé */ }
-                }
-                p.canvas.requestRenderAll();
+            // Schedule - send to calendar
+            scheduleBtn.addEventListener('click', schedulePost);
+
+            // Save meme to viewer gallery
+            if (saveMemeBtn) saveMemeBtn.addEventListener('click', saveMemeToViewer);
+
+            // Import source tabs
+            const libraryZone = document.getElementById('library-zone');
+            importTabs.forEach(tab => {
+                tab.addEventListener('click', () => {
+                    importTabs.forEach(t => t.classList.remove('active'));
+                    tab.classList.add('active');
+
+                    const source = tab.dataset.source;
+                    uploadZone.style.display = source === 'local' ? 'block' : 'none';
+                    driveZone.style.display = source === 'drive' ? 'block' : 'none';
+                    if (libraryZone) libraryZone.style.display = source === 'library' ? 'block' : 'none';
+                    if (source === 'library') loadLibraryMedia();
+                });
             });
-        }
 
-        function applyImageFilters() {
-            if (!panes.ig.imageObj && !panes.tt.imageObj) return;
-            if (filterFrame) cancelAnimationFrame(filterFrame);
-            filterFrame = requestAnimationFrame(applyImageFiltersNow);
-        }
+            // Google Drive connect button
+            connectDriveBtn.addEventListener('click', openGoogleDrivePicker);
 
-        /**
-         * Applique SANS ATTENDRE les réglages encore en file d'attente.
-         *
-         * Indispensable avant tout rendu : requestAnimationFrame ne
-         * garantit rien sur une frame donnée (et n'est même pas servi
-         * quand l'onglet est en arrière-plan). Sans ce vidage, une image
-         * exportée juste après un mouvement de slider partait SANS le
-         * réglage que l'utilisateur venait de voir à l'écran — un écart
-         * silencieux entre l'aperçu et le fichier produit.
-         */
-        function flushImageFilters() {
-            if (filterFrame === null) return;
-            cancelAnimationFrame(filterFrame);
-            applyImageFiltersNow();
-        }
+            // ---- Retouche image (LOT C) ----
+            if (cropGroup) {
+                cropGroup.addEventListener('click', (e) => {
+                    const btn = e.target.closest('.seg__btn');
+                    if (!btn) return;
+                    const key = btn.dataset.ratio;
+                    state.cropRatio = (key === 'free') ? null : (CROP_RATIOS[key] || null);
+                    cropGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    reapplyImageTransforms();
+                    commitHistory('Recadrage');
+                });
+            }
 
-        /** Dimensions annoncées : source, fenêtre de recadrage, rotation.
-            La SOURCE est la même pour les deux plateaux : on lit le premier
-            objet image disponible. */
-        function updateImageEditReadouts() {
-            if (!cropReadout || !orientReadout) return;
+            if (rotateLeftBtn) {
+                rotateLeftBtn.addEventListener('click', () => {
+                    state.rotation = (state.rotation + 270) % 360;
+                    reapplyImageTransforms();
+                    commitHistory('Rotation');
+                });
+            }
+            if (rotateRightBtn) {
+                rotateRightBtn.addEventListener('click', () => {
+                    state.rotation = (state.rotation + 90) % 360;
+                    reapplyImageTransforms();
+                    commitHistory('Rotation');
+                });
+            }
+            if (flipHBtn) {
+                flipHBtn.addEventListener('click', () => {
+                    state.flipX = !state.flipX;
+                    flipHBtn.setAttribute('aria-pressed', String(state.flipX));
+                    eachPane(function(p) {
+                        if (p.imageObj) { p.imageObj.set({ flipX: state.flipX }); p.canvas.requestRenderAll(); }
+                    });
+                    updateImageEditReadouts();
+                    commitHistory('Miroir horizontal');
+                });
+            }
+            if (flipVBtn) {
+                flipVBtn.addEventListener('click', () => {
+                    state.flipY = !state.flipY;
+                    flipVBtn.setAttribute('aria-pressed', String(state.flipY));
+                    eachPane(function(p) {
+                        if (p.imageObj) { p.imageObj.set({ flipY: state.flipY }); p.canvas.requestRenderAll(); }
+                    });
+                    updateImageEditReadouts();
+                    commitHistory('Miroir vertical');
+                });
+            }
 
-            const imageObj = panes.ig.imageObj || panes.tt.imageObj;
-            if (!imageObj) {
-                cropReadout.textContent = 'Source : —';
-                orientReadout.innerHTML = 'Rotation : <strong>0°</strong>';
-                return;
+            if (imageResetBtn) {
+                imageResetBtn.addEventListener('click', () => {
+                    resetImageEdits(false);
+                    commitHistory('Retouche remise à zéro');
+                });
             }
 
-            const natW = imageObj._natW || imageObj.width;
-            const natH = imageObj._natH || imageObj.height;
-            const cw = Math.round(imageObj.width);
-            const ch = Math.round(imageObj.height);
+            // ---- Fichier de sortie (LOT C) ----
+            if (imgFormatGroup) {
+                imgFormatGroup.addEventListener('click', (e) => {
+                    const btn = e.target.closest('.seg__btn');
+                    if (!btn) return;
+                    state.exportFormat = btn.dataset.imgformat;
+                    imgFormatGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    updateExportReadout();
+                });
+            }
+            if (exportQuality) {
+                exportQuality.addEventListener('input', (e) => {
+                    state.exportQuality = parseInt(e.target.value, 10);
+                    exportQualityValue.textContent = state.exportQuality + '%';
+                    updateExportReadout();
+                });
+            }
+            if (sizeGroup) {
+                sizeGroup.addEventListener('click', (e) => {
+                    const btn = e.target.closest('.seg__btn');
+                    if (!btn) return;
+                    state.exportScale = parseFloat(btn.dataset.scale) || 1;
+                    sizeGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    updateExportReadout();
+                });
+            }
+            // Sortie vidéo : un groupe par réglage, même motif que ci-dessus.
+            [
+                [vidFormatGroup, 'vidformat', 'videoFormat', String],
+                [animFpsGroup, 'fps', 'animFps', Number],
+                [animWidthGroup, 'width', 'animWidth', Number],
+                [gifColorsGroup, 'colors', 'gifColors', Number]
+            ].forEach(function([group, attr, key, parse]) {
+                if (!group) return;
+                group.addEventListener('click', (e) => {
+                    const btn = e.target.closest('.seg__btn');
+                    if (!btn) return;
+                    state[key] = parse(btn.dataset[attr]);
+                    group.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    updateVideoExportReadout();
+                });
+            });
+            if (animQuality) {
+                animQuality.addEventListener('input', (e) => {
+                    state.animQuality = parseInt(e.target.value, 10);
+                    animQualityValue.textContent = state.animQuality + '%';
+                    updateVideoExportReadout();
+                });
+            }
 
-            cropReadout.textContent = (cw === natW && ch === natH)
-                ? `Source : ${natW}×${natH} px — image entière`
-                : `Source : ${natW}×${natH} px — recadrée à ${cw}×${ch} px`;
+            // Window resize
+            window.addEventListener('resize', updateAllCanvasSizes);
 
-            const mirrors = [];
-            if (state.flipX) mirrors.push('miroir horizontal');
-            if (state.flipY) mirrors.push('miroir vertical');
-            orientReadout.innerHTML = `Rotation : <strong>${state.rotation}°</strong>`
-                + (mirrors.length ? ' — ' + mirrors.join(', ') : '');
-        }
+            // ---- Interrupteurs de plateau (éditeur multiple) ----
+            eachPane(function(p) {
+                const btn = document.getElementById('toggle-' + p.key);
+                if (!btn) return;
+                // Le balisage part de l'état par défaut du plateau.
+                syncPaneToggle(p);
+                btn.addEventListener('click', function() {
+                    if (p === panes.ig && carousel.active) {
+                        note('Le carrousel vit sur le plateau Instagram : quitte le mode carrousel pour le désactiver.', 'warning');
+                        return;
+                    }
+                    p.enabled = !p.enabled;
+                    syncPaneToggle(p);
+                    // Les autres plateaux récupèrent la place libérée.
+                    updateAllCanvasSizes();
+                    updateExportReadout();
+                });
+            });
 
-        /** Remet les boutons/sliders de retouche en accord avec `state`. */
-        function syncImageEditControls() {
-            if (cropGroup) {
-                const key = state.cropRatio === null ? 'free' : String(state.cropRatio);
-                cropGroup.querySelectorAll('.seg__btn').forEach(btn => {
-                    btn.classList.toggle('active', btn.dataset.ratio === key);
+            // ---- Texte TikTok « POV » ----
+            if (povTextInput) {
+                povTextInput.addEventListener('input', function(e) {
+                    state.povText = e.target.value;
+                    ensurePovObject();
+                    scheduleHistoryCommit('Texte POV');
+                });
+            }
+            if (povStyleGroup) {
+                povStyleGroup.addEventListener('click', function(e) {
+                    const btn = e.target.closest('.seg__btn');
+                    if (!btn) return;
+                    state.povStyle = btn.dataset.povstyle === 'dark' ? 'dark' : 'light';
+                    povStyleGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                    restylePovObject();
+                    commitHistory('Style POV');
                 });
             }
-            if (flipHBtn) flipHBtn.setAttribute('aria-pressed', String(state.flipX));
-            if (flipVBtn) flipVBtn.setAttribute('aria-pressed', String(state.flipY));
-            if (adjBrightness) { adjBrightness.value = state.brightness; adjBrightnessValue.textContent = state.brightness; }
-            if (adjContrast) { adjContrast.value = state.contrast; adjContrastValue.textContent = state.contrast; }
-            if (adjSaturation) { adjSaturation.value = state.saturation; adjSaturationValue.textContent = state.saturation; }
-            updateImageEditReadouts();
-        }
 
-        /** Remet la retouche à zéro (sans recharger l'image). */
-        function resetImageEdits(silent) {
-            Object.assign(state, IMAGE_EDIT_DEFAULTS);
-            syncImageEditControls();
-            if (panes.ig.imageObj || panes.tt.imageObj) {
-                reapplyImageTransforms();
-                applyImageFilters();
+            // ---- Dialogue de planification double ----
+            if (scheduleForm) {
+                scheduleForm.addEventListener('submit', function(e) {
+                    // `method="dialog"` ferme la boîte quel que soit le
+                    // bouton ; on ne crée les posts que sur « confirm ».
+                    if (e.submitter && e.submitter.value === 'confirm') {
+                        confirmSchedule();
+                    }
+                });
             }
-            if (!silent) note('Retouche annulée : recadrage, rotation et réglages remis à zéro.', 'success');
         }
 
         // ============================================
-        // FICHIER DE SORTIE (LOT C)
+        // LIBRARY — Load scraped media from viewer API
         // ============================================
+        let libraryPage = 1;
+        let libraryLoading = false;
 
-        /** Dimensions réelles du fichier produit PAR PLATEAU, multiplicateur compris. */
-        function exportPixelSize(p) {
-            const template = templateOf(p);
-            return {
-                width: Math.round(template.width * state.exportScale),
-                height: Math.round(template.height * state.exportScale)
-            };
-        }
-
-        function updateExportReadout() {
-            if (!exportDims) return;
-            // Deux fichiers sortent désormais : on annonce les deux tailles.
-            const parts = activePanes().map(function(p) {
-                const size = exportPixelSize(p);
-                return `${p.label} ${size.width}×${size.height}`;
-            });
-            exportDims.textContent = parts.length
-                ? parts.join(' + ') + ' px'
-                : 'aucun plateau actif';
-            if (exportFormatLabel) {
-                exportFormatLabel.textContent = state.exportFormat === 'jpeg'
-                    ? `JPEG, qualité ${state.exportQuality}%`
-                    : 'PNG';
-            }
-            if (qualityCtl) {
-                qualityCtl.style.display = state.exportFormat === 'jpeg' ? 'block' : 'none';
-            }
-        }
-
-        /**
-         * Rend le plan de travail en image, hors marge de manipulation.
-         * Zoom remis à 1, repères de cadre masqués, sélection annulée —
-         * puis tout est restauré, y compris si le rendu échoue.
-         */
-        function renderCanvasToDataURL(p, format, quality, multiplier) {
-            // Ce que l'utilisateur voit doit être ce qui sort du canvas :
-            // on vide d'abord les réglages en attente.
-            flushImageFilters();
-
-            const template = templateOf(p);
-            const originalZoom = p.canvas.getZoom();
+        async function loadLibraryMedia(append = false) {
+            if (libraryLoading) return;
+            libraryLoading = true;
+            const zone = document.getElementById('library-zone');
+            const grid = document.getElementById('library-grid');
+            if (!zone || !grid) { libraryLoading = false; return; }
 
-            p.frameBorder.set({ visible: false });
-            p.frameRect.set({ visible: false });
-            // Le placeholder « Tape ton texte... » est une AIDE d'édition, pas
-            // du contenu : sans cette garde il était GRAVÉ dans chaque export
-            // dont le bandeau était vide — et la planification double l'écrivait
-            // dans les deux vignettes du calendrier d'un coup.
-            const placeholderVisible = p.textBox
-                && p.textBox.visible !== false
-                && p.textBox.text === 'Tape ton texte...';
-            if (placeholderVisible) p.textBox.set({ visible: false });
-            p.canvas.discardActiveObject();
-            // Transform identité et pas setZoom(1) : sous 900px le viewport
-            // porte une translation (cadrage mobile) que setZoom conserverait
-            // — l'export sortirait décalé. Sur desktop, strictement équivalent.
-            p.canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
-            p.canvas.setWidth(template.width + (CANVAS_PADDING * 2));
-            p.canvas.setHeight(template.height + (CANVAS_PADDING * 2));
-            p.canvas.renderAll();
+            if (!append) { libraryPage = 1; grid.innerHTML = ''; }
 
             try {
-                return p.canvas.toDataURL({
-                    format: format,
-                    quality: quality,
-                    multiplier: multiplier || 1,
-                    left: CANVAS_PADDING,
-                    top: CANVAS_PADDING,
-                    width: template.width,
-                    height: template.height
+                const res = await fetch(`/api/viewer/media?page=${libraryPage}&per_page=30&sort=date_desc`);
+                const data = await res.json();
+
+                data.items.forEach(item => {
+                    const el = document.createElement('div');
+                    el.className = 'drive-file' + (item.media_type === 'video' ? ' drive-file-video' : '');
+                    el.innerHTML = `<img src="${item.file_url || item.media_url || ''}" alt="${item.caption || ''}" loading="lazy">`;
+                    el.onclick = () => loadLibraryItem(item);
+                    grid.appendChild(el);
                 });
-            } finally {
-                p.canvas.setZoom(originalZoom);
-                updateCanvasSize(p);
-                p.frameBorder.set({ visible: true });
-                p.frameRect.set({ visible: true });
-                if (placeholderVisible) p.textBox.set({ visible: true });
-                p.canvas.renderAll();
+
+                if (data.items.length === 0 && !append) {
+                    grid.innerHTML = '<div style="padding: 24px; text-align: center; color: #666; grid-column: 1/-1;">Aucun media dans la bibliothèque</div>';
+                }
+            } catch (e) {
+                console.error('Failed to load library', e);
+                if (!append) grid.innerHTML = '<div style="padding: 24px; text-align: center; color: #666; grid-column: 1/-1;">Erreur de chargement</div>';
             }
+            libraryLoading = false;
         }
 
-        /** Poids d'une data URL base64, en octets. */
-        function dataURLBytes(dataURL) {
-            const base64 = dataURL.slice(dataURL.indexOf(',') + 1);
-            const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
-            return Math.max(0, Math.floor(base64.length * 3 / 4) - padding);
+        /** Fichier d'un média de la bibliothèque, ou null (la cause est déjà dite). */
+        async function fetchLibraryFile(item) {
+            const url = `/api/editor/media/${item.id}`;
+            const response = await fetch(url);
+
+            // Sans ce contrôle, un média dont le fichier a disparu du
+            // disque répond 404 avec un corps JSON, et ce JSON était
+            // emballé dans un « library_N.jpg » puis passé au décodeur
+            // d'images : plan de travail vide, aucune explication.
+            if (!response.ok) {
+                let detail = '';
+                try { detail = (await response.json()).error || ''; } catch (e) { /* corps non JSON */ }
+                console.error('[editor] média indisponible', response.status, detail);
+                note(response.status === 404
+                    ? 'Ce média n’est plus disponible sur le disque : son fichier a été déplacé ou supprimé. Relance un téléchargement depuis les Médias.'
+                    : 'Ce média n’a pas pu être récupéré (erreur ' + response.status + '). Réessaie dans un instant.', 'error');
+                return null;
+            }
+
+            const blob = await response.blob();
+            return new File([blob], `library_${item.id}.${item.media_type === 'video' ? 'mp4' : 'jpg'}`, { type: blob.type });
         }
 
-        function formatBytes(bytes) {
-            if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' Mo';
-            return Math.max(1, Math.round(bytes / 1024)) + ' Ko';
+        async function loadLibraryItem(item) {
+            try {
+                const file = await fetchLibraryFile(item);
+                if (!file) return;
+
+                // Create a synthetic file event and use the existing upload handling
+                const dataTransfer = new DataTransfer();
+                dataTransfer.items.add(file);
+                fileInput.files = dataTransfer.files;
+                fileInput.dispatchEvent(new Event('change'));
+                // loadMedia() vient de remettre l'origine à zéro (synchrone).
+                state.sourceMediaId = item.id;
+                // Le kit de marque du profil de ce média, s'il en a un.
+                loadBrandKits(item.id);
+
+                // Switch back to local tab
+                document.querySelectorAll('.import-tab').forEach(t => t.classList.remove('active'));
+                document.querySelector('.import-tab[data-source="local"]').classList.add('active');
+                uploadZone.style.display = 'block';
+                document.getElementById('library-zone').style.display = 'none';
+            } catch (e) {
+                console.error('Failed to load library item', e);
+                note('Le média n\u2019a pas pu être chargé. Vérifie le fichier, puis réessaie.', 'error');
+            }
         }
 
-        /** Révèle/masque les blocs qui n'ont de sens que pour une image. */
-        function updateMediaToolsVisibility() {
-            const isImage = state.mediaType === 'image';
-            if (imageTools) imageTools.style.display = isImage ? 'flex' : 'none';
-            // L'export vidéo est MP4 H.264 : ni format image, ni qualité,
-            // ni multiplicateur ne s'y appliquent. On ne montre pas des
-            // réglages qui n'auraient aucun effet.
-            if (outputTools) outputTools.style.display = (state.mediaType === 'video') ? 'none' : 'flex';
-            updateExportReadout();
+        // Check for media_id in URL params (from viewer "Edit" button)
+        function checkMediaParam() {
+            const params = new URLSearchParams(window.location.search);
+            const mediaId = params.get('media_id');
+            const memeId = params.get('meme_id');
+            const batchIds = params.get('batch');
+            if (batchIds) {
+                startBatch(batchIds);
+            } else if (memeId) {
+                reopenMeme(parseInt(memeId, 10));
+            } else if (mediaId) {
+                loadLibraryItem({ id: parseInt(mediaId), media_type: 'image' });
+            }
         }
 
         // ============================================
-        // RESET & EXPORT
+        // TEXTE TIKTOK « POV »
+        // --------------------------------------------
+        // La typo du texte TikTok (Proxima Nova SemiBold) est COMMERCIALE :
+        // on sert Montserrat SemiBold (OFL), vendorisée dans
+        // /static/vendor/fonts/ avec sa licence OFL.txt. Le style natif
+        // TikTok est un bloc arrondi PAR LIGNE avec un léger débord — Fabric
+        // ne le fait pas nativement (textBackgroundColor = rectangles secs),
+        // on surcharge donc _renderTextLinesBackground sur L'INSTANCE.
+        //
+        // PIÈGE CANVAS : Fabric mesure le texte avec la police DISPONIBLE au
+        // moment du dessin. Si la police n'est pas encore chargée, il dessine
+        // en police de repli SANS ERREUR et fige de mauvaises métriques. D'où
+        // l'attente explicite de loadFont() (FontFaceSet.load, voir POLICES)
+        // avant la création du bloc, et une re-mesure après chargement.
         // ============================================
-        function resetAll() {
-            eachPane(function(p) {
-                p.imageOffsetX = 0;
-                p.imageOffsetY = 0;
-                p.imageScale = 100;
-            });
-
-            imageScaleSlider.value = 100;
-            imageScaleValue.textContent = '100%';
-
-            // LOT C — « Réinitialiser » repart d'une composition vierge :
-            // la retouche de l'image en fait partie.
-            Object.assign(state, IMAGE_EDIT_DEFAULTS);
-            syncImageEditControls();
+        // Les trois styles natifs de TikTok. `bg: null` = aucun bloc de fond :
+        // `povRenderLinesBackground` sort immédiatement, seul le contour reste.
+        //
+        // PIÈGE FABRIC pour le style « contour » : sans `paintFirst: 'stroke'`,
+        // le contour est peint PAR-DESSUS le remplissage et ronge l'intérieur
+        // des lettres — le texte paraît maigre et sale. En le peignant d'abord,
+        // le contour reste derrière et épaissit la lettre vers l'extérieur,
+        // comme le fait TikTok.
+        const POV_STYLES = {
+            light:   { bg: '#ffffff', fill: '#000000', stroke: null },
+            dark:    { bg: 'rgba(0, 0, 0, 0.65)', fill: '#ffffff', stroke: null },
+            outline: { bg: null, fill: '#ffffff', stroke: '#000000' }
+        };
 
-            eachPane(function(p) { createElements(p); });
+        //: Épaisseur du contour, PROPORTIONNELLE au corps : un contour fixe
+        //: disparaît sur un grand texte et noie un petit.
+        const POV_STROKE_RATIO = 0.13;
 
-            if (state.imageSrc) {
-                addImageToAllPanes(state.imageSrc);
-            }
-            if (state.showOverlay && state.overlayText) {
-                addOverlayTextToAllPanes();
+        /** Propriétés de contour à appliquer (ou à retirer) selon le style. */
+        function povStrokeProps(style, fontSize) {
+            if (!style.stroke) {
+                return { stroke: null, strokeWidth: 0 };
             }
-            updateText(state.text);
-            updateTextSize(state.textSize);
+            return {
+                stroke: style.stroke,
+                strokeWidth: Math.max(2, Math.round(fontSize * POV_STROKE_RATIO)),
+                paintFirst: 'stroke',
+                strokeLineJoin: 'round',
+                strokeLineCap: 'round'
+            };
         }
+        /** Fond arrondi par ligne, façon TikTok (débord horizontal léger). */
+        function povRenderLinesBackground(ctx) {
+            if (!this.povBg) return;
+            const padX = this.fontSize * 0.38;   // débord latéral
+            const radius = this.fontSize * 0.30; // coins arrondis
+            const leftOffset = this._getLeftOffset();
+            let lineTop = this._getTopOffset();
 
-        function exportMeme() {
-            if (state.mediaType === 'video') {
-                exportVideo();
-            } else {
-                exportImage();
+            ctx.save();
+            ctx.fillStyle = this.povBg;
+            for (let i = 0; i < this._textLines.length; i++) {
+                const heightOfLine = this.getHeightOfLine(i);
+                const lineWidth = this.getLineWidth(i);
+                if (lineWidth > 0) {
+                    const x = leftOffset + this._getLineLeftOffset(i) - padX;
+                    const w = lineWidth + padX * 2;
+                    const h = heightOfLine;
+                    const r = Math.min(radius, h / 2, w / 2);
+                    ctx.beginPath();
+                    ctx.moveTo(x + r, lineTop);
+                    ctx.lineTo(x + w - r, lineTop);
+                    ctx.quadraticCurveTo(x + w, lineTop, x + w, lineTop + r);
+                    ctx.lineTo(x + w, lineTop + h - r);
+                    ctx.quadraticCurveTo(x + w, lineTop + h, x + w - r, lineTop + h);
+                    ctx.lineTo(x + r, lineTop + h);
+                    ctx.quadraticCurveTo(x, lineTop + h, x, lineTop + h - r);
+                    ctx.lineTo(x, lineTop + r);
+                    ctx.quadraticCurveTo(x, lineTop, x + r, lineTop);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+                lineTop += heightOfLine;
             }
+            ctx.restore();
         }
 
-        // ============================================
-        // PLANIFICATION DOUBLE
-        // --------------------------------------------
-        // « Planifier » propose UN post par plateau actif — Instagram avec
-        // l'export du canvas gauche, TikTok avec celui du canvas droit —
-        // même date/heure proposée, modifiable avant validation. Le POST
-        // /api/calendar/posts existant est réutilisé tel quel : la colonne
-        // `platforms` (JSON) porte la plateforme, aucune migration.
-        // ============================================
-
-        /** Valeur `datetime-local` à partir d'un Date (fuseau local). */
-        function toDatetimeLocalValue(d) {
-            const pad = n => String(n).padStart(2, '0');
-            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
-                + `T${pad(d.getHours())}:${pad(d.getMinutes())}`;
-        }
+        /**
+         * Crée/actualise/retire le bloc POV du canvas TikTok — `text` :
+         * texte affiché à la place du POV fixe (textes minutés).
+         */
+        function ensurePovObject(text) {
+            const p = panes.tt;
+            if (!p.canvas) return;
+            const shown = typeof text === 'string' ? text : resolveTextVariables(state.povText);
 
-        function schedulePost() {
-            if (!scheduleDialog || typeof scheduleDialog.showModal !== 'function') {
-                note('Le dialogue de planification est indisponible dans ce navigateur.', 'error');
+            if (!shown.trim()) {
+                if (p.povObj) {
+                    p.canvas.remove(p.povObj);
+                    p.povObj = null;
+                    p.canvas.renderAll();
+                }
                 return;
             }
 
-            // Même date/heure PROPOSÉE pour les deux posts : prochaine
-            // heure ronde, au moins 30 minutes devant.
-            const proposed = new Date(Date.now() + 90 * 60 * 1000);
-            proposed.setMinutes(0, 0, 0);
-            scheduleDatetime.value = toDatetimeLocalValue(proposed);
-
-            // Un plateau désactivé n'est pas proposé (mais reste décochable
-            // → recochable tant qu'il est actif).
-            scheduleCheckIG.checked = panes.ig.enabled;
-            scheduleCheckIG.disabled = !panes.ig.enabled;
-            scheduleCheckTT.checked = panes.tt.enabled;
-            scheduleCheckTT.disabled = !panes.tt.enabled;
-            if (scheduleIGDims) {
-                const t = templateOf(panes.ig);
-                scheduleIGDims.textContent = `${t.width}×${t.height}`;
+            // PIÈGE CANVAS (voir en-tête de section) : pas de dessin avant
+            // que document.fonts ait résolu la police du POV.
+            const font = elementFont('pov');
+            if (!fontSettled(font)) {
+                loadFont(font).then(function() { ensurePovObject(text); });
+                return;
             }
 
-            scheduleDialog.showModal();
-        }
+            const style = POV_STYLES[state.povStyle] || POV_STYLES.light;
 
-        /** Rend la vignette d'UN plateau et crée son post au calendrier. */
-        function createCalendarPost(p, scheduledAtTs) {
-            let dataURL;
-            try {
-                dataURL = renderCanvasToDataURL(p, 'jpeg', 0.9, 1);
-            } catch (err) {
-                console.error('[editor] rendu de la vignette impossible (' + p.label + ')', err);
-                return Promise.reject(new Error('rendu ' + p.label));
+            if (p.povObj) {
+                p.povObj.set(Object.assign(
+                    { text: shown, fill: style.fill, fontFamily: font.family, fontWeight: font.weight },
+                    povStrokeProps(style, p.povObj.fontSize)
+                ));
+                p.povObj.povBg = style.bg;
+                p.povObj.initDimensions();
+                p.canvas.renderAll();
+                return;
             }
 
-            const postData = {
-                title: 'Meme — ' + p.label,
-                caption: state.text || '',
-                media_type: state.mediaType === 'video' ? 'video' : 'image',
-                template_format: templateKeyOf(p),
-                thumbnail: dataURL,  // base64 data URL saved as thumbnail
-                status: 'scheduled',
-                scheduled_at: scheduledAtTs,
-                platforms: JSON.stringify([p.platform]),
-            };
-
-            return fetch('/api/calendar/posts', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(postData)
-            }).then(r => {
-                if (!r.ok) throw new Error('Failed to create post (' + p.label + ')');
-                return r.json();
+            const template = templateOf(p); // story 1080×1920
+            const obj = new fabric.Textbox(shown, {
+                left: CANVAS_PADDING + template.width / 2,
+                top: CANVAS_PADDING + template.height * 0.28,
+                width: template.width * 0.72,
+                originX: 'center',
+                fontFamily: font.family,
+                fontWeight: font.weight,
+                fontSize: 48,
+                lineHeight: 1.35,
+                fill: style.fill,
+                textAlign: 'center',
+                splitByGrapheme: false,
+                hasControls: true,
+                cornerSize: 16,
+                hoverCursor: 'move',
+                moveCursor: 'move',
+                // Pas d'édition au double-clic : le POV s'écrit dans le champ
+                // dédié, comme la légende — un seul point de vérité.
+                editable: false
             });
+            obj.set(povStrokeProps(style, obj.fontSize));
+            obj.povBg = style.bg;
+            obj._renderTextLinesBackground = povRenderLinesBackground;
+
+            p.povObj = obj;
+            p.canvas.add(obj);
+            p.canvas.bringToFront(obj);
+            if (p.watermark) p.canvas.bringToFront(p.watermark);
+            refreshLayers(p);
+            p.canvas.renderAll();
         }
 
-        function confirmSchedule() {
-            // LOT C — même règle que pour l'export : la vignette envoyée au
-            // Calendrier doit porter les réglages déjà visibles à l'écran.
-            flushImageFilters();
+        /** Bascule fond blanc/texte noir ↔ fond noir translucide/texte blanc. */
+        function restylePovObject() {
+            const p = panes.tt;
+            if (!p.povObj) { ensurePovObject(); return; }
+            const style = POV_STYLES[state.povStyle] || POV_STYLES.light;
+            p.povObj.set({ fill: style.fill, dirty: true });
+            p.povObj.povBg = style.bg;
+            p.canvas.renderAll();
+        }
 
-            const chosen = [];
-            if (scheduleCheckIG.checked && panes.ig.enabled) chosen.push(panes.ig);
-            if (scheduleCheckTT.checked && panes.tt.enabled) chosen.push(panes.tt);
-            if (!chosen.length) {
-                note('Choisis au moins une plateforme à planifier.', 'warning');
-                return;
+        // ============================================
+        // LOT B — ÉDITEUR AU DOIGT (sous 900px)
+        // --------------------------------------------
+        // Trois interactions, TOUTES inertes au-dessus de 900px :
+        //   1. le basculeur de plateau choisit le plateau AFFICHÉ
+        //      (les interrupteurs de fabrication #toggle-<key> sont
+        //      intouchés) ;
+        //   2. les boutons +/− refont le geste du slider « Zoom image »
+        //      — le build Fabric vendorisé (5.3.1 standard, sans le
+        //      module gestures/Event.js) ne sait pas pincer, et
+        //      détourner ses évènements touch casserait le glisser ;
+        //   3. les groupes d'outils deviennent des accordéons, un seul
+        //      ouvert à la fois (le repli est purement CSS : sur
+        //      desktop `.is-collapsed` n'a aucun effet).
+        // ============================================
+        function setupMobileUx() {
+            // ---- 1. Basculeur de plateau ----
+            const switcher = document.getElementById('stage-switch');
+            if (switcher && stagesEl) {
+                switcher.addEventListener('click', function(e) {
+                    const btn = e.target.closest('.stage-switch__btn');
+                    if (!btn) return;
+                    eachPane(function(p) {
+                        const stage = document.getElementById(p.stageId);
+                        if (stage) stage.classList.toggle('is-shown', p.key === btn.dataset.stage);
+                    });
+                    switcher.querySelectorAll('.stage-switch__btn').forEach(function(b) {
+                        const active = (b === btn);
+                        b.classList.toggle('active', active);
+                        b.setAttribute('aria-pressed', String(active));
+                    });
+                    // Le plateau révélé reprend toute la place disponible.
+                    updateAllCanvasSizes();
+                });
             }
 
-            const when = new Date(scheduleDatetime.value);
-            if (isNaN(when.getTime())) {
-                note('La date de publication est invalide.', 'warning');
-                return;
+            // ---- 2. Zoom du média aux boutons ----
+            // Mêmes bornes et même portée que le slider (tous les plateaux) :
+            // un seul point de vérité, le slider reste synchronisé.
+            function nudgeImageScale(delta) {
+                const current = parseInt(imageScaleSlider.value, 10) || 100;
+                const next = Math.min(200, Math.max(50, current + delta));
+                if (next === current) return;
+                imageScaleSlider.value = next;
+                updateImageScale(next);
+                commitHistory('Zoom image');
             }
-            const ts = Math.round(when.getTime() / 1000);
-
-            scheduleBtn.disabled = true;
-            Promise.all(chosen.map(p => createCalendarPost(p, ts)))
-                .then(() => {
-                    window.location.href = '/calendar';
-                })
-                .catch(err => {
-                    console.error('Schedule error:', err);
-                    scheduleBtn.disabled = false;
-                    // Promise.all peut avoir créé UN des deux posts avant
-                    // l'échec : on le dit, pour éviter un doublon au retry.
-                    note('La planification a échoué (' + err.message + '). Vérifie le Calendrier avant de réessayer : un des posts peut déjà exister.', 'error');
-                });
-        }
+            const zoomInBtn = document.getElementById('zoom-in-btn');
+            const zoomOutBtn = document.getElementById('zoom-out-btn');
+            if (zoomInBtn) zoomInBtn.addEventListener('click', function() { nudgeImageScale(10); });
+            if (zoomOutBtn) zoomOutBtn.addEventListener('click', function() { nudgeImageScale(-10); });
 
-        function saveMemeToViewer() {
-            if (state.mediaType === 'video') {
-                // LOT A — la vidéo passe par FFmpeg côté serveur : un MP4 par
-                // plateau actif, rendus SÉQUENTIELLEMENT, tous deux dans le Viewer.
-                saveVideoMemesToViewer();
-                return;
-            }
+            // ---- 3. Accordéons ----
+            const groups = Array.prototype.slice.call(
+                document.querySelectorAll('.sidebar__scroll .group'));
 
-            const targets = activePanes();
-            if (!targets.length) {
-                note('Aucun plateau actif : réactive Instagram ou TikTok pour sauvegarder.', 'warning');
-                return;
+            function setCollapsed(group, collapsed) {
+                group.classList.toggle('is-collapsed', collapsed);
+                const fold = group.querySelector('.group__fold');
+                if (fold) fold.setAttribute('aria-expanded', String(!collapsed));
             }
 
-            // LOT C — la taille cible s'applique aussi à la copie Viewer.
-            // Le format reste PNG : /api/viewer/memes écrit toujours un
-            // fichier .png et le sert en image/png — y déposer du JPEG
-            // produirait un fichier mal nommé et mal typé.
-            // ÉDITEUR DOUBLE : une copie PAR plateau actif.
-            const jobs = [];
-            for (const p of targets) {
-                const size = exportPixelSize(p);
-                let dataURL;
-                try {
-                    dataURL = renderCanvasToDataURL(p, 'png', 1, state.exportScale);
-                } catch (err) {
-                    console.error('[editor] rendu du meme impossible (' + p.label + ')', err);
-                    note('Le meme ' + p.label + ' n’a pas pu être rendu. Réduis la taille cible et réessaie.', 'error');
-                    return;
-                }
-                if (!dataURL || dataURL.length < 100) {
-                    note('Le meme ' + p.label + ' rendu est vide. Réduis la taille cible et réessaie.', 'error');
-                    return;
-                }
-                jobs.push({ pane: p, size: size, dataURL: dataURL });
-            }
+            groups.forEach(function(group) {
+                const head = group.querySelector('.group__head');
+                if (!head) return;
+                head.addEventListener('click', function(e) {
+                    // Desktop : les groupes ne se replient jamais.
+                    if (!mobileViewMq.matches) return;
+                    // Les boutons du bandeau (« Annuler »…) gardent leur rôle ;
+                    // seul le chevron ou le reste du bandeau replie.
+                    const btn = e.target.closest('button');
+                    if (btn && !btn.classList.contains('group__fold')) return;
+                    const willOpen = group.classList.contains('is-collapsed');
+                    if (willOpen) {
+                        // Un seul ouvert à la fois : ouvrir replie les autres.
+                        groups.forEach(function(g) { setCollapsed(g, g !== group); });
+                    } else {
+                        setCollapsed(group, true);
+                    }
+                });
+            });
 
-            // Save to backend
-            if (saveMemeBtn) {
-                saveMemeBtn.disabled = true;
-                saveMemeBtn.textContent = '⏳ Sauvegarde...';
+            // État de départ au doigt : tout replié sauf « Média », le
+            // premier geste utile (importer). Au clavier comme au doigt,
+            // chaque chevron reste opérable.
+            if (mobileViewMq.matches) {
+                const mediaGroup = groups.filter(function(g) {
+                    return g.getAttribute('aria-labelledby') === 'grp-media';
+                })[0] || groups[0];
+                groups.forEach(function(g) { setCollapsed(g, g !== mediaGroup); });
             }
 
-            Promise.all(jobs.map(job => fetch('/api/viewer/memes', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    image_data: job.dataURL,
-                    title: 'Meme — ' + job.pane.label,
-                    caption: state.text || '',
-                    template_format: templateKeyOf(job.pane),
-                    media_type: 'image',
-                })
-            }).then(r => {
-                if (!r.ok) throw new Error('Failed to save meme (' + job.pane.label + ')');
-                return r.json();
-            })))
-            .then(() => {
-                if (saveMemeBtn) {
-                    saveMemeBtn.disabled = false;
-                    saveMemeBtn.textContent = '✅ Sauvegarde !';
-                    setTimeout(() => {
-                        saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
-                    }, 2000);
-                }
-                // LOT C — dimensions réellement enregistrées, pas un « OK » nu.
-                const detail = jobs.map(j => `${j.pane.label} ${j.size.width}×${j.size.height}`).join(', ');
-                note(`Meme${jobs.length > 1 ? 's' : ''} enregistré${jobs.length > 1 ? 's' : ''} dans le Viewer : PNG ${detail} px.`, 'success');
-            })
-            .catch(err => {
-                console.error('Save meme error:', err);
-                // Promise.all : une des deux copies peut déjà exister.
-                note('La sauvegarde a échoué (' + err.message + '). Vérifie le Viewer avant de réessayer, puis télécharge les fichiers pour ne rien perdre.', 'error');
-                if (saveMemeBtn) {
-                    saveMemeBtn.disabled = false;
-                    saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
-                }
-            });
+            // ---- Franchissement du seuil (rotation, redimensionnement) ----
+            // Le cadrage du canvas change de formule : on recalcule.
+            const onViewChange = function() { updateAllCanvasSizes(); };
+            if (mobileViewMq.addEventListener) mobileViewMq.addEventListener('change', onViewChange);
+            else if (mobileViewMq.addListener) mobileViewMq.addListener(onViewChange);
         }
 
         // ============================================
-        // LOT A — SAUVEGARDE VIDÉO DANS LE VIEWER
+        // GABARITS PERSONNALISÉS
         // --------------------------------------------
-        // Un MP4 PAR plateau actif (Instagram au format choisi, TikTok
-        // 1080×1920 plein cadre avec POV et filigrane incrustés), rendus
-        // SÉQUENTIELLEMENT côté serveur — jamais deux ffmpeg concurrents,
-        // l'audit a montré la corruption d'écritures concurrentes. Chaque
-        // vidéo est sauvegardée dès que SON rendu aboutit : un échec sur la
-        // 2e ne perd pas la 1re, et le message le dit.
+        // Les trois formats intégrés restent dans TEMPLATES ; ceux que
+        // l'équipe dessine vivent en base (/api/editor/templates) et sont
+        // versés dans le MÊME objet sous la clé `custom-<id>`, avec la même
+        // forme. Tout le reste de l'éditeur — createElements(), l'export
+        // PNG, buildVideoExportParams(), generateTemplatePNG() et donc
+        // FFmpeg — passe déjà par templateOf()/TEMPLATES : un gabarit
+        // personnalisé n'y demande aucun cas particulier.
+        //
+        // Le designer édite des champs chiffrés (la vérité) ; l'aperçu les
+        // redessine et sert de tablette : glisser trace le cadre ou la zone
+        // de texte, un clic pose le filigrane.
         // ============================================
-        async function saveVideoMemesToViewer() {
-            const targets = activePanes();
-            if (!targets.length) {
-                note('Aucun plateau actif : réactive Instagram ou TikTok pour sauvegarder.', 'warning');
-                return;
-            }
-            if (!state.videoFile) {
-                note('Aucun fichier vidéo en mémoire : réimporte la vidéo puis réessaie.', 'error');
-                return;
+        const CUSTOM_TEMPLATE_PREFIX = 'custom-';
+        // Taille maximale de l'aperçu du designer, en pixels écran.
+        const TEMPLATE_PREVIEW_MAX = { width: 240, height: 300 };
+
+        // clé `custom-<id>` → gabarit tel que servi par l'API {id, name, geometry}
+        const customTemplates = {};
+        const templateDesigner = { key: null, tool: 'frame', drag: null, scale: 1 };
+
+        const templateDialog = document.getElementById('template-dialog');
+        const templateForm = document.getElementById('template-form');
+        const templateDialogTitle = document.getElementById('template-dialog-title');
+        const templateNameInput = document.getElementById('template-name');
+        const templateFullBleed = document.getElementById('template-full-bleed');
+        const templateFrameFields = document.getElementById('template-frame-fields');
+        const templatePreview = document.getElementById('template-preview');
+        const templateToolGroup = document.getElementById('template-tool-group');
+        const templateSaveBtn = document.getElementById('template-save-btn');
+        const templateDeleteBtn = document.getElementById('template-delete-btn');
+        const templateNewBtn = document.getElementById('template-new-btn');
+        const templateEditBtn = document.getElementById('template-edit-btn');
+
+        /** Ratio lisible d'un canvas : 1080×1350 → « 4:5 ». */
+        function templateRatioLabel(width, height) {
+            const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+            const d = gcd(width, height) || 1;
+            const w = width / d;
+            const h = height / d;
+            // Ratio sans petite forme entière (1234×1000) : on l'écrit x:1.
+            return (w > 32 || h > 32) ? `${(width / height).toFixed(2)}:1` : `${w}:${h}`;
+        }
+
+        /** Verse un gabarit de l'API dans TEMPLATES et (re)dessine son bouton. */
+        function registerCustomTemplate(item) {
+            const key = CUSTOM_TEMPLATE_PREFIX + item.id;
+            customTemplates[key] = item;
+            TEMPLATES[key] = item.geometry;
+
+            let btn = formatSelector.querySelector(`.format-btn[data-format="${key}"]`);
+            if (!btn) {
+                btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'format-btn format-btn--custom';
+                btn.dataset.format = key;
+                formatSelector.appendChild(btn);
             }
+            const g = item.geometry;
+            btn.dataset.width = g.width;
+            btn.dataset.height = g.height;
+            btn.classList.toggle('active', key === state.currentTemplate);
+            btn.replaceChildren();
+            [
+                ['format-btn__name', item.name],
+                ['ratio', templateRatioLabel(g.width, g.height)],
+                ['format-btn__px', `${g.width}×${g.height}`]
+            ].forEach(function(part) {
+                const span = document.createElement('span');
+                span.className = part[0];
+                span.textContent = part[1];
+                btn.appendChild(span);
+            });
+            return key;
+        }
 
-            // Modal de progression — mêmes ids que le modal d'export pour
-            // réutiliser updateProgress(). Un seul modal à la fois.
-            const existing = document.getElementById('export-modal');
-            if (existing) existing.remove();
-            const modal = document.createElement('div');
-            modal.id = 'export-modal';
-            modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.9); display: flex; align-items: center; justify-content: center; z-index: 1000;';
-            modal.innerHTML = `
-                <div style="background: #1a1a1a; border-radius: 12px; padding: 32px; max-width: 500px; text-align: center;">
-                    <div style="font-size: 48px; margin-bottom: 16px; animation: spin 1s linear infinite;">⏳</div>
-                    <style>@keyframes spin { to { transform: rotate(360deg); } }</style>
-                    <h2 style="margin-bottom: 16px; color: #fff;">Sauvegarde dans le Viewer</h2>
-                    <p style="color: #888; margin-bottom: 24px;">
-                        ${targets.length} vidéo${targets.length > 1 ? 's' : ''} à rendre (FFmpeg), l'une après l'autre.
-                    </p>
-                    <div id="progress-bar" style="background: #333; border-radius: 4px; height: 8px; overflow: hidden; margin-bottom: 16px;">
-                        <div id="progress-fill" style="background: #ef4444; height: 100%; width: 0%; transition: width 0.3s;"></div>
-                    </div>
-                    <p id="progress-text" style="color: #666; font-size: 12px;">Préparation...</p>
-                </div>
-            `;
-            document.body.appendChild(modal);
+        function unregisterCustomTemplate(key) {
+            delete customTemplates[key];
+            delete TEMPLATES[key];
+            const btn = formatSelector.querySelector(`.format-btn[data-format="${key}"]`);
+            if (btn) btn.remove();
+        }
 
-            if (saveMemeBtn) {
-                saveMemeBtn.disabled = true;
-                saveMemeBtn.textContent = '⏳ Sauvegarde...';
-            }
+        /** « Modifier ce gabarit » n'a de sens que sur un gabarit personnalisé. */
+        function updateTemplateEditBtn() {
+            if (templateEditBtn) templateEditBtn.hidden = !customTemplates[state.currentTemplate];
+        }
 
-            const saved = [];
+        /** Charge les gabarits enregistrés. Un échec n'est pas bloquant : les
+         *  trois formats intégrés restent disponibles. */
+        async function loadCustomTemplates() {
             try {
-                for (let i = 0; i < targets.length; i++) {
-                    const p = targets[i];
-                    // Progression HONNÊTE : chaque vidéo occupe sa part de la
-                    // barre, et le libellé dit laquelle est en cours.
-                    const step = 'vidéo ' + (i + 1) + '/' + targets.length + ' (' + p.label + ')';
-                    const base = (i / targets.length) * 100;
-                    const span = 100 / targets.length;
-
-                    updateProgress(Math.round(base + span * 0.05), step + ' — génération du template…');
-                    const params = buildVideoExportParams(p);
-                    const templateBlob = await generateTemplatePNG(params);
-
-                    updateProgress(Math.round(base + span * 0.25), step + ' — upload et rendu FFmpeg…');
-                    const formData = new FormData();
-                    formData.append('video', state.videoFile);
-                    formData.append('template', templateBlob, 'template.png');
-                    formData.append('params', JSON.stringify(ffmpegParamsOf(params)));
-                    // Suffixe -instagram / -tiktok du fichier sauvegardé.
-                    formData.append('platform', p.platform);
-                    formData.append('title', 'Meme vidéo — ' + p.label);
-                    formData.append('caption', state.text || '');
-                    formData.append('template_format', templateKeyOf(p));
-
-                    const response = await fetch('/api/editor/save-video-meme', {
-                        method: 'POST',
-                        body: formData
-                    });
-                    if (!response.ok) {
-                        let message = 'Erreur serveur';
-                        try {
-                            const payload = await response.json();
-                            if (payload && payload.error) message = payload.error;
-                        } catch (e) { /* réponse non-JSON : on garde le message générique */ }
-                        throw new Error(message);
-                    }
-                    saved.push(p.label);
-                    updateProgress(Math.round(base + span), step + ' — sauvegardée ✅');
-                }
-
-                updateProgress(100, 'Terminé !');
-                modal.querySelector('div > div').innerHTML = `
-                    <div style="font-size: 48px; margin-bottom: 16px;">✅</div>
-                    <h2 style="margin-bottom: 16px; color: #fff;">Sauvegarde réussie !</h2>
-                    <p style="color: #888; margin-bottom: 24px;">
-                        ${saved.length} vidéo${saved.length > 1 ? 's' : ''} (${saved.join(' + ')}) ajoutée${saved.length > 1 ? 's' : ''} aux memes du Viewer.
-                    </p>
-                    <button onclick="document.getElementById('export-modal').remove()"
-                            style="padding: 12px 32px; background: #ef4444; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-weight: 600;">
-                        Fermer
-                    </button>
-                `;
-                note('Vidéo' + (saved.length > 1 ? 's' : '') + ' sauvegardée' + (saved.length > 1 ? 's' : '') + ' dans le Viewer : ' + saved.join(' + ') + '.', 'success');
-                if (saveMemeBtn) {
-                    saveMemeBtn.disabled = false;
-                    saveMemeBtn.textContent = '✅ Sauvegarde !';
-                    setTimeout(() => {
-                        saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
-                    }, 2000);
-                }
+                const response = await fetch('/api/editor/templates');
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                const data = await response.json();
+                (data.items || []).forEach(registerCustomTemplate);
             } catch (err) {
-                console.error('[editor] sauvegarde vidéo Viewer', err);
-                // HONNÊTETÉ : ce qui est déjà sauvegardé est acquis — chaque
-                // rendu réussi vit déjà dans le Viewer, seul le raté manque.
-                const acquis = saved.length
-                    ? 'La vidéo ' + saved.join(' + ') + ' est DÉJÀ dans le Viewer — elle n\'est pas perdue. Seule la suivante a échoué.'
-                    : 'Aucune vidéo n\'a été sauvegardée.';
-                modal.querySelector('div > div').innerHTML = `
-                    <div style="font-size: 48px; margin-bottom: 16px;">❌</div>
-                    <h2 style="margin-bottom: 16px; color: #fff;">Erreur</h2>
-                    <p style="color: #ef4444; margin-bottom: 12px;">${err.message}</p>
-                    <p style="color: #888; margin-bottom: 24px;">${acquis}</p>
-                    <button onclick="document.getElementById('export-modal').remove()"
-                            style="padding: 12px 32px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer;">
-                        Fermer
-                    </button>
-                `;
-                note('La sauvegarde vidéo a échoué (' + err.message + '). ' + acquis, 'error');
-                if (saveMemeBtn) {
-                    saveMemeBtn.disabled = false;
-                    saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
-                }
+                console.error('[editor] gabarits personnalisés indisponibles', err);
+                note('Les gabarits personnalisés n’ont pas pu être chargés. Les formats intégrés restent disponibles.', 'warning');
             }
+            updateTemplateEditBtn();
         }
 
-        function exportImage() {
-            // LOT C — format (PNG/JPEG), qualité et taille cible viennent
-            // du bloc « Fichier de sortie ». Tout est rendu par le canvas :
-            // pas d'upload, pas de fichier temporaire, retour immédiat.
-            // ÉDITEUR DOUBLE : un fichier PAR plateau actif.
-            const targets = activePanes();
-            if (!targets.length) {
-                note('Aucun plateau actif : réactive Instagram ou TikTok pour exporter.', 'warning');
-                return;
-            }
-
-            const isJpeg = state.exportFormat === 'jpeg';
-            const timestamp = new Date().toISOString().slice(0, 10);
-            const produced = [];
+        // ---- Designer : champs ↔ géométrie ----
 
-            for (const p of targets) {
-                const size = exportPixelSize(p);
-                let dataURL;
-                try {
-                    dataURL = renderCanvasToDataURL(
-                        p,
-                        isJpeg ? 'jpeg' : 'png',
-                        isJpeg ? state.exportQuality / 100 : 1,
-                        state.exportScale
-                    );
-                } catch (err) {
-                    // Un export raté ne disparaît pas en silence : il se dit.
-                    console.error('[editor] export image impossible (' + p.label + ')', err);
-                    note('L’image ' + p.label + ' n’a pas pu être produite. Réduis la taille cible et réessaie.', 'error');
-                    return;
-                }
+        function designerInputs() { return templateForm.querySelectorAll('[data-field]'); }
 
-                if (!dataURL || dataURL.length < 100) {
-                    note('L’image ' + p.label + ' produite est vide. Réduis la taille cible et réessaie.', 'error');
-                    return;
-                }
+        function readDesignerGeometry() {
+            const geometry = { fullBleed: templateFullBleed.checked };
+            designerInputs().forEach(function(input) {
+                const path = input.dataset.field.split('.');
+                let target = geometry;
+                if (path.length > 1) target = geometry[path[0]] = geometry[path[0]] || {};
+                target[path[path.length - 1]] = Math.round(Number(input.value) || 0);
+            });
+            return geometry;
+        }
 
-                const link = document.createElement('a');
-                link.download = `samourais_meme_${p.platform}_${size.width}x${size.height}_${timestamp}.${isJpeg ? 'jpg' : 'png'}`;
-                link.href = dataURL;
-                link.click();
-                produced.push(`${p.label} ${size.width}×${size.height} px (${formatBytes(dataURLBytes(dataURL))})`);
-            }
+        function writeDesignerGeometry(geometry) {
+            templateFullBleed.checked = !!geometry.fullBleed;
+            designerInputs().forEach(function(input) {
+                const path = input.dataset.field.split('.');
+                const value = path.length > 1 ? (geometry[path[0]] || {})[path[1]] : geometry[path[0]];
+                input.value = value !== undefined ? value : 0;
+            });
+            templateFrameFields.disabled = templateFullBleed.checked;
+        }
 
-            note(`Téléchargé : ${produced.join(' + ')}, ${isJpeg ? 'JPEG ' + state.exportQuality + '%' : 'PNG'}.`, 'success');
+        function setDesignerField(field, value) {
+            const input = templateForm.querySelector(`[data-field="${field}"]`);
+            if (input) input.value = Math.round(value);
         }
 
-        /** Paramètres d'export vidéo d'UN plateau — partagés entre le
-         *  téléchargement (exportVideo) et la sauvegarde Viewer (LOT A). */
-        function buildVideoExportParams(p) {
-            const template = templateOf(p);
+        /** Redessine l'aperçu à l'échelle à partir des champs. */
+        function drawTemplatePreview() {
+            const g = readDesignerGeometry();
+            const width = Math.max(g.width, 1);
+            const height = Math.max(g.height, 1);
+            const scale = Math.min(TEMPLATE_PREVIEW_MAX.width / width, TEMPLATE_PREVIEW_MAX.height / height);
+            templateDesigner.scale = scale;
+            templatePreview.width = Math.max(1, Math.round(width * scale));
+            templatePreview.height = Math.max(1, Math.round(height * scale));
+
+            const ctx = templatePreview.getContext('2d');
+            ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+            // Mêmes teintes que createElements() : fond blanc et cadre gris
+            // pour un gabarit meme, média noir bord à bord en plein écran.
+            ctx.fillStyle = g.fullBleed ? '#000000' : '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+            if (!g.fullBleed) {
+                const f = g.frame;
+                const r = Math.min(f.radius, f.width / 2, f.height / 2);
+                ctx.beginPath();
+                ctx.moveTo(f.x + r, f.y);
+                ctx.arcTo(f.x + f.width, f.y, f.x + f.width, f.y + f.height, r);
+                ctx.arcTo(f.x + f.width, f.y + f.height, f.x, f.y + f.height, r);
+                ctx.arcTo(f.x, f.y + f.height, f.x, f.y, r);
+                ctx.arcTo(f.x, f.y, f.x + f.width, f.y, r);
+                ctx.closePath();
+                ctx.fillStyle = '#f0f0f0';
+                ctx.fill();
+                ctx.lineWidth = 1 / scale;
+                ctx.strokeStyle = '#999999';
+                ctx.stroke();
+            }
 
-            // Calculate effective frame height and centered Y position
-            const effectiveFrameHeight = Math.round(template.frame.height * (p.frameHeightPercent / 100));
-            const originalCenterY = template.frame.y + template.frame.height / 2;
-            const effectiveFrameY = originalCenterY - effectiveFrameHeight / 2;
+            const t = g.textArea;
+            ctx.setLineDash([4 / scale, 3 / scale]);
+            ctx.lineWidth = 1.5 / scale;
+            ctx.strokeStyle = '#ef4444';
+            ctx.strokeRect(t.x, t.y, t.width, Math.max(t.maxY - t.y, 0));
+            ctx.setLineDash([]);
 
-            return {
-                // Plateau source (sert au rendu du template PNG)
-                paneKey: p.key,
-                // Template info
-                template: templateKeyOf(p),
-                templateWidth: template.width,
-                templateHeight: template.height,
-                // Frame info (with adjusted height and Y position for the template PNG)
-                frameX: template.frame.x,
-                frameY: effectiveFrameY,
-                frameWidth: template.frame.width,
-                frameHeight: effectiveFrameHeight,
-                frameRadius: template.frame.radius,
-                // Original frame dimensions for video scaling/positioning (before slider adjustment)
-                originalFrameY: template.frame.y,
-                originalFrameHeight: template.frame.height,
-                // Video trim
-                trimStart: state.trimStart,
-                trimEnd: state.trimEnd,
-                // Media position/scale — le cadrage du plateau exporté
-                imageScale: p.imageScale,
-                imageOffsetX: p.imageOffsetX,
-                imageOffsetY: p.imageOffsetY,
-                // Text
-                text: state.text,
-                textSize: state.textSize,
-                lineHeight: state.lineHeight,
-                textX: p.textBox ? p.textBox.left - CANVAS_PADDING : template.textArea.x,
-                textY: p.textBox ? p.textBox.top - CANVAS_PADDING : template.textArea.y,
-                // Overlay
-                overlayText: state.showOverlay ? state.overlayText : '',
-                // Watermark position and opacity
-                watermarkX: p.watermark ? p.watermark.left - CANVAS_PADDING : template.watermark.x,
-                watermarkY: p.watermark ? p.watermark.top - CANVAS_PADDING : template.watermark.y,
-                watermarkOpacity: state.watermarkOpacity,
-            };
+            ctx.beginPath();
+            ctx.arc(g.watermark.x, g.watermark.y, 5 / scale, 0, Math.PI * 2);
+            ctx.fillStyle = '#3b82f6';
+            ctx.fill();
         }
 
-        /** Sous-ensemble des paramètres réellement consommés par FFmpeg côté
-         *  serveur — même contrat pour /process-video et /save-video-meme. */
-        function ffmpegParamsOf(params) {
+        /** Point écran → coordonnées du gabarit, bornées au canvas. */
+        function designerPoint(e) {
+            const rect = templatePreview.getBoundingClientRect();
+            const g = readDesignerGeometry();
+            const x = (e.clientX - rect.left) / rect.width * g.width;
+            const y = (e.clientY - rect.top) / rect.height * g.height;
             return {
-                templateWidth: params.templateWidth,
-                templateHeight: params.templateHeight,
-                frameX: params.frameX,
-                frameY: params.frameY,
-                frameWidth: params.frameWidth,
-                frameHeight: params.frameHeight,
-                // Original frame dimensions for video positioning/scaling
-                originalFrameY: params.originalFrameY,
-                originalFrameHeight: params.originalFrameHeight,
-                trimStart: params.trimStart,
-                trimEnd: params.trimEnd,
-                imageScale: params.imageScale,
-                imageOffsetX: params.imageOffsetX,
-                imageOffsetY: params.imageOffsetY
+                x: Math.max(0, Math.min(g.width, x)),
+                y: Math.max(0, Math.min(g.height, y))
             };
         }
 
-        async function exportVideo() {
-            // Le TÉLÉCHARGEMENT vidéo reste UN SEUL fichier MP4 : il suit le
-            // premier plateau actif (Instagram si les deux le sont). Le
-            // pipeline FFmpeg est inchangé — seule la source des paramètres
-            // change. La sortie DOUBLE, elle, passe par « Sauvegarder dans
-            // Viewer » (saveVideoMemesToViewer).
-            const p = activePanes()[0] || panes.ig;
-            const exportParams = buildVideoExportParams(p);
-
-            // Show processing modal
-            showVideoExportModal(exportParams);
+        function applyDesignerDrag(point) {
+            const tool = templateDesigner.tool;
+            if (tool === 'watermark') {
+                setDesignerField('watermark.x', point.x);
+                setDesignerField('watermark.y', point.y);
+                return;
+            }
+            const start = templateDesigner.drag;
+            if (!start) return;
+            const x = Math.min(start.x, point.x);
+            const y = Math.min(start.y, point.y);
+            const w = Math.abs(point.x - start.x);
+            const h = Math.abs(point.y - start.y);
+            if (tool === 'frame') {
+                setDesignerField('frame.x', x);
+                setDesignerField('frame.y', y);
+                setDesignerField('frame.width', w);
+                setDesignerField('frame.height', h);
+            } else {
+                setDesignerField('textArea.x', x);
+                setDesignerField('textArea.y', y);
+                setDesignerField('textArea.width', w);
+                setDesignerField('textArea.maxY', y + h);
+            }
         }
 
-        function showVideoExportModal(params) {
-            // Create modal overlay
-            const modal = document.createElement('div');
-            modal.id = 'export-modal';
-            modal.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                right: 0;
-                bottom: 0;
-                background: rgba(0,0,0,0.9);
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                z-index: 1000;
-            `;
-            
-            modal.innerHTML = `
-                <div style="background: #1a1a1a; border-radius: 12px; padding: 32px; max-width: 500px; text-align: center;">
-                    <div style="font-size: 48px; margin-bottom: 16px;">🎬</div>
-                    <h2 style="margin-bottom: 16px; color: #fff;">Export Vidéo</h2>
-                    <p style="color: #888; margin-bottom: 24px; line-height: 1.6;">
-                        Backend FFmpeg intégré ✅<br>
-                        <strong style="color: #ef4444;">Durée: ${formatTime(params.trimEnd - params.trimStart)}</strong>
-                    </p>
-                    <div style="background: #111; border-radius: 8px; padding: 16px; margin-bottom: 24px; text-align: left;">
-                        <div style="font-size: 12px; color: #666; margin-bottom: 8px;">PARAMÈTRES D'EXPORT</div>
-                        <div style="font-size: 13px; color: #aaa; font-family: monospace;">
-                            Template: ${params.template} (${params.templateWidth}x${params.templateHeight})<br>
-                            Trim: ${formatTime(params.trimStart)} → ${formatTime(params.trimEnd)}<br>
-                            Scale: ${params.imageScale}%
-                        </div>
-                    </div>
-                    <div style="display: flex; gap: 12px;">
-                        <button onclick="document.getElementById('export-modal').remove()"
-                                style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer;">
-                            Annuler
-                        </button>
-                        <button onclick="startVideoProcessing()"
-                                style="flex: 1; padding: 12px; background: #ef4444; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-weight: 600;">
-                            🚀 Exporter
-                        </button>
-                    </div>
-                </div>
-            `;
-            
-            document.body.appendChild(modal);
-            
-            // Store params globally for the export button
-            window._videoExportParams = params;
+        function openTemplateDesigner(key) {
+            if (!templateDialog || typeof templateDialog.showModal !== 'function') {
+                note('Le designer de gabarit est indisponible dans ce navigateur.', 'error');
+                return;
+            }
+            const existing = key ? customTemplates[key] : null;
+            templateDesigner.key = existing ? key : null;
+            templateDialogTitle.textContent = existing ? 'Modifier le gabarit' : 'Nouveau gabarit';
+            templateNameInput.value = existing ? existing.name : '';
+            templateDeleteBtn.hidden = !existing;
+            // Un nouveau gabarit part du format affiché : on retouche plutôt
+            // qu'on ne part d'une page blanche.
+            writeDesignerGeometry(existing ? existing.geometry : TEMPLATES[state.currentTemplate]);
+            drawTemplatePreview();
+            templateDialog.showModal();
+            templateNameInput.focus();
         }
 
-        // ============================================
-        // BACKEND CONFIG
-        // ============================================
-        // Backend URL — same origin (Flask serves everything)
-        const BACKEND_URL = '';
-
-        // ============================================
-        // LOGO WATERMARK CONFIG
-        // ============================================
-        const LOGO_URL = '/static/samourais_logo_transparent_smooth.png';
-        let logoImage = null;
-        
-        // Preload logo
-        function loadLogo() {
-            fabric.Image.fromURL(LOGO_URL, (img) => {
-                if (img) {
-                    logoImage = img;
-                    // Refresh watermark on each pane already initialized
-                    eachPane(function(p) {
-                        if (!p.canvas || !p.watermark) return;
-                        const template = templateOf(p);
-                        const wm = template.watermark;
-                        const offset = CANVAS_PADDING;
-
-                        // Remove old text watermark
-                        p.canvas.remove(p.watermark);
-
-                        // Add logo watermark
-                        p.watermark = new fabric.Image(logoImage.getElement(), {
-                            left: wm.x + offset,
-                            top: wm.y + offset,
-                            originX: 'right',
-                            originY: 'bottom',
-                            scaleX: 0.15,
-                            scaleY: 0.15,
-                            opacity: state.watermarkOpacity / 100,
-                            selectable: true,
-                            hasControls: true,
-                            cornerSize: 16,
-                            hoverCursor: 'move',
-                            moveCursor: 'move'
-                        });
-                        p.canvas.add(p.watermark);
-                        p.canvas.renderAll();
+        async function saveTemplateDesigner() {
+            const editing = templateDesigner.key ? customTemplates[templateDesigner.key] : null;
+            const body = {
+                name: templateNameInput.value.trim(),
+                geometry: readDesignerGeometry()
+            };
+            templateSaveBtn.disabled = true;
+            try {
+                const response = await fetch(
+                    editing ? `/api/editor/templates/${editing.id}` : '/api/editor/templates', {
+                        method: editing ? 'PUT' : 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(body)
                     });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    // 400 : le message du serveur nomme le champ fautif.
+                    note(data.error ? `Gabarit refusé — ${data.error}.` : 'Le gabarit n’a pas pu être enregistré.', 'error');
+                    return;
                 }
-            }, { crossOrigin: 'anonymous' });
+                const key = registerCustomTemplate(data);
+                templateDialog.close();
+                // Le plateau Instagram bascule sur le gabarit enregistré (ou
+                // se reconstruit s'il l'affichait déjà).
+                selectFormat(key);
+                commitHistory('Gabarit ' + data.name);
+                note(`Gabarit « ${data.name} » enregistré.`, 'success');
+            } catch (err) {
+                console.error('[editor] enregistrement du gabarit impossible', err);
+                note('Le gabarit n’a pas pu être enregistré. Vérifie ta connexion, puis réessaie.', 'error');
+            } finally {
+                templateSaveBtn.disabled = false;
+            }
         }
 
-        // ============================================
-        // TEMPLATE PNG PLEIN ÉCRAN (plateau TikTok)
-        // --------------------------------------------
-        // Pas de gabarit blanc : la surcouche envoyée à FFmpeg est le rendu
-        // EXACT du canvas TikTok (POV, texte overlay, filigrane) sur fond
-        // transparent — donc ce que l'utilisateur voit à l'écran, y compris
-        // le bloc-par-ligne Montserrat que l'ancien chemin ne savait pas
-        // dessiner. Là où le média ne couvre pas (dézoom volontaire), le
-        // fond est le même NOIR que le plateau — jamais le blanc que le
-        // pipeline FFmpeg peint sous la vidéo.
-        // ============================================
-        async function generateFullBleedTemplatePNG(p) {
-            const template = templateOf(p);
-            await document.fonts.ready;
-
-            // 1) Surcouche : le canvas réel, média et fonds masqués, fond
-            //    transparent — même mécanique de restauration que
-            //    renderCanvasToDataURL, y compris en cas d'échec.
-            const hidden = [];
-            [p.imageObj, p.templateBg, p.frameRect, p.frameBorder].forEach(function(obj) {
-                if (obj && obj.visible !== false) {
-                    obj.set({ visible: false });
-                    hidden.push(obj);
-                }
-            });
-            const originalZoom = p.canvas.getZoom();
-            const originalBg = p.canvas.backgroundColor;
-            p.canvas.discardActiveObject();
-            p.canvas.backgroundColor = '';
-            // Même garde que renderCanvasToDataURL : transform identité, pas
-            // setZoom(1) — la translation du cadrage mobile fausserait le PNG.
-            p.canvas.setViewportTransform([1, 0, 0, 1, 0, 0]);
-            p.canvas.setWidth(template.width + (CANVAS_PADDING * 2));
-            p.canvas.setHeight(template.height + (CANVAS_PADDING * 2));
-            p.canvas.renderAll();
-            let overlayURL;
+        async function deleteTemplateDesigner() {
+            const key = templateDesigner.key;
+            const existing = key ? customTemplates[key] : null;
+            if (!existing) return;
+            const confirmed = window.samourais && window.samourais.confirm
+                ? await window.samourais.confirm({
+                    title: 'Supprimer le gabarit',
+                    message: `« ${existing.name} » disparaîtra des formats. Les memes déjà produits ne changent pas.`,
+                    confirm: 'Supprimer',
+                    danger: true
+                })
+                : true;
+            if (!confirmed) return;
             try {
-                overlayURL = p.canvas.toDataURL({
-                    format: 'png',
-                    left: CANVAS_PADDING,
-                    top: CANVAS_PADDING,
-                    width: template.width,
-                    height: template.height
-                });
-            } finally {
-                hidden.forEach(function(obj) { obj.set({ visible: true }); });
-                p.canvas.backgroundColor = originalBg;
-                p.canvas.setZoom(originalZoom);
-                updateCanvasSize(p);
-                p.canvas.renderAll();
+                const response = await fetch(`/api/editor/templates/${existing.id}`, { method: 'DELETE' });
+                if (!response.ok && response.status !== 404) throw new Error('HTTP ' + response.status);
+                templateDialog.close();
+                unregisterCustomTemplate(key);
+                if (state.currentTemplate === key) {
+                    selectFormat('portrait');
+                    commitHistory('Format Instagram');
+                }
+                updateTemplateEditBtn();
+                note(`Gabarit « ${existing.name} » supprimé.`, 'success');
+            } catch (err) {
+                console.error('[editor] suppression du gabarit impossible', err);
+                note('Le gabarit n’a pas pu être supprimé. Vérifie ta connexion, puis réessaie.', 'error');
             }
+        }
 
-            const overlayImg = await new Promise(function(resolve, reject) {
-                const img = new Image();
-                img.onload = function() { resolve(img); };
-                img.onerror = function() { reject(new Error('Surcouche TikTok illisible')); };
-                img.src = overlayURL;
+        function setupTemplateDesigner() {
+            if (!templateDialog || !templateForm) return;
+
+            if (templateNewBtn) templateNewBtn.addEventListener('click', () => openTemplateDesigner(null));
+            if (templateEditBtn) {
+                templateEditBtn.addEventListener('click', () => openTemplateDesigner(state.currentTemplate));
+            }
+
+            templateForm.addEventListener('input', function() {
+                templateFrameFields.disabled = templateFullBleed.checked;
+                drawTemplatePreview();
             });
 
-            // 2) Fond noir, troué à l'emplacement EXACT où FFmpeg posera la
-            //    vidéo (même calcul « cover » que le canvas et que le serveur :
-            //    scale = max(1080/w, 1920/h) × zoom, centre + décalage).
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = template.width;
-            tempCanvas.height = template.height;
-            const ctx = tempCanvas.getContext('2d');
+            templateToolGroup.addEventListener('click', function(e) {
+                const btn = e.target.closest('[data-tool]');
+                if (!btn) return;
+                templateDesigner.tool = btn.dataset.tool;
+                templateToolGroup.querySelectorAll('[data-tool]').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+            });
 
-            ctx.fillStyle = '#000000';
-            ctx.fillRect(0, 0, template.width, template.height);
+            templatePreview.addEventListener('pointerdown', function(e) {
+                // Cadre imposé en plein écran : rien à tracer.
+                if (templateDesigner.tool === 'frame' && templateFullBleed.checked) return;
+                e.preventDefault();
+                templatePreview.setPointerCapture(e.pointerId);
+                templateDesigner.drag = designerPoint(e);
+                applyDesignerDrag(templateDesigner.drag);
+                drawTemplatePreview();
+            });
+            templatePreview.addEventListener('pointermove', function(e) {
+                if (!templateDesigner.drag) return;
+                applyDesignerDrag(designerPoint(e));
+                drawTemplatePreview();
+            });
+            const endDrag = function() { templateDesigner.drag = null; };
+            templatePreview.addEventListener('pointerup', endDrag);
+            templatePreview.addEventListener('pointercancel', endDrag);
+
+            templateForm.addEventListener('submit', function(e) {
+                // `method="dialog"` fermerait la boîte avant la réponse du
+                // serveur : enregistrer et supprimer la ferment eux-mêmes,
+                // une fois le résultat connu (une erreur garde la saisie).
+                const action = e.submitter && e.submitter.value;
+                if (action === 'save') {
+                    e.preventDefault();
+                    saveTemplateDesigner();
+                } else if (action === 'delete') {
+                    e.preventDefault();
+                    deleteTemplateDesigner();
+                }
+            });
+        }
 
-            ctx.globalCompositeOperation = 'destination-out';
-            const vidW = videoSource.videoWidth;
-            const vidH = videoSource.videoHeight;
-            if (vidW && vidH) {
-                const baseScale = Math.max(template.width / vidW, template.height / vidH);
-                const s = baseScale * ((p.imageScale || 100) / 100);
-                // +2 px : absorbe les arrondis FFmpeg, un liseré noir d'un
-                // demi-pixel se verrait sur un plein écran.
-                const w = vidW * s + 2;
-                const h = vidH * s + 2;
-                const cx = template.width / 2 + (p.imageOffsetX || 0);
-                const cy = template.height / 2 + (p.imageOffsetY || 0);
-                ctx.fillRect(cx - w / 2, cy - h / 2, w, h);
-            } else {
-                // Dimensions vidéo inconnues : trou plein cadre (cas nominal,
-                // le média couvre tout de toute façon).
-                ctx.fillRect(0, 0, template.width, template.height);
-            }
-            ctx.globalCompositeOperation = 'source-over';
+        // ============================================
+        // KITS DE MARQUE
+        // --------------------------------------------
+        // Un kit par page gérée (/api/editor/brand-kits) : ses logos, la
+        // position du filigrane par gabarit, son opacité et sa taille, la
+        // police et les couleurs du bandeau. Le kit choisi est une donnée de
+        // la composition (state.brandKitId, state.brandLogo) : il suit
+        // l'historique et les compositions. Sans kit, l'éditeur reste celui
+        // de Samouraïs : LOGO_URL, WATERMARK_OPACITY, Inter noir sur blanc.
+        //
+        // Rien de particulier à l'export : createElements() et
+        // makeWatermark() lisent le kit, generateTemplatePNG() redessine le
+        // même bandeau pour FFmpeg. Ouvrir un média de la bibliothèque
+        // choisit le kit de son profil.
+        // ============================================
+        // WATERMARK_OPACITY, BRAND_LOGOS_MAX et BRAND_DEFAULTS : editor-core.js.
+
+        // id → kit tel que servi par l'API {id, name, settings, logos, profile_ids}
+        const brandKits = {};
+        let brandProfiles = [];
+        // Faux tant que la liste n'est pas arrivée : un kit inconnu n'est
+        // alors pas forcément supprimé (composition rouverte au démarrage).
+        let brandKitsReady = false;
+        // Kit posé en dernier sur les plateaux (voir syncBrandKit()).
+        let brandKitApplied = null;
+        const brandDesigner = { id: null, positions: {} };
+
+        const brandKitSelect = document.getElementById('brand-kit-select');
+        const brandLogoChoices = document.getElementById('brand-logos');
+        const brandNewBtn = document.getElementById('brand-new-btn');
+        const brandEditBtn = document.getElementById('brand-edit-btn');
+        const brandDialog = document.getElementById('brand-dialog');
+        const brandForm = document.getElementById('brand-form');
+        const brandDialogTitle = document.getElementById('brand-dialog-title');
+        const brandNameInput = document.getElementById('brand-name');
+        const brandProfileList = document.getElementById('brand-profiles');
+        const brandLogoList = document.getElementById('brand-logo-list');
+        const brandLogoInput = document.getElementById('brand-logo-input');
+        const brandLogoAddBtn = document.getElementById('brand-logo-add');
+        const brandLogoHint = document.getElementById('brand-logo-hint');
+        const brandPositionsReadout = document.getElementById('brand-positions-readout');
+        const brandSaveBtn = document.getElementById('brand-save-btn');
+        const brandDeleteBtn = document.getElementById('brand-delete-btn');
+
+        function activeBrandKit() {
+            return state.brandKitId !== null ? brandKits[state.brandKitId] || null : null;
+        }
 
-            // 3) La surcouche PAR-DESSUS le trou : POV, overlay, filigrane.
-            ctx.drawImage(overlayImg, 0, 0);
+        function brandSettings() {
+            const kit = activeBrandKit();
+            return kit ? kit.settings : BRAND_DEFAULTS;
+        }
 
-            return new Promise(function(resolve) {
-                tempCanvas.toBlob(function(blob) { resolve(blob); }, 'image/png');
-            });
+        /** Police de la légende : celle choisie (voir POLICES) ou du kit, puis les secours d'Inter. */
+        function captionFontFamily() {
+            return `"${elementFont('text').family}", Helvetica, Arial, sans-serif`;
         }
+        function captionColor() { return brandSettings().colors.text; }
+        function bandColor() { return brandSettings().colors.band; }
 
-        // Générer le template PNG avec trou transparent pour la vidéo
-        async function generateTemplatePNG(params) {
-            // Le plateau source est celui choisi par exportVideo().
-            const p = panes[params.paneKey] || panes.ig;
-            // Plateau plein écran (TikTok) : pas de gabarit blanc — chemin
-            // dédié, le reste de cette fonction est celui du gabarit meme.
-            if (isFullBleed(p)) return generateFullBleedTemplatePNG(p);
-            const template = TEMPLATES[params.template] || templateOf(p);
-            const textBox = p.textBox;
-            const offset = CANVAS_PADDING;
+        /** Gabarit RENDU du plateau, clé des positions d'un kit : 'tiktok'
+         *  pour le plein écran, là où templateKeyOf() donne l'étiquette 'story'. */
+        function brandTemplateKey(p) {
+            return p.template === TIKTOK_TEMPLATE ? 'tiktok' : templateKeyOf(p);
+        }
 
-            // Récupérer le texte directement depuis le textBox (priorité), puis params, puis state
-            // Car l'utilisateur peut taper directement dans le textBox sans passer par l'input
-            let textToRender = '';
-            if (textBox && textBox.text && textBox.text !== 'Tape ton texte...') {
-                textToRender = textBox.text;
-            } else if (params.text) {
-                textToRender = params.text;
-            } else if (state.text) {
-                textToRender = state.text;
+        /** Coin bas-droit du filigrane : position du kit pour ce gabarit, sinon celle du gabarit. */
+        function watermarkPosition(p) {
+            const template = templateOf(p);
+            const pos = brandSettings().watermark.positions[brandTemplateKey(p)];
+            if (!pos) return template.watermark;
+            return { x: Math.min(pos.x, template.width), y: Math.min(pos.y, template.height) };
+        }
+
+        function brandLogoOf(kit, name) {
+            return kit ? kit.logos.find(l => l.name === name) || null : null;
+        }
+
+        /** Logo du filigrane : celui choisi dans le kit, son logo par défaut, sinon Samouraïs. */
+        function logoUrl() {
+            const kit = activeBrandKit();
+            const logo = brandLogoOf(kit, state.brandLogo) || brandLogoOf(kit, kit && kit.settings.logo);
+            return logo ? logo.url : LOGO_URL;
+        }
+
+        /** Choix relu d'une composition ou de l'historique : un kit ou un logo disparus tombent. */
+        function sanitizeBrandChoice() {
+            if (!Number.isInteger(state.brandKitId) || (brandKitsReady && !brandKits[state.brandKitId])) {
+                state.brandKitId = null;
+            }
+            if (typeof state.brandLogo !== 'string'
+                || (brandKitsReady && !brandLogoOf(activeBrandKit(), state.brandLogo))) {
+                state.brandLogo = null;
             }
+        }
 
-            // Prendre en compte le scale du textBox (si redimensionné manuellement)
-            const textBoxScale = textBox ? (textBox.scaleX || 1) : 1;
-            const textSizeToUse = (params.textSize || state.textSize || 60) * textBoxScale;
+        /** Repose le kit choisi sur chaque plateau : bandeau, légende, filigrane et logo. */
+        function applyBrandKit() {
+            sanitizeBrandChoice();
+            brandKitApplied = state.brandKitId;
+            const settings = brandSettings();
+            state.watermarkOpacity = settings.watermark.opacity;
+            eachPane(function(p) {
+                if (!p.canvas) return;
+                if (p.templateBg && !isFullBleed(p)) p.templateBg.set({ fill: bandColor() });
+                if (p.textBox) p.textBox.set({ fill: captionColor() });
+                // À la position et à la taille du kit ; le logo suit (loadLogo).
+                if (p.watermark) swapWatermark(p, makeWatermark(p));
+            });
+            if (logoUrl() !== logoRequested) loadLogo();
+            syncBrandControls();
+            // Police du kit (légende sans choix) : posée, chargée, re-mesurée.
+            applyFonts();
+            syncFontControls();
+        }
 
-            // Position du texte depuis textBox (Fabric.js) ou params
-            const textXPos = params.textX !== undefined ? params.textX : (textBox ? textBox.left - offset : template.textArea.x);
-            const textYPos = params.textY !== undefined ? params.textY : (textBox ? textBox.top - offset : template.textArea.y);
-            
-            
-            // Attendre que les polices soient chargées
-            await document.fonts.ready;
-            
-            // Créer un canvas temporaire à la taille du template (sans padding)
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = template.width;
-            tempCanvas.height = template.height;
-            const ctx = tempCanvas.getContext('2d');
-            
-            // Fond blanc
-            ctx.fillStyle = 'white';
-            ctx.fillRect(0, 0, template.width, template.height);
-            
-            // Dessiner le texte principal AVANT de découper le trou
-            if (textToRender && textToRender.trim()) {
-                ctx.save();
-                
-                // Utiliser la même police que le textBox Fabric.js (fontWeight 300 = light)
-                ctx.font = `300 ${textSizeToUse}px "Inter", Helvetica, Arial, sans-serif`;
-                ctx.fillStyle = 'black';
-                ctx.textAlign = 'left';
-                ctx.textBaseline = 'top';
-                
-                const lineHeight = textSizeToUse * state.lineHeight;
-                
-                // Utiliser les lignes réelles du textBox Fabric.js (word wrap inclus)
-                if (textBox && textBox._textLines) {
-                    let y = textYPos;
-                    for (let i = 0; i < textBox._textLines.length; i++) {
-                        const line = textBox._textLines[i].join(''); // _textLines est un array d'arrays de caractères
-                        ctx.fillText(line, textXPos, y);
-                        y += lineHeight;
-                    }
+        /** Autre logo du même kit : seul le filigrane change, il garde sa place. */
+        function refreshBrandLogo() {
+            sanitizeBrandChoice();
+            if (logoUrl() !== logoRequested) loadLogo();
+            syncBrandControls();
+        }
+
+        /** Après annuler / rouvrir : le kit ne se repose que s'il a changé. */
+        function syncBrandKit() {
+            if (state.brandKitId !== brandKitApplied) applyBrandKit();
+            else refreshBrandLogo();
+        }
+
+        function syncBrandControls() {
+            if (!brandKitSelect) return;
+            brandKitSelect.value = state.brandKitId !== null ? String(state.brandKitId) : '';
+            if (brandEditBtn) brandEditBtn.hidden = !activeBrandKit();
+
+            const kit = activeBrandKit();
+            const current = brandLogoOf(kit, state.brandLogo) || brandLogoOf(kit, kit && kit.settings.logo);
+            brandLogoChoices.replaceChildren();
+            // Un seul logo : rien à choisir.
+            brandLogoChoices.hidden = !kit || kit.logos.length < 2;
+            (kit ? kit.logos : []).forEach(function(logo) {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'brand-logo';
+                btn.dataset.logo = logo.name;
+                btn.setAttribute('aria-pressed', String(logo === current));
+                btn.title = logo.name === kit.settings.logo ? 'Logo par défaut du kit' : 'Utiliser ce logo';
+                const img = document.createElement('img');
+                img.src = logo.url;
+                img.alt = '';
+                btn.appendChild(img);
+                brandLogoChoices.appendChild(btn);
+            });
+        }
+
+        function renderBrandKitOptions() {
+            if (!brandKitSelect) return;
+            brandKitSelect.querySelectorAll('option[value]:not([value=""])').forEach(o => o.remove());
+            Object.values(brandKits).forEach(function(kit) {
+                const option = document.createElement('option');
+                option.value = String(kit.id);
+                option.textContent = kit.name;
+                brandKitSelect.appendChild(option);
+            });
+            syncBrandControls();
+        }
+
+        /** Charge les kits ; avec un média de la bibliothèque, choisit celui de
+         *  son profil. Un échec n'est pas bloquant : Samouraïs reste disponible. */
+        async function loadBrandKits(mediaId) {
+            try {
+                const query = mediaId ? `?media_id=${encodeURIComponent(mediaId)}` : '';
+                const response = await fetch('/api/editor/brand-kits' + query);
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                const data = await response.json();
+                Object.keys(brandKits).forEach(id => { delete brandKits[id]; });
+                (data.items || []).forEach(kit => { brandKits[kit.id] = kit; });
+                brandProfiles = data.profiles || [];
+                brandKitsReady = true;
+                renderBrandKitOptions();
+                if (data.default_id !== null && data.default_id !== undefined && data.default_id !== state.brandKitId) {
+                    state.brandKitId = data.default_id;
+                    state.brandLogo = null;
+                    applyBrandKit();
+                    // Choix automatique du média ouvert : il fait partie du
+                    // point de départ, pas d'une modification à annuler.
+                    if (editHistory.undo.length) commitHistory('Kit de marque');
+                    else resetHistory();
                 } else {
-                    // Fallback: split par \n
-                    const lines = textToRender.split('\n');
-                    let y = textYPos;
-                    for (const line of lines) {
-                        ctx.fillText(line, textXPos, y);
-                        y += lineHeight;
-                    }
+                    applyBrandKit();
                 }
-                
-                ctx.restore();
+            } catch (err) {
+                console.error('[editor] kits de marque indisponibles', err);
+                note('Les kits de marque n’ont pas pu être chargés. Le filigrane Samouraïs reste disponible.', 'warning');
             }
-            
-            // Découper le trou pour la vidéo (zone transparente avec coins arrondis)
-            ctx.save();
-            ctx.globalCompositeOperation = 'destination-out';
-            
-            // Utiliser les dimensions du frame depuis params (inclut la hauteur personnalisée)
-            const frameX = params.frameX;
-            const frameY = params.frameY;
-            const frameWidth = params.frameWidth;
-            const frameHeight = params.frameHeight;
-            const radius = params.frameRadius || 0;
-            
-            // Dessiner un rectangle arrondi transparent
-            ctx.beginPath();
-            ctx.moveTo(frameX + radius, frameY);
-            ctx.lineTo(frameX + frameWidth - radius, frameY);
-            ctx.quadraticCurveTo(frameX + frameWidth, frameY, frameX + frameWidth, frameY + radius);
-            ctx.lineTo(frameX + frameWidth, frameY + frameHeight - radius);
-            ctx.quadraticCurveTo(frameX + frameWidth, frameY + frameHeight, frameX + frameWidth - radius, frameY + frameHeight);
-            ctx.lineTo(frameX + radius, frameY + frameHeight);
-            ctx.quadraticCurveTo(frameX, frameY + frameHeight, frameX, frameY + frameHeight - radius);
-            ctx.lineTo(frameX, frameY + radius);
-            ctx.quadraticCurveTo(frameX, frameY, frameX + radius, frameY);
-            ctx.closePath();
-            ctx.fill();
-            
-            ctx.restore();
-            
-            // Le texte est maintenant dessiné AVANT le trou (voir plus haut)
-            
-            // Dessiner le logo watermark
-            const watermark = p.watermark;
-            if (watermark && logoImage) {
-                ctx.save();
+        }
 
-                // Position du watermark (depuis Fabric.js - originX: right, originY: bottom)
-                const wmLeft = watermark.left - offset;
-                const wmTop = watermark.top - offset;
-                const wmWidth = watermark.width * watermark.scaleX;
-                const wmHeight = watermark.height * watermark.scaleY;
-                
-                // Opacité
-                ctx.globalAlpha = state.watermarkOpacity / 100;
-                
-                // Le watermark est aligné right/bottom dans Fabric, donc:
-                // left/top représentent le coin bottom-right
-                ctx.drawImage(
-                    logoImage.getElement(),
-                    wmLeft - wmWidth,
-                    wmTop - wmHeight,
-                    wmWidth,
-                    wmHeight
-                );
-                
-                ctx.restore();
+        function selectBrandKit(value) {
+            state.brandKitId = value ? parseInt(value, 10) : null;
+            state.brandLogo = null;
+            applyBrandKit();
+            commitHistory('Kit de marque');
+        }
+
+        function selectBrandLogo(name) {
+            const kit = activeBrandKit();
+            if (!brandLogoOf(kit, name)) return;
+            state.brandLogo = name === kit.settings.logo ? null : name;
+            refreshBrandLogo();
+            commitHistory('Logo du filigrane');
+        }
+
+        // ---- Gestion des kits ----
+
+        function brandField(name) { return brandForm.querySelector(`[name="${name}"]`); }
+
+        function renderBrandPositions() {
+            const count = Object.keys(brandDesigner.positions).length;
+            brandPositionsReadout.textContent = count
+                ? `Position enregistrée pour ${count} gabarit${count > 1 ? 's' : ''}.`
+                : 'Position de chaque gabarit.';
+        }
+
+        function renderBrandDesignerLogos() {
+            const kit = brandDesigner.id !== null ? brandKits[brandDesigner.id] : null;
+            const checked = brandForm.querySelector('input[name="brand-default-logo"]:checked');
+            const selected = checked ? checked.value : kit && kit.settings.logo;
+            brandLogoList.replaceChildren();
+            (kit ? kit.logos : []).forEach(function(logo) {
+                const row = document.createElement('div');
+                row.className = 'brand-logo-row';
+                const label = document.createElement('label');
+                label.className = 'schedule-check';
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = 'brand-default-logo';
+                radio.value = logo.name;
+                radio.checked = logo.name === selected;
+                const img = document.createElement('img');
+                img.src = logo.url;
+                img.alt = '';
+                const text = document.createElement('span');
+                text.textContent = 'Par défaut';
+                label.append(radio, img, text);
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn btn-ghost';
+                remove.dataset.removeLogo = logo.name;
+                remove.textContent = 'Retirer';
+                row.append(label, remove);
+                brandLogoList.appendChild(row);
+            });
+            const full = !!kit && kit.logos.length >= BRAND_LOGOS_MAX;
+            brandLogoAddBtn.disabled = !kit || full;
+            brandLogoHint.textContent = !kit
+                ? 'Enregistre le kit pour y ajouter ses logos.'
+                : full ? `${BRAND_LOGOS_MAX} logos au plus par kit.` : 'PNG, JPEG ou WebP, 2 Mo au plus.';
+        }
+
+        function openBrandDesigner(id) {
+            if (!brandDialog || typeof brandDialog.showModal !== 'function') {
+                note('La gestion des kits est indisponible dans ce navigateur.', 'error');
+                return;
             }
-            
-            // Convertir en blob PNG
-            return new Promise((resolve) => {
-                tempCanvas.toBlob((blob) => {
-                    resolve(blob);
-                }, 'image/png');
+            const kit = id !== null ? brandKits[id] : null;
+            const settings = kit ? kit.settings : BRAND_DEFAULTS;
+            brandDesigner.id = kit ? kit.id : null;
+            brandDesigner.positions = Object.assign({}, settings.watermark.positions);
+            brandDialogTitle.textContent = kit ? 'Modifier le kit' : 'Nouveau kit de marque';
+            brandDeleteBtn.hidden = !kit;
+            brandNameInput.value = kit ? kit.name : '';
+            brandField('opacity').value = settings.watermark.opacity;
+            brandField('scale').value = settings.watermark.scale;
+            brandField('font').value = settings.font;
+            brandField('color-text').value = settings.colors.text;
+            brandField('color-band').value = settings.colors.band;
+
+            brandProfileList.replaceChildren();
+            brandProfiles.forEach(function(profile) {
+                const label = document.createElement('label');
+                label.className = 'schedule-check';
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.value = String(profile.id);
+                box.checked = !!kit && kit.profile_ids.includes(profile.id);
+                const text = document.createElement('span');
+                text.textContent = `${profile.platform} · @${profile.username}`;
+                label.append(box, text);
+                brandProfileList.appendChild(label);
+            });
+            if (!brandProfiles.length) brandProfileList.textContent = 'Aucun profil enregistré.';
+
+            brandLogoList.replaceChildren();
+            renderBrandDesignerLogos();
+            renderBrandPositions();
+            brandDialog.showModal();
+            brandNameInput.focus();
+        }
+
+        /** Place actuelle du filigrane sur chaque plateau, rangée sous son gabarit. */
+        function captureBrandPositions() {
+            eachPane(function(p) {
+                if (!p.watermark) return;
+                const template = templateOf(p);
+                brandDesigner.positions[brandTemplateKey(p)] = {
+                    x: Math.round(Math.max(0, Math.min(template.width, p.watermark.left - CANVAS_PADDING))),
+                    y: Math.round(Math.max(0, Math.min(template.height, p.watermark.top - CANVAS_PADDING)))
+                };
             });
+            renderBrandPositions();
         }
 
-        window.startVideoProcessing = async function() {
-            const modal = document.getElementById('export-modal');
-            const params = window._videoExportParams;
-            
-            // Backend is always available (same origin)
-            let backendUrl = '';
-
-            // Show processing state
-            modal.querySelector('div > div').innerHTML = `
-                <div style="font-size: 48px; margin-bottom: 16px; animation: spin 1s linear infinite;">⏳</div>
-                <style>@keyframes spin { to { transform: rotate(360deg); } }</style>
-                <h2 style="margin-bottom: 16px; color: #fff;">Processing...</h2>
-                <p style="color: #888; margin-bottom: 24px;">
-                    Génération du template et upload en cours...<br>
-                    Cela peut prendre quelques secondes.
-                </p>
-                <div id="progress-bar" style="background: #333; border-radius: 4px; height: 8px; overflow: hidden; margin-bottom: 16px;">
-                    <div id="progress-fill" style="background: #ef4444; height: 100%; width: 0%; transition: width 0.3s;"></div>
-                </div>
-                <p id="progress-text" style="color: #666; font-size: 12px;">Préparation...</p>
-            `;
-            
+        /** Le kit tel que l'API le renvoie prend sa place ; le choix courant suit. */
+        function storeBrandKit(kit) {
+            brandKits[kit.id] = kit;
+            renderBrandKitOptions();
+            if (brandDesigner.id === kit.id) renderBrandDesignerLogos();
+        }
+
+        async function saveBrandDesigner() {
+            const editing = brandDesigner.id !== null ? brandKits[brandDesigner.id] : null;
+            const checked = brandForm.querySelector('input[name="brand-default-logo"]:checked');
+            const body = {
+                name: brandNameInput.value.trim(),
+                profile_ids: Array.from(brandProfileList.querySelectorAll('input:checked'), b => parseInt(b.value, 10)),
+                settings: {
+                    watermark: {
+                        opacity: Math.round(Number(brandField('opacity').value)),
+                        scale: Math.round(Number(brandField('scale').value)),
+                        positions: brandDesigner.positions
+                    },
+                    font: brandField('font').value.trim(),
+                    colors: { text: brandField('color-text').value, band: brandField('color-band').value },
+                    logo: checked ? checked.value : editing && editing.settings.logo
+                }
+            };
+            brandSaveBtn.disabled = true;
             try {
-                updateProgress(5, 'Génération du template PNG...');
-                
-                // Générer le template PNG avec trou transparent
-                // Passer params pour avoir accès au texte
-                const templateBlob = await generateTemplatePNG(params);
-                
-                updateProgress(15, 'Préparation de l\'upload...');
-                
-                // Create form data with video file, template PNG, and params
-                const formData = new FormData();
-                formData.append('video', state.videoFile);
-                formData.append('template', templateBlob, 'template.png');
-                formData.append('params', JSON.stringify(ffmpegParamsOf(params)));
-                
-                updateProgress(20, 'Upload de la vidéo et du template...');
-                
-                const response = await fetch(`${backendUrl}/api/editor/process-video`, {
-                    method: 'POST',
-                    body: formData
-                });
-                
-                updateProgress(60, 'Traitement FFmpeg...');
-                
+                const response = await fetch(
+                    editing ? `/api/editor/brand-kits/${editing.id}` : '/api/editor/brand-kits', {
+                        method: editing ? 'PUT' : 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(body)
+                    });
+                const data = await response.json().catch(() => ({}));
                 if (!response.ok) {
-                    const error = await response.json();
-                    throw new Error(error.error || 'Erreur serveur');
+                    // 400 : le message du serveur nomme le champ fautif.
+                    note(data.error ? `Kit refusé — ${data.error}.` : 'Le kit n’a pas pu être enregistré.', 'error');
+                    return;
                 }
-                
-                updateProgress(90, 'Téléchargement...');
-                
-                // Download the processed video
-                const blob = await response.blob();
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `samourais_meme_${params.template}_${Date.now()}.mp4`;
-                link.click();
-                URL.revokeObjectURL(url);
-                
-                updateProgress(100, 'Terminé !');
-                
-                // Success state
-                setTimeout(() => {
-                    modal.querySelector('div > div').innerHTML = `
-                        <div style="font-size: 48px; margin-bottom: 16px;">✅</div>
-                        <h2 style="margin-bottom: 16px; color: #fff;">Export réussi !</h2>
-                        <p style="color: #888; margin-bottom: 24px;">
-                            Ta vidéo a été téléchargée.
-                        </p>
-                        <button onclick="document.getElementById('export-modal').remove()" 
-                                style="padding: 12px 32px; background: #ef4444; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-weight: 600;">
-                            Fermer
-                        </button>
-                    `;
-                }, 500);
-                
-            } catch (error) {
-                console.error('Export error:', error);
-                modal.querySelector('div > div').innerHTML = `
-                    <div style="font-size: 48px; margin-bottom: 16px;">❌</div>
-                    <h2 style="margin-bottom: 16px; color: #fff;">Erreur</h2>
-                    <p style="color: #ef4444; margin-bottom: 24px;">
-                        ${error.message}
-                    </p>
-                    <div style="display: flex; gap: 12px;">
-                        <button onclick="document.getElementById('export-modal').remove()" 
-                                style="flex: 1; padding: 12px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer;">
-                            Fermer
-                        </button>
-                        <button onclick="startVideoProcessing()" 
-                                style="flex: 1; padding: 12px; background: #ef4444; border: none; border-radius: 8px; color: #fff; cursor: pointer; font-weight: 600;">
-                            Réessayer
-                        </button>
-                    </div>
-                `;
+                storeBrandKit(data);
+                // Le kit enregistré habille les plateaux.
+                state.brandKitId = data.id;
+                applyBrandKit();
+                commitHistory('Kit ' + data.name);
+                if (editing) {
+                    brandDialog.close();
+                    note(`Kit « ${data.name} » enregistré.`, 'success');
+                } else {
+                    // Nouveau kit : la boîte reste ouverte pour ses logos.
+                    brandDesigner.id = data.id;
+                    brandDialogTitle.textContent = 'Modifier le kit';
+                    brandDeleteBtn.hidden = false;
+                    renderBrandDesignerLogos();
+                    note(`Kit « ${data.name} » créé — ajoute-lui ses logos.`, 'success');
+                }
+            } catch (err) {
+                console.error('[editor] enregistrement du kit impossible', err);
+                note('Le kit n’a pas pu être enregistré. Vérifie ta connexion, puis réessaie.', 'error');
+            } finally {
+                brandSaveBtn.disabled = false;
+            }
+        }
+
+        async function deleteBrandDesigner() {
+            const existing = brandDesigner.id !== null ? brandKits[brandDesigner.id] : null;
+            if (!existing) return;
+            const confirmed = window.samourais && window.samourais.confirm
+                ? await window.samourais.confirm({
+                    title: 'Supprimer le kit',
+                    message: `« ${existing.name} » et ses logos disparaîtront. Les memes déjà produits ne changent pas.`,
+                    confirm: 'Supprimer',
+                    danger: true
+                })
+                : true;
+            if (!confirmed) return;
+            try {
+                const response = await fetch(`/api/editor/brand-kits/${existing.id}`, { method: 'DELETE' });
+                if (!response.ok && response.status !== 404) throw new Error('HTTP ' + response.status);
+                brandDialog.close();
+                delete brandKits[existing.id];
+                renderBrandKitOptions();
+                if (state.brandKitId === existing.id) selectBrandKit('');
+                note(`Kit « ${existing.name} » supprimé.`, 'success');
+            } catch (err) {
+                console.error('[editor] suppression du kit impossible', err);
+                note('Le kit n’a pas pu être supprimé. Vérifie ta connexion, puis réessaie.', 'error');
+            }
+        }
+
+        async function uploadBrandLogo(file) {
+            const id = brandDesigner.id;
+            if (id === null || !file) return;
+            const formData = new FormData();
+            formData.append('logo', file);
+            brandLogoAddBtn.disabled = true;
+            try {
+                const response = await fetch(`/api/editor/brand-kits/${id}/logos`, { method: 'POST', body: formData });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    note(data.error ? `Logo refusé — ${data.error}.` : 'Le logo n’a pas pu être ajouté.', 'error');
+                    return;
+                }
+                storeBrandKit(data);
+                if (state.brandKitId === id) refreshBrandLogo();
+            } catch (err) {
+                console.error('[editor] ajout du logo impossible', err);
+                note('Le logo n’a pas pu être ajouté. Vérifie ta connexion, puis réessaie.', 'error');
+            } finally {
+                renderBrandDesignerLogos();
             }
-        };
+        }
 
-        function updateProgress(percent, text) {
-            const fill = document.getElementById('progress-fill');
-            const textEl = document.getElementById('progress-text');
-            if (fill) fill.style.width = percent + '%';
-            if (textEl) textEl.textContent = text;
-        }
-
-        function showError(message) {
-            const modal = document.getElementById('export-modal');
-            if (modal) {
-                modal.querySelector('div > div').innerHTML = `
-                    <div style="font-size: 48px; margin-bottom: 16px;">❌</div>
-                    <h2 style="margin-bottom: 16px; color: #fff;">Erreur</h2>
-                    <p style="color: #ef4444; margin-bottom: 24px;">
-                        ${message}
-                    </p>
-                    <button onclick="document.getElementById('export-modal').remove()" 
-                            style="padding: 12px 32px; background: #333; border: none; border-radius: 8px; color: #fff; cursor: pointer;">
-                        Fermer
-                    </button>
-                `;
-            } else {
-                note(message, 'error');
+        async function removeBrandLogo(name) {
+            const id = brandDesigner.id;
+            if (id === null) return;
+            try {
+                const response = await fetch(`/api/editor/brand-kits/${id}/logos/${encodeURIComponent(name)}`, { method: 'DELETE' });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                storeBrandKit(data);
+                if (state.brandKitId === id) refreshBrandLogo();
+            } catch (err) {
+                console.error('[editor] retrait du logo impossible', err);
+                note('Le logo n’a pas pu être retiré. Vérifie ta connexion, puis réessaie.', 'error');
             }
         }
 
-        // saveBackendUrl removed — backend is integrated
+        function setupBrandKits() {
+            if (!brandKitSelect) return;
+            brandKitSelect.addEventListener('change', () => selectBrandKit(brandKitSelect.value));
+            brandLogoChoices.addEventListener('click', function(e) {
+                const btn = e.target.closest('[data-logo]');
+                if (btn) selectBrandLogo(btn.dataset.logo);
+            });
+            if (!brandDialog || !brandForm) return;
+
+            brandNewBtn.addEventListener('click', () => openBrandDesigner(null));
+            brandEditBtn.addEventListener('click', () => openBrandDesigner(state.brandKitId));
+            document.getElementById('brand-positions-capture').addEventListener('click', captureBrandPositions);
+            document.getElementById('brand-positions-reset').addEventListener('click', function() {
+                brandDesigner.positions = {};
+                renderBrandPositions();
+            });
+            brandLogoAddBtn.addEventListener('click', () => brandLogoInput.click());
+            brandLogoInput.addEventListener('change', function() {
+                const file = brandLogoInput.files[0];
+                brandLogoInput.value = '';
+                uploadBrandLogo(file);
+            });
+            brandLogoList.addEventListener('click', function(e) {
+                const btn = e.target.closest('[data-remove-logo]');
+                if (btn) removeBrandLogo(btn.dataset.removeLogo);
+            });
+
+            brandForm.addEventListener('submit', function(e) {
+                // Comme le designer de gabarit : la boîte se ferme une fois
+                // la réponse du serveur connue (une erreur garde la saisie).
+                const action = e.submitter && e.submitter.value;
+                if (action === 'save') {
+                    e.preventDefault();
+                    saveBrandDesigner();
+                } else if (action === 'delete') {
+                    e.preventDefault();
+                    deleteBrandDesigner();
+                }
+            });
+        }
 
         // ============================================
-        // EVENT LISTENERS
+        // POLICES
+        // --------------------------------------------
+        // Une police et une graisse par élément : légende, POV, sous-titres.
+        // Sans choix, chaque élément garde la sienne (FONT_ELEMENTS) — la
+        // légende suit alors le kit de marque. La bibliothèque (GET
+        // /api/editor/fonts) est déclarée à document.fonts sous la famille
+        // LUE DANS LE FICHIER par le serveur : c'est sous ce nom que libass
+        // la retrouve pour les sous-titres, les seuls rendus par FFmpeg.
+        // D'où la liste des sous-titres réduite aux polices que le serveur
+        // connaît ; légende et POV partent dans le gabarit PNG, déjà dessiné
+        // par le navigateur.
+        //
+        // Toute police passe par loadFont() avant le dessin (PIÈGE CANVAS,
+        // voir POV) ; le choix suit l'historique et les compositions.
         // ============================================
-        function setupEventListeners() {
-            // Format selection — NE PILOTE QUE le plateau Instagram :
-            // le plateau TikTok est fixe en 1080×1920.
-            formatBtns.forEach(btn => {
-                btn.addEventListener('click', () => {
-                    formatBtns.forEach(b => b.classList.remove('active'));
-                    btn.classList.add('active');
-                    state.currentTemplate = btn.dataset.format;
+        // BUILTIN_FONTS, FONT_ELEMENTS, fontChoices() et sanitizeFonts() : editor-core.js.
+
+        // {id, family, weight, format, url} tels que servis par l'API
+        let fontLibrary = [];
+        // Faux tant que la liste n'est pas arrivée (voir brandKitsReady).
+        let fontLibraryReady = false;
+        // id → FontFace déclarée à document.fonts
+        const fontFaces = {};
+        // spec CSS → promesse du chargement ; specs résolues (même en échec)
+        const fontLoads = new Map();
+        const fontsSettled = new Set();
+        let fontTarget = 'text';
+
+        const fontTargetGroup = document.getElementById('font-target-group');
+        const fontFamilySelect = document.getElementById('font-family');
+        const fontWeightSelect = document.getElementById('font-weight');
+        const fontList = document.getElementById('font-list');
+        const fontFileInput = document.getElementById('font-file-input');
+        const fontUploadBtn = document.getElementById('font-upload-btn');
+
+        /** Police rendue d'un élément : le choix de l'utilisateur, sinon celle d'origine. */
+        function elementFont(el) {
+            const origin = FONT_ELEMENTS[el];
+            return state.fonts[el] || { family: origin.family || brandSettings().font, weight: origin.weight };
+        }
 
-                    const ig = panes.ig;
-                    ig.imageOffsetX = 0;
-                    ig.imageOffsetY = 0;
-                    ig.imageScale = 100;
-                    ig.frameHeightPercent = 100;
+        /** Polices de la légende : la sienne et son gras (**gras**, voir TEXTE RICHE). */
+        function captionFonts() {
+            const text = elementFont('text');
+            return [text, { family: text.family, weight: CAPTION_BOLD_WEIGHT }];
+        }
 
-                    imageScaleSlider.value = 100;
-                    imageScaleValue.textContent = '100%';
-                    frameHeightSlider.value = 100;
-                    frameHeightValue.textContent = '100%';
+        function fontSpec(font) {
+            return `${font.weight} 48px "${font.family}"`;
+        }
 
-                    // Frame height slider available for all formats (1:1, 4:5, 9:16)
-                    frameHeightSection.style.display = 'block';
+        function fontSettled(font) {
+            return fontsSettled.has(fontSpec(font));
+        }
 
-                    // LOT C — les dimensions annoncées du fichier de sortie
-                    // suivent le format choisi.
-                    updateExportReadout();
+        function isLibraryFont(font) {
+            return fontLibrary.some(f => f.family === font.family && f.weight === font.weight);
+        }
 
-                    // Le libellé du plateau Instagram suit le format.
-                    if (stageDimsIG) {
-                        const t = templateOf(ig);
-                        stageDimsIG.textContent = `${t.width}×${t.height}`;
+        /**
+         * Charge `font` ({family, weight}) dans document.fonts, une fois par
+         * spec. Toujours résolue : une police introuvable laisse le texte en
+         * police de repli, elle ne bloque pas l'éditeur.
+         */
+        function loadFont(font) {
+            const spec = fontSpec(font);
+            if (!fontLoads.has(spec)) {
+                const load = (document.fonts && document.fonts.load)
+                    ? document.fonts.load(spec)
+                    : Promise.resolve([]);
+                fontLoads.set(spec, load.catch(function(err) {
+                    console.error(`[editor] chargement de ${font.family} ${font.weight} impossible`, err);
+                    return [];
+                }).then(function(faces) {
+                    fontsSettled.add(spec);
+                    if (!faces.length) {
+                        console.warn(`[editor] ${font.family} ${font.weight} introuvable : rendu en police de repli.`);
+                        if (isLibraryFont(font)) {
+                            note(`La police ${font.family} ${font.weight} n’a pas pu être chargée : le texte sort en police de repli.`, 'warning');
+                        }
                     }
+                    return faces;
+                }));
+            }
+            return fontLoads.get(spec);
+        }
 
-                    updateCanvasSize(ig);
-                    createElements(ig);
+        /** Bibliothèque de référence de sanitizeFonts() : null tant qu'elle n'est pas arrivée. */
+        function knownFontLibrary() {
+            return fontLibraryReady ? fontLibrary : null;
+        }
 
-                    if (state.imageSrc) {
-                        addImageToCanvas(ig, state.imageSrc);
-                    }
-                    if (state.showOverlay && state.overlayText) {
-                        addOverlayText(ig);
-                    }
-                    updateText(state.text);
+        /** Repose les polices choisies sur les plateaux, puis re-mesure une fois chargées. */
+        function applyFonts() {
+            const text = elementFont('text');
+            eachPane(function(p) {
+                if (p.textBox) p.textBox.set({ fontFamily: captionFontFamily(), fontWeight: text.weight });
+            });
+            const fonts = captionFonts().concat([elementFont('pov'), elementFont('subtitles')]);
+            Promise.all(fonts.map(loadFont)).then(function() {
+                // Relu ici : un autre choix a pu arriver pendant le chargement.
+                const pov = elementFont('pov');
+                if (panes.tt.povObj) {
+                    panes.tt.povObj.set({ fontFamily: pov.family, fontWeight: pov.weight });
+                    panes.tt.povObj.initDimensions();
+                }
+                eachPane(function(p) {
+                    if (!p.canvas) return;
+                    if (p.textBox) p.textBox.initDimensions();
+                    p.canvas.requestRenderAll();
                 });
+                fitAllText();
+                if (state.subtitles) refreshSubtitles();
             });
+        }
 
-            // File upload - click
-            uploadZone.addEventListener('click', () => fileInput.click());
-
-            // File upload - drag & drop
-            uploadZone.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                uploadZone.style.borderColor = '#ef4444';
+        function syncFontControls() {
+            if (!fontFamilySelect) return;
+            fontTargetGroup.querySelectorAll('[data-fonttarget]').forEach(function(btn) {
+                const active = btn.dataset.fonttarget === fontTarget;
+                btn.classList.toggle('active', active);
+                btn.setAttribute('aria-pressed', String(active));
             });
-
-            uploadZone.addEventListener('dragleave', () => {
-                uploadZone.style.borderColor = '#333';
+            const chosen = state.fonts[fontTarget];
+            const font = elementFont(fontTarget);
+            const choices = fontChoices(fontTarget, fontLibrary);
+
+            const originOption = document.createElement('option');
+            originOption.value = '';
+            originOption.textContent = chosen ? 'D’origine' : `D’origine (${font.family})`;
+            fontFamilySelect.replaceChildren(originOption);
+            choices.forEach(function(c) {
+                const option = document.createElement('option');
+                option.value = c.family;
+                option.textContent = c.family;
+                fontFamilySelect.appendChild(option);
             });
-
-            uploadZone.addEventListener('drop', (e) => {
-                e.preventDefault();
-                uploadZone.style.borderColor = '#333';
-                const file = e.dataTransfer.files[0];
-                if (file && (file.type.startsWith('image/') || file.type.startsWith('video/'))) {
-                    loadMedia(file);
-                }
+            fontFamilySelect.value = chosen ? chosen.family : '';
+
+            const choice = chosen && choices.find(c => c.family === chosen.family);
+            fontWeightSelect.replaceChildren();
+            (choice ? choice.weights : [font.weight]).forEach(function(w) {
+                const option = document.createElement('option');
+                option.value = String(w);
+                option.textContent = String(w);
+                fontWeightSelect.appendChild(option);
             });
+            fontWeightSelect.value = String(font.weight);
+            fontWeightSelect.disabled = !choice || choice.weights.length < 2;
+        }
 
-            // File input change
-            fileInput.addEventListener('change', (e) => {
-                const file = e.target.files[0];
-                if (file) loadMedia(file);
+        function renderFontLibrary() {
+            if (!fontList) return;
+            fontList.replaceChildren();
+            fontLibrary.forEach(function(f) {
+                const li = document.createElement('li');
+                li.className = 'font-row';
+                const name = document.createElement('span');
+                name.className = 'font-row__name';
+                name.textContent = `${f.family} ${f.weight}`;
+                name.style.fontFamily = `"${f.family}", sans-serif`;
+                name.style.fontWeight = String(f.weight);
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn btn-ghost';
+                remove.dataset.removeFont = f.id;
+                remove.textContent = 'Supprimer';
+                li.append(name, remove);
+                fontList.appendChild(li);
             });
+            fontList.hidden = !fontLibrary.length;
+        }
 
-            // Meme text
-            memeTextInput.addEventListener('input', (e) => {
-                updateText(e.target.value);
-            });
+        /** Déclare une police de la bibliothèque à document.fonts (chargée à la demande). */
+        function registerFont(f) {
+            if (fontFaces[f.id] || typeof FontFace === 'undefined') return;
+            const face = new FontFace(f.family, `url("${f.url}") format("${f.format}")`, { weight: String(f.weight) });
+            document.fonts.add(face);
+            fontFaces[f.id] = face;
+        }
 
-            // Text size slider
-            textSizeSlider.addEventListener('input', (e) => {
-                updateTextSize(e.target.value);
-            });
+        async function loadFontLibrary() {
+            try {
+                const response = await fetch('/api/editor/fonts');
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                const data = await response.json();
+                fontLibrary = data.items || [];
+                fontLibrary.forEach(registerFont);
+                fontLibraryReady = true;
+                // Un chargement tenté avant la déclaration a résolu sans
+                // face : on l'oublie pour que loadFont() retente.
+                fontLoads.clear();
+                fontsSettled.clear();
+            } catch (err) {
+                console.error('[editor] bibliothèque de polices indisponible', err);
+                note('La bibliothèque de polices n’a pas pu être chargée. Les polices d’origine restent disponibles.', 'warning');
+            }
+            renderFontLibrary();
+            state.fonts = sanitizeFonts(state.fonts, knownFontLibrary());
+            syncFontControls();
+            applyFonts();
+        }
 
-            // Line height slider
-            lineHeightSlider.addEventListener('input', (e) => {
-                updateLineHeight(e.target.value);
-            });
+        function selectFont(family, weight) {
+            const choice = family ? fontChoices(fontTarget, fontLibrary).find(c => c.family === family) : null;
+            let font = null;
+            if (choice) {
+                // Graisse demandée, sinon la plus proche de celle d'origine.
+                const wanted = weight || elementFont(fontTarget).weight;
+                const closest = choice.weights.reduce((a, b) => Math.abs(b - wanted) < Math.abs(a - wanted) ? b : a);
+                font = { family, weight: choice.weights.includes(wanted) ? wanted : closest };
+            }
+            state.fonts = Object.assign({}, state.fonts, { [fontTarget]: font });
+            syncFontControls();
+            applyFonts();
+            commitHistory('Police');
+        }
 
-            // Image scale slider
-            imageScaleSlider.addEventListener('input', (e) => {
-                updateImageScale(parseInt(e.target.value));
-            });
+        async function uploadFont(file) {
+            if (!file) return;
+            const formData = new FormData();
+            formData.append('font', file);
+            fontUploadBtn.disabled = true;
+            try {
+                const response = await fetch('/api/editor/fonts', { method: 'POST', body: formData });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    note(data.error ? `Police refusée — ${data.error}.` : 'La police n’a pas pu être ajoutée.', 'error');
+                    return;
+                }
+                registerFont(data);
+                fontLibrary = fontLibrary.concat([data]).sort((a, b) => a.family.localeCompare(b.family) || a.weight - b.weight);
+                renderFontLibrary();
+                syncFontControls();
+                note(`${data.family} ${data.weight} ajoutée à la bibliothèque.`, 'success');
+            } catch (err) {
+                console.error('[editor] ajout de la police impossible', err);
+                note('La police n’a pas pu être ajoutée. Vérifie ta connexion, puis réessaie.', 'error');
+            } finally {
+                fontUploadBtn.disabled = false;
+            }
+        }
 
-            // Frame height slider (story only)
-            frameHeightSlider.addEventListener('input', (e) => {
-                updateFrameHeight(parseInt(e.target.value));
-            });
+        async function deleteFont(id) {
+            const f = fontLibrary.find(x => x.id === id);
+            if (!f || !confirm(`Supprimer ${f.family} ${f.weight} de la bibliothèque ?`)) return;
+            try {
+                const response = await fetch(`/api/editor/fonts/${id}`, { method: 'DELETE' });
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+            } catch (err) {
+                console.error('[editor] suppression de la police impossible', err);
+                note('La police n’a pas pu être supprimée. Vérifie ta connexion, puis réessaie.', 'error');
+                return;
+            }
+            fontLibrary = fontLibrary.filter(x => x.id !== id);
+            if (fontFaces[id]) {
+                document.fonts.delete(fontFaces[id]);
+                delete fontFaces[id];
+            }
+            renderFontLibrary();
+            // Les éléments qui la portaient reviennent à leur police d'origine.
+            const before = state.fonts;
+            state.fonts = sanitizeFonts(state.fonts, knownFontLibrary());
+            syncFontControls();
+            if (JSON.stringify(before) !== JSON.stringify(state.fonts)) {
+                applyFonts();
+                commitHistory('Police');
+            }
+        }
 
-            // Select image button — sélectionne le média sur chaque plateau
-            // actif (deux canvas indépendants, deux sélections).
-            selectImageBtn.addEventListener('click', () => {
-                activePanes().forEach(function(p) {
-                    if (p.imageObj) {
-                        p.canvas.setActiveObject(p.imageObj);
-                        p.canvas.renderAll();
-                    }
-                });
+        function setupFonts() {
+            if (!fontFamilySelect) return;
+            fontTargetGroup.addEventListener('click', function(e) {
+                const btn = e.target.closest('[data-fonttarget]');
+                if (!btn) return;
+                fontTarget = btn.dataset.fonttarget;
+                syncFontControls();
             });
-
-            // Overlay toggle
-            overlayToggle.addEventListener('click', toggleOverlay);
-
-            // Overlay text
-            overlayTextInput.addEventListener('input', (e) => {
-                updateOverlayText(e.target.value);
+            fontFamilySelect.addEventListener('change', () => selectFont(fontFamilySelect.value, null));
+            fontWeightSelect.addEventListener('change', function() {
+                selectFont(fontFamilySelect.value, parseInt(fontWeightSelect.value, 10));
             });
-
-            // Reset
-            resetBtn.addEventListener('click', resetAll);
-
-            // Export
-            exportBtn.addEventListener('click', exportMeme);
-
-            // Schedule - send to calendar
-            scheduleBtn.addEventListener('click', schedulePost);
-
-            // Save meme to viewer gallery
-            if (saveMemeBtn) saveMemeBtn.addEventListener('click', saveMemeToViewer);
-
-            // Import source tabs
-            const libraryZone = document.getElementById('library-zone');
-            importTabs.forEach(tab => {
-                tab.addEventListener('click', () => {
-                    importTabs.forEach(t => t.classList.remove('active'));
-                    tab.classList.add('active');
-
-                    const source = tab.dataset.source;
-                    uploadZone.style.display = source === 'local' ? 'block' : 'none';
-                    driveZone.style.display = source === 'drive' ? 'block' : 'none';
-                    if (libraryZone) libraryZone.style.display = source === 'library' ? 'block' : 'none';
-                    if (source === 'library') loadLibraryMedia();
-                });
+            fontUploadBtn.addEventListener('click', () => fontFileInput.click());
+            fontFileInput.addEventListener('change', function() {
+                const file = fontFileInput.files[0];
+                fontFileInput.value = '';
+                uploadFont(file);
             });
+            fontList.addEventListener('click', function(e) {
+                const btn = e.target.closest('[data-remove-font]');
+                if (btn) deleteFont(parseInt(btn.dataset.removeFont, 10));
+            });
+            syncFontControls();
+        }
 
-            // Google Drive connect button
-            connectDriveBtn.addEventListener('click', openGoogleDrivePicker);
-
-            // ---- Retouche image (LOT C) ----
-            if (cropGroup) {
-                cropGroup.addEventListener('click', (e) => {
-                    const btn = e.target.closest('.seg__btn');
-                    if (!btn) return;
-                    const key = btn.dataset.ratio;
-                    state.cropRatio = (key === 'free') ? null : (CROP_RATIOS[key] || null);
-                    cropGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
-                    btn.classList.add('active');
-                    reapplyImageTransforms();
-                });
-            }
+        // ============================================
+        // CARROUSEL INSTAGRAM
+        // --------------------------------------------
+        // Le plateau Instagram porte une SÉRIE ordonnée de diapositives.
+        // Une seule est ouverte à la fois dans l'éditeur ; les autres sont
+        // rangées sous forme de { média, document }, le document étant
+        // celui des compositions éditables (compositionDocument) : texte,
+        // retouche, cadrage et place des objets propres à la diapositive.
+        // Gabarit et filigrane restent PARTAGÉS : ouvrir une diapositive
+        // garde le format courant et ne touche pas au filigrane.
+        //
+        // Ouvrir une diapositive repasse par applyHistorySnapshot(), comme
+        // annuler ou rouvrir un meme. Chaque diapositive repart d'un
+        // historique vide : le média n'est pas dans l'historique.
+        //
+        // Export, Viewer et Calendrier rendent les diapositives une à une
+        // sur le plateau Instagram : fichiers numérotés au téléchargement,
+        // UN meme et UN post `carousel` côté serveur (app/editor/carousels.py).
+        // ============================================
+        const CAROUSEL_MAX_SLIDES = 20;  // borne d'Instagram, reprise par le serveur
+        const CAROUSEL_THUMB_SCALE = 0.12;
+        const CAROUSEL_REFRESH_DELAY = 500;
+
+        const carousel = { active: false, slides: [], current: 0, busy: false, refreshTimer: null };
+        const carouselToggle = document.getElementById('carousel-toggle');
+        const carouselSwitch = document.getElementById('carousel-switch');
+        const carouselPanel = document.getElementById('carousel-panel');
+        const carouselStrip = document.getElementById('carousel-strip');
+        const carouselAddBtn = document.getElementById('carousel-add-btn');
+
+        /** Le mode carrousel n'a de sens qu'avec une image chargée. */
+        function syncCarouselAvailability() {
+            if (!carouselToggle) return;
+            carouselToggle.disabled = !carousel.active && !(state.mediaType === 'image' && state.imageSrc);
+        }
 
-            if (rotateLeftBtn) {
-                rotateLeftBtn.addEventListener('click', () => {
-                    state.rotation = (state.rotation + 270) % 360;
-                    reapplyImageTransforms();
-                });
-            }
-            if (rotateRightBtn) {
-                rotateRightBtn.addEventListener('click', () => {
-                    state.rotation = (state.rotation + 90) % 360;
-                    reapplyImageTransforms();
-                });
-            }
-            if (flipHBtn) {
-                flipHBtn.addEventListener('click', () => {
-                    state.flipX = !state.flipX;
-                    flipHBtn.setAttribute('aria-pressed', String(state.flipX));
-                    eachPane(function(p) {
-                        if (p.imageObj) { p.imageObj.set({ flipX: state.flipX }); p.canvas.requestRenderAll(); }
-                    });
-                    updateImageEditReadouts();
-                });
-            }
-            if (flipVBtn) {
-                flipVBtn.addEventListener('click', () => {
-                    state.flipY = !state.flipY;
-                    flipVBtn.setAttribute('aria-pressed', String(state.flipY));
-                    eachPane(function(p) {
-                        if (p.imageObj) { p.imageObj.set({ flipY: state.flipY }); p.canvas.requestRenderAll(); }
-                    });
-                    updateImageEditReadouts();
-                });
-            }
+        function syncCarouselControls() {
+            if (carouselToggle) carouselToggle.setAttribute('aria-pressed', String(carousel.active));
+            if (carouselSwitch) carouselSwitch.classList.toggle('active', carousel.active);
+            if (carouselPanel) carouselPanel.hidden = !carousel.active;
+            syncCarouselAvailability();
+            renderCarouselStrip();
+            updateExportReadout();
+        }
 
-            if (adjBrightness) {
-                adjBrightness.addEventListener('input', (e) => {
-                    state.brightness = parseInt(e.target.value, 10);
-                    adjBrightnessValue.textContent = state.brightness;
-                    applyImageFilters();
-                });
-            }
-            if (adjContrast) {
-                adjContrast.addEventListener('input', (e) => {
-                    state.contrast = parseInt(e.target.value, 10);
-                    adjContrastValue.textContent = state.contrast;
-                    applyImageFilters();
-                });
-            }
-            if (adjSaturation) {
-                adjSaturation.addEventListener('input', (e) => {
-                    state.saturation = parseInt(e.target.value, 10);
-                    adjSaturationValue.textContent = state.saturation;
-                    applyImageFilters();
-                });
-            }
-            if (imageResetBtn) {
-                imageResetBtn.addEventListener('click', () => resetImageEdits(false));
+        /** Range l'éditeur dans la diapositive ouverte (et sa vignette si demandé). */
+        function captureSlide(withThumb) {
+            const slide = carousel.slides[carousel.current];
+            if (!slide) return;
+            slide.imageSrc = state.imageSrc;
+            slide.imageName = state.imageName;
+            slide.imageSize = state.imageSize;
+            slide.sourceMediaId = state.sourceMediaId;
+            slide.doc = compositionDocument();
+            if (withThumb && panes.ig.imageObj) {
+                try {
+                    slide.thumb = renderCanvasToDataURL(panes.ig, 'jpeg', 0.7, CAROUSEL_THUMB_SCALE);
+                } catch (err) {
+                    console.error('[editor] vignette de diapositive impossible', err);
+                }
+                renderCarouselStrip();
             }
+        }
 
-            // ---- Fichier de sortie (LOT C) ----
-            if (imgFormatGroup) {
-                imgFormatGroup.addEventListener('click', (e) => {
-                    const btn = e.target.closest('.seg__btn');
-                    if (!btn) return;
-                    state.exportFormat = btn.dataset.imgformat;
-                    imgFormatGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
-                    btn.classList.add('active');
-                    updateExportReadout();
-                });
-            }
-            if (exportQuality) {
-                exportQuality.addEventListener('input', (e) => {
-                    state.exportQuality = parseInt(e.target.value, 10);
-                    exportQualityValue.textContent = state.exportQuality + '%';
-                    updateExportReadout();
-                });
-            }
-            if (sizeGroup) {
-                sizeGroup.addEventListener('click', (e) => {
-                    const btn = e.target.closest('.seg__btn');
-                    if (!btn) return;
-                    state.exportScale = parseFloat(btn.dataset.scale) || 1;
-                    sizeGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
-                    btn.classList.add('active');
-                    updateExportReadout();
-                });
-            }
+        /**
+         * Vignette rafraîchie au repos. Le rendu désélectionne les objets
+         * (renderCanvasToDataURL) : on attend que rien ne soit sélectionné
+         * sur le plateau Instagram pour ne pas couper un geste en cours.
+         */
+        function scheduleSlideRefresh() {
+            clearTimeout(carousel.refreshTimer);
+            carousel.refreshTimer = setTimeout(function() {
+                if (!carousel.active || carousel.busy) return;
+                if (panes.ig.canvas.getActiveObject()) { scheduleSlideRefresh(); return; }
+                captureSlide(true);
+            }, CAROUSEL_REFRESH_DELAY);
+        }
 
-            // Window resize
-            window.addEventListener('resize', updateAllCanvasSizes);
+        /** Ouvre la diapositive `index` dans l'éditeur ; résolue une fois rendue. */
+        function openSlide(index) {
+            const slide = carousel.slides[index];
+            if (!slide) return Promise.resolve();
+            carousel.current = index;
+
+            state.imageSrc = slide.imageSrc;
+            state.imageName = slide.imageName;
+            state.imageSize = slide.imageSize;
+            state.sourceMediaId = slide.sourceMediaId;
+
+            // Même périmètre que l'historique, format, kit de marque et
+            // polices courants imposés : ce sont ceux du carrousel, pas ceux
+            // de la diapositive.
+            const doc = slide.doc;
+            const shared = {
+                currentTemplate: state.currentTemplate,
+                brandKitId: state.brandKitId, brandLogo: state.brandLogo, fonts: state.fonts
+            };
+            const snap = { state: Object.assign({}, doc.state, shared), panes: doc.panes };
+            // Rotation, recadrage et cadrage AVANT le chargement : l'image
+            // est posée directement à sa place (voir addImageToCanvas).
+            Object.assign(state, snap.state);
+            eachPane(function(p) { Object.assign(p, snap.panes[p.key]); });
+
+            return addImageToAllPanes(slide.imageSrc).then(function() {
+                applyHistorySnapshot(snap);
+                // Le filigrane est partagé : il garde sa place courante.
+                placeCompositionObjects(withoutWatermark(doc.objects));
+                updateUploadZone();
+                resetHistory();
+                renderCarouselStrip();
+                // Les diapositives sont rendues l'une après l'autre : pas
+                // avant que leurs stickers soient là.
+                return whenAnnotationsReady();
+            });
+        }
 
-            // ---- Interrupteurs de plateau (éditeur double) ----
-            eachPane(function(p) {
-                const btn = document.getElementById('toggle-' + p.key);
-                if (!btn) return;
-                btn.addEventListener('click', function() {
-                    p.enabled = !p.enabled;
-                    btn.setAttribute('aria-pressed', String(p.enabled));
-                    const sw = btn.querySelector('.toggle-switch');
-                    if (sw) sw.classList.toggle('active', p.enabled);
-                    const stage = document.getElementById(p.stageId);
-                    if (stage) stage.classList.toggle('is-off', !p.enabled);
-                    // L'autre plateau récupère la place libérée.
-                    updateAllCanvasSizes();
-                    updateExportReadout();
-                });
+        /** Passe à une autre diapositive — la diapositive quittée est rangée d'abord. */
+        function selectSlide(index) {
+            if (carousel.busy || index === carousel.current) return Promise.resolve();
+            captureSlide(true);
+            carousel.busy = true;
+            return openSlide(index).finally(function() {
+                carousel.busy = false;
+                renderCarouselStrip();
             });
+        }
 
-            // ---- Texte TikTok « POV » ----
-            if (povTextInput) {
-                povTextInput.addEventListener('input', function(e) {
-                    state.povText = e.target.value;
-                    ensurePovObject();
-                });
+        function startCarousel() {
+            if (carousel.active) return;
+            if (batch.active) {
+                note('Le lot rend un meme par média : quitte le lot pour composer un carrousel.', 'warning');
+                return;
             }
-            if (povStyleGroup) {
-                povStyleGroup.addEventListener('click', function(e) {
-                    const btn = e.target.closest('.seg__btn');
-                    if (!btn) return;
-                    state.povStyle = btn.dataset.povstyle === 'dark' ? 'dark' : 'light';
-                    povStyleGroup.querySelectorAll('.seg__btn').forEach(b => b.classList.remove('active'));
-                    btn.classList.add('active');
-                    restylePovObject();
-                });
+            if (state.mediaType !== 'image' || !state.imageSrc) {
+                note('Charge d’abord une image : elle devient la première diapositive.', 'warning');
+                return;
             }
-
-            // ---- Dialogue de planification double ----
-            if (scheduleForm) {
-                scheduleForm.addEventListener('submit', function(e) {
-                    // `method="dialog"` ferme la boîte quel que soit le
-                    // bouton ; on ne crée les posts que sur « confirm ».
-                    if (e.submitter && e.submitter.value === 'confirm') {
-                        confirmSchedule();
-                    }
-                });
+            // Le carrousel vit sur le plateau Instagram : il doit être actif.
+            if (!panes.ig.enabled) {
+                panes.ig.enabled = true;
+                syncPaneToggle(panes.ig);
+                updateAllCanvasSizes();
             }
+            carousel.active = true;
+            carousel.slides = [{}];
+            carousel.current = 0;
+            captureSlide(true);
+            syncCarouselControls();
         }
 
-        // ============================================
-        // LIBRARY — Load scraped media from viewer API
-        // ============================================
-        let libraryPage = 1;
-        let libraryLoading = false;
+        /** Quitte le mode : la diapositive ouverte reste seule dans l'éditeur. */
+        function stopCarousel() {
+            clearTimeout(carousel.refreshTimer);
+            carousel.active = false;
+            carousel.slides = [];
+            carousel.current = 0;
+            syncCarouselControls();
+        }
 
-        async function loadLibraryMedia(append = false) {
-            if (libraryLoading) return;
-            libraryLoading = true;
-            const zone = document.getElementById('library-zone');
-            const grid = document.getElementById('library-grid');
-            if (!zone || !grid) { libraryLoading = false; return; }
+        async function leaveCarousel() {
+            if (carousel.busy) return;
+            if (carousel.slides.length > 1) {
+                const confirmed = window.samourais && window.samourais.confirm
+                    ? await window.samourais.confirm({
+                        title: 'Quitter le carrousel',
+                        message: `Seule la diapositive ${carousel.current + 1} reste dans l’éditeur : les ${carousel.slides.length - 1} autres seront perdues.`,
+                        confirm: 'Quitter',
+                        danger: true
+                    })
+                    : true;
+                if (!confirmed) return;
+            }
+            stopCarousel();
+        }
 
-            if (!append) { libraryPage = 1; grid.innerHTML = ''; }
+        /** Nouvelle diapositive = copie de l'ouverte, à remplacer par un import. */
+        function addSlide() {
+            if (carousel.busy) return;
+            if (carousel.slides.length >= CAROUSEL_MAX_SLIDES) {
+                note(`Un carrousel Instagram compte ${CAROUSEL_MAX_SLIDES} diapositives au plus.`, 'warning');
+                return;
+            }
+            captureSlide(true);
+            const copy = Object.assign({}, carousel.slides[carousel.current]);
+            copy.doc = JSON.parse(JSON.stringify(copy.doc));
+            carousel.slides.splice(carousel.current + 1, 0, copy);
+            carousel.current += 1;
+            resetHistory();
+            renderCarouselStrip();
+            updateExportReadout();
+            note(`Diapositive ${carousel.current + 1} ajoutée : importe son média, il remplacera la copie.`, 'success');
+        }
 
-            try {
-                const res = await fetch(`/api/viewer/media?page=${libraryPage}&per_page=30&sort=date_desc`);
-                const data = await res.json();
+        function moveSlide(index, delta) {
+            const target = index + delta;
+            if (carousel.busy || target < 0 || target >= carousel.slides.length) return;
+            const moved = carousel.slides.splice(index, 1)[0];
+            carousel.slides.splice(target, 0, moved);
+            // La diapositive ouverte reste ouverte, où qu'elle aille.
+            if (carousel.current === index) carousel.current = target;
+            else if (carousel.current === target) carousel.current = index;
+            renderCarouselStrip();
+        }
 
-                data.items.forEach(item => {
-                    const el = document.createElement('div');
-                    el.className = 'drive-file' + (item.media_type === 'video' ? ' drive-file-video' : '');
-                    el.innerHTML = `<img src="${item.file_url || item.media_url || ''}" alt="${item.caption || ''}" loading="lazy">`;
-                    el.onclick = () => loadLibraryItem(item);
-                    grid.appendChild(el);
-                });
+        function removeSlide(index) {
+            if (carousel.busy) return;
+            if (carousel.slides.length <= 1) {
+                leaveCarousel();
+                return;
+            }
+            const wasCurrent = index === carousel.current;
+            carousel.slides.splice(index, 1);
+            if (index < carousel.current) carousel.current -= 1;
+            updateExportReadout();
+            if (!wasCurrent) { renderCarouselStrip(); return; }
+            carousel.current = Math.min(index, carousel.slides.length - 1);
+            carousel.busy = true;
+            openSlide(carousel.current).finally(function() {
+                carousel.busy = false;
+                renderCarouselStrip();
+            });
+        }
 
-                if (data.items.length === 0 && !append) {
-                    grid.innerHTML = '<div style="padding: 24px; text-align: center; color: #666; grid-column: 1/-1;">Aucun media dans la bibliothèque</div>';
+        function renderCarouselStrip() {
+            if (!carouselStrip) return;
+            carouselStrip.innerHTML = '';
+            if (!carousel.active) return;
+            const total = carousel.slides.length;
+            carousel.slides.forEach(function(slide, i) {
+                const li = document.createElement('li');
+                li.className = 'carousel-slide' + (i === carousel.current ? ' is-current' : '');
+
+                const open = document.createElement('button');
+                open.type = 'button';
+                open.className = 'carousel-slide__open';
+                open.dataset.action = 'open';
+                open.dataset.index = i;
+                open.setAttribute('aria-label', `Ouvrir la diapositive ${i + 1}`);
+                if (i === carousel.current) open.setAttribute('aria-current', 'true');
+                if (slide.thumb) {
+                    const img = document.createElement('img');
+                    img.src = slide.thumb;
+                    img.alt = '';
+                    open.appendChild(img);
                 }
-            } catch (e) {
-                console.error('Failed to load library', e);
-                if (!append) grid.innerHTML = '<div style="padding: 24px; text-align: center; color: #666; grid-column: 1/-1;">Erreur de chargement</div>';
-            }
-            libraryLoading = false;
+                const num = document.createElement('span');
+                num.className = 'carousel-slide__num';
+                num.textContent = String(i + 1);
+                open.appendChild(num);
+                li.appendChild(open);
+
+                const tools = document.createElement('div');
+                tools.className = 'carousel-slide__tools';
+                [['left', '←', `Déplacer la diapositive ${i + 1} vers la gauche`, i === 0],
+                 ['remove', '✕', `Supprimer la diapositive ${i + 1}`, false],
+                 ['right', '→', `Déplacer la diapositive ${i + 1} vers la droite`, i === total - 1]].forEach(function(def) {
+                    const b = document.createElement('button');
+                    b.type = 'button';
+                    b.dataset.action = def[0];
+                    b.dataset.index = i;
+                    b.textContent = def[1];
+                    b.title = def[2];
+                    b.setAttribute('aria-label', def[2]);
+                    b.disabled = def[3] || carousel.busy;
+                    tools.appendChild(b);
+                });
+                li.appendChild(tools);
+                carouselStrip.appendChild(li);
+            });
+            if (carouselAddBtn) carouselAddBtn.disabled = carousel.busy || total >= CAROUSEL_MAX_SLIDES;
         }
 
-        async function loadLibraryItem(item) {
+        /**
+         * Rend chaque diapositive sur le plateau Instagram, dans l'ordre,
+         * puis rouvre celle qui était à l'écran. Les vignettes sortent à
+         * jour au passage (un changement de format les avait périmées).
+         */
+        async function renderCarouselSlides(format, quality, multiplier) {
+            if (carousel.busy) throw new Error('rendu déjà en cours');
+            captureSlide(true);
+            const back = carousel.current;
+            const rendered = [];
+            carousel.busy = true;
+            renderCarouselStrip();
             try {
-                const url = `/api/editor/media/${item.id}`;
-                const response = await fetch(url);
-
-                // Sans ce contrôle, un média dont le fichier a disparu du
-                // disque répond 404 avec un corps JSON, et ce JSON était
-                // emballé dans un « library_N.jpg » puis passé au décodeur
-                // d'images : plan de travail vide, aucune explication.
-                if (!response.ok) {
-                    let detail = '';
-                    try { detail = (await response.json()).error || ''; } catch (e) { /* corps non JSON */ }
-                    console.error('[editor] média indisponible', response.status, detail);
-                    note(response.status === 404
-                        ? 'Ce média n’est plus disponible sur le disque : son fichier a été déplacé ou supprimé. Relance un téléchargement depuis les Médias.'
-                        : 'Ce média n’a pas pu être récupéré (erreur ' + response.status + '). Réessaie dans un instant.', 'error');
-                    return;
+                for (let i = 0; i < carousel.slides.length; i++) {
+                    if (i !== carousel.current) {
+                        captureSlide(false);
+                        await openSlide(i);
+                    }
+                    const dataURL = renderCanvasToDataURL(panes.ig, format, quality, multiplier);
+                    if (!dataURL || dataURL.length < 100) {
+                        throw new Error(`diapositive ${i + 1} vide`);
+                    }
+                    captureSlide(true);
+                    rendered.push(dataURL);
                 }
+            } finally {
+                if (carousel.current !== back) await openSlide(back);
+                carousel.busy = false;
+                renderCarouselStrip();
+            }
+            return rendered;
+        }
 
-                const blob = await response.blob();
-                const file = new File([blob], `library_${item.id}.${item.media_type === 'video' ? 'mp4' : 'jpg'}`, { type: blob.type });
+        async function exportCarousel() {
+            const fmt = imageFormatOf();
+            const size = exportPixelSize(panes.ig);
+            let slides;
+            try {
+                slides = await renderCarouselSlides(
+                    state.exportFormat,
+                    fmt.lossy ? state.exportQuality / 100 : 1,
+                    state.exportScale
+                );
+            } catch (err) {
+                console.error('[editor] export du carrousel impossible', err);
+                note('Le carrousel n’a pas pu être produit (' + err.message + '). Réduis la taille cible et réessaie.', 'error');
+                return;
+            }
 
-                // Create a synthetic file event and use the existing upload handling
-                const dataTransfer = new DataTransfer();
-                dataTransfer.items.add(file);
-                fileInput.files = dataTransfer.files;
-                fileInput.dispatchEvent(new Event('change'));
+            // Numérotés dans l'ordre du carrousel : 01-05, 02-05… se
+            // trient tout seuls dans le dossier de téléchargement.
+            const timestamp = new Date().toISOString().slice(0, 10);
+            const total = String(slides.length).padStart(2, '0');
+            let bytes = 0;
+            slides.forEach(function(dataURL, i) {
+                const link = document.createElement('a');
+                link.download = `samourais_carrousel_${String(i + 1).padStart(2, '0')}-${total}_${size.width}x${size.height}_${timestamp}.${fmt.ext}`;
+                link.href = dataURL;
+                link.click();
+                bytes += dataURLBytes(dataURL);
+            });
+            note(`Téléchargé : carrousel de ${slides.length} diapositives ${size.width}×${size.height} px (${formatBytes(bytes)}), ${imageFormatDescription()}.`, 'success');
+        }
 
-                // Switch back to local tab
-                document.querySelectorAll('.import-tab').forEach(t => t.classList.remove('active'));
-                document.querySelector('.import-tab[data-source="local"]').classList.add('active');
-                uploadZone.style.display = 'block';
-                document.getElementById('library-zone').style.display = 'none';
-            } catch (e) {
-                console.error('Failed to load library item', e);
-                note('Le média n\u2019a pas pu être chargé. Vérifie le fichier, puis réessaie.', 'error');
+        async function saveCarouselToViewer() {
+            // Toujours PNG : le serveur range les diapositives en .png
+            // (write_carousel), quel que soit le format de téléchargement.
+            const size = exportPixelSize(panes.ig);
+            if (saveMemeBtn) {
+                saveMemeBtn.disabled = true;
+                saveMemeBtn.textContent = '⏳ Sauvegarde...';
+            }
+            try {
+                const slides = await renderCarouselSlides('png', 1, state.exportScale);
+                const first = carousel.slides[0] && carousel.slides[0].doc;
+                const response = await fetch('/api/viewer/memes', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        title: `Carrousel — ${panes.ig.label}`,
+                        caption: captionText(first && first.state.text),
+                        template_format: templateKeyOf(panes.ig),
+                        media_type: 'carousel',
+                        slides: slides,
+                        source_media_id: state.sourceMediaId,
+                    })
+                });
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                note(`Carrousel enregistré dans le Viewer : ${slides.length} diapositives PNG ${size.width}×${size.height} px.`, 'success');
+                if (saveMemeBtn) {
+                    saveMemeBtn.textContent = '✅ Sauvegarde !';
+                    setTimeout(() => {
+                        saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
+                    }, 2000);
+                }
+            } catch (err) {
+                console.error('Save carousel error:', err);
+                note('La sauvegarde du carrousel a échoué (' + err.message + '). Télécharge les diapositives pour ne rien perdre, puis réessaie.', 'error');
+                if (saveMemeBtn) saveMemeBtn.textContent = '💾 Sauvegarder dans Viewer';
+            } finally {
+                if (saveMemeBtn) saveMemeBtn.disabled = false;
             }
         }
 
-        // Check for media_id in URL params (from viewer "Edit" button)
-        function checkMediaParam() {
-            const params = new URLSearchParams(window.location.search);
-            const mediaId = params.get('media_id');
-            if (mediaId) {
-                loadLibraryItem({ id: parseInt(mediaId), media_type: 'image' });
+        /** Le carrousel planifié : UN post Instagram, la 1re diapositive en vignette. */
+        async function createCarouselCalendarPost(scheduledAtTs) {
+            const slides = await renderCarouselSlides('jpeg', 0.9, 1);
+            const first = carousel.slides[0] && carousel.slides[0].doc;
+            const response = await fetch('/api/calendar/posts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    title: `Carrousel — ${panes.ig.label}`,
+                    caption: captionText(first && first.state.text),
+                    media_type: 'carousel',
+                    template_format: templateKeyOf(panes.ig),
+                    slides: slides,
+                    thumbnail: slides[0],
+                    status: 'scheduled',
+                    scheduled_at: scheduledAtTs,
+                    platforms: JSON.stringify([panes.ig.platform]),
+                })
+            });
+            if (!response.ok) throw new Error('Failed to create post (carrousel)');
+            return response.json();
+        }
+
+        function setupCarousel() {
+            if (!carouselToggle) return;
+            carouselToggle.addEventListener('click', function() {
+                if (carousel.active) leaveCarousel(); else startCarousel();
+            });
+            if (carouselAddBtn) carouselAddBtn.addEventListener('click', addSlide);
+            if (carouselStrip) {
+                carouselStrip.addEventListener('click', function(e) {
+                    const btn = e.target.closest('button[data-action]');
+                    if (!btn) return;
+                    const index = parseInt(btn.dataset.index, 10);
+                    if (btn.dataset.action === 'open') selectSlide(index);
+                    else if (btn.dataset.action === 'left') moveSlide(index, -1);
+                    else if (btn.dataset.action === 'right') moveSlide(index, 1);
+                    else if (btn.dataset.action === 'remove') removeSlide(index);
+                });
             }
+            syncCarouselControls();
         }
 
         // ============================================
-        // TEXTE TIKTOK « POV »
+        // LOT — une composition, toute une sélection du Viewer
         // --------------------------------------------
-        // La typo du texte TikTok (Proxima Nova SemiBold) est COMMERCIALE :
-        // on sert Montserrat SemiBold (OFL), vendorisée dans
-        // /static/vendor/fonts/ avec sa licence OFL.txt. Le style natif
-        // TikTok est un bloc arrondi PAR LIGNE avec un léger débord — Fabric
-        // ne le fait pas nativement (textBackgroundColor = rectangles secs),
-        // on surcharge donc _renderTextLinesBackground sur L'INSTANCE.
+        // /editor?batch=<ids> ouvre la sélection du Viewer comme un LOT :
+        // les médias s'ouvrent un à un dans l'éditeur, tous sous la MÊME
+        // composition (gabarit, textes, retouche, style POV, filigrane).
+        // Les textes acceptent des variables résolues pour le média ouvert
+        // — {profile}, {caption}, {platform} — à l'écran comme à l'export.
+        // Taper directement sur le canvas écrit du texte littéral : les
+        // variables se saisissent dans les champs de la barre latérale.
         //
-        // PIÈGE CANVAS : Fabric mesure le texte avec la police DISPONIBLE au
-        // moment du dessin. Si Montserrat n'est pas encore chargée, il dessine
-        // en police de repli SANS ERREUR et fige de mauvaises métriques. D'où
-        // l'attente explicite de document.fonts (FontFaceSet.load) avant la
-        // création du bloc, et une re-mesure après chargement.
-        // ============================================
-        const POV_FONT_SPEC = '600 48px Montserrat';
-        // Les trois styles natifs de TikTok. `bg: null` = aucun bloc de fond :
-        // `povRenderLinesBackground` sort immédiatement, seul le contour reste.
+        // Un média « personnalisé » garde SON document (même forme que les
+        // compositions éditables) ; les autres suivent le document commun,
+        // qui prend les retouches faites sur eux. Comme pour le carrousel,
+        // le gabarit et le filigrane restent partagés, et chaque ouverture
+        // repart d'un historique vide.
         //
-        // PIÈGE FABRIC pour le style « contour » : sans `paintFirst: 'stroke'`,
-        // le contour est peint PAR-DESSUS le remplissage et ronge l'intérieur
-        // des lettres — le texte paraît maigre et sale. En le peignant d'abord,
-        // le contour reste derrière et épaissit la lettre vers l'extérieur,
-        // comme le fait TikTok.
-        const POV_STYLES = {
-            light:   { bg: '#ffffff', fill: '#000000', stroke: null },
-            dark:    { bg: 'rgba(0, 0, 0, 0.65)', fill: '#ffffff', stroke: null },
-            outline: { bg: null, fill: '#ffffff', stroke: '#000000' }
+        // « Tout rendre » ouvre chaque média restant et l'envoie au Viewer
+        // par les chemins de la sauvegarde simple : PNG par plateau actif,
+        // vidéos rendues par FFmpeg l'une APRÈS l'autre. Un échec n'arrête
+        // pas le lot : le média est marqué, relancer ne refait que les restes.
+        // ============================================
+        const BATCH_VARIABLES = {
+            profile: function(item) { return item.profile_username || ''; },
+            caption: function(item) { return (item.caption || '').trim(); },
+            platform: function(item) { return item.platform || ''; }
         };
+        // Un média qui ne se décode pas ne doit pas bloquer tout le lot.
+        const BATCH_MEDIA_TIMEOUT = 60 * 1000;
+        const BATCH_THUMB_SCALE = 0.15;
+
+        const batch = { active: false, items: [], current: -1, master: null, busy: false, stop: false };
+        const batchGroup = document.getElementById('batch-group');
+        const batchCount = document.getElementById('batch-count');
+        const batchStrip = document.getElementById('batch-strip');
+        const batchCustomBtn = document.getElementById('batch-custom-btn');
+        const batchPreviewBtn = document.getElementById('batch-preview-btn');
+        const batchRenderBtn = document.getElementById('batch-render-btn');
+        const batchQuitBtn = document.getElementById('batch-quit-btn');
+        const batchDialog = document.getElementById('batch-dialog');
+        const batchDialogTitle = document.getElementById('batch-dialog-title');
+        const batchProgress = document.getElementById('batch-progress');
+        const batchProgressText = document.getElementById('batch-progress-text');
+        const batchStopBtn = document.getElementById('batch-stop-btn');
+        const batchCloseBtn = document.getElementById('batch-close-btn');
+
+        /** Texte avec ses variables résolues pour le média ouvert du lot. */
+        function resolveTextVariables(text) {
+            const item = batch.active ? batch.items[batch.current] : null;
+            if (!text || !item) return text;
+            return text.replace(/\{(profile|caption|platform)\}/g, function(_, name) {
+                return BATCH_VARIABLES[name](item);
+            });
+        }
 
-        //: Épaisseur du contour, PROPORTIONNELLE au corps : un contour fixe
-        //: disparaît sur un grand texte et noie un petit.
-        const POV_STROKE_RATIO = 0.13;
+        /** Le plateau qui sert d'aperçu : le premier actif. */
+        function batchPreviewPane() {
+            return activePanes()[0] || panes.ig;
+        }
 
-        /** Propriétés de contour à appliquer (ou à retirer) selon le style. */
-        function povStrokeProps(style, fontSize) {
-            if (!style.stroke) {
-                return { stroke: null, strokeWidth: 0 };
+        /** Range l'éditeur dans le document du média ouvert (ou le commun). */
+        function captureBatchItem(withThumb) {
+            const item = batch.items[batch.current];
+            if (!item) return;
+            const doc = compositionDocument();
+            if (item.custom) item.doc = doc; else batch.master = doc;
+            const p = batchPreviewPane();
+            if (withThumb && p.imageObj) {
+                try {
+                    item.preview = renderCanvasToDataURL(p, 'jpeg', 0.7, BATCH_THUMB_SCALE);
+                } catch (err) {
+                    console.error('[editor] aperçu du lot impossible', err);
+                }
             }
-            return {
-                stroke: style.stroke,
-                strokeWidth: Math.max(2, Math.round(fontSize * POV_STROKE_RATIO)),
-                paintFirst: 'stroke',
-                strokeLineJoin: 'round',
-                strokeLineCap: 'round'
-            };
         }
-        let povFontReady = false;
-        const povFontPromise = (document.fonts && document.fonts.load)
-            ? document.fonts.load(POV_FONT_SPEC).then(function(faces) {
-                povFontReady = true;
-                if (!faces.length) {
-                    console.warn('[editor] Montserrat SemiBold introuvable : le POV sortira en police de repli.');
-                }
-                return faces;
-            }).catch(function(err) {
-                povFontReady = true; // on ne bloque pas l'éditeur pour autant
-                console.error('[editor] chargement de Montserrat impossible', err);
-                return [];
-            })
-            : Promise.resolve([]);
 
-        /** Fond arrondi par ligne, façon TikTok (débord horizontal léger). */
-        function povRenderLinesBackground(ctx) {
-            if (!this.povBg) return;
-            const padX = this.fontSize * 0.38;   // débord latéral
-            const radius = this.fontSize * 0.30; // coins arrondis
-            const leftOffset = this._getLeftOffset();
-            let lineTop = this._getTopOffset();
+        /** Applique un document au média déjà chargé — voir openSlide(). */
+        function applyBatchDocument(doc, withTrim) {
+            const snap = historySnapshot();
+            HISTORY_STATE_KEYS.forEach(function(k) {
+                if (doc.state && k in doc.state) snap.state[k] = doc.state[k];
+            });
+            snap.state.currentTemplate = state.currentTemplate;
+            eachPane(function(p) {
+                const framing = doc.panes && doc.panes[p.key];
+                if (framing) Object.assign(snap.panes[p.key], framing);
+            });
+            applyHistorySnapshot(snap);
+            placeCompositionObjects(withoutWatermark(doc.objects));
+
+            // Les points de coupe n'ont de sens que pour LA vidéo qui les
+            // a reçus : seul un média personnalisé les retrouve.
+            if (withTrim && state.mediaType === 'video' && doc.trim) {
+                const duration = state.videoDuration || 0;
+                const start = Math.min(Math.max(0, Number(doc.trim.start) || 0), duration);
+                const end = Math.min(Math.max(start, Number(doc.trim.end) || duration), duration);
+                if (end > start) {
+                    state.trimStart = start;
+                    state.trimEnd = end;
+                    updateTimelineUI();
+                }
+            }
+            resetHistory();
+        }
 
-            ctx.save();
-            ctx.fillStyle = this.povBg;
-            for (let i = 0; i < this._textLines.length; i++) {
-                const heightOfLine = this.getHeightOfLine(i);
-                const lineWidth = this.getLineWidth(i);
-                if (lineWidth > 0) {
-                    const x = leftOffset + this._getLineLeftOffset(i) - padX;
-                    const w = lineWidth + padX * 2;
-                    const h = heightOfLine;
-                    const r = Math.min(radius, h / 2, w / 2);
-                    ctx.beginPath();
-                    ctx.moveTo(x + r, lineTop);
-                    ctx.lineTo(x + w - r, lineTop);
-                    ctx.quadraticCurveTo(x + w, lineTop, x + w, lineTop + r);
-                    ctx.lineTo(x + w, lineTop + h - r);
-                    ctx.quadraticCurveTo(x + w, lineTop + h, x + w - r, lineTop + h);
-                    ctx.lineTo(x + r, lineTop + h);
-                    ctx.quadraticCurveTo(x, lineTop + h, x, lineTop + h - r);
-                    ctx.lineTo(x, lineTop + r);
-                    ctx.quadraticCurveTo(x, lineTop, x + r, lineTop);
-                    ctx.closePath();
-                    ctx.fill();
+        /** Ouvre le média `index` sous son document ; faux s'il est inutilisable. */
+        async function openBatchItem(index) {
+            const item = batch.items[index];
+            if (!item || !item.available) return false;
+            const file = await fetchLibraryFile(item);
+            if (!file) {
+                item.available = false;
+                return false;
+            }
+            batch.current = index;
+            let timer;
+            const loaded = await Promise.race([
+                loadMedia(file),
+                new Promise(function(resolve) { timer = setTimeout(function() { resolve(false); }, BATCH_MEDIA_TIMEOUT); })
+            ]);
+            clearTimeout(timer);
+            state.sourceMediaId = item.id;
+            if (!loaded) return false;
+            applyBatchDocument(item.custom ? item.doc : batch.master, item.custom);
+            await whenAnnotationsReady();
+            return true;
+        }
+
+        async function selectBatchItem(index) {
+            if (batch.busy || index === batch.current) return;
+            captureBatchItem(true);
+            batch.busy = true;
+            renderBatchStrip();
+            try {
+                if (!(await openBatchItem(index))) {
+                    note(`Le média ${index + 1} du lot n’a pas pu être ouvert.`, 'error');
                 }
-                lineTop += heightOfLine;
+            } finally {
+                batch.busy = false;
+                renderBatchStrip();
+            }
+        }
+
+        /** ?batch=1,2,3 — charge les fiches de la sélection et ouvre le premier média. */
+        async function startBatch(rawIds) {
+            let data;
+            try {
+                const response = await fetch('/api/editor/media/batch?ids=' + encodeURIComponent(rawIds));
+                data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+            } catch (err) {
+                console.error('[editor] lot illisible', err);
+                note('Le lot n’a pas pu être chargé (' + err.message + ').', 'error');
+                return;
+            }
+            if (!data.items.length) {
+                note('Aucun média de cette sélection n’existe encore dans la bibliothèque.', 'error');
+                return;
+            }
+
+            batch.active = true;
+            batch.items = data.items.map(function(item) {
+                return Object.assign({}, item, { custom: false, doc: null, preview: null, status: 'pending', error: '' });
+            });
+            batch.master = compositionDocument();
+            batch.current = -1;
+            if (batchGroup) batchGroup.hidden = false;
+            renderBatchStrip();
+
+            const missing = (data.missing || []).length + batch.items.filter(it => !it.available).length;
+            if (missing) {
+                note(`${missing} média${missing > 1 ? 's' : ''} de la sélection ${missing > 1 ? 'sont' : 'est'} introuvable${missing > 1 ? 's' : ''} : ${missing > 1 ? 'ils seront ignorés' : 'il sera ignoré'}.`, 'warning');
+            }
+
+            const first = batch.items.findIndex(it => it.available);
+            if (first < 0) return;
+            batch.busy = true;
+            try {
+                await openBatchItem(first);
+            } finally {
+                batch.busy = false;
+                renderBatchStrip();
+            }
+        }
+
+        async function leaveBatch() {
+            if (batch.busy) return;
+            const pending = batch.items.filter(it => it.available && it.status !== 'done').length;
+            if (pending) {
+                const confirmed = window.samourais && window.samourais.confirm
+                    ? await window.samourais.confirm({
+                        title: 'Quitter le lot',
+                        message: `${pending} média${pending > 1 ? 's' : ''} n’${pending > 1 ? 'ont' : 'a'} pas encore été rendu${pending > 1 ? 's' : ''}. Le média ouvert reste dans l’éditeur.`,
+                        confirm: 'Quitter'
+                    })
+                    : true;
+                if (!confirmed) return;
+            }
+            // Les variables disparaissent avec le lot : on fige le texte
+            // résolu du média ouvert, celui qu'on voit à l'écran.
+            const texts = {
+                text: resolveTextVariables(state.text),
+                overlayText: resolveTextVariables(state.overlayText),
+                povText: resolveTextVariables(state.povText)
+            };
+            const ownTexts = {};
+            eachPane(function(p) {
+                if (p.textOverride.text !== null) ownTexts[p.key] = resolveTextVariables(p.textOverride.text);
+            });
+            batch.active = false;
+            batch.items = [];
+            batch.current = -1;
+            batch.master = null;
+            if (batchGroup) batchGroup.hidden = true;
+            const snap = historySnapshot();
+            Object.assign(snap.state, texts);
+            Object.keys(ownTexts).forEach(function(key) {
+                snap.panes[key].textOverride = Object.assign({}, snap.panes[key].textOverride, { text: ownTexts[key] });
+            });
+            applyHistorySnapshot(snap);
+            resetHistory();
+            window.history.replaceState(null, '', '/editor');
+        }
+
+        function toggleBatchCustom() {
+            const item = batch.items[batch.current];
+            if (!item || batch.busy) return;
+            if (!item.custom) {
+                // Le document commun devient le point de départ du média.
+                item.custom = true;
+                item.doc = compositionDocument();
+            } else {
+                item.custom = false;
+                item.doc = null;
+                applyBatchDocument(batch.master, false);
             }
-            ctx.restore();
+            renderBatchStrip();
         }
 
-        /** Crée/actualise/retire le bloc POV du canvas TikTok. */
-        function ensurePovObject() {
-            const p = panes.tt;
-            if (!p.canvas) return;
+        const BATCH_STATES = {
+            done: { glyph: '✓', label: 'rendu' },
+            error: { glyph: '!', label: 'échec' },
+            pending: { glyph: '', label: 'à rendre' }
+        };
 
-            if (!state.povText.trim()) {
-                if (p.povObj) {
-                    p.canvas.remove(p.povObj);
-                    p.povObj = null;
-                    p.canvas.renderAll();
+        function renderBatchStrip() {
+            if (!batchStrip || !batch.active) return;
+            const item = batch.items[batch.current];
+            batchCount.textContent = `${batch.items.length} média${batch.items.length > 1 ? 's' : ''}`;
+            batchStrip.innerHTML = '';
+            batch.items.forEach(function(it, i) {
+                const li = document.createElement('li');
+                li.className = 'carousel-slide' + (i === batch.current ? ' is-current' : '');
+
+                const open = document.createElement('button');
+                open.type = 'button';
+                open.className = 'carousel-slide__open';
+                open.dataset.index = i;
+                open.disabled = batch.busy || !it.available;
+                const st = BATCH_STATES[it.status] || BATCH_STATES.pending;
+                const label = `Média ${i + 1}${it.profile_username ? ' (@' + it.profile_username + ')' : ''} — ${it.available ? st.label : 'introuvable'}${it.custom ? ', personnalisé' : ''}${it.error ? ' : ' + it.error : ''}`;
+                open.setAttribute('aria-label', label);
+                open.title = label;
+                if (i === batch.current) open.setAttribute('aria-current', 'true');
+                const src = it.preview || it.thumb_url;
+                if (src) {
+                    const img = document.createElement('img');
+                    img.src = src;
+                    img.alt = '';
+                    img.loading = 'lazy';
+                    open.appendChild(img);
                 }
-                return;
+                const num = document.createElement('span');
+                num.className = 'carousel-slide__num';
+                num.textContent = String(i + 1) + (it.custom ? ' ✎' : '');
+                open.appendChild(num);
+                if (st.glyph || !it.available) {
+                    const badge = document.createElement('span');
+                    badge.className = 'batch-slide__state batch-slide__state--' + (it.available ? it.status : 'error');
+                    badge.textContent = it.available ? st.glyph : '✕';
+                    open.appendChild(badge);
+                }
+                li.appendChild(open);
+                batchStrip.appendChild(li);
+            });
+
+            if (batchCustomBtn) {
+                batchCustomBtn.disabled = batch.busy || !item;
+                batchCustomBtn.textContent = item && item.custom ? 'Revenir à la composition commune' : 'Personnaliser ce média';
             }
+            [batchPreviewBtn, batchRenderBtn, batchQuitBtn].forEach(function(b) { if (b) b.disabled = batch.busy; });
+        }
 
-            // PIÈGE CANVAS (voir en-tête de section) : pas de dessin avant
-            // que document.fonts ait résolu Montserrat.
-            if (!povFontReady) {
-                povFontPromise.then(ensurePovObject);
-                return;
+        function setBatchProgress(done, total, text) {
+            if (batchProgress) batchProgress.value = total ? Math.round(done / total * 100) : 0;
+            if (batchProgressText) batchProgressText.textContent = text;
+        }
+
+        /**
+         * Parcourt les médias `indices` : chacun est ouvert sous son document
+         * puis confié à `work(item)`. Le média de départ est rouvert à la fin.
+         */
+        async function runBatch(indices, work) {
+            captureBatchItem(false);
+            const back = batch.current;
+            batch.busy = true;
+            batch.stop = false;
+            renderBatchStrip();
+            const report = { done: 0, failed: 0, stopped: false };
+            try {
+                for (let k = 0; k < indices.length; k++) {
+                    if (batch.stop) { report.stopped = true; break; }
+                    const i = indices[k];
+                    const item = batch.items[i];
+                    setBatchProgress(k, indices.length, `Média ${k + 1}/${indices.length}${item.profile_username ? ' (@' + item.profile_username + ')' : ''}…`);
+                    try {
+                        if (!(await openBatchItem(i))) throw new Error('média illisible');
+                        await work(item, function(fraction, label) {
+                            setBatchProgress(k + fraction, indices.length, `Média ${k + 1}/${indices.length} — ${label}`);
+                        });
+                        const p = batchPreviewPane();
+                        if (p.imageObj) item.preview = renderCanvasToDataURL(p, 'jpeg', 0.7, BATCH_THUMB_SCALE);
+                        report.done++;
+                    } catch (err) {
+                        console.error('[editor] lot : média ' + (i + 1), err);
+                        item.status = 'error';
+                        item.error = err.message;
+                        report.failed++;
+                    }
+                    renderBatchStrip();
+                }
+            } finally {
+                if (back >= 0 && batch.current !== back) await openBatchItem(back);
+                batch.busy = false;
+                renderBatchStrip();
             }
+            return report;
+        }
 
-            const style = POV_STYLES[state.povStyle] || POV_STYLES.light;
+        /** Aperçu de chaque résultat, sans rien envoyer. */
+        async function previewBatch() {
+            if (batch.busy) return;
+            const indices = batch.items.map((it, i) => i).filter(i => batch.items[i].available);
+            batchDialogTitle.textContent = 'Aperçus du lot';
+            batchDialog.showModal();
+            batchCloseBtn.hidden = true;
+            batchStopBtn.hidden = false;
+            const report = await runBatch(indices, async function() { /* l'aperçu est pris par runBatch */ });
+            batchDialog.close();
+            note(`${report.done} aperçu${report.done > 1 ? 's' : ''} généré${report.done > 1 ? 's' : ''}${report.failed ? `, ${report.failed} média${report.failed > 1 ? 's' : ''} illisible${report.failed > 1 ? 's' : ''}` : ''}.`,
+                report.failed ? 'warning' : 'success');
+        }
 
-            if (p.povObj) {
-                p.povObj.set(Object.assign(
-                    { text: state.povText, fill: style.fill },
-                    povStrokeProps(style, p.povObj.fontSize)
-                ));
-                p.povObj.povBg = style.bg;
-                p.povObj.initDimensions();
-                p.canvas.renderAll();
+        async function renderBatch() {
+            if (batch.busy) return;
+            const targets = activePanes();
+            if (!targets.length) {
+                note('Aucun plateau actif : réactive au moins un plateau pour rendre le lot.', 'warning');
+                return;
+            }
+            const indices = batch.items.map((it, i) => i)
+                .filter(i => batch.items[i].available && batch.items[i].status !== 'done');
+            if (!indices.length) {
+                note('Tout le lot est déjà rendu dans le Viewer.', 'success');
                 return;
             }
 
-            const template = templateOf(p); // story 1080×1920
-            const obj = new fabric.Textbox(state.povText, {
-                left: CANVAS_PADDING + template.width / 2,
-                top: CANVAS_PADDING + template.height * 0.28,
-                width: template.width * 0.72,
-                originX: 'center',
-                fontFamily: 'Montserrat',
-                fontWeight: 600,
-                fontSize: 48,
-                lineHeight: 1.35,
-                fill: style.fill,
-                textAlign: 'center',
-                splitByGrapheme: false,
-                hasControls: true,
-                cornerSize: 16,
-                hoverCursor: 'move',
-                moveCursor: 'move',
-                // Pas d'édition au double-clic : le POV s'écrit dans le champ
-                // dédié, comme la légende — un seul point de vérité.
-                editable: false
+            batchDialogTitle.textContent = 'Rendu du lot';
+            batchDialog.showModal();
+            batchCloseBtn.hidden = true;
+            batchStopBtn.hidden = false;
+            const report = await runBatch(indices, async function(item, onStage) {
+                const panesToRender = activePanes();
+                for (let j = 0; j < panesToRender.length; j++) {
+                    const p = panesToRender[j];
+                    const share = function(fraction, label) {
+                        onStage((j + fraction) / panesToRender.length, `${p.label}, ${label}`);
+                    };
+                    if (state.mediaType === 'video') {
+                        // Séquentiel : un rendu FFmpeg à la fois.
+                        await uploadVideoMeme(p, share);
+                    } else {
+                        share(0.5, 'rendu PNG…');
+                        const dataURL = renderCanvasToDataURL(p, 'png', 1, state.exportScale);
+                        if (!dataURL || dataURL.length < 100) throw new Error('rendu ' + p.label + ' vide');
+                        await postImageMeme(p, dataURL);
+                    }
+                }
+                item.status = 'done';
+                item.error = '';
             });
-            obj.set(povStrokeProps(style, obj.fontSize));
-            obj.povBg = style.bg;
-            obj._renderTextLinesBackground = povRenderLinesBackground;
 
-            p.povObj = obj;
-            p.canvas.add(obj);
-            p.canvas.bringToFront(obj);
-            if (p.watermark) p.canvas.bringToFront(p.watermark);
-            p.canvas.renderAll();
+            const summary = `${report.done} média${report.done > 1 ? 's' : ''} rendu${report.done > 1 ? 's' : ''} dans le Viewer`
+                + (report.failed ? `, ${report.failed} en échec (relance pour les refaire)` : '')
+                + (report.stopped ? ', lot arrêté' : '') + '.';
+            setBatchProgress(1, 1, summary);
+            batchStopBtn.hidden = true;
+            batchCloseBtn.hidden = false;
+            note(summary, report.failed ? 'warning' : 'success');
         }
 
-        /** Bascule fond blanc/texte noir ↔ fond noir translucide/texte blanc. */
-        function restylePovObject() {
-            const p = panes.tt;
-            if (!p.povObj) { ensurePovObject(); return; }
-            const style = POV_STYLES[state.povStyle] || POV_STYLES.light;
-            p.povObj.set({ fill: style.fill, dirty: true });
-            p.povObj.povBg = style.bg;
-            p.canvas.renderAll();
+        function setupBatch() {
+            if (!batchGroup) return;
+            batchStrip.addEventListener('click', function(e) {
+                const btn = e.target.closest('button[data-index]');
+                if (btn) selectBatchItem(parseInt(btn.dataset.index, 10));
+            });
+            batchCustomBtn.addEventListener('click', toggleBatchCustom);
+            batchPreviewBtn.addEventListener('click', previewBatch);
+            batchRenderBtn.addEventListener('click', renderBatch);
+            batchQuitBtn.addEventListener('click', leaveBatch);
+            batchStopBtn.addEventListener('click', function() {
+                batch.stop = true;
+                batchStopBtn.disabled = true;
+                setBatchProgress(batchProgress.value / 100, 1, 'Arrêt après le média en cours…');
+            });
+            // Échap ne ferme pas le dialogue pendant le rendu : l'éditeur
+            // est occupé à ouvrir les médias un à un.
+            batchDialog.addEventListener('cancel', function(e) { if (batch.busy) e.preventDefault(); });
+            batchDialog.addEventListener('close', function() { batchStopBtn.disabled = false; });
         }
 
         // ============================================
-        // LOT B — ÉDITEUR AU DOIGT (sous 900px)
+        // HISTORIQUE — ANNULER / RÉTABLIR
         // --------------------------------------------
-        // Trois interactions, TOUTES inertes au-dessus de 900px :
-        //   1. le basculeur Instagram/TikTok choisit le plateau AFFICHÉ
-        //      (les interrupteurs de fabrication #toggle-ig/tt sont
-        //      intouchés) ;
-        //   2. les boutons +/− refont le geste du slider « Zoom image »
-        //      — le build Fabric vendorisé (5.3.1 standard, sans le
-        //      module gestures/Event.js) ne sait pas pincer, et
-        //      détourner ses évènements touch casserait le glisser ;
-        //   3. les groupes d'outils deviennent des accordéons, un seul
-        //      ouvert à la fois (le repli est purement CSS : sur
-        //      desktop `.is-collapsed` n'a aucun effet).
+        // Une pile de COMMANDES : chaque geste terminé (slider relâché,
+        // bouton cliqué, objet lâché sur le canvas, frappe au repos)
+        // devient { label, before, after }, deux instantanés de ce que
+        // l'historique couvre :
+        //   - dans `state`, les clés de HISTORY_STATE_KEYS (texte, POV,
+        //     retouche, format Instagram) ;
+        //   - sur CHAQUE plateau, le cadrage et les annotations de
+        //     HISTORY_PANE_KEYS.
+        // Annuler réapplique `before` à TOUS les plateaux d'un coup : une
+        // valeur partagée (la rotation, le texte) ne peut donc jamais
+        // revenir sur un canvas et pas sur l'autre.
+        //
+        // Le média lui-même n'est pas dans l'historique : en charger un
+        // autre repart d'une pile vide (resetHistory), comme le cadrage.
         // ============================================
-        function setupMobileUx() {
-            // ---- 1. Basculeur de plateau ----
-            const switcher = document.getElementById('stage-switch');
-            if (switcher && stagesEl) {
-                switcher.addEventListener('click', function(e) {
-                    const btn = e.target.closest('.stage-switch__btn');
-                    if (!btn) return;
-                    stagesEl.classList.toggle('show-tt', btn.dataset.stage === 'tt');
-                    switcher.querySelectorAll('.stage-switch__btn').forEach(function(b) {
-                        const active = (b === btn);
-                        b.classList.toggle('active', active);
-                        b.setAttribute('aria-pressed', String(active));
-                    });
-                    // Le plateau révélé reprend toute la place disponible.
-                    updateAllCanvasSizes();
+        // HISTORY_STATE_KEYS et HISTORY_PANE_KEYS : editor-core.js.
+        const HISTORY_LIMIT = 100;
+        // Frappe au clavier : une entrée par pause, pas une par caractère.
+        const HISTORY_TYPING_DELAY = 600;
+
+        const editHistory = { undo: [], redo: [], baseline: null, typingTimer: null };
+        const historyUndoBtn = document.getElementById('history-undo');
+        const historyRedoBtn = document.getElementById('history-redo');
+
+        function historySnapshot() {
+            const snap = { state: {}, panes: {} };
+            HISTORY_STATE_KEYS.forEach(function(k) { snap.state[k] = state[k]; });
+            eachPane(function(p) {
+                const framing = {};
+                HISTORY_PANE_KEYS.forEach(function(k) { framing[k] = p[k]; });
+                snap.panes[p.key] = framing;
+            });
+            return snap;
+        }
+
+        function sameSnapshot(a, b) {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+
+        /** Clôt le geste en cours : une entrée si quelque chose a changé. */
+        function commitHistory(label) {
+            clearTimeout(editHistory.typingTimer);
+            editHistory.typingTimer = null;
+            const after = historySnapshot();
+            if (!editHistory.baseline) { editHistory.baseline = after; return; }
+            if (sameSnapshot(editHistory.baseline, after)) return;
+            editHistory.undo.push({ label, before: editHistory.baseline, after });
+            if (editHistory.undo.length > HISTORY_LIMIT) editHistory.undo.shift();
+            editHistory.redo = [];
+            editHistory.baseline = after;
+            updateHistoryButtons();
+            if (carousel.active) scheduleSlideRefresh();
+        }
+
+        function scheduleHistoryCommit(label) {
+            clearTimeout(editHistory.typingTimer);
+            editHistory.typingTimer = setTimeout(function() { commitHistory(label); }, HISTORY_TYPING_DELAY);
+        }
+
+        /** Nouveau média : la pile repart de la composition courante. */
+        function resetHistory() {
+            clearTimeout(editHistory.typingTimer);
+            editHistory.typingTimer = null;
+            editHistory.undo = [];
+            editHistory.redo = [];
+            editHistory.baseline = historySnapshot();
+            updateHistoryButtons();
+        }
+
+        function undo() {
+            // Une frappe pas encore close est la DERNIÈRE modification :
+            // c'est elle qu'on annule, pas celle d'avant.
+            if (editHistory.typingTimer) commitHistory('Texte');
+            const cmd = editHistory.undo.pop();
+            if (!cmd) return;
+            applyHistorySnapshot(cmd.before);
+            editHistory.redo.push(cmd);
+            editHistory.baseline = cmd.before;
+            updateHistoryButtons();
+            if (carousel.active) scheduleSlideRefresh();
+        }
+
+        function redo() {
+            if (editHistory.typingTimer) commitHistory('Texte');
+            const cmd = editHistory.redo.pop();
+            if (!cmd) return;
+            applyHistorySnapshot(cmd.after);
+            editHistory.undo.push(cmd);
+            editHistory.baseline = cmd.after;
+            updateHistoryButtons();
+            if (carousel.active) scheduleSlideRefresh();
+        }
+
+        /**
+         * Remet `state`, le cadrage de chaque plateau ET les contrôles de
+         * la barre latérale dans l'état de l'instantané, puis redessine
+         * tous les canvas par les mêmes fonctions que les gestes d'origine.
+         */
+        function applyHistorySnapshot(snap) {
+            // Le format reconstruit le plateau Instagram (et remet son
+            // cadrage à zéro) : il passe AVANT la restauration du cadrage.
+            if (snap.state.currentTemplate !== state.currentTemplate) {
+                selectFormat(snap.state.currentTemplate);
+            }
+            Object.assign(state, snap.state);
+            eachPane(function(p) {
+                Object.assign(p, snap.panes[p.key]);
+                if (p.fillMode !== 'blur') p.fillMode = 'cover';
+                p.annotations = sanitizeAnnotations(p.annotations);
+                p.textOverride = sanitizeTextOverride(p.textOverride);
+            });
+            if (!/^#[0-9a-f]{6}$/i.test(state.textHighlight)) state.textHighlight = CAPTION_HIGHLIGHT_DEFAULT;
+
+            // ---- Contrôles ----
+            memeTextInput.value = state.text;
+            if (captionHighlightInput) captionHighlightInput.value = state.textHighlight;
+            textSizeSlider.value = state.textSize;
+            lineHeightSlider.value = Math.round(state.lineHeight * 100);
+            overlayTextInput.value = state.overlayText;
+            overlaySwitch.classList.toggle('active', state.showOverlay);
+            overlayTextInput.style.display = state.showOverlay ? 'block' : 'none';
+            if (povTextInput) povTextInput.value = state.povText;
+            if (povStyleGroup) {
+                povStyleGroup.querySelectorAll('.seg__btn').forEach(function(b) {
+                    b.classList.toggle('active', b.dataset.povstyle === state.povStyle);
                 });
             }
-
-            // ---- 2. Zoom du média aux boutons ----
-            // Mêmes bornes et même portée que le slider (les deux plateaux) :
-            // un seul point de vérité, le slider reste synchronisé.
-            function nudgeImageScale(delta) {
-                const current = parseInt(imageScaleSlider.value, 10) || 100;
-                const next = Math.min(200, Math.max(50, current + delta));
-                if (next === current) return;
-                imageScaleSlider.value = next;
-                updateImageScale(next);
+            // Le slider de zoom et celui du cadre reflètent le plateau
+            // Instagram, comme après un geste aux poignées.
+            imageScaleSlider.value = Math.min(200, Math.max(50, panes.ig.imageScale));
+            imageScaleValue.textContent = panes.ig.imageScale + '%';
+            frameHeightSlider.value = panes.ig.frameHeightPercent;
+            frameHeightValue.textContent = panes.ig.frameHeightPercent + '%';
+
+            // ---- Canvas ----
+            updateText(state.text);
+            updateTextSize(state.textSize);
+            updateLineHeight(Math.round(state.lineHeight * 100));
+            setTextAutoFit(!!state.textAutoFit);
+            syncTextTargetControls();
+            eachPane(function(p) {
+                if (state.showOverlay && state.overlayText) {
+                    addOverlayText(p);
+                } else if (p.overlayTextObj) {
+                    p.canvas.remove(p.overlayTextObj);
+                    p.overlayTextObj = null;
+                    p.canvas.renderAll();
+                }
+                applyFrameHeight(p, p.frameHeightPercent);
+            });
+            ensurePovObject();
+            state.cutGaps = sanitizeCutGaps(state.cutGaps);
+            state.textSegments = sanitizeTextSegments(state.textSegments);
+            renderTextSegments();
+            if (state.mediaType === 'video' && state.videoDuration) updateTimelineUI();
+            state.subtitles = sanitizeSubtitles(state.subtitles);
+            renderSubtitles();
+            syncAudioControls();
+            sanitizePlayback();
+            syncPlaybackControls();
+            Object.assign(state, sanitizeGrade(state));
+            if (!lutOf(state.lut)) {
+                // Une composition d'une autre session : le cube n'est plus là.
+                if (state.lut) note('La LUT de cet étalonnage n’est plus chargée : recharge le fichier .cube.', 'warning');
+                state.lut = null;
             }
-            const zoomInBtn = document.getElementById('zoom-in-btn');
-            const zoomOutBtn = document.getElementById('zoom-out-btn');
-            if (zoomInBtn) zoomInBtn.addEventListener('click', function() { nudgeImageScale(10); });
-            if (zoomOutBtn) zoomOutBtn.addEventListener('click', function() { nudgeImageScale(-10); });
+            syncImageEditControls();
+            syncFillControls();
+            eachPane(renderAnnotations);
+            reapplyImageTransforms();
+            applyImageFilters();
+            state.redactions = sanitizeRedactions(state.redactions);
+            state.focusPoint = sanitizeFocusPoint(state.focusPoint);
+            refreshRedactions();
+            syncFocusControls();
+            state.fonts = sanitizeFonts(state.fonts, knownFontLibrary());
+            syncFontControls();
+            applyFonts();
+            syncBrandKit();
+        }
 
-            // ---- 3. Accordéons ----
-            const groups = Array.prototype.slice.call(
-                document.querySelectorAll('.sidebar__scroll .group'));
+        function updateHistoryButtons() {
+            const last = editHistory.undo[editHistory.undo.length - 1];
+            const next = editHistory.redo[editHistory.redo.length - 1];
+            if (historyUndoBtn) {
+                historyUndoBtn.disabled = !last;
+                historyUndoBtn.title = last ? `Annuler : ${last.label} (Ctrl+Z)` : 'Rien à annuler';
+            }
+            if (historyRedoBtn) {
+                historyRedoBtn.disabled = !next;
+                historyRedoBtn.title = next ? `Rétablir : ${next.label} (Ctrl+Maj+Z)` : 'Rien à rétablir';
+            }
+        }
 
-            function setCollapsed(group, collapsed) {
-                group.classList.toggle('is-collapsed', collapsed);
-                const fold = group.querySelector('.group__fold');
-                if (fold) fold.setAttribute('aria-expanded', String(!collapsed));
+        /** Vrai quand le clavier appartient à un champ : son Ctrl+Z natif prime. */
+        function historyKeyInField(target) {
+            if (!target) return false;
+            if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+            if (target.tagName === 'INPUT') {
+                return !['range', 'checkbox', 'radio', 'button', 'submit'].includes(target.type);
             }
+            // Édition d'un texte directement sur un canvas Fabric.
+            return paneList.some(function(p) {
+                const obj = p.canvas && p.canvas.getActiveObject();
+                return !!(obj && obj.isEditing);
+            });
+        }
 
-            groups.forEach(function(group) {
-                const head = group.querySelector('.group__head');
-                if (!head) return;
-                head.addEventListener('click', function(e) {
-                    // Desktop : les groupes ne se replient jamais.
-                    if (!mobileViewMq.matches) return;
-                    // Les boutons du bandeau (« Annuler »…) gardent leur rôle ;
-                    // seul le chevron ou le reste du bandeau replie.
-                    const btn = e.target.closest('button');
-                    if (btn && !btn.classList.contains('group__fold')) return;
-                    const willOpen = group.classList.contains('is-collapsed');
-                    if (willOpen) {
-                        // Un seul ouvert à la fois : ouvrir replie les autres.
-                        groups.forEach(function(g) { setCollapsed(g, g !== group); });
-                    } else {
-                        setCollapsed(group, true);
+        function setupHistory() {
+            if (historyUndoBtn) historyUndoBtn.addEventListener('click', undo);
+            if (historyRedoBtn) historyRedoBtn.addEventListener('click', redo);
+
+            document.addEventListener('keydown', function(e) {
+                if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+                const key = e.key.toLowerCase();
+                if (key !== 'z' && key !== 'y') return;
+                if (historyKeyInField(e.target)) return;
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) redo(); else undo();
+            });
+
+            // samourais-app.js est chargé en `defer` : sa palette n'existe
+            // qu'après l'analyse du document, donc après ce script.
+            const register = function() {
+                if (!window.samourais || !window.samourais.registerCommands) return;
+                window.samourais.registerCommands([
+                    { label: 'Annuler la dernière modification', group: 'Cet écran', keys: 'Ctrl+Z', run: undo },
+                    { label: 'Rétablir la modification annulée', group: 'Cet écran', keys: 'Ctrl+Maj+Z', run: redo }
+                ]);
+            };
+            if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', register);
+            else register();
+
+            resetHistory();
+        }
+
+        // ============================================
+        // COMPOSITIONS ÉDITABLES — rouvrir un meme
+        // --------------------------------------------
+        // « Sauvegarder dans Viewer » joint au fichier aplati un DOCUMENT de
+        // composition (et le serveur y adjoint le média source, voir
+        // app/editor/compositions.py). Le Viewer propose alors « Rouvrir
+        // dans l'éditeur » → /editor?meme_id=<id>.
+        //
+        // Le document reprend l'instantané de l'historique (même périmètre :
+        // `state` + cadrage de CHAQUE plateau) et y ajoute ce que l'historique
+        // ne suit pas : les points de coupe, les plateaux actifs et la place
+        // des objets déplacés à la main (bandeau, texte sur l'image, POV,
+        // filigrane). La restauration repasse par applyHistorySnapshot() :
+        // une seule façon de remettre l'éditeur dans un état donné.
+        // ============================================
+        const COMPOSITION_VERSION = 1;
+        let pendingComposition = null;
+
+        /** Place d'un objet Fabric sur son canvas (null s'il n'existe pas). */
+        function objectPlacement(obj) {
+            if (!obj) return null;
+            return {
+                left: obj.left, top: obj.top,
+                scaleX: obj.scaleX, scaleY: obj.scaleY,
+                width: obj.width, angle: obj.angle || 0
+            };
+        }
+
+        function compositionDocument() {
+            const snap = historySnapshot();
+            const enabled = {};
+            const objects = {};
+            eachPane(function(p) {
+                enabled[p.key] = p.enabled;
+                objects[p.key] = {
+                    textBox: objectPlacement(p.textBox),
+                    overlayText: objectPlacement(p.overlayTextObj),
+                    pov: objectPlacement(p.povObj),
+                    watermark: objectPlacement(p.watermark)
+                };
+            });
+            return {
+                version: COMPOSITION_VERSION,
+                mediaType: state.mediaType,
+                sourceMediaId: state.sourceMediaId,
+                imageName: state.imageName,
+                templateKey: state.currentTemplate,
+                state: snap.state,
+                panes: snap.panes,
+                trim: state.mediaType === 'video'
+                    ? { start: state.trimStart, end: state.trimEnd }
+                    : null,
+                enabled,
+                objects
+            };
+        }
+
+        /** Places d'objets sans celle du filigrane — pour les modes où il est partagé. */
+        function withoutWatermark(objects) {
+            const kept = {};
+            Object.keys(objects || {}).forEach(function(key) {
+                kept[key] = Object.assign({}, objects[key], { watermark: null });
+            });
+            return kept;
+        }
+
+        /** Remet les objets déplacés à la main à leur place enregistrée. */
+        function placeCompositionObjects(objects) {
+            eachPane(function(p) {
+                const saved = objects && objects[p.key];
+                if (!saved) return;
+                [['textBox', p.textBox], ['overlayText', p.overlayTextObj],
+                 ['pov', p.povObj], ['watermark', p.watermark]].forEach(function(pair) {
+                    const place = saved[pair[0]];
+                    const obj = pair[1];
+                    if (!place || !obj) return;
+                    obj.set({
+                        left: place.left, top: place.top,
+                        scaleX: place.scaleX, scaleY: place.scaleY,
+                        angle: place.angle || 0
+                    });
+                    // Textbox : la largeur décide des retours à la ligne.
+                    if (obj.type === 'textbox' && place.width) {
+                        obj.set({ width: place.width });
+                        obj.initDimensions();
                     }
+                    obj.setCoords();
                 });
+                p.canvas.requestRenderAll();
             });
+        }
 
-            // État de départ au doigt : tout replié sauf « Média », le
-            // premier geste utile (importer). Au clavier comme au doigt,
-            // chaque chevron reste opérable.
-            if (mobileViewMq.matches) {
-                const mediaGroup = groups.filter(function(g) {
-                    return g.getAttribute('aria-labelledby') === 'grp-media';
-                })[0] || groups[0];
-                groups.forEach(function(g) { setCollapsed(g, g !== mediaGroup); });
+        /**
+         * Applique la composition en attente au média qui vient d'être
+         * chargé. Appelée par loadImage() et loadVideo() une fois le média
+         * en place ; sans composition en attente, ne fait rien.
+         */
+        function applyPendingComposition() {
+            const doc = pendingComposition;
+            if (!doc) return;
+            pendingComposition = null;
+
+            // Plateaux actifs — par le vrai interrupteur, qui tient aussi
+            // l'affichage et la taille des canvas.
+            eachPane(function(p) {
+                // Plateau absent du document (enregistré avant son ajout) :
+                // il reprend son état par défaut.
+                const wanted = doc.enabled && p.key in doc.enabled
+                    ? doc.enabled[p.key] !== false
+                    : p.enabledByDefault;
+                if (wanted === p.enabled) return;
+                const btn = document.getElementById('toggle-' + p.key);
+                if (btn) btn.click(); else p.enabled = wanted;
+            });
+
+            // Seules les clés connues sont reprises : le document vient du
+            // serveur, il ne doit pas pouvoir glisser autre chose dans `state`.
+            const snap = historySnapshot();
+            HISTORY_STATE_KEYS.forEach(function(k) {
+                if (doc.state && k in doc.state) snap.state[k] = doc.state[k];
+            });
+            if (!TEMPLATES[snap.state.currentTemplate]) snap.state.currentTemplate = state.currentTemplate;
+            eachPane(function(p) {
+                const framing = doc.panes && doc.panes[p.key];
+                if (!framing) return;
+                HISTORY_PANE_KEYS.forEach(function(k) {
+                    if (typeof framing[k] === typeof snap.panes[p.key][k]) snap.panes[p.key][k] = framing[k];
+                });
+            });
+            applyHistorySnapshot(snap);
+
+            if (state.mediaType === 'video' && doc.trim) {
+                const duration = state.videoDuration || 0;
+                const start = Math.min(Math.max(0, Number(doc.trim.start) || 0), duration);
+                const end = Math.min(Math.max(start, Number(doc.trim.end) || duration), duration);
+                if (end > start) {
+                    state.trimStart = start;
+                    state.trimEnd = end;
+                    updateTimelineUI();
+                }
             }
 
-            // ---- Franchissement du seuil (rotation, redimensionnement) ----
-            // Le cadrage du canvas change de formule : on recalcule.
-            const onViewChange = function() { updateAllCanvasSizes(); };
-            if (mobileViewMq.addEventListener) mobileViewMq.addEventListener('change', onViewChange);
-            else if (mobileViewMq.addListener) mobileViewMq.addListener(onViewChange);
+            // Le POV attend sa police (voir ensurePovObject) : on place les
+            // objets une fois la police prête, POV compris.
+            loadFont(elementFont('pov')).then(function() { placeCompositionObjects(doc.objects); });
+
+            // La composition rouverte est le point de départ de l'historique.
+            resetHistory();
+            note('Composition rouverte : tu peux corriger puis sauvegarder une nouvelle version.', 'success');
+        }
+
+        /** /editor?meme_id=<id> — recharge le média source et sa composition. */
+        async function reopenMeme(memeId) {
+            if (!memeId) return;
+            try {
+                const res = await fetch(`/api/viewer/memes/${memeId}/composition`);
+                if (!res.ok) {
+                    note('Ce meme n’a pas de composition enregistrée : il ne peut pas être rouvert.', 'error');
+                    return;
+                }
+                const data = await res.json();
+                const doc = data.composition || {};
+                const sourceUrl = data.source_url
+                    || (doc.sourceMediaId ? `/api/editor/media/${doc.sourceMediaId}` : null);
+                if (!sourceUrl) {
+                    note('Le média source de ce meme est introuvable : il ne peut pas être rouvert.', 'error');
+                    return;
+                }
+                const response = await fetch(sourceUrl);
+                if (!response.ok) {
+                    note('Le média source de ce meme est introuvable : il ne peut pas être rouvert.', 'error');
+                    return;
+                }
+                const blob = await response.blob();
+                const file = new File([blob], doc.imageName || `meme_${memeId}`, { type: blob.type });
+
+                pendingComposition = doc;
+                loadMedia(file);
+                state.sourceMediaId = doc.sourceMediaId || null;
+            } catch (e) {
+                pendingComposition = null;
+                console.error('[editor] réouverture du meme impossible', e);
+                note('Le meme n’a pas pu être rouvert. Vérifie ta connexion, puis réessaie.', 'error');
+            }
         }
 
         // ============================================
@@ -3660,11 +9699,36 @@
             setupEventListeners();
             setupMobileUx();
             setupTimelineInteraction();
+            setupCuts();
+            setupTextSegments();
+            setupSubtitles();
+            setupAudio();
+            setupPlayback();
+            setupImageFormats();
+            setupFillModes();
+            setupSafeZones();
+            setupLayers();
+            setupAnnotations();
+            setupRedactions();
+            setupAutoFrame();
+            setupGrade();
+            setupTextFit();
+            setupCaptionFormat();
+            setupTextOverrides();
+            setupHistory();
+            setupTemplateDesigner();
+            setupBrandKits();
+            setupFonts();
+            setupCarousel();
+            setupBatch();
             // LOT C — les blocs de retouche et de sortie doivent refléter
             // l'état AVANT tout chargement de média.
             syncImageEditControls();
             updateMediaToolsVisibility();
-            checkMediaParam();
+            // Les gabarits personnalisés, les kits de marque et les polices
+            // AVANT d'ouvrir un média : une composition rouverte peut en
+            // désigner un.
+            Promise.all([loadCustomTemplates(), loadBrandKits(null), loadFontLibrary()]).then(checkMediaParam);
 
             // Le fond du plan de travail est peint par Fabric, pas par le
             // CSS : il faut le repeindre à la main à chaque bascule de
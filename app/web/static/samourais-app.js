@@ -23,6 +23,9 @@
    'theme' (script anti-flash) mais AUCUN ne l'écrivait — le thème
    clair n'était atteignable qu'en changeant la préférence système.
 
+   Et le plateau des exports vidéo : les rendus de la file d'export
+   de l'Éditeur se suivent depuis n'importe quel écran.
+
    Aucune dépendance. Aucune boîte de dialogue native.
    ============================================================ */
 (function () {
@@ -446,7 +449,150 @@
   }
 
   /* =========================================================
-     7. AMORÇAGE
+     7. PLATEAU DES EXPORTS
+     ---------------------------------------------------------
+     Rendus de la file d'export (/api/editor/exports). Le serveur
+     tient la file : le plateau la relit à chaque écran, puis toutes
+     les EXPORT_POLL_MS tant qu'un rendu attend ou tourne — pas de
+     flux ouvert, qui garderait un fil du serveur par onglet. Chaque
+     rendu terminé est annoncé UNE fois par navigateur — même s'il a
+     fini pendant un changement d'écran.
+     ========================================================= */
+  var EXPORT_STATES = {
+    queued: 'En attente', running: 'Rendu', done: 'Terminé',
+    failed: 'Échec', canceled: 'Annulé'
+  };
+  var NOTIFIED_KEY = 'exports-notified';
+  var EXPORT_POLL_MS = 2000;
+  var exportItems = [];
+  var exportPoll = null;
+
+  function exportActive(item) {
+    return item.status === 'queued' || item.status === 'running';
+  }
+
+  function notifiedExports() {
+    try { return JSON.parse(localStorage.getItem(NOTIFIED_KEY)) || []; }
+    catch (e) { return []; }
+  }
+
+  function announceExports(items) {
+    var seen = notifiedExports();
+    items.forEach(function (item) {
+      if (exportActive(item) || seen.indexOf(item.id) !== -1) return;
+      if (item.status === 'done') {
+        notify(item.kind === 'download'
+          ? '« ' + item.label + ' » est rendu : télécharge-le depuis Exports.'
+          : '« ' + item.label + ' » est arrivé dans le Viewer.', 'success');
+      } else if (item.status === 'failed') {
+        notify('Export « ' + item.label + ' » en échec : ' + item.error, 'error');
+      }
+      seen.push(item.id);
+    });
+    // Seuls les rendus encore listés : la liste reste courte.
+    seen = seen.filter(function (id) {
+      return items.some(function (item) { return item.id === id; });
+    });
+    try { localStorage.setItem(NOTIFIED_KEY, JSON.stringify(seen)); }
+    catch (e) { /* stockage indisponible : annonces possibles en double */ }
+  }
+
+  function exportRow(item) {
+    var etat = EXPORT_STATES[item.status] || item.status;
+    if (item.status === 'running') etat += ' — ' + item.progress + ' %';
+    if (item.status === 'failed' && item.error) etat += ' — ' + item.error;
+    var actions = [];
+    if (exportActive(item)) {
+      actions.push('<button type="button" data-export-cancel="' + esc(item.id) + '">Annuler</button>');
+    } else {
+      if (item.status === 'done' && item.result.download_url) {
+        actions.push('<a href="' + esc(item.result.download_url) + '" download>Télécharger</a>');
+      } else if (item.status === 'done') {
+        actions.push('<a href="/viewer">Voir dans le Viewer</a>');
+      }
+      actions.push('<button type="button" data-export-dismiss="' + esc(item.id) + '">Retirer</button>');
+    }
+    return '<li class="s-exports__item" data-status="' + esc(item.status) + '">' +
+      '<span>' + esc(item.label) + '</span>' +
+      '<span class="s-exports__state">' + esc(etat) + '</span>' +
+      (exportActive(item)
+        ? '<progress max="100" value="' + item.progress + '" aria-label="Avancement de ' + esc(item.label) + '"></progress>'
+        : '') +
+      '<span class="s-exports__actions">' + actions.join('') + '</span>' +
+      '</li>';
+  }
+
+  function renderExports() {
+    var host = DOC.querySelector('[data-exports]');
+    if (!host) return;
+    var actifs = exportItems.filter(exportActive).length;
+    host.hidden = !exportItems.length;
+    host.dataset.state = actifs ? 'running' : 'idle';
+    host.querySelector('.s-exports__label').textContent = actifs ? 'Exports (' + actifs + ')' : 'Exports';
+    host.querySelector('.s-exports__list').innerHTML = exportItems.slice().reverse().map(exportRow).join('');
+    if (!exportItems.length) toggleExports(false);
+  }
+
+  function applyExports(items) {
+    exportItems = items;
+    renderExports();
+    announceExports(items);
+    clearTimeout(exportPoll);
+    exportPoll = items.some(exportActive) ? setTimeout(refreshExports, EXPORT_POLL_MS) : null;
+  }
+
+  function refreshExports() {
+    fetch('/api/editor/exports', { headers: { Accept: 'application/json' } })
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .then(function (d) { if (d) applyExports(d.items); else applyExports(exportItems); })
+      // Hors ligne : on garde le dernier état connu, relu au prochain tour.
+      .catch(function () { applyExports(exportItems); });
+  }
+
+  function exportAction(url, method) {
+    fetch(url, { method: method })
+      .then(function (r) {
+        if (r.ok) return null;
+        return r.json().then(function (d) { notify(d.error || 'Erreur serveur', 'error'); });
+      })
+      .catch(function () { notify('Serveur injoignable', 'error'); })
+      .then(refreshExports);
+  }
+
+  function toggleExports(open) {
+    var host = DOC.querySelector('[data-exports]');
+    if (!host) return;
+    var toggle = host.querySelector('.s-exports__toggle');
+    if (open === undefined) open = toggle.getAttribute('aria-expanded') !== 'true';
+    toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    host.querySelector('.s-exports__panel').hidden = !open;
+  }
+
+  function setupExports() {
+    var host = DOC.querySelector('[data-exports]');
+    if (!host) return;
+    host.querySelector('.s-exports__toggle').addEventListener('click', function () { toggleExports(); });
+    host.querySelector('.s-exports__list').addEventListener('click', function (e) {
+      var annuler = e.target.closest('[data-export-cancel]');
+      var retirer = e.target.closest('[data-export-dismiss]');
+      if (annuler) exportAction('/api/editor/exports/' + encodeURIComponent(annuler.dataset.exportCancel) + '/cancel', 'POST');
+      if (retirer) exportAction('/api/editor/exports/' + encodeURIComponent(retirer.dataset.exportDismiss), 'DELETE');
+    });
+    // Échap ou un clic ailleurs referment le panneau.
+    DOC.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape' && !host.querySelector('.s-exports__panel').hidden) {
+        toggleExports(false);
+        host.querySelector('.s-exports__toggle').focus();
+      }
+    });
+    DOC.addEventListener('click', function (e) {
+      if (!host.contains(e.target)) toggleExports(false);
+    });
+    refreshExports();
+  }
+
+  /* =========================================================
+     8. AMORÇAGE
      ========================================================= */
   function init() {
     // Déverrouille le déclencheur ⌘K de la nav, qui reste masqué
@@ -462,6 +608,8 @@
 
     refreshStatus();
     setInterval(refreshStatus, 15000);
+
+    setupExports();
   }
 
   if (DOC.readyState === 'loading') DOC.addEventListener('DOMContentLoaded', init);
@@ -478,6 +626,8 @@
   window.samourais.currentTheme = currentTheme;
   window.samourais.confirm = confirmDialog;
   window.samourais.notify = notify;
+  // Un écran qui vient de déposer un rendu : le plateau relit la file.
+  window.samourais.watchExports = refreshExports;
 
   /* ---------------------------------------------------------
      HTMX : hx-confirm passe par window.confirm, la dernière
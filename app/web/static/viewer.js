@@ -678,6 +678,12 @@
       play.textContent = "▶";
       fig.appendChild(play);
     }
+    // Carrousel : la vignette montre la 1re diapositive, le compte dit le reste.
+    if (item.slide_urls && item.slide_urls.length) {
+      var slides = span("v-tile__slides", "⧉ " + item.slide_urls.length);
+      slides.title = item.slide_urls.length + " diapositives";
+      fig.appendChild(slides);
+    }
 
     var meta = document.createElement("span");
     meta.className = "v-tile__meta";
@@ -841,14 +847,18 @@
         m.pages = data.total_pages || 1;
         m.total = data.total || 0;
         var normalises = (data.items || []).map(function (it) {
-          var ratios = { square: [1, 1], portrait: [4, 5], story: [9, 16] };
+          var ratios = { square: [1, 1], portrait: [4, 5], story: [9, 16], landscape: [16, 9] };
           var r = ratios[it.template_format] || [1, 1];
+          // Gabarit personnalisé : sa taille vient de sa géométrie (serveur).
+          var taille = it.template_size || { width: r[0] * 100, height: r[1] * 100 };
           return {
             id: it.id, isMeme: true, thumb_url: it.thumbnail_url, file_url: it.file_url,
             media_type: it.media_type, caption: it.caption || it.title || "",
             template_format: it.template_format, created_at: it.created_at,
-            file_size: it.file_size, width: r[0] * 100, height: r[1] * 100,
+            file_size: it.file_size, width: taille.width, height: taille.height,
             avg_rating: 0, comment_count: 0,
+            has_composition: !!it.has_composition,
+            slide_urls: it.slide_urls || [],
           };
         });
         m.items = suite ? m.items.concat(normalises) : normalises;
@@ -1037,6 +1047,8 @@
     $("sel-count").textContent = n;
     $("sel-label").textContent = n > 1 ? "éléments sélectionnés" : "élément sélectionné";
     $("v-selbar").hidden = n === 0;
+    // Les memes sont déjà des rendus : le lot part des médias.
+    $("btn-sel-batch").hidden = state.tab !== "media";
     grid.querySelectorAll(".v-tile").forEach(function (t) {
       t.classList.toggle("is-selected", state.selection.has(parseInt(t.dataset.id, 10)));
     });
@@ -1087,6 +1099,22 @@
     notifier(items.length + (items.length > 1 ? " téléchargements lancés." : " téléchargement lancé."), "success");
   }
 
+  // Même plafond que GET /api/editor/media/batch (BATCH_MAX_ITEMS).
+  var LOT_MAX = 50;
+
+  function genererLot() {
+    // Ordre de la grille, pas ordre des clics : le lot se lit comme l'écran.
+    var ids = itemsCourants()
+      .filter(function (it) { return state.selection.has(it.id); })
+      .map(function (it) { return it.id; });
+    if (!ids.length) return;
+    if (ids.length > LOT_MAX) {
+      notifier("Un lot compte " + LOT_MAX + " médias au plus : réduisez la sélection.", "warning");
+      return;
+    }
+    window.location.href = "/editor?batch=" + ids.join(",");
+  }
+
   function supprimerSelection() {
     var n = state.selection.size;
     if (!n) return;
@@ -1189,7 +1217,17 @@
     var media = $("lb-media");
     media.replaceChildren();
     var src = item.file_url || item.media_url || "";
-    if (item.media_type === "video") {
+    media.classList.toggle("lightbox-media--carousel", !!(item.slide_urls && item.slide_urls.length));
+    if (item.slide_urls && item.slide_urls.length) {
+      // Toutes les diapositives, dans l'ordre, en défilement horizontal.
+      item.slide_urls.forEach(function (url, i) {
+        var slide = document.createElement("img");
+        slide.src = url;
+        slide.alt = "Diapositive " + (i + 1) + " sur " + item.slide_urls.length;
+        slide.loading = "lazy";
+        media.appendChild(slide);
+      });
+    } else if (item.media_type === "video") {
       var v = document.createElement("video");
       v.src = src;
       if (item.thumb_url) v.poster = item.thumb_url;
@@ -1203,7 +1241,9 @@
     }
 
     $("lb-info").textContent = [
-      item.isMeme ? "Meme" : etiquettePlateforme(item.platform),
+      item.isMeme ? (item.slide_urls && item.slide_urls.length
+        ? "Carrousel · " + item.slide_urls.length + " diapositives" : "Meme")
+        : etiquettePlateforme(item.platform),
       item.profile_username ? "@" + item.profile_username : "",
       dateLongue(dateEffective(item)),
       item.width && item.height ? item.width + "×" + item.height : "",
@@ -1215,7 +1255,13 @@
     else lien.hidden = true;
 
     var edit = $("lb-edit-btn");
-    if (item.isMeme) edit.hidden = true;
+    if (item.isMeme) {
+      // Un meme enregistré avec sa composition se rouvre tel quel dans
+      // l'éditeur (média source, textes, cadrage, coupe vidéo).
+      edit.hidden = !item.has_composition;
+      edit.href = "/editor?meme_id=" + item.id;
+      edit.textContent = "Rouvrir dans l'éditeur";
+    }
     else { edit.hidden = false; edit.href = "/editor?media_id=" + item.id; edit.textContent = "Éditer"; }
 
     var dl = $("lb-download-btn");
@@ -2694,6 +2740,7 @@
     $("btn-clear-filters").addEventListener("click", effacerFiltres);
     $("btn-sel-all").addEventListener("click", toutSelectionner);
     $("btn-sel-none").addEventListener("click", viderSelection);
+    $("btn-sel-batch").addEventListener("click", genererLot);
     $("btn-sel-download").addEventListener("click", telechargerSelection);
     $("btn-sel-delete").addEventListener("click", supprimerSelection);
 
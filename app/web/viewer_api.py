@@ -3,6 +3,8 @@
 from __future__ import annotations
 
 import base64
+import binascii
+import json
 import os
 import struct
 import time
@@ -17,6 +19,7 @@ from app.config import DOWNLOAD_DIR, EDITOR_OUTPUT_DIR
 from app.db import (
     Collection,
     CollectionItem,
+    EditorTemplate,
     MediaComment,
     MediaItem,
     MediaRating,
@@ -25,6 +28,16 @@ from app.db import (
     ScheduledPost,
     SessionLocal,
 )
+from app.editor.carousels import carousel_slides, delete_carousel, parse_slides, write_carousel
+from app.editor.compositions import (
+    composition_path,
+    decode_source_data_url,
+    delete_composition,
+    parse_composition,
+    read_composition,
+    source_path,
+    write_composition,
+)
 from app.scraper.pipeline import PHASH_DEGENERE, empreintes
 
 viewer_api_bp = Blueprint("viewer_api", __name__)
@@ -938,6 +951,38 @@ def batch_delete_media():
 # Saved Memes
 # ---------------------------------------------------------------------------
 
+#: Formats d'image d'un meme enregistré, par type MIME de sa data URL — les
+#: formats de l'export image de l'éditeur, plus le GIF.
+_MEME_IMAGE_TYPES = {
+    "image/png": ".png",
+    "image/jpeg": ".jpg",
+    "image/webp": ".webp",
+    "image/avif": ".avif",
+    "image/gif": ".gif",
+}
+#: Type servi, par extension du fichier du meme (GIF et WebP animés des
+#: exports vidéo compris).
+_MEME_MIMETYPES = {ext: mime for mime, ext in _MEME_IMAGE_TYPES.items()} | {".mp4": "video/mp4"}
+
+
+def _meme_image(image_data: str) -> tuple[bytes, str]:
+    """Octets et extension d'une image envoyée en data URL (ou en base64 nu, PNG).
+
+    Lève ValueError pour un type non pris en charge ou un base64 illisible.
+    """
+    extension = ".png"
+    if "," in image_data:
+        entete, image_data = image_data.split(",", 1)
+        mime = entete.removeprefix("data:").split(";", 1)[0].lower()
+        if mime not in _MEME_IMAGE_TYPES:
+            raise ValueError(f"Format d'image non pris en charge : {mime or 'inconnu'}")
+        extension = _MEME_IMAGE_TYPES[mime]
+    try:
+        return base64.b64decode(image_data, validate=True), extension
+    except (binascii.Error, ValueError):
+        raise ValueError("image_data : base64 illisible") from None
+
+
 @viewer_api_bp.route("/viewer/memes")
 def list_memes():
     """List saved memes for the viewer memes tab."""
@@ -949,6 +994,25 @@ def list_memes():
         total = query.count()
         items = query.offset((page - 1) * per_page).limit(per_page).all()
 
+        def _slide_count(m) -> int:
+            if m.media_type != "carousel" or not m.file_path:
+                return 0
+            return len(carousel_slides(m.file_path))
+
+        # Gabarit personnalisé (custom-<id>) : sa taille, lue dans sa
+        # géométrie, donne au Viewer le ratio de la tuile. Gabarit supprimé
+        # depuis : pas de taille, le Viewer retombe sur le carré.
+        ids_gabarits = {
+            int(f.removeprefix("custom-"))
+            for f in (m.template_format or "" for m in items)
+            if f.startswith("custom-") and f.removeprefix("custom-").isdigit()
+        }
+        tailles = {}
+        if ids_gabarits:
+            for tpl in db.query(EditorTemplate).filter(EditorTemplate.id.in_(ids_gabarits)):
+                geometrie = json.loads(tpl.geometry)
+                tailles[f"custom-{tpl.id}"] = {"width": geometrie["width"], "height": geometrie["height"]}
+
         return jsonify({
             "items": [
                 {
@@ -957,10 +1021,21 @@ def list_memes():
                     "caption": m.caption or "",
                     "media_type": m.media_type,
                     "template_format": m.template_format or "",
+                    "template_size": tailles.get(m.template_format or ""),
                     "file_url": f"/api/viewer/memes/{m.id}/file",
                     "thumbnail_url": f"/api/viewer/memes/{m.id}/file",
                     "file_size": m.file_size,
                     "created_at": m.created_at,
+                    # Un document de composition à côté du fichier : le meme
+                    # peut être rouvert dans l'éditeur.
+                    "has_composition": bool(
+                        m.file_path and composition_path(m.file_path).is_file()
+                    ),
+                    # Carrousel : une URL par diapositive, dans l'ordre.
+                    "slide_urls": [
+                        f"/api/viewer/memes/{m.id}/slides/{n}"
+                        for n in range(1, _slide_count(m) + 1)
+                    ],
                 }
                 for m in items
             ],
@@ -988,7 +1063,9 @@ def serve_meme_file(meme_id: int):
         if not meme.file_path or not os.path.exists(meme.file_path):
             return jsonify({"error": "Meme file not found on disk"}), 404
 
-        mime = "video/mp4" if meme.media_type == "video" else "image/png"
+        mime = _MEME_MIMETYPES.get(Path(meme.file_path).suffix.lower())
+        if mime is None:
+            mime = "video/mp4" if meme.media_type == "video" else "image/png"
         return send_file(meme.file_path, mimetype=mime)
     except Exception as exc:
         logger.error("Error serving meme file: {}", exc)
@@ -997,17 +1074,94 @@ def serve_meme_file(meme_id: int):
         db.close()
 
 
+@viewer_api_bp.route("/viewer/memes/<int:meme_id>/slides/<int:index>")
+def serve_meme_slide(meme_id: int, index: int):
+    """Serve one slide (1-based) of a carousel meme."""
+    db = SessionLocal()
+    try:
+        meme = db.query(SavedMeme).filter_by(id=meme_id).first()
+        if not meme:
+            return jsonify({"error": "Meme not found"}), 404
+
+        slides = carousel_slides(meme.file_path) if meme.file_path else []
+        if not 1 <= index <= len(slides) or not slides[index - 1].is_file():
+            return jsonify({"error": "Slide not found"}), 404
+
+        return send_file(str(slides[index - 1]), mimetype="image/png")
+    except Exception as exc:
+        logger.error("Error serving meme slide: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@viewer_api_bp.route("/viewer/memes/<int:meme_id>/composition")
+def get_meme_composition(meme_id: int):
+    """Document de composition d'un meme, pour « Rouvrir dans l'éditeur »."""
+    db = SessionLocal()
+    try:
+        meme = db.query(SavedMeme).filter_by(id=meme_id).first()
+        if not meme:
+            return jsonify({"error": "Meme not found"}), 404
+
+        composition = read_composition(meme.file_path) if meme.file_path else None
+        if composition is None:
+            return jsonify({"error": "Ce meme n'a pas de composition enregistrée"}), 404
+
+        has_source = source_path(meme.file_path) is not None
+        return jsonify({
+            "id": meme.id,
+            "title": meme.title or "",
+            "caption": meme.caption or "",
+            "media_type": meme.media_type,
+            "template_format": meme.template_format or "",
+            "source_media_id": meme.source_media_id,
+            "source_url": f"/api/viewer/memes/{meme.id}/source" if has_source else None,
+            "composition": composition,
+        })
+    except Exception as exc:
+        logger.error("Error reading meme composition: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
+@viewer_api_bp.route("/viewer/memes/<int:meme_id>/source")
+def serve_meme_source(meme_id: int):
+    """Serve the source media copied next to a saved meme."""
+    db = SessionLocal()
+    try:
+        meme = db.query(SavedMeme).filter_by(id=meme_id).first()
+        if not meme:
+            return jsonify({"error": "Meme not found"}), 404
+
+        path = source_path(meme.file_path) if meme.file_path else None
+        if path is None:
+            return jsonify({"error": "Source file not found on disk"}), 404
+
+        return send_file(str(path))
+    except Exception as exc:
+        logger.error("Error serving meme source: {}", exc)
+        return jsonify({"error": "Erreur serveur"}), 500
+    finally:
+        db.close()
+
+
 @viewer_api_bp.route("/viewer/memes", methods=["POST"])
 def save_meme():
     """Save a meme from the editor to the viewer gallery.
 
     Accepts JSON with:
-        - image_data: base64 encoded image data (for images)
+        - image_data: data URL PNG, JPEG, WebP, AVIF ou GIF (for images) ;
+          le fichier prend l'extension de son type
         - title: optional title
         - caption: optional caption
-        - template_format: square | portrait | story
-        - media_type: image | video (default: image)
+        - template_format: square | portrait | story | custom-<id> (gabarit personnalisé)
+        - media_type: image | video | carousel (default: image)
+        - slides: carousel only — data URLs PNG des diapositives, dans l'ordre
         - source_media_id: optional source media ID
+        - composition: optional editor document (rangé à côté du meme)
+        - source_data: optional data URL du média source (copié avec la composition)
     """
     from nanoid import generate as nanoid
 
@@ -1023,6 +1177,29 @@ def save_meme():
         if not image_data and media_type == "image":
             return jsonify({"error": "No image data provided"}), 400
 
+        image = None
+        if media_type == "image":
+            try:
+                image = _meme_image(image_data)
+            except ValueError as exc:
+                logger.warning("Image de meme refusée : {}", exc)
+                return jsonify({"error": "Image PNG, JPEG, WebP, AVIF ou GIF en base64 attendue"}), 400
+
+        slides = None
+        if media_type == "carousel":
+            try:
+                slides = parse_slides(data.get("slides"), ".png")
+            except ValueError as exc:
+                logger.warning("Diapositives refusées : {}", exc)
+                return jsonify({"error": "Diapositives invalides"}), 400
+
+        # Document validé AVANT toute écriture : un 400 ne laisse rien.
+        try:
+            composition = parse_composition(data.get("composition"))
+        except ValueError as exc:
+            logger.warning("Composition refusée : {}", exc)
+            return jsonify({"error": "Composition invalide"}), 400
+
         # Ensure output dir
         EDITOR_OUTPUT_DIR.mkdir(parents=True, exist_ok=True)
         meme_dir = EDITOR_OUTPUT_DIR / "memes"
@@ -1031,17 +1208,29 @@ def save_meme():
         # Save file
         file_id = nanoid()
         if media_type == "image":
-            # Decode base64
-            if "," in image_data:
-                image_data = image_data.split(",", 1)[1]
-            file_bytes = base64.b64decode(image_data)
-            file_path = str(meme_dir / f"{file_id}.png")
+            file_bytes, extension = image
+            file_path = str(meme_dir / f"{file_id}{extension}")
             with open(file_path, "wb") as f:
                 f.write(file_bytes)
             file_size = len(file_bytes)
+        elif media_type == "carousel":
+            # Diapositives numérotées + manifeste ; la 1re est le fichier du meme.
+            file_path = write_carousel(meme_dir, file_id, slides, ".png")
+            file_size = sum(len(s) for s in slides)
         else:
             return jsonify({"error": "Video meme saving not yet supported"}), 400
 
+        # Un carrousel ne se rouvre pas (chaque diapositive a son média) :
+        # pas de composition à ranger.
+        if composition is not None and media_type == "image":
+            source = decode_source_data_url(data.get("source_data") or "")
+            write_composition(
+                file_path,
+                composition,
+                source_bytes=source[0] if source else None,
+                source_ext=source[1] if source else "",
+            )
+
         # Save to DB
         meme = SavedMeme(
             title=data.get("title", ""),
@@ -1084,6 +1273,11 @@ def delete_meme(meme_id: int):
         # Delete file
         if meme.file_path and os.path.exists(meme.file_path):
             os.remove(meme.file_path)
+        # ... et sa composition éditable, s'il en a une, ou les autres
+        # diapositives d'un carrousel.
+        if meme.file_path:
+            delete_composition(meme.file_path)
+            delete_carousel(meme.file_path)
 
         db.delete(meme)
         db.commit()
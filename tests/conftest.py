@@ -33,6 +33,10 @@ Fabriques      : `factories` (+ raccourcis `make_profile`, `make_media_item`,
 Garde-fous     : `_guard_no_network`, `_guard_no_production_data_write`
                  (autouse, non désactivables), exceptions via `guard_errors`
 Temps          : `FIXED_NOW` (horodatage figé — n'utilisez jamais time.time())
+Éditeur vidéo  : `editor_dirs`, `make_faux_ffmpeg` (process_video simulé),
+                 `ffmpeg_simule`/`graphe_ffmpeg` (commande construite, rien
+                 de lancé), `FAKE_MP4`, `editor_uploads()`
+Éditeur (JS)   : `editor_core` (editor-core.js évalué par Node)
 
 ────────────────────────────────────────────────────────────────────────────
 LIMITE CONNUE À GARDER EN TÊTE (§7.1 AUDIT.md)
@@ -844,3 +848,156 @@ def make_scrape_job(factories):
 @pytest.fixture
 def make_scheduled_post(factories):
     return factories.scheduled_post
+
+
+# ===========================================================================
+# Éditeur vidéo — FFmpeg simulé
+# ===========================================================================
+
+#: Sortie d'un rendu simulé : un en-tête MP4, rien de lisible.
+FAKE_MP4 = b"\x00\x00\x00\x18ftypmp42-fake-socle"
+
+
+def editor_uploads() -> list[str]:
+    """Fichiers restés dans EDITOR_UPLOAD_DIR — un rendu doit tout effacer."""
+    return [p.name for p in app_config.EDITOR_UPLOAD_DIR.iterdir() if p.is_file()]
+
+
+@pytest.fixture
+def editor_dirs():
+    """Dossiers de l'Éditeur prêts avant le test, vidés après.
+
+    Vide aussi les sorties de /process-video : le vrai serveur les efface
+    après l'envoi, pas le client de test.
+    """
+    memes = app_config.EDITOR_OUTPUT_DIR / "memes"
+    for repertoire in (memes, app_config.EDITOR_UPLOAD_DIR):
+        repertoire.mkdir(parents=True, exist_ok=True)
+    yield
+    for repertoire in (memes, app_config.EDITOR_UPLOAD_DIR, app_config.EDITOR_OUTPUT_DIR):
+        for f in repertoire.iterdir():
+            if f.is_file():
+                f.unlink()
+
+
+@pytest.fixture
+def make_faux_ffmpeg(monkeypatch):
+    """Fabrique de `process_video` simulé, vu par app.editor.api.
+
+    Le rendu est instantané : `sortie` est écrit à la place de la vidéo et
+    un `on_progress` reçoit 0.5. `releve(appel)` reçoit
+    {"output_path": …, **kwargs} et renvoie ce que le test garde ; il tourne
+    PENDANT l'appel, quand les entrées temporaires (ASS, LUT, piste son…)
+    existent encore — l'API les efface après le rendu.
+
+    Usage :
+        appels = make_faux_ffmpeg(lambda appel: appel.get("segments"))
+    """
+
+    def _make(releve=lambda appel: appel, sortie: bytes = FAKE_MP4):
+        appels = []
+
+        def _fake(video_path, template_path, output_path, **kwargs):
+            appels.append(releve({"output_path": output_path, **kwargs}))
+            if kwargs.get("on_progress"):
+                kwargs["on_progress"](0.5)
+            Path(output_path).write_bytes(sortie)
+            return output_path
+
+        monkeypatch.setattr("app.editor.api.process_video", _fake)
+        return appels
+
+    return _make
+
+
+@pytest.fixture
+def ffmpeg_simule(monkeypatch):
+    """Remplace `shutil.which` et `subprocess.run` du module processing.
+
+    Même principe que tests/test_stockage.py : process_video() construit sa
+    vraie commande, rien n'est lancé. ffprobe répond « une piste son » ;
+    retourne les commandes ffmpeg reçues.
+    """
+    from types import SimpleNamespace
+
+    from app.editor import processing
+
+    monkeypatch.setattr(processing.shutil, "which", lambda nom: f"/usr/bin/{nom}")
+    commandes = []
+
+    def faux_run(cmd, capture_output=False, text=False, timeout=None):
+        if cmd[0] == "ffprobe":
+            return SimpleNamespace(returncode=0, stdout="1\n", stderr="")
+        commandes.append(cmd)
+        Path(cmd[-1]).write_bytes(FAKE_MP4)
+        return SimpleNamespace(returncode=0, stdout="", stderr="")
+
+    monkeypatch.setattr(processing, "subprocess", SimpleNamespace(
+        run=faux_run, TimeoutExpired=processing.subprocess.TimeoutExpired))
+    return commandes
+
+
+@pytest.fixture
+def graphe_ffmpeg(ffmpeg_simule, tmp_path):
+    """Graphe `-filter_complex` d'un clip 1080×1920 de 6 s rendu par
+    `ffmpeg_simule`, avec les réglages donnés.
+
+    Usage :
+        graphe = graphe_ffmpeg(fill_mode="blur")
+    """
+    from app.editor import processing
+
+    def _graphe(**kwargs) -> str:
+        processing.process_video("clip.mp4", "tpl.png", str(tmp_path / "sortie.mp4"),
+                                 template_width=1080, template_height=1920,
+                                 frame_x=0, frame_y=0, frame_width=1080, frame_height=1920,
+                                 trim_start=0, trim_end=6, **kwargs)
+        cmd = ffmpeg_simule[-1]
+        return cmd[cmd.index("-filter_complex") + 1]
+
+    return _graphe
+
+
+# ===========================================================================
+# Éditeur — logique pure de editor-core.js, évaluée par Node
+# ===========================================================================
+
+#: Constantes et fonctions de l'éditeur sans DOM ni Fabric (voir son en-tête).
+EDITOR_CORE_JS = _PROJECT_ROOT / "app" / "web" / "static" / "editor-core.js"
+
+# Charge editor-core.js comme la page (script classique : ses déclarations
+# restent visibles des scripts suivants), puis évalue l'expression en JSON.
+_NODE_EVAL = (
+    "const vm = require('vm');"
+    "vm.runInThisContext(require('fs').readFileSync(process.argv[1], 'utf8'),"
+    " { filename: 'editor-core.js' });"
+    "const v = vm.runInThisContext(process.argv[2]);"
+    "process.stdout.write(JSON.stringify(v === undefined ? null : v));"
+)
+
+
+@pytest.fixture(scope="session")
+def editor_core():
+    """Évalue une expression JavaScript avec editor-core.js chargé ; rend
+    sa valeur relue en JSON. Ignoré si `node` est absent (l'image Docker ne
+    l'embarque pas).
+
+    Usage :
+        editor_core("HISTORY_PANE_KEYS.includes('imageScale')")          # → True
+        editor_core("const k = HISTORY_STATE_KEYS; k.includes('text')")  # plusieurs instructions
+    """
+    import json
+    import subprocess
+
+    node = shutil.which("node")
+    if node is None:
+        pytest.skip("node absent : la logique de l'éditeur n'est pas évaluée")
+
+    def _evaluer(expression: str):
+        resultat = subprocess.run([node, "-e", _NODE_EVAL, str(EDITOR_CORE_JS), expression],
+                                  capture_output=True, text=True, timeout=30)
+        if resultat.returncode != 0:
+            raise AssertionError(f"editor-core.js : {resultat.stderr.strip()}")
+        return json.loads(resultat.stdout)
+
+    return _evaluer
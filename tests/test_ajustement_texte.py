@@ -0,0 +1,110 @@
+"""
+AJUSTEMENT DU TEXTE — tests de la page.
+
+Réglée à la main, une longue légende déborde sous textArea.maxY, dans le
+cadre. En mode « Ajuster », chaque plateau prend la plus grande taille qui
+tient dans la zone de texte de son gabarit, lignes équilibrées. Tout se
+passe dans le navigateur : aucun endpoint n'est concerné. Contrats
+vérifiés ici (editor-core.js évalué par Node, mise en page simulée) :
+
+  1. La page porte l'interrupteur ; les bornes de l'ajustement sont
+     celles du curseur de taille.
+  2. L'ajustement prend la plus grande taille qui tient, puis la largeur
+     la plus étroite qui garde le nombre de lignes ; un texte qui déborde
+     même au plus petit est signalé.
+  3. L'historique retient le mode.
+
+La mesure elle-même (Fabric.js, police chargée), le recalcul à chaque
+changement de texte, de gabarit ou d'interligne et la taille transmise à
+l'export vidéo sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import json
+import re
+
+#: Zone de texte d'un gabarit : 900 px de large, 300 px de haut.
+ZONE = {"x": 90, "y": 100, "width": 900, "maxY": 400}
+
+# Mise en page simulée d'un Textbox : une lettre = une demi-taille, une
+# espace = un quart ; retour à la ligne glouton, interligne 1,2. Un mot
+# plus long que la largeur élargit le bloc, comme dans Fabric.
+_MESURE = """
+const mesure = function(texte) {
+    const mots = texte.split(' ');
+    return function(taille, largeur) {
+        const long = m => m.length * taille / 2;
+        let lignes = 1;
+        let courante = 0;
+        mots.forEach(function(m) {
+            if (courante && courante + taille / 4 + long(m) > largeur) {
+                lignes += 1;
+                courante = long(m);
+            } else {
+                courante += (courante ? taille / 4 : 0) + long(m);
+            }
+        });
+        return { width: Math.max(largeur, ...mots.map(long)), height: lignes * taille * 1.2, lines: lignes };
+    };
+};
+"""
+
+
+def _ajuster(editor_core, texte: str):
+    """[ajustement, tient, taille suivante refusée, lignes gardées]."""
+    return editor_core(_MESURE + f"""
+const zone = {json.dumps(ZONE)};
+const l = mesure({json.dumps(texte)});
+const f = fitTextLayout(l, zone);
+f && [f, textFits(l(f.fontSize, f.width), zone),
+      f.fontSize === TEXT_SIZE_MAX || !textFits(l(f.fontSize + 1, zone.width), zone),
+      l(f.fontSize, f.width).lines === l(f.fontSize, zone.width).lines]""")
+
+
+# ---------------------------------------------------------------------------
+# 1. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_l_ajustement(client, editor_core):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("text-fit-toggle", "text-fit-switch"):
+        assert f'id="{ident}"' in html
+
+    curseur = re.search(r'<input[^>]*id="text-size"[^>]*>', html).group(0)
+    minimum = int(re.search(r'min="(\d+)"', curseur).group(1))
+    maximum = int(re.search(r'max="(\d+)"', curseur).group(1))
+    assert editor_core("[TEXT_SIZE_MIN, TEXT_SIZE_MAX]") == [minimum, maximum]
+
+
+# ---------------------------------------------------------------------------
+# 2. Ajustement
+# ---------------------------------------------------------------------------
+
+def test_un_texte_court_prend_la_taille_maximale(editor_core):
+    ajustement, tient, _, _ = _ajuster(editor_core, "Quand le lundi arrive")
+    assert ajustement["fontSize"] == editor_core("TEXT_SIZE_MAX")
+    assert tient
+
+
+def test_un_texte_long_prend_la_plus_grande_taille_qui_tient(editor_core):
+    texte = " ".join(["quand", "tu", "réalises", "que", "demain", "c'est", "lundi"] * 6)
+    ajustement, tient, suivante_refusee, lignes_gardees = _ajuster(editor_core, texte)
+    assert editor_core("TEXT_SIZE_MIN") < ajustement["fontSize"] < editor_core("TEXT_SIZE_MAX")
+    assert tient and suivante_refusee
+    # Lignes équilibrées : un bloc plus étroit, autant de lignes.
+    assert ajustement["width"] < ZONE["width"] and lignes_gardees
+
+
+def test_un_texte_qui_deborde_meme_au_plus_petit_est_signale(editor_core):
+    assert _ajuster(editor_core, " ".join(["beaucoup", "trop", "long"] * 60)) is None
+    # Un mot plus large que la zone ne tient à aucune taille.
+    assert _ajuster(editor_core, "a" * 80) is None
+
+
+# ---------------------------------------------------------------------------
+# 3. Historique
+# ---------------------------------------------------------------------------
+
+def test_l_historique_retient_l_ajustement(editor_core):
+    assert {"textSize", "textAutoFit"} <= set(editor_core("HISTORY_STATE_KEYS"))
@@ -0,0 +1,100 @@
+"""
+ANNOTATIONS — tests de la page et des stickers.
+
+La boîte « Annotations » pose flèches, cercles, cadres, tracés au crayon,
+textes libres, stickers et emojis, sur un plateau ou sur tous. Tout se
+passe dans le navigateur ; le serveur ne fait que servir les stickers
+(fichiers SVG locaux de /static/stickers/). Contrats vérifiés ici
+(editor-core.js évalué par Node) :
+
+  1. La page porte la boîte d'outils ; chaque sticker qu'elle propose est
+     un fichier servi en SVG, et l'éditeur connaît exactement les mêmes.
+  2. Les annotations suivent l'historique et les compositions (clé de
+     plateau) ; relues, seules les annotations bien formées sont gardées,
+     et au plus ANNOTATION_MAX.
+
+Le dessin, le crayon, la copie entre plateaux et l'incrustation dans le
+gabarit de l'export vidéo sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import json
+import re
+from pathlib import Path
+
+import pytest
+
+PROJECT_ROOT = Path(__file__).resolve().parent.parent
+STATIC = PROJECT_ROOT / "app" / "web" / "static"
+
+#: Une flèche telle que l'éditeur la décrit (px du gabarit).
+FLECHE = {"id": "a1", "kind": "arrow", "color": "#ef4444",
+          "left": 100, "top": 200, "scaleX": 1, "scaleY": 1, "angle": 0}
+
+
+# ---------------------------------------------------------------------------
+# 1. Page et stickers
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_annotations(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("annot-target-group", "annot-tools", "annot-color", "annot-stickers", "annot-delete"):
+        assert f'id="{ident}"' in html
+    for outil in ("arrow", "ellipse", "rect", "pen", "text"):
+        assert f'data-annot="{outil}"' in html
+
+
+def test_chaque_sticker_propose_est_servi(client, editor_core):
+    html = client.get("/editor").data.decode("utf-8")
+    proposes = set(re.findall(r'data-sticker="([a-z-]+)"', html))
+    assert proposes == {f.stem for f in (STATIC / "stickers").glob("*.svg")}
+
+    assert set(editor_core("STICKERS")) == proposes
+
+    for nom in proposes:
+        reponse = client.get(f"/static/stickers/{nom}.svg")
+        try:
+            assert reponse.status_code == 200
+            assert reponse.mimetype == "image/svg+xml"
+        finally:
+            reponse.close()
+
+
+# ---------------------------------------------------------------------------
+# 2. Historique et compositions
+# ---------------------------------------------------------------------------
+
+def test_les_annotations_suivent_l_historique(editor_core):
+    assert "annotations" in editor_core("HISTORY_PANE_KEYS")
+
+
+def test_une_annotation_bien_formee_est_gardee(editor_core):
+    trace = {**FLECHE, "id": "a2", "kind": "pen", "path": [["M", 0, 0], ["Q", 10, 10, 20, 0]]}
+    texte = {**FLECHE, "id": "a3", "kind": "text", "text": "ici", "width": 300}
+    liste = [FLECHE, trace, texte,
+             {**FLECHE, "id": "a4", "kind": "sticker", "sticker": "bulle"},
+             {**FLECHE, "id": "a5", "kind": "emoji", "emoji": "🔥"}]
+    assert editor_core(f"sanitizeAnnotations({json.dumps(liste)})") == liste
+
+
+@pytest.mark.parametrize("defaut", [
+    {"kind": "fusee"},
+    {"color": "rouge"},
+    {"left": "100"},
+    {"id": 7},
+    {"kind": "pen", "path": [["X", 0, 0]]},
+    {"kind": "pen", "path": []},
+    {"kind": "text", "text": "x" * 301, "width": 300},
+    {"kind": "sticker", "sticker": "../../secret"},
+    {"kind": "emoji", "emoji": "🦄"},
+])
+def test_une_annotation_mal_formee_tombe(editor_core, defaut):
+    assert editor_core(f"sanitizeAnnotations({json.dumps([{**FLECHE, **defaut}])})") == []
+
+
+def test_la_liste_relue_est_bornee(editor_core):
+    assert editor_core("sanitizeAnnotations('pas une liste')") == []
+    maximum = editor_core("ANNOTATION_MAX")
+    nombre = editor_core(f"sanitizeAnnotations(Array({maximum + 5}).fill({json.dumps(FLECHE)})).length")
+    assert nombre == maximum
@@ -0,0 +1,120 @@
+"""
+CADRAGE AUTOMATIQUE — tests de la page.
+
+« Cadrage auto » calcule un point d'intérêt (détecté sur le média, ou
+choisi d'un clic) puis, pour CHAQUE plateau, le zoom et le décalage qui
+l'amènent au centre de son cadre visible. Tout se passe dans le
+navigateur : le résultat est un cadrage ordinaire que l'export vidéo
+transmet déjà. Contrats vérifiés ici (editor-core.js évalué par Node) :
+
+  1. La page porte les deux actions et le retour à la détection, sous le
+     zoom de l'image ; le zoom maximal tient dans le curseur.
+  2. La détection trouve le sujet d'une image et rend le centre d'une
+     image unie.
+  3. Le point est amené au centre du cadre ; en « cover », le cadre reste
+     couvert et le zoom borné, en « blur », le zoom reste à 100 %.
+  4. Le point choisi suit l'historique et les compositions, relu et filtré.
+
+La lecture des pixels du média (canvas, fenêtre de recadrage) et le
+passage par la matrice Fabric (rotation, miroir) sont vérifiés au
+navigateur.
+"""
+
+from __future__ import annotations
+
+import json
+import re
+
+import pytest
+
+
+def _focus(editor_core, carre: tuple[int, int, int, int] | None) -> dict:
+    """Point d'intérêt d'une image grise 90 × 60 px, avec un carré blanc (x, y, l, h)."""
+    return editor_core(f"""
+const w = 90, h = 60, carre = {json.dumps(carre)};
+const data = new Uint8ClampedArray(w * h * 4).fill(96);
+if (carre) {{
+    for (let y = carre[1]; y < carre[1] + carre[3]; y++) {{
+        for (let x = carre[0]; x < carre[0] + carre[2]; x++) data.fill(255, (y * w + x) * 4, (y * w + x) * 4 + 3);
+    }}
+}}
+focusOfPixels(data, w, h)""")
+
+
+def _cadrage(editor_core, **f) -> dict:
+    cadre = {"srcW": 2000, "srcH": 1000, "baseScale": 1, "viewW": 1000, "viewH": 1000,
+             "rx": 0, "ry": 0, "fillMode": "cover"}
+    cadre.update(f)
+    return editor_core(f"focusFraming({json.dumps(cadre)})")
+
+
+# ---------------------------------------------------------------------------
+# 1. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_le_cadrage_auto(client):
+    html = client.get("/editor").data.decode("utf-8")
+    section = html[html.index('id="image-scale-section"'):html.index('id="frame-height-section"')]
+    for ident in ("auto-frame", "focus-pick", "focus-readout", "focus-reset"):
+        assert f'id="{ident}"' in section
+
+
+def test_le_zoom_maximal_tient_dans_le_curseur(client, editor_core):
+    html = client.get("/editor").data.decode("utf-8")
+    curseur = re.search(r'<input[^>]*id="image-scale"[^>]*>', html).group(0)
+    maximum = int(re.search(r'max="(\d+)"', curseur).group(1))
+    assert 100 < editor_core("AUTO_FRAME_MAX_ZOOM") <= maximum
+
+
+# ---------------------------------------------------------------------------
+# 2. Détection
+# ---------------------------------------------------------------------------
+
+def test_une_image_unie_rend_le_centre(editor_core):
+    assert _focus(editor_core, None) == {"x": 0.5, "y": 0.5}
+
+
+def test_le_point_va_au_sujet(editor_core):
+    point = _focus(editor_core, (60, 10, 12, 12))            # centre (66, 16)
+    assert point["x"] == pytest.approx(66 / 90, abs=0.03)
+    assert point["y"] == pytest.approx(16 / 60, abs=0.03)
+
+
+# ---------------------------------------------------------------------------
+# 3. Cadrage par plateau
+# ---------------------------------------------------------------------------
+
+def test_un_sujet_centre_ne_bouge_rien(editor_core):
+    assert _cadrage(editor_core, srcW=1000) == {"imageScale": 100, "imageOffsetX": 0, "imageOffsetY": 0}
+
+
+def test_le_sujet_est_amene_au_centre_du_cadre(editor_core):
+    # 300 px à droite : le média se décale de 300 px vers la gauche, sans zoom.
+    assert _cadrage(editor_core, rx=300) == {"imageScale": 100, "imageOffsetX": -300, "imageOffsetY": 0}
+
+
+def test_en_cover_le_cadre_reste_couvert_et_le_zoom_borne(editor_core):
+    # Près du bord : il faudrait zoomer à 250 %, le zoom s'arrête au maximum
+    # et le décalage à ce qui garde le cadre couvert.
+    zoom = editor_core("AUTO_FRAME_MAX_ZOOM")
+    cadrage = _cadrage(editor_core, rx=800)
+    assert cadrage["imageScale"] == zoom
+    assert cadrage["imageOffsetX"] == -(2000 * zoom / 100 - 1000) / 2
+
+
+def test_en_blur_le_zoom_reste_a_100(editor_core):
+    assert _cadrage(editor_core, rx=800, fillMode="blur") == {"imageScale": 100, "imageOffsetX": -500, "imageOffsetY": 0}
+
+
+# ---------------------------------------------------------------------------
+# 4. Historique et compositions
+# ---------------------------------------------------------------------------
+
+def test_le_point_choisi_suit_l_historique(editor_core):
+    assert "focusPoint" in editor_core("HISTORY_STATE_KEYS")
+    assert editor_core("sanitizeFocusPoint({ x: 0.25, y: 1, z: 3 })") == {"x": 0.25, "y": 1}
+
+
+@pytest.mark.parametrize("brut", [None, "centre", {"x": 0.5}, {"x": "0.5", "y": 0.5}, {"x": -0.1, "y": 0.5}, {"x": 0.5, "y": 1.2}])
+def test_un_point_mal_forme_rend_la_detection(editor_core, brut):
+    assert editor_core(f"sanitizeFocusPoint({json.dumps(brut)})") is None
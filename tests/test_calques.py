@@ -0,0 +1,94 @@
+"""
+CALQUES — tests de la page.
+
+Le panneau « Calques » liste les objets d'un plateau, du premier plan au
+fond, avec œil, cadenas, ordre d'empilement et sélection. Tout se passe
+dans le navigateur : aucun endpoint n'est concerné. Contrats vérifiés ici
+(editor-core.js évalué par Node, objets de canvas simulés) :
+
+  1. La page porte le panneau et le choix du plateau.
+  2. Masquer un calque le rend inerte sans toucher à `visible`, que les
+     textes minutés et les rendus d'export basculent déjà ; le réafficher
+     rend ce qu'il avait.
+  3. Verrouiller fige position, taille et rotation, et rend ses poignées
+     au déverrouillage.
+  4. Les objets recréés reprennent les drapeaux de leur rôle ; les repères
+     d'accroche ne sont pas des calques.
+
+Le rendu masqué (à l'écran et à l'export), le glisser-déposer et la
+sélection sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+#: Objet de canvas réduit à ce que lisent les calques.
+OBJET = ("({ type: 'textbox', visible: true, evented: true, hasControls: true,"
+         " set(v) { Object.assign(this, v); } })")
+
+
+# ---------------------------------------------------------------------------
+# 1. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_calques(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("layers-group", "layers-pane-group", "layers-list"):
+        assert f'id="{ident}"' in html
+    for cle in ("ig", "tt", "x", "rd"):
+        assert f'data-layerspane="{cle}"' in html
+
+
+# ---------------------------------------------------------------------------
+# 2. Masquage
+# ---------------------------------------------------------------------------
+
+def test_le_masquage_ne_touche_pas_a_visible(editor_core):
+    masque = editor_core(f"const o = {OBJET}; setLayerHidden(o, true); o")
+    assert masque["layerHidden"] is True and masque["evented"] is False
+    assert masque["visible"] is True
+
+
+def test_reafficher_rend_l_objet_tel_qu_il_etait(editor_core):
+    assert editor_core(f"const o = {OBJET}; setLayerHidden(o, true); setLayerHidden(o, false); o.evented") is True
+    # Un objet déjà inerte (le cadre, le fond) le reste.
+    assert editor_core(f"const o = {OBJET}; o.evented = false; "
+                       "setLayerHidden(o, true); setLayerHidden(o, false); o.evented") is False
+
+
+# ---------------------------------------------------------------------------
+# 3. Verrou
+# ---------------------------------------------------------------------------
+
+def test_le_verrou_fige_l_objet_puis_rend_ses_poignees(editor_core):
+    verrouille = editor_core(f"const o = {OBJET}; setLayerLocked(o, true); o")
+    for drapeau in ("lockMovementX", "lockMovementY", "lockScalingX", "lockScalingY", "lockRotation"):
+        assert verrouille[drapeau] is True, drapeau
+    assert verrouille["hasControls"] is False
+    libre = editor_core(f"const o = {OBJET}; setLayerLocked(o, true); setLayerLocked(o, false); o")
+    assert libre["hasControls"] is True and libre["lockMovementX"] is False
+
+
+# ---------------------------------------------------------------------------
+# 4. Synchronisation
+# ---------------------------------------------------------------------------
+
+def test_les_objets_recrees_reprennent_leurs_drapeaux(editor_core):
+    # createElements() remplace le Textbox : le drapeau suit le RÔLE.
+    etat = editor_core(
+        f"const ancien = {OBJET}; const nouveau = {OBJET};"
+        "const p = { textBox: ancien, layerFlags: {},"
+        " canvas: { getObjects: () => [p.textBox] } };"
+        "p.layerFlags[layerKeyOf(p, ancien)] = { hidden: true, locked: true };"
+        "p.textBox = nouveau; applyLayerFlags(p);"
+        "[layerNameOf(p, nouveau), nouveau.layerHidden, nouveau.layerLocked]")
+    assert etat == ["Texte", True, True]
+
+
+def test_les_reperes_d_accroche_ne_sont_pas_des_calques(editor_core):
+    noms = editor_core(
+        "const fond = { type: 'rect' }; const repere = { type: 'line', excludeFromLayers: true };"
+        "const ajoute = { type: 'path', layerName: 'Tracé' };"
+        "const p = { templateBg: fond, canvas: { getObjects: () => [fond, repere, ajoute] } };"
+        "layersOf(p).map(o => layerNameOf(p, o))")
+    # Du premier plan au fond.
+    assert noms == ["Tracé", "Fond du gabarit"]
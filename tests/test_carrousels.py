@@ -0,0 +1,320 @@
+"""
+CARROUSELS INSTAGRAM — tests serveur.
+
+Le mode carrousel de l'éditeur produit une série ordonnée de diapositives
+que le Viewer et le Calendrier rangent en UN enregistrement
+`media_type = "carousel"` : fichiers numérotés + manifeste, à côté du
+fichier de l'enregistrement (app/editor/carousels.py).
+
+Contrats vérifiés ici :
+
+  1. Le module : validation des diapositives (bornes, data URLs, signature
+     du format rangé), écriture numérotée + manifeste, relecture dans
+     l'ordre, suppression complète.
+  2. Viewer : UN meme, `slide_urls` dans la liste, chaque diapositive servie
+     dans l'ordre, 400 SANS écriture pour une série invalide ou une
+     diapositive qui n'est pas un PNG, suppression de tous les fichiers.
+  3. Calendrier : UN post, `slide_count` dans les extendedProps, diapositives
+     servies, 400 pour une diapositive qui n'est pas un JPEG, suppression de
+     tous les fichiers.
+  4. La page de l'éditeur porte le composeur.
+
+Le rendu des diapositives (Fabric.js), leur envoi en un seul enregistrement
+et le téléchargement numéroté sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import base64
+import io
+import json
+from pathlib import Path
+
+import pytest
+from sqlalchemy.exc import OperationalError
+from sqlalchemy.orm import Session
+
+from app.config import CALENDAR_DIR, EDITOR_OUTPUT_DIR
+from app.editor import carousels
+
+MEMES_DIR = EDITOR_OUTPUT_DIR / "memes"
+# Même répertoire que app.calendar.api.CALENDAR_MEDIA_DIR.
+CALENDAR_MEDIA_DIR = CALENDAR_DIR / "media"
+
+# PNG 1×1 transparent.
+TINY_PNG_B64 = (
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA"
+    "60e6kgAAAABJRU5ErkJggg=="
+)
+
+
+# Tête d'un JPEG (SOI + APP0) : le serveur n'en lit que la signature.
+JPEG_HEAD = b"\xff\xd8\xff\xe0"
+
+
+def _diapositive(marque: bytes, mime: str = "image/png") -> str:
+    """Data URL distincte par diapositive : l'ordre se vérifie au contenu."""
+    tete = base64.b64decode(TINY_PNG_B64) if mime == "image/png" else JPEG_HEAD
+    return f"data:{mime};base64," + base64.b64encode(tete + marque).decode()
+
+
+def _fausse_diapositive(mime: str = "image/png") -> str:
+    """Data URL image dont les octets ne sont pas une image."""
+    return f"data:{mime};base64," + base64.b64encode(b"<svg onload=alert(1)>").decode()
+
+
+SLIDES = [_diapositive(b"-1"), _diapositive(b"-2"), _diapositive(b"-3")]
+
+
+def _fichiers(repertoire: Path) -> set[str]:
+    if not repertoire.is_dir():
+        return set()
+    return {p.name for p in repertoire.iterdir() if p.is_file()}
+
+
+@pytest.fixture(autouse=True)
+def _repertoires_propres():
+    """Chaque test part de répertoires vides (et les laisse vides)."""
+    for repertoire in (MEMES_DIR, CALENDAR_MEDIA_DIR):
+        repertoire.mkdir(parents=True, exist_ok=True)
+        for f in repertoire.iterdir():
+            if f.is_file():
+                f.unlink()
+    yield
+    for repertoire in (MEMES_DIR, CALENDAR_MEDIA_DIR):
+        for f in repertoire.iterdir():
+            if f.is_file():
+                f.unlink()
+
+
+def _lire(client, url: str) -> bytes:
+    reponse = client.get(url)
+    try:
+        assert reponse.status_code == 200
+        return reponse.data
+    finally:
+        reponse.close()
+
+
+# ---------------------------------------------------------------------------
+# 1. Module
+# ---------------------------------------------------------------------------
+
+def test_ecrire_relire_supprimer_un_carrousel(tmp_path):
+    contenus = carousels.parse_slides(SLIDES, ".png")
+    premier = carousels.write_carousel(tmp_path, "abc", contenus, ".png")
+
+    assert Path(premier).name == "abc-01.png"
+    assert _fichiers(tmp_path) == {"abc-01.png", "abc-02.png", "abc-03.png", "abc-01.carousel.json"}
+    assert [p.read_bytes() for p in carousels.carousel_slides(premier)] == contenus
+
+    # L'appelant supprime le premier fichier ; le module, tout le reste.
+    carousels.delete_carousel(premier)
+    assert _fichiers(tmp_path) == {"abc-01.png"}
+
+
+def test_un_fichier_ordinaire_n_est_pas_un_carrousel(tmp_path):
+    meme = tmp_path / "abc.png"
+    meme.write_bytes(b"png")
+    assert carousels.carousel_slides(str(meme)) == []
+    carousels.delete_carousel(str(meme))
+    assert _fichiers(tmp_path) == {"abc.png"}
+
+
+def test_un_manifeste_ne_sort_pas_de_son_repertoire(tmp_path):
+    premier = tmp_path / "abc-01.png"
+    carousels.manifest_path(str(premier)).write_text(
+        json.dumps({"slides": ["abc-01.png", "../../etc/passwd"]}), encoding="utf-8")
+    assert carousels.carousel_slides(str(premier)) == [premier, tmp_path / "passwd"]
+
+
+@pytest.mark.parametrize("brut", [
+    None,
+    "pas une liste",
+    SLIDES[:1],                                          # une seule diapositive
+    SLIDES * 7,                                          # 21 diapositives
+    [SLIDES[0], "data:text/html;base64,PGI+"],           # pas une image
+    [SLIDES[0], "data:image/png;base64,%%%"],            # base64 illisible
+    [SLIDES[0], 42],
+    [SLIDES[0], _fausse_diapositive()],                  # pas un PNG
+])
+def test_une_serie_invalide_est_refusee(brut):
+    with pytest.raises(ValueError):
+        carousels.parse_slides(brut, ".png")
+
+
+def test_une_diapositive_porte_la_signature_du_format_range():
+    # Le Viewer range des PNG, le Calendrier des JPEG : servis sous ce type.
+    jpegs = [_diapositive(b"-1", "image/jpeg"), _diapositive(b"-2", "image/jpeg")]
+    assert carousels.parse_slides(jpegs, ".jpg")[0].startswith(JPEG_HEAD)
+    with pytest.raises(ValueError, match="diapositive 1 : image JPG attendue"):
+        carousels.parse_slides(SLIDES, ".jpg")
+    with pytest.raises(ValueError, match="diapositive 1 : image PNG attendue"):
+        carousels.parse_slides(jpegs, ".png")
+
+
+# ---------------------------------------------------------------------------
+# 2. Viewer
+# ---------------------------------------------------------------------------
+
+def _sauver(client, slides=SLIDES):
+    return client.post("/api/viewer/memes", json={
+        "title": "Carrousel — Instagram",
+        "caption": "trois diapositives",
+        "template_format": "portrait",
+        "media_type": "carousel",
+        "slides": slides,
+    })
+
+
+def test_le_carrousel_est_un_seul_meme(client):
+    reponse = _sauver(client)
+    assert reponse.status_code == 201
+    meme_id = reponse.get_json()["id"]
+
+    items = client.get("/api/viewer/memes").get_json()["items"]
+    assert len(items) == 1
+    assert items[0]["media_type"] == "carousel"
+    assert items[0]["slide_urls"] == [f"/api/viewer/memes/{meme_id}/slides/{n}" for n in (1, 2, 3)]
+
+    # Chaque diapositive dans l'ordre ; la couverture est la première.
+    contenus = [_lire(client, url) for url in items[0]["slide_urls"]]
+    assert contenus == carousels.parse_slides(SLIDES, ".png")
+    assert _lire(client, f"/api/viewer/memes/{meme_id}/file") == contenus[0]
+
+
+def test_un_meme_simple_n_a_pas_de_diapositives(client):
+    client.post("/api/viewer/memes", json={
+        "image_data": SLIDES[0], "media_type": "image", "template_format": "portrait",
+    })
+    items = client.get("/api/viewer/memes").get_json()["items"]
+    assert items[0]["slide_urls"] == []
+    assert client.get(f"/api/viewer/memes/{items[0]['id']}/slides/1").status_code == 404
+
+
+def test_une_diapositive_hors_serie_repond_404(client):
+    meme_id = _sauver(client).get_json()["id"]
+    assert client.get(f"/api/viewer/memes/{meme_id}/slides/0").status_code == 404
+    assert client.get(f"/api/viewer/memes/{meme_id}/slides/4").status_code == 404
+    assert client.get("/api/viewer/memes/999/slides/1").status_code == 404
+
+
+@pytest.mark.parametrize("slides", [SLIDES[:1], [SLIDES[0], _fausse_diapositive()]],
+                         ids=["une-seule", "pas-un-png"])
+def test_une_serie_invalide_repond_400_sans_rien_ecrire(client, slides):
+    reponse = _sauver(client, slides=slides)
+    assert reponse.status_code == 400
+    assert _fichiers(MEMES_DIR) == set()
+    assert client.get("/api/viewer/memes").get_json()["items"] == []
+
+
+def test_une_serie_refusee_ne_renvoie_pas_le_detail(client):
+    reponse = _sauver(client, slides=[SLIDES[0], _fausse_diapositive()])
+    assert reponse.get_json() == {"error": "Diapositives invalides"}
+
+
+def test_supprimer_le_carrousel_emporte_toutes_les_diapositives(client):
+    meme_id = _sauver(client).get_json()["id"]
+    assert len(_fichiers(MEMES_DIR)) == 4
+    assert client.delete(f"/api/viewer/memes/{meme_id}").status_code == 200
+    assert _fichiers(MEMES_DIR) == set()
+
+
+# ---------------------------------------------------------------------------
+# 3. Calendrier
+# ---------------------------------------------------------------------------
+
+def _planifier(client, slides=None):
+    jpegs = slides or [_diapositive(b"-1", "image/jpeg"), _diapositive(b"-2", "image/jpeg")]
+    return client.post("/api/calendar/posts", json={
+        "title": "Carrousel — Instagram",
+        "caption": "deux diapositives",
+        "media_type": "carousel",
+        "template_format": "portrait",
+        "slides": jpegs,
+        "thumbnail": jpegs[0],
+        "status": "scheduled",
+        "scheduled_at": 1_900_000_000,
+        "platforms": json.dumps(["instagram"]),
+    })
+
+
+def test_le_carrousel_est_un_seul_post(client):
+    reponse = _planifier(client)
+    assert reponse.status_code == 201
+    post_id = reponse.get_json()["id"]
+
+    events = client.get("/api/calendar/posts").get_json()
+    assert len(events) == 1
+    props = events[0]["extendedProps"]
+    assert props["media_type"] == "carousel"
+    assert props["slide_count"] == 2
+    assert props["platforms"] == ["instagram"]
+
+    deuxieme = _lire(client, f"/api/calendar/posts/{post_id}/slides/2")
+    assert deuxieme.endswith(b"-2")
+    # Le média du post est la première diapositive.
+    assert _lire(client, f"/api/calendar/posts/{post_id}/media").endswith(b"-1")
+    assert client.get(f"/api/calendar/posts/{post_id}/slides/3").status_code == 404
+
+
+@pytest.mark.parametrize("slides", [
+    [_diapositive(b"-1", "image/jpeg")],
+    [_diapositive(b"-1", "image/jpeg"), _fausse_diapositive("image/jpeg")],
+    SLIDES[:2],                                          # PNG rangés en .jpg
+], ids=["une-seule", "pas-un-jpeg", "png"])
+def test_un_carrousel_invalide_n_est_pas_planifie(client, slides):
+    reponse = _planifier(client, slides=slides)
+    assert reponse.status_code == 400
+    assert client.get("/api/calendar/posts").get_json() == []
+    assert _fichiers(CALENDAR_MEDIA_DIR) == set()
+
+
+def test_un_carrousel_refuse_ne_renvoie_pas_le_detail(client):
+    reponse = _planifier(client, slides=SLIDES[:2])
+    assert reponse.get_json() == {"error": "Diapositives invalides"}
+
+
+def test_un_carrousel_multipart_est_refuse(client):
+    jpegs = json.dumps([_diapositive(b"-1", "image/jpeg"), _diapositive(b"-2", "image/jpeg")])
+    reponse = client.post("/api/calendar/posts", data={
+        "media_type": "carousel",
+        "slides": jpegs,
+        "media": (io.BytesIO(JPEG_HEAD + b"-0"), "media.jpg"),
+    }, content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json() == {"error": "Carrousel : corps JSON attendu"}
+    assert client.get("/api/calendar/posts").get_json() == []
+    assert _fichiers(CALENDAR_MEDIA_DIR) == set()
+
+
+def test_un_enregistrement_echoue_n_abandonne_pas_la_serie(client, monkeypatch):
+    def _refus(self):
+        raise OperationalError("INSERT", {}, Exception("disque plein"))
+
+    monkeypatch.setattr(Session, "commit", _refus)
+    reponse = _planifier(client)
+    assert reponse.status_code == 500
+    assert reponse.get_json() == {"error": "Erreur serveur"}
+    monkeypatch.undo()
+
+    assert client.get("/api/calendar/posts").get_json() == []
+    assert _fichiers(CALENDAR_MEDIA_DIR) == set()
+
+
+def test_supprimer_le_post_emporte_toutes_les_diapositives(client):
+    post_id = _planifier(client).get_json()["id"]
+    # 2 diapositives + manifeste + vignette.
+    assert len(_fichiers(CALENDAR_MEDIA_DIR)) == 4
+    assert client.delete(f"/api/calendar/posts/{post_id}").status_code == 200
+    assert _fichiers(CALENDAR_MEDIA_DIR) == set()
+
+
+# ---------------------------------------------------------------------------
+# 4. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_le_composeur(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("carousel-toggle", "carousel-strip", "carousel-add-btn"):
+        assert f'id="{ident}"' in html
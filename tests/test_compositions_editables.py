@@ -0,0 +1,240 @@
+"""
+COMPOSITIONS ÉDITABLES — tests serveur.
+
+« Sauvegarder dans Viewer » joint au meme aplati le document de composition
+de l'éditeur et une copie du média source, rangés À CÔTÉ du fichier du meme
+(app/editor/compositions.py). Le Viewer propose alors « Rouvrir dans
+l'éditeur », qui relit les deux.
+
+Contrats vérifiés ici :
+
+  1. Le module de fichiers annexes : noms dérivés du meme, validation du
+     document (forme, taille), décodage de la data URL source.
+  2. POST /api/viewer/memes avec composition : document + source écrits,
+     `has_composition` dans la liste, document et source relus par les deux
+     nouveaux endpoints — et un document invalide répond 400 SANS écrire.
+  3. DELETE emporte les annexes : aucun fichier orphelin.
+  4. La sauvegarde vidéo garde la vidéo source (l'upload, lui, est nettoyé).
+
+La restauration des plateaux (Fabric.js) est vérifiée au navigateur.
+"""
+
+from __future__ import annotations
+
+import base64
+import io
+import json
+from pathlib import Path
+
+import pytest
+
+from app.config import EDITOR_OUTPUT_DIR
+from app.editor import compositions
+
+MEMES_DIR = EDITOR_OUTPUT_DIR / "memes"
+
+# PNG 1×1 transparent — sert de meme ET de média source factices.
+TINY_PNG_B64 = (
+    "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA"
+    "60e6kgAAAABJRU5ErkJggg=="
+)
+TINY_PNG_DATA_URL = "data:image/png;base64," + TINY_PNG_B64
+
+COMPOSITION = {
+    "version": 1,
+    "mediaType": "image",
+    "sourceMediaId": None,
+    "templateKey": "portrait",
+    "state": {"currentTemplate": "portrait", "text": "typo corrigée", "rotation": 90},
+    "panes": {
+        "ig": {"imageScale": 120, "imageOffsetX": -8, "imageOffsetY": 14, "frameHeightPercent": 90},
+        "tt": {"imageScale": 100, "imageOffsetX": 0, "imageOffsetY": 0, "frameHeightPercent": 100},
+    },
+    "trim": None,
+}
+
+
+def _fichiers_memes() -> set[str]:
+    if not MEMES_DIR.is_dir():
+        return set()
+    return {p.name for p in MEMES_DIR.iterdir() if p.is_file()}
+
+
+@pytest.fixture(autouse=True)
+def _memes_dir_propre():
+    """Chaque test part d'un répertoire de memes vide (et le laisse vide)."""
+    MEMES_DIR.mkdir(parents=True, exist_ok=True)
+    for f in MEMES_DIR.iterdir():
+        if f.is_file():
+            f.unlink()
+    yield
+    for f in MEMES_DIR.iterdir():
+        if f.is_file():
+            f.unlink()
+
+
+def _sauver(client, **extra):
+    corps = {
+        "image_data": TINY_PNG_DATA_URL,
+        "title": "Meme — Instagram",
+        "caption": "typo corrigée",
+        "template_format": "portrait",
+        "media_type": "image",
+    }
+    corps.update(extra)
+    return client.post("/api/viewer/memes", json=corps)
+
+
+# ---------------------------------------------------------------------------
+# 1. Fichiers annexes
+# ---------------------------------------------------------------------------
+
+def test_les_annexes_portent_le_nom_du_meme():
+    meme = "/x/memes/abc-instagram.png"
+    assert compositions.composition_path(meme).name == "abc-instagram.composition.json"
+
+
+def test_un_document_chaine_est_relu_en_objet():
+    assert compositions.parse_composition(json.dumps(COMPOSITION)) == COMPOSITION
+    assert compositions.parse_composition(None) is None
+    assert compositions.parse_composition("") is None
+
+
+@pytest.mark.parametrize("brut", ["{pas du json", "[1, 2]", json.dumps("texte")])
+def test_un_document_invalide_est_refuse(brut):
+    with pytest.raises(ValueError):
+        compositions.parse_composition(brut)
+
+
+def test_un_document_trop_gros_est_refuse():
+    enorme = {"state": {"text": "x" * (compositions.COMPOSITION_MAX_BYTES + 1)}}
+    with pytest.raises(ValueError):
+        compositions.parse_composition(enorme)
+
+
+def test_la_data_url_source_est_decodee():
+    contenu, ext = compositions.decode_source_data_url(TINY_PNG_DATA_URL)
+    assert ext == ".png"
+    assert contenu == base64.b64decode(TINY_PNG_B64)
+    # Type hors liste ou contenu illisible : pas de copie, pas d'erreur.
+    assert compositions.decode_source_data_url("data:text/html;base64,PGI+") is None
+    assert compositions.decode_source_data_url("data:image/png;base64,%%%") is None
+
+
+def test_ecrire_puis_supprimer_ne_laisse_rien(tmp_path):
+    meme = tmp_path / "abc.png"
+    meme.write_bytes(b"png")
+    compositions.write_composition(str(meme), COMPOSITION,
+                                   source_bytes=b"source", source_ext=".jpg")
+    assert compositions.read_composition(str(meme)) == COMPOSITION
+    assert compositions.source_path(str(meme)).name == "abc.source.jpg"
+
+    compositions.delete_composition(str(meme))
+    assert {p.name for p in tmp_path.iterdir()} == {"abc.png"}
+
+
+def test_une_extension_source_hors_liste_n_est_pas_copiee(tmp_path):
+    meme = tmp_path / "abc.png"
+    compositions.write_composition(str(meme), COMPOSITION,
+                                   source_bytes=b"<script>", source_ext=".html")
+    assert compositions.source_path(str(meme)) is None
+    assert compositions.read_composition(str(meme)) == COMPOSITION
+
+
+# ---------------------------------------------------------------------------
+# 2. Sauvegarde image + relecture par le Viewer
+# ---------------------------------------------------------------------------
+
+def test_la_composition_est_rangee_a_cote_du_meme(client):
+    reponse = _sauver(client, composition=COMPOSITION, source_data=TINY_PNG_DATA_URL)
+    assert reponse.status_code == 201
+    meme_id = reponse.get_json()["id"]
+
+    noms = _fichiers_memes()
+    pngs = [n for n in noms if n.endswith(".png") and ".source" not in n]
+    assert len(pngs) == 1
+    base = pngs[0][: -len(".png")]
+    assert noms == {f"{base}.png", f"{base}.composition.json", f"{base}.source.png"}
+
+    items = client.get("/api/viewer/memes").get_json()["items"]
+    assert [m["has_composition"] for m in items if m["id"] == meme_id] == [True]
+
+
+def test_la_composition_et_la_source_sont_relues(client):
+    meme_id = _sauver(client, composition=COMPOSITION,
+                      source_data=TINY_PNG_DATA_URL).get_json()["id"]
+
+    reponse = client.get(f"/api/viewer/memes/{meme_id}/composition")
+    assert reponse.status_code == 200
+    data = reponse.get_json()
+    assert data["composition"] == COMPOSITION
+    assert data["source_url"] == f"/api/viewer/memes/{meme_id}/source"
+
+    source = client.get(data["source_url"])
+    try:
+        assert source.status_code == 200
+        assert source.mimetype == "image/png"
+        assert source.data == base64.b64decode(TINY_PNG_B64)
+    finally:
+        source.close()
+
+
+def test_un_meme_sans_composition_ne_se_rouvre_pas(client):
+    meme_id = _sauver(client).get_json()["id"]
+    assert client.get(f"/api/viewer/memes/{meme_id}/composition").status_code == 404
+    items = client.get("/api/viewer/memes").get_json()["items"]
+    assert [m["has_composition"] for m in items if m["id"] == meme_id] == [False]
+
+
+def test_une_composition_invalide_repond_400_sans_rien_ecrire(client):
+    reponse = _sauver(client, composition=["pas", "un", "objet"])
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"] == "Composition invalide"
+    assert _fichiers_memes() == set()
+
+
+# ---------------------------------------------------------------------------
+# 3. Suppression
+# ---------------------------------------------------------------------------
+
+def test_supprimer_le_meme_emporte_ses_annexes(client):
+    meme_id = _sauver(client, composition=COMPOSITION,
+                      source_data=TINY_PNG_DATA_URL).get_json()["id"]
+    assert client.delete(f"/api/viewer/memes/{meme_id}").status_code == 200
+    assert _fichiers_memes() == set()
+
+
+# ---------------------------------------------------------------------------
+# 4. Sauvegarde vidéo : la source survit au nettoyage des uploads
+# ---------------------------------------------------------------------------
+
+def test_la_video_source_est_conservee_avec_la_composition(client, monkeypatch):
+    def _fake(video_path, template_path, output_path, **kwargs):
+        Path(output_path).write_bytes(b"\x00\x00\x00\x18ftypmp42-fake")
+        return output_path
+
+    monkeypatch.setattr("app.editor.api.process_video", _fake)
+
+    document = dict(COMPOSITION, mediaType="video", trim={"start": 1.5, "end": 7.5})
+    reponse = client.post(
+        "/api/editor/save-video-meme",
+        data={
+            "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+            "template": (io.BytesIO(b"\x89PNG\r\n\x1a\nfake"), "template.png"),
+            "params": "{}",
+            "platform": "tiktok",
+            "composition": json.dumps(document),
+        },
+        content_type="multipart/form-data",
+    )
+    assert reponse.status_code == 201
+    meme_id = reponse.get_json()["id"]
+
+    data = client.get(f"/api/viewer/memes/{meme_id}/composition").get_json()
+    assert data["composition"]["trim"] == {"start": 1.5, "end": 7.5}
+    source = client.get(data["source_url"])
+    try:
+        assert source.data == b"fake-input-video"
+    finally:
+        source.close()
+    assert any(n.endswith("-tiktok.source.mp4") for n in _fichiers_memes())
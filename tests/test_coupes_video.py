@@ -0,0 +1,176 @@
+"""
+COUPES VIDÉO — tests serveur.
+
+Dans la coupe [trimStart, trimEnd], l'éditeur peut retirer des passages
+morts. Il envoie alors les passages GARDÉS (params.segments, secondes
+source) aux deux endpoints vidéo ; FFmpeg les met bout à bout
+(segment_filters dans app/editor/processing.py). Toutes les autres durées
+de l'export — fenêtres minutées, sous-titres, fondus — sont en secondes du
+rendu, passages retirés exclus.
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : chaque passage recalé à 0 puis concaténé, avec ou sans
+     piste son.
+  2. Les deux endpoints transmettent les passages ; sans coupe, rien ne
+     change.
+  3. Les durées se mesurent sur le rendu : une fenêtre minutée au-delà des
+     passages gardés est refusée.
+  4. Des passages hors de la coupe, chevauchants ou trop nombreux
+     répondent 400 sans lancer FFmpeg.
+  5. La page de l'éditeur porte les coupes ; les passages de l'éditeur
+     (ffmpegParamsOf d'editor-core.js, évalué par Node) arrivent à FFmpeg
+     et les coupes suivent l'historique.
+
+Le calcul des passages gardés et l'aperçu qui saute les passages retirés
+sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+
+import pytest
+
+from app.editor.processing import segment_filters
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+#: Coupe 2 → 12 s, passage 5 → 9 retiré : 3 s + 3 s gardées.
+PASSAGES = [{"start": 2.0, "end": 5.0}, {"start": 9.0, "end": 12.0}]
+
+
+def _formulaire(segments=PASSAGES, **params):
+    return {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 2.0, "trimEnd": 12.0, "segments": segments, **params}),
+        "platform": "instagram",
+    }
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    """process_video simulé : relève les passages reçus."""
+    return make_faux_ffmpeg(lambda appel: appel.get("segments"))
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_les_passages_sont_mis_bout_a_bout():
+    assert segment_filters([(0.0, 3.0), (7.0, 10.0)], with_audio=True) == [
+        "[0:v]trim=start=0.000:end=3.000,setpts=PTS-STARTPTS[cut0v]",
+        "[0:a]atrim=start=0.000:end=3.000,asetpts=PTS-STARTPTS[cut0a]",
+        "[0:v]trim=start=7.000:end=10.000,setpts=PTS-STARTPTS[cut1v]",
+        "[0:a]atrim=start=7.000:end=10.000,asetpts=PTS-STARTPTS[cut1a]",
+        "[cut0v][cut0a][cut1v][cut1a]concat=n=2:v=1:a=1[cut_v][cut_a]",
+    ]
+
+
+def test_une_video_muette_est_coupee_sans_son():
+    chaines = segment_filters([(0.0, 1.5), (2.0, 4.0)], with_audio=False)
+    assert all("atrim" not in c for c in chaines)
+    assert chaines[-1] == "[cut0v][cut1v]concat=n=2:v=1:a=0[cut_v]"
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission par les deux endpoints
+# ---------------------------------------------------------------------------
+
+def test_la_sauvegarde_transmet_les_passages(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [[(2.0, 5.0), (9.0, 12.0)]]
+    assert editor_uploads() == []
+
+
+def test_le_telechargement_transmet_les_passages(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/process-video", data=_formulaire(),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+    finally:
+        reponse.close()
+    assert faux_ffmpeg == [[(2.0, 5.0), (9.0, 12.0)]]
+
+
+def test_sans_coupe_rien_ne_change(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(segments=None),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [None]
+
+
+# ---------------------------------------------------------------------------
+# 3. Durées mesurées sur le rendu
+# ---------------------------------------------------------------------------
+
+def test_les_fondus_se_mesurent_sur_le_rendu(client, faux_ffmpeg):
+    # 8 s de fondus : dans la coupe de 10 s, pas dans les 6 s gardées.
+    reponse = client.post("/api/editor/save-video-meme",
+                          data=_formulaire(audio={"fadeIn": 4, "fadeOut": 4}),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert faux_ffmpeg == []
+
+
+def test_une_fenetre_minutee_au_dela_du_rendu_est_refusee(client, faux_ffmpeg):
+    fenetre = [{"start": 5.0, "end": 8.0}]
+    reponse = client.post("/api/editor/save-video-meme",
+                          data={**_formulaire(textSegments=fenetre),
+                                "segment_0": (io.BytesIO(FAKE_PNG), "segment_0.png")},
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert faux_ffmpeg == []
+
+
+# ---------------------------------------------------------------------------
+# 4. Validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("segments", [
+    [{"start": 1.0, "end": 5.0}],                                   # avant la coupe
+    [{"start": 9.0, "end": 13.0}],                                  # après la coupe
+    [{"start": 2.0, "end": 6.0}, {"start": 5.0, "end": 8.0}],       # chevauchants
+    [{"start": 3.0, "end": 3.05}],                                  # trop court
+    [{"start": "début", "end": 4.0}],
+    [{"start": 2 + n * 0.4, "end": 2.3 + n * 0.4} for n in range(21)],  # 21 passages
+    "pas une liste",
+])
+def test_des_passages_invalides_repondent_400(client, faux_ffmpeg, segments):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(segments=segments),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+# ---------------------------------------------------------------------------
+# 5. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_coupes(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("timeline-gaps", "btn-cut"):
+        assert f'id="{ident}"' in html
+
+
+def test_l_export_de_l_editeur_transmet_les_passages(client, faux_ffmpeg, editor_core):
+    params = editor_core(f"ffmpegParamsOf({{ trimStart: 2, trimEnd: 12, segments: {json.dumps(PASSAGES)} }})")
+    formulaire = {**_formulaire(), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg == [[(2.0, 5.0), (9.0, 12.0)]]
+
+
+def test_les_coupes_suivent_l_historique(editor_core):
+    assert "cutGaps" in editor_core("HISTORY_STATE_KEYS")
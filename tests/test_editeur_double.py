@@ -144,6 +144,29 @@ def test_la_page_editeur_porte_les_deux_plateaux(client):
     assert 'id="schedule-check-tt"' in html
 
 
+def test_la_page_editeur_porte_les_plateaux_x_et_reddit(client):
+    """Plateaux supplémentaires : même balisage par clé, éteints au départ."""
+    html = client.get("/editor").data.decode("utf-8")
+    for cle in ("x", "rd"):
+        assert f'id="meme-canvas-{cle}"' in html
+        assert f'id="toggle-{cle}"' in html
+        assert f'id="schedule-check-{cle}"' in html
+        assert f'data-stage="{cle}"' in html
+    assert 'class="canvas-stage is-off" id="stage-x"' in html
+    assert 'class="canvas-stage is-off" id="stage-rd"' in html
+
+
+def test_la_page_editeur_porte_l_historique(client, editor_core):
+    """Annuler / Rétablir : deux boutons, désactivés tant que la pile est vide."""
+    html = client.get("/editor").data.decode("utf-8")
+    assert 'id="history-undo"' in html
+    assert 'id="history-redo"' in html
+    # Le cadrage est propre à chaque plateau : il est retenu par plateau.
+    cadrage = {"imageScale", "imageOffsetX", "imageOffsetY", "frameHeightPercent", "fillMode"}
+    assert cadrage <= set(editor_core("HISTORY_PANE_KEYS"))
+    assert not cadrage & set(editor_core("HISTORY_STATE_KEYS"))
+
+
 # ---------------------------------------------------------------------------
 # 3. Planification double via l'API calendrier existante
 # ---------------------------------------------------------------------------
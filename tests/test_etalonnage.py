@@ -0,0 +1,259 @@
+"""
+ÉTALONNAGE — tests serveur et de la page.
+
+Teinte, chaleur, netteté, vignette, grain et LUT 3D (.cube) s'ajoutent à
+la luminosité, au contraste et à la saturation : un seul étalonnage pour
+tous les plateaux, filtres Fabric à l'écran et à l'export image. Pour une
+vidéo, le client envoie params.grade (et le fichier `lut`) aux deux
+endpoints ; FFmpeg rejoue la même chaîne (grade_filters dans
+app/editor/processing.py).
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : une chaîne, dans l'ordre de gradeFilters() — niveaux,
+     matrices de couleur, LUT, netteté, grain, vignette — APRÈS le
+     floutage et AVANT le cadrage. Sans réglage, la commande ne change pas.
+  2. Les deux endpoints transmettent l'étalonnage et la LUT ; un réglage
+     hors bornes ou une LUT incomplète répond 400 sans rien laisser.
+  3. La page porte le bloc ; l'éditeur (editor-core.js évalué par Node)
+     partage les bornes, les constantes et les matrices du serveur, lit
+     les LUT comme lui, et ses paramètres d'export arrivent à FFmpeg.
+  4. L'historique suit chaque réglage.
+
+Le rendu des filtres et de la LUT (Fabric.js) est vérifié au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+import re
+from pathlib import Path
+
+import pytest
+
+from app.editor import processing
+from app.editor.api import GRADE_RANGES, LUT_SIZE_MAX, _lut_size
+from app.editor.processing import grade_filters, grade_matrices
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+REGLAGES = {"brightness": 10, "hue": -30, "warmth": 40, "lut": True}
+
+
+def _cube(cote=2, couleurs=None) -> bytes:
+    """LUT identité de `cote`³ couleurs (ou les `couleurs` premières)."""
+    lignes = ["TITLE \"Identite\"", f"LUT_3D_SIZE {cote}"]
+    triplets = [(r / (cote - 1), g / (cote - 1), b / (cote - 1))
+                for b in range(cote) for g in range(cote) for r in range(cote)]
+    if couleurs is not None:
+        triplets = triplets[:couleurs]
+    lignes += [f"{r:.6f} {g:.6f} {b:.6f}" for r, g, b in triplets]
+    return ("\n".join(lignes) + "\n").encode("utf-8")
+
+
+def _formulaire(grade=REGLAGES, lut=_cube(), nom="look.cube"):
+    donnees = {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": 7.5,
+                              "templateWidth": 1080, "templateHeight": 1350,
+                              "grade": grade}),
+        "platform": "instagram",
+    }
+    if lut is not None:
+        donnees["lut"] = (io.BytesIO(lut), nom)
+    return donnees
+
+
+def _releve(appel):
+    """Étalonnage reçu et contenu de la LUT, lue pendant le rendu."""
+    lut = appel.get("lut_path")
+    return appel.get("grade"), Path(lut).read_bytes() if lut else None
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    return make_faux_ffmpeg(_releve)
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_la_chaine_suit_l_ordre_de_l_editeur():
+    [chaine] = grade_filters("0:v", "graded", {
+        "brightness": 20, "contrast": 10, "warmth": 100, "sharpen": 50,
+        "vignette": 50, "grain": 50,
+    }, "/tmp/look.cube")
+    assert chaine.startswith("[0:v]lutrgb=r='clip(1.2154*(clip(val+51,0,255)-128)+128,0,255)'")
+    assert "colorchannelmixer=rr=1.2500:rg=0.0000:rb=0.0000" in chaine
+    assert "bb=0.7500" in chaine
+    assert "lut3d=file='/tmp/look.cube':interp=trilinear" in chaine
+    assert "format=gbrp,convolution=0m='0 -25 0 -25 200 -25 0 -25 0':0rdiv=0.01" in chaine
+    assert "noise=c0s=30:c0f=t+u" in chaine
+    assert chaine.endswith("vignette=angle=0.7854[graded]")
+    positions = [chaine.index(f) for f in ("lutrgb", "colorchannelmixer", "lut3d",
+                                           "convolution", "noise", "vignette")]
+    assert positions == sorted(positions)
+
+
+def test_la_nettete_travaille_en_rgb_comme_l_editeur():
+    [chaine] = grade_filters("0:v", "graded", {"sharpen": 50})
+    assert chaine.startswith("[0:v]format=gbrp,convolution=")
+    # Même noyau sur les trois plans : R, G et B, pas Y, U et V.
+    assert all(f"{plan}m='0 -25 0 -25 200 -25 0 -25 0'" in chaine for plan in range(3))
+
+
+def test_sans_reglage_aucune_chaine():
+    assert grade_filters("0:v", "graded", {}) == []
+    assert grade_matrices(0, 0, 0) == []
+
+
+@pytest.mark.parametrize("teinte, saturation, chaleur", [
+    (180, 100, 100), (-180, -100, -100), (90, 0, 0), (-45, 100, -100),
+])
+def test_les_coefficients_restent_dans_les_bornes(teinte, saturation, chaleur):
+    for matrice in grade_matrices(teinte, saturation, chaleur):
+        assert all(-2 <= c <= 2 for ligne in matrice for c in ligne)
+        # Un gris reste un gris : chaque ligne somme à 1, chaleur exceptée.
+        if matrice[0][1] or matrice[0][2]:
+            assert all(abs(sum(ligne) - 1) < 1e-9 for ligne in matrice)
+
+
+def test_l_etalonnage_suit_le_floutage_et_precede_le_cadrage(graphe_ffmpeg):
+    graphe = graphe_ffmpeg(grade={"saturation": -100},
+                     redactions=[("blur", 0, 0, 0.5, 0.5, 20)])
+    assert "[redacted]colorchannelmixer=" in graphe
+    assert "[graded]scale=w=1080:h=1920" in graphe
+
+
+def test_sans_etalonnage_la_commande_ne_change_pas(graphe_ffmpeg):
+    graphe = graphe_ffmpeg()
+    assert "graded" not in graphe
+    assert "[0:v]scale=w=1080:h=1920" in graphe
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission et validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("endpoint", ["save-video-meme", "process-video"])
+def test_les_deux_endpoints_transmettent_l_etalonnage(client, faux_ffmpeg, endpoint):
+    reponse = client.post(f"/api/editor/{endpoint}", data=_formulaire(),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code in (200, 201)
+    finally:
+        reponse.close()
+    assert faux_ffmpeg == [({"brightness": 10.0, "hue": -30.0, "warmth": 40.0}, _cube())]
+
+
+@pytest.mark.parametrize("grade", [None, {}, {"brightness": 0, "lut": False}])
+def test_sans_etalonnage_rien_n_est_transmis(client, faux_ffmpeg, grade):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(grade, lut=None),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [(None, None)]
+
+
+@pytest.mark.parametrize("grade, lut, nom", [
+    ("chaud", None, "look.cube"),
+    ({"hue": 200}, None, "look.cube"),
+    ({"grain": -5}, None, "look.cube"),
+    ({"warmth": "40"}, None, "look.cube"),
+    ({"sharpen": True}, None, "look.cube"),
+    ({"lut": True}, None, "look.cube"),                             # LUT annoncée, absente
+    ({"lut": True}, _cube(), "look.png"),
+    ({"lut": True}, _cube(couleurs=7), "look.cube"),                # cube incomplet
+    ({"lut": True}, _cube(LUT_SIZE_MAX + 1, couleurs=8), "look.cube"),
+    ({"lut": True}, b"LUT_1D_SIZE 2\n0 0 0\n1 1 1\n", "look.cube"),
+    ({"lut": True}, b"\xff\xfe\x00", "look.cube"),
+], ids=["chaine", "teinte", "grain", "texte", "booleen", "lut-absente", "extension",
+        "incomplete", "trop-grande", "lut-1d", "binaire"])
+def test_un_etalonnage_invalide_repond_400(client, faux_ffmpeg, grade, lut, nom):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(grade, lut, nom),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+# ---------------------------------------------------------------------------
+# 3. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_l_etalonnage(client):
+    html = client.get("/editor").data.decode("utf-8")
+    section = html[html.index('id="grade-group"'):html.index('id="output-tools"')]
+    for ident in ("grade-reset", "look-list", "look-name", "look-save",
+                  "lut-input", "lut-load", "lut-remove", "lut-readout"):
+        assert f'id="{ident}"' in section
+    # Chaque curseur a les bornes que le serveur accepte.
+    for cle, (minimum, maximum) in GRADE_RANGES.items():
+        curseur = re.search(rf'<input[^>]*id="adj-{cle}"[^>]*>', section).group(0)
+        assert f'min="{minimum}"' in curseur and f'max="{maximum}"' in curseur, cle
+
+
+def test_l_editeur_partage_les_constantes_du_serveur(editor_core):
+    assert editor_core("GRADE_RANGES") == {cle: list(bornes) for cle, bornes in GRADE_RANGES.items()}
+    assert editor_core("GRADE_WARMTH_GAIN") == processing.GRADE_WARMTH_GAIN
+    assert editor_core("GRADE_GRAIN_AMPLITUDE") == processing.GRADE_GRAIN_AMPLITUDE
+    assert editor_core("GRADE_LUMA") == list(processing.GRADE_LUMA)
+    assert editor_core("LUT_SIZE_MAX") == LUT_SIZE_MAX
+
+
+@pytest.mark.parametrize("teinte, saturation, chaleur", [
+    (0, 0, 0), (120, 0, 0), (-45, 60, -100), (180, -100, 100),
+])
+def test_les_matrices_de_l_editeur_sont_celles_du_serveur(editor_core, teinte, saturation, chaleur):
+    ecran = editor_core(f"gradeMatrices({{ hue: {teinte}, saturation: {saturation}, warmth: {chaleur} }})")
+    serveur = grade_matrices(teinte, saturation, chaleur)
+    assert len(ecran) == len(serveur)
+    for matrice_ecran, matrice_serveur in zip(ecran, serveur):
+        for ligne_ecran, ligne_serveur in zip(matrice_ecran, matrice_serveur):
+            assert ligne_ecran == pytest.approx(ligne_serveur, abs=1e-9)
+
+
+def test_les_reglages_relus_sont_bornes_et_entiers(editor_core):
+    relus = editor_core("sanitizeGrade({ hue: 400, grain: -5, warmth: 12.6, sharpen: '50', autre: 3 })")
+    assert relus == {cle: 0 for cle in GRADE_RANGES} | {"hue": 180, "warmth": 13}
+
+
+@pytest.mark.parametrize("lut", [
+    _cube(), _cube(3), _cube(couleurs=7), _cube(LUT_SIZE_MAX + 1, couleurs=8),
+    b"LUT_1D_SIZE 2\n0 0 0\n1 1 1\n",
+], ids=["identite", "cote-3", "incomplete", "trop-grande", "lut-1d"])
+def test_l_editeur_lit_les_lut_comme_le_serveur(editor_core, lut):
+    try:
+        _lut_size(lut)
+        acceptee = True
+    except ValueError:
+        acceptee = False
+    lue = editor_core(f"try {{ parseCubeLut({json.dumps(lut.decode())}).size }} catch (e) {{ null }}")
+    assert (lue is not None) == acceptee
+
+
+def test_l_export_video_joint_l_etalonnage(client, faux_ffmpeg, editor_core):
+    params = editor_core(
+        "ffmpegParamsOf({ trimStart: 1.5, trimEnd: 7.5, templateWidth: 1080, templateHeight: 1350,"
+        " grade: gradeExportOf(sanitizeGrade({ brightness: 10, hue: -30, warmth: 40 }), true) })")
+    formulaire = {**_formulaire(), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg == [({"brightness": 10.0, "hue": -30.0, "warmth": 40.0}, _cube())]
+    # Sans réglage ni LUT, rien n'est joint.
+    assert editor_core("gradeExportOf(sanitizeGrade({}), false)") is None
+
+
+# ---------------------------------------------------------------------------
+# 4. Historique
+# ---------------------------------------------------------------------------
+
+def test_l_etalonnage_suit_l_historique(editor_core):
+    assert set(GRADE_RANGES) | {"lut"} <= set(editor_core("HISTORY_STATE_KEYS"))
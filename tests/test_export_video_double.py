@@ -186,6 +186,20 @@ def test_le_suffixe_tiktok_est_applique(client, db_session, faux_ffmpeg):
     assert meme.template_format == "story"
 
 
+@pytest.mark.parametrize("plateforme, template_format", [("twitter", "landscape"), ("reddit", "square")])
+def test_les_plateaux_x_et_reddit_ont_leur_suffixe(client, db_session, faux_ffmpeg,
+                                                   plateforme, template_format):
+    reponse = client.post(
+        "/api/editor/save-video-meme",
+        data=_formulaire(plateforme, template_format=template_format),
+        content_type="multipart/form-data",
+    )
+    assert reponse.status_code == 201
+    meme = db_session.query(SavedMeme).one()
+    assert Path(meme.file_path).name.endswith(f"-{plateforme}.mp4")
+    assert meme.template_format == template_format
+
+
 # ---------------------------------------------------------------------------
 # 2. Liste blanche de plateforme (le nom de fichier n'est pas injectable)
 # ---------------------------------------------------------------------------
@@ -378,5 +392,6 @@ def test_editor_js_appelle_le_nouvel_endpoint():
     assert "saveVideoMemesToViewer" in js
     # L'ancien refus « pas encore les vidéos » a disparu du bouton Sauvegarder.
     assert "ne prend pas encore les vidéos" not in js
-    # Progression honnête : le libellé « vidéo i/n » existe.
-    assert "'vidéo ' + (i + 1) + '/' + targets.length" in js
+    # Les rendus partent dans la file d'export (voir test_file_export.py) ;
+    # le bouton dit quelle vidéo est en cours d'envoi.
+    assert "'⏳ Envoi vidéo ' + (i + 1) + '/' + targets.length" in js
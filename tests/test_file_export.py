@@ -0,0 +1,410 @@
+"""
+FILE D'EXPORT — tests serveur et page.
+
+Les rendus vidéo de l'Éditeur passent par une file côté serveur
+(app/editor/exports.py) : le dépôt répond tout de suite, un seul fil rend,
+dans l'ordre d'arrivée, et les pages relisent la file tant qu'un rendu
+attend ou tourne. Contrats vérifiés ici (FFmpeg SIMULÉ) :
+
+  1. File : un rendu à la fois, dans l'ordre ; progression bornée à 99
+     avant la fin ; annulation d'un rendu en attente (entrées effacées) ou
+     en cours ; un rendu terminé se retire du plateau, pas un rendu actif ;
+     file pleine refusée.
+  2. API : le dépôt Viewer répond 202 puis range le meme ; le dépôt à
+     télécharger sert son fichier jusqu'au retrait ; formulaire invalide
+     refusé sans trace, par la file comme par les rendus directs
+     (/editor/save-video-meme, /editor/process-video) ; annulation et
+     retrait répondent 404 / 409.
+  3. Suivi : la liste porte l'avancement du rendu en cours ; pas de flux.
+  4. FFmpeg suivi : `-progress` lu en fraction du rendu, arrêt sur
+     annulation avec la sortie partielle supprimée.
+  5. La page : le plateau Exports est dans la nav, avec le script qui le
+     suit ; l'Éditeur n'a plus de modal d'attente.
+
+Le dépôt depuis l'Éditeur, le rendu du plateau et les annonces sont
+vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+import threading
+import time
+from pathlib import Path
+from types import SimpleNamespace
+
+import pytest
+
+from app.config import EDITOR_UPLOAD_DIR
+from app.db import SavedMeme
+from app.editor import exports, processing
+from app.editor.errors import InputError
+from conftest import FAKE_MP4
+
+def _formulaire(**extra):
+    donnees = {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(b"\x89PNG\r\n\x1a\nfake"), "template.png"),
+        "params": json.dumps({"templateWidth": 1080, "templateHeight": 1350,
+                              "trimStart": 0, "trimEnd": 4}),
+        "platform": "instagram",
+        "title": "Meme vidéo — Instagram",
+        "caption": "file d'export",
+        "template_format": "portrait",
+        "label": "Viewer — Instagram",
+    }
+    donnees.update(extra)
+    return donnees
+
+
+def _deposer(client, **extra):
+    return client.post("/api/editor/exports", data=_formulaire(**extra),
+                       content_type="multipart/form-data")
+
+
+def _attendre(job_id: str, timeout: float = 5.0) -> exports.ExportJob:
+    """Attend qu'un rendu soit terminé (fil de rendu réel)."""
+    fin = time.monotonic() + timeout
+    while time.monotonic() < fin:
+        job = exports.get_job(job_id)
+        if job is not None and job.status in exports.EXPORT_FINISHED:
+            return job
+        time.sleep(0.01)
+    raise AssertionError(f"export {job_id} toujours en cours")
+
+
+def _rien(job):
+    return {}
+
+
+@pytest.fixture(autouse=True)
+def _file_vide(editor_dirs):
+    """Chaque test part d'une file vide et la laisse au repos."""
+    yield
+    fin = time.monotonic() + 5
+    while exports._PENDING.unfinished_tasks and time.monotonic() < fin:
+        time.sleep(0.01)
+    with exports._LOCK:
+        exports._JOBS.clear()
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    """process_video instantané ; retourne les kwargs de chaque appel."""
+    return make_faux_ffmpeg()
+
+
+# ---------------------------------------------------------------------------
+# 1. File
+# ---------------------------------------------------------------------------
+
+def test_un_rendu_a_la_fois_dans_l_ordre_d_arrivee():
+    ordre, libere = [], threading.Event()
+
+    def premier(job):
+        ordre.append("1 début")
+        libere.wait(5)
+        ordre.append("1 fin")
+        return {}
+
+    def second(job):
+        ordre.append("2")
+        return {}
+
+    a = exports.submit("A", "viewer", premier, lambda: None)
+    b = exports.submit("B", "viewer", second, lambda: None)
+    while not ordre:
+        time.sleep(0.01)
+    assert exports.get_job(b.id).status == "queued"
+    libere.set()
+    _attendre(b.id)
+    assert ordre == ["1 début", "1 fin", "2"]
+    assert a.status == b.status == "done" and a.progress == 100
+
+
+def test_la_progression_reste_sous_100_avant_la_fin():
+    vues = []
+
+    def rendu(job):
+        job.report(1.0)
+        vues.append(job.progress)
+        return {"meme_id": 7}
+
+    job = exports.submit("A", "viewer", rendu, lambda: None)
+    _attendre(job.id)
+    assert vues == [99]
+    assert job.as_json()["progress"] == 100 and job.as_json()["result"] == {"meme_id": 7}
+
+
+def test_annuler_un_rendu_en_attente_efface_ses_entrees():
+    libere, effaces = threading.Event(), []
+    bloquant = exports.submit("A", "viewer", lambda job: libere.wait(5) and {}, lambda: None)
+    attente = exports.submit("B", "viewer", _rien, lambda: effaces.append("B"))
+    exports.cancel(attente.id)
+    assert attente.status == "canceled" and effaces == ["B"]
+    libere.set()
+    _attendre(bloquant.id)
+    assert exports.get_job(attente.id).status == "canceled"
+
+
+def test_annuler_un_rendu_en_cours_l_interrompt():
+    demarre = threading.Event()
+
+    def rendu(job):
+        demarre.set()
+        if job.cancel_event.wait(5):
+            raise processing.RenderCanceled("rendu annulé")
+        return {}
+
+    job = exports.submit("A", "viewer", rendu, lambda: None)
+    demarre.wait(5)
+    exports.cancel(job.id)
+    assert _attendre(job.id).status == "canceled"
+    with pytest.raises(ValueError):
+        exports.cancel(job.id)
+
+
+def test_un_echec_garde_un_message_generique():
+    def rendu(job):
+        raise RuntimeError("ffmpeg exited 1: /chemin/interne")
+
+    job = _attendre(exports.submit("A", "viewer", rendu, lambda: None).id)
+    assert job.status == "failed" and job.error == "Erreur serveur"
+
+
+def test_seule_une_erreur_de_saisie_donne_son_message():
+    def refuse(job):
+        raise InputError("output.fps : entre 5 et 30 images par seconde")
+
+    def plante(job):
+        raise ValueError("invalid literal for int(): '/data/editor/x.mp4'")
+
+    refus = _attendre(exports.submit("A", "viewer", refuse, lambda: None).id)
+    echec = _attendre(exports.submit("B", "viewer", plante, lambda: None).id)
+    assert refus.error == "output.fps : entre 5 et 30 images par seconde"
+    assert echec.error == "Erreur serveur"
+
+
+def test_seul_un_rendu_termine_se_retire():
+    libere, effaces = threading.Event(), []
+    job = exports.submit("A", "download", lambda j: libere.wait(5) and {}, lambda: effaces.append("A"))
+    with pytest.raises(ValueError):
+        exports.dismiss(job.id)
+    libere.set()
+    _attendre(job.id)
+    exports.dismiss(job.id)
+    assert effaces == ["A"] and exports.get_job(job.id) is None
+
+
+def test_une_file_pleine_refuse_le_depot(monkeypatch):
+    monkeypatch.setattr(exports, "EXPORT_MAX_PENDING", 1)
+    libere = threading.Event()
+    job = exports.submit("A", "viewer", lambda j: libere.wait(5) and {}, lambda: None)
+    with pytest.raises(OverflowError):
+        exports.submit("B", "viewer", _rien, lambda: None)
+    libere.set()
+    _attendre(job.id)
+
+
+def test_les_rendus_termines_expirent(monkeypatch):
+    effaces = []
+    job = _attendre(exports.submit("A", "download", _rien, lambda: effaces.append("A")).id)
+    monkeypatch.setattr(exports, "EXPORT_KEEP_SECONDS", -1)
+    assert exports.list_jobs() == []
+    assert effaces == ["A"] and exports.get_job(job.id) is None
+
+
+# ---------------------------------------------------------------------------
+# 2. API
+# ---------------------------------------------------------------------------
+
+def test_le_depot_viewer_range_le_meme(client, db_session, faux_ffmpeg):
+    reponse = _deposer(client)
+    assert reponse.status_code == 202, reponse.data
+    depot = reponse.get_json()
+    assert depot["status"] in ("queued", "running", "done")
+    assert depot["label"] == "Viewer — Instagram" and depot["kind"] == "viewer"
+
+    job = _attendre(depot["id"])
+    assert job.status == "done"
+    meme = db_session.query(SavedMeme).one()
+    assert job.result == {"meme_id": meme.id, "file_url": f"/api/viewer/memes/{meme.id}/file"}
+    assert meme.caption == "file d'export" and meme.file_path.endswith("-instagram.mp4")
+    # Suivi transmis à FFmpeg ; uploads nettoyés.
+    assert faux_ffmpeg[0]["cancel"] is job.cancel_event
+    assert list(EDITOR_UPLOAD_DIR.iterdir()) == []
+    liste = client.get("/api/editor/exports").get_json()["items"]
+    assert [item["id"] for item in liste] == [job.id]
+
+
+def test_le_depot_a_telecharger_sert_son_fichier_jusqu_au_retrait(client, db_session, faux_ffmpeg):
+    depot = _deposer(client, destination="download", label="Téléchargement — Instagram").get_json()
+    job = _attendre(depot["id"])
+    assert job.result == {"download_url": f"/api/editor/exports/{job.id}/file"}
+    assert "file" not in job.as_json()
+    assert db_session.query(SavedMeme).count() == 0
+
+    fichier = client.get(job.result["download_url"])
+    assert fichier.status_code == 200 and fichier.data == FAKE_MP4
+    assert "attachment" in fichier.headers["Content-Disposition"]
+    fichier.close()
+
+    assert client.delete(f"/api/editor/exports/{job.id}").status_code == 200
+    assert not Path(job.file).exists()
+    assert client.get(job.result["download_url"]).status_code == 404
+
+
+def test_un_depot_invalide_ne_laisse_rien(client, faux_ffmpeg):
+    reponse = _deposer(client, destination="ailleurs")
+    assert reponse.status_code == 400
+    reponse = _deposer(client, params=json.dumps({"fill": "flou"}))
+    assert reponse.status_code == 400
+    sans_video = _formulaire()
+    del sans_video["video"]
+    assert client.post("/api/editor/exports", data=sans_video,
+                       content_type="multipart/form-data").status_code == 400
+    assert list(EDITOR_UPLOAD_DIR.iterdir()) == []
+    assert exports.list_jobs() == [] and faux_ffmpeg == []
+
+
+@pytest.mark.parametrize("endpoint", ["exports", "save-video-meme", "process-video"])
+def test_les_rendus_directs_valident_comme_la_file(client, faux_ffmpeg, endpoint):
+    sans_video = _formulaire()
+    del sans_video["video"]
+    for formulaire in (sans_video, _formulaire(params=json.dumps({"fill": "flou"}))):
+        reponse = client.post(f"/api/editor/{endpoint}", data=formulaire,
+                              content_type="multipart/form-data")
+        assert reponse.status_code == 400
+        assert reponse.get_json()["error"]
+    assert list(EDITOR_UPLOAD_DIR.iterdir()) == []
+    assert exports.list_jobs() == [] and faux_ffmpeg == []
+
+
+@pytest.mark.parametrize("endpoint", ["exports", "save-video-meme", "process-video"])
+def test_un_refus_imprevu_ne_renvoie_pas_son_texte(client, faux_ffmpeg, monkeypatch, endpoint):
+    """Seuls les messages d'InputError sortent ; le reste va au journal."""
+    def _plante(params):
+        raise ValueError("could not convert string to float: '/data/editor/uploads'")
+
+    monkeypatch.setattr("app.editor.api._fill", _plante)
+    reponse = client.post(f"/api/editor/{endpoint}", data=_formulaire(),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"] == "Paramètres de rendu invalides"
+    assert list(EDITOR_UPLOAD_DIR.iterdir()) == []
+
+
+def test_le_rendu_direct_sert_son_fichier_hors_de_la_file(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/process-video", data=_formulaire(),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+        assert reponse.data == FAKE_MP4
+        assert reponse.headers["Content-Disposition"].endswith(".mp4")
+        # Les uploads partent dès la fin du rendu.
+        assert list(EDITOR_UPLOAD_DIR.iterdir()) == []
+    finally:
+        reponse.close()
+    assert exports.list_jobs() == []
+
+
+def test_une_file_pleine_repond_429_sans_trace(client, faux_ffmpeg, monkeypatch):
+    monkeypatch.setattr(exports, "EXPORT_MAX_PENDING", 0)
+    reponse = _deposer(client)
+    assert reponse.status_code == 429
+    assert list(EDITOR_UPLOAD_DIR.iterdir()) == []
+
+
+def test_annuler_et_retirer_un_export_inconnu_ou_termine(client, faux_ffmpeg):
+    assert client.post("/api/editor/exports/inconnu/cancel").status_code == 404
+    assert client.delete("/api/editor/exports/inconnu").status_code == 404
+    job = _attendre(_deposer(client).get_json()["id"])
+    assert client.post(f"/api/editor/exports/{job.id}/cancel").status_code == 409
+
+
+# ---------------------------------------------------------------------------
+# 3. Suivi
+# ---------------------------------------------------------------------------
+
+def test_la_liste_porte_l_avancement_du_rendu_en_cours(client):
+    """Les pages relisent GET /editor/exports : aucun flux ne reste ouvert."""
+    avance, libere = threading.Event(), threading.Event()
+
+    def rendu(job):
+        job.report(0.4)
+        avance.set()
+        libere.wait(5)
+        return {}
+
+    job = exports.submit("A", "viewer", rendu, lambda: None)
+    avance.wait(5)
+    item = client.get("/api/editor/exports").get_json()["items"][0]
+    libere.set()
+    _attendre(job.id)
+    assert (item["id"], item["status"], item["progress"]) == (job.id, "running", 40)
+    assert client.get("/api/editor/exports/stream").status_code in (404, 405)
+
+
+# ---------------------------------------------------------------------------
+# 4. FFmpeg suivi
+# ---------------------------------------------------------------------------
+
+class _FauxPopen:
+    """FFmpeg simulé : `-progress` sur la sortie standard, sortie écrite."""
+
+    lignes = ["out_time_us=N/A\n", "out_time_us=1000000\n", "progress=continue\n",
+              "out_time_us=3000000\n", "progress=end\n"]
+
+    def __init__(self, cmd, stdout=None, stderr=None, text=False):
+        self.cmd = cmd
+        self.stdout = io.StringIO("".join(self.lignes))
+        self.returncode = None
+        Path(cmd[-1]).write_bytes(FAKE_MP4)
+        _FauxPopen.derniere = self
+
+    def wait(self):
+        if self.returncode is None:
+            self.returncode = 0
+        return self.returncode
+
+    def kill(self):
+        self.returncode = -9
+
+
+@pytest.fixture
+def ffmpeg_suivi(monkeypatch, tmp_path):
+    monkeypatch.setattr(processing.shutil, "which", lambda nom: f"/usr/bin/{nom}")
+    monkeypatch.setattr(processing, "subprocess", SimpleNamespace(
+        Popen=_FauxPopen, PIPE=-1, TimeoutExpired=processing.subprocess.TimeoutExpired))
+    return str(tmp_path / "sortie.mp4")
+
+
+def test_la_progression_vient_de_ffmpeg(ffmpeg_suivi):
+    fractions = []
+    processing.process_video("in.mp4", "tpl.png", ffmpeg_suivi, trim_start=0, trim_end=4,
+                             on_progress=fractions.append)
+    assert fractions == [0.25, 0.75]
+    assert _FauxPopen.derniere.cmd[1:4] == ["-progress", "pipe:1", "-nostats"]
+
+
+def test_l_annulation_arrete_ffmpeg_et_supprime_la_sortie(ffmpeg_suivi):
+    annule = threading.Event()
+    annule.set()
+    with pytest.raises(processing.RenderCanceled):
+        processing.process_video("in.mp4", "tpl.png", ffmpeg_suivi, cancel=annule)
+    assert _FauxPopen.derniere.returncode == -9
+    assert not Path(ffmpeg_suivi).exists()
+
+
+# ---------------------------------------------------------------------------
+# 5. La page
+# ---------------------------------------------------------------------------
+
+def test_le_plateau_exports_est_dans_la_nav(client):
+    html = client.get("/editor").data.decode("utf-8")
+    assert "data-exports hidden" in html
+    assert 'aria-controls="s-exports-panel"' in html and 'id="s-exports-panel"' in html
+    assert "samourais-app.js" in html
+    # Les rendus partent dans la file : plus de modal d'attente.
+    assert 'id="export-modal"' not in html
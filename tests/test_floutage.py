@@ -0,0 +1,196 @@
+"""
+FLOUTAGE — tests serveur.
+
+Les captures récupérées montrent pseudos et visages : l'éditeur trace des
+zones floutées ou pixelisées SUR le média (fractions de la source, avant
+recadrage). Une image les sort telles que peintes par le canvas ; pour une
+vidéo, le client envoie params.redactions aux deux endpoints et FFmpeg
+traite chaque zone, fixe, sur tout le clip (redaction_filters dans
+app/editor/processing.py).
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : chaque zone est découpée de la source, floutée (boxblur,
+     rayon borné à la zone) ou pixelisée (pixelize), puis reposée à sa
+     place — AVANT le cadrage et le fond flou, qui ne rendent donc jamais
+     la zone nette. Sans zone, la commande ne change pas.
+  2. Les deux endpoints transmettent les zones ; une zone mal formée, hors
+     de l'image ou trop nombreuse répond 400 sans lancer FFmpeg.
+  3. La page de l'éditeur porte le bloc ; l'éditeur (editor-core.js,
+     évalué par Node) garde les bornes du serveur, écarte à la relecture
+     les zones que le serveur refuserait, et les zones qu'il exporte
+     passent telles quelles jusqu'à FFmpeg. L'historique les suit.
+
+Le tracé et le rendu sur le canvas (Fabric.js) sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+
+import pytest
+
+from app.editor import api
+from app.editor.api import REDACTION_MAX
+from app.editor.processing import redaction_filters
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+ZONE = {"mode": "blur", "x": 0.1, "y": 0.2, "width": 0.3, "height": 0.05, "strength": 27}
+
+
+def _formulaire(redactions):
+    return {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": 7.5,
+                              "templateWidth": 1080, "templateHeight": 1350,
+                              "redactions": redactions}),
+        "platform": "instagram",
+    }
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    """process_video simulé : relève les zones reçues."""
+    return make_faux_ffmpeg(lambda appel: appel.get("redactions"))
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_chaque_zone_est_traitee_puis_reposee():
+    assert redaction_filters("0:v", "redacted", [
+        ("blur", 0.1, 0.2, 0.3, 0.05, 27),
+        ("pixelate", 0.5, 0.5, 0.25, 0.25, 12),
+    ]) == [
+        "[0:v]split[red0_base][red0_src]",
+        "[red0_src]crop=w=iw*0.3000:h=ih*0.0500:x=iw*0.1000:y=ih*0.2000,"
+        "boxblur=luma_radius='max(0,min(27,min(w,h)/2-1))':luma_power=2"
+        ":chroma_radius='max(0,min(27,min(cw,ch)/2-1))':chroma_power=2[red0_patch]",
+        "[red0_base][red0_patch]overlay=x=W*0.1000:y=H*0.2000[red0]",
+        "[red0]split[red1_base][red1_src]",
+        "[red1_src]crop=w=iw*0.2500:h=ih*0.2500:x=iw*0.5000:y=ih*0.5000,"
+        "pixelize=width=12:height=12[red1_patch]",
+        "[red1_base][red1_patch]overlay=x=W*0.5000:y=H*0.5000[redacted]",
+    ]
+
+
+def test_les_zones_precedent_le_cadrage(graphe_ffmpeg):
+    graphe = graphe_ffmpeg(redactions=[("pixelate", 0, 0, 0.5, 0.5, 20)])
+    assert "[0:v]split[red0_base][red0_src]" in graphe
+    assert "[redacted]scale=w=1080:h=1920" in graphe
+
+
+def test_les_zones_precedent_le_fond_flou(graphe_ffmpeg):
+    graphe = graphe_ffmpeg(fill_mode="blur",
+                     segments=[(0.0, 2.0), (3.0, 6.0)], redactions=[("blur", 0, 0, 0.5, 0.5, 20)])
+    assert "[cut_v]split[red0_base][red0_src]" in graphe
+    assert "[redacted]split[fill_src][fill_bg]" in graphe
+
+
+def test_sans_zone_la_commande_ne_change_pas(graphe_ffmpeg):
+    graphe = graphe_ffmpeg()
+    assert "red0" not in graphe
+    assert "[0:v]scale=w=1080:h=1920" in graphe
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission et validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("endpoint", ["save-video-meme", "process-video"])
+def test_les_deux_endpoints_transmettent_les_zones(client, faux_ffmpeg, endpoint):
+    reponse = client.post(f"/api/editor/{endpoint}", data=_formulaire([ZONE]),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code in (200, 201)
+    finally:
+        reponse.close()
+    assert faux_ffmpeg == [[("blur", 0.1, 0.2, 0.3, 0.05, 27)]]
+
+
+@pytest.mark.parametrize("redactions", [None, []])
+def test_sans_zone_rien_n_est_transmis(client, faux_ffmpeg, redactions):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(redactions),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [None]
+
+
+@pytest.mark.parametrize("redactions", [
+    {"mode": "blur"},
+    [{**ZONE, "mode": "noir"}],
+    [{**ZONE, "x": "gauche"}],
+    [{k: v for k, v in ZONE.items() if k != "height"}],
+    [{**ZONE, "x": 0.9}],                                  # déborde à droite
+    [{**ZONE, "y": -0.1}],
+    [{**ZONE, "width": 0.001}],                            # trop petite
+    [{**ZONE, "strength": 500}],
+    [ZONE] * (REDACTION_MAX + 1),
+    ["zone"],
+], ids=["objet", "mode", "texte", "incomplete", "deborde", "negatif", "minuscule",
+        "force", "trop-nombreuses", "chaine"])
+def test_une_zone_invalide_repond_400(client, faux_ffmpeg, redactions):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(redactions),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+# ---------------------------------------------------------------------------
+# 3. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_le_floutage(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("redact-group", "redact-mode-group", "redact-draw", "redact-list"):
+        assert f'id="{ident}"' in html
+    for mode in ("blur", "pixelate"):
+        assert f'data-redactmode="{mode}"' in html
+
+
+def test_l_editeur_garde_les_bornes_du_serveur(editor_core):
+    assert editor_core("REDACTION_MAX") == REDACTION_MAX
+    assert editor_core("REDACTION_MIN_SIZE") == api.REDACTION_MIN_SIZE
+    assert set(editor_core("REDACTION_MODES")) == set(api.REDACTION_MODES)
+    # Force : d'une miniature à une source 8K, toujours dans les bornes.
+    for cote in (16, 1080, 7680, 20000):
+        force = editor_core(f"redactionStrength({cote}, {cote // 2})")
+        assert api.REDACTION_STRENGTH_MIN <= force <= api.REDACTION_STRENGTH_MAX
+
+
+@pytest.mark.parametrize("zone", [
+    {"mode": "noir"},
+    {"x": "gauche"},
+    {"x": 0.9},
+    {"y": -0.1},
+    {"width": 0.001},
+    {"id": None},
+], ids=["mode", "texte", "deborde", "negatif", "minuscule", "sans-id"])
+def test_une_zone_relue_mal_formee_tombe(editor_core, zone):
+    relue = {"id": "r1", **ZONE, **zone}
+    assert editor_core(f"sanitizeRedactions({json.dumps([relue])})") == []
+
+
+def test_les_zones_exportees_arrivent_a_ffmpeg(client, faux_ffmpeg, editor_core):
+    zones = [{"id": "r1", **{k: v for k, v in ZONE.items() if k != "strength"}}]
+    params = editor_core(
+        "ffmpegParamsOf({ trimStart: 1.5, trimEnd: 7.5, templateWidth: 1080, templateHeight: 1350,"
+        f" redactions: redactionsExportOf(sanitizeRedactions({json.dumps(zones)}), 1080, 1920) }})")
+    formulaire = {**_formulaire(None), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg == [[("blur", 0.1, 0.2, 0.3, 0.05, 48)]]      # 1920 / 40
+
+
+def test_les_zones_suivent_l_historique(editor_core):
+    assert "redactions" in editor_core("HISTORY_STATE_KEYS")
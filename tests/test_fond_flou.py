@@ -0,0 +1,157 @@
+"""
+FOND FLOU — tests serveur.
+
+Un clip paysage dans le plateau TikTok plein écran perd l'essentiel de son
+image en « cover ». Par plateau, l'éditeur propose « fond flou » : le média
+est CONTENU dans le cadre, et une copie agrandie, floutée et assombrie
+remplit le reste. Le client envoie params.fill ("cover" ou "blur") aux
+deux endpoints vidéo ; FFmpeg peint le même fond (blur_fill_filters dans
+app/editor/processing.py).
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : fond couvrant le cadre, marge anti-bord, flou et
+     assombrissement de l'éditeur ; la vidéo y est contenue au lieu de
+     couvrir. Sans fond flou, la commande ne change pas.
+  2. Les deux endpoints transmettent le remplissage ; une valeur inconnue
+     répond 400 sans lancer FFmpeg.
+  3. La page de l'éditeur porte un bouton par plateau ; l'éditeur
+     (editor-core.js évalué par Node) peint le même fond, le transmet à
+     l'export et le retient par plateau dans l'historique.
+
+Le rendu du fond sur le canvas (Fabric.js) est vérifié au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+
+import pytest
+
+from app.editor.processing import BACKDROP_BLUR, BACKDROP_DIM, blur_fill_filters
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+
+def _formulaire(fill="blur"):
+    return {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": 7.5,
+                              "templateWidth": 1080, "templateHeight": 1920,
+                              "frameX": 0, "frameY": 0, "frameWidth": 1080, "frameHeight": 1920,
+                              "fill": fill}),
+        "platform": "tiktok",
+    }
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    """process_video simulé : relève le remplissage reçu."""
+    return make_faux_ffmpeg(lambda appel: appel.get("fill_mode"))
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_le_fond_flou_couvre_le_cadre():
+    assert blur_fill_filters("0:v", x=54, y=195, width=972, height=810) == [
+        "[0:v]split[fill_src][fill_bg]",
+        f"[fill_bg]scale=w={972 + 4 * BACKDROP_BLUR}:h={810 + 4 * BACKDROP_BLUR}"
+        f":force_original_aspect_ratio=increase,crop=972:810,gblur=sigma={BACKDROP_BLUR},"
+        f"colorchannelmixer=rr={BACKDROP_DIM}:gg={BACKDROP_DIM}:bb={BACKDROP_DIM}[backdrop]",
+        "[bg][backdrop]overlay=x=54:y=195[filled]",
+    ]
+
+
+def test_les_reglages_sont_ceux_de_l_editeur(editor_core):
+    assert editor_core("[BACKDROP_BLUR, BACKDROP_DIM]") == [BACKDROP_BLUR, BACKDROP_DIM]
+
+
+def test_la_video_est_contenue_sur_le_fond(graphe_ffmpeg):
+    graphe = graphe_ffmpeg(fill_mode="blur")
+    assert "[0:v]split[fill_src][fill_bg]" in graphe
+    assert "[fill_src]scale=w=1080:h=1920:force_original_aspect_ratio=decrease[scaled]" in graphe
+    assert "[filled][scaled]overlay=" in graphe
+
+
+def test_les_passages_coupes_alimentent_le_fond(graphe_ffmpeg):
+    graphe = graphe_ffmpeg(fill_mode="blur", segments=[(0.0, 2.0), (3.0, 6.0)])
+    assert "[cut_v]split[fill_src][fill_bg]" in graphe
+
+
+def test_sans_fond_flou_la_video_couvre_le_cadre(graphe_ffmpeg):
+    graphe = graphe_ffmpeg()
+    assert "split" not in graphe
+    assert "[0:v]scale=w=1080:h=1920:force_original_aspect_ratio=increase[scaled]" in graphe
+    assert "[bg][scaled]overlay=" in graphe
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission par les deux endpoints
+# ---------------------------------------------------------------------------
+
+def test_la_sauvegarde_transmet_le_fond_flou(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == ["blur"]
+    assert editor_uploads() == []
+
+
+def test_le_telechargement_transmet_le_fond_flou(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/process-video", data=_formulaire(),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+    finally:
+        reponse.close()
+    assert faux_ffmpeg == ["blur"]
+
+
+@pytest.mark.parametrize("fill", ["cover", None])
+def test_sans_fond_flou_rien_ne_change(client, faux_ffmpeg, fill):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(fill),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [None]
+
+
+@pytest.mark.parametrize("fill", ["contain", 1, ["blur"]])
+def test_un_remplissage_inconnu_repond_400(client, faux_ffmpeg, fill):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(fill),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+# ---------------------------------------------------------------------------
+# 3. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_le_fond_flou(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for cle in ("ig", "tt", "x", "rd"):
+        assert f'id="fill-{cle}"' in html
+
+
+def test_l_export_de_l_editeur_transmet_le_fond_flou(client, faux_ffmpeg, editor_core):
+    params = editor_core(
+        "ffmpegParamsOf({ trimStart: 1.5, trimEnd: 7.5, templateWidth: 1080, templateHeight: 1920,"
+        " frameX: 0, frameY: 0, frameWidth: 1080, frameHeight: 1920, fill: 'blur' })")
+    formulaire = {**_formulaire(), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg == ["blur"]
+
+
+def test_le_fond_flou_suit_l_historique_par_plateau(editor_core):
+    assert "fillMode" in editor_core("HISTORY_PANE_KEYS")
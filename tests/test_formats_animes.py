@@ -0,0 +1,246 @@
+"""
+FORMATS DE SORTIE — tests serveur.
+
+Une vidéo peut sortir en MP4 ou en image animée (GIF, WebP animé) : le
+client envoie params.output (format, cadence, largeur, palette, qualité)
+aux deux endpoints vidéo, FFmpeg ajoute la chaîne d'animation
+(animation_filters dans app/editor/processing.py). Une image peut sortir
+en PNG, JPEG, WebP ou AVIF, et le Viewer range chaque meme sous
+l'extension de son type.
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : GIF à palette calculée sur le clip, WebP sans palette ;
+     les options d'encodage de chaque format.
+  2. Les deux endpoints transmettent le format ; la sortie porte son
+     extension et son type, et le Viewer la range comme une image.
+  3. Un réglage hors bornes ou une animation trop longue répond 400 sans
+     lancer FFmpeg.
+  4. Le Viewer accepte WebP et AVIF, les sert sous leur type, et refuse
+     un type qu'il ne sait pas servir.
+  5. La page de l'éditeur porte les formats ; le format choisi dans
+     l'éditeur (ffmpegParamsOf d'editor-core.js, évalué par Node) arrive
+     à FFmpeg.
+
+L'encodage des images par le canvas, le poids estimé et les formats
+grisés quand le navigateur ne sait pas les encoder sont vérifiés au
+navigateur.
+"""
+
+from __future__ import annotations
+
+import base64
+import io
+import json
+from pathlib import Path
+
+import pytest
+
+from app.config import EDITOR_OUTPUT_DIR
+from app.editor.processing import _encoder_args, animation_filters
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+MEMES_DIR = EDITOR_OUTPUT_DIR / "memes"
+
+FAKE_GIF = b"GIF89a-fake-anime"
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+SORTIE_GIF = {"format": "gif", "fps": 12, "width": 480, "colors": 128}
+
+
+def _formulaire(output=SORTIE_GIF, trim_end=7.5, **params):
+    return {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": trim_end,
+                              "templateWidth": 1080, "templateHeight": 1350,
+                              "output": output, **params}),
+        "platform": "instagram",
+    }
+
+
+def _data_url(mime: str, contenu: bytes = b"fake-image") -> str:
+    return f"data:{mime};base64,{base64.b64encode(contenu).decode('ascii')}"
+
+
+def _releve(appel):
+    """Extension de la sortie, arguments d'animation, présence d'un réglage son."""
+    return {
+        "sortie": Path(appel["output_path"]).suffix,
+        "animation": {k: v for k, v in appel.items()
+                      if k in ("output_format", "animation_fps", "animation_width",
+                               "gif_colors", "webp_quality")},
+        "audio": "audio_track_path" in appel or "mute_audio" in appel,
+    }
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    return make_faux_ffmpeg(_releve, sortie=FAKE_GIF)
+
+
+def _memes() -> list[str]:
+    return sorted(p.suffix for p in MEMES_DIR.iterdir() if p.is_file())
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_le_gif_calcule_sa_palette_sur_le_clip():
+    assert animation_filters("final", "anim", fmt="gif", fps=12, width=480, colors=128) == [
+        "[final]fps=12,scale=480:-2:flags=lanczos,split[anim_a][anim_b]",
+        "[anim_a]palettegen=max_colors=128:stats_mode=diff[anim_pal]",
+        "[anim_b][anim_pal]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle[anim]",
+    ]
+
+
+def test_le_webp_anime_se_passe_de_palette():
+    assert animation_filters("final", "anim", fmt="webp", fps=15, width=720, colors=256) == [
+        "[final]fps=15,scale=720:-2:flags=lanczos[anim]",
+    ]
+
+
+def test_chaque_format_a_ses_options_d_encodage():
+    assert _encoder_args("gif", 75) == ["-loop", "0"]
+    assert _encoder_args("webp", 60)[:6] == ["-c:v", "libwebp", "-lossless", "0", "-quality", "60"]
+    assert "libx264" in _encoder_args("mp4", 75)
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission par les deux endpoints
+# ---------------------------------------------------------------------------
+
+def test_le_telechargement_sort_un_gif(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/process-video", data=_formulaire(),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+        assert reponse.mimetype == "image/gif"
+        assert ".gif" in reponse.headers["Content-Disposition"]
+    finally:
+        reponse.close()
+    assert faux_ffmpeg == [{
+        "sortie": ".gif",
+        "animation": {"output_format": "gif", "animation_fps": 12, "animation_width": 480,
+                      "gif_colors": 128, "webp_quality": 75},
+        "audio": False,
+    }]
+
+
+def test_la_sauvegarde_range_l_animation_comme_une_image(client, faux_ffmpeg):
+    sortie = {"format": "webp", "fps": 15, "width": 720, "quality": 60}
+    # Une image animée est muette : les réglages du son sont ignorés.
+    reponse = client.post("/api/editor/save-video-meme",
+                          data=_formulaire(output=sortie, audio={"muted": True}),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg[0]["sortie"] == ".webp"
+    assert faux_ffmpeg[0]["audio"] is False
+    assert _memes() == [".webp"]
+    assert editor_uploads() == []
+
+    item = client.get("/api/viewer/memes").get_json()["items"][0]
+    assert item["media_type"] == "image"
+    fichier = client.get(f"/api/viewer/memes/{item['id']}/file")
+    try:
+        assert fichier.mimetype == "image/webp"
+    finally:
+        fichier.close()
+
+
+def test_sans_format_la_sortie_reste_en_mp4(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(output=None),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [{"sortie": ".mp4", "animation": {}, "audio": False}]
+    assert _memes() == [".mp4"]
+
+
+# ---------------------------------------------------------------------------
+# 3. Validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("output, trim_end", [
+    ({"format": "apng"}, 7.5),
+    ({**SORTIE_GIF, "fps": 60}, 7.5),
+    ({**SORTIE_GIF, "width": 100}, 7.5),                  # sous 160 px
+    ({**SORTIE_GIF, "width": 2000}, 7.5),                 # plus large que le template
+    ({**SORTIE_GIF, "colors": 512}, 7.5),
+    ({"format": "webp", "quality": 101}, 7.5),
+    ({**SORTIE_GIF, "fps": "vif"}, 7.5),
+    (SORTIE_GIF, 25.0),                                   # 23,5 s d'animation
+    ("gif", 7.5),
+], ids=["format", "cadence", "etroit", "large", "palette", "qualite", "texte", "trop-long", "chaine"])
+def test_un_format_invalide_repond_400(client, faux_ffmpeg, output, trim_end):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(output, trim_end),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+# ---------------------------------------------------------------------------
+# 4. Viewer
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("mime, extension", [
+    ("image/png", ".png"),
+    ("image/jpeg", ".jpg"),
+    ("image/webp", ".webp"),
+    ("image/avif", ".avif"),
+])
+def test_le_viewer_range_chaque_image_sous_son_type(client, mime, extension):
+    reponse = client.post("/api/viewer/memes", json={
+        "image_data": _data_url(mime), "media_type": "image", "template_format": "portrait",
+    })
+    assert reponse.status_code == 201
+    assert _memes() == [extension]
+
+    fichier = client.get(f"/api/viewer/memes/{reponse.get_json()['id']}/file")
+    try:
+        assert fichier.mimetype == mime
+        assert fichier.data == b"fake-image"
+    finally:
+        fichier.close()
+
+
+@pytest.mark.parametrize("image_data", [
+    _data_url("image/bmp"),
+    _data_url("text/html"),
+    "data:image/webp;base64,%%%",
+], ids=["bmp", "html", "base64"])
+def test_le_viewer_refuse_une_image_qu_il_ne_sait_pas_servir(client, image_data):
+    reponse = client.post("/api/viewer/memes", json={
+        "image_data": image_data, "media_type": "image", "template_format": "portrait",
+    })
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"] == "Image PNG, JPEG, WebP, AVIF ou GIF en base64 attendue"
+    assert _memes() == []
+
+
+# ---------------------------------------------------------------------------
+# 5. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_formats(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for format_image in ("webp", "avif"):
+        assert f'data-imgformat="{format_image}"' in html
+    for ident in ("vidformat-group", "anim-fps-group", "anim-width-group",
+                  "gif-colors-group", "anim-quality", "video-export-estimate"):
+        assert f'id="{ident}"' in html
+
+
+def test_l_export_de_l_editeur_transmet_le_format(client, faux_ffmpeg, editor_core):
+    params = editor_core("ffmpegParamsOf({ trimStart: 1.5, trimEnd: 7.5, templateWidth: 1080,"
+                         f" templateHeight: 1350, output: {json.dumps(SORTIE_GIF)} }})")
+    formulaire = {**_formulaire(), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg[0]["sortie"] == ".gif"
+    assert faux_ffmpeg[0]["animation"]["gif_colors"] == 128
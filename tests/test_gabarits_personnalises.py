@@ -0,0 +1,186 @@
+"""
+GABARITS PERSONNALISÉS — tests serveur.
+
+Les trois formats intégrés (TEMPLATES dans editor.js) restent dans le code ;
+ceux que l'équipe dessine dans le designer de l'éditeur sont rangés en base
+et servis par /api/editor/templates, dans la forme EXACTE de TEMPLATES.
+
+Contrats vérifiés ici :
+
+  1. CRUD : création (201, géométrie normalisée), liste dans l'ordre de
+     création, modification, suppression, 404 sur un id inconnu.
+  2. Validation : la géométrie finit dans les paramètres FFmpeg, donc tout
+     ce qui ferait échouer l'export (dimension impaire, cadre hors canvas,
+     arrondi trop grand…) répond 400 et n'écrit rien.
+  3. Plein écran : le cadre est imposé (tout le canvas, sans arrondi), comme
+     le plateau TikTok.
+  4. La page de l'éditeur porte le designer et ses points d'entrée.
+  5. Viewer : un meme fait sur un gabarit personnalisé porte la taille de
+     ce gabarit (ratio de sa tuile) ; gabarit supprimé, plus de taille.
+
+Le chargement dans TEMPLATES et le rendu des gabarits (createElements,
+export PNG/vidéo) sont vérifiés au navigateur : ils passent par TEMPLATES
+sans cas particulier.
+"""
+
+from __future__ import annotations
+
+import base64
+import copy
+
+import pytest
+
+GEOMETRIE = {
+    "width": 1080,
+    "height": 1200,
+    "fullBleed": False,
+    "frame": {"x": 40, "y": 200, "width": 1000, "height": 960, "radius": 24},
+    "textArea": {"x": 40, "y": 30, "width": 1000, "maxY": 190},
+    "watermark": {"x": 1010, "y": 1160},
+}
+
+
+def _creer(client, name="Bannière carrée", **geometrie):
+    g = copy.deepcopy(GEOMETRIE)
+    g.update(geometrie)
+    return client.post("/api/editor/templates", json={"name": name, "geometry": g})
+
+
+# ---------------------------------------------------------------------------
+# 1. CRUD
+# ---------------------------------------------------------------------------
+
+def test_creer_puis_lister_un_gabarit(client):
+    reponse = _creer(client)
+    assert reponse.status_code == 201
+    cree = reponse.get_json()
+    assert cree["name"] == "Bannière carrée"
+    assert cree["geometry"] == GEOMETRIE
+
+    items = client.get("/api/editor/templates").get_json()["items"]
+    assert [(t["id"], t["geometry"]) for t in items] == [(cree["id"], GEOMETRIE)]
+
+
+def test_la_liste_suit_l_ordre_de_creation(client):
+    premier = _creer(client, name="A").get_json()["id"]
+    second = _creer(client, name="B").get_json()["id"]
+    items = client.get("/api/editor/templates").get_json()["items"]
+    assert [t["id"] for t in items] == [premier, second]
+
+
+def test_modifier_un_gabarit(client):
+    tpl_id = _creer(client).get_json()["id"]
+    g = copy.deepcopy(GEOMETRIE)
+    g["frame"]["radius"] = 0
+    reponse = client.put(f"/api/editor/templates/{tpl_id}", json={"name": "Renommé", "geometry": g})
+    assert reponse.status_code == 200
+    assert reponse.get_json()["name"] == "Renommé"
+
+    items = client.get("/api/editor/templates").get_json()["items"]
+    assert items[0]["geometry"]["frame"]["radius"] == 0
+
+
+def test_supprimer_un_gabarit(client):
+    tpl_id = _creer(client).get_json()["id"]
+    assert client.delete(f"/api/editor/templates/{tpl_id}").status_code == 200
+    assert client.get("/api/editor/templates").get_json()["items"] == []
+
+
+def test_un_gabarit_inconnu_repond_404(client):
+    corps = {"name": "X", "geometry": GEOMETRIE}
+    assert client.put("/api/editor/templates/999", json=corps).status_code == 404
+    assert client.delete("/api/editor/templates/999").status_code == 404
+
+
+# ---------------------------------------------------------------------------
+# 2. Validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("modif", [
+    {"width": 1081},                                                      # impair : refusé par libx264
+    {"height": 100},                                                      # trop petit
+    {"width": "large"},                                                   # pas un nombre
+    {"frame": {"x": 100, "y": 200, "width": 1000, "height": 960, "radius": 0}},   # déborde à droite
+    {"frame": {"x": 40, "y": 200, "width": 1000, "height": 960, "radius": 600}},  # arrondi > demi-côté
+    {"textArea": {"x": 0, "y": 0, "width": 1080, "maxY": 5000}},          # sous le canvas
+    {"watermark": {"x": -1, "y": 10}},                                    # hors canvas
+])
+def test_une_geometrie_invalide_repond_400_sans_rien_ecrire(client, modif):
+    reponse = _creer(client, **modif)
+    assert reponse.status_code == 400
+    assert reponse.get_json() == {"error": "Gabarit invalide"}
+    assert client.get("/api/editor/templates").get_json()["items"] == []
+
+
+@pytest.mark.parametrize("corps", [
+    {"geometry": GEOMETRIE},                       # nom manquant
+    {"name": "   ", "geometry": GEOMETRIE},        # nom vide
+    {"name": "x" * 61, "geometry": GEOMETRIE},     # nom trop long
+    ["pas", "un", "objet"],
+])
+def test_un_nom_ou_un_corps_invalide_repond_400(client, corps):
+    assert client.post("/api/editor/templates", json=corps).status_code == 400
+
+
+def test_une_modification_invalide_ne_touche_pas_au_gabarit(client):
+    tpl_id = _creer(client).get_json()["id"]
+    g = dict(GEOMETRIE, width=999)
+    reponse = client.put(f"/api/editor/templates/{tpl_id}", json={"name": "X", "geometry": g})
+    assert reponse.status_code == 400
+    assert reponse.get_json() == {"error": "Gabarit invalide"}
+    items = client.get("/api/editor/templates").get_json()["items"]
+    assert items[0]["name"] == "Bannière carrée"
+    assert items[0]["geometry"] == GEOMETRIE
+
+
+# ---------------------------------------------------------------------------
+# 3. Plein écran
+# ---------------------------------------------------------------------------
+
+def test_le_plein_ecran_impose_le_cadre(client):
+    # Cadre fantaisiste : ignoré, le cadre EST le canvas.
+    reponse = _creer(client, fullBleed=True, width=1920, height=1080,
+                     frame={"x": 5000, "y": -3, "width": 0, "height": 0, "radius": 99},
+                     textArea={"x": 0, "y": 0, "width": 1920, "maxY": 0},
+                     watermark={"x": 1800, "y": 1000})
+    assert reponse.status_code == 201
+    g = reponse.get_json()["geometry"]
+    assert g["fullBleed"] is True
+    assert g["frame"] == {"x": 0, "y": 0, "width": 1920, "height": 1080, "radius": 0}
+
+
+# ---------------------------------------------------------------------------
+# 4. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_le_designer(client):
+    html = client.get("/editor").data.decode("utf-8")
+    assert 'id="format-selector"' in html
+    assert 'id="template-new-btn"' in html
+    assert 'id="template-dialog"' in html
+    # Chaque champ chiffré désigne son chemin dans la géométrie de TEMPLATES.
+    for champ in ("width", "height", "frame.radius", "textArea.maxY", "watermark.x"):
+        assert f'data-field="{champ}"' in html
+
+
+# ---------------------------------------------------------------------------
+# 5. Viewer
+# ---------------------------------------------------------------------------
+
+def _tailles_des_memes(client) -> list:
+    return [m["template_size"] for m in client.get("/api/viewer/memes").get_json()["items"]]
+
+
+def test_le_meme_d_un_gabarit_personnalise_porte_sa_taille(client, editor_dirs):
+    tpl_id = _creer(client, width=1280, height=1350).get_json()["id"]
+    for template_format in (f"custom-{tpl_id}", "portrait"):
+        reponse = client.post("/api/viewer/memes", json={
+            "image_data": base64.b64encode(b"fake-image").decode(),
+            "media_type": "image", "template_format": template_format,
+        })
+        assert reponse.status_code == 201
+    # Du plus récent au plus ancien ; les formats intégrés gardent leur ratio côté Viewer.
+    assert _tailles_des_memes(client) == [None, {"width": 1280, "height": 1350}]
+
+    client.delete(f"/api/editor/templates/{tpl_id}")
+    assert _tailles_des_memes(client) == [None, None]
@@ -0,0 +1,100 @@
+"""
+GÉNÉRATION PAR LOT — tests serveur.
+
+Le Viewer envoie une sélection de médias à l'éditeur (/editor?batch=1,2,3) ;
+l'éditeur applique UNE composition à chacun et rend tout dans la liste des
+memes, par les endpoints de la sauvegarde simple. Le seul ajout serveur est
+GET /api/editor/media/batch, qui décrit la sélection.
+
+Contrats vérifiés ici :
+
+  1. Les fiches reviennent dans l'ORDRE demandé, doublons retirés, avec de
+     quoi résoudre les variables ({profile}, {caption}, {platform}).
+  2. Un id inconnu est listé dans `missing` ; un fichier disparu du disque
+     est signalé par `available: false`.
+  3. Une liste vide, illisible ou trop longue répond 400.
+  4. Le Viewer et l'éditeur portent les points d'entrée du lot.
+
+L'envoi depuis le Viewer, la composition des médias (Fabric.js) et le
+rendu séquentiel des vidéos sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import pytest
+
+
+def _lot(client, ids: str):
+    return client.get(f"/api/editor/media/batch?ids={ids}")
+
+
+# ---------------------------------------------------------------------------
+# 1. Fiches dans l'ordre du lot
+# ---------------------------------------------------------------------------
+
+def test_les_fiches_suivent_l_ordre_du_lot(client, make_profile, make_media_item, tmp_path):
+    profil = make_profile(username="samourai_du_jour", platform="instagram")
+    fichier = tmp_path / "a.jpg"
+    fichier.write_bytes(b"jpg")
+    a = make_media_item(profil, caption="premier", local_path=str(fichier))
+    b = make_media_item(profil, caption=None, media_type="video", local_path=str(fichier))
+
+    reponse = _lot(client, f"{b.id},{a.id},{b.id}")
+    assert reponse.status_code == 200
+    items = reponse.get_json()["items"]
+    assert [it["id"] for it in items] == [b.id, a.id]
+    assert items[0]["media_type"] == "video"
+    assert items[0]["caption"] == ""
+    assert items[1] == {
+        "id": a.id,
+        "media_type": "image",
+        "caption": "premier",
+        "platform": "instagram",
+        "profile_username": "samourai_du_jour",
+        "available": True,
+        "thumb_url": "/media/thumb/a.jpg",
+    }
+
+
+# ---------------------------------------------------------------------------
+# 2. Médias introuvables
+# ---------------------------------------------------------------------------
+
+def test_les_medias_introuvables_sont_signales(client, make_media_item, tmp_path):
+    sans_fichier = make_media_item(local_path=str(tmp_path / "disparu.jpg"))
+    jamais_telecharge = make_media_item()
+
+    data = _lot(client, f"{sans_fichier.id},999,{jamais_telecharge.id}").get_json()
+    assert data["missing"] == [999]
+    assert [(it["id"], it["available"]) for it in data["items"]] == [
+        (sans_fichier.id, False), (jamais_telecharge.id, False)]
+    assert data["items"][1]["thumb_url"] is None
+
+
+# ---------------------------------------------------------------------------
+# 3. Validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("ids", [
+    "",
+    ",,",
+    "1,deux,3",
+    ",".join(str(n) for n in range(1, 52)),        # 51 médias
+])
+def test_une_liste_invalide_repond_400(client, ids):
+    reponse = _lot(client, ids)
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+
+
+# ---------------------------------------------------------------------------
+# 4. Points d'entrée
+# ---------------------------------------------------------------------------
+
+def test_le_viewer_et_l_editeur_portent_le_lot(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("batch-group", "batch-strip", "batch-render-btn", "batch-dialog", "batch-progress"):
+        assert f'id="{ident}"' in html
+
+    viewer = client.get("/viewer").data.decode("utf-8")
+    assert 'id="btn-sel-batch"' in viewer
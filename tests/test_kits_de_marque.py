@@ -0,0 +1,277 @@
+"""
+KITS DE MARQUE — tests serveur et page.
+
+Un kit par page gérée : ses logos, la position du filigrane par gabarit,
+son opacité et sa taille, la police et les couleurs du bandeau. Rangés en
+base et servis par /api/editor/brand-kits ; les logos vivent dans
+EDITOR_BRAND_DIR. Contrats vérifiés ici :
+
+  1. CRUD : création (201, réglages normalisés), liste dans l'ordre de
+     création, modification, suppression, 404 sur un id inconnu.
+  2. Validation : police et couleurs finissent dans le rendu, les positions
+     dans le gabarit — tout écart répond 400 et n'écrit rien.
+  3. Logos : signature et poids vérifiés, nombre borné ; le premier devient
+     le logo par défaut, qui passe au suivant quand on le retire ; supprimer
+     le kit supprime ses fichiers.
+  4. Un média ouvre sur le kit de son profil (`default_id`).
+  5. La page porte le choix du kit et sa gestion ; l'éditeur
+     (editor-core.js évalué par Node) connaît les mêmes valeurs par défaut
+     que le serveur, et le kit suit l'historique.
+
+Le rendu (createElements, loadLogo, gabarit PNG de l'export vidéo) et le
+rechargement des kits avec chaque média sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import pytest
+
+from app.config import EDITOR_BRAND_DIR
+from app.editor.api import KIT_DEFAUTS, KIT_LOGO_MAX_BYTES, KIT_LOGOS_MAX
+
+PNG = b"\x89PNG\r\n\x1a\n" + b"\x00" * 64
+WEBP = b"RIFF\x00\x00\x00\x00WEBPVP8 " + b"\x00" * 64
+
+REGLAGES = {
+    "watermark": {"opacity": 80, "scale": 20, "positions": {"portrait": {"x": 1040, "y": 1310}}},
+    "font": "Montserrat",
+    "colors": {"text": "#FFFFFF", "band": "#111111"},
+    "logo": None,
+}
+
+
+def _creer(client, name="Page chats", **corps):
+    return client.post("/api/editor/brand-kits", json={"name": name, "settings": REGLAGES, **corps})
+
+
+def _logo(client, kit_id, contenu=PNG, nom="logo.png"):
+    # Corps multipart écrit à la main : pour un gros fichier, le client de
+    # test passerait par un fichier temporaire qu'il ne referme pas.
+    corps = (
+        b'--limite\r\nContent-Disposition: form-data; name="logo"; filename="'
+        + nom.encode() + b'"\r\nContent-Type: application/octet-stream\r\n\r\n'
+        + contenu + b"\r\n--limite--\r\n"
+    )
+    return client.post(
+        f"/api/editor/brand-kits/{kit_id}/logos",
+        data=corps,
+        content_type="multipart/form-data; boundary=limite",
+    )
+
+
+# ---------------------------------------------------------------------------
+# 1. CRUD
+# ---------------------------------------------------------------------------
+
+def test_creer_puis_lister_un_kit(client):
+    reponse = _creer(client)
+    assert reponse.status_code == 201
+    cree = reponse.get_json()
+    assert cree["name"] == "Page chats"
+    assert cree["logos"] == [] and cree["profile_ids"] == []
+    # Couleurs ramenées en minuscules, le reste tel quel.
+    assert cree["settings"]["colors"] == {"text": "#ffffff", "band": "#111111"}
+    assert cree["settings"]["watermark"] == REGLAGES["watermark"]
+
+    items = client.get("/api/editor/brand-kits").get_json()["items"]
+    assert [k["id"] for k in items] == [cree["id"]]
+
+
+def test_les_reglages_absents_prennent_les_defauts(client):
+    cree = client.post("/api/editor/brand-kits", json={"name": "Nu"}).get_json()
+    assert cree["settings"] == KIT_DEFAUTS
+
+
+def test_la_liste_suit_l_ordre_de_creation(client):
+    premier = _creer(client, name="A").get_json()["id"]
+    second = _creer(client, name="B").get_json()["id"]
+    items = client.get("/api/editor/brand-kits").get_json()["items"]
+    assert [k["id"] for k in items] == [premier, second]
+
+
+def test_modifier_un_kit(client, make_profile):
+    profil = make_profile()
+    kit_id = _creer(client).get_json()["id"]
+    reglages = dict(REGLAGES, font="Inter")
+    reponse = client.put(f"/api/editor/brand-kits/{kit_id}",
+                         json={"name": "Renommé", "profile_ids": [profil.id], "settings": reglages})
+    assert reponse.status_code == 200
+    modifie = reponse.get_json()
+    assert (modifie["name"], modifie["profile_ids"]) == ("Renommé", [profil.id])
+    assert modifie["settings"]["font"] == "Inter"
+
+
+@pytest.mark.parametrize("methode", ["put", "delete"])
+def test_kit_inconnu(client, methode):
+    reponse = getattr(client, methode)("/api/editor/brand-kits/999999", json={"name": "X"})
+    assert reponse.status_code == 404
+
+
+# ---------------------------------------------------------------------------
+# 2. Validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("corps", [
+    {"name": ""},
+    {"name": "x" * 61},
+    {"profile_ids": [999999]},
+    {"profile_ids": "1"},
+    {"settings": {"watermark": {"opacity": 101}}},
+    {"settings": {"watermark": {"scale": 4}}},
+    {"settings": {"watermark": {"scale": 51}}},
+    {"settings": {"watermark": {"positions": {"inconnu": {"x": 1, "y": 1}}}}},
+    {"settings": {"watermark": {"positions": {"square": {"x": 5000, "y": 1}}}}},
+    {"settings": {"font": "Inter; } body { color: red"}},
+    {"settings": {"font": "'Inter'"}},
+    {"settings": {"colors": {"text": "red"}}},
+    {"settings": {"colors": {"band": "#fff"}}},
+    {"settings": {"logo": "inconnu.png"}},
+])
+def test_un_kit_invalide_est_refuse(client, corps):
+    reponse = client.post("/api/editor/brand-kits", json={"name": "Page", **corps})
+    assert reponse.status_code == 400
+    assert reponse.get_json() == {"error": "Kit de marque invalide"}
+    assert client.get("/api/editor/brand-kits").get_json()["items"] == []
+
+
+def test_une_modification_invalide_est_refusee(client):
+    kit_id = _creer(client).get_json()["id"]
+    reponse = client.put(f"/api/editor/brand-kits/{kit_id}",
+                         json={"name": "Page", "settings": {"colors": {"text": "red"}}})
+    assert reponse.status_code == 400
+    assert reponse.get_json() == {"error": "Kit de marque invalide"}
+
+
+def test_les_positions_acceptent_tiktok_et_les_gabarits_personnalises(client):
+    positions = {"tiktok": {"x": 1000, "y": 1800}, "custom-12": {"x": 10, "y": 20}}
+    reponse = client.post("/api/editor/brand-kits",
+                          json={"name": "Page", "settings": {"watermark": {"positions": positions}}})
+    assert reponse.status_code == 201
+    assert reponse.get_json()["settings"]["watermark"]["positions"] == positions
+
+
+# ---------------------------------------------------------------------------
+# 3. Logos
+# ---------------------------------------------------------------------------
+
+def test_le_premier_logo_devient_celui_du_kit(client):
+    kit_id = _creer(client).get_json()["id"]
+    reponse = _logo(client, kit_id)
+    assert reponse.status_code == 201
+    kit = reponse.get_json()
+    nom = kit["logos"][0]["name"]
+    assert nom.endswith(".png")
+    assert kit["settings"]["logo"] == nom
+
+    servi = client.get(kit["logos"][0]["url"])
+    try:
+        assert servi.status_code == 200
+        assert servi.data == PNG
+    finally:
+        servi.close()
+
+    # Le second ne remplace pas le premier.
+    second = _logo(client, kit_id, WEBP, "logo.webp").get_json()
+    assert second["settings"]["logo"] == nom
+    assert second["logos"][1]["name"].endswith(".webp")
+
+
+@pytest.mark.parametrize("contenu, nom", [
+    (b"GIF89a" + b"\x00" * 64, "logo.gif"),
+    (b"<svg></svg>", "logo.png"),         # extension sans la signature
+    (PNG, "logo.svg"),
+    (b"RIFF\x00\x00\x00\x00WAVE", "logo.webp"),
+    (PNG + b"\x00" * KIT_LOGO_MAX_BYTES, "logo.png"),
+])
+def test_un_logo_invalide_est_refuse(client, contenu, nom):
+    kit_id = _creer(client).get_json()["id"]
+    avant = set(EDITOR_BRAND_DIR.glob("*")) if EDITOR_BRAND_DIR.exists() else set()
+    reponse = _logo(client, kit_id, contenu, nom)
+    assert reponse.status_code == 400
+    assert (set(EDITOR_BRAND_DIR.glob("*")) if EDITOR_BRAND_DIR.exists() else set()) == avant
+
+
+def test_le_nombre_de_logos_est_borne(client):
+    kit_id = _creer(client).get_json()["id"]
+    for _ in range(KIT_LOGOS_MAX):
+        assert _logo(client, kit_id).status_code == 201
+    assert _logo(client, kit_id).status_code == 400
+
+
+def test_logo_sur_kit_inconnu(client):
+    assert _logo(client, 999999).status_code == 404
+
+
+def test_retirer_le_logo_par_defaut_passe_au_suivant(client):
+    kit_id = _creer(client).get_json()["id"]
+    _logo(client, kit_id)
+    kit = _logo(client, kit_id, WEBP, "logo.webp").get_json()
+    premier, second = (l["name"] for l in kit["logos"])
+
+    reponse = client.delete(f"/api/editor/brand-kits/{kit_id}/logos/{premier}")
+    assert reponse.status_code == 200
+    assert reponse.get_json()["settings"]["logo"] == second
+    assert not (EDITOR_BRAND_DIR / premier).exists()
+    assert client.delete(f"/api/editor/brand-kits/{kit_id}/logos/{premier}").status_code == 404
+
+    dernier = client.delete(f"/api/editor/brand-kits/{kit_id}/logos/{second}").get_json()
+    assert dernier["settings"]["logo"] is None and dernier["logos"] == []
+
+
+def test_supprimer_un_kit_supprime_ses_logos(client):
+    kit_id = _creer(client).get_json()["id"]
+    nom = _logo(client, kit_id).get_json()["logos"][0]["name"]
+    assert (EDITOR_BRAND_DIR / nom).is_file()
+
+    assert client.delete(f"/api/editor/brand-kits/{kit_id}").status_code == 200
+    assert not (EDITOR_BRAND_DIR / nom).exists()
+    assert client.get(f"/api/editor/brand-kits/logos/{nom}").status_code == 404
+
+
+@pytest.mark.parametrize("nom", ["..%2Fsamourais.db", "logo.png", "x" * 21 + ".svg"])
+def test_seuls_les_noms_de_logo_generes_sont_servis(client, nom):
+    assert client.get(f"/api/editor/brand-kits/logos/{nom}").status_code == 404
+
+
+# ---------------------------------------------------------------------------
+# 4. Kit du profil
+# ---------------------------------------------------------------------------
+
+def test_un_media_ouvre_sur_le_kit_de_son_profil(client, make_profile, make_media_item):
+    chats, chiens = make_profile(), make_profile()
+    media = make_media_item(chiens)
+    _creer(client, name="Sans page")
+    kit_id = _creer(client, name="Chiens", profile_ids=[chiens.id]).get_json()["id"]
+    _creer(client, name="Chiens bis", profile_ids=[chiens.id])
+
+    donnees = client.get(f"/api/editor/brand-kits?media_id={media.id}").get_json()
+    assert donnees["default_id"] == kit_id                   # le plus ancien
+    assert {p["id"] for p in donnees["profiles"]} >= {chats.id, chiens.id}
+
+    autre = make_media_item(chats)
+    assert client.get(f"/api/editor/brand-kits?media_id={autre.id}").get_json()["default_id"] is None
+    assert client.get("/api/editor/brand-kits").get_json()["default_id"] is None
+
+
+# ---------------------------------------------------------------------------
+# 5. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_kits(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("brand-kit-select", "brand-logos", "brand-new-btn", "brand-edit-btn",
+                  "brand-dialog", "brand-profiles", "brand-logo-input", "brand-positions-capture"):
+        assert f'id="{ident}"' in html
+    for nom in ("opacity", "scale", "font", "color-text", "color-band"):
+        assert f'name="{nom}"' in html
+
+
+def test_l_editeur_reprend_les_defauts_du_serveur(editor_core):
+    assert editor_core("BRAND_DEFAULTS") == KIT_DEFAUTS
+    assert KIT_DEFAUTS["font"] == "Montserrat"
+    assert editor_core("WATERMARK_OPACITY") == KIT_DEFAUTS["watermark"]["opacity"]
+    assert editor_core("BRAND_LOGOS_MAX") == KIT_LOGOS_MAX
+
+
+def test_le_kit_suit_l_historique(editor_core):
+    assert {"brandKitId", "brandLogo"} <= set(editor_core("HISTORY_STATE_KEYS"))
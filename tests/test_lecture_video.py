@@ -0,0 +1,197 @@
+"""
+LECTURE DES EXPORTS VIDÉO — tests serveur.
+
+L'éditeur règle la vitesse (0,5× à 2×), le sens (à rebours, boomerang) et
+les répétitions du clip. Le réglage voyage dans params.playback vers les
+DEUX endpoints vidéo ; FFmpeg l'applique au clip déjà composé
+(motion_filters dans app/editor/processing.py) — textes minutés et
+sous-titres suivent donc l'image, en secondes du clip.
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : clip borné puis accéléré (`atempo` pour le son), inversé,
+     aller-retour ou répété ; la durée du rendu qui en découle.
+  2. Les deux endpoints transmettent le réglage ; sans réglage, rien ne
+     change.
+  3. Les fondus se mesurent sur le rendu ; un réglage hors bornes, ou un
+     clip trop long pour être inversé, répond 400 sans lancer FFmpeg.
+  4. La page de l'éditeur porte les contrôles ; le réglage de l'éditeur
+     (ffmpegParamsOf d'editor-core.js, évalué par Node) arrive à FFmpeg et
+     suit l'historique.
+
+L'aperçu (lecture à rebours par recherches successives) et la durée du
+rendu affichée sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+
+import pytest
+
+from app.editor.processing import motion_filters, playback_duration
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+
+def _formulaire(playback, **params):
+    """Clip coupé de 6 s (1.5 → 7.5)."""
+    return {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": 7.5, "playback": playback, **params}),
+        "platform": "tiktok",
+    }
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    """process_video simulé : relève les arguments de lecture."""
+    return make_faux_ffmpeg(lambda appel: {k: v for k, v in appel.items() if k.startswith("playback_")})
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_le_clip_compose_est_borne_puis_ralenti():
+    assert motion_filters("composed", "final", duration=6.0, speed=0.5, mode="normal", loops=2) == [
+        "[composed]trim=duration=6.000,setpts=PTS-STARTPTS,setpts=PTS/0.500[final]",
+    ]
+
+
+def test_le_son_est_accelere_sans_changer_de_hauteur():
+    assert motion_filters("0:a", "motion_a", duration=6.0, speed=2.0, mode="reverse", loops=2,
+                          audio=True) == [
+        "[0:a]atrim=duration=6.000,asetpts=PTS-STARTPTS,atempo=2.000,areverse[motion_a]",
+    ]
+
+
+def test_le_boomerang_enchaine_l_aller_et_le_retour():
+    assert motion_filters("composed", "final", duration=3.0, speed=1, mode="boomerang", loops=2) == [
+        "[composed]trim=duration=3.000,setpts=PTS-STARTPTS,split=2[final_fwd][final_rev_in]",
+        "[final_rev_in]reverse[final_rev]",
+        "[final_fwd][final_rev]concat=n=2:v=1:a=0[final]",
+    ]
+
+
+def test_la_boucle_repete_le_clip():
+    chaines = motion_filters("cut_a", "motion_a", duration=3.0, speed=1, mode="loop", loops=3, audio=True)
+    assert chaines == [
+        "[cut_a]atrim=duration=3.000,asetpts=PTS-STARTPTS,asplit=3[motion_a_0][motion_a_1][motion_a_2]",
+        "[motion_a_0][motion_a_1][motion_a_2]concat=n=3:v=0:a=1[motion_a]",
+    ]
+
+
+@pytest.mark.parametrize("vitesse, mode, passages, duree", [
+    (1.0, "normal", 2, 6.0),
+    (0.5, "reverse", 2, 12.0),
+    (2.0, "boomerang", 2, 6.0),
+    (1.5, "loop", 3, 12.0),
+])
+def test_la_duree_du_rendu(vitesse, mode, passages, duree):
+    assert playback_duration(6.0, vitesse, mode, passages) == pytest.approx(duree)
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission par les deux endpoints
+# ---------------------------------------------------------------------------
+
+def test_la_sauvegarde_transmet_la_lecture(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme",
+                          data=_formulaire({"speed": 0.75, "mode": "loop", "loops": 3}),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [{"playback_speed": 0.75, "playback_mode": "loop", "playback_loops": 3}]
+    assert editor_uploads() == []
+
+
+def test_le_telechargement_transmet_la_lecture(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/process-video",
+                          data=_formulaire({"speed": 2, "mode": "reverse"}),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+    finally:
+        reponse.close()
+    assert faux_ffmpeg == [{"playback_speed": 2.0, "playback_mode": "reverse", "playback_loops": 2}]
+
+
+def test_sans_reglage_la_lecture_est_normale(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(None),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [{}]
+
+
+# ---------------------------------------------------------------------------
+# 3. Durées et validation
+# ---------------------------------------------------------------------------
+
+def test_les_fondus_se_mesurent_sur_le_rendu(client, faux_ffmpeg):
+    # 9 s de fondus : trop pour le clip de 6 s, pas pour son rendu ralenti de 12 s.
+    fondus = {"fadeIn": 4.5, "fadeOut": 4.5}
+    lent = client.post("/api/editor/save-video-meme",
+                       data=_formulaire({"speed": 0.5, "mode": "normal"}, audio=fondus),
+                       content_type="multipart/form-data")
+    assert lent.status_code == 201
+    normal = client.post("/api/editor/save-video-meme", data=_formulaire(None, audio=fondus),
+                         content_type="multipart/form-data")
+    assert normal.status_code == 400
+
+
+@pytest.mark.parametrize("playback, params", [
+    ({"speed": 3, "mode": "normal"}, {}),
+    ({"speed": 0.25, "mode": "normal"}, {}),
+    ({"speed": "vite", "mode": "normal"}, {}),
+    ({"speed": 1, "mode": "ping-pong"}, {}),
+    ({"speed": 1, "mode": "loop", "loops": 6}, {}),
+    ({"speed": 1, "mode": "loop", "loops": 1}, {}),
+    ({"speed": 1, "mode": "reverse"}, {"trimEnd": 12.5}),          # 11 s à garder en mémoire
+    ("rapide", {}),
+], ids=["trop-vite", "trop-lent", "illisible", "mode-inconnu", "trop-de-boucles",
+        "une-seule-boucle", "clip-trop-long", "pas-un-objet"])
+def test_un_reglage_invalide_repond_400(client, faux_ffmpeg, playback, params):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(playback, **params),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+def test_une_coupe_raccourcie_peut_etre_inversee(client, faux_ffmpeg):
+    # Coupe de 11 s, passage de 2 s retiré : 9 s gardées en mémoire.
+    segments = [{"start": 1.5, "end": 5.0}, {"start": 7.0, "end": 12.5}]
+    reponse = client.post("/api/editor/save-video-meme",
+                          data=_formulaire({"speed": 1, "mode": "boomerang"}, trimEnd=12.5, segments=segments),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+
+
+# ---------------------------------------------------------------------------
+# 4. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_controles_de_lecture(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("playback-speed-group", "playback-mode-group", "playback-loops"):
+        assert f'id="{ident}"' in html
+
+
+def test_l_export_de_l_editeur_transmet_la_lecture(client, faux_ffmpeg, editor_core):
+    params = editor_core("ffmpegParamsOf({ trimStart: 1.5, trimEnd: 7.5,"
+                         " playback: { speed: 0.75, mode: 'loop', loops: 3 } })")
+    formulaire = {**_formulaire(None), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg == [{"playback_speed": 0.75, "playback_mode": "loop", "playback_loops": 3}]
+
+
+def test_la_lecture_suit_l_historique(editor_core):
+    assert {"playbackSpeed", "playbackMode", "playbackLoops"} <= set(editor_core("HISTORY_STATE_KEYS"))
@@ -0,0 +1,312 @@
+"""
+POLICES — tests serveur et page.
+
+La bibliothèque de polices de l'Éditeur : des fichiers TTF, OTF ou WOFF
+rangés dans EDITOR_FONTS_DIR, servis par /api/editor/fonts, dont famille et
+graisse sont lues DANS le fichier (app/editor/fonts.py). Contrats vérifiés
+ici :
+
+  1. Lecture : famille (table `name`) et graisse (table `OS/2`, ramenée à
+     la centaine) d'un TTF, d'un OTF et d'un WOFF compressé ; tout autre
+     fichier, ou une famille qui ne passerait ni en CSS ni en ASS, est
+     refusé.
+  2. API : ajout (201), liste, doublon famille + graisse (409, même ajouté
+     entre la vérification et l'écriture), suppression
+     du fichier avec la fiche, service par le seul nom donné par le serveur.
+  3. Export : la piste de sous-titres porte une police validée, écrite dans
+     le style ASS, et le filtre `ass` reçoit le dossier de la bibliothèque.
+  4. La page porte le choix par élément et la bibliothèque ; l'éditeur
+     (editor-core.js évalué par Node) propose les polices servies — les
+     sous-titres, celles que le serveur connaît —, filtre un choix relu
+     et le garde dans l'historique.
+
+Le chargement par document.fonts, l'attente de chaque police avant le
+rendu et le rendu lui-même sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+import struct
+import zlib
+
+import pytest
+
+from app.config import EDITOR_FONTS_DIR
+from app.db import EditorFont
+from app.editor import api
+from app.editor.fonts import FONT_FAMILY, FONT_MAX_BYTES, read_font
+from app.editor.processing import subtitle_filter
+from app.editor.subtitles import build_ass, subtitle_track
+
+PISTE = {
+    "style": "outline", "fontSize": 45, "x": 540, "y": 1500, "width": 864,
+    "cues": [{"start": 0.5, "end": 2.0, "text": "Salut"}],
+}
+
+
+def _tables(famille: str, graisse: int) -> dict[bytes, bytes]:
+    """Tables `name` (famille, Windows anglais) et `OS/2` minimales."""
+    texte = famille.encode("utf-16-be")
+    name = struct.pack(">HHH", 0, 1, 18) + struct.pack(">6H", 3, 1, 0x409, 1, len(texte), 0) + texte
+    os2 = struct.pack(">HhH", 4, 500, graisse)
+    return {b"OS/2": os2, b"name": name}
+
+
+def _ttf(famille="Bangers", graisse=400, version=b"\x00\x01\x00\x00") -> bytes:
+    tables = _tables(famille, graisse)
+    debut = 12 + 16 * len(tables)
+    entete = version + struct.pack(">HHHH", len(tables), 0, 0, 0)
+    repertoire, donnees = b"", b""
+    for tag, table in tables.items():
+        repertoire += tag + struct.pack(">III", 0, debut + len(donnees), len(table))
+        donnees += table
+    return entete + repertoire + donnees
+
+
+def _woff(famille="Bangers", graisse=400) -> bytes:
+    tables = _tables(famille, graisse)
+    debut = 44 + 20 * len(tables)
+    repertoire, donnees = b"", b""
+    for tag, table in tables.items():
+        compresse = zlib.compress(table * 4)          # assez long pour gagner
+        repertoire += tag + struct.pack(">IIII", debut + len(donnees), len(compresse), len(table) * 4, 0)
+        donnees += compresse
+    entete = b"wOFF" + b"\x00\x01\x00\x00" + struct.pack(">IHHIHHIIIII", debut + len(donnees),
+                                                        len(tables), 0, 0, 1, 0, 0, 0, 0, 0, 0)
+    return entete + repertoire + donnees
+
+
+def _envoyer(client, contenu: bytes, nom="police.ttf"):
+    # Corps multipart écrit à la main, comme pour les logos des kits : le
+    # client de test passerait par un fichier temporaire non refermé.
+    corps = (
+        b'--limite\r\nContent-Disposition: form-data; name="font"; filename="'
+        + nom.encode() + b'"\r\nContent-Type: application/octet-stream\r\n\r\n'
+        + contenu + b"\r\n--limite--\r\n"
+    )
+    return client.post("/api/editor/fonts", data=corps,
+                       content_type="multipart/form-data; boundary=limite")
+
+
+# ---------------------------------------------------------------------------
+# 1. Lecture des fichiers
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("contenu, extension", [
+    (_ttf(), ".ttf"),
+    (_ttf(version=b"true"), ".ttf"),
+    (_ttf(version=b"OTTO"), ".otf"),
+    (_woff(), ".woff"),
+])
+def test_famille_et_graisse_sont_lues_dans_le_fichier(contenu, extension):
+    assert read_font(contenu, extension) == {"family": "Bangers", "weight": 400}
+
+
+@pytest.mark.parametrize("graisse, attendue", [(450, 500), (380, 400), (5, 500), (0, 100), (1000, 900)])
+def test_la_graisse_est_ramenee_a_la_centaine(graisse, attendue):
+    assert read_font(_ttf(graisse=graisse), ".ttf")["weight"] == attendue
+
+
+@pytest.mark.parametrize("contenu, extension", [
+    (_ttf(), ".woff2"),                               # Brotli : non lu
+    (_woff(), ".ttf"),                                # signature d'un autre format
+    (b"\x89PNG\r\n\x1a\n" + b"\x00" * 64, ".ttf"),
+    (_ttf()[:20], ".ttf"),                            # tronqué
+    (_ttf(famille='Evil"; }'), ".ttf"),               # finirait dans du CSS
+    (_ttf(famille="Deux,Champs"), ".ttf"),            # finirait dans une ligne ASS
+    (_ttf() + b"\x00" * FONT_MAX_BYTES, ".ttf"),
+])
+def test_un_fichier_invalide_est_refuse(contenu, extension):
+    with pytest.raises(ValueError):
+        read_font(contenu, extension)
+
+
+# ---------------------------------------------------------------------------
+# 2. API
+# ---------------------------------------------------------------------------
+
+def test_ajouter_lister_puis_supprimer_une_police(client):
+    reponse = _envoyer(client, _ttf(graisse=700))
+    assert reponse.status_code == 201
+    police = reponse.get_json()
+    assert (police["family"], police["weight"], police["format"]) == ("Bangers", 700, "truetype")
+    fichier = EDITOR_FONTS_DIR / police["url"].rsplit("/", 1)[1]
+    assert fichier.read_bytes() == _ttf(graisse=700)
+
+    items = client.get("/api/editor/fonts").get_json()["items"]
+    assert [p["id"] for p in items] == [police["id"]]
+
+    servi = client.get(police["url"])
+    try:
+        assert servi.status_code == 200
+        assert servi.mimetype == "font/ttf"
+    finally:
+        servi.close()
+
+    assert client.delete(f"/api/editor/fonts/{police['id']}").status_code == 200
+    assert not fichier.exists()
+    assert client.get("/api/editor/fonts").get_json()["items"] == []
+    assert client.delete(f"/api/editor/fonts/{police['id']}").status_code == 404
+
+
+def test_la_liste_est_triee_par_famille_puis_graisse(client):
+    for famille, graisse in (("Oswald", 700), ("Bangers", 400), ("Oswald", 300)):
+        assert _envoyer(client, _ttf(famille, graisse)).status_code == 201
+    items = client.get("/api/editor/fonts").get_json()["items"]
+    assert [(p["family"], p["weight"]) for p in items] == [("Bangers", 400), ("Oswald", 300), ("Oswald", 700)]
+
+
+def test_un_doublon_famille_et_graisse_est_refuse(client):
+    assert _envoyer(client, _ttf()).status_code == 201
+    avant = set(EDITOR_FONTS_DIR.glob("*"))
+    reponse = _envoyer(client, _woff(), nom="meme-police.woff")
+    assert reponse.status_code == 409
+    assert "Bangers 400" in reponse.get_json()["error"]
+    assert set(EDITOR_FONTS_DIR.glob("*")) == avant
+
+
+def test_un_doublon_ajoute_entre_temps_est_refuse(client, db_session, monkeypatch):
+    """Deux envois simultanés du même couple : la contrainte unique tranche."""
+    nom_de_fichier = api.nanoid
+
+    def _concurrent():
+        # L'autre envoi aboutit après la vérification de celui-ci.
+        db_session.add(EditorFont(family="Bangers", weight=400, file="autre.ttf"))
+        db_session.commit()
+        return nom_de_fichier()
+
+    monkeypatch.setattr(api, "nanoid", _concurrent)
+    avant = set(EDITOR_FONTS_DIR.glob("*"))
+    reponse = _envoyer(client, _ttf())
+    assert reponse.status_code == 409
+    assert "Bangers 400" in reponse.get_json()["error"]
+    assert set(EDITOR_FONTS_DIR.glob("*")) == avant
+
+
+def test_un_envoi_invalide_n_ecrit_rien(client):
+    avant = set(EDITOR_FONTS_DIR.glob("*")) if EDITOR_FONTS_DIR.exists() else set()
+    assert client.post("/api/editor/fonts", data={}, content_type="multipart/form-data").status_code == 400
+    reponse = _envoyer(client, _ttf(), nom="police.woff2")
+    assert reponse.status_code == 400
+    assert reponse.get_json() == {"error": "police : fichier TTF, OTF ou WOFF valide attendu"}
+    assert (set(EDITOR_FONTS_DIR.glob("*")) if EDITOR_FONTS_DIR.exists() else set()) == avant
+
+
+@pytest.mark.parametrize("nom", ["../samourais.db", "inconnu.ttf", "AAAAAAAAAAAAAAAAAAAAA.exe"])
+def test_seuls_les_fichiers_de_la_bibliotheque_sont_servis(client, nom):
+    assert client.get(f"/api/editor/fonts/files/{nom}").status_code == 404
+
+
+# ---------------------------------------------------------------------------
+# 3. Export des sous-titres
+# ---------------------------------------------------------------------------
+
+def test_la_police_des_sous_titres_va_dans_le_style_ass():
+    piste = subtitle_track(dict(PISTE, font={"family": "Bangers", "weight": 700}), 10)
+    assert piste["font"] == {"family": "Bangers", "weight": 700}
+    style = next(l for l in build_ass(piste, 1080, 1920).splitlines() if l.startswith("Style:"))
+    champs = style.removeprefix("Style: ").split(",")
+    assert (champs[1], champs[7]) == ("Bangers", "700")
+
+
+@pytest.mark.parametrize("police", [
+    "Bangers",
+    {"family": "Bangers,Evil", "weight": 400},
+    {"family": "Bangers", "weight": 950},
+    {"family": "Bangers", "weight": True},
+])
+def test_une_police_de_sous_titres_invalide_est_refusee(police):
+    with pytest.raises(ValueError):
+        subtitle_track(dict(PISTE, font=police), 10)
+
+
+def test_le_filtre_ass_recoit_le_dossier_des_polices():
+    filtre = subtitle_filter("/tmp/abc.ass", "overlaid", "final", "/srv/polices")
+    assert ":fontsdir='/srv/polices'[final]" in filtre
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg, editor_dirs):
+    """process_video simulé : relève les arguments des sous-titres."""
+    return make_faux_ffmpeg(lambda appel: {k: v for k, v in appel.items() if k.startswith("subtitles_")})
+
+
+@pytest.mark.parametrize("police, dossier", [
+    ({"family": "Bangers", "weight": 400}, str(EDITOR_FONTS_DIR)),
+    ({"family": "Montserrat", "weight": 600}, None),  # vendorisée : dossier par défaut
+    (None, None),
+], ids=["bibliotheque", "montserrat", "sans-police"])
+def test_l_export_passe_le_dossier_de_la_bibliotheque(client, faux_ffmpeg, police, dossier):
+    piste = dict(PISTE, font=police) if police else PISTE
+    reponse = client.post("/api/editor/save-video-meme", data={
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(b"\x89PNG\r\n\x1a\nfake"), "template.png"),
+        "params": json.dumps({"trimStart": 0, "trimEnd": 5, "templateWidth": 1080,
+                              "templateHeight": 1920, "subtitles": piste}),
+        "platform": "tiktok",
+    }, content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    (appel,) = faux_ffmpeg
+    assert appel["subtitles_path"].endswith(".ass")
+    assert appel.get("subtitles_fonts_dir") == dossier
+
+
+# ---------------------------------------------------------------------------
+# 4. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_polices(client):
+    html = client.get("/editor").data.decode("utf-8")
+    section = html[html.index('id="font-group"'):html.index('id="layers-group"')]
+    for ident in ("font-target-group", "font-family", "font-weight", "font-list",
+                  "font-file-input", "font-upload-btn"):
+        assert f'id="{ident}"' in section
+    for element in ("text", "pov", "subtitles"):
+        assert f'data-fonttarget="{element}"' in section
+    assert 'accept=".ttf,.otf,.woff"' in section
+
+
+def test_l_editeur_propose_les_polices_servies(client, editor_core):
+    for graisse in (700, 400):
+        assert _envoyer(client, _ttf(graisse=graisse)).status_code == 201
+    bibliotheque = json.dumps(client.get("/api/editor/fonts").get_json()["items"])
+
+    legende = editor_core(f"fontChoices('text', {bibliotheque})")
+    assert [c["family"] for c in legende] == ["Inter", "Montserrat", "Bangers"]
+    assert legende[2]["weights"] == [400, 700]
+    # Les sous-titres passent par libass : pas d'Inter, qui n'est que dans la page.
+    sous_titres = editor_core(f"fontChoices('subtitles', {bibliotheque})")
+    assert [c["family"] for c in sous_titres] == ["Montserrat", "Bangers"]
+
+
+def test_un_choix_relu_hors_bibliotheque_tombe(client, editor_core):
+    assert _envoyer(client, _ttf(graisse=700)).status_code == 201
+    bibliotheque = json.dumps(client.get("/api/editor/fonts").get_json()["items"])
+    choix = json.dumps({
+        "text": {"family": "Bangers", "weight": 400},            # graisse absente
+        "pov": {"family": "Bangers", "weight": 700},
+        "subtitles": {"family": "Inter", "weight": 400},         # pas côté serveur
+    })
+    assert editor_core(f"sanitizeFonts({choix}, {bibliotheque})") == {
+        "text": None, "pov": {"family": "Bangers", "weight": 700}, "subtitles": None,
+    }
+    # Bibliothèque pas encore chargée : seule la forme est vérifiée.
+    assert editor_core(f"sanitizeFonts({choix}, null)") == json.loads(choix)
+
+
+@pytest.mark.parametrize("police", [
+    "Bangers", {"family": "<b>", "weight": 400}, {"family": "Bangers", "weight": 950},
+    {"family": "Bangers", "weight": "700"}, {"family": "Bangers"},
+], ids=["chaine", "famille", "graisse", "graisse-texte", "sans-graisse"])
+def test_un_choix_mal_forme_reprend_la_police_d_origine(editor_core, police):
+    assert editor_core(f"sanitizeFonts({{ pov: {json.dumps(police)} }}, null).pov") is None
+
+
+def test_l_editeur_accepte_les_familles_du_serveur(editor_core):
+    assert editor_core("FONT_FAMILY_PATTERN.source") == f"^{FONT_FAMILY.pattern}$"
+
+
+def test_le_choix_des_polices_suit_l_historique(editor_core):
+    assert "fonts" in editor_core("HISTORY_STATE_KEYS")
@@ -0,0 +1,199 @@
+"""
+SON DES EXPORTS VIDÉO — tests serveur.
+
+L'éditeur règle le son de l'export : couper le son d'origine, son gain,
+des fondus aux bornes de la coupe, et une piste jointe qui le remplace ou
+s'y mêle. Les réglages voyagent dans params.audio, la piste en
+`audio_track`, vers les DEUX endpoints vidéo ; FFmpeg les applique
+(audio_filters dans app/editor/processing.py).
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : gain et fondus sur le son d'origine, remplacement,
+     mixage sans normalisation, sortie muette sans aucune source.
+  2. Les deux endpoints transmettent les réglages et la piste à
+     process_video() ; sans réglage, rien ne change.
+  3. Un réglage hors bornes ou une piste annoncée mais absente répond 400
+     sans lancer FFmpeg et sans rien laisser.
+  4. La page de l'éditeur porte les contrôles ; les réglages de l'éditeur
+     (ffmpegParamsOf d'editor-core.js, évalué par Node) arrivent à FFmpeg
+     et suivent l'historique.
+
+L'aperçu (éléments média du navigateur) et l'envoi de la piste jointe sont
+vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+from pathlib import Path
+
+import pytest
+
+from app.editor.processing import audio_filters
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+FAKE_MP3 = b"ID3fake-piste"
+
+REGLAGES = {"muted": False, "volume": 1.5, "fadeIn": 0.5, "fadeOut": 1.0,
+            "track": True, "trackMode": "mix", "trackVolume": 0.8}
+
+
+def _graphe(**kwargs):
+    reglages = {"source_has_audio": True, "track_input": None, "mute": False, "volume": 1.0,
+                "fade_in": 0, "fade_out": 0, "track_mode": "replace", "track_volume": 1.0}
+    reglages.update(kwargs)
+    return audio_filters(6.0, **reglages)
+
+
+def _formulaire(audio=REGLAGES, piste=True, nom="musique.mp3"):
+    donnees = {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": 7.5, "audio": audio}),
+        "platform": "instagram",
+    }
+    if piste:
+        donnees["audio_track"] = (io.BytesIO(FAKE_MP3), nom)
+    return donnees
+
+
+def _releve(appel):
+    """Arguments audio reçus ; la piste jointe est lue pendant le rendu."""
+    audio = {k: v for k, v in appel.items() if "audio" in k}
+    if audio.get("audio_track_path"):
+        audio["audio_track_path"] = Path(audio["audio_track_path"]).read_bytes()
+    return audio
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    return make_faux_ffmpeg(_releve)
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_gain_et_fondus_sur_le_son_d_origine():
+    assert _graphe(volume=1.5, fade_in=0.5, fade_out=1.0) == (
+        ["[0:a]volume=1.50[src_a]",
+         "[src_a]anull,afade=t=in:st=0:d=0.500,afade=t=out:st=5.000:d=1.000[aout]"],
+        ["-map", "[aout]"],
+    )
+
+
+def test_la_piste_jointe_remplace_le_son():
+    chaines, carte = _graphe(track_input=2, track_volume=0.8)
+    assert chaines == ["[2:a]volume=0.80[track_a]", "[track_a]anull[aout]"]
+    assert carte == ["-map", "[aout]"]
+
+
+def test_la_piste_jointe_se_mixe_au_son():
+    chaines, _ = _graphe(track_input=3, track_mode="mix")
+    assert chaines[-1] == "[src_a][track_a]amix=inputs=2:duration=first:normalize=0[aout]"
+
+
+@pytest.mark.parametrize("reglages", [
+    {"mute": True},
+    {"source_has_audio": False},
+    {"source_has_audio": False, "fade_in": 1.0},
+])
+def test_sans_source_la_sortie_est_muette(reglages):
+    assert _graphe(**reglages) == ([], ["-an"])
+
+
+def test_son_coupe_mais_piste_mixee():
+    chaines, _ = _graphe(mute=True, track_input=2, track_mode="mix")
+    assert chaines == ["[2:a]volume=1.00[track_a]", "[track_a]anull[aout]"]
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission par les deux endpoints
+# ---------------------------------------------------------------------------
+
+def test_la_sauvegarde_transmet_le_son(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [{
+        "mute_audio": False,
+        "audio_volume": 1.5,
+        "audio_fade_in": 0.5,
+        "audio_fade_out": 1.0,
+        "audio_track_path": FAKE_MP3,
+        "audio_track_mode": "mix",
+        "audio_track_volume": 0.8,
+    }]
+    assert editor_uploads() == []
+
+
+def test_le_telechargement_transmet_le_son(client, faux_ffmpeg):
+    reglages = {"muted": True, "volume": 1, "fadeIn": 0, "fadeOut": 2, "track": False}
+    reponse = client.post("/api/editor/process-video", data=_formulaire(audio=reglages, piste=False),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+    finally:
+        reponse.close()
+    assert faux_ffmpeg == [{"mute_audio": True, "audio_volume": 1.0,
+                            "audio_fade_in": 0.0, "audio_fade_out": 2.0}]
+
+
+def test_sans_reglage_le_son_passe_tel_quel(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(audio=None, piste=False),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [{}]
+
+
+# ---------------------------------------------------------------------------
+# 3. Validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("audio, piste, nom", [
+    ({**REGLAGES, "volume": 3}, True, "musique.mp3"),              # gain > ×2
+    ({**REGLAGES, "trackVolume": -1}, True, "musique.mp3"),
+    ({**REGLAGES, "fadeIn": 4, "fadeOut": 3}, True, "musique.mp3"),  # 7 s de fondus, clip de 6 s
+    ({**REGLAGES, "trackMode": "duo"}, True, "musique.mp3"),
+    (REGLAGES, False, "musique.mp3"),                              # piste annoncée, absente
+    (REGLAGES, True, "script.sh"),                                 # pas un son
+    ("fort", False, "musique.mp3"),
+])
+def test_un_reglage_invalide_repond_400(client, faux_ffmpeg, audio, piste, nom):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(audio, piste, nom),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+# ---------------------------------------------------------------------------
+# 4. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_les_controles_du_son(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("audio-mute", "audio-volume", "audio-fade-in", "audio-fade-out",
+                  "audio-track-input", "audio-track-mode-group"):
+        assert f'id="{ident}"' in html
+
+
+def test_l_export_de_l_editeur_transmet_le_son(client, faux_ffmpeg, editor_core):
+    params = editor_core(f"ffmpegParamsOf({{ trimStart: 1.5, trimEnd: 7.5, audio: {json.dumps(REGLAGES)} }})")
+    formulaire = {**_formulaire(), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg[0]["audio_track_mode"] == "mix"
+    assert faux_ffmpeg[0]["audio_track_path"] == FAKE_MP3
+
+
+def test_le_son_suit_l_historique(editor_core):
+    cles = {"audioMuted", "audioVolume", "audioFadeIn", "audioFadeOut", "audioTrackMode", "audioTrackVolume"}
+    assert cles <= set(editor_core("HISTORY_STATE_KEYS"))
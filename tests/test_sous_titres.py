@@ -0,0 +1,278 @@
+"""
+SOUS-TITRES — tests serveur.
+
+L'éditeur importe un fichier .srt ou .vtt : le serveur le relit en
+répliques (POST /api/editor/subtitles/parse), l'éditeur les pose sur la
+timeline et, à l'export, envoie pour chaque plateau les répliques du clip
+et leur placement. Le serveur les écrit en ASS et FFmpeg les incruste
+(app/editor/subtitles.py).
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le module : SRT et WebVTT relus (balises retirées, réglages WebVTT
+     ignorés), fichier illisible refusé, ASS aux couleurs des trois styles
+     et au repère du gabarit.
+  2. L'endpoint d'import : répliques et format, 400 pour un fichier
+     illisible, absent ou trop gros.
+  3. Les deux endpoints vidéo transmettent le fichier ASS à
+     process_video() ; une piste mal formée répond 400 sans lancer FFmpeg.
+  4. Le graphe FFmpeg incruste les sous-titres en dernier ; la page de
+     l'éditeur porte la piste, les répliques importées repartent à
+     l'export (ffmpegParamsOf d'editor-core.js, évalué par Node) et la
+     piste suit l'historique.
+
+Le placement par plateau, le rognage au clip côté éditeur et l'affichage
+sur les plateaux (Fabric.js) sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+from pathlib import Path
+
+import pytest
+
+from app.editor.errors import InputError
+from app.editor.processing import subtitle_filter, timed_overlay_filters
+from app.editor.subtitles import SUBTITLE_MAX_BYTES, build_ass, parse_subtitles, subtitle_track
+from conftest import editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+SRT = """\ufeff1
+00:00:01,000 --> 00:00:02,500
+<i>Première</i> réplique
+
+2
+00:00:03,000 --> 00:00:04,000
+Deux lignes
+&amp; une esperluette
+"""
+
+VTT = """WEBVTT
+
+NOTE une note ignorée
+
+intro
+00:01.000 --> 00:02.500 align:start position:10%
+<c.jaune>Bonjour</c>
+
+00:00:03.000 --> 00:00:04.000
+{\\an8}Au revoir
+"""
+
+PISTE = {
+    "style": "outline", "fontSize": 45, "x": 540, "y": 1500, "width": 864,
+    "cues": [{"start": 0.5, "end": 2.0, "text": "Salut {tout} le monde\nligne 2"}],
+}
+
+
+def _formulaire(subtitles=PISTE, **extra):
+    donnees = {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": 7.5,
+                              "templateWidth": 1080, "templateHeight": 1920,
+                              "subtitles": subtitles}),
+        "platform": "tiktok",
+    }
+    donnees.update(extra)
+    return donnees
+
+
+def _releve(appel):
+    """Fichier ASS reçu, lu pendant le rendu (None sans sous-titres)."""
+    chemin = appel.get("subtitles_path")
+    return Path(chemin).read_text(encoding="utf-8") if chemin else None
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    return make_faux_ffmpeg(_releve)
+
+
+# ---------------------------------------------------------------------------
+# 1. Module
+# ---------------------------------------------------------------------------
+
+def test_un_srt_est_relu_en_repliques():
+    assert parse_subtitles(SRT) == [
+        {"start": 1.0, "end": 2.5, "text": "Première réplique"},
+        {"start": 3.0, "end": 4.0, "text": "Deux lignes\n& une esperluette"},
+    ]
+
+
+def test_un_webvtt_est_relu_en_repliques():
+    assert parse_subtitles(VTT) == [
+        {"start": 1.0, "end": 2.5, "text": "Bonjour"},
+        {"start": 3.0, "end": 4.0, "text": "Au revoir"},
+    ]
+
+
+@pytest.mark.parametrize("contenu", [
+    "",
+    "WEBVTT\n\nNOTE rien d'autre",
+    "1\n00:00:01,000 --> bientôt\nTexte",
+    "1\n00:00:02,000 --> 00:00:01,000\nÀ l'envers",
+])
+def test_un_fichier_illisible_est_refuse(contenu):
+    with pytest.raises(InputError):
+        parse_subtitles(contenu)
+
+
+def test_la_piste_est_rognee_au_clip():
+    piste = subtitle_track({**PISTE, "cues": [
+        {"start": -1.0, "end": 1.0, "text": "rognée au début"},
+        {"start": 5.5, "end": 9.0, "text": "rognée à la fin"},
+        {"start": 7.0, "end": 8.0, "text": "hors du clip"},
+    ]}, duration=6.0)
+    assert [(c["start"], c["end"]) for c in piste["cues"]] == [(0.0, 1.0), (5.5, 6.0)]
+    assert subtitle_track(None, 6.0) is None
+
+
+@pytest.mark.parametrize("style, primaire, bloc, bordure", [
+    ("outline", "&H00FFFFFF", "&H00000000", 1),
+    ("light", "&H00000000", "&H00FFFFFF", 3),
+    ("dark", "&H00FFFFFF", "&H59000000", 3),
+])
+def test_l_ass_reprend_les_styles_du_pov(style, primaire, bloc, bordure):
+    ass = build_ass(subtitle_track({**PISTE, "style": style}, 6.0), 1080, 1920)
+    ligne = next(x for x in ass.splitlines() if x.startswith("Style: "))
+    champs = ligne.removeprefix("Style: ").split(",")
+    assert champs[1] == "Montserrat"
+    assert (champs[3], champs[5], int(champs[15])) == (primaire, bloc, bordure)
+    # Centré sur x (marges 108 / 108), posé par son bas sur y (1920 - 1500).
+    assert champs[18:22] == ["2", "108", "108", "420"]
+
+
+def test_l_ass_neutralise_les_commandes_du_texte():
+    ass = build_ass(subtitle_track(PISTE, 6.0), 1080, 1920)
+    assert "PlayResX: 1080" in ass and "PlayResY: 1920" in ass
+    assert ass.splitlines()[-1] == (
+        "Dialogue: 0,0:00:00.50,0:00:02.00,Default,,0,0,0,,Salut (tout) le monde\\Nligne 2")
+
+
+# ---------------------------------------------------------------------------
+# 2. Import
+# ---------------------------------------------------------------------------
+
+def _importer(client, contenu: bytes, nom: str = "clip.srt"):
+    return client.post("/api/editor/subtitles/parse",
+                       data={"file": (io.BytesIO(contenu), nom)},
+                       content_type="multipart/form-data")
+
+
+def test_l_import_renvoie_les_repliques(client):
+    reponse = _importer(client, VTT.encode("utf-8"), "clip.vtt")
+    assert reponse.status_code == 200
+    data = reponse.get_json()
+    assert data["format"] == "vtt"
+    assert [c["text"] for c in data["cues"]] == ["Bonjour", "Au revoir"]
+
+
+def test_un_srt_windows_est_relu(client):
+    reponse = _importer(client, SRT.lstrip("\ufeff").encode("cp1252"))
+    assert reponse.status_code == 200
+    assert reponse.get_json()["cues"][0]["text"] == "Première réplique"
+
+
+@pytest.mark.parametrize("contenu", [
+    b"pas des sous-titres",
+    b"1\n" + b"00:00:01,000 --> 00:00:02,000\n" + b"x" * SUBTITLE_MAX_BYTES,
+], ids=["illisible", "trop-gros"])
+def test_un_import_invalide_repond_400(client, contenu):
+    reponse = _importer(client, contenu)
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+
+
+def test_un_import_refuse_donne_la_raison(client):
+    reponse = _importer(client, b"pas des sous-titres")
+    assert reponse.get_json()["error"] == "Sous-titres illisibles : aucun sous-titre lisible dans ce fichier"
+
+
+def test_un_import_sans_fichier_repond_400(client):
+    reponse = client.post("/api/editor/subtitles/parse", data={},
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+
+
+# ---------------------------------------------------------------------------
+# 3. Incrustation par les deux endpoints
+# ---------------------------------------------------------------------------
+
+def test_la_sauvegarde_incruste_les_sous_titres(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert "Salut (tout) le monde" in faux_ffmpeg[0]
+    assert editor_uploads() == []
+
+
+def test_le_telechargement_incruste_les_sous_titres(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/process-video", data=_formulaire(),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+    finally:
+        reponse.close()
+    assert "PlayResY: 1920" in faux_ffmpeg[0]
+
+
+def test_sans_sous_titres_rien_ne_change(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(subtitles=None),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg == [None]
+
+
+@pytest.mark.parametrize("piste", [
+    {**PISTE, "style": "neon"},
+    {**PISTE, "fontSize": "grand"},
+    {**PISTE, "cues": "pas une liste"},
+    {**PISTE, "cues": [{"start": 0, "end": 1, "text": "x" * 301}]},
+])
+def test_une_piste_invalide_repond_400(client, faux_ffmpeg, piste):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(subtitles=piste),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+# ---------------------------------------------------------------------------
+# 4. Graphe FFmpeg et page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_les_sous_titres_sont_incrustes_en_dernier():
+    chaine = timed_overlay_filters([], output="overlaid")
+    assert chaine == ["[with_video][1:v]overlay=0:0:format=auto[overlaid]"]
+    filtre = subtitle_filter("/tmp/abc.ass", "overlaid", "final")
+    assert filtre.startswith("[overlaid]ass=filename='/tmp/abc.ass':fontsdir='")
+    assert filtre.endswith("[final]")
+
+
+def test_la_page_editeur_porte_les_sous_titres(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("subtitle-file-input", "subtitle-track", "subtitle-style-group", "subtitle-offset"):
+        assert f'id="{ident}"' in html
+
+
+def test_les_repliques_importees_repartent_a_l_export(client, faux_ffmpeg, editor_core):
+    repliques = _importer(client, VTT.encode("utf-8"), "clip.vtt").get_json()["cues"]
+    piste = {**PISTE, "cues": repliques}
+    params = editor_core("ffmpegParamsOf({ trimStart: 0, trimEnd: 6, templateWidth: 1080,"
+                         f" templateHeight: 1920, subtitles: {json.dumps(piste)} }})")
+    formulaire = {**_formulaire(), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert "Bonjour" in faux_ffmpeg[0] and "Au revoir" in faux_ffmpeg[0]
+
+
+def test_la_piste_suit_l_historique(editor_core):
+    assert "subtitles" in editor_core("HISTORY_STATE_KEYS")
@@ -0,0 +1,69 @@
+"""
+TEXTE PAR PLATEAU — tests de la page.
+
+La légende, sa taille et son interligne sont partagés par les plateaux ;
+chaque plateau à bandeau peut porter sa propre valeur de chacun
+(p.textOverride, null = valeur commune). Tout se passe dans le navigateur :
+les endpoints reçoivent déjà le texte et la légende PAR plateau. Contrats
+vérifiés ici (editor-core.js évalué par Node) :
+
+  1. La page porte le choix « Texte pour » (sans TikTok, qui n'a pas de
+     bandeau), le retour au texte commun et un badge par plateau à bandeau.
+  2. Les valeurs propres relues d'une composition ou de l'historique sont
+     filtrées : hors bornes ou mal formées, le plateau reprend la valeur
+     commune.
+  3. L'historique porte les valeurs propres.
+
+Le branchement du canvas, de l'export vidéo et des légendes du Viewer et
+du Calendrier sur les valeurs du plateau est vérifié au navigateur.
+"""
+
+from __future__ import annotations
+
+import json
+import re
+
+import pytest
+
+
+# ---------------------------------------------------------------------------
+# 1. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_le_texte_par_plateau(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("text-pane-group", "text-override-readout", "text-override-reset"):
+        assert f'id="{ident}"' in html
+    assert set(re.findall(r'data-textpane="(\w+)"', html)) == {"all", "ig", "x", "rd"}
+    for cle in ("ig", "x", "rd"):
+        assert f'id="override-{cle}"' in html
+    assert 'id="override-tt"' not in html                 # plein écran : le POV
+
+
+# ---------------------------------------------------------------------------
+# 2. Valeurs propres relues
+# ---------------------------------------------------------------------------
+
+def test_des_valeurs_propres_bien_formees_sont_gardees(editor_core):
+    propres = {"text": "Quand X", "size": 40, "lineHeight": 1.4}
+    assert editor_core(f"sanitizeTextOverride({json.dumps(propres)})") == propres
+
+
+@pytest.mark.parametrize("brut", [
+    None, "texte", [], {}, {"text": 12, "size": "40", "lineHeight": "1.2"},
+    {"size": 10}, {"size": 100}, {"size": 40.5}, {"lineHeight": 0.5}, {"lineHeight": 3},
+])
+def test_une_valeur_mal_formee_reprend_la_valeur_commune(editor_core, brut):
+    assert editor_core(f"sanitizeTextOverride({json.dumps(brut)})") == editor_core("TEXT_OVERRIDE_NONE")
+
+
+def test_le_texte_propre_est_borne(editor_core):
+    assert len(editor_core("sanitizeTextOverride({ text: 'x'.repeat(5000) }).text")) == 2000
+
+
+# ---------------------------------------------------------------------------
+# 3. Historique
+# ---------------------------------------------------------------------------
+
+def test_les_valeurs_propres_suivent_l_historique(editor_core):
+    assert "textOverride" in editor_core("HISTORY_PANE_KEYS")
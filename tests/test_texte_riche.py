@@ -0,0 +1,111 @@
+"""
+TEXTE RICHE DE LA LÉGENDE — tests page.
+
+La légende s'écrit avec un balisage simple (**gras**, *italique*,
+==surligné==, :feu:) gardé tel quel dans state.text ; l'Éditeur en tire les
+styles de caractères de Fabric. Contrats vérifiés ici (editor-core.js
+évalué par Node) :
+
+  1. La page porte la barre de mise en forme : gras, italique, surlignage,
+     sa couleur, et les emojis de la boîte Annotations.
+  2. Le balisage donne les styles de Fabric, balises longues lues d'abord ;
+     une balise orpheline ou échappée reste du texte.
+  3. Le texte nu (Viewer, Calendrier, export vidéo) perd le balisage ; le
+     bloc édité sur le canvas redonne son balisage (aller-retour).
+  4. La couleur du surlignage suit l'historique.
+
+Le branchement des plateaux et le rendu (canvas, gabarit PNG) sont
+vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import json
+import re
+
+
+def _analyse(editor_core, brut: str, surlignage: str = "#ffe14d") -> dict:
+    return editor_core(f"parseCaption({json.dumps(brut)}, {json.dumps(surlignage)})")
+
+
+# ---------------------------------------------------------------------------
+# 1. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_la_barre_de_mise_en_forme(client, editor_core):
+    html = client.get("/editor").data.decode("utf-8")
+    barre = html[html.index('id="caption-format"'):html.index("</div>", html.index('id="caption-format"'))]
+    for balise in ("bold", "italic", "highlight"):
+        assert f'data-markup="{balise}"' in barre
+    couleur = re.search(r'type="color" id="caption-highlight" value="(#[0-9a-f]{6})"', barre).group(1)
+    assert couleur == editor_core("CAPTION_HIGHLIGHT_DEFAULT")
+    # La barre suit le champ de la légende.
+    assert html.index('id="meme-text"') < html.index('id="caption-format"')
+
+
+def test_les_emojis_de_la_barre_sont_ceux_des_annotations(client, editor_core):
+    html = client.get("/editor").data.decode("utf-8")
+    emojis = editor_core("CAPTION_EMOJIS")
+    assert set(re.findall(r'data-caption-emoji="(\w+)"', html)) == set(emojis)
+    assert set(editor_core("EMOJIS")) == set(emojis.values())
+
+
+# ---------------------------------------------------------------------------
+# 2. Balisage → styles
+# ---------------------------------------------------------------------------
+
+def test_le_balisage_donne_les_styles_de_fabric(editor_core):
+    gras = editor_core("CAPTION_BOLD_WEIGHT")
+    legende = _analyse(editor_core, "un **gros** *mot*\n==ici==", "#00ff00")
+    assert legende["text"] == "un gros mot\nici"
+    ligne0, ligne1 = legende["styles"]["0"], legende["styles"]["1"]
+    assert set(ligne0) == {"3", "4", "5", "6", "8", "9", "10"}
+    assert ligne0["3"] == {"fontWeight": gras}
+    assert ligne0["8"] == {"fontStyle": "italic"}
+    assert ligne1 == {str(i): {"textBackgroundColor": "#00ff00"} for i in range(3)}
+
+
+def test_les_balises_longues_sont_lues_d_abord(editor_core):
+    # « ** » n'est pas deux italiques.
+    assert editor_core("CAPTION_MARKS.map(m => m[0])") == ["**", "==", "*"]
+    assert _analyse(editor_core, "**a**")["styles"] == {"0": {"0": {"fontWeight": editor_core("CAPTION_BOLD_WEIGHT")}}}
+
+
+def test_les_balises_orphelines_et_echappees_restent_du_texte(editor_core):
+    assert _analyse(editor_core, "5 * 3") == {"text": "5 * 3", "styles": {}}
+    assert _analyse(editor_core, r"\*\*pas gras\*\*") == {"text": "**pas gras**", "styles": {}}
+    assert _analyse(editor_core, ":inconnu: :feu:")["text"] == ":inconnu: " + editor_core("CAPTION_EMOJIS.feu")
+
+
+def test_les_styles_suivent_les_graphemes(editor_core):
+    # Un emoji compte pour un caractère de Fabric, pas pour deux unités UTF-16.
+    legende = _analyse(editor_core, ":feu: **a**")
+    assert legende["styles"] == {"0": {"2": {"fontWeight": editor_core("CAPTION_BOLD_WEIGHT")}}}
+
+
+# ---------------------------------------------------------------------------
+# 3. Texte nu et aller-retour
+# ---------------------------------------------------------------------------
+
+def test_le_texte_nu_perd_le_balisage(editor_core):
+    assert editor_core(r"captionText('**Quand** tu ==vois== ça :rire:')") == \
+        "Quand tu vois ça " + editor_core("CAPTION_EMOJIS.rire")
+    assert editor_core("captionText('')") == ""
+
+
+def test_le_bloc_edite_redonne_son_balisage(editor_core):
+    # Relu, le balisage redonné donne le même bloc.
+    for brut in ("un **gros** *mot*\n==ici==", "**tout *imbriqué***", r"5 \* 3 et \:feu\:"):
+        bloc = f"parseCaption({json.dumps(brut)}, '#ffe14d')"
+        assert editor_core(f"parseCaption(captionMarkup({bloc}), '#ffe14d')") == editor_core(bloc)
+    assert editor_core("captionMarkup(parseCaption('un **gros** mot', '#ffe14d'))") == "un **gros** mot"
+    # Un « :feu: » tapé sur le canvas reste du texte.
+    assert editor_core("captionMarkup({ text: ':feu:', styles: {} })") == r"\:feu:"
+
+
+# ---------------------------------------------------------------------------
+# 4. Historique
+# ---------------------------------------------------------------------------
+
+def test_la_couleur_du_surlignage_suit_l_historique(editor_core):
+    assert "textHighlight" in editor_core("HISTORY_STATE_KEYS")
@@ -0,0 +1,182 @@
+"""
+TEXTES MINUTÉS — tests serveur.
+
+Sur une vidéo, la légende, l'overlay et le POV peuvent changer au fil du
+clip : l'éditeur pose des blocs de texte sur la timeline, chacun avec sa
+fenêtre. À l'export, le client découpe la coupe en fenêtres et rend pour
+chacune un template COMPLET (`segment_<n>`) ; FFmpeg pose chaque template
+pendant sa seule fenêtre, le template fixe partout ailleurs.
+
+Contrats vérifiés ici (FFmpeg SIMULÉ — aucun binaire lancé) :
+
+  1. Le graphe : sans fenêtre, la surcouche d'origine à l'identique ; avec
+     fenêtres, une surcouche par fenêtre et jamais deux à la fois.
+  2. Les deux endpoints vidéo transmettent les templates minutés et leurs
+     fenêtres à process_video() ; la sauvegarde nettoie ses uploads.
+  3. Une fenêtre invalide (hors du clip, chevauchante) ou un template
+     manquant répond 400 sans lancer FFmpeg et sans rien laisser.
+  4. La page de l'éditeur porte la piste ; les fenêtres de l'éditeur
+     (ffmpegParamsOf d'editor-core.js, évalué par Node) arrivent à FFmpeg
+     sans leur texte, et la piste suit l'historique.
+
+Le découpage en fenêtres, le rendu d'un template par fenêtre et
+l'affichage en lecture (playVideo) sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import io
+import json
+from pathlib import Path
+
+import pytest
+
+from app.config import EDITOR_OUTPUT_DIR
+from app.editor.processing import timed_overlay_filters
+from conftest import FAKE_MP4, editor_uploads
+
+pytestmark = pytest.mark.usefixtures("editor_dirs")
+
+MEMES_DIR = EDITOR_OUTPUT_DIR / "memes"
+
+FAKE_PNG = b"\x89PNG\r\n\x1a\nfake"
+
+#: Clip coupé de 6 s (1.5 → 7.5) : fenêtres en secondes du clip.
+FENETRES = [{"start": 0.5, "end": 2.0}, {"start": 2.0, "end": 4.25}]
+
+
+def _formulaire(fenetres=FENETRES, segments=None, **extra):
+    segments = len(fenetres) if segments is None else segments
+    donnees = {
+        "video": (io.BytesIO(b"fake-input-video"), "clip.mp4"),
+        "template": (io.BytesIO(FAKE_PNG), "template.png"),
+        "params": json.dumps({"trimStart": 1.5, "trimEnd": 7.5, "textSegments": fenetres}),
+        "platform": "tiktok",
+    }
+    for index in range(segments):
+        donnees[f"segment_{index}"] = (io.BytesIO(FAKE_PNG + str(index).encode()), f"segment_{index}.png")
+    donnees.update(extra)
+    return donnees
+
+
+def _releve(appel):
+    """Surcouches reçues (et leur contenu, lu pendant le rendu)."""
+    overlays = appel.get("timed_overlays") or []
+    return {
+        "fenetres": [(debut, fin) for _, debut, fin in overlays],
+        "contenus": [Path(chemin).read_bytes() for chemin, _, _ in overlays],
+    }
+
+
+@pytest.fixture
+def faux_ffmpeg(make_faux_ffmpeg):
+    return make_faux_ffmpeg(_releve)
+
+
+# ---------------------------------------------------------------------------
+# 1. Graphe FFmpeg
+# ---------------------------------------------------------------------------
+
+def test_sans_fenetre_la_surcouche_est_celle_d_origine():
+    assert timed_overlay_filters([]) == ["[with_video][1:v]overlay=0:0:format=auto[final]"]
+
+
+def test_chaque_template_minute_n_est_pose_que_dans_sa_fenetre():
+    filtres = timed_overlay_filters([(0.5, 2.0), (3.0, 4.25)])
+    assert filtres == [
+        "[with_video][1:v]overlay=0:0:format=auto"
+        ":enable='not(gte(t,0.500)*lt(t,2.000)+gte(t,3.000)*lt(t,4.250))'[timed0]",
+        "[timed0][2:v]overlay=0:0:format=auto:enable='gte(t,0.500)*lt(t,2.000)'[timed1]",
+        "[timed1][3:v]overlay=0:0:format=auto:enable='gte(t,3.000)*lt(t,4.250)'[final]",
+    ]
+
+
+# ---------------------------------------------------------------------------
+# 2. Transmission par les deux endpoints
+# ---------------------------------------------------------------------------
+
+def test_la_sauvegarde_transmet_les_templates_minutes(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg[0]["fenetres"] == [(0.5, 2.0), (2.0, 4.25)]
+    # Chaque fenêtre reçoit SON template, dans l'ordre.
+    assert faux_ffmpeg[0]["contenus"] == [FAKE_PNG + b"0", FAKE_PNG + b"1"]
+    assert editor_uploads() == []
+
+
+def test_le_telechargement_transmet_les_templates_minutes(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/process-video", data=_formulaire(),
+                          content_type="multipart/form-data")
+    try:
+        assert reponse.status_code == 200
+        assert reponse.data == FAKE_MP4
+    finally:
+        reponse.close()
+    assert faux_ffmpeg[0]["fenetres"] == [(0.5, 2.0), (2.0, 4.25)]
+
+
+def test_sans_texte_minute_rien_ne_change(client, faux_ffmpeg):
+    reponse = client.post("/api/editor/save-video-meme", data=_formulaire(fenetres=[]),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201
+    assert faux_ffmpeg[0]["fenetres"] == []
+
+
+# ---------------------------------------------------------------------------
+# 3. Validation
+# ---------------------------------------------------------------------------
+
+@pytest.mark.parametrize("fenetres", [
+    [{"start": 5.0, "end": 6.5}],                                   # déborde du clip de 6 s
+    [{"start": 2.0, "end": 1.0}],                                   # à l'envers
+    [{"start": 0.0, "end": 3.0}, {"start": 2.0, "end": 4.0}],       # chevauchantes
+    [{"start": "début", "end": 1.0}],
+    [{"start": n / 10, "end": n / 10 + 0.05} for n in range(41)],   # 41 fenêtres
+    "pas une liste",
+])
+def test_une_fenetre_invalide_repond_400(client, faux_ffmpeg, fenetres):
+    segments = len(fenetres) if isinstance(fenetres, list) else 0
+    reponse = client.post("/api/editor/save-video-meme",
+                          data=_formulaire(fenetres=fenetres, segments=segments),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+
+
+@pytest.mark.parametrize("endpoint", ["/api/editor/save-video-meme", "/api/editor/process-video"])
+def test_un_template_minute_manquant_repond_400(client, faux_ffmpeg, endpoint):
+    reponse = client.post(endpoint, data=_formulaire(segments=1),
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 400
+    assert "segment_1" in reponse.get_json()["error"]
+    assert faux_ffmpeg == []
+    assert editor_uploads() == []
+    assert [p for p in MEMES_DIR.iterdir() if p.is_file()] == []
+
+
+# ---------------------------------------------------------------------------
+# 4. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_la_piste(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("text-track", "text-segments", "text-segment-add-btn"):
+        assert f'id="{ident}"' in html
+
+
+def test_les_fenetres_de_l_editeur_arrivent_a_ffmpeg(client, faux_ffmpeg, editor_core):
+    blocs = [{**fenetre, "id": f"t{i}", "text": "Quand X"} for i, fenetre in enumerate(FENETRES)]
+    params = editor_core(f"ffmpegParamsOf({{ trimStart: 1.5, trimEnd: 7.5, textSegments: {json.dumps(blocs)} }})")
+    assert params["textSegments"] == FENETRES
+    formulaire = {**_formulaire(), "params": json.dumps(params)}
+    reponse = client.post("/api/editor/save-video-meme", data=formulaire,
+                          content_type="multipart/form-data")
+    assert reponse.status_code == 201, reponse.get_json()
+    assert faux_ffmpeg[0]["fenetres"] == [(0.5, 2.0), (2.0, 4.25)]
+
+
+def test_la_piste_suit_l_historique(editor_core):
+    assert "textSegments" in editor_core("HISTORY_STATE_KEYS")
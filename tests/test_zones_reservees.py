@@ -0,0 +1,97 @@
+"""
+ZONES RÉSERVÉES — tests de la page.
+
+TikTok et Reels recouvrent la vidéo de leur interface (onglets, boutons,
+légende). Sur le plateau TikTok et le format Story d'Instagram, l'éditeur
+dessine ces zones en guides, y accroche le magnétisme et prévient avant
+l'export quand le POV, le texte ou le filigrane déborde dessus.
+
+Tout se passe dans le navigateur : aucun endpoint n'est concerné. Contrats
+vérifiés ici (editor-core.js évalué par Node) :
+
+  1. La page porte l'interrupteur des guides.
+  2. Les zones tiennent dans le gabarit 1080×1920 et ne valent que pour
+     TikTok et la Story d'Instagram.
+  3. Le magnétisme amène un objet au bord de la zone voisine ; la colonne
+     de boutons ne borde que sa hauteur.
+  4. Un objet qui chevauche une zone est signalé par le nom de la zone.
+
+Le dessin des guides, hors export, et la confirmation avant les trois
+sorties sont vérifiés au navigateur.
+"""
+
+from __future__ import annotations
+
+import pytest
+
+
+# ---------------------------------------------------------------------------
+# 1. Page de l'éditeur
+# ---------------------------------------------------------------------------
+
+def test_la_page_editeur_porte_l_interrupteur(client):
+    html = client.get("/editor").data.decode("utf-8")
+    for ident in ("safezone-toggle", "safezone-switch"):
+        assert f'id="{ident}"' in html
+    # editor-core.js passe avant editor.js, qui l'appelle.
+    assert html.index("/static/editor-core.js") < html.index("/static/editor.js")
+
+
+# ---------------------------------------------------------------------------
+# 2. Zones
+# ---------------------------------------------------------------------------
+
+def test_les_zones_tiennent_dans_le_gabarit_vertical(editor_core):
+    zones = editor_core("SAFE_ZONES")
+    assert set(zones) == {"tiktok", "reels"}
+    for zone in zones["tiktok"] + zones["reels"]:
+        assert zone["x"] + zone["width"] <= 1080 and zone["y"] + zone["height"] <= 1920
+        assert zone["edge"] in ("top", "bottom", "left")
+
+
+@pytest.mark.parametrize("plateforme, gabarit, attendu", [
+    ("tiktok", "tiktok", "tiktok"),
+    ("instagram", "story", "reels"),
+    ("instagram", "portrait", None),
+    ("instagram", "square", None),
+    ("twitter", "story", None),
+])
+def test_seuls_tiktok_et_la_story_ont_des_zones(editor_core, plateforme, gabarit, attendu):
+    zones = editor_core(f"safeZonesFor('{plateforme}', '{gabarit}')")
+    assert zones == (editor_core("SAFE_ZONES")[attendu] if attendu else [])
+
+
+# ---------------------------------------------------------------------------
+# 3. Magnétisme
+# ---------------------------------------------------------------------------
+
+def test_un_objet_au_dessus_de_la_legende_s_accroche_a_son_bord(editor_core):
+    # Légende TikTok : y = 1520. Le bas de l'objet est 10 px au-dessus.
+    accroche = editor_core(
+        "safeZoneSnap(SAFE_ZONES.tiktok[2], { x: 100, y: 1310, width: 400, height: 200 })")
+    assert accroche == {"axis": "y", "delta": 10, "at": 1520}
+
+
+def test_un_objet_sous_les_onglets_remonte_a_leur_bord(editor_core):
+    accroche = editor_core(
+        "safeZoneSnap(SAFE_ZONES.tiktok[0], { x: 100, y: 172, width: 400, height: 200 })")
+    assert accroche == {"axis": "y", "delta": -12, "at": 160}
+
+
+def test_la_colonne_de_boutons_ne_borde_que_sa_hauteur(editor_core):
+    boutons = "SAFE_ZONES.tiktok[1]"                # x = 920, y 700 → 1520
+    assert editor_core(f"safeZoneSnap({boutons}, {{ x: 500, y: 800, width: 410, height: 100 }})") == {
+        "axis": "x", "delta": 10, "at": 920}
+    assert editor_core(f"safeZoneSnap({boutons}, {{ x: 500, y: 300, width: 410, height: 100 }})") is None
+
+
+# ---------------------------------------------------------------------------
+# 4. Avertissement avant export
+# ---------------------------------------------------------------------------
+
+def test_un_debordement_est_nomme(editor_core):
+    assert editor_core(
+        "safeZoneHits(SAFE_ZONES.tiktok, { x: 800, y: 1400, width: 200, height: 200 })"
+    ) == ["les boutons", "la légende"]
+    assert editor_core(
+        "safeZoneHits(SAFE_ZONES.tiktok, { x: 100, y: 400, width: 600, height: 300 })") == []